@@ -141,7 +141,10 @@ CREATE TABLE users (
     last_download_reset_date DATE DEFAULT CURRENT_DATE,
 
     -- 下载增益余额
-    download_credit_balance INTEGER DEFAULT 0
+    download_credit_balance INTEGER DEFAULT 0,
+
+    -- 创作者发布资源/帖子时通知粉丝
+    notify_followers_on_publish BOOLEAN DEFAULT FALSE
 );
 
 -- 角色表
@@ -150,6 +153,7 @@ CREATE TABLE roles (
     name VARCHAR(50) NOT NULL UNIQUE,
     display_name VARCHAR(100) NOT NULL,
     description TEXT,
+    mfa_required BOOLEAN NOT NULL DEFAULT FALSE, -- 拥有该角色的用户必须启用两步验证
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     is_active BOOLEAN DEFAULT TRUE,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -213,6 +217,17 @@ CREATE TABLE user_follows (
 CREATE INDEX idx_user_follows_follower ON user_follows(follower_id);
 CREATE INDEX idx_user_follows_following ON user_follows(following_id);
 
+-- 创作者发布通知记录（同一资源或帖子只通知粉丝一次）
+CREATE TABLE follower_publish_notifications (
+    id SERIAL PRIMARY KEY,
+    author_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    target_type VARCHAR(30) NOT NULL CHECK (target_type IN ('resource', 'community_post')),
+    target_id INTEGER NOT NULL,
+    recipients INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(target_type, target_id)
+);
+
 CREATE OR REPLACE VIEW creator_download_points AS
 SELECT
   r.author_id,
@@ -232,7 +247,11 @@ CREATE TABLE system_settings (
 );
 
 INSERT INTO system_settings (key, value, description) VALUES
-('referral_commission', '{"enabled": true, "first_rate": 0.10, "renewal_rate": 0.00, "card_type_rates": {"points": 0.10, "download": 0.10}}', '邀请分佣配置');
+('referral_commission', '{"enabled": true, "first_rate": 0.10, "renewal_rate": 0.00, "card_type_rates": {"points": 0.10, "download": 0.10}}', '邀请分佣配置'),
+('resource_upload_policy', '{"roles": {"user": {"max_file_size": 2147483648, "allowed_extensions": ["zip", "rar", "7z", "tar", "gz", "pdf", "epub", "mp4", "mkv", "mov", "mp3", "flac"]}, "vip": {"max_file_size": 5368709120, "allowed_extensions": ["zip", "rar", "7z", "tar", "gz", "pdf", "epub", "mp4", "mkv", "mov", "webm", "mp3", "flac", "wav"]}, "moderator": {"max_file_size": 10737418240, "allowed_extensions": ["*"]}, "admin": {"max_file_size": 53687091200, "allowed_extensions": ["*"]}}}', '资源文件直传上传策略（按角色限制大小和扩展名）'),
+('login_security', '{"enabled": true, "account_max_failures": 5, "ip_max_failures": 20, "failure_window_minutes": 15, "lockout_minutes": 15, "lockout_multiplier": 2, "max_lockout_minutes": 1440, "escalation_reset_hours": 24, "notify_new_login": true}', '登录安全策略（失败锁定阈值、逐级锁定时长、新设备登录提醒）'),
+('resource_version_update', '{"free_redownload": true, "redownload_window_days": 0, "notify_downloaders": true, "notify_favoriters": true}', '资源版本更新策略（已付费用户免费重新下载、更新通知范围）'),
+('resource_review', '{"enabled": true}', '资源发布审核（开启后非官方创作者发布或定时发布的资源需审核通过后上线）');
 
 -- ============================================================================
 -- 资源管理模块
@@ -282,6 +301,9 @@ CREATE TABLE resources (
     slug VARCHAR(255) UNIQUE,
     description TEXT,
     content TEXT,
+    content_html TEXT,
+    content_meta JSONB,
+    content_render_version SMALLINT,
     summary VARCHAR(500),
     category_id INTEGER REFERENCES categories(id),
     resource_type_id INTEGER NOT NULL REFERENCES resource_types(id),
@@ -289,16 +311,59 @@ CREATE TABLE resources (
     is_public BOOLEAN DEFAULT TRUE,
     is_free BOOLEAN DEFAULT TRUE,
     required_points INTEGER DEFAULT 0,
-    status VARCHAR(20) DEFAULT 'published' CHECK (status IN ('draft', 'published', 'archived', 'banned', 'deleted')),
+    required_vip_level INTEGER DEFAULT 0,
+    status VARCHAR(20) DEFAULT 'published' CHECK (status IN ('draft', 'pending_review', 'rejected', 'scheduled', 'published', 'archived', 'banned', 'deleted')),
     view_count INTEGER DEFAULT 0,
     download_count INTEGER DEFAULT 0,
     like_count INTEGER DEFAULT 0,
     author_id INTEGER NOT NULL REFERENCES users(id),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    published_at TIMESTAMP
+    published_at TIMESTAMP,
+    publish_at TIMESTAMP,
+    submitted_at TIMESTAMP,
+    reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    review_note TEXT
+);
+
+-- 资源修订历史（标题/描述/正文快照）；自动保存每个用户每个资源只保留一条，不编号
+CREATE TABLE resource_revisions (
+    id SERIAL PRIMARY KEY,
+    resource_id INTEGER NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    revision_number INTEGER,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('create', 'update', 'restore', 'autosave')),
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    content TEXT,
+    restored_from INTEGER REFERENCES resource_revisions(id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_resource_revisions_number ON resource_revisions(resource_id, revision_number) WHERE revision_number IS NOT NULL;
+CREATE UNIQUE INDEX idx_resource_revisions_autosave ON resource_revisions(resource_id, created_by) WHERE source = 'autosave';
+
+-- 资源版本表（每个资源只有一个当前版本）
+CREATE TABLE resource_versions (
+    id SERIAL PRIMARY KEY,
+    resource_id INTEGER NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    version VARCHAR(20) NOT NULL,
+    changelog TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'current' CHECK (status IN ('current', 'superseded', 'deprecated')),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    released_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deprecated_at TIMESTAMP,
+    notified_at TIMESTAMP,
+    recipients INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(resource_id, version)
 );
 
+CREATE INDEX idx_resource_versions_resource ON resource_versions(resource_id, released_at DESC);
+CREATE UNIQUE INDEX idx_resource_versions_current ON resource_versions(resource_id) WHERE status = 'current';
+
 -- 资源文件表 (保留软删除)
 CREATE TABLE resource_files (
     id SERIAL PRIMARY KEY,
@@ -310,16 +375,46 @@ CREATE TABLE resource_files (
     file_extension VARCHAR(10),
     quality VARCHAR(20),
     version VARCHAR(20),
+    version_id INTEGER REFERENCES resource_versions(id) ON DELETE SET NULL,
     language VARCHAR(10),
     is_active BOOLEAN DEFAULT TRUE,
     sort_order INTEGER DEFAULT 0,
     download_count BIGINT DEFAULT 0,
     last_downloaded_at TIMESTAMP,
+    deprecated_at TIMESTAMP,
     deleted_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE INDEX idx_resource_files_version ON resource_files(version_id);
+
+-- 资源文件分片上传会话表（MinIO预签名直传）
+CREATE TABLE resource_upload_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    resource_id INTEGER NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    bucket VARCHAR(100) NOT NULL,
+    object_name VARCHAR(500) NOT NULL,
+    upload_id VARCHAR(255) NOT NULL UNIQUE,
+    original_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100),
+    file_extension VARCHAR(10),
+    file_size BIGINT NOT NULL,
+    part_size BIGINT NOT NULL,
+    total_parts INTEGER NOT NULL,
+    status VARCHAR(20) DEFAULT 'uploading' CHECK (status IN ('uploading', 'completed', 'aborted', 'expired')),
+    resource_file_id INTEGER REFERENCES resource_files(id) ON DELETE SET NULL,
+    error_message TEXT,
+    expires_at TIMESTAMP NOT NULL,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_resource_upload_sessions_user ON resource_upload_sessions(user_id, created_at DESC);
+CREATE INDEX idx_resource_upload_sessions_expires ON resource_upload_sessions(expires_at) WHERE status = 'uploading';
+
 -- 资源标签关联表
 CREATE TABLE resource_tags (
     id SERIAL PRIMARY KEY,
@@ -336,12 +431,32 @@ CREATE TABLE resource_reports (
     reporter_id INTEGER NOT NULL REFERENCES users(id),
     reason VARCHAR(100) NOT NULL,
     description TEXT,
-    status VARCHAR(20) DEFAULT 'pending',
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'reviewing', 'resolved', 'rejected')),
+    assigned_to INTEGER REFERENCES users(id),
+    assigned_at TIMESTAMP,
+    resolution_action VARCHAR(20) CHECK (resolution_action IN ('none', 'archive', 'ban')),
+    handler_note TEXT,
     handled_by INTEGER REFERENCES users(id),
     handled_at TIMESTAMP,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE INDEX idx_resource_reports_resource ON resource_reports(resource_id);
+CREATE INDEX idx_resource_reports_status ON resource_reports(status, created_at DESC);
+CREATE INDEX idx_resource_reports_assigned ON resource_reports(assigned_to);
+
+-- 资源点赞表
+CREATE TABLE resource_likes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    resource_id INTEGER NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, resource_id)
+);
+
+CREATE INDEX idx_resource_likes_resource ON resource_likes(resource_id);
+
 -- 资源评论表 (支持层级评论)
 CREATE TABLE resource_comments (
     id SERIAL PRIMARY KEY,
@@ -349,6 +464,9 @@ CREATE TABLE resource_comments (
     user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     parent_id INTEGER DEFAULT NULL REFERENCES resource_comments(id) ON DELETE CASCADE,
     content TEXT NOT NULL,
+    content_html TEXT,
+    content_meta JSONB,
+    content_render_version SMALLINT,
     is_approved BOOLEAN DEFAULT FALSE,
     like_count INTEGER DEFAULT 0,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -366,11 +484,41 @@ CREATE TABLE search_records (
     search_type VARCHAR(20) NOT NULL CHECK (search_type IN ('resource','community')),
     user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
     ip_address VARCHAR(45),
+    result_count INTEGER,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX idx_search_records_type_keyword ON search_records(search_type, normalized_keyword);
 CREATE INDEX idx_search_records_created_at ON search_records(created_at);
+CREATE INDEX idx_search_records_keyword_prefix ON search_records(normalized_keyword text_pattern_ops);
+CREATE INDEX idx_search_records_zero_results ON search_records(created_at) WHERE result_count = 0;
+
+-- 搜索索引表（资源、社区帖子、标签统一索引）
+-- search_vector 由应用层分词（中日韩单字+二元组、英文单词）后直接写入，按 source_updated_at 增量同步
+CREATE TABLE search_documents (
+    id SERIAL PRIMARY KEY,
+    doc_type VARCHAR(20) NOT NULL CHECK (doc_type IN ('resource', 'post', 'tag')),
+    doc_id INTEGER NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    body TEXT,
+    search_vector TSVECTOR NOT NULL,
+    category_id INTEGER,
+    resource_type_id INTEGER,
+    required_vip_level INTEGER,
+    board_id INTEGER,
+    tag_ids INTEGER[] DEFAULT '{}'::integer[],
+    is_visible BOOLEAN DEFAULT TRUE,
+    popularity INTEGER DEFAULT 0,
+    published_at TIMESTAMPTZ,
+    source_updated_at TIMESTAMPTZ,
+    indexed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(doc_type, doc_id)
+);
+
+CREATE INDEX idx_search_documents_vector ON search_documents USING GIN(search_vector);
+CREATE INDEX idx_search_documents_tag_ids ON search_documents USING GIN(tag_ids);
+CREATE INDEX idx_search_documents_type_visible ON search_documents(doc_type, is_visible);
+CREATE INDEX idx_search_documents_title_prefix ON search_documents(lower(title) text_pattern_ops) WHERE is_visible = TRUE;
 
 -- ============================================================================
 -- 社区模块
@@ -399,7 +547,10 @@ CREATE TABLE community_posts (
     id SERIAL PRIMARY KEY,
     title VARCHAR(255) NOT NULL,
     content TEXT NOT NULL,
-    content_type VARCHAR(20) DEFAULT 'markdown',
+    content_type VARCHAR(20) DEFAULT 'markdown' CHECK (content_type IN ('markdown', 'html', 'text')),
+    content_html TEXT,
+    content_meta JSONB,
+    content_render_version SMALLINT,
     summary VARCHAR(500),
     author_id INTEGER NOT NULL REFERENCES users(id),
     board_id INTEGER NOT NULL REFERENCES community_boards(id),
@@ -433,6 +584,9 @@ CREATE TABLE community_post_tags (
 CREATE TABLE community_comments (
     id SERIAL PRIMARY KEY,
     content TEXT NOT NULL,
+    content_html TEXT,
+    content_meta JSONB,
+    content_render_version SMALLINT,
     author_id INTEGER NOT NULL REFERENCES users(id),
     post_id INTEGER NOT NULL REFERENCES community_posts(id) ON DELETE CASCADE,
     parent_id INTEGER REFERENCES community_comments(id),
@@ -447,6 +601,15 @@ CREATE TABLE community_comments (
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
 );
 
+-- 社区版块订阅表
+CREATE TABLE community_board_subscriptions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    board_id INTEGER NOT NULL REFERENCES community_boards(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, board_id)
+);
+
 -- 社区点赞表
 CREATE TABLE community_likes (
     id SERIAL PRIMARY KEY,
@@ -495,17 +658,25 @@ CREATE TABLE community_reports (
 CREATE TABLE community_punishments (
     id SERIAL PRIMARY KEY,
     user_id INTEGER NOT NULL REFERENCES users(id),
-    punishment_type VARCHAR(50) NOT NULL,
+    punishment_type VARCHAR(50) NOT NULL CHECK (punishment_type IN ('mute', 'post_ban', 'board_ban')),
+    board_id INTEGER REFERENCES community_boards(id) ON DELETE CASCADE,
+    report_id INTEGER REFERENCES community_reports(id) ON DELETE SET NULL,
     reason VARCHAR(255) NOT NULL,
     description TEXT,
     duration_hours INTEGER,
-    operator_id INTEGER NOT NULL REFERENCES users(id),
+    operator_id INTEGER REFERENCES users(id),
     is_active BOOLEAN DEFAULT TRUE,
     expires_at TIMESTAMPTZ,
+    revoked_by INTEGER REFERENCES users(id),
+    revoked_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CHECK (punishment_type <> 'board_ban' OR board_id IS NOT NULL)
 );
 
+CREATE INDEX idx_community_punishments_user_active ON community_punishments(user_id, is_active);
+CREATE INDEX idx_community_punishments_expires ON community_punishments(expires_at) WHERE is_active = TRUE;
+
 -- 社区通知表
 CREATE TABLE community_notifications (
     id SERIAL PRIMARY KEY,
@@ -523,6 +694,53 @@ CREATE TABLE community_notifications (
 CREATE INDEX idx_community_notifications_user ON community_notifications(user_id, created_at DESC);
 CREATE INDEX idx_community_notifications_user_type ON community_notifications(user_id, type);
 CREATE INDEX idx_community_notifications_user_read ON community_notifications(user_id, is_read);
+CREATE INDEX idx_community_notifications_related ON community_notifications(related_type, related_id);
+
+-- 系统公告表（定向投放、定时/周期发送，草稿-审核-发布）
+CREATE TABLE announcements (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    content TEXT NOT NULL,
+    audience JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'pending_review', 'rejected', 'scheduled', 'sending', 'completed', 'cancelled', 'failed')),
+    scheduled_at TIMESTAMP,
+    recurrence VARCHAR(20) NOT NULL DEFAULT 'none' CHECK (recurrence IN ('none', 'daily', 'weekly', 'monthly')),
+    recurrence_end_at TIMESTAMP,
+    next_run_at TIMESTAMP,
+    last_run_at TIMESTAMP,
+    run_count INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    -- 发送中的公告最近一次领取或续期的时间，超时未续期视为发送中断
+    claimed_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    submitted_at TIMESTAMP,
+    reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    review_note VARCHAR(500),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 系统公告投放记录表
+CREATE TABLE announcement_deliveries (
+    id SERIAL PRIMARY KEY,
+    announcement_id INTEGER NOT NULL REFERENCES announcements(id) ON DELETE CASCADE,
+    run_no INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    recipients INTEGER NOT NULL DEFAULT 0,
+    chunks INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    UNIQUE (announcement_id, run_no)
+);
+
+CREATE INDEX idx_announcements_status ON announcements(status, created_at DESC);
+CREATE INDEX idx_announcements_due ON announcements(next_run_at) WHERE status = 'scheduled';
+CREATE INDEX idx_announcements_sending ON announcements(claimed_at) WHERE status = 'sending';
+CREATE INDEX idx_announcement_deliveries_announcement ON announcement_deliveries(announcement_id, run_no DESC);
 
 -- 社区用户统计表
 CREATE TABLE community_user_stats (
@@ -570,6 +788,24 @@ CREATE TABLE download_records (
     downloaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- 下载令牌表（一次性、限时、绑定用户/文件/IP）
+CREATE TABLE download_tokens (
+    id SERIAL PRIMARY KEY,
+    jti VARCHAR(64) NOT NULL UNIQUE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    resource_id INTEGER NOT NULL, -- 保留resource_id用于历史记录，无外键约束
+    file_id INTEGER NOT NULL REFERENCES resource_files(id) ON DELETE CASCADE,
+    ip_address INET,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    used_ip INET,
+    used_user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_download_tokens_user ON download_tokens(user_id, created_at DESC);
+CREATE INDEX idx_download_tokens_expires ON download_tokens(expires_at);
+
 -- 每日购买记录表
 CREATE TABLE daily_purchases (
     id SERIAL PRIMARY KEY,
@@ -581,6 +817,8 @@ CREATE TABLE daily_purchases (
     UNIQUE(user_id, resource_id, purchase_date)
 );
 
+CREATE INDEX idx_daily_purchases_user_resource ON daily_purchases(user_id, resource_id);
+
 -- 用户收藏表
 CREATE TABLE user_favorites (
     id SERIAL PRIMARY KEY,
@@ -590,6 +828,30 @@ CREATE TABLE user_favorites (
     UNIQUE(user_id, resource_id)
 );
 
+-- 相关资源得分（由推荐任务根据点赞/收藏/下载共现与标签相似度计算）
+CREATE TABLE resource_similarities (
+    resource_id INTEGER NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    related_resource_id INTEGER NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    score NUMERIC(10, 6) NOT NULL,
+    co_score NUMERIC(10, 6) NOT NULL DEFAULT 0,
+    tag_score NUMERIC(10, 6) NOT NULL DEFAULT 0,
+    computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (resource_id, related_resource_id)
+);
+
+CREATE INDEX idx_resource_similarities_score ON resource_similarities(resource_id, score DESC);
+
+-- 用户标签偏好
+CREATE TABLE user_tag_affinities (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    score NUMERIC(10, 6) NOT NULL,
+    computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, tag_id)
+);
+
+CREATE INDEX idx_user_tag_affinities_tag ON user_tag_affinities(tag_id);
+
 -- ============================================================================
 -- VIP和积分系统
 -- ============================================================================
@@ -611,6 +873,29 @@ CREATE TABLE vip_levels (
     daily_download_limit INTEGER DEFAULT 50
 );
 
+-- VIP积分套餐表
+CREATE TABLE vip_packages (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    level INTEGER NOT NULL REFERENCES vip_levels(level),
+    days INTEGER NOT NULL CHECK (days > 0),
+    points_cost INTEGER NOT NULL CHECK (points_cost >= 0),
+    price DECIMAL(10,2) CHECK (price IS NULL OR price > 0),
+    original_price INTEGER CHECK (original_price IS NULL OR original_price >= 0),
+    discount NUMERIC(4,2) CHECK (discount IS NULL OR (discount > 0 AND discount <= 1)),
+    per_user_limit INTEGER CHECK (per_user_limit IS NULL OR per_user_limit > 0),
+    available_from TIMESTAMP,
+    available_until TIMESTAMP,
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (available_from IS NULL OR available_until IS NULL OR available_until > available_from)
+);
+
 CREATE TABLE alist_ingest_settings (
     id SERIAL PRIMARY KEY,
     title VARCHAR(100) NOT NULL,
@@ -619,6 +904,10 @@ CREATE TABLE alist_ingest_settings (
     resource_type_id INTEGER REFERENCES resource_types(id),
     author_id INTEGER REFERENCES users(id),
     is_active BOOLEAN DEFAULT TRUE,
+    schedule_cron VARCHAR(100),
+    schedule_enabled BOOLEAN DEFAULT FALSE,
+    metadata_extractors JSONB DEFAULT '["markdown"]'::jsonb,
+    extractor_options JSONB DEFAULT '{}'::jsonb,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(alist_root_path)
@@ -666,6 +955,58 @@ CREATE TABLE alist_ingest_uploads (
 
 CREATE INDEX idx_alist_ingest_uploads_status ON alist_ingest_uploads(status);
 
+-- Alist入库扫描任务表（后台执行，按目录断点续扫）
+CREATE TABLE alist_ingest_jobs (
+    id SERIAL PRIMARY KEY,
+    setting_id INTEGER NOT NULL REFERENCES alist_ingest_settings(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+    cursor TEXT,
+    total_folders INTEGER DEFAULT 0,
+    processed_count INTEGER DEFAULT 0,
+    created_count INTEGER DEFAULT 0,
+    updated_count INTEGER DEFAULT 0,
+    skipped_count INTEGER DEFAULT 0,
+    failed_count INTEGER DEFAULT 0,
+    errors JSONB DEFAULT '[]'::jsonb,
+    cancel_requested BOOLEAN DEFAULT FALSE,
+    triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    worker_id VARCHAR(100),
+    heartbeat_at TIMESTAMP,
+    last_error TEXT,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_alist_ingest_jobs_setting ON alist_ingest_jobs(setting_id, created_at DESC);
+CREATE INDEX idx_alist_ingest_jobs_status ON alist_ingest_jobs(status);
+-- 同一配置同时只允许一个未结束的任务
+CREATE UNIQUE INDEX idx_alist_ingest_jobs_active_setting ON alist_ingest_jobs(setting_id) WHERE status IN ('pending', 'running');
+
+-- Alist定时入库执行记录表（scheduled_for 唯一约束保证集群下同一触发点只执行一次）
+CREATE TABLE alist_ingest_schedule_runs (
+    id SERIAL PRIMARY KEY,
+    setting_id INTEGER NOT NULL REFERENCES alist_ingest_settings(id) ON DELETE CASCADE,
+    scheduled_for TIMESTAMP NOT NULL,
+    cron_expression VARCHAR(100),
+    status VARCHAR(20) DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed', 'skipped', 'interrupted')),
+    worker_id VARCHAR(100),
+    total_folders INTEGER DEFAULT 0,
+    created_count INTEGER DEFAULT 0,
+    updated_count INTEGER DEFAULT 0,
+    skipped_count INTEGER DEFAULT 0,
+    failed_count INTEGER DEFAULT 0,
+    errors JSONB DEFAULT '[]'::jsonb,
+    message TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    duration_ms INTEGER,
+    UNIQUE(setting_id, scheduled_for)
+);
+
+CREATE INDEX idx_alist_ingest_schedule_runs_setting ON alist_ingest_schedule_runs(setting_id, started_at DESC);
+
 -- 订单表（包含VIP订单与卡密订单等）
 CREATE TABLE orders (
     id SERIAL PRIMARY KEY,
@@ -674,15 +1015,73 @@ CREATE TABLE orders (
     price DECIMAL(10,2) NOT NULL,
     duration_days INTEGER NOT NULL,
     expire_at TIMESTAMP,
-    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'cancelled', 'expired')),
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'cancelled', 'expired', 'refunded')),
     payment_method VARCHAR(50),
     order_no VARCHAR(100) NOT NULL,
     card_key_code VARCHAR(50),
+    -- 在线支付字段
+    package_id INTEGER REFERENCES vip_packages(id),
+    subject VARCHAR(200),
+    currency VARCHAR(10) DEFAULT 'CNY',
+    provider_trade_no VARCHAR(128),
+    payment_data JSONB DEFAULT '{}'::jsonb,
+    payment_expires_at TIMESTAMP,
+    paid_at TIMESTAMP,
+    fulfilled_at TIMESTAMP,
+    -- 发放前用户生效中的VIP等级（0表示非VIP），全额冲正时恢复
+    previous_vip_level INTEGER,
+    refunded_amount DECIMAL(10,2) DEFAULT 0,
+    refunded_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(order_no)
 );
 
+-- VIP套餐购买记录表
+CREATE TABLE vip_package_purchases (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    package_id INTEGER NOT NULL REFERENCES vip_packages(id),
+    level INTEGER NOT NULL,
+    days INTEGER NOT NULL,
+    points_cost INTEGER NOT NULL,
+    vip_expire_at TIMESTAMP,
+    order_id INTEGER REFERENCES orders(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 支付渠道回调记录表
+CREATE TABLE payment_notifications (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(20) NOT NULL,
+    order_no VARCHAR(100),
+    provider_trade_no VARCHAR(128),
+    verified BOOLEAN NOT NULL DEFAULT FALSE,
+    trade_status VARCHAR(20),
+    amount DECIMAL(10,2),
+    result VARCHAR(50),
+    payload JSONB DEFAULT '{}'::jsonb,
+    error_message TEXT,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 支付退款单表（调用渠道前登记，退款单号由ID生成，重试沿用同一单号）
+CREATE TABLE payment_refunds (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    refund_no VARCHAR(64) NOT NULL UNIQUE,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'succeeded', 'failed')),
+    provider_status VARCHAR(20),
+    error_message TEXT,
+    operator_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- 邀请佣金记录表
 CREATE TABLE referral_commissions (
     id SERIAL PRIMARY KEY,
@@ -746,7 +1145,7 @@ CREATE TABLE card_keys (
     vip_days INTEGER DEFAULT 30,
     points INTEGER DEFAULT 0,
     download_credits INTEGER DEFAULT 0,
-    status VARCHAR(20) DEFAULT 'unused' CHECK (status IN ('unused', 'used', 'expired', 'disabled')),
+    status VARCHAR(20) DEFAULT 'unused' CHECK (status IN ('unused', 'used', 'expired', 'disabled', 'revoked')),
     used_by INTEGER REFERENCES users(id),
     used_at TIMESTAMP,
     expire_at TIMESTAMP,
@@ -757,6 +1156,26 @@ CREATE TABLE card_keys (
     value_amount NUMERIC(10,2) DEFAULT 0
 );
 
+-- 订单冲正记录（退款、拒付、卡密撤销），reference 唯一保证同一事件只处理一次
+CREATE TABLE order_reversals (
+    id SERIAL PRIMARY KEY,
+    reference VARCHAR(150) NOT NULL UNIQUE,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('refund', 'chargeback', 'card_revoke')),
+    order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    card_key_id INTEGER REFERENCES card_keys(id) ON DELETE SET NULL,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    ratio NUMERIC(5,4) NOT NULL DEFAULT 1 CHECK (ratio > 0 AND ratio <= 1),
+    vip_days_reversed INTEGER NOT NULL DEFAULT 0,
+    vip_cancelled BOOLEAN NOT NULL DEFAULT FALSE,
+    points_reversed INTEGER NOT NULL DEFAULT 0,
+    points_shortfall INTEGER NOT NULL DEFAULT 0,
+    download_credits_reversed INTEGER NOT NULL DEFAULT 0,
+    commissions JSONB DEFAULT '[]'::jsonb,
+    reason TEXT,
+    operator_id INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- 积分商品表
 CREATE TABLE points_products (
     id SERIAL PRIMARY KEY,
@@ -813,6 +1232,64 @@ CREATE TABLE points_records (
     related_type VARCHAR(50),
     balance_before INTEGER NOT NULL,
     balance_after INTEGER NOT NULL,
+    idempotency_key VARCHAR(150),
+    entry_group VARCHAR(64),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 积分对账批次（每日核对 users.points 与 points_records 分录合计）
+CREATE TABLE points_reconciliation_runs (
+    id SERIAL PRIMARY KEY,
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    trigger_type VARCHAR(20) NOT NULL DEFAULT 'schedule' CHECK (trigger_type IN ('schedule', 'manual')),
+    triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    users_checked INTEGER NOT NULL DEFAULT 0,
+    drift_users INTEGER NOT NULL DEFAULT 0,
+    total_drift INTEGER NOT NULL DEFAULT 0,
+    unbalanced_groups JSONB DEFAULT '[]'::jsonb,
+    error_message TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+-- 积分对账差异明细
+CREATE TABLE points_reconciliation_items (
+    id SERIAL PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES points_reconciliation_runs(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    balance INTEGER NOT NULL,
+    ledger_balance INTEGER NOT NULL,
+    drift INTEGER NOT NULL,
+    last_balance_after INTEGER,
+    entries_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 积分过期策略（按积分来源配置有效期，未配置的来源永不过期）
+CREATE TABLE points_expiry_policies (
+    id SERIAL PRIMARY KEY,
+    source VARCHAR(50) NOT NULL UNIQUE,
+    expire_days INTEGER NOT NULL CHECK (expire_days > 0),
+    notify_days INTEGER NOT NULL DEFAULT 7 CHECK (notify_days >= 0),
+    is_active BOOLEAN DEFAULT true,
+    description VARCHAR(255),
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 积分批次（每笔积分收入一个批次，支出按先进先出扣减）
+CREATE TABLE points_lots (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    record_id INTEGER REFERENCES points_records(id) ON DELETE SET NULL,
+    source VARCHAR(50) NOT NULL,
+    amount INTEGER NOT NULL CHECK (amount > 0),
+    remaining INTEGER NOT NULL CHECK (remaining >= 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'consumed', 'expired')),
+    expires_at TIMESTAMP,
+    notified_at TIMESTAMP,
+    expired_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -867,9 +1344,38 @@ CREATE TABLE refresh_tokens (
     id SERIAL PRIMARY KEY,
     user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     token_hash VARCHAR(255) NOT NULL,
+    family_id UUID NOT NULL, -- 登录会话ID，轮换后的令牌沿用
+    parent_id INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL, -- 被轮换的上一个令牌
+    device_name VARCHAR(100),
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    last_used_at TIMESTAMP,
+    last_used_ip VARCHAR(45),
     expires_at TIMESTAMP NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    is_revoked BOOLEAN DEFAULT FALSE
+    is_revoked BOOLEAN DEFAULT FALSE,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(30) CHECK (revoked_reason IN ('rotated', 'logout', 'user_revoked', 'admin_revoked', 'password_reset', 'reuse_detected'))
+);
+
+-- 用户两步验证（TOTP）表
+CREATE TABLE user_mfa (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret_encrypted TEXT NOT NULL, -- AES-256-GCM 加密后的TOTP密钥
+    is_enabled BOOLEAN NOT NULL DEFAULT FALSE, -- 未启用时为待确认的绑定
+    last_used_step BIGINT, -- 最近一次验证通过的时间步，防止验证码重放
+    enabled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 两步验证恢复码表
+CREATE TABLE user_mfa_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- 数据库迁移记录表
@@ -877,7 +1383,9 @@ CREATE TABLE schema_migrations (
     id SERIAL PRIMARY KEY,
     version VARCHAR(50) NOT NULL UNIQUE,
     executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    description TEXT
+    description TEXT,
+    checksum VARCHAR(64),
+    execution_time_ms INTEGER
 );
 
 -- ============================================================================
@@ -896,6 +1404,8 @@ CREATE INDEX idx_resources_author_id ON resources(author_id);
 CREATE INDEX idx_resources_category_id ON resources(category_id);
 CREATE INDEX idx_resources_resource_type_id ON resources(resource_type_id);
 CREATE INDEX idx_resources_status ON resources(status);
+CREATE INDEX idx_resources_publish_at ON resources(publish_at) WHERE status = 'scheduled';
+CREATE INDEX idx_resources_pending_review ON resources(submitted_at) WHERE status = 'pending_review';
 CREATE INDEX idx_resources_is_public ON resources(is_public);
 CREATE INDEX idx_resources_created_at ON resources(created_at);
 CREATE INDEX idx_resources_view_count ON resources(view_count);
@@ -940,6 +1450,25 @@ CREATE TABLE user_login_logs (
 CREATE INDEX idx_user_login_logs_user_id ON user_login_logs(user_id);
 CREATE INDEX idx_user_login_logs_status ON user_login_logs(status);
 CREATE INDEX idx_user_login_logs_login_at ON user_login_logs(login_at);
+CREATE INDEX idx_user_login_logs_identifier ON user_login_logs(LOWER(identifier), login_at);
+CREATE INDEX idx_user_login_logs_ip ON user_login_logs(ip_address, login_at);
+
+-- 登录锁定记录表（按账号标识或IP，逐级延长锁定时长）
+CREATE TABLE login_lockouts (
+    id SERIAL PRIMARY KEY,
+    scope VARCHAR(10) NOT NULL CHECK (scope IN ('account', 'ip')),
+    scope_key VARCHAR(255) NOT NULL, -- account: 小写的登录标识；ip: IP地址
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    lock_level INTEGER NOT NULL DEFAULT 1, -- 重置周期内的第几次锁定
+    failure_count INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP NOT NULL,
+    unlocked_at TIMESTAMP,
+    unlocked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_login_lockouts_scope_key ON login_lockouts(scope, scope_key, created_at DESC);
+CREATE INDEX idx_login_lockouts_active ON login_lockouts(locked_until) WHERE unlocked_at IS NULL;
 
 -- 系统操作日志表
 CREATE TABLE system_operation_logs (
@@ -983,11 +1512,27 @@ CREATE INDEX idx_role_permissions_role_id ON role_permissions(role_id);
 -- 刷新令牌索引
 CREATE INDEX idx_refresh_tokens_user_id ON refresh_tokens(user_id);
 CREATE INDEX idx_refresh_tokens_token_hash ON refresh_tokens(token_hash);
+CREATE INDEX idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX idx_user_mfa_recovery_codes_user_id ON user_mfa_recovery_codes(user_id);
 
 -- VIP订单索引
 CREATE INDEX idx_orders_user_id ON orders(user_id);
 CREATE INDEX idx_orders_status ON orders(status);
 CREATE INDEX idx_orders_order_no ON orders(order_no);
+CREATE INDEX idx_orders_pending_expiry ON orders(payment_expires_at) WHERE status = 'pending';
+CREATE INDEX idx_orders_unfulfilled ON orders(paid_at) WHERE status = 'paid' AND fulfilled_at IS NULL;
+CREATE UNIQUE INDEX uq_orders_provider_trade_no ON orders(payment_method, provider_trade_no) WHERE provider_trade_no IS NOT NULL;
+CREATE INDEX idx_payment_notifications_order ON payment_notifications(order_no, created_at DESC);
+CREATE INDEX idx_payment_refunds_order ON payment_refunds(order_id, created_at DESC);
+CREATE UNIQUE INDEX uq_payment_refunds_processing ON payment_refunds(order_id) WHERE status = 'processing';
+CREATE INDEX idx_order_reversals_order ON order_reversals(order_id);
+CREATE INDEX idx_order_reversals_user ON order_reversals(user_id, created_at DESC);
+
+-- VIP套餐索引
+CREATE INDEX idx_vip_packages_active ON vip_packages(is_active, sort_order);
+CREATE INDEX idx_vip_package_purchases_user ON vip_package_purchases(user_id, package_id);
+CREATE INDEX idx_vip_package_purchases_package ON vip_package_purchases(package_id, created_at DESC);
+CREATE UNIQUE INDEX uq_vip_package_purchases_order ON vip_package_purchases(order_id) WHERE order_id IS NOT NULL;
 
 -- 社区相关索引
 CREATE INDEX idx_community_posts_board_id ON community_posts(board_id);
@@ -1000,10 +1545,18 @@ CREATE INDEX idx_community_comments_author_id ON community_comments(author_id);
 CREATE INDEX idx_community_comments_parent_id ON community_comments(parent_id);
 CREATE INDEX idx_community_comments_is_deleted ON community_comments(is_deleted);
 
+-- 动态流索引
+CREATE INDEX idx_community_board_subscriptions_board ON community_board_subscriptions(board_id);
+CREATE INDEX idx_community_posts_board_created ON community_posts(board_id, created_at DESC);
+CREATE INDEX idx_community_posts_author_created ON community_posts(author_id, created_at DESC);
+CREATE INDEX idx_community_comments_author_created ON community_comments(author_id, created_at DESC);
+
 -- 行为跟踪索引
 CREATE INDEX idx_download_records_user_id ON download_records(user_id);
 CREATE INDEX idx_download_records_resource_id ON download_records(resource_id);
 CREATE INDEX idx_download_records_created_at ON download_records(created_at);
+CREATE INDEX idx_download_records_user_resource ON download_records(user_id, resource_id);
+CREATE INDEX idx_user_favorites_resource ON user_favorites(resource_id);
 
 CREATE INDEX idx_user_points_user_id ON user_points(user_id);
 CREATE INDEX idx_user_points_resource_id ON user_points(resource_id);
@@ -1027,6 +1580,12 @@ CREATE INDEX idx_points_records_type ON points_records(type);
 CREATE INDEX idx_points_records_source ON points_records(source);
 CREATE INDEX idx_points_records_created_at ON points_records(created_at);
 CREATE INDEX idx_points_records_related ON points_records(related_type, related_id);
+CREATE UNIQUE INDEX idx_points_records_idempotency ON points_records(idempotency_key) WHERE idempotency_key IS NOT NULL;
+CREATE INDEX idx_points_records_entry_group ON points_records(entry_group) WHERE entry_group IS NOT NULL;
+CREATE INDEX idx_points_reconciliation_runs_started ON points_reconciliation_runs(started_at DESC);
+CREATE INDEX idx_points_reconciliation_items_run ON points_reconciliation_items(run_id);
+CREATE INDEX idx_points_lots_user_active ON points_lots(user_id, created_at, id) WHERE status = 'active';
+CREATE INDEX idx_points_lots_expires ON points_lots(expires_at) WHERE status = 'active' AND expires_at IS NOT NULL;
 CREATE INDEX idx_points_exchanges_user_id ON points_exchanges(user_id);
 CREATE INDEX idx_points_exchanges_product_id ON points_exchanges(product_id);
 CREATE INDEX idx_points_exchanges_status ON points_exchanges(status);
@@ -1076,11 +1635,11 @@ CREATE TRIGGER update_resource_comments_updated_at
 -- ============================================================================
 
 -- 插入默认角色
-INSERT INTO roles (name, display_name, description) VALUES
-('admin', '管理员', '系统管理员，具有最高权限'),
-('moderator', '版主', '版主用户，具有内容管理权限'),
-('vip', 'VIP用户', 'VIP用户，享有高级功能权限'),
-('user', '普通用户', '系统普通用户，具有基本功能权限');
+INSERT INTO roles (name, display_name, description, mfa_required) VALUES
+('admin', '管理员', '系统管理员，具有最高权限', TRUE),
+('moderator', '版主', '版主用户，具有内容管理权限', TRUE),
+('vip', 'VIP用户', 'VIP用户，享有高级功能权限', FALSE),
+('user', '普通用户', '系统普通用户，具有基本功能权限', FALSE);
 
 -- 插入默认权限（覆盖应用所需全量项，含点号/冒号两种命名）
 INSERT INTO permissions (name, display_name, description, resource, action) VALUES
@@ -1168,6 +1727,10 @@ INSERT INTO permissions (name, display_name, description, resource, action) VALU
 ('vip:user:cancel', '取消用户VIP', '取消用户的VIP状态', 'vip_user', 'cancel'),
 ('vip:order:read', '查看VIP订单', '查看VIP购买和订单记录', 'vip_order', 'read'),
 ('vip:order:update', '更新VIP订单', '更新VIP订单状态', 'vip_order', 'update'),
+('vip:package:create', '创建VIP套餐', '创建VIP积分套餐', 'vip_package', 'create'),
+('vip:package:read', '查看VIP套餐', '查看VIP套餐配置与购买记录', 'vip_package', 'read'),
+('vip:package:update', '更新VIP套餐', '修改VIP套餐配置', 'vip_package', 'update'),
+('vip:package:delete', '删除VIP套餐', '下架VIP套餐', 'vip_package', 'delete'),
 ('card_key:generate', '生成卡密', '生成单个或批量卡密', 'card_key', 'generate'),
 ('card_key:read', '查看卡密', '查看卡密信息和列表', 'card_key', 'read'),
 ('card_key:update', '更新卡密', '更新卡密状态', 'card_key', 'update'),
@@ -1192,6 +1755,10 @@ INSERT INTO permissions (name, display_name, description, resource, action) VALU
 ('checkin:statistics', '签到统计', '查看签到系统统计数据', 'checkin', 'statistics'),
 ('referral:commission:read', '查看邀请佣金配置', '查看邀请佣金开关与比例', 'referral', 'read'),
 ('referral:commission:update', '更新邀请佣金配置', '调整邀请佣金启用状态与比例', 'referral', 'update'),
+('announcement:read', '查看系统公告', '查看系统公告、投放记录与阅读统计', 'announcement', 'read'),
+('announcement:create', '撰写系统公告', '创建、编辑并提交系统公告草稿', 'announcement', 'create'),
+('announcement:review', '审核系统公告', '审核通过（发布）或驳回系统公告', 'announcement', 'review'),
+('announcement:cancel', '取消系统公告', '取消待发送或周期发送中的系统公告', 'announcement', 'cancel'),
 
 -- 其它功能
 ('content:create_advanced', '创建高级内容', 'VIP用户创建高级内容权限', 'content', 'create_advanced'),
@@ -1215,12 +1782,13 @@ AND p.name IN (
     'category:read','tag:read','tag:update','tag:delete',
     'review:read','review:moderate','review:delete','report:handle',
     'community:post:edit_any','community:post:delete_any','community:post:pin','community:post:feature','community:post:lock',
-    'community:comment:delete_any','community:moderate','community:board:manage','community:report:handle',
+    'community:comment:delete_any','community:moderate','community:board:manage','community:report:handle','community:punish',
     'community:like','community:favorite','community:share',
-    'vip:level:read','vip:user:read','vip:order:read',
+    'vip:level:read','vip:user:read','vip:order:read','vip:package:read',
     'card_key:read','card_key:statistics',
     'points:read','points:statistics',
-    'checkin:read','checkin:config:read','checkin:statistics'
+    'checkin:read','checkin:config:read','checkin:statistics',
+    'announcement:read','announcement:create'
 );
 
 -- 普通用户权限（基础发帖/评论/互动/资源读写）
@@ -1284,6 +1852,13 @@ INSERT INTO vip_levels (level, name, price, duration_days, daily_download_limit,
 (2, '季度VIP', 79.90, 90, 100, '季度VIP会员，享受更多下载权限和优惠'),
 (3, '年度VIP', 299.90, 365, 200, '年度VIP会员，享受最高权限和最大优惠');
 
+-- 插入默认VIP积分套餐
+INSERT INTO vip_packages (code, name, level, days, points_cost, original_price, discount, sort_order) VALUES
+('vip1_7d', 'VIP1 周卡', 1, 7, 50, 70, 0.71, 10),
+('vip1_30d', 'VIP1 月卡', 1, 30, 200, 300, 0.67, 20),
+('vip2_30d', 'VIP2 月卡', 2, 30, 400, 600, 0.67, 30),
+('vip3_30d', 'VIP3 月卡', 3, 30, 800, 1200, 0.67, 40);
+
 -- 插入默认签到配置
 INSERT INTO checkin_configs (day, points_reward, description) VALUES
 (1, 5, '第1天签到奖励'),
@@ -0,0 +1,368 @@
+/**
+ * 数据库版本迁移工具
+ * 在 install.sql 基线之上按版本号顺序执行 database/migrations 下的 up/down 迁移文件，
+ * 执行记录与校验和写入 schema_migrations；通过咨询锁保证集群中同一时刻只有一个进程执行迁移
+ *
+ * 用法：
+ *   node database/migrate.js migrate [--to <version>]
+ *   node database/migrate.js rollback [--steps <n>]
+ *   node database/migrate.js status
+ *   node database/migrate.js create <name>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pool, closePool } = require('../src/config/database');
+const { logger } = require('../src/utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_LOCK_NAMESPACE = 41003;
+const FILE_PATTERN = /^(\d{4,})_([a-z0-9_]+)\.(up|down)\.sql$/;
+const NAME_PATTERN = /^[a-z0-9_]+$/;
+// 文件中包含该指令时不包裹事务（如 CREATE INDEX CONCURRENTLY）
+const NO_TRANSACTION_DIRECTIVE = /^--\s*migrate:no-transaction\s*$/m;
+
+const computeChecksum = (sql) => crypto
+  .createHash('sha256')
+  .update(sql.replace(/\r\n/g, '\n'))
+  .digest('hex');
+
+const compareVersions = (a, b) => {
+  const diff = BigInt(a) - BigInt(b);
+  return diff === 0n ? 0 : (diff > 0n ? 1 : -1);
+};
+
+/**
+ * 读取迁移文件
+ * @returns {Array<{version: string, name: string, upFile: string, downFile: string|null, checksum: string}>}
+ */
+function loadMigrations() {
+  if (!fs.existsSync(MIGRATIONS_DIR)) {
+    return [];
+  }
+
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) || { version, name, upFile: null, downFile: null };
+
+    if (migration.name !== name) {
+      throw new Error(`迁移版本号重复: ${version}（${migration.name} / ${name}）`);
+    }
+
+    migration[direction === 'up' ? 'upFile' : 'downFile'] = path.join(MIGRATIONS_DIR, file);
+    migrations.set(version, migration);
+  }
+
+  return [...migrations.values()]
+    .map((migration) => {
+      if (!migration.upFile) {
+        throw new Error(`迁移 ${migration.version}_${migration.name} 缺少 up 文件`);
+      }
+
+      return {
+        ...migration,
+        checksum: computeChecksum(fs.readFileSync(migration.upFile, 'utf8'))
+      };
+    })
+    .sort((a, b) => compareVersions(a.version, b.version));
+}
+
+/**
+ * 确保迁移记录表及校验字段存在（兼容旧版 install.sql 创建的表）
+ */
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id SERIAL PRIMARY KEY,
+      version VARCHAR(50) NOT NULL UNIQUE,
+      executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      description TEXT
+    )
+  `);
+  await client.query(`
+    ALTER TABLE schema_migrations
+      ADD COLUMN IF NOT EXISTS checksum VARCHAR(64),
+      ADD COLUMN IF NOT EXISTS execution_time_ms INTEGER
+  `);
+}
+
+/**
+ * 获取已执行的版本迁移（install.sql 写入的基线记录不参与）
+ */
+async function getAppliedMigrations(client) {
+  const result = await client.query(
+    `SELECT version, description, checksum, execution_time_ms, executed_at
+     FROM schema_migrations
+     WHERE version ~ '^[0-9]+$'`
+  );
+
+  return new Map(result.rows.map((row) => [row.version, row]));
+}
+
+/**
+ * 在迁移咨询锁内执行（阻塞等待，后到的进程在前一个完成后继续，通常已无待执行迁移）
+ */
+async function withMigrationLock(callback) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1, 0)', [MIGRATION_LOCK_NAMESPACE]);
+
+    try {
+      await ensureMigrationsTable(client);
+      return await callback(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1, 0)', [MIGRATION_LOCK_NAMESPACE]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * 执行迁移文件，并在同一事务内更新 schema_migrations
+ * @param {Object} client - 持有迁移锁的连接
+ * @param {string} file - SQL文件路径
+ * @param {Function} record - (client, executionTimeMs) => Promise，写入或删除迁移记录
+ */
+async function executeMigrationFile(client, file, record) {
+  const sql = fs.readFileSync(file, 'utf8');
+  const useTransaction = !NO_TRANSACTION_DIRECTIVE.test(sql);
+  const startTime = Date.now();
+
+  if (!useTransaction) {
+    await client.query(sql);
+    await record(client, Date.now() - startTime);
+    return;
+  }
+
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await record(client, Date.now() - startTime);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * 执行待执行的迁移
+ * @param {Object} [options]
+ * @param {string} [options.to] - 最多执行到的版本号
+ * @returns {Promise<string[]>} 本次执行的迁移
+ */
+async function migrate({ to = null } = {}) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+
+    const modified = migrations.filter((migration) => {
+      const record = applied.get(migration.version);
+      return record && record.checksum && record.checksum !== migration.checksum;
+    });
+
+    if (modified.length > 0) {
+      throw new Error(`已执行的迁移文件被修改，请改为新增迁移: ${modified.map((m) => `${m.version}_${m.name}`).join(', ')}`);
+    }
+
+    const pending = migrations.filter((migration) => !applied.has(migration.version)
+      && (to === null || compareVersions(migration.version, to) <= 0));
+
+    if (pending.length === 0) {
+      logger.info('数据库已是最新版本，无待执行的迁移');
+      return [];
+    }
+
+    const executed = [];
+    for (const migration of pending) {
+      const label = `${migration.version}_${migration.name}`;
+      logger.info(`执行迁移: ${label}`);
+
+      await executeMigrationFile(client, migration.upFile, (conn, executionTime) => conn.query(
+        `INSERT INTO schema_migrations (version, description, checksum, execution_time_ms)
+         VALUES ($1, $2, $3, $4)`,
+        [migration.version, migration.name, migration.checksum, executionTime]
+      ));
+      executed.push(label);
+    }
+
+    logger.info(`迁移完成，共执行 ${executed.length} 个`, { migrations: executed });
+    return executed;
+  });
+}
+
+/**
+ * 回滚最近执行的迁移
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - 回滚数量
+ * @returns {Promise<string[]>} 本次回滚的迁移
+ */
+async function rollback({ steps = 1 } = {}) {
+  const migrations = new Map(loadMigrations().map((migration) => [migration.version, migration]));
+
+  return withMigrationLock(async (client) => {
+    const applied = [...(await getAppliedMigrations(client)).keys()]
+      .sort((a, b) => compareVersions(b, a))
+      .slice(0, steps);
+
+    if (applied.length === 0) {
+      logger.info('没有可回滚的迁移');
+      return [];
+    }
+
+    const rolledBack = [];
+    for (const version of applied) {
+      const migration = migrations.get(version);
+      if (!migration || !migration.downFile) {
+        throw new Error(`迁移 ${version} 缺少 down 文件，无法回滚`);
+      }
+
+      const label = `${migration.version}_${migration.name}`;
+      logger.info(`回滚迁移: ${label}`);
+
+      await executeMigrationFile(client, migration.downFile, (conn) => conn.query(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [migration.version]
+      ));
+      rolledBack.push(label);
+    }
+
+    logger.info(`回滚完成，共回滚 ${rolledBack.length} 个`, { migrations: rolledBack });
+    return rolledBack;
+  });
+}
+
+/**
+ * 查看迁移状态
+ * @returns {Promise<Array<{version: string, name: string, status: string, executed_at: Date|null}>>}
+ * status: applied 已执行 / pending 待执行 / modified 执行后文件被修改 / missing 已执行但文件不存在
+ */
+async function status() {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const rows = migrations.map((migration) => {
+      const record = applied.get(migration.version);
+      let state = 'pending';
+      if (record) {
+        state = record.checksum && record.checksum !== migration.checksum ? 'modified' : 'applied';
+      }
+
+      return {
+        version: migration.version,
+        name: migration.name,
+        status: state,
+        executed_at: record ? record.executed_at : null
+      };
+    });
+
+    for (const [version, record] of applied) {
+      if (!migrations.some((migration) => migration.version === version)) {
+        rows.push({
+          version,
+          name: record.description,
+          status: 'missing',
+          executed_at: record.executed_at
+        });
+      }
+    }
+
+    return rows.sort((a, b) => compareVersions(a.version, b.version));
+  });
+}
+
+/**
+ * 新建一对空的迁移文件
+ * @param {string} name - 迁移名称（小写字母、数字、下划线）
+ * @returns {{upFile: string, downFile: string}}
+ */
+function create(name) {
+  if (!name || !NAME_PATTERN.test(name)) {
+    throw new Error('迁移名称只能包含小写字母、数字和下划线');
+  }
+
+  const migrations = loadMigrations();
+  const lastVersion = migrations.length > 0 ? Number(migrations[migrations.length - 1].version) : 0;
+  const version = String(lastVersion + 1).padStart(4, '0');
+
+  fs.mkdirSync(MIGRATIONS_DIR, { recursive: true });
+  const upFile = path.join(MIGRATIONS_DIR, `${version}_${name}.up.sql`);
+  const downFile = path.join(MIGRATIONS_DIR, `${version}_${name}.down.sql`);
+
+  fs.writeFileSync(upFile, `-- ${version}_${name}\n\n`);
+  fs.writeFileSync(downFile, `-- 回滚 ${version}_${name}\n\n`);
+
+  return { upFile, downFile };
+}
+
+const readOption = (args, flag) => {
+  const index = args.indexOf(flag);
+  return index === -1 ? null : args[index + 1];
+};
+
+async function main(args) {
+  const [command, ...rest] = args;
+
+  switch (command) {
+    case 'migrate':
+      await migrate({ to: readOption(rest, '--to') });
+      break;
+    case 'rollback': {
+      const steps = parseInt(readOption(rest, '--steps') || '1', 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--steps 必须是正整数');
+      }
+      await rollback({ steps });
+      break;
+    }
+    case 'status': {
+      const rows = await status();
+      if (rows.length === 0) {
+        logger.info('没有迁移文件');
+      }
+      rows.forEach((row) => {
+        const executedAt = row.executed_at ? new Date(row.executed_at).toISOString() : '-';
+        logger.info(`${row.status.padEnd(8)} ${row.version}_${row.name}  ${executedAt}`);
+      });
+      break;
+    }
+    case 'create': {
+      const { upFile, downFile } = create(rest[0]);
+      logger.info(`已创建迁移文件:\n  ${upFile}\n  ${downFile}`);
+      break;
+    }
+    default:
+      throw new Error('用法: node database/migrate.js <migrate [--to <version>] | rollback [--steps <n>] | status | create <name>>');
+  }
+}
+
+// 如果直接运行此脚本，则执行对应命令
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => closePool())
+    .catch(async (error) => {
+      logger.error('数据库迁移失败:', error);
+      await closePool();
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  migrate,
+  rollback,
+  status,
+  create,
+  loadMigrations
+};
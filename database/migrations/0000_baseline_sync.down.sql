@@ -0,0 +1,41 @@
+-- 回滚 0000_baseline_sync
+
+DROP TABLE IF EXISTS login_lockouts;
+DROP INDEX IF EXISTS idx_user_login_logs_ip;
+DROP INDEX IF EXISTS idx_user_login_logs_identifier;
+
+DROP TABLE IF EXISTS user_mfa_recovery_codes;
+DROP TABLE IF EXISTS user_mfa;
+
+DROP INDEX IF EXISTS idx_refresh_tokens_family_id;
+ALTER TABLE refresh_tokens
+    DROP COLUMN IF EXISTS revoked_reason,
+    DROP COLUMN IF EXISTS revoked_at,
+    DROP COLUMN IF EXISTS last_used_ip,
+    DROP COLUMN IF EXISTS last_used_at,
+    DROP COLUMN IF EXISTS ip_address,
+    DROP COLUMN IF EXISTS user_agent,
+    DROP COLUMN IF EXISTS device_name,
+    DROP COLUMN IF EXISTS parent_id,
+    DROP COLUMN IF EXISTS family_id;
+
+DROP TABLE IF EXISTS alist_ingest_schedule_runs;
+DROP TABLE IF EXISTS alist_ingest_jobs;
+ALTER TABLE alist_ingest_settings
+    DROP COLUMN IF EXISTS extractor_options,
+    DROP COLUMN IF EXISTS metadata_extractors,
+    DROP COLUMN IF EXISTS schedule_enabled,
+    DROP COLUMN IF EXISTS schedule_cron;
+
+DROP TABLE IF EXISTS download_tokens;
+
+DROP TABLE IF EXISTS search_documents;
+DROP INDEX IF EXISTS idx_search_records_zero_results;
+DROP INDEX IF EXISTS idx_search_records_keyword_prefix;
+ALTER TABLE search_records DROP COLUMN IF EXISTS result_count;
+
+DROP TABLE IF EXISTS resource_upload_sessions;
+ALTER TABLE resources DROP COLUMN IF EXISTS required_vip_level;
+
+DELETE FROM system_settings WHERE key IN ('resource_upload_policy', 'login_security');
+ALTER TABLE roles DROP COLUMN IF EXISTS mfa_required;
@@ -0,0 +1,211 @@
+-- 0000_baseline_sync
+-- 同步基线结构：上一版本的数据库补齐此前只写入 install.sql 的表、字段、索引和默认配置
+-- （直传上传会话、搜索索引、下载令牌、Alist后台/定时入库、刷新令牌会话、两步验证、登录锁定）
+
+-- 角色两步验证要求
+ALTER TABLE roles ADD COLUMN IF NOT EXISTS mfa_required BOOLEAN NOT NULL DEFAULT FALSE;
+UPDATE roles SET mfa_required = TRUE WHERE name IN ('admin', 'moderator');
+
+INSERT INTO system_settings (key, value, description) VALUES
+('resource_upload_policy', '{"roles": {"user": {"max_file_size": 2147483648, "allowed_extensions": ["zip", "rar", "7z", "tar", "gz", "pdf", "epub", "mp4", "mkv", "mov", "mp3", "flac"]}, "vip": {"max_file_size": 5368709120, "allowed_extensions": ["zip", "rar", "7z", "tar", "gz", "pdf", "epub", "mp4", "mkv", "mov", "webm", "mp3", "flac", "wav"]}, "moderator": {"max_file_size": 10737418240, "allowed_extensions": ["*"]}, "admin": {"max_file_size": 53687091200, "allowed_extensions": ["*"]}}}', '资源文件直传上传策略（按角色限制大小和扩展名）'),
+('login_security', '{"enabled": true, "account_max_failures": 5, "ip_max_failures": 20, "failure_window_minutes": 15, "lockout_minutes": 15, "lockout_multiplier": 2, "max_lockout_minutes": 1440, "escalation_reset_hours": 24, "notify_new_login": true}', '登录安全策略（失败锁定阈值、逐级锁定时长、新设备登录提醒）')
+ON CONFLICT (key) DO NOTHING;
+
+-- 资源VIP等级限制
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS required_vip_level INTEGER DEFAULT 0;
+
+-- 资源文件分片上传会话表（MinIO预签名直传）
+CREATE TABLE IF NOT EXISTS resource_upload_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    resource_id INTEGER NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    bucket VARCHAR(100) NOT NULL,
+    object_name VARCHAR(500) NOT NULL,
+    upload_id VARCHAR(255) NOT NULL UNIQUE,
+    original_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100),
+    file_extension VARCHAR(10),
+    file_size BIGINT NOT NULL,
+    part_size BIGINT NOT NULL,
+    total_parts INTEGER NOT NULL,
+    status VARCHAR(20) DEFAULT 'uploading' CHECK (status IN ('uploading', 'completed', 'aborted', 'expired')),
+    resource_file_id INTEGER REFERENCES resource_files(id) ON DELETE SET NULL,
+    error_message TEXT,
+    expires_at TIMESTAMP NOT NULL,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_resource_upload_sessions_user ON resource_upload_sessions(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_resource_upload_sessions_expires ON resource_upload_sessions(expires_at) WHERE status = 'uploading';
+
+-- 搜索记录结果数（零结果统计）
+ALTER TABLE search_records ADD COLUMN IF NOT EXISTS result_count INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_search_records_keyword_prefix ON search_records(normalized_keyword text_pattern_ops);
+CREATE INDEX IF NOT EXISTS idx_search_records_zero_results ON search_records(created_at) WHERE result_count = 0;
+
+-- 搜索索引表（资源、社区帖子、标签统一索引），由同步任务按 source_updated_at 增量写入
+CREATE TABLE IF NOT EXISTS search_documents (
+    id SERIAL PRIMARY KEY,
+    doc_type VARCHAR(20) NOT NULL CHECK (doc_type IN ('resource', 'post', 'tag')),
+    doc_id INTEGER NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    body TEXT,
+    search_vector TSVECTOR NOT NULL,
+    category_id INTEGER,
+    resource_type_id INTEGER,
+    required_vip_level INTEGER,
+    board_id INTEGER,
+    tag_ids INTEGER[] DEFAULT '{}'::integer[],
+    is_visible BOOLEAN DEFAULT TRUE,
+    popularity INTEGER DEFAULT 0,
+    published_at TIMESTAMPTZ,
+    source_updated_at TIMESTAMPTZ,
+    indexed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(doc_type, doc_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_documents_vector ON search_documents USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_search_documents_tag_ids ON search_documents USING GIN(tag_ids);
+CREATE INDEX IF NOT EXISTS idx_search_documents_type_visible ON search_documents(doc_type, is_visible);
+CREATE INDEX IF NOT EXISTS idx_search_documents_title_prefix ON search_documents(lower(title) text_pattern_ops) WHERE is_visible = TRUE;
+
+-- 下载令牌表（一次性、限时、绑定用户/文件/IP）
+CREATE TABLE IF NOT EXISTS download_tokens (
+    id SERIAL PRIMARY KEY,
+    jti VARCHAR(64) NOT NULL UNIQUE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    resource_id INTEGER NOT NULL, -- 保留resource_id用于历史记录，无外键约束
+    file_id INTEGER NOT NULL REFERENCES resource_files(id) ON DELETE CASCADE,
+    ip_address INET,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    used_ip INET,
+    used_user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_download_tokens_user ON download_tokens(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_download_tokens_expires ON download_tokens(expires_at);
+
+-- Alist入库定时任务与元数据提取配置
+ALTER TABLE alist_ingest_settings ADD COLUMN IF NOT EXISTS schedule_cron VARCHAR(100);
+ALTER TABLE alist_ingest_settings ADD COLUMN IF NOT EXISTS schedule_enabled BOOLEAN DEFAULT FALSE;
+ALTER TABLE alist_ingest_settings ADD COLUMN IF NOT EXISTS metadata_extractors JSONB DEFAULT '["markdown"]'::jsonb;
+ALTER TABLE alist_ingest_settings ADD COLUMN IF NOT EXISTS extractor_options JSONB DEFAULT '{}'::jsonb;
+
+-- Alist入库扫描任务表（后台执行，按目录断点续扫）
+CREATE TABLE IF NOT EXISTS alist_ingest_jobs (
+    id SERIAL PRIMARY KEY,
+    setting_id INTEGER NOT NULL REFERENCES alist_ingest_settings(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+    cursor TEXT,
+    total_folders INTEGER DEFAULT 0,
+    processed_count INTEGER DEFAULT 0,
+    created_count INTEGER DEFAULT 0,
+    updated_count INTEGER DEFAULT 0,
+    skipped_count INTEGER DEFAULT 0,
+    failed_count INTEGER DEFAULT 0,
+    errors JSONB DEFAULT '[]'::jsonb,
+    cancel_requested BOOLEAN DEFAULT FALSE,
+    triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    worker_id VARCHAR(100),
+    heartbeat_at TIMESTAMP,
+    last_error TEXT,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alist_ingest_jobs_setting ON alist_ingest_jobs(setting_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alist_ingest_jobs_status ON alist_ingest_jobs(status);
+-- 同一配置同时只允许一个未结束的任务
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alist_ingest_jobs_active_setting ON alist_ingest_jobs(setting_id) WHERE status IN ('pending', 'running');
+
+-- Alist定时入库执行记录表（scheduled_for 唯一约束保证集群下同一触发点只执行一次）
+CREATE TABLE IF NOT EXISTS alist_ingest_schedule_runs (
+    id SERIAL PRIMARY KEY,
+    setting_id INTEGER NOT NULL REFERENCES alist_ingest_settings(id) ON DELETE CASCADE,
+    scheduled_for TIMESTAMP NOT NULL,
+    cron_expression VARCHAR(100),
+    status VARCHAR(20) DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed', 'skipped', 'interrupted')),
+    worker_id VARCHAR(100),
+    total_folders INTEGER DEFAULT 0,
+    created_count INTEGER DEFAULT 0,
+    updated_count INTEGER DEFAULT 0,
+    skipped_count INTEGER DEFAULT 0,
+    failed_count INTEGER DEFAULT 0,
+    errors JSONB DEFAULT '[]'::jsonb,
+    message TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    duration_ms INTEGER,
+    UNIQUE(setting_id, scheduled_for)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alist_ingest_schedule_runs_setting ON alist_ingest_schedule_runs(setting_id, started_at DESC);
+
+-- 刷新令牌登录会话：已有令牌各自作为一个独立会话
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS family_id UUID;
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL;
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS device_name VARCHAR(100);
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45);
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP;
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS last_used_ip VARCHAR(45);
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS revoked_reason VARCHAR(30) CHECK (revoked_reason IN ('rotated', 'logout', 'user_revoked', 'admin_revoked', 'password_reset', 'reuse_detected'));
+
+UPDATE refresh_tokens
+SET family_id = md5(id::text || random()::text || clock_timestamp()::text)::uuid
+WHERE family_id IS NULL;
+
+ALTER TABLE refresh_tokens ALTER COLUMN family_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+
+-- 用户两步验证（TOTP）表
+CREATE TABLE IF NOT EXISTS user_mfa (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret_encrypted TEXT NOT NULL, -- AES-256-GCM 加密后的TOTP密钥
+    is_enabled BOOLEAN NOT NULL DEFAULT FALSE, -- 未启用时为待确认的绑定
+    last_used_step BIGINT, -- 最近一次验证通过的时间步，防止验证码重放
+    enabled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 两步验证恢复码表
+CREATE TABLE IF NOT EXISTS user_mfa_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_mfa_recovery_codes_user_id ON user_mfa_recovery_codes(user_id);
+
+-- 登录失败统计索引
+CREATE INDEX IF NOT EXISTS idx_user_login_logs_identifier ON user_login_logs(LOWER(identifier), login_at);
+CREATE INDEX IF NOT EXISTS idx_user_login_logs_ip ON user_login_logs(ip_address, login_at);
+
+-- 登录锁定记录表（按账号标识或IP，逐级延长锁定时长）
+CREATE TABLE IF NOT EXISTS login_lockouts (
+    id SERIAL PRIMARY KEY,
+    scope VARCHAR(10) NOT NULL CHECK (scope IN ('account', 'ip')),
+    scope_key VARCHAR(255) NOT NULL, -- account: 小写的登录标识；ip: IP地址
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    lock_level INTEGER NOT NULL DEFAULT 1, -- 重置周期内的第几次锁定
+    failure_count INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP NOT NULL,
+    unlocked_at TIMESTAMP,
+    unlocked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_lockouts_scope_key ON login_lockouts(scope, scope_key, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_lockouts_active ON login_lockouts(locked_until) WHERE unlocked_at IS NULL;
@@ -0,0 +1,6 @@
+-- 回滚 0001_create_vip_packages
+
+DROP TABLE IF EXISTS vip_package_purchases;
+DROP TABLE IF EXISTS vip_packages;
+
+DELETE FROM permissions WHERE name LIKE 'vip:package:%';
@@ -0,0 +1,65 @@
+-- 0001_create_vip_packages
+-- VIP积分套餐：替代 VipService 中写死的套餐列表，由管理员维护
+
+CREATE TABLE IF NOT EXISTS vip_packages (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    level INTEGER NOT NULL REFERENCES vip_levels(level),
+    days INTEGER NOT NULL CHECK (days > 0),
+    points_cost INTEGER NOT NULL CHECK (points_cost >= 0),
+    original_price INTEGER CHECK (original_price IS NULL OR original_price >= 0),
+    discount NUMERIC(4,2) CHECK (discount IS NULL OR (discount > 0 AND discount <= 1)),
+    per_user_limit INTEGER CHECK (per_user_limit IS NULL OR per_user_limit > 0),
+    available_from TIMESTAMP,
+    available_until TIMESTAMP,
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (available_from IS NULL OR available_until IS NULL OR available_until > available_from)
+);
+
+-- VIP套餐购买记录（用于每人限购统计）
+CREATE TABLE IF NOT EXISTS vip_package_purchases (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    package_id INTEGER NOT NULL REFERENCES vip_packages(id),
+    level INTEGER NOT NULL,
+    days INTEGER NOT NULL,
+    points_cost INTEGER NOT NULL,
+    vip_expire_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_vip_packages_active ON vip_packages(is_active, sort_order);
+CREATE INDEX IF NOT EXISTS idx_vip_package_purchases_user ON vip_package_purchases(user_id, package_id);
+CREATE INDEX IF NOT EXISTS idx_vip_package_purchases_package ON vip_package_purchases(package_id, created_at DESC);
+
+INSERT INTO permissions (name, display_name, description, resource, action) VALUES
+('vip:package:create', '创建VIP套餐', '创建VIP积分套餐', 'vip_package', 'create'),
+('vip:package:read', '查看VIP套餐', '查看VIP套餐配置与购买记录', 'vip_package', 'read'),
+('vip:package:update', '更新VIP套餐', '修改VIP套餐配置', 'vip_package', 'update'),
+('vip:package:delete', '删除VIP套餐', '下架VIP套餐', 'vip_package', 'delete')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE (r.name = 'admin' AND p.name LIKE 'vip:package:%')
+   OR (r.name = 'moderator' AND p.name = 'vip:package:read')
+ON CONFLICT (role_id, permission_id) DO NOTHING;
+
+-- 默认套餐（仅为已存在的VIP等级创建）
+INSERT INTO vip_packages (code, name, level, days, points_cost, original_price, discount, sort_order)
+SELECT v.code, v.name, v.level, v.days, v.points_cost, v.original_price, v.discount, v.sort_order
+FROM (VALUES
+    ('vip1_7d', 'VIP1 周卡', 1, 7, 50, 70, 0.71, 10),
+    ('vip1_30d', 'VIP1 月卡', 1, 30, 200, 300, 0.67, 20),
+    ('vip2_30d', 'VIP2 月卡', 2, 30, 400, 600, 0.67, 30),
+    ('vip3_30d', 'VIP3 月卡', 3, 30, 800, 1200, 0.67, 40)
+) AS v(code, name, level, days, points_cost, original_price, discount, sort_order)
+WHERE EXISTS (SELECT 1 FROM vip_levels l WHERE l.level = v.level)
+ON CONFLICT (code) DO NOTHING;
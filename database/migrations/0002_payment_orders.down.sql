@@ -0,0 +1,29 @@
+-- 回滚 0002_payment_orders
+
+DROP TABLE IF EXISTS payment_notifications;
+
+DROP INDEX IF EXISTS uq_vip_package_purchases_order;
+ALTER TABLE vip_package_purchases DROP COLUMN IF EXISTS order_id;
+
+DROP INDEX IF EXISTS uq_orders_provider_trade_no;
+DROP INDEX IF EXISTS idx_orders_unfulfilled;
+DROP INDEX IF EXISTS idx_orders_pending_expiry;
+
+UPDATE orders SET status = 'cancelled' WHERE status = 'refunded';
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+    CHECK (status IN ('pending', 'paid', 'cancelled', 'expired'));
+
+ALTER TABLE orders
+    DROP COLUMN IF EXISTS refunded_at,
+    DROP COLUMN IF EXISTS refunded_amount,
+    DROP COLUMN IF EXISTS fulfilled_at,
+    DROP COLUMN IF EXISTS paid_at,
+    DROP COLUMN IF EXISTS payment_expires_at,
+    DROP COLUMN IF EXISTS payment_data,
+    DROP COLUMN IF EXISTS provider_trade_no,
+    DROP COLUMN IF EXISTS currency,
+    DROP COLUMN IF EXISTS subject,
+    DROP COLUMN IF EXISTS package_id;
+
+ALTER TABLE vip_packages DROP COLUMN IF EXISTS price;
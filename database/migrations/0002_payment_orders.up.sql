@@ -0,0 +1,51 @@
+-- 0002_payment_orders
+-- 在线支付订单：订单表增加支付渠道流水、支付期限、履约与退款字段；套餐增加现金价格
+
+ALTER TABLE vip_packages
+    ADD COLUMN IF NOT EXISTS price DECIMAL(10,2) CHECK (price IS NULL OR price > 0);
+
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS package_id INTEGER REFERENCES vip_packages(id),
+    ADD COLUMN IF NOT EXISTS subject VARCHAR(200),
+    ADD COLUMN IF NOT EXISTS currency VARCHAR(10) DEFAULT 'CNY',
+    ADD COLUMN IF NOT EXISTS provider_trade_no VARCHAR(128),
+    ADD COLUMN IF NOT EXISTS payment_data JSONB DEFAULT '{}'::jsonb,
+    ADD COLUMN IF NOT EXISTS payment_expires_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS fulfilled_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP;
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+    CHECK (status IN ('pending', 'paid', 'cancelled', 'expired', 'refunded'));
+
+CREATE INDEX IF NOT EXISTS idx_orders_pending_expiry ON orders(payment_expires_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_orders_unfulfilled ON orders(paid_at) WHERE status = 'paid' AND fulfilled_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_orders_provider_trade_no ON orders(payment_method, provider_trade_no)
+    WHERE provider_trade_no IS NOT NULL;
+
+-- 支付套餐履约同样写入购买记录，用于每人限购统计
+ALTER TABLE vip_package_purchases
+    ADD COLUMN IF NOT EXISTS order_id INTEGER REFERENCES orders(id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_vip_package_purchases_order ON vip_package_purchases(order_id)
+    WHERE order_id IS NOT NULL;
+
+-- 支付渠道回调记录（含验签失败的请求，便于对账排查）
+CREATE TABLE IF NOT EXISTS payment_notifications (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(20) NOT NULL,
+    order_no VARCHAR(100),
+    provider_trade_no VARCHAR(128),
+    verified BOOLEAN NOT NULL DEFAULT FALSE,
+    trade_status VARCHAR(20),
+    amount DECIMAL(10,2),
+    result VARCHAR(50),
+    payload JSONB DEFAULT '{}'::jsonb,
+    error_message TEXT,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_notifications_order ON payment_notifications(order_no, created_at DESC);
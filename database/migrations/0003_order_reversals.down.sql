@@ -0,0 +1,8 @@
+-- 回滚 0003_order_reversals
+
+DROP TABLE IF EXISTS order_reversals;
+
+UPDATE card_keys SET status = 'disabled' WHERE status = 'revoked';
+ALTER TABLE card_keys DROP CONSTRAINT IF EXISTS card_keys_status_check;
+ALTER TABLE card_keys ADD CONSTRAINT card_keys_status_check
+    CHECK (status IN ('unused', 'used', 'expired', 'disabled'));
@@ -0,0 +1,29 @@
+-- 0003_order_reversals
+-- 订单冲正：退款、拒付与卡密撤销后回收VIP、积分、下载次数并撤销待结算佣金
+
+ALTER TABLE card_keys DROP CONSTRAINT IF EXISTS card_keys_status_check;
+ALTER TABLE card_keys ADD CONSTRAINT card_keys_status_check
+    CHECK (status IN ('unused', 'used', 'expired', 'disabled', 'revoked'));
+
+-- 每次冲正一条记录，reference 唯一保证同一笔退款/拒付/撤销只处理一次
+CREATE TABLE IF NOT EXISTS order_reversals (
+    id SERIAL PRIMARY KEY,
+    reference VARCHAR(150) NOT NULL UNIQUE,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('refund', 'chargeback', 'card_revoke')),
+    order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    card_key_id INTEGER REFERENCES card_keys(id) ON DELETE SET NULL,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    ratio NUMERIC(5,4) NOT NULL DEFAULT 1 CHECK (ratio > 0 AND ratio <= 1),
+    vip_days_reversed INTEGER NOT NULL DEFAULT 0,
+    vip_cancelled BOOLEAN NOT NULL DEFAULT FALSE,
+    points_reversed INTEGER NOT NULL DEFAULT 0,
+    points_shortfall INTEGER NOT NULL DEFAULT 0,
+    download_credits_reversed INTEGER NOT NULL DEFAULT 0,
+    commissions JSONB DEFAULT '[]'::jsonb,
+    reason TEXT,
+    operator_id INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_reversals_order ON order_reversals(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_reversals_user ON order_reversals(user_id, created_at DESC);
@@ -0,0 +1,11 @@
+-- 回滚 0004_points_ledger
+
+DROP TABLE IF EXISTS points_reconciliation_items;
+DROP TABLE IF EXISTS points_reconciliation_runs;
+
+DELETE FROM points_records WHERE type = 'opening_balance' AND source = 'ledger_migration';
+
+DROP INDEX IF EXISTS idx_points_records_entry_group;
+DROP INDEX IF EXISTS idx_points_records_idempotency;
+ALTER TABLE points_records DROP COLUMN IF EXISTS entry_group;
+ALTER TABLE points_records DROP COLUMN IF EXISTS idempotency_key;
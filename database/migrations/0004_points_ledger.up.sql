@@ -0,0 +1,66 @@
+-- 0004_points_ledger
+-- 积分账本：points_records 增加幂等键与分录分组，写入期初余额，并新增每日对账记录
+
+ALTER TABLE points_records ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(150);
+ALTER TABLE points_records ADD COLUMN IF NOT EXISTS entry_group VARCHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_points_records_idempotency
+    ON points_records(idempotency_key) WHERE idempotency_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_points_records_entry_group
+    ON points_records(entry_group) WHERE entry_group IS NOT NULL;
+
+-- 历史上存在未写账本的积分变动，以当前余额与账本合计的差额写入期初分录，此后余额应始终等于分录合计
+INSERT INTO points_records (
+    user_id, type, amount, source, description,
+    balance_before, balance_after, idempotency_key
+)
+SELECT
+    u.id,
+    'opening_balance',
+    COALESCE(u.points, 0) - COALESCE(l.total, 0),
+    'ledger_migration',
+    '积分账本启用，补记期初余额差额',
+    COALESCE(l.total, 0),
+    COALESCE(u.points, 0),
+    'opening_balance:' || u.id
+FROM users u
+LEFT JOIN (
+    SELECT user_id, SUM(amount) AS total
+    FROM points_records
+    GROUP BY user_id
+) l ON l.user_id = u.id
+WHERE COALESCE(u.points, 0) <> COALESCE(l.total, 0)
+  AND NOT EXISTS (
+      SELECT 1 FROM points_records pr WHERE pr.idempotency_key = 'opening_balance:' || u.id
+  );
+
+-- 对账批次
+CREATE TABLE IF NOT EXISTS points_reconciliation_runs (
+    id SERIAL PRIMARY KEY,
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    trigger_type VARCHAR(20) NOT NULL DEFAULT 'schedule' CHECK (trigger_type IN ('schedule', 'manual')),
+    triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    users_checked INTEGER NOT NULL DEFAULT 0,
+    drift_users INTEGER NOT NULL DEFAULT 0,
+    total_drift INTEGER NOT NULL DEFAULT 0,
+    unbalanced_groups JSONB DEFAULT '[]'::jsonb,
+    error_message TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+-- 对账差异明细：余额与账本合计不一致，或最后一条分录的变动后余额与当前余额不一致
+CREATE TABLE IF NOT EXISTS points_reconciliation_items (
+    id SERIAL PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES points_reconciliation_runs(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    balance INTEGER NOT NULL,
+    ledger_balance INTEGER NOT NULL,
+    drift INTEGER NOT NULL,
+    last_balance_after INTEGER,
+    entries_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_points_reconciliation_runs_started ON points_reconciliation_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_points_reconciliation_items_run ON points_reconciliation_items(run_id);
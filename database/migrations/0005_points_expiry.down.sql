@@ -0,0 +1,4 @@
+-- 回滚 0005_points_expiry
+
+DROP TABLE IF EXISTS points_lots;
+DROP TABLE IF EXISTS points_expiry_policies;
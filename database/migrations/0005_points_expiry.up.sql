@@ -0,0 +1,40 @@
+-- 0005_points_expiry
+-- 积分过期：按来源配置有效期，积分收入记为批次（lot），支出按先进先出扣减批次余额，到期批次由定时任务过期
+
+-- 过期策略：来源（points_records.source）对应的有效期与提前提醒天数，未配置的来源永不过期
+CREATE TABLE IF NOT EXISTS points_expiry_policies (
+    id SERIAL PRIMARY KEY,
+    source VARCHAR(50) NOT NULL UNIQUE,
+    expire_days INTEGER NOT NULL CHECK (expire_days > 0),
+    notify_days INTEGER NOT NULL DEFAULT 7 CHECK (notify_days >= 0),
+    is_active BOOLEAN DEFAULT true,
+    description VARCHAR(255),
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 积分批次：每笔积分收入一个批次，remaining 为尚未消费的积分，expires_at 为空表示永不过期
+CREATE TABLE IF NOT EXISTS points_lots (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    record_id INTEGER REFERENCES points_records(id) ON DELETE SET NULL,
+    source VARCHAR(50) NOT NULL,
+    amount INTEGER NOT NULL CHECK (amount > 0),
+    remaining INTEGER NOT NULL CHECK (remaining >= 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'consumed', 'expired')),
+    expires_at TIMESTAMP,
+    notified_at TIMESTAMP,
+    expired_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_points_lots_user_active ON points_lots(user_id, created_at, id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_points_lots_expires ON points_lots(expires_at) WHERE status = 'active' AND expires_at IS NOT NULL;
+
+-- 现有余额记为永不过期的期初批次，保证批次剩余合计等于用户余额
+INSERT INTO points_lots (user_id, source, amount, remaining)
+SELECT u.id, 'ledger_migration', u.points, u.points
+FROM users u
+WHERE COALESCE(u.points, 0) > 0
+  AND NOT EXISTS (SELECT 1 FROM points_lots pl WHERE pl.user_id = u.id);
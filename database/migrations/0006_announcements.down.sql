@@ -0,0 +1,7 @@
+-- 回滚 0006_announcements
+
+DROP INDEX IF EXISTS idx_community_notifications_related;
+DROP TABLE IF EXISTS announcement_deliveries;
+DROP TABLE IF EXISTS announcements;
+
+DELETE FROM permissions WHERE name LIKE 'announcement:%';
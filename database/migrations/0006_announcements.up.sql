@@ -0,0 +1,61 @@
+-- 0006_announcements
+-- 系统公告：按角色/VIP等级/注册时间/活跃度定向投放，支持定时与周期发送，草稿-审核-发布流程与投放记录
+
+CREATE TABLE IF NOT EXISTS announcements (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    content TEXT NOT NULL,
+    -- 投放人群：{roles, vip_levels, registered_after, registered_before, active_within_days, inactive_for_days}，为空表示全部正常用户
+    audience JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'pending_review', 'rejected', 'scheduled', 'sending', 'completed', 'cancelled', 'failed')),
+    scheduled_at TIMESTAMP,
+    recurrence VARCHAR(20) NOT NULL DEFAULT 'none' CHECK (recurrence IN ('none', 'daily', 'weekly', 'monthly')),
+    recurrence_end_at TIMESTAMP,
+    next_run_at TIMESTAMP,
+    last_run_at TIMESTAMP,
+    run_count INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    submitted_at TIMESTAMP,
+    reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    review_note VARCHAR(500),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 投放记录：周期公告每次发送一条
+CREATE TABLE IF NOT EXISTS announcement_deliveries (
+    id SERIAL PRIMARY KEY,
+    announcement_id INTEGER NOT NULL REFERENCES announcements(id) ON DELETE CASCADE,
+    run_no INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    recipients INTEGER NOT NULL DEFAULT 0,
+    chunks INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    UNIQUE (announcement_id, run_no)
+);
+
+CREATE INDEX IF NOT EXISTS idx_announcements_status ON announcements(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_announcements_due ON announcements(next_run_at) WHERE status = 'scheduled';
+CREATE INDEX IF NOT EXISTS idx_announcement_deliveries_announcement ON announcement_deliveries(announcement_id, run_no DESC);
+-- 公告阅读率统计按关联对象查询通知
+CREATE INDEX IF NOT EXISTS idx_community_notifications_related ON community_notifications(related_type, related_id);
+
+INSERT INTO permissions (name, display_name, description, resource, action) VALUES
+('announcement:read', '查看系统公告', '查看系统公告、投放记录与阅读统计', 'announcement', 'read'),
+('announcement:create', '撰写系统公告', '创建、编辑并提交系统公告草稿', 'announcement', 'create'),
+('announcement:review', '审核系统公告', '审核通过（发布）或驳回系统公告', 'announcement', 'review'),
+('announcement:cancel', '取消系统公告', '取消待发送或周期发送中的系统公告', 'announcement', 'cancel')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE (r.name = 'admin' AND p.name LIKE 'announcement:%')
+   OR (r.name = 'moderator' AND p.name IN ('announcement:read', 'announcement:create'))
+ON CONFLICT (role_id, permission_id) DO NOTHING;
@@ -0,0 +1,8 @@
+-- 回滚 0007_activity_feed
+
+DROP INDEX IF EXISTS idx_community_comments_author_created;
+DROP INDEX IF EXISTS idx_community_posts_author_created;
+DROP INDEX IF EXISTS idx_community_posts_board_created;
+DROP TABLE IF EXISTS follower_publish_notifications;
+DROP TABLE IF EXISTS community_board_subscriptions;
+ALTER TABLE users DROP COLUMN IF EXISTS notify_followers_on_publish;
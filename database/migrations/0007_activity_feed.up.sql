@@ -0,0 +1,29 @@
+-- 0007_activity_feed
+-- 个人动态：版块订阅、创作者发布时通知粉丝的开关与通知去重记录
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS notify_followers_on_publish BOOLEAN DEFAULT FALSE;
+
+-- 版块订阅：订阅版块的新帖子出现在订阅者的动态中
+CREATE TABLE IF NOT EXISTS community_board_subscriptions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    board_id INTEGER NOT NULL REFERENCES community_boards(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, board_id)
+);
+
+-- 发布通知记录：同一资源或帖子只通知粉丝一次（重新上架不重复通知）
+CREATE TABLE IF NOT EXISTS follower_publish_notifications (
+    id SERIAL PRIMARY KEY,
+    author_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    target_type VARCHAR(30) NOT NULL CHECK (target_type IN ('resource', 'community_post')),
+    target_id INTEGER NOT NULL,
+    recipients INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(target_type, target_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_community_board_subscriptions_board ON community_board_subscriptions(board_id);
+CREATE INDEX IF NOT EXISTS idx_community_posts_board_created ON community_posts(board_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_community_posts_author_created ON community_posts(author_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_community_comments_author_created ON community_comments(author_id, created_at DESC);
@@ -0,0 +1,7 @@
+-- 回滚 0008_resource_recommendations
+-- resource_likes 为已有业务表，回滚时保留
+
+DROP INDEX IF EXISTS idx_download_records_user_resource;
+DROP INDEX IF EXISTS idx_user_favorites_resource;
+DROP TABLE IF EXISTS user_tag_affinities;
+DROP TABLE IF EXISTS resource_similarities;
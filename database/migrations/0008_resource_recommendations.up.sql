@@ -0,0 +1,39 @@
+-- 0008_resource_recommendations
+-- 资源推荐：定时任务根据点赞、收藏、下载的共现关系与标签相似度计算相关资源，并汇总用户的标签偏好
+
+-- 资源点赞表（ResourceInteraction 已在使用，基线结构中缺失时补建）
+CREATE TABLE IF NOT EXISTS resource_likes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    resource_id INTEGER NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, resource_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_resource_likes_resource ON resource_likes(resource_id);
+
+-- 相关资源得分（每个资源保留得分最高的若干条）
+CREATE TABLE IF NOT EXISTS resource_similarities (
+    resource_id INTEGER NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    related_resource_id INTEGER NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    score NUMERIC(10, 6) NOT NULL,
+    co_score NUMERIC(10, 6) NOT NULL DEFAULT 0,
+    tag_score NUMERIC(10, 6) NOT NULL DEFAULT 0,
+    computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (resource_id, related_resource_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_resource_similarities_score ON resource_similarities(resource_id, score DESC);
+
+-- 用户标签偏好
+CREATE TABLE IF NOT EXISTS user_tag_affinities (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    score NUMERIC(10, 6) NOT NULL,
+    computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_tag_affinities_tag ON user_tag_affinities(tag_id);
+CREATE INDEX IF NOT EXISTS idx_user_favorites_resource ON user_favorites(resource_id);
+CREATE INDEX IF NOT EXISTS idx_download_records_user_resource ON download_records(user_id, resource_id);
@@ -0,0 +1,8 @@
+-- 回滚 0009_resource_versions
+
+DELETE FROM system_settings WHERE key = 'resource_version_update';
+DROP INDEX IF EXISTS idx_daily_purchases_user_resource;
+DROP INDEX IF EXISTS idx_resource_files_version;
+ALTER TABLE resource_files DROP COLUMN IF EXISTS deprecated_at;
+ALTER TABLE resource_files DROP COLUMN IF EXISTS version_id;
+DROP TABLE IF EXISTS resource_versions;
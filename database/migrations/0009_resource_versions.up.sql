@@ -0,0 +1,31 @@
+-- 0009_resource_versions
+-- 资源版本：创作者发布带更新说明的新版本，旧版本文件可保留或弃用，并通知下载过、收藏过的用户
+
+CREATE TABLE IF NOT EXISTS resource_versions (
+    id SERIAL PRIMARY KEY,
+    resource_id INTEGER NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    version VARCHAR(20) NOT NULL,
+    changelog TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'current' CHECK (status IN ('current', 'superseded', 'deprecated')),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    released_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deprecated_at TIMESTAMP,
+    notified_at TIMESTAMP,
+    recipients INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(resource_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_resource_versions_resource ON resource_versions(resource_id, released_at DESC);
+-- 每个资源只有一个当前版本
+CREATE UNIQUE INDEX IF NOT EXISTS idx_resource_versions_current ON resource_versions(resource_id) WHERE status = 'current';
+
+ALTER TABLE resource_files ADD COLUMN IF NOT EXISTS version_id INTEGER REFERENCES resource_versions(id) ON DELETE SET NULL;
+ALTER TABLE resource_files ADD COLUMN IF NOT EXISTS deprecated_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_resource_files_version ON resource_files(version_id);
+CREATE INDEX IF NOT EXISTS idx_daily_purchases_user_resource ON daily_purchases(user_id, resource_id);
+
+INSERT INTO system_settings (key, value, description) VALUES
+('resource_version_update', '{"free_redownload": true, "redownload_window_days": 0, "notify_downloaders": true, "notify_favoriters": true}', '资源版本更新策略（已付费用户免费重新下载、更新通知范围）')
+ON CONFLICT (key) DO NOTHING;
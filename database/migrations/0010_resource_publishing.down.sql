@@ -0,0 +1,19 @@
+-- 回滚 0010_resource_publishing
+-- 审核中、已驳回的资源回退为草稿，定时发布的资源回退为草稿
+
+DELETE FROM system_settings WHERE key = 'resource_review';
+DROP TABLE IF EXISTS resource_revisions;
+
+UPDATE resources SET status = 'draft' WHERE status IN ('pending_review', 'rejected', 'scheduled');
+
+DROP INDEX IF EXISTS idx_resources_pending_review;
+DROP INDEX IF EXISTS idx_resources_publish_at;
+ALTER TABLE resources DROP COLUMN IF EXISTS review_note;
+ALTER TABLE resources DROP COLUMN IF EXISTS reviewed_at;
+ALTER TABLE resources DROP COLUMN IF EXISTS reviewed_by;
+ALTER TABLE resources DROP COLUMN IF EXISTS submitted_at;
+ALTER TABLE resources DROP COLUMN IF EXISTS publish_at;
+
+ALTER TABLE resources DROP CONSTRAINT IF EXISTS resources_status_check;
+ALTER TABLE resources ADD CONSTRAINT resources_status_check
+    CHECK (status IN ('draft', 'published', 'archived', 'banned', 'deleted'));
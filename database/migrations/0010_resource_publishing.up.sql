@@ -0,0 +1,50 @@
+-- 0010_resource_publishing
+-- 资源编辑发布流程：草稿自动保存、标题/描述/正文修订历史、定时发布以及非官方创作者的发布审核
+
+ALTER TABLE resources DROP CONSTRAINT IF EXISTS resources_status_check;
+ALTER TABLE resources ADD CONSTRAINT resources_status_check
+    CHECK (status IN ('draft', 'pending_review', 'rejected', 'scheduled', 'published', 'archived', 'banned', 'deleted'));
+
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS publish_at TIMESTAMP;
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP;
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS review_note TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_resources_publish_at ON resources(publish_at) WHERE status = 'scheduled';
+CREATE INDEX IF NOT EXISTS idx_resources_pending_review ON resources(submitted_at) WHERE status = 'pending_review';
+
+-- 此前没有发布权限的用户提交的资源以草稿形式等待审核，迁移到审核队列
+UPDATE resources r
+SET status = 'pending_review', submitted_at = COALESCE(r.submitted_at, r.created_at)
+WHERE r.status = 'draft'
+  AND NOT EXISTS (
+    SELECT 1 FROM permissions p
+    JOIN role_permissions rp ON p.id = rp.permission_id
+    JOIN user_roles ur ON rp.role_id = ur.role_id
+    WHERE ur.user_id = r.author_id AND p.name IN ('resource:publish', 'resource:publish_official')
+  );
+
+-- 资源修订历史；自动保存每个用户每个资源只保留一条，不编号
+CREATE TABLE IF NOT EXISTS resource_revisions (
+    id SERIAL PRIMARY KEY,
+    resource_id INTEGER NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    revision_number INTEGER,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('create', 'update', 'restore', 'autosave')),
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    content TEXT,
+    restored_from INTEGER REFERENCES resource_revisions(id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_resource_revisions_number
+    ON resource_revisions(resource_id, revision_number) WHERE revision_number IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_resource_revisions_autosave
+    ON resource_revisions(resource_id, created_by) WHERE source = 'autosave';
+
+INSERT INTO system_settings (key, value, description) VALUES
+('resource_review', '{"enabled": true}', '资源发布审核（开启后非官方创作者发布或定时发布的资源需审核通过后上线）')
+ON CONFLICT (key) DO NOTHING;
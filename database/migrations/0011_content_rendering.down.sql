@@ -0,0 +1,19 @@
+-- 回滚 0011_content_rendering
+
+ALTER TABLE resources DROP COLUMN IF EXISTS content_render_version;
+ALTER TABLE resources DROP COLUMN IF EXISTS content_meta;
+ALTER TABLE resources DROP COLUMN IF EXISTS content_html;
+
+ALTER TABLE resource_comments DROP COLUMN IF EXISTS content_render_version;
+ALTER TABLE resource_comments DROP COLUMN IF EXISTS content_meta;
+ALTER TABLE resource_comments DROP COLUMN IF EXISTS content_html;
+
+ALTER TABLE community_comments DROP COLUMN IF EXISTS content_render_version;
+ALTER TABLE community_comments DROP COLUMN IF EXISTS content_meta;
+ALTER TABLE community_comments DROP COLUMN IF EXISTS content_html;
+
+ALTER TABLE community_posts DROP COLUMN IF EXISTS content_render_version;
+ALTER TABLE community_posts DROP COLUMN IF EXISTS content_meta;
+ALTER TABLE community_posts DROP COLUMN IF EXISTS content_html;
+
+ALTER TABLE community_posts DROP CONSTRAINT IF EXISTS community_posts_content_type_check;
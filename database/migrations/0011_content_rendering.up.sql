@@ -0,0 +1,26 @@
+-- 0011_content_rendering
+-- 帖子、评论、资源正文的渲染缓存：保存清洗后的 HTML、提取的 @用户 与 #话题 以及渲染规则版本，旧数据由后台任务补齐
+
+UPDATE community_posts
+SET content_type = 'markdown'
+WHERE content_type IS NULL OR content_type NOT IN ('markdown', 'html', 'text');
+
+ALTER TABLE community_posts DROP CONSTRAINT IF EXISTS community_posts_content_type_check;
+ALTER TABLE community_posts ADD CONSTRAINT community_posts_content_type_check
+    CHECK (content_type IN ('markdown', 'html', 'text'));
+
+ALTER TABLE community_posts ADD COLUMN IF NOT EXISTS content_html TEXT;
+ALTER TABLE community_posts ADD COLUMN IF NOT EXISTS content_meta JSONB;
+ALTER TABLE community_posts ADD COLUMN IF NOT EXISTS content_render_version SMALLINT;
+
+ALTER TABLE community_comments ADD COLUMN IF NOT EXISTS content_html TEXT;
+ALTER TABLE community_comments ADD COLUMN IF NOT EXISTS content_meta JSONB;
+ALTER TABLE community_comments ADD COLUMN IF NOT EXISTS content_render_version SMALLINT;
+
+ALTER TABLE resource_comments ADD COLUMN IF NOT EXISTS content_html TEXT;
+ALTER TABLE resource_comments ADD COLUMN IF NOT EXISTS content_meta JSONB;
+ALTER TABLE resource_comments ADD COLUMN IF NOT EXISTS content_render_version SMALLINT;
+
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS content_html TEXT;
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS content_meta JSONB;
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS content_render_version SMALLINT;
@@ -0,0 +1,2 @@
+-- 回滚 0012_search_vector_positions
+-- 仅标记了索引文档待重建，无表结构变更需要回滚
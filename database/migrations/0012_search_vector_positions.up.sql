@@ -0,0 +1,4 @@
+-- 0012_search_vector_positions
+-- 搜索索引改为写入带位置的词元，使标题/标签/正文权重生效；已有索引文档标记为待重建，由同步任务逐批重建
+
+UPDATE search_documents SET source_updated_at = NULL;
@@ -0,0 +1,4 @@
+-- 回滚 0013_announcement_claim_lease
+
+DROP INDEX IF EXISTS idx_announcements_sending;
+ALTER TABLE announcements DROP COLUMN IF EXISTS claimed_at;
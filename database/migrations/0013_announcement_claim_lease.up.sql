@@ -0,0 +1,11 @@
+-- 0013_announcement_claim_lease
+-- 发送中的公告记录领取时间并在每块投放后续期，进程中断导致超时未续期的公告由定时任务回收
+
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP;
+
+-- 迁移前已处于发送中的公告以最后更新时间作为领取时间
+UPDATE announcements
+SET claimed_at = updated_at
+WHERE status = 'sending' AND claimed_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_announcements_sending ON announcements(claimed_at) WHERE status = 'sending';
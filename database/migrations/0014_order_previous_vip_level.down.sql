@@ -0,0 +1,3 @@
+-- 回滚 0014_order_previous_vip_level
+
+ALTER TABLE orders DROP COLUMN IF EXISTS previous_vip_level;
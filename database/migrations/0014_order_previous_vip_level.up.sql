@@ -0,0 +1,4 @@
+-- 0014_order_previous_vip_level
+-- 订单记录发放VIP前用户生效中的等级，全额冲正时恢复购买前的等级；历史订单为空，冲正时只缩短时间
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS previous_vip_level INTEGER;
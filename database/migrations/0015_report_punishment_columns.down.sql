@@ -0,0 +1,26 @@
+-- 回滚 0015_report_punishment_columns
+-- operator_id 保持可为空：回滚后仍可能存在系统自动处罚的记录
+
+DROP INDEX IF EXISTS idx_community_punishments_expires;
+DROP INDEX IF EXISTS idx_community_punishments_user_active;
+
+ALTER TABLE community_punishments
+    DROP CONSTRAINT IF EXISTS community_punishments_check,
+    DROP CONSTRAINT IF EXISTS community_punishments_punishment_type_check,
+    DROP COLUMN IF EXISTS revoked_at,
+    DROP COLUMN IF EXISTS revoked_by,
+    DROP COLUMN IF EXISTS report_id,
+    DROP COLUMN IF EXISTS board_id;
+
+DROP INDEX IF EXISTS idx_resource_reports_assigned;
+DROP INDEX IF EXISTS idx_resource_reports_status;
+DROP INDEX IF EXISTS idx_resource_reports_resource;
+
+ALTER TABLE resource_reports
+    DROP CONSTRAINT IF EXISTS resource_reports_resolution_action_check,
+    DROP CONSTRAINT IF EXISTS resource_reports_status_check,
+    DROP COLUMN IF EXISTS updated_at,
+    DROP COLUMN IF EXISTS handler_note,
+    DROP COLUMN IF EXISTS resolution_action,
+    DROP COLUMN IF EXISTS assigned_at,
+    DROP COLUMN IF EXISTS assigned_to;
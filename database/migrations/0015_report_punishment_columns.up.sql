@@ -0,0 +1,45 @@
+-- 0015_report_punishment_columns
+-- 资源举报处理流程（指派、处理结果）与社区处罚（版块禁言、关联举报、撤销）所需字段，此前只写入了 install.sql
+
+-- 资源举报：历史记录中不在新状态集合内的状态按是否已处理归入 pending / resolved
+UPDATE resource_reports
+SET status = CASE WHEN handled_at IS NULL THEN 'pending' ELSE 'resolved' END
+WHERE status IS NULL OR status NOT IN ('pending', 'reviewing', 'resolved', 'rejected');
+
+ALTER TABLE resource_reports ADD COLUMN IF NOT EXISTS assigned_to INTEGER REFERENCES users(id);
+ALTER TABLE resource_reports ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP;
+ALTER TABLE resource_reports ADD COLUMN IF NOT EXISTS resolution_action VARCHAR(20);
+ALTER TABLE resource_reports ADD COLUMN IF NOT EXISTS handler_note TEXT;
+ALTER TABLE resource_reports ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE resource_reports DROP CONSTRAINT IF EXISTS resource_reports_status_check;
+ALTER TABLE resource_reports ADD CONSTRAINT resource_reports_status_check
+    CHECK (status IN ('pending', 'reviewing', 'resolved', 'rejected'));
+
+ALTER TABLE resource_reports DROP CONSTRAINT IF EXISTS resource_reports_resolution_action_check;
+ALTER TABLE resource_reports ADD CONSTRAINT resource_reports_resolution_action_check
+    CHECK (resolution_action IN ('none', 'archive', 'ban'));
+
+CREATE INDEX IF NOT EXISTS idx_resource_reports_resource ON resource_reports(resource_id);
+CREATE INDEX IF NOT EXISTS idx_resource_reports_status ON resource_reports(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_resource_reports_assigned ON resource_reports(assigned_to);
+
+-- 社区处罚：系统自动处罚没有操作人
+ALTER TABLE community_punishments ALTER COLUMN operator_id DROP NOT NULL;
+
+ALTER TABLE community_punishments ADD COLUMN IF NOT EXISTS board_id INTEGER REFERENCES community_boards(id) ON DELETE CASCADE;
+ALTER TABLE community_punishments ADD COLUMN IF NOT EXISTS report_id INTEGER REFERENCES community_reports(id) ON DELETE SET NULL;
+ALTER TABLE community_punishments ADD COLUMN IF NOT EXISTS revoked_by INTEGER REFERENCES users(id);
+ALTER TABLE community_punishments ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ;
+
+-- 历史处罚类型无法对应到新类型，仅约束新写入的记录
+ALTER TABLE community_punishments DROP CONSTRAINT IF EXISTS community_punishments_punishment_type_check;
+ALTER TABLE community_punishments ADD CONSTRAINT community_punishments_punishment_type_check
+    CHECK (punishment_type IN ('mute', 'post_ban', 'board_ban')) NOT VALID;
+
+ALTER TABLE community_punishments DROP CONSTRAINT IF EXISTS community_punishments_check;
+ALTER TABLE community_punishments ADD CONSTRAINT community_punishments_check
+    CHECK (punishment_type <> 'board_ban' OR board_id IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_community_punishments_user_active ON community_punishments(user_id, is_active);
+CREATE INDEX IF NOT EXISTS idx_community_punishments_expires ON community_punishments(expires_at) WHERE is_active = TRUE;
@@ -0,0 +1,3 @@
+-- 回滚 0016_payment_refunds
+
+DROP TABLE IF EXISTS payment_refunds;
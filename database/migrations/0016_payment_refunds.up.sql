@@ -0,0 +1,21 @@
+-- 0016_payment_refunds
+-- 支付退款单：调用渠道退款前先锁定订单并登记处理中的退款单，退款单号由退款单ID生成，重试时沿用同一单号
+
+CREATE TABLE IF NOT EXISTS payment_refunds (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    refund_no VARCHAR(64) NOT NULL UNIQUE,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'succeeded', 'failed')),
+    provider_status VARCHAR(20),
+    error_message TEXT,
+    operator_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_refunds_order ON payment_refunds(order_id, created_at DESC);
+-- 同一订单同时只允许一笔处理中的退款
+CREATE UNIQUE INDEX IF NOT EXISTS uq_payment_refunds_processing ON payment_refunds(order_id) WHERE status = 'processing';
@@ -32,14 +32,47 @@ initializeBuckets().catch(err => {
 });
 
 // 启动每日重置任务
-const { startDailyResetTask, startVipExpirationTask } = require('./tasks/dailyResetTask');
+const {
+  startDailyResetTask,
+  startVipExpirationTask,
+  startCommunityPunishmentExpirationTask,
+  startResourceUploadCleanupTask,
+  startPaymentOrderExpirationTask,
+  startPointsReconciliationTask,
+  startPointsExpirationTask,
+  startAnnouncementDispatchTask,
+  startRecommendationRebuildTask,
+  startResourcePublishTask,
+  startContentRenderTask
+} = require('./tasks/dailyResetTask');
 const dailyResetJob = startDailyResetTask();
 const vipExpirationJob = startVipExpirationTask();
+const communityPunishmentExpirationJob = startCommunityPunishmentExpirationTask();
+const resourceUploadCleanupJob = startResourceUploadCleanupTask();
+const paymentOrderExpirationJob = startPaymentOrderExpirationTask();
+const pointsReconciliationJob = startPointsReconciliationTask();
+const pointsExpirationJob = startPointsExpirationTask();
+const announcementDispatchJob = startAnnouncementDispatchTask();
+const recommendationRebuildJob = startRecommendationRebuildTask();
+const resourcePublishJob = startResourcePublishTask();
+const contentRenderJob = startContentRenderTask();
 
 // 启动Alist token定时刷新任务
 const { alistTokenScheduler } = require('./services/alistTokenScheduler');
 alistTokenScheduler.start();
 
+// 启动Alist入库任务执行器（接管排队中及进程重启前未完成的任务）
+const { alistIngestJobWorker } = require('./services/alistIngestJobWorker');
+alistIngestJobWorker.start();
+
+// 启动Alist定时入库调度
+const { alistIngestScheduler } = require('./services/alistIngestScheduler');
+alistIngestScheduler.start();
+
+// 启动搜索索引同步任务
+const { searchIndexer } = require('./services/searchIndexer');
+searchIndexer.start();
+
 // 导入 Swagger 配置
 const { swaggerDocument, swaggerUi, swaggerOptions, swaggerDocsEnabled } = require('./config/swagger');
 
@@ -82,9 +115,35 @@ applyDefaultTimezone();
 // 创建Express应用实例
 const app = express();
 
+/**
+ * 解析 TRUST_PROXY 配置：true/false、信任的代理层数，或逗号分隔的代理地址/网段（如 loopback, 10.0.0.0/8）
+ * 未配置时不信任任何代理，req.ip 即为直连地址
+ * @param {string} value
+ * @returns {boolean|number|Array<string>}
+ */
+function parseTrustProxy(value) {
+  const normalized = (value || '').trim();
+  if (!normalized || normalized === 'false') {
+    return false;
+  }
+  if (normalized === 'true') {
+    return true;
+  }
+  if (/^\d+$/.test(normalized)) {
+    return parseInt(normalized, 10);
+  }
+  return normalized.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// 仅在已知反向代理之后才从 X-Forwarded-For 读取客户端IP
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // 基础安全中间件
 app.use(securityMiddleware);
 
+// 支付渠道回调：服务端回调不携带 Origin 且需原始请求体验签，须在CORS与请求体解析之前注册
+app.use('/api/payments/notify', require('./routes/paymentNotify'));
+
 function resolveRequestOrigin(req, origin) {
   if (origin) {
     return origin;
@@ -200,6 +259,7 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/vip', vipRoutes);  // VIP等级和状态管理（订单查询已迁移到card-orders）
+app.use('/api/payments', require('./routes/payments'));  // VIP套餐在线支付
 app.use('/api/card-keys', cardKeyRoutes);
 app.use('/api/card-orders', require('./routes/user/cardOrders'));  // 统一的卡密兑换订单系统
 app.use('/api/points', pointsRoutes);
@@ -215,6 +275,8 @@ app.use('/api/admin/permissions', permissionRoutes);
 app.use('/api/admin/cache', cacheRoutes);
 app.use('/api/admin/users', require('./routes/admin/users'));
 app.use('/api/admin/vip', require('./routes/admin/vip'));
+app.use('/api/admin/payments', require('./routes/admin/payments'));
+app.use('/api/admin/announcements', require('./routes/admin/announcements'));
 app.use('/api/admin/points', require('./routes/admin/points'));
 app.use('/api/admin/card-keys', require('./routes/admin/cardKeys'));
 app.use('/api/admin/checkin', require('./routes/admin/checkin'));
@@ -223,6 +285,7 @@ app.use('/api/admin/referral', require('./routes/admin/referral'));
 app.use('/api/admin/logs', require('./routes/admin/logs'));
 app.use('/api/admin/system-settings', require('./routes/admin/systemSettings'));
 app.use('/api/admin/alist', require('./routes/admin/alist'));
+app.use('/api/admin/search', require('./routes/admin/search'));
 app.use('/api/admin', require('./routes/admin/resourceFiles'));
 
 // 资源文件管理路由（支持作者权限，去除/admin前缀）
@@ -347,7 +410,17 @@ const startServer = (attempt = 1) => {
 };
 
 if (require.main === module) {
-  startServer();
+  if (process.env.DB_AUTO_MIGRATE === 'true') {
+    const { migrate } = require('../database/migrate');
+    migrate()
+      .then(() => startServer())
+      .catch((error) => {
+        logger.error('数据库迁移失败，服务启动中止:', error);
+        process.exit(1);
+      });
+  } else {
+    startServer();
+  }
 
   let isShuttingDown = false;
 
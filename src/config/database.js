@@ -191,6 +191,35 @@ const transaction = async (callback) => {
   }
 };
 
+/**
+ * 在PostgreSQL会话级咨询锁内执行任务
+ * 锁在多进程/多实例间互斥，持锁连接断开时自动释放，未获取到锁时不执行回调
+ * @returns {Promise<{acquired: boolean, result?: any}>}
+ */
+const withAdvisoryLock = async (namespace, key, callback) => {
+  const client = await pool.connect();
+
+  try {
+    const lockResult = await client.query(
+      'SELECT pg_try_advisory_lock($1, $2) AS acquired',
+      [namespace, key]
+    );
+
+    if (!lockResult.rows[0].acquired) {
+      return { acquired: false };
+    }
+
+    try {
+      const result = await callback();
+      return { acquired: true, result };
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1, $2)', [namespace, key]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
 /**
  * 获取连接池状态
  */
@@ -297,6 +326,7 @@ module.exports = {
   query,
   batchQuery,
   transaction,
+  withAdvisoryLock,
   getPoolStats,
   warmupPool,
   closePool,
@@ -23,9 +23,13 @@ const minioClient = new Minio.Client(minioConfig);
 // 默认存储桶配置
 const BUCKETS = {
   IMAGES: process.env.MINIO_BUCKET_IMAGES || 'alcms-images',
-  AVATARS: process.env.MINIO_BUCKET_AVATARS || 'alcms-avatars'
+  AVATARS: process.env.MINIO_BUCKET_AVATARS || 'alcms-avatars',
+  RESOURCES: process.env.MINIO_BUCKET_RESOURCES || 'alcms-resources'
 };
 
+// 私有存储桶：资源文件需鉴权下载，不设置公共读取策略
+const PRIVATE_BUCKETS = [BUCKETS.RESOURCES];
+
 // 初始化存储桶
 const initializeBuckets = async () => {
   if (minioConfig.skipBucketSetup) {
@@ -39,6 +43,10 @@ const initializeBuckets = async () => {
       if (!exists) {
         await minioClient.makeBucket(bucketName);
         logger.info(`已创建存储桶: ${bucketName}`);
+
+        if (PRIVATE_BUCKETS.includes(bucketName)) {
+          continue;
+        }
         
         // 设置存储桶策略为公共读取
         const policy = {
@@ -93,6 +101,7 @@ const generateFileName = (originalName) => {
 module.exports = {
   minioClient,
   BUCKETS,
+  PRIVATE_BUCKETS,
   initializeBuckets,
   getFileUrl,
   generateFileName
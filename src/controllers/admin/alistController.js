@@ -11,6 +11,90 @@ const { logger } = require('../../utils/logger');
 const { query } = require('../../config/database');
 const { alistTokenScheduler } = require('../../services/alistTokenScheduler');
 const AlistIngestService = require('../../services/alistIngestService');
+const AlistIngestJob = require('../../models/AlistIngestJob');
+const { alistIngestJobWorker } = require('../../services/alistIngestJobWorker');
+const AlistIngestScheduleRun = require('../../models/AlistIngestScheduleRun');
+const { alistIngestScheduler, isValidScheduleCron } = require('../../services/alistIngestScheduler');
+const { getAvailableExtractors } = require('../../services/alistMetadataExtractors');
+
+const INGEST_JOB_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+
+const SCHEDULE_RUN_STATUSES = ['running', 'completed', 'failed', 'skipped', 'interrupted'];
+
+const formatIngestJob = (job) => job && ({
+  ...job,
+  progress: AlistIngestJob.getProgress(job)
+});
+
+/**
+ * 规范化定时入库参数，返回错误信息或null
+ */
+const normalizeSchedulePayload = (payload, current = {}) => {
+  if (payload.schedule_cron !== undefined) {
+    const expression = payload.schedule_cron ? String(payload.schedule_cron).trim() : null;
+    if (expression && !isValidScheduleCron(expression)) {
+      return 'cron表达式无效，请使用5段格式（分 时 日 月 周）';
+    }
+    payload.schedule_cron = expression;
+  }
+
+  if (payload.schedule_enabled !== undefined) {
+    payload.schedule_enabled = Boolean(payload.schedule_enabled);
+  }
+
+  const enabled = payload.schedule_enabled !== undefined ? payload.schedule_enabled : current.schedule_enabled;
+  const expression = payload.schedule_cron !== undefined ? payload.schedule_cron : current.schedule_cron;
+  if (enabled && !expression) {
+    return '启用定时入库时必须设置cron表达式';
+  }
+
+  return null;
+};
+
+/**
+ * 校验元数据提取器配置，返回错误信息或null
+ */
+const normalizeExtractorPayload = (payload) => {
+  if (payload.metadata_extractors !== undefined) {
+    const available = getAvailableExtractors().map((item) => item.name);
+    const extractors = payload.metadata_extractors;
+
+    if (!Array.isArray(extractors) || extractors.some((name) => !available.includes(name))) {
+      return `metadata_extractors 必须为以下提取器组成的数组：${available.join(', ')}`;
+    }
+
+    payload.metadata_extractors = [...new Set(extractors)];
+  }
+
+  if (payload.extractor_options !== undefined) {
+    const options = payload.extractor_options || {};
+
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      return 'extractor_options 必须为对象';
+    }
+
+    if (options.folder_rules !== undefined) {
+      if (!Array.isArray(options.folder_rules)) {
+        return 'folder_rules 必须为数组';
+      }
+
+      for (const rule of options.folder_rules) {
+        if (!rule || typeof rule.pattern !== 'string') {
+          return '目录命名规则缺少 pattern';
+        }
+        try {
+          new RegExp(rule.pattern);
+        } catch (error) {
+          return `目录命名规则无效：${rule.pattern}`;
+        }
+      }
+    }
+
+    payload.extractor_options = options;
+  }
+
+  return null;
+};
 
 /**
  * @swagger
@@ -208,6 +292,27 @@ const scanTestAlistIngestSetting = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/admin/alist/ingest/extractors:
+ *   get:
+ *     summary: 获取可用的Alist元数据提取器
+ *     description: 返回入库配置可选择的元数据提取器及其读取的文件名
+ *     tags: [Alist管理相关]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ */
+const getAlistMetadataExtractors = async (req, res) => {
+  res.json({
+    success: true,
+    message: '获取元数据提取器成功',
+    data: getAvailableExtractors()
+  });
+};
+
 /**
  * @swagger
  * /api/admin/alist/ingest/settings:
@@ -253,6 +358,17 @@ const scanTestAlistIngestSetting = async (req, res) => {
  *                             type: integer
  *                           is_active:
  *                             type: boolean
+ *                           schedule_cron:
+ *                             type: string
+ *                             nullable: true
+ *                           schedule_enabled:
+ *                             type: boolean
+ *                           metadata_extractors:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                           extractor_options:
+ *                             $ref: '#/components/schemas/AlistExtractorOptions'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
@@ -371,6 +487,23 @@ const getAlistIngestSettings = async (req, res) => {
  *               is_active:
  *                 type: boolean
  *                 description: 是否启用该配置
+ *               schedule_cron:
+ *                 type: string
+ *                 nullable: true
+ *                 description: 定时入库cron表达式（5段格式，北京时间）
+ *                 example: "0 3 * * *"
+ *               schedule_enabled:
+ *                 type: boolean
+ *                 description: 是否启用定时入库
+ *               metadata_extractors:
+ *                 type: array
+ *                 description: 启用的元数据提取器，按顺序执行，后执行的覆盖先执行的结果
+ *                 items:
+ *                   type: string
+ *                   enum: [markdown, front_matter, sidecar, folder_pattern]
+ *                 example: ["markdown", "front_matter", "sidecar"]
+ *               extractor_options:
+ *                 $ref: '#/components/schemas/AlistExtractorOptions'
  *     responses:
  *       201:
  *         description: 配置创建成功
@@ -387,7 +520,11 @@ const createAlistIngestSetting = async (req, res) => {
       category_id,
       resource_type_id,
       author_id,
-      is_active
+      is_active,
+      schedule_cron,
+      schedule_enabled,
+      metadata_extractors,
+      extractor_options
     } = req.body;
 
     if (!title || !alist_root_path) {
@@ -410,10 +547,23 @@ const createAlistIngestSetting = async (req, res) => {
       category_id: category_id ? parseInt(category_id, 10) : null,
       resource_type_id: parseInt(resource_type_id, 10),
       author_id: parseInt(author_id, 10),
-      is_active: is_active === undefined ? true : Boolean(is_active)
+      is_active: is_active === undefined ? true : Boolean(is_active),
+      schedule_cron,
+      schedule_enabled: schedule_enabled === undefined ? false : schedule_enabled,
+      metadata_extractors,
+      extractor_options
     };
 
+    const scheduleError = normalizeSchedulePayload(payload) || normalizeExtractorPayload(payload);
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError
+      });
+    }
+
     const setting = await AlistIngestSetting.create(payload);
+    alistIngestScheduler.sync();
 
     logger.info('创建Alist入库配置', {
       adminId: req.user.id,
@@ -470,6 +620,22 @@ const createAlistIngestSetting = async (req, res) => {
  *                 type: integer
  *               is_active:
  *                 type: boolean
+ *               schedule_cron:
+ *                 type: string
+ *                 nullable: true
+ *                 description: 定时入库cron表达式（5段格式，北京时间）
+ *               schedule_enabled:
+ *                 type: boolean
+ *                 description: 是否启用定时入库
+ *               metadata_extractors:
+ *                 type: array
+ *                 description: 启用的元数据提取器，按顺序执行，后执行的覆盖先执行的结果
+ *                 items:
+ *                   type: string
+ *                   enum: [markdown, front_matter, sidecar, folder_pattern]
+ *                 example: ["markdown", "front_matter", "sidecar"]
+ *               extractor_options:
+ *                 $ref: '#/components/schemas/AlistExtractorOptions'
  *     responses:
  *       200:
  *         description: 配置更新成功
@@ -504,6 +670,32 @@ const updateAlistIngestSetting = async (req, res) => {
       payload.is_active = Boolean(payload.is_active);
     }
 
+    const extractorError = normalizeExtractorPayload(payload);
+    if (extractorError) {
+      return res.status(400).json({
+        success: false,
+        message: extractorError
+      });
+    }
+
+    if (payload.schedule_cron !== undefined || payload.schedule_enabled !== undefined) {
+      const current = await AlistIngestSetting.findById(settingId);
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          message: '入库配置不存在'
+        });
+      }
+
+      const scheduleError = normalizeSchedulePayload(payload, current);
+      if (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          message: scheduleError
+        });
+      }
+    }
+
     const updated = await AlistIngestSetting.update(settingId, payload);
 
     if (!updated) {
@@ -513,6 +705,8 @@ const updateAlistIngestSetting = async (req, res) => {
       });
     }
 
+    alistIngestScheduler.sync();
+
     logger.info('更新Alist入库配置', {
       adminId: req.user.id,
       settingId
@@ -576,6 +770,8 @@ const deleteAlistIngestSetting = async (req, res) => {
       });
     }
 
+    alistIngestScheduler.sync();
+
     logger.info('删除Alist入库配置', {
       adminId: req.user.id,
       settingId
@@ -599,7 +795,7 @@ const deleteAlistIngestSetting = async (req, res) => {
  * /api/admin/alist/ingest/settings/{id}/scan:
  *   post:
  *     summary: 手动扫描并入库Alist目录
- *     description: 根据入库配置扫描对应Alist路径下的子目录，将文件夹批量入库为资源并自动绑定文件
+ *     description: 创建后台入库任务，按目录逐个入库并记录进度；同一配置已有未结束的任务时直接返回该任务。可通过任务进度接口查询执行情况
  *     tags: [Alist管理相关]
  *     security:
  *       - BearerAuth: []
@@ -611,8 +807,8 @@ const deleteAlistIngestSetting = async (req, res) => {
  *           type: integer
  *         description: 入库配置ID
  *     responses:
- *       200:
- *         description: 扫描完成
+ *       202:
+ *         description: 入库任务已创建
  *         content:
  *           application/json:
  *             schema:
@@ -621,26 +817,11 @@ const deleteAlistIngestSetting = async (req, res) => {
  *                 - type: object
  *                   properties:
  *                     data:
- *                       type: object
- *                       properties:
- *                         totalFolders:
- *                           type: integer
- *                         created:
- *                           type: array
- *                           items:
- *                             type: object
- *                         updated:
- *                           type: array
- *                           items:
- *                             type: object
- *                         skipped:
- *                           type: array
- *                           items:
- *                             type: object
- *                         errors:
- *                           type: array
- *                           items:
- *                             type: object
+ *                       $ref: '#/components/schemas/AlistIngestJob'
+ *       200:
+ *         description: 已有进行中的入库任务
+ *       400:
+ *         description: 配置已禁用
  *       404:
  *         description: 配置不存在
  *       500:
@@ -665,23 +846,302 @@ const scanAlistIngestSetting = async (req, res) => {
       });
     }
 
-    const result = await AlistIngestService.scanSetting(settingId, {});
+    if (!setting.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: '入库配置已禁用'
+      });
+    }
 
-    res.json({
+    const { job, created } = await alistIngestJobWorker.enqueue(settingId, req.user.id);
+
+    res.status(created ? 202 : 200).json({
       success: true,
-      message: 'Alist目录扫描完成',
-      data: result
+      message: created ? 'Alist入库任务已创建' : '该配置已有进行中的入库任务',
+      data: formatIngestJob(job)
     });
   } catch (error) {
-    logger.error('执行Alist入库扫描失败:', error);
+    logger.error('创建Alist入库任务失败:', error);
     res.status(500).json({
       success: false,
-      message: '执行扫描失败',
+      message: '创建入库任务失败',
       error: error.message
     });
   }
 };
 
+/**
+ * @swagger
+ * /api/admin/alist/ingest/jobs:
+ *   get:
+ *     summary: 获取Alist入库任务列表
+ *     tags: [Alist管理相关]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: setting_id
+ *         schema:
+ *           type: integer
+ *         description: 入库配置ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, running, completed, failed, cancelled]
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+const getAlistIngestJobs = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const settingId = parseInt(req.query.setting_id, 10);
+    const { status } = req.query;
+
+    if (status && !INGEST_JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的任务状态'
+      });
+    }
+
+    const result = await AlistIngestJob.findAll({
+      page,
+      limit,
+      settingId: Number.isFinite(settingId) ? settingId : null,
+      status: status || null
+    });
+
+    res.json({
+      success: true,
+      message: '获取入库任务列表成功',
+      data: {
+        jobs: result.data.map(formatIngestJob),
+        pagination: result.pagination
+      }
+    });
+  } catch (error) {
+    logger.error('获取Alist入库任务列表失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取入库任务列表失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/alist/ingest/jobs/{jobId}:
+ *   get:
+ *     summary: 获取Alist入库任务进度
+ *     tags: [Alist管理相关]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/AlistIngestJob'
+ *       404:
+ *         description: 任务不存在
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+const getAlistIngestJob = async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.jobId, 10);
+
+    if (!Number.isFinite(jobId)) {
+      return res.status(400).json({
+        success: false,
+        message: '任务ID无效'
+      });
+    }
+
+    const job = await AlistIngestJob.findById(jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: '入库任务不存在'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '获取入库任务进度成功',
+      data: formatIngestJob(job)
+    });
+  } catch (error) {
+    logger.error('获取Alist入库任务进度失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取入库任务进度失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/alist/ingest/jobs/{jobId}/cancel:
+ *   post:
+ *     summary: 取消Alist入库任务
+ *     description: 排队中的任务立即取消；运行中的任务在当前目录处理完成后停止，已入库的目录不会回滚
+ *     tags: [Alist管理相关]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 取消请求已受理
+ *       404:
+ *         description: 任务不存在
+ *       409:
+ *         description: 任务已结束
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+const cancelAlistIngestJob = async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.jobId, 10);
+
+    if (!Number.isFinite(jobId)) {
+      return res.status(400).json({
+        success: false,
+        message: '任务ID无效'
+      });
+    }
+
+    const job = await AlistIngestJob.requestCancel(jobId);
+    if (!job) {
+      const existing = await AlistIngestJob.findById(jobId);
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        message: existing ? '入库任务已结束，无法取消' : '入库任务不存在'
+      });
+    }
+
+    logger.info('Alist入库任务取消请求', { jobId, status: job.status, operatorId: req.user.id });
+
+    res.json({
+      success: true,
+      message: job.status === 'cancelled' ? '入库任务已取消' : '已请求取消，任务将在当前目录处理完成后停止',
+      data: formatIngestJob(job)
+    });
+  } catch (error) {
+    logger.error('取消Alist入库任务失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '取消入库任务失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/alist/ingest/schedule-runs:
+ *   get:
+ *     summary: 获取Alist定时入库执行记录
+ *     description: 返回各入库配置定时执行的历史结果，包括新建/更新/跳过/失败目录数和失败原因
+ *     tags: [Alist管理相关]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: setting_id
+ *         schema:
+ *           type: integer
+ *         description: 入库配置ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, completed, failed, skipped, interrupted]
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+const getAlistIngestScheduleRuns = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const settingId = parseInt(req.query.setting_id, 10);
+    const { status } = req.query;
+
+    if (status && !SCHEDULE_RUN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的执行状态'
+      });
+    }
+
+    const result = await AlistIngestScheduleRun.findAll({
+      page,
+      limit,
+      settingId: Number.isFinite(settingId) ? settingId : null,
+      status: status || null
+    });
+
+    res.json({
+      success: true,
+      message: '获取定时入库记录成功',
+      data: {
+        runs: result.data,
+        pagination: result.pagination
+      }
+    });
+  } catch (error) {
+    logger.error('获取Alist定时入库记录失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取定时入库记录失败'
+    });
+  }
+};
+
 /**
  * @swagger
  * /api/admin/alist/resources:
@@ -1218,11 +1678,16 @@ module.exports = {
   getAlistConfig,
   updateAlistConfig,
   getAlistIngestSettings,
+  getAlistMetadataExtractors,
   createAlistIngestSetting,
   updateAlistIngestSetting,
   deleteAlistIngestSetting,
   scanAlistIngestSetting,
   scanTestAlistIngestSetting,
+  getAlistIngestJobs,
+  getAlistIngestJob,
+  cancelAlistIngestJob,
+  getAlistIngestScheduleRuns,
   getAlistResources,
   addAlistResource,
   deleteAlistResource,
@@ -0,0 +1,281 @@
+/**
+ * 搜索管理控制器
+ * 提供搜索索引状态查看与重建、无结果搜索报表与搜索趋势统计
+ */
+
+const SearchDocument = require('../../models/SearchDocument');
+const SearchRecord = require('../../models/SearchRecord');
+const { searchIndexer } = require('../../services/searchIndexer');
+const { logger } = require('../../utils/logger');
+
+const MAX_REPORT_DAYS = 180;
+
+/**
+ * 解析报表通用参数，返回错误信息或解析结果
+ */
+const parseReportQuery = (req, defaultDays) => {
+  const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : defaultDays;
+  if (!Number.isFinite(days) || days < 1 || days > MAX_REPORT_DAYS) {
+    return { error: `统计天数需在1到${MAX_REPORT_DAYS}之间` };
+  }
+
+  let searchType = null;
+  if (req.query.type && req.query.type !== 'all') {
+    searchType = SearchRecord.normalizeType(req.query.type);
+    if (!searchType) {
+      return { error: '搜索类型不合法' };
+    }
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  return { days, searchType, limit };
+};
+
+/**
+ * @swagger
+ * /api/admin/search/index:
+ *   get:
+ *     summary: 获取搜索索引状态
+ *     description: 按文档类型统计索引数量、可见数量与最近索引时间
+ *     tags: [搜索管理]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ */
+const getSearchIndexStatus = async (req, res) => {
+  try {
+    const stats = await SearchDocument.getStats();
+
+    res.json({
+      success: true,
+      message: '获取搜索索引状态成功',
+      data: {
+        documents: stats,
+        syncing: searchIndexer.syncing
+      }
+    });
+  } catch (error) {
+    logger.error('获取搜索索引状态失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取搜索索引状态失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/search/index/rebuild:
+ *   post:
+ *     summary: 重建搜索索引
+ *     description: 将索引标记为过期，由后台同步任务分批重建（调整分词规则后使用）；重建期间旧索引仍可检索
+ *     tags: [搜索管理]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               doc_type:
+ *                 type: string
+ *                 enum: [resource, post, tag]
+ *                 description: 只重建指定类型，留空表示全部
+ *     responses:
+ *       202:
+ *         description: 已开始重建
+ *       400:
+ *         description: 文档类型不合法
+ */
+const rebuildSearchIndex = async (req, res) => {
+  try {
+    const docType = req.body?.doc_type || null;
+    if (docType && !SearchDocument.DOC_TYPES.includes(docType)) {
+      return res.status(400).json({
+        success: false,
+        message: '文档类型不合法'
+      });
+    }
+
+    const marked = await searchIndexer.rebuild(docType);
+
+    res.status(202).json({
+      success: true,
+      message: '搜索索引已开始重建',
+      data: { doc_type: docType, marked }
+    });
+  } catch (error) {
+    logger.error('重建搜索索引失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '重建搜索索引失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/search/reports/zero-results:
+ *   get:
+ *     summary: 无结果搜索报表
+ *     description: 统计时间窗口内没有返回任何结果的搜索关键词，按搜索次数排序，用于发现用户想找但站内缺失的内容
+ *     tags: [搜索管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 180
+ *           default: 7
+ *         description: 统计最近天数（含今天）
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [all, resource, community]
+ *         description: 搜索类型
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/SearchZeroResultReport'
+ *       400:
+ *         description: 参数错误
+ */
+const getZeroResultReport = async (req, res) => {
+  try {
+    const { error, ...options } = parseReportQuery(req, 7);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const report = await SearchRecord.getZeroResultReport(options);
+
+    res.json({
+      success: true,
+      message: '获取无结果搜索报表成功',
+      data: report
+    });
+  } catch (error) {
+    logger.error('获取无结果搜索报表失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取无结果搜索报表失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/search/reports/trends:
+ *   get:
+ *     summary: 搜索趋势
+ *     description: 按天统计搜索量、无结果次数、关键词数与搜索人数，并列出热门关键词及其相对上一个同长度周期的增长
+ *     tags: [搜索管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 180
+ *           default: 30
+ *         description: 统计最近天数（含今天）
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [all, resource, community]
+ *         description: 搜索类型
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: 关键词数量
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/SearchTrendReport'
+ *       400:
+ *         description: 参数错误
+ */
+const getSearchTrends = async (req, res) => {
+  try {
+    const { error, ...options } = parseReportQuery(req, 30);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const trends = await SearchRecord.getTrends(options);
+
+    res.json({
+      success: true,
+      message: '获取搜索趋势成功',
+      data: {
+        days: options.days,
+        ...trends
+      }
+    });
+  } catch (error) {
+    logger.error('获取搜索趋势失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取搜索趋势失败',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSearchIndexStatus,
+  rebuildSearchIndex,
+  getZeroResultReport,
+  getSearchTrends
+};
@@ -7,6 +7,8 @@ const AlistResource = require('../models/AlistResource');
 const { alistClient, AlistClient } = require('../utils/alistClient');
 const { logger } = require('../utils/logger');
 const { query } = require('../config/database');
+const PointsService = require('../services/PointsService');
+const { buildDownloadLedgerKey } = require('../utils/downloadAuthUtils');
 
 /**
  * @swagger
@@ -463,6 +465,11 @@ const getResourceFileInfo = async (req, res) => {
  *       - 普通用户：仅消耗总下载次数，不使用每日限额
  *       - 大文件计费：超过100MB的文件，每100MB消耗1次下载次数
  *       - 下载次数卡：兑换后增加的是总下载次数(download_count)，非每日限额
+ *
+ *       **资源访问要求（来自入库元数据）：**
+ *       - 资源设置了 required_vip_level 时，VIP等级不足的用户需支付 required_points 积分；未设置积分则无法下载
+ *       - 仅设置了 required_points 时，非VIP用户需额外支付积分
+ *       - 当日重复下载同一文件不再扣除积分
  *     tags: [Alist文件管理]
  *     security:
  *       - BearerAuth: []
@@ -656,7 +663,8 @@ const generateDownloadLink = async (req, res) => {
     const alistResourceQuery = await query(`
       SELECT
         ar.id, ar.resource_id, ar.alist_path, ar.alist_name, ar.file_size,
-        r.id as resource_id, r.title, r.official, r.status
+        r.id as resource_id, r.title, r.official, r.status,
+        r.required_points, r.required_vip_level
       FROM alist_resources ar
       JOIN resources r ON ar.resource_id = r.id
       WHERE ar.id = $1 AND r.official = true AND r.status = 'published'
@@ -679,7 +687,7 @@ const generateDownloadLink = async (req, res) => {
 
     // 获取用户信息
     const userInfo = await query(
-      `SELECT id, username, download_count, vip_level, vip_expire_at as vip_expires_at,
+      `SELECT id, username, points, download_count, vip_level, vip_expire_at as vip_expires_at,
        daily_download_limit, daily_downloads_used, last_download_reset_date
        FROM users WHERE id = $1`,
       [userId]
@@ -752,6 +760,7 @@ const generateDownloadLink = async (req, res) => {
 
     let costType = '';
     let dailyCost = 0;
+    let pointsCost = 0;
     let remainingDaily = actualDailyLimit - user.daily_downloads_used;
     let remainingTotal = user.download_count;
     let isRepeatDownload = false;
@@ -774,6 +783,28 @@ const generateDownloadLink = async (req, res) => {
         originalCostAmount: existingDownload.rows[0].download_count_cost
       });
     } else {
+      // 资源访问要求：VIP等级不足时使用积分代替，未设置积分则拒绝
+      const requiredVipLevel = alistResource.required_vip_level || 0;
+      const requiredPoints = alistResource.required_points || 0;
+      const effectiveVipLevel = isVip ? user.vip_level : 0;
+      const meetsVipRequirement = requiredVipLevel > 0 ? effectiveVipLevel >= requiredVipLevel : isVip;
+
+      if (!meetsVipRequirement && requiredPoints > 0) {
+        pointsCost = requiredPoints;
+      } else if (!meetsVipRequirement && requiredVipLevel > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `需要VIP${requiredVipLevel}等级，当前等级：${effectiveVipLevel}`
+        });
+      }
+
+      if (pointsCost > 0 && (user.points || 0) < pointsCost) {
+        return res.status(400).json({
+          success: false,
+          message: `积分不足，需要 ${pointsCost} 积分，当前有 ${user.points || 0} 积分`
+        });
+      }
+
       // 首次下载，需要扣费
       if (isVip) {
         // VIP用户：优先使用每日下载次数，不足时使用总次数
@@ -802,6 +833,18 @@ const generateDownloadLink = async (req, res) => {
         }
       }
 
+      if (pointsCost > 0) {
+        await PointsService.postLedgerEntry(userId, {
+          points: -pointsCost,
+          type: 'spend',
+          source: 'resource_download',
+          description: `下载文件: ${fileInfo.name}`,
+          reference_id: alist_resource_id,
+          reference_type: 'alist_resource',
+          idempotencyKey: buildDownloadLedgerKey(userId, `alist:${alist_resource_id}`, [alist_resource_id])
+        });
+      }
+
       // 扣除下载次数
       if (costType === 'daily_limit') {
         // 使用每日下载次数
@@ -826,13 +869,14 @@ const generateDownloadLink = async (req, res) => {
       ) VALUES ($1, $2, CURRENT_DATE, $3, $4, $5, $6, $7, $8)
       ON CONFLICT (user_id, alist_resource_id, purchase_date) DO UPDATE SET
         cost_type = EXCLUDED.cost_type,
+        points_cost = GREATEST(daily_purchases.points_cost, EXCLUDED.points_cost),
         download_count_cost = GREATEST(daily_purchases.download_count_cost, EXCLUDED.download_count_cost),
         resource_id = EXCLUDED.resource_id
       RETURNING id, created_at
     `, [
       userId,
       resource.id,
-      0, // points_cost: Alist下载不消耗积分，固定为0
+      pointsCost, // points_cost: 仅资源设置了访问要求时扣除积分
       null, // file_id: Alist下载没有对应的resource_files记录
       alist_resource_id,
       'alist',
@@ -861,6 +905,7 @@ const generateDownloadLink = async (req, res) => {
       costType,
       costAmount,
       dailyCost,
+      pointsCost,
       isVip,
       isRepeatDownload,
       remainingDaily: remainingDaily - dailyCost,
@@ -881,6 +926,9 @@ const generateDownloadLink = async (req, res) => {
         message += `，消耗总下载次数1次`;
       }
     }
+    if (pointsCost > 0) {
+      message += `，消耗积分${pointsCost}`;
+    }
 
     res.json({
       success: true,
@@ -897,6 +945,7 @@ const generateDownloadLink = async (req, res) => {
           cost_type: costType,
           cost_amount: costAmount,
           daily_cost: dailyCost,
+          points_cost: pointsCost,
           remaining_daily: remainingDaily - dailyCost,
           remaining_total: costType === 'download_count' ? remainingTotal - 1 : remainingTotal,
           is_vip: isVip,
@@ -0,0 +1,728 @@
+/**
+ * 系统公告控制器
+ * 处理管理端系统公告的撰写、提交审核、审核发布、取消，以及投放人群预估与阅读统计
+ * @swagger
+ * tags:
+ *   name: 系统公告
+ *   description: 定向、定时与周期发送的系统公告（管理员）
+ */
+
+const AuditLog = require('../models/AuditLog');
+const { services } = require('../services');
+const { logger } = require('../utils/logger');
+
+const getRequestMeta = (req) => ({
+  ipAddress: (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.ip,
+  userAgent: req.get('user-agent') || ''
+});
+
+const RECURRENCES = ['none', 'daily', 'weekly', 'monthly'];
+const ROLE_NAME_PATTERN = /^[a-z0-9_]{1,50}$/;
+
+const isBlank = (value) => value === null || value === '';
+
+/**
+ * 解析并校验投放人群
+ * @param {Object} [audience]
+ * @returns {{data?: Object, error?: string}}
+ */
+const parseAudience = (audience) => {
+  if (audience === undefined || audience === null) {
+    return { data: {} };
+  }
+
+  if (typeof audience !== 'object' || Array.isArray(audience)) {
+    return { error: '投放人群格式无效' };
+  }
+
+  const data = {};
+
+  if (audience.roles !== undefined && !isBlank(audience.roles)) {
+    const roles = Array.isArray(audience.roles) ? audience.roles.map(role => String(role).trim()) : [];
+    if (roles.length === 0 || roles.some(role => !ROLE_NAME_PATTERN.test(role))) {
+      return { error: '投放角色必须是角色名称数组' };
+    }
+    data.roles = [...new Set(roles)];
+  }
+
+  if (audience.vip_levels !== undefined && !isBlank(audience.vip_levels)) {
+    const levels = Array.isArray(audience.vip_levels) ? audience.vip_levels.map(Number) : [];
+    if (levels.length === 0 || levels.some(level => !Number.isInteger(level) || level < 1)) {
+      return { error: 'VIP等级必须是正整数数组' };
+    }
+    data.vip_levels = [...new Set(levels)];
+  }
+
+  for (const field of ['registered_after', 'registered_before']) {
+    if (audience[field] === undefined || isBlank(audience[field])) {
+      continue;
+    }
+    const date = new Date(audience[field]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: '注册时间格式无效' };
+    }
+    data[field] = date.toISOString();
+  }
+
+  if (data.registered_after && data.registered_before && data.registered_before <= data.registered_after) {
+    return { error: '注册时间范围无效' };
+  }
+
+  for (const field of ['active_within_days', 'inactive_for_days']) {
+    if (audience[field] === undefined || isBlank(audience[field])) {
+      continue;
+    }
+    const days = Number(audience[field]);
+    if (!Number.isInteger(days) || days < 1 || days > 3650) {
+      return { error: '活跃天数必须是1-3650之间的整数' };
+    }
+    data[field] = days;
+  }
+
+  if (data.active_within_days && data.inactive_for_days && data.inactive_for_days >= data.active_within_days) {
+    return { error: '活跃与不活跃天数条件互相矛盾' };
+  }
+
+  return { data };
+};
+
+/**
+ * 解析并校验公告请求体
+ * @param {Object} body - 请求体
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - 是否为部分更新
+ * @returns {{data?: Object, error?: string}}
+ */
+const parseAnnouncementPayload = (body = {}, { partial = false } = {}) => {
+  if (!partial && (isBlank(body.title) || body.title === undefined || isBlank(body.content) || body.content === undefined)) {
+    return { error: '公告标题和内容为必填字段' };
+  }
+
+  const data = {};
+
+  if (body.title !== undefined) {
+    data.title = String(body.title).trim();
+    if (!data.title || data.title.length > 255) {
+      return { error: '公告标题不能为空且不超过255字符' };
+    }
+  }
+
+  if (body.content !== undefined) {
+    data.content = String(body.content).trim();
+    if (!data.content || data.content.length > 10000) {
+      return { error: '公告内容不能为空且不超过10000字符' };
+    }
+  }
+
+  if (body.audience !== undefined || !partial) {
+    const { data: audience, error } = parseAudience(body.audience);
+    if (error) {
+      return { error };
+    }
+    data.audience = audience;
+  }
+
+  for (const field of ['scheduled_at', 'recurrence_end_at']) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    if (isBlank(body[field])) {
+      data[field] = null;
+      continue;
+    }
+    const date = new Date(body[field]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: '发送时间格式无效' };
+    }
+    data[field] = date;
+  }
+
+  if (body.recurrence !== undefined) {
+    if (!RECURRENCES.includes(body.recurrence)) {
+      return { error: '发送周期无效' };
+    }
+    data.recurrence = body.recurrence;
+  }
+
+  if (data.scheduled_at && data.recurrence_end_at && data.recurrence_end_at <= data.scheduled_at) {
+    return { error: '周期结束时间必须晚于首次发送时间' };
+  }
+
+  return { data };
+};
+
+const recordAnnouncementLog = async (req, payload) => {
+  const { ipAddress, userAgent } = getRequestMeta(req);
+  await AuditLog.createSystemLog({
+    operatorId: req.user?.id || null,
+    ipAddress,
+    userAgent,
+    targetType: 'announcement',
+    ...payload
+  });
+};
+
+// 业务校验失败返回 400，公告不存在返回 404
+const sendAnnouncementError = (res, error, fallbackMessage) => {
+  if (error.message === '公告不存在') {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(400).json({
+    success: false,
+    message: error.message || fallbackMessage
+  });
+};
+
+/**
+ * @swagger
+ * /api/admin/announcements:
+ *   get:
+ *     tags: [系统公告]
+ *     summary: 获取公告列表
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, pending_review, rejected, scheduled, sending, completed, cancelled, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         data:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Announcement'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/PaginationInfo'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   post:
+ *     tags: [系统公告]
+ *     summary: 创建公告草稿
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AnnouncementInput'
+ *               - type: object
+ *                 required: [title, content]
+ *     responses:
+ *       201:
+ *         description: 创建成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Announcement'
+ *       400:
+ *         description: 参数错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const getAnnouncements = async (req, res) => {
+  try {
+    const result = await services.announcement.getAnnouncements(req.query);
+    res.json(result);
+  } catch (error) {
+    logger.error('获取公告列表失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取公告列表失败'
+    });
+  }
+};
+
+const createAnnouncement = async (req, res) => {
+  try {
+    const { data, error } = parseAnnouncementPayload(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const result = await services.announcement.createAnnouncement(data, req.user.id);
+
+    await recordAnnouncementLog(req, {
+      targetId: result.data.id,
+      action: 'announcement_create',
+      summary: `创建系统公告 ${result.data.title}`,
+      detail: { audience: result.data.audience, scheduledAt: result.data.scheduled_at, recurrence: result.data.recurrence }
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('创建公告失败:', error);
+    sendAnnouncementError(res, error, '创建公告失败');
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/announcements/audience/preview:
+ *   post:
+ *     tags: [系统公告]
+ *     summary: 预估投放人数
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               audience:
+ *                 $ref: '#/components/schemas/AnnouncementAudience'
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         audience:
+ *                           $ref: '#/components/schemas/AnnouncementAudience'
+ *                         total:
+ *                           type: integer
+ *                           example: 1200
+ *       400:
+ *         description: 投放人群参数错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const previewAudience = async (req, res) => {
+  try {
+    const { data, error } = parseAudience((req.body || {}).audience);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const result = await services.announcement.previewAudience(data);
+    res.json(result);
+  } catch (error) {
+    logger.error('预估投放人数失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '预估投放人数失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/announcements/{id}:
+ *   get:
+ *     tags: [系统公告]
+ *     summary: 获取公告详情
+ *     description: 含每次发送的投放记录，以及累计送达数、已读数与阅读率
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Announcement'
+ *                         - type: object
+ *                           properties:
+ *                             stats:
+ *                               $ref: '#/components/schemas/AnnouncementStats'
+ *                             deliveries:
+ *                               type: array
+ *                               items:
+ *                                 $ref: '#/components/schemas/AnnouncementDelivery'
+ *       404:
+ *         description: 公告不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   put:
+ *     tags: [系统公告]
+ *     summary: 编辑公告
+ *     description: 仅草稿、已驳回或发送失败的公告可编辑，编辑后回到草稿状态，需重新提交审核
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AnnouncementInput'
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       400:
+ *         description: 参数错误或当前状态不可编辑
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     tags: [系统公告]
+ *     summary: 删除公告草稿
+ *     description: 仅可删除从未发送过的草稿、已驳回或发送失败的公告
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       400:
+ *         description: 当前状态不可删除
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const getAnnouncement = async (req, res) => {
+  try {
+    const result = await services.announcement.getAnnouncement(parseInt(req.params.id, 10));
+    res.json(result);
+  } catch (error) {
+    logger.error('获取公告详情失败:', error);
+
+    if (error.message === '公告不存在') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: '获取公告详情失败'
+    });
+  }
+};
+
+const updateAnnouncement = async (req, res) => {
+  try {
+    const { data, error } = parseAnnouncementPayload(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const result = await services.announcement.updateAnnouncement(parseInt(req.params.id, 10), data, req.user.id);
+
+    await recordAnnouncementLog(req, {
+      targetId: result.data.id,
+      action: 'announcement_update',
+      summary: `编辑系统公告 ${result.data.title}`,
+      detail: { fields: Object.keys(data) }
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('编辑公告失败:', error);
+    sendAnnouncementError(res, error, '编辑公告失败');
+  }
+};
+
+const deleteAnnouncement = async (req, res) => {
+  try {
+    const result = await services.announcement.deleteAnnouncement(parseInt(req.params.id, 10));
+
+    await recordAnnouncementLog(req, {
+      targetId: result.data.id,
+      action: 'announcement_delete',
+      summary: `删除系统公告草稿 ${result.data.title}`
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('删除公告失败:', error);
+    sendAnnouncementError(res, error, '删除公告失败');
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/announcements/{id}/submit:
+ *   post:
+ *     tags: [系统公告]
+ *     summary: 提交公告审核
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 已提交审核
+ *       400:
+ *         description: 当前状态不可提交
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const submitAnnouncement = async (req, res) => {
+  try {
+    const result = await services.announcement.submitAnnouncement(parseInt(req.params.id, 10), req.user.id);
+
+    await recordAnnouncementLog(req, {
+      targetId: result.data.id,
+      action: 'announcement_submit',
+      summary: `提交系统公告审核 ${result.data.title}`
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('提交公告审核失败:', error);
+    sendAnnouncementError(res, error, '提交公告审核失败');
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/announcements/{id}/approve:
+ *   post:
+ *     tags: [系统公告]
+ *     summary: 审核通过并发布公告
+ *     description: 未设置计划发送时间或计划时间已过的公告立即进入发送队列，否则按计划时间发送；周期公告按周期持续发送
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: 已发布
+ *       400:
+ *         description: 当前状态不可审核
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ * /api/admin/announcements/{id}/reject:
+ *   post:
+ *     tags: [系统公告]
+ *     summary: 驳回公告
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [note]
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: 驳回原因
+ *     responses:
+ *       200:
+ *         description: 已驳回
+ *       400:
+ *         description: 缺少驳回原因或当前状态不可审核
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const approveAnnouncement = async (req, res) => {
+  try {
+    const { note } = req.body || {};
+    const result = await services.announcement.approveAnnouncement(
+      parseInt(req.params.id, 10),
+      req.user.id,
+      note ? String(note).slice(0, 500) : null
+    );
+
+    await recordAnnouncementLog(req, {
+      targetId: result.data.id,
+      action: 'announcement_approve',
+      summary: `审核通过系统公告 ${result.data.title}`,
+      detail: { nextRunAt: result.data.next_run_at, recurrence: result.data.recurrence }
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('审核公告失败:', error);
+    sendAnnouncementError(res, error, '审核公告失败');
+  }
+};
+
+const rejectAnnouncement = async (req, res) => {
+  try {
+    const note = String((req.body || {}).note || '').trim();
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        message: '请填写驳回原因'
+      });
+    }
+
+    const result = await services.announcement.rejectAnnouncement(parseInt(req.params.id, 10), req.user.id, note.slice(0, 500));
+
+    await recordAnnouncementLog(req, {
+      targetId: result.data.id,
+      action: 'announcement_reject',
+      summary: `驳回系统公告 ${result.data.title}`,
+      detail: { note: result.data.review_note }
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('驳回公告失败:', error);
+    sendAnnouncementError(res, error, '驳回公告失败');
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/announcements/{id}/cancel:
+ *   post:
+ *     tags: [系统公告]
+ *     summary: 取消公告
+ *     description: 取消未发送的公告，周期公告取消后不再发送；已发出的通知不会撤回
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 已取消
+ *       400:
+ *         description: 当前状态不可取消
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const cancelAnnouncement = async (req, res) => {
+  try {
+    const result = await services.announcement.cancelAnnouncement(parseInt(req.params.id, 10), req.user.id);
+
+    await recordAnnouncementLog(req, {
+      targetId: result.data.id,
+      action: 'announcement_cancel',
+      summary: `取消系统公告 ${result.data.title}`,
+      detail: { runCount: result.data.run_count }
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('取消公告失败:', error);
+    sendAnnouncementError(res, error, '取消公告失败');
+  }
+};
+
+module.exports = {
+  getAnnouncements,
+  createAnnouncement,
+  previewAudience,
+  getAnnouncement,
+  updateAnnouncement,
+  deleteAnnouncement,
+  submitAnnouncement,
+  approveAnnouncement,
+  rejectAnnouncement,
+  cancelAnnouncement
+};
@@ -9,17 +9,95 @@
 
 const User = require('../models/User');
 const VerificationCode = require('../models/VerificationCode');
-const { generateTokenPair, verifyRefreshToken } = require('../utils/jwt');
+const {
+  generateTokenPair,
+  verifyRefreshToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken
+} = require('../utils/jwt');
 const { checkPasswordStrength } = require('../utils/password');
 const { logger } = require('../utils/logger');
 const { services } = require('../services');
 const AuditLog = require('../models/AuditLog');
+const RefreshToken = require('../models/RefreshToken');
+const UserMfa = require('../models/UserMfa');
+const { getDeviceName } = require('../utils/deviceInfo');
 
+const REFRESH_TOKEN_TTL_DAYS = 7;
+
+const MFA_PURPOSES = {
+  LOGIN: 'login',
+  ENROLL: 'enroll'
+};
+// 两步验证失败写入登录日志时使用的原因，同一挑战令牌内按此统计失败次数
+const MFA_FAILURE_REASON = '两步验证码错误';
+const MFA_MAX_ATTEMPTS = 5;
+
+// 登录锁定按IP计数，只信任 req.ip（经 TRUST_PROXY 配置的代理解析），不直接读取客户端可伪造的请求头
 const getRequestMeta = (req) => ({
-  ipAddress: (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.ip,
+  ipAddress: req.ip,
   userAgent: req.get('user-agent') || ''
 });
 
+const getRefreshTokenExpiry = () => {
+  const expiry = new Date();
+  expiry.setDate(expiry.getDate() + REFRESH_TOKEN_TTL_DAYS);
+  return expiry;
+};
+
+// 登录/注册成功后开启新会话，并记录设备信息
+const createSession = async (req, user, roles) => {
+  const { ipAddress, userAgent } = getRequestMeta(req);
+  const sessionId = RefreshToken.createSessionId();
+  const tokens = generateTokenPair(user, roles, { sessionId });
+
+  await RefreshToken.create({
+    userId: user.id,
+    sessionId,
+    refreshToken: tokens.refreshToken,
+    expiresAt: getRefreshTokenExpiry(),
+    deviceName: getDeviceName(userAgent, req.body.device_name),
+    userAgent,
+    ipAddress
+  });
+
+  return tokens;
+};
+
+// 账号或IP处于锁定期时的统一响应
+const respondLoginLocked = (res, lock) => {
+  const minutes = Math.max(1, Math.ceil((new Date(lock.locked_until).getTime() - Date.now()) / 60000));
+
+  return res.status(429).json({
+    success: false,
+    message: `登录失败次数过多，请${minutes}分钟后再试`,
+    data: {
+      locked_until: lock.locked_until
+    }
+  });
+};
+
+// 已启用两步验证或角色策略要求启用时，密码校验通过后只签发挑战令牌
+const createMfaChallenge = async (user) => {
+  const enabled = await UserMfa.isEnabled(user.id);
+  const enrollment = !enabled && await UserMfa.isRequiredForUser(user.id)
+    ? await UserMfa.startEnrollment(user)
+    : null;
+
+  if (!enabled && !enrollment) {
+    return null;
+  }
+
+  const purpose = enrollment ? MFA_PURPOSES.ENROLL : MFA_PURPOSES.LOGIN;
+
+  return {
+    mfa_required: true,
+    challenge_token: generateMfaChallengeToken({ userId: user.id, purpose }),
+    methods: enrollment ? ['totp'] : ['totp', 'recovery_code'],
+    enrollment
+  };
+};
+
 /**
  * @swagger
  * /api/auth/register:
@@ -212,11 +290,7 @@ const register = async (req, res) => {
       }
     }
 
-    const tokens = generateTokenPair(newUser, userRoles);
-
-    const refreshTokenExpiry = new Date();
-    refreshTokenExpiry.setDate(refreshTokenExpiry.getDate() + 7);
-    await User.storeRefreshToken(newUser.id, tokens.refreshToken, refreshTokenExpiry);
+    const tokens = await createSession(req, newUser, userRoles);
 
     await AuditLog.createSystemLog({
       operatorId: newUser.id,
@@ -271,7 +345,7 @@ const register = async (req, res) => {
  * /api/auth/login:
  *   post:
  *     summary: 用户登录
- *     description: 用户登录，支持邮箱或用户名登录，生成JWT令牌对
+ *     description: 用户登录，支持邮箱或用户名登录，生成JWT令牌对。已启用两步验证（或角色要求启用）的账号不会直接返回令牌，而是返回挑战令牌，需调用 /api/auth/mfa/verify 完成登录
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -308,7 +382,9 @@ const register = async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/MfaChallengeResponse'
  *             example:
  *               success: true
  *               message: "登录成功"
@@ -366,6 +442,17 @@ const register = async (req, res) => {
  *                 value:
  *                   success: false
  *                   message: "账户已被冻结"
+ *       429:
+ *         description: 登录失败次数过多，账号或IP处于锁定期
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "登录失败次数过多，请15分钟后再试"
+ *               data:
+ *                 locked_until: "2025-09-16T12:15:00.000Z"
  *       500:
  *         description: 服务器内部错误
  *         content:
@@ -400,23 +487,41 @@ const login = async (req, res) => {
       });
     }
 
+    const lock = await services.loginSecurity.getActiveLock({ identifier: email, ipAddress });
+
+    if (lock) {
+      await logLogin({ status: 'failure', reason: services.loginSecurity.LOCKED_FAILURE_REASON });
+      return respondLoginLocked(res, lock);
+    }
+
     const user = await User.authenticate(email, password);
 
     if (!user) {
       await logLogin({ status: 'failure', reason: '邮箱或密码错误' });
+      const newLock = await services.loginSecurity.recordFailure({ identifier: email, ipAddress });
+      if (newLock) {
+        return respondLoginLocked(res, newLock);
+      }
       return res.status(401).json({
         success: false,
         message: '邮箱或密码错误'
       });
     }
 
-    const userRoles = await User.getUserRoles(user.id);
-    const tokens = generateTokenPair(user, userRoles);
+    const mfaChallenge = await createMfaChallenge(user);
 
-    const refreshTokenExpiry = new Date();
-    refreshTokenExpiry.setDate(refreshTokenExpiry.getDate() + 7);
-    await User.storeRefreshToken(user.id, tokens.refreshToken, refreshTokenExpiry);
+    if (mfaChallenge) {
+      return res.json({
+        success: true,
+        message: mfaChallenge.enrollment ? '账号需要绑定两步验证' : '请完成两步验证',
+        data: mfaChallenge
+      });
+    }
 
+    const userRoles = await User.getUserRoles(user.id);
+    const tokens = await createSession(req, user, userRoles);
+
+    await services.loginSecurity.detectNewLogin(user, { ipAddress, userAgent });
     await logLogin({ status: 'success', userId: user.id });
 
     res.json({
@@ -453,6 +558,193 @@ const login = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/auth/mfa/verify:
+ *   post:
+ *     summary: 完成两步验证登录
+ *     description: |
+ *       使用登录时返回的挑战令牌提交动态验证码或恢复码，验证通过后签发令牌对。
+ *       若挑战用于强制绑定（登录响应包含 enrollment），提交认证器中的验证码即完成绑定，响应中一次性返回恢复码。
+ *       每个挑战令牌最多允许失败5次，失败记录写入登录日志
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MfaVerifyRequest'
+ *     responses:
+ *       200:
+ *         description: 验证通过，登录成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: 请求参数错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: 挑战令牌无效或验证码错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: 账户状态异常
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: 失败次数过多，需要重新登录；或账号/IP处于锁定期
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const verifyMfa = async (req, res) => {
+  const { challenge_token: challengeToken, code, recovery_code: recoveryCode } = req.body || {};
+  const { ipAddress, userAgent } = getRequestMeta(req);
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({
+      success: false,
+      message: '挑战令牌和验证码为必填项'
+    });
+  }
+
+  let challenge;
+  try {
+    challenge = verifyMfaChallengeToken(challengeToken);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: '两步验证已过期，请重新登录'
+    });
+  }
+
+  try {
+    const user = await User.findById(challenge.userId);
+
+    if (!user || user.status !== 'normal') {
+      return res.status(403).json({
+        success: false,
+        message: '账户状态异常，无法登录'
+      });
+    }
+
+    const logLogin = async ({ status, reason = null }) => {
+      await AuditLog.createLoginLog({
+        userId: user.id,
+        identifier: user.email,
+        status,
+        failureReason: reason,
+        ipAddress,
+        userAgent
+      });
+    };
+
+    const lock = await services.loginSecurity.getActiveLock({ identifier: user.email, ipAddress });
+
+    if (lock) {
+      await logLogin({ status: 'failure', reason: services.loginSecurity.LOCKED_FAILURE_REASON });
+      return respondLoginLocked(res, lock);
+    }
+
+    const failures = await AuditLog.countLoginLogs({
+      userId: user.id,
+      status: 'failure',
+      failureReason: MFA_FAILURE_REASON,
+      dateFrom: new Date(challenge.iat * 1000)
+    });
+
+    if (failures >= MFA_MAX_ATTEMPTS) {
+      return res.status(429).json({
+        success: false,
+        message: '两步验证失败次数过多，请重新登录'
+      });
+    }
+
+    let method = null;
+    let recoveryCodes = null;
+
+    if (challenge.purpose === MFA_PURPOSES.ENROLL) {
+      recoveryCodes = await UserMfa.confirmEnrollment(user.id, code);
+      method = recoveryCodes ? 'totp' : null;
+    } else {
+      method = await UserMfa.verify(user.id, { code, recoveryCode });
+    }
+
+    if (!method) {
+      await logLogin({ status: 'failure', reason: MFA_FAILURE_REASON });
+      const newLock = await services.loginSecurity.recordFailure({
+        identifier: user.email,
+        ipAddress,
+        userId: user.id
+      });
+      if (newLock) {
+        return respondLoginLocked(res, newLock);
+      }
+      return res.status(401).json({
+        success: false,
+        message: '验证码错误'
+      });
+    }
+
+    if (recoveryCodes) {
+      await AuditLog.createSystemLog({
+        operatorId: user.id,
+        targetType: 'user',
+        targetId: user.id,
+        action: 'mfa_enable',
+        summary: '登录时绑定两步验证',
+        detail: null,
+        ipAddress,
+        userAgent
+      });
+    }
+
+    const userRoles = await User.getUserRoles(user.id);
+    const tokens = await createSession(req, user, userRoles);
+
+    await services.loginSecurity.detectNewLogin(user, { ipAddress, userAgent });
+    await logLogin({ status: 'success' });
+
+    res.json({
+      success: true,
+      message: '登录成功',
+      data: {
+        user: {
+          id: user.id,
+          username: user.username,
+          email: user.email,
+          nickname: user.nickname,
+          status: user.status,
+          roles: userRoles
+        },
+        tokens,
+        mfa: {
+          method,
+          recovery_codes: recoveryCodes,
+          recovery_codes_remaining: method === 'recovery_code'
+            ? await UserMfa.countRemainingRecoveryCodes(user.id)
+            : undefined
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('两步验证失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '两步验证失败，请稍后重试'
+    });
+  }
+};
+
 /**
  * @swagger
  * /api/auth/refresh:
@@ -544,36 +836,59 @@ const refreshToken = async (req, res) => {
 
     // 验证刷新令牌
     const decoded = verifyRefreshToken(refreshToken);
-    
-    // 从数据库验证令牌
-    const tokenRecord = await User.validateRefreshToken(refreshToken);
-    
-    if (!tokenRecord) {
+
+    if (!decoded.sid) {
+      return res.status(401).json({
+        success: false,
+        message: '无效的刷新令牌'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+
+    if (!user || user.status !== 'normal') {
       return res.status(401).json({
         success: false,
         message: '无效的刷新令牌'
       });
     }
 
-    // 生成新的令牌对
-    const user = {
-      id: tokenRecord.user_id,
-      username: tokenRecord.username,
-      email: tokenRecord.email
-    };
-    
-    // 获取用户角色信息
     const userRoles = await User.getUserRoles(user.id);
-    
-    const newTokens = generateTokenPair(user, userRoles);
+    const newTokens = generateTokenPair(user, userRoles, { sessionId: decoded.sid });
 
-    // 撤销旧的刷新令牌
-    await User.revokeRefreshToken(refreshToken);
+    // 作废旧令牌并写入同一会话的新令牌
+    const { ipAddress, userAgent } = getRequestMeta(req);
+    const rotation = await RefreshToken.rotate(refreshToken, {
+      refreshToken: newTokens.refreshToken,
+      expiresAt: getRefreshTokenExpiry(),
+      userAgent,
+      ipAddress
+    });
 
-    // 存储新的刷新令牌
-    const newRefreshTokenExpiry = new Date();
-    newRefreshTokenExpiry.setDate(newRefreshTokenExpiry.getDate() + 7);
-    await User.storeRefreshToken(user.id, newTokens.refreshToken, newRefreshTokenExpiry);
+    if (rotation.status === 'reused') {
+      logger.warn('检测到已轮换的刷新令牌被重复使用，会话已全部撤销', {
+        userId: rotation.previous.user_id,
+        sessionId: rotation.previous.family_id,
+        ipAddress
+      });
+      await AuditLog.createSystemLog({
+        operatorId: null,
+        targetType: 'user',
+        targetId: rotation.previous.user_id,
+        action: 'refresh_token_reuse',
+        summary: '刷新令牌重复使用，会话已撤销',
+        detail: { sessionId: rotation.previous.family_id },
+        ipAddress,
+        userAgent
+      });
+    }
+
+    if (rotation.status !== 'rotated') {
+      return res.status(401).json({
+        success: false,
+        message: '无效的刷新令牌'
+      });
+    }
 
     res.json({
       success: true,
@@ -643,8 +958,11 @@ const logout = async (req, res) => {
     const { refreshToken } = req.body;
 
     if (refreshToken) {
-      // 撤销刷新令牌
-      await User.revokeRefreshToken(refreshToken);
+      // 撤销刷新令牌所属的整个会话
+      const tokenRecord = await RefreshToken.findByToken(refreshToken);
+      if (tokenRecord) {
+        await RefreshToken.revokeSession(tokenRecord.family_id, RefreshToken.REVOKE_REASONS.LOGOUT);
+      }
     }
 
     res.json({
@@ -783,6 +1101,205 @@ const getProfile = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: 获取登录会话列表
+ *     description: 列出当前用户所有有效的登录会话（设备），current 标记当前请求所用的会话
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LoginSession'
+ *       401:
+ *         description: 未认证
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: 下线其他设备
+ *     description: 撤销除当前会话外的所有登录会话
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 撤销成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         revoked:
+ *                           type: integer
+ *                           description: 撤销的令牌数量
+ *                           example: 2
+ *       401:
+ *         description: 未认证
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await RefreshToken.findActiveSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        ...session,
+        current: session.session_id === req.user.session_id
+      }))
+    });
+  } catch (error) {
+    logger.error('获取登录会话失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取登录会话失败'
+    });
+  }
+};
+
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await RefreshToken.revokeAllForUser(
+      req.user.id,
+      RefreshToken.REVOKE_REASONS.USER_REVOKED,
+      req.user.session_id
+    );
+
+    const { ipAddress, userAgent } = getRequestMeta(req);
+    await AuditLog.createSystemLog({
+      operatorId: req.user.id,
+      targetType: 'user',
+      targetId: req.user.id,
+      action: 'revoke_other_sessions',
+      summary: '下线其他设备',
+      detail: { revoked, keptSessionId: req.user.session_id },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      success: true,
+      message: '已下线其他设备',
+      data: { revoked }
+    });
+  } catch (error) {
+    logger.error('下线其他设备失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '下线其他设备失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: 下线指定设备
+ *     description: 撤销当前用户的指定登录会话，该会话的访问令牌与刷新令牌立即失效
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: 会话ID
+ *     responses:
+ *       200:
+ *         description: 撤销成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: 会话ID格式错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: 会话不存在或已失效
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!RefreshToken.isValidSessionId(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: '会话ID格式错误'
+      });
+    }
+
+    const revoked = await RefreshToken.revokeSession(
+      sessionId,
+      RefreshToken.REVOKE_REASONS.USER_REVOKED,
+      req.user.id
+    );
+
+    if (revoked === 0) {
+      return res.status(404).json({
+        success: false,
+        message: '会话不存在或已失效'
+      });
+    }
+
+    const { ipAddress, userAgent } = getRequestMeta(req);
+    await AuditLog.createSystemLog({
+      operatorId: req.user.id,
+      targetType: 'user',
+      targetId: req.user.id,
+      action: 'revoke_session',
+      summary: '下线登录设备',
+      detail: { sessionId },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      success: true,
+      message: '设备已下线'
+    });
+  } catch (error) {
+    logger.error('下线设备失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '下线设备失败'
+    });
+  }
+};
+
 /**
  * @swagger
  * /api/auth/reset-password:
@@ -957,7 +1474,7 @@ const resetPassword = async (req, res) => {
     await User.updatePassword(user.id, new_password);
 
     // 撤销该用户的所有刷新令牌
-    await User.revokeAllRefreshTokens(user.id);
+    await RefreshToken.revokeAllForUser(user.id, RefreshToken.REVOKE_REASONS.PASSWORD_RESET);
 
     // 记录成功日志
     await AuditLog.createSystemLog({
@@ -990,8 +1507,12 @@ const resetPassword = async (req, res) => {
 module.exports = {
   register,
   login,
+  verifyMfa,
   refreshToken,
   logout,
   getProfile,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   resetPassword
 };
@@ -1070,6 +1070,94 @@ const updateCardStatus = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/admin/card-keys/{cardId}/revoke:
+ *   post:
+ *     tags: [卡密管理]
+ *     summary: 撤销已兑换的卡密
+ *     description: |
+ *       管理员功能，用于卡密被盗刷或售出后退款的场景。卡密置为"已撤销"，对应兑换订单置为已退款，
+ *       并回收兑换所得的VIP时间、积分或下载次数，撤销或冲减该订单的待结算推广佣金。
+ *       积分余额不足时按余额扣除，差额记录在冲正记录的 points_shortfall 中。
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 卡密ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 200
+ *                 description: 撤销原因
+ *     responses:
+ *       200:
+ *         description: 卡密已撤销
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         card_key:
+ *                           $ref: '#/components/schemas/CardKey'
+ *                         order_no:
+ *                           type: string
+ *                           nullable: true
+ *                         reversal:
+ *                           $ref: '#/components/schemas/OrderReversal'
+ *       400:
+ *         description: 卡密不存在、未兑换或已撤销
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+const revokeCard = async (req, res) => {
+  try {
+    const cardId = parseInt(req.params.cardId, 10);
+    const { reason } = req.body || {};
+
+    const result = await services.reversal.revokeCardKey(cardId, {
+      reason: reason ? String(reason).slice(0, 200) : null,
+      operatorId: req.user.id,
+      requestMeta: getRequestMeta(req)
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('撤销卡密失败:', error);
+    await recordSystemLog(req, {
+      targetType: 'card_key',
+      targetId: parseInt(req.params?.cardId, 10) || null,
+      action: 'card_key_revoke_failed',
+      summary: '撤销卡密失败',
+      detail: { error: error.message }
+    });
+    res.status(400).json({
+      success: false,
+      message: error.message || '撤销卡密失败'
+    });
+  }
+};
+
 /**
  * @swagger
  * /api/admin/card-keys/{cardId}/delete:
@@ -1387,6 +1475,7 @@ module.exports = {
   getBatchesList,
   getBatchDetails,
   updateCardStatus,
+  revokeCard,
   deleteCard,
   deleteBatch,
   getCardKeyOrderOverview
@@ -486,6 +486,122 @@ class CommunityBoardController {
     }
   }
 
+  /**
+   * @swagger
+   * /api/community/boards/{id}/subscribe:
+   *   post:
+   *     summary: 订阅板块
+   *     description: 订阅后板块的新帖子会出现在个人动态（/api/users/feed）中
+   *     tags: [社区板块管理相关]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: 板块ID
+   *     responses:
+   *       200:
+   *         description: 订阅成功
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       404:
+   *         description: 板块不存在
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  static async subscribeBoard(req, res) {
+    try {
+      const boardId = parseInt(req.params.id);
+
+      const board = await CommunityBoard.findById(boardId);
+      if (!board || !board.is_active) {
+        return errorResponse(res, '板块不存在', 404);
+      }
+
+      await CommunityBoard.subscribe(boardId, req.user.id);
+
+      return successResponse(res, '订阅板块成功', { is_subscribed: true });
+    } catch (error) {
+      logger.error('订阅板块失败:', error);
+      return errorResponse(res, '订阅板块失败', 500);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/community/boards/{id}/subscribe:
+   *   delete:
+   *     summary: 取消订阅板块
+   *     tags: [社区板块管理相关]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: 板块ID
+   *     responses:
+   *       200:
+   *         description: 已取消订阅
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  static async unsubscribeBoard(req, res) {
+    try {
+      await CommunityBoard.unsubscribe(parseInt(req.params.id), req.user.id);
+
+      return successResponse(res, '已取消订阅', { is_subscribed: false });
+    } catch (error) {
+      logger.error('取消订阅板块失败:', error);
+      return errorResponse(res, '取消订阅板块失败', 500);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/community/boards/subscriptions:
+   *   get:
+   *     summary: 获取我订阅的板块
+   *     tags: [社区板块管理相关]
+   *     security:
+   *       - BearerAuth: []
+   *     responses:
+   *       200:
+   *         description: 获取订阅板块成功
+   *         content:
+   *           application/json:
+   *             schema:
+   *               allOf:
+   *                 - $ref: '#/components/schemas/ApiResponse'
+   *                 - type: object
+   *                   properties:
+   *                     data:
+   *                       type: array
+   *                       items:
+   *                         $ref: '#/components/schemas/CommunityBoard'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  static async getSubscribedBoards(req, res) {
+    try {
+      const boards = await CommunityBoard.getSubscribedBoards(req.user.id);
+
+      return successResponse(res, '获取订阅板块成功', boards);
+    } catch (error) {
+      logger.error('获取订阅板块失败:', error);
+      return errorResponse(res, '获取订阅板块失败', 500);
+    }
+  }
+
   /**
    * 批量创建板块
    */
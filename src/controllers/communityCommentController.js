@@ -9,6 +9,7 @@
 
 const CommunityComment = require('../models/CommunityComment');
 const CommunityPost = require('../models/CommunityPost');
+const CommunityPunishment = require('../models/CommunityPunishment');
 const { successResponse, errorResponse } = require('../utils/responseHelper');
 const { logger } = require('../utils/logger');
 
@@ -258,6 +259,15 @@ class CommunityCommentController {
         return errorResponse(res, '该帖子已被锁定，无法评论', 400);
       }
 
+      // 检查用户是否处于禁言/版块封禁状态
+      const punishment = await CommunityPunishment.findBlockingPunishment(authorId, {
+        action: 'comment',
+        boardId: post.board_id
+      });
+      if (punishment) {
+        return errorResponse(res, CommunityPunishment.describe(punishment), 403);
+      }
+
       // 如果是回复评论，验证父评论是否存在
       if (parentId) {
         const parentComment = await CommunityComment.findById(parentId);
@@ -384,6 +394,14 @@ class CommunityCommentController {
         return errorResponse(res, '只能编辑自己的评论', 403);
       }
 
+      const punishment = await CommunityPunishment.findBlockingPunishment(userId, {
+        action: 'comment',
+        boardId: originalComment.post_board_id
+      });
+      if (punishment) {
+        return errorResponse(res, CommunityPunishment.describe(punishment), 403);
+      }
+
       const updatedComment = await CommunityComment.update(parseInt(id), { content });
       
       return successResponse(res, '更新评论成功', updatedComment);
@@ -10,6 +10,9 @@
 const CommunityInteraction = require('../models/CommunityInteraction');
 const CommunityPost = require('../models/CommunityPost');
 const CommunityComment = require('../models/CommunityComment');
+const CommunityPunishment = require('../models/CommunityPunishment');
+const User = require('../models/User');
+const NotificationService = require('../services/NotificationService');
 const { successResponse, errorResponse } = require('../utils/responseHelper');
 const { logger } = require('../utils/logger');
 
@@ -305,12 +308,54 @@ class CommunityInteractionController {
   }
 
   /**
-   * 处理举报（管理员功能）
+   * @swagger
+   * /api/admin/community/reports/{id}:
+   *   patch:
+   *     summary: 处理举报
+   *     description: 管理员处理社区举报，可同时对被举报内容的作者施加处罚（需要 community:punish 权限）
+   *     tags: [社区互动功能相关]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: 举报ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - status
+   *             properties:
+   *               status:
+   *                 type: string
+   *                 enum: [reviewing, resolved, rejected]
+   *               handlerNote:
+   *                 type: string
+   *                 description: 处理备注
+   *               punishment:
+   *                 $ref: '#/components/schemas/ReportPunishmentRequest'
+   *     responses:
+   *       200:
+   *         description: 处理举报成功
+   *       400:
+   *         $ref: '#/components/responses/ValidationError'
+   *       403:
+   *         description: 无处罚权限
+   *       404:
+   *         description: 举报不存在
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
    */
   static async handleReport(req, res) {
     try {
       const { id } = req.params;
-      const { status, handlerNote } = req.body;
+      const { status, handlerNote, punishment: rawPunishment } = req.body;
       const handlerId = req.user.id;
 
       // 验证必填字段
@@ -324,10 +369,40 @@ class CommunityInteractionController {
         return errorResponse(res, '无效的处理状态', 400);
       }
 
+      let punishment = null;
+      if (rawPunishment) {
+        if (status !== 'resolved') {
+          return errorResponse(res, '只有确认举报属实时才能施加处罚', 400);
+        }
+
+        const userPermissions = await User.getUserPermissions(handlerId);
+        if (!userPermissions.some(p => p.name === 'community:punish')) {
+          return errorResponse(res, '没有权限施加处罚', 403);
+        }
+
+        if (!CommunityPunishment.TYPES.includes(rawPunishment.type)) {
+          return errorResponse(res, '无效的处罚类型', 400);
+        }
+
+        const durationHours = rawPunishment.duration_hours ?? rawPunishment.durationHours ?? null;
+        if (durationHours !== null && (!Number.isInteger(Number(durationHours)) || Number(durationHours) <= 0)) {
+          return errorResponse(res, '处罚时长必须为正整数（小时）', 400);
+        }
+
+        punishment = {
+          type: rawPunishment.type,
+          boardId: rawPunishment.board_id ?? rawPunishment.boardId ?? null,
+          reason: rawPunishment.reason,
+          description: rawPunishment.description,
+          durationHours: durationHours === null ? null : Number(durationHours)
+        };
+      }
+
       const handleData = {
         handlerId,
         status,
-        handlerNote
+        handlerNote,
+        punishment
       };
 
       const report = await CommunityInteraction.handleReport(parseInt(id), handleData);
@@ -336,9 +411,21 @@ class CommunityInteractionController {
         return errorResponse(res, '举报不存在', 404);
       }
 
+      if (report.punishment) {
+        NotificationService.createPunishmentNotification({
+          punishment: report.punishment,
+          typeLabel: CommunityPunishment.TYPE_LABELS[report.punishment.punishment_type]
+        }).catch(error => {
+          logger.warn('发送处罚通知失败', { punishmentId: report.punishment.id, error: error.message });
+        });
+      }
+
       return successResponse(res, '处理举报成功', report);
     } catch (error) {
       logger.error('处理举报失败:', error);
+      if (error.message === '无法确定被举报内容的作者') {
+        return errorResponse(res, error.message, 400);
+      }
       return errorResponse(res, '处理举报失败', 500);
     }
   }
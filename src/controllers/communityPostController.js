@@ -9,12 +9,35 @@
 
 const CommunityPost = require('../models/CommunityPost');
 const CommunityBoard = require('../models/CommunityBoard');
+const CommunityPunishment = require('../models/CommunityPunishment');
 const { successResponse, errorResponse } = require('../utils/responseHelper');
 const { generateSecurePostInfoBatch } = require('../utils/downloadUtilsBatch');
 const { logger } = require('../utils/logger');
 const SearchRecord = require('../models/SearchRecord');
+const { FeedService } = require('../services');
+const { FORMATS: CONTENT_FORMATS } = require('../utils/contentPipeline');
 
 class CommunityPostController {
+  /**
+   * 帖子变为已发布时异步通知作者的粉丝，同一帖子只通知一次
+   * @param {Object} post - 更新后的帖子
+   * @param {Object|null} previous - 更新前的帖子，新建时为 null
+   * @param {boolean} [notify] - 本次是否通知粉丝，未指定时按作者设置
+   */
+  static notifyFollowersOnPublish(post, previous, notify) {
+    if (!post || post.status !== 'published' || previous?.status === 'published') {
+      return;
+    }
+
+    FeedService.notifyFollowersOfPublishAsync({
+      authorId: post.author_id,
+      targetType: 'community_post',
+      targetId: post.id,
+      title: post.title,
+      notify
+    });
+  }
+
   /**
    * @swagger
    * /api/community/posts:
@@ -324,6 +347,10 @@ class CommunityPostController {
         return errorResponse(res, '标题、内容和板块不能为空', 400);
       }
 
+      if (!CONTENT_FORMATS.includes(contentType)) {
+        return errorResponse(res, `内容格式只能为 ${CONTENT_FORMATS.join('、')}`, 400);
+      }
+
       // 验证板块是否存在
       const board = await CommunityBoard.findById(boardId);
       if (!board) {
@@ -335,6 +362,15 @@ class CommunityPostController {
         return errorResponse(res, '该板块已停用', 400);
       }
 
+      // 检查用户是否处于禁言/禁止发帖/版块封禁状态
+      const punishment = await CommunityPunishment.findBlockingPunishment(authorId, {
+        action: 'post',
+        boardId
+      });
+      if (punishment) {
+        return errorResponse(res, CommunityPunishment.describe(punishment), 403);
+      }
+
       const postData = {
         title,
         content,
@@ -347,6 +383,8 @@ class CommunityPostController {
       };
 
       const newPost = await CommunityPost.create(postData);
+
+      CommunityPostController.notifyFollowersOnPublish(newPost, null, body.notify_followers);
       
       return successResponse(res, '创建帖子成功', newPost, 201);
     } catch (error) {
@@ -428,6 +466,11 @@ class CommunityPostController {
       const updateData = req.body;
       const userId = req.user.id;
 
+      const contentType = updateData.content_type ?? updateData.contentType;
+      if (contentType !== undefined && !CONTENT_FORMATS.includes(contentType)) {
+        return errorResponse(res, `内容格式只能为 ${CONTENT_FORMATS.join('、')}`, 400);
+      }
+
       // 获取原帖子信息
       const originalPost = await CommunityPost.findById(parseInt(id));
       if (!originalPost) {
@@ -442,7 +485,20 @@ class CommunityPostController {
         return errorResponse(res, '没有权限编辑该帖子', 403);
       }
 
+      // 作者处于处罚期间不能编辑帖子
+      if (originalPost.author_id === userId) {
+        const punishment = await CommunityPunishment.findBlockingPunishment(userId, {
+          action: 'post',
+          boardId: originalPost.board_id
+        });
+        if (punishment) {
+          return errorResponse(res, CommunityPunishment.describe(punishment), 403);
+        }
+      }
+
       const updatedPost = await CommunityPost.update(parseInt(id), updateData);
+
+      CommunityPostController.notifyFollowersOnPublish(updatedPost, originalPost, updateData.notify_followers);
       
       return successResponse(res, '更新帖子成功', updatedPost);
     } catch (error) {
@@ -555,16 +611,17 @@ class CommunityPostController {
         boardId: boardId ? parseInt(boardId) : undefined
       };
 
+      const result = await CommunityPost.search(keyword, options);
+
       const ipAddress = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || null;
       SearchRecord.logSearch({
         keyword,
         searchType: 'community',
         userId: req.user?.id || null,
-        ipAddress
+        ipAddress,
+        resultCount: result.pagination.total
       });
 
-      const result = await CommunityPost.search(keyword, options);
-      
       return successResponse(res, '搜索帖子成功', result);
     } catch (error) {
       logger.error('搜索帖子失败:', error);
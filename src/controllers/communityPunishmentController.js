@@ -0,0 +1,301 @@
+/**
+ * 社区处罚控制器
+ * 处理禁言、禁止发帖、版块封禁等处罚的下发、查询与撤销
+ * @swagger
+ * tags:
+ *   name: 社区处罚相关
+ *   description: 社区违规处罚相关API
+ */
+
+const CommunityPunishment = require('../models/CommunityPunishment');
+const CommunityBoard = require('../models/CommunityBoard');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const NotificationService = require('../services/NotificationService');
+const { successResponse, errorResponse } = require('../utils/responseHelper');
+const { logger } = require('../utils/logger');
+
+const getRequestMeta = (req) => ({
+  ipAddress: (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.ip,
+  userAgent: req.get('user-agent') || ''
+});
+
+const parsePositiveInt = (value) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+};
+
+class CommunityPunishmentController {
+  /**
+   * @swagger
+   * /api/admin/community/punishments:
+   *   get:
+   *     summary: 获取处罚列表
+   *     tags: [社区处罚相关]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *       - in: query
+   *         name: user_id
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: type
+   *         schema:
+   *           type: string
+   *           enum: [mute, post_ban, board_ban]
+   *       - in: query
+   *         name: board_id
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: active
+   *         schema:
+   *           type: boolean
+   *         description: 仅返回生效中的处罚
+   *     responses:
+   *       200:
+   *         description: 获取成功
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  static async getPunishments(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        user_id: userId,
+        type,
+        board_id: boardId,
+        active
+      } = req.query;
+
+      if (type && !CommunityPunishment.TYPES.includes(type)) {
+        return errorResponse(res, '无效的处罚类型', 400);
+      }
+
+      const result = await CommunityPunishment.findAll({
+        page: Math.max(parseInt(page, 10) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100),
+        userId: parsePositiveInt(userId),
+        type,
+        boardId: parsePositiveInt(boardId),
+        activeOnly: active === 'true'
+      });
+
+      return successResponse(res, '获取处罚列表成功', result);
+    } catch (error) {
+      logger.error('获取处罚列表失败:', error);
+      return errorResponse(res, '获取处罚列表失败', 500);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/admin/community/punishments:
+   *   post:
+   *     summary: 下发处罚
+   *     description: 对用户施加限时或永久的社区处罚，duration_hours 为空表示永久
+   *     tags: [社区处罚相关]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/CreatePunishmentRequest'
+   *     responses:
+   *       201:
+   *         description: 处罚已生效
+   *       400:
+   *         $ref: '#/components/responses/ValidationError'
+   *       404:
+   *         description: 用户或版块不存在
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  static async createPunishment(req, res) {
+    const { ipAddress, userAgent } = getRequestMeta(req);
+    try {
+      const body = req.body || {};
+      const userId = parsePositiveInt(body.user_id);
+      const type = body.type;
+      const boardId = parsePositiveInt(body.board_id);
+      const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+      const rawDuration = body.duration_hours;
+      const durationHours = rawDuration === undefined || rawDuration === null
+        ? null
+        : parsePositiveInt(rawDuration);
+
+      if (!userId || !reason) {
+        return errorResponse(res, '用户ID和处罚原因不能为空', 400);
+      }
+
+      if (!CommunityPunishment.TYPES.includes(type)) {
+        return errorResponse(res, '无效的处罚类型', 400);
+      }
+
+      if (rawDuration !== undefined && rawDuration !== null && !durationHours) {
+        return errorResponse(res, '处罚时长必须为正整数（小时）', 400);
+      }
+
+      if (userId === req.user.id) {
+        return errorResponse(res, '不能处罚自己', 400);
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return errorResponse(res, '用户不存在', 404);
+      }
+
+      if (type === 'board_ban') {
+        if (!boardId) {
+          return errorResponse(res, '版块封禁必须指定版块', 400);
+        }
+        const board = await CommunityBoard.findById(boardId);
+        if (!board) {
+          return errorResponse(res, '版块不存在', 404);
+        }
+      }
+
+      const punishment = await CommunityPunishment.create({
+        userId,
+        type,
+        boardId,
+        reason,
+        description: body.description || null,
+        durationHours,
+        operatorId: req.user.id
+      });
+
+      await AuditLog.createSystemLog({
+        operatorId: req.user.id,
+        targetType: 'community_punishment',
+        targetId: punishment.id,
+        action: 'create',
+        summary: `对用户 ${user.username} 下发${CommunityPunishment.TYPE_LABELS[type]}`,
+        detail: {
+          user_id: userId,
+          type,
+          board_id: punishment.board_id,
+          duration_hours: durationHours,
+          expires_at: punishment.expires_at
+        },
+        ipAddress,
+        userAgent
+      });
+
+      NotificationService.createPunishmentNotification({
+        punishment,
+        typeLabel: CommunityPunishment.TYPE_LABELS[type]
+      }).catch(error => {
+        logger.warn('发送处罚通知失败', { punishmentId: punishment.id, error: error.message });
+      });
+
+      return successResponse(res, '处罚已生效', punishment, 201);
+    } catch (error) {
+      logger.error('下发处罚失败:', error);
+      return errorResponse(res, '下发处罚失败', 500);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/admin/community/punishments/{id}/revoke:
+   *   patch:
+   *     summary: 撤销处罚
+   *     tags: [社区处罚相关]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: 撤销成功
+   *       404:
+   *         description: 处罚不存在或已失效
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  static async revokePunishment(req, res) {
+    const { ipAddress, userAgent } = getRequestMeta(req);
+    try {
+      const punishmentId = parsePositiveInt(req.params.id);
+      if (!punishmentId) {
+        return errorResponse(res, '处罚ID格式不正确', 400);
+      }
+
+      const punishment = await CommunityPunishment.revoke(punishmentId, req.user.id);
+      if (!punishment) {
+        return errorResponse(res, '处罚不存在或已失效', 404);
+      }
+
+      await AuditLog.createSystemLog({
+        operatorId: req.user.id,
+        targetType: 'community_punishment',
+        targetId: punishmentId,
+        action: 'revoke',
+        summary: `撤销社区处罚 #${punishmentId}`,
+        detail: { user_id: punishment.user_id, type: punishment.punishment_type },
+        ipAddress,
+        userAgent
+      });
+
+      return successResponse(res, '处罚已撤销', punishment);
+    } catch (error) {
+      logger.error('撤销处罚失败:', error);
+      return errorResponse(res, '撤销处罚失败', 500);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/community/punishments/me:
+   *   get:
+   *     summary: 获取我当前生效的处罚
+   *     tags: [社区处罚相关]
+   *     security:
+   *       - BearerAuth: []
+   *     responses:
+   *       200:
+   *         description: 获取成功
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  static async getMyPunishments(req, res) {
+    try {
+      const result = await CommunityPunishment.findAll({
+        page: 1,
+        limit: 100,
+        userId: req.user.id,
+        activeOnly: true
+      });
+
+      return successResponse(res, '获取处罚信息成功', result.data);
+    } catch (error) {
+      logger.error('获取用户处罚信息失败:', error);
+      return errorResponse(res, '获取处罚信息失败', 500);
+    }
+  }
+}
+
+module.exports = CommunityPunishmentController;
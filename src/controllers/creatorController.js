@@ -116,7 +116,7 @@ const getCreatorStats = async (req, res) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [draft, published, archived, banned, deleted]
+ *           enum: [draft, pending_review, rejected, scheduled, published, archived, banned, deleted]
  *         description: 按资源状态筛选
  *       - in: query
  *         name: is_public
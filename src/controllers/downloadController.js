@@ -4,7 +4,8 @@
  */
 
 const { getUserDownloadStats, resetAllUsersDailyDownloads, checkAndResetDailyDownloads, consumeDownload, recordDownload, getTodayConsumedDownloads } = require('../utils/downloadLimitUtils');
-const { checkFileDownloadPermission, executeDownloadPayment } = require('../utils/downloadAuthUtils');
+const { checkFileDownloadPermission, executeDownloadPayment, quoteDownloadBatch, commitDownloadBatch } = require('../utils/downloadAuthUtils');
+const { issueDownloadTokens, redeemDownloadToken, resolveFileDownloadUrl } = require('../utils/downloadTokenUtils');
 const ResourceFile = require('../models/ResourceFile');
 const Resource = require('../models/Resource');
 const User = require('../models/User');
@@ -130,94 +131,82 @@ const resetAllDailyDownloads = async (req, res) => {
 
 /**
  * 处理资源文件下载的新鉴权逻辑
+ * 整批报价、一次性扣费：所有文件都授权通过才会结算，否则不扣除任何积分或次数
  * @param {Object} resource - 资源对象
  * @param {number} userId - 用户ID
  * @param {Object} user - 完整用户信息
  * @param {Array} files - 文件列表
+ * @param {Object} [requestMeta] - 请求信息 { ipAddress, userAgent }
  * @returns {Promise<Object>} 处理结果
  */
-const processResourceDownload = async (resource, userId, user, files) => {
-  const results = [];
-  let finalDownloadStatus = null;
-  let hasAnyError = false;
-
-  // 为每个文件单独检查权限
-  for (const file of files) {
-    try {
-      // 检查文件下载权限
-      const authResult = await checkFileDownloadPermission(file, userId, user);
-
-      if (!authResult.canDownload) {
-        results.push({
-          file_id: file.id,
-          file_name: file.name,
-          success: false,
-          reason: authResult.reason,
-          cost_info: authResult.costInfo
-        });
-        hasAnyError = true;
-        continue;
-      }
-
-      // 执行扣费
-      const paymentSuccess = await executeDownloadPayment(file, userId, authResult.costInfo);
-
-      if (!paymentSuccess) {
-        results.push({
-          file_id: file.id,
-          file_name: file.name,
-          success: false,
-          reason: '扣费失败',
-          cost_info: authResult.costInfo
-        });
-        hasAnyError = true;
-        continue;
-      }
-
-      // 增加文件下载次数
-      await ResourceFile.incrementDownloadCount(file.id);
-
-      results.push({
-        file_id: file.id,
-        file_name: file.name,
-        success: true,
-        cost_info: authResult.costInfo,
-        download_url: file.url
-      });
-
-      // 记录最终的下载状态
-      finalDownloadStatus = authResult.finalDownloadStatus;
-
-    } catch (error) {
-      logger.error(`处理文件 ${file.id} 下载失败:`, error);
-      results.push({
-        file_id: file.id,
-        file_name: file.name,
-        success: false,
-        reason: error.message || '处理失败',
-        cost_info: { type: 'error', cost: 0 }
-      });
-      hasAnyError = true;
-    }
+const processResourceDownload = async (resource, userId, user, files, requestMeta = {}) => {
+  const buildFailedResults = (items, batchReason) => items.map(item => ({
+    file_id: item.file.id,
+    file_name: item.file.name,
+    success: false,
+    reason: item.canDownload ? batchReason : item.reason,
+    cost_info: item.costInfo
+  }));
+
+  const quote = await quoteDownloadBatch(files, userId, user);
+
+  if (!quote.canCheckout) {
+    return {
+      results: buildFailedResults(quote.items, `${quote.reason}，本次下载未扣费`),
+      finalDownloadStatus: quote.downloadStatus,
+      hasError: true,
+      successCount: 0,
+      totalCount: files.length
+    };
   }
 
-  // 如果有任何文件下载成功，增加资源下载次数
-  const successCount = results.filter(r => r.success).length;
-  if (successCount > 0) {
-    await Resource.incrementDownloadCount(resource.id);
+  let checkout;
+  try {
+    checkout = await commitDownloadBatch(quote, userId, {
+      resource,
+      ipAddress: requestMeta.ipAddress,
+      userAgent: requestMeta.userAgent
+    });
+  } catch (error) {
+    logger.error(`资源 ${resource.id} 批量下载结算失败:`, error);
+    return {
+      results: buildFailedResults(quote.items, error.message || '扣费失败'),
+      finalDownloadStatus: quote.downloadStatus,
+      hasError: true,
+      successCount: 0,
+      totalCount: files.length
+    };
   }
 
-  // 如果没有设置 finalDownloadStatus，获取当前状态
-  if (!finalDownloadStatus) {
-    finalDownloadStatus = await checkAndResetDailyDownloads(userId);
+  // 结算成功后更新下载统计
+  for (const file of files) {
+    await ResourceFile.incrementDownloadCount(file.id);
   }
+  await Resource.incrementDownloadCount(resource.id);
+
+  // 不直接返回真实地址，签发绑定用户/文件/IP的一次性下载令牌
+  const tokens = await issueDownloadTokens({
+    userId,
+    resourceId: resource.id,
+    files,
+    ipAddress: requestMeta.ipAddress
+  });
 
   return {
-    results,
-    finalDownloadStatus,
-    hasError: hasAnyError,
-    successCount,
-    totalCount: files.length
+    results: quote.items.map(item => ({
+      file_id: item.file.id,
+      file_name: item.file.name,
+      success: true,
+      cost_info: item.costInfo,
+      download_url: tokens.get(item.file.id).url,
+      download_expires_at: tokens.get(item.file.id).expiresAt
+    })),
+    finalDownloadStatus: checkout.downloadStatus,
+    hasError: false,
+    successCount: files.length,
+    totalCount: files.length,
+    totals: quote.totals,
+    downloadRecordId: checkout.downloadRecord?.id || null
   };
 };
 
@@ -237,17 +226,23 @@ const processResourceDownload = async (resource, userId, user, files) => {
  *
  *       **权限检查优先级：**
  *       1. **今日已购买**：如果今天已下载过该文件，免费重复下载
- *       2. **VIP免费权限**：如果文件设置了VIP要求且用户VIP等级满足，免费下载
- *       3. **下载次数优先**：有剩余下载次数时，优先使用次数（不扣积分）
- *       4. **积分支付**：没有下载次数时，使用积分支付
+ *       2. **版本更新**：新版本发布前已付费下载过该资源的用户，按系统配置免费下载新版本文件；已弃用版本的文件不可下载
+ *       3. **VIP免费权限**：如果文件设置了VIP要求且用户VIP等级满足，免费下载
+ *       4. **下载次数优先**：有剩余下载次数时，优先使用次数（不扣积分）
+ *       5. **积分支付**：没有下载次数时，使用积分支付
  *
  *       **费用类型：**
  *       - `downloaded_today`: 今日已下载，免费
+ *       - `version_update`: 资源更新后免费下载新版本
  *       - `vip_free`: VIP用户免费下载
  *       - `download_count`: 消耗1次下载次数
  *       - `points`: 消耗指定积分数量
  *       - `free`: 完全免费（无任何要求）
  *
+ *       **整批结算：**
+ *       所有文件先统一报价，全部通过授权后在一个事务内一次性扣除积分和次数，
+ *       并为本次下载写入一条下载记录；任一文件未通过授权时不扣除任何费用。
+ *
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -379,37 +374,18 @@ const downloadResourceFiles = async (req, res) => {
       });
     }
 
-    // 处理下载逻辑（新的基于文件级权限的逻辑）
-    const downloadResult = await processResourceDownload(resource, userId, user, files);
-
-    // 如果有任何文件下载成功，记录下载行为
-    if (downloadResult.successCount > 0) {
-      const successfulFiles = downloadResult.results
-        .filter(r => r.success)
-        .map(r => r.download_url)
-        .join(', ');
-
-      await recordDownload({
-        userId,
-        resourceId: resource.id,
-        ipAddress,
-        userAgent,
-        downloadUrl: successfulFiles,
-        expiresAt: null,
-        isSuccessful: true
-      });
-
-      // 增加资源下载次数
-      await query('UPDATE resources SET download_count = download_count + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [resource.id]);
-    }
+    // 处理下载逻辑（整批报价、一次性扣费，下载记录在结算事务内写入）
+    const downloadResult = await processResourceDownload(resource, userId, user, files, {
+      ipAddress,
+      userAgent
+    });
 
     // 获取实际消耗的下载配额次数以正确显示统计
     const todayConsumed = await getTodayConsumedDownloads(userId);
     const dailyLimit = downloadResult.finalDownloadStatus ? downloadResult.finalDownloadStatus.dailyLimit : 10;
 
-    // 检查是否有任何下载失败
-    if (downloadResult.hasError && downloadResult.successCount === 0) {
-      // 所有文件都下载失败
+    // 任一文件未授权时整批未结算，不扣除任何积分或次数
+    if (downloadResult.hasError) {
       const firstError = downloadResult.results.find(r => !r.success);
       return res.status(403).json({
         success: false,
@@ -433,16 +409,13 @@ const downloadResourceFiles = async (req, res) => {
         id: r.file_id,
         name: r.file_name,
         url: r.download_url,
+        url_expires_at: r.download_expires_at,
         cost_info: r.cost_info
       }));
 
-    const responseMessage = downloadResult.hasError
-      ? `部分文件下载成功（${downloadResult.successCount}/${downloadResult.totalCount}）`
-      : '所有文件下载成功';
-
     res.json({
       success: true,
-      message: responseMessage,
+      message: '所有文件下载成功',
       data: {
         resource: {
           id: resource.id,
@@ -680,6 +653,7 @@ const getResourceFilesList = async (req, res) => {
       file_extension: file.file_extension,
       quality: file.quality,
       version: file.version,
+      version_id: file.version_id,
       language: file.language,
       is_active: file.is_active,
       sort_order: file.sort_order,
@@ -891,9 +865,9 @@ const downloadResource = async (req, res) => {
       });
     }
 
-    // 获取资源的所有文件
+    // 获取资源的所有激活文件（禁用文件不参与整批结算）
     const files = await ResourceFile.findByResourceId(parseInt(resourceId), {
-      includeInactive: true
+      includeInactive: false
     });
 
     if (!files || files.length === 0) {
@@ -903,32 +877,41 @@ const downloadResource = async (req, res) => {
       });
     }
 
-    // 处理下载逻辑
-    const downloadResult = await processResourceDownload(resource, userId, user, files);
-
-    // 记录下载行为
-    await recordDownload({
-      userId,
-      resourceId: resource.id,
+    // 处理下载逻辑（整批报价、一次性扣费，下载记录在结算事务内写入）
+    const downloadResult = await processResourceDownload(resource, userId, user, files, {
       ipAddress,
-      userAgent,
-      downloadUrl: files.map(f => f.url).join(', '),
-      expiresAt: null,
-      isSuccessful: true
+      userAgent
     });
 
-    // 增加资源下载次数
-    await query('UPDATE resources SET download_count = download_count + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [resource.id]);
-
     // 获取实际消耗的下载配额次数以正确显示统计
     const todayConsumed = await getTodayConsumedDownloads(userId);
     const dailyLimit = downloadResult.finalDownloadStatus.dailyLimit || 10;
 
-    // 格式化文件列表
+    // 任一文件未授权时整批未结算，不返回下载链接
+    if (downloadResult.hasError) {
+      const firstError = downloadResult.results.find(r => !r.success);
+      return res.status(403).json({
+        success: false,
+        message: firstError ? firstError.reason : '下载失败',
+        data: {
+          resource: {
+            id: resource.id,
+            title: resource.title,
+            description: resource.description
+          },
+          download_results: downloadResult.results,
+          remaining_downloads: Math.max(0, dailyLimit - todayConsumed)
+        }
+      });
+    }
+
+    // 格式化文件列表，下载地址为一次性令牌链接
+    const downloadUrls = new Map(downloadResult.results.map(r => [r.file_id, r]));
     const formattedFiles = files.map(file => ({
       id: file.id,
       name: file.name,
-      url: file.url,
+      url: downloadUrls.get(file.id).download_url,
+      url_expires_at: downloadUrls.get(file.id).download_expires_at,
       file_size: file.file_size,
       file_type: file.file_type,
       file_extension: file.file_extension,
@@ -940,7 +923,7 @@ const downloadResource = async (req, res) => {
 
     res.json({
       success: true,
-      message: downloadResult.hasError ? '部分文件下载失败' : '下载成功',
+      message: '下载成功',
       data: {
         resource: {
           id: resource.id,
@@ -1307,7 +1290,13 @@ const downloadSingleFile = async (req, res) => {
     // 增加资源下载次数
     await query('UPDATE resources SET download_count = download_count + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [resource.id]);
 
-    // 下载成功，返回结果
+    const tokens = await issueDownloadTokens({
+      userId,
+      resourceId: resource.id,
+      files: [file],
+      ipAddress
+    });
+    const downloadToken = tokens.get(file.id);
 
     res.json({
       success: true,
@@ -1320,7 +1309,8 @@ const downloadSingleFile = async (req, res) => {
         file: {
           id: file.id,
           name: file.name,
-          url: file.url,
+          url: downloadToken.url,
+          url_expires_at: downloadToken.expiresAt,
           file_size: file.file_size,
           file_type: file.file_type,
           file_extension: file.file_extension,
@@ -1342,6 +1332,81 @@ const downloadSingleFile = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/download/redirect/{token}:
+ *   get:
+ *     tags: [Download]
+ *     summary: 使用下载令牌跳转到真实下载地址
+ *     description: |
+ *       下载接口返回的 url 均为一次性令牌链接。令牌由服务端HMAC签名，
+ *       绑定用户、文件和请求IP，默认5分钟内有效且只能使用一次。
+ *       核销成功后在请求时解析真实地址（Alist签名直链或MinIO预签名链接）并302跳转。
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 下载令牌
+ *     responses:
+ *       302:
+ *         description: 跳转到真实下载地址
+ *       400:
+ *         description: 下载链接无效
+ *       403:
+ *         description: 下载链接与当前网络不匹配
+ *       404:
+ *         description: 文件不存在或已下架
+ *       410:
+ *         description: 下载链接已过期或已使用
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+const redirectDownload = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.headers['user-agent'];
+
+    const record = await redeemDownloadToken(token, { ipAddress, userAgent });
+
+    const file = await ResourceFile.findById(record.file_id);
+    if (!file || !file.is_active || file.deleted_at) {
+      return res.status(404).json({
+        success: false,
+        message: '文件不存在或已下架'
+      });
+    }
+
+    const targetUrl = await resolveFileDownloadUrl(file);
+
+    logger.info('下载令牌已使用', {
+      tokenId: record.id,
+      userId: record.user_id,
+      fileId: record.file_id,
+      resourceId: record.resource_id,
+      ipAddress: record.used_ip
+    });
+
+    res.redirect(302, targetUrl);
+
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('下载跳转失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取下载地址失败'
+    });
+  }
+};
+
 module.exports = {
   getUserDownloadStatistics,
   resetAllDailyDownloads,
@@ -1349,5 +1414,6 @@ module.exports = {
   getResourceFilesList,
   downloadResource,
   getCurrentUserStats,
-  downloadSingleFile
+  downloadSingleFile,
+  redirectDownload
 };
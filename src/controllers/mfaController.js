@@ -0,0 +1,366 @@
+/**
+ * 两步验证控制器
+ * 处理已登录用户的TOTP绑定、恢复码管理与关闭两步验证
+ */
+
+const UserMfa = require('../models/UserMfa');
+const AuditLog = require('../models/AuditLog');
+const { logger } = require('../utils/logger');
+
+const getRequestMeta = (req) => ({
+  ipAddress: (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.ip,
+  userAgent: req.get('user-agent') || ''
+});
+
+const logMfaAction = async (req, action, summary) => {
+  const { ipAddress, userAgent } = getRequestMeta(req);
+  await AuditLog.createSystemLog({
+    operatorId: req.user.id,
+    targetType: 'user',
+    targetId: req.user.id,
+    action,
+    summary,
+    detail: null,
+    ipAddress,
+    userAgent
+  });
+};
+
+/**
+ * @swagger
+ * /api/auth/mfa:
+ *   get:
+ *     summary: 获取两步验证状态
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/MfaStatus'
+ *   delete:
+ *     summary: 关闭两步验证
+ *     description: 需提交当前动态验证码或恢复码；角色策略要求启用两步验证的账号不能关闭
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 动态验证码
+ *                 example: "123456"
+ *               recovery_code:
+ *                 type: string
+ *                 description: 恢复码
+ *                 example: "3f9a1-0c7d2"
+ *     responses:
+ *       200:
+ *         description: 已关闭
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: 未启用两步验证或验证码错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: 角色策略要求启用两步验证
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const getMfaStatus = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const [record, required] = await Promise.all([
+      UserMfa.findByUserId(userId),
+      UserMfa.isRequiredForUser(userId)
+    ]);
+    const enabled = Boolean(record && record.is_enabled);
+
+    res.json({
+      success: true,
+      data: {
+        enabled,
+        required,
+        enabled_at: enabled ? record.enabled_at : null,
+        recovery_codes_remaining: enabled ? await UserMfa.countRemainingRecoveryCodes(userId) : 0
+      }
+    });
+  } catch (error) {
+    logger.error('获取两步验证状态失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取两步验证状态失败'
+    });
+  }
+};
+
+const disableMfa = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { code, recovery_code: recoveryCode } = req.body || {};
+
+    if (await UserMfa.isRequiredForUser(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: '当前角色要求启用两步验证，无法关闭'
+      });
+    }
+
+    if (!(await UserMfa.isEnabled(userId))) {
+      return res.status(400).json({
+        success: false,
+        message: '未启用两步验证'
+      });
+    }
+
+    const method = await UserMfa.verify(userId, { code, recoveryCode });
+    if (!method) {
+      return res.status(400).json({
+        success: false,
+        message: '验证码错误'
+      });
+    }
+
+    await UserMfa.disable(userId);
+    await logMfaAction(req, 'mfa_disable', '关闭两步验证');
+
+    res.json({
+      success: true,
+      message: '两步验证已关闭'
+    });
+  } catch (error) {
+    logger.error('关闭两步验证失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '关闭两步验证失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/mfa/setup:
+ *   post:
+ *     summary: 开始绑定两步验证
+ *     description: 生成新的TOTP密钥与 otpauth:// 配置链接（前端渲染为二维码供认证器App扫描），需调用 /api/auth/mfa/enable 确认后生效
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 生成成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/MfaEnrollment'
+ *       409:
+ *         description: 已启用两步验证
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const setupMfa = async (req, res) => {
+  try {
+    const enrollment = await UserMfa.startEnrollment(req.user);
+
+    if (!enrollment) {
+      return res.status(409).json({
+        success: false,
+        message: '已启用两步验证'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '请使用认证器App扫描二维码',
+      data: enrollment
+    });
+  } catch (error) {
+    logger.error('生成两步验证密钥失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '生成两步验证密钥失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/mfa/enable:
+ *   post:
+ *     summary: 确认启用两步验证
+ *     description: 提交认证器App中的验证码确认绑定，响应中一次性返回恢复码，请提示用户妥善保存
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 动态验证码
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: 启用成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/MfaRecoveryCodes'
+ *       400:
+ *         description: 验证码错误或尚未开始绑定
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const enableMfa = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: '验证码为必填项'
+      });
+    }
+
+    const recoveryCodes = await UserMfa.confirmEnrollment(req.user.id, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: '验证码错误或绑定已失效，请重新获取二维码'
+      });
+    }
+
+    await logMfaAction(req, 'mfa_enable', '启用两步验证');
+
+    res.json({
+      success: true,
+      message: '两步验证已启用',
+      data: { recovery_codes: recoveryCodes }
+    });
+  } catch (error) {
+    logger.error('启用两步验证失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '启用两步验证失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: 重新生成恢复码
+ *     description: 需提交当前动态验证码，旧恢复码全部作废
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 动态验证码
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: 生成成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/MfaRecoveryCodes'
+ *       400:
+ *         description: 未启用两步验证或验证码错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { code } = req.body || {};
+
+    const method = code ? await UserMfa.verify(userId, { code }) : null;
+    if (!method) {
+      return res.status(400).json({
+        success: false,
+        message: '验证码错误或未启用两步验证'
+      });
+    }
+
+    const recoveryCodes = await UserMfa.regenerateRecoveryCodes(userId);
+    await logMfaAction(req, 'mfa_recovery_codes_regenerate', '重新生成两步验证恢复码');
+
+    res.json({
+      success: true,
+      message: '恢复码已重新生成',
+      data: { recovery_codes: recoveryCodes }
+    });
+  } catch (error) {
+    logger.error('重新生成恢复码失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '重新生成恢复码失败'
+    });
+  }
+};
+
+module.exports = {
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  regenerateRecoveryCodes,
+  disableMfa
+};
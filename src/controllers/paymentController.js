@@ -0,0 +1,702 @@
+/**
+ * 在线支付控制器
+ * 处理VIP套餐在线支付下单、订单查询/取消、支付渠道回调，以及管理端补单、退款、拒付与冲正记录
+ * @swagger
+ * tags:
+ *   name: 在线支付
+ *   description: VIP套餐在线支付订单（支付宝、微信支付）
+ */
+
+const AuditLog = require('../models/AuditLog');
+const { services } = require('../services');
+const { logger } = require('../utils/logger');
+
+const getRequestMeta = (req) => ({
+  ipAddress: (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.ip,
+  userAgent: req.get('user-agent') || ''
+});
+
+const recordPaymentLog = async (req, payload) => {
+  const { ipAddress, userAgent } = getRequestMeta(req);
+  await AuditLog.createSystemLog({
+    operatorId: req.user?.id || null,
+    ipAddress,
+    userAgent,
+    ...payload
+  });
+};
+
+/**
+ * @swagger
+ * /api/payments/providers:
+ *   get:
+ *     tags: [在线支付]
+ *     summary: 获取可用支付方式
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PaymentProvider'
+ */
+const getProviders = async (req, res) => {
+  try {
+    const result = await services.payment.getProviders();
+    res.json(result);
+  } catch (error) {
+    logger.error('获取支付方式失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取支付方式失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/payments/orders:
+ *   post:
+ *     tags: [在线支付]
+ *     summary: 创建VIP套餐支付订单
+ *     description: |
+ *       套餐须设置现金价格。返回的 payment_data 按 type 拉起支付：
+ *       - redirect：跳转 pay_url（支付宝）
+ *       - qrcode：将 code_url 生成二维码（微信支付）
+ *       - mock：将 notify_payload 原样 POST 到 /api/payments/notify/mock（仅开发环境）
+ *
+ *       订单超过 payment_expires_at 未支付将自动关闭；支付成功后自动开通VIP。
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PaymentOrderCreateRequest'
+ *     responses:
+ *       201:
+ *         description: 下单成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/PaymentOrder'
+ *       400:
+ *         description: 套餐不可购买、超过限购或支付方式不可用
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   get:
+ *     tags: [在线支付]
+ *     summary: 获取我的支付订单
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, paid, cancelled, expired, refunded]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         data:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/PaymentOrder'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/PaginationInfo'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+const createOrder = async (req, res) => {
+  const packageId = parseInt(req.body.package_id, 10);
+
+  try {
+    if (!Number.isInteger(packageId) || packageId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: '套餐ID无效'
+      });
+    }
+
+    if (!req.body.provider) {
+      return res.status(400).json({
+        success: false,
+        message: '请选择支付方式'
+      });
+    }
+
+    const result = await services.payment.createOrder(req.user.id, {
+      packageId,
+      provider: String(req.body.provider),
+      clientIp: getRequestMeta(req).ipAddress
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('创建支付订单失败:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || '创建支付订单失败'
+    });
+  }
+};
+
+const getMyOrders = async (req, res) => {
+  try {
+    const result = await services.payment.getUserOrders(req.user.id, req.query);
+    res.json(result);
+  } catch (error) {
+    logger.error('获取支付订单列表失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取支付订单列表失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/payments/orders/{orderNo}:
+ *   get:
+ *     tags: [在线支付]
+ *     summary: 获取我的支付订单详情
+ *     description: 待支付订单会主动向支付渠道查询最新状态，可用于支付完成后轮询
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderNo
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/PaymentOrder'
+ *       404:
+ *         description: 订单不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const getMyOrder = async (req, res) => {
+  try {
+    const result = await services.payment.getOrder(req.user.id, req.params.orderNo);
+    res.json(result);
+  } catch (error) {
+    logger.error('获取支付订单失败:', error);
+    res.status(404).json({
+      success: false,
+      message: error.message || '订单不存在'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/payments/orders/{orderNo}/cancel:
+ *   post:
+ *     tags: [在线支付]
+ *     summary: 取消待支付订单
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderNo
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 取消成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/PaymentOrder'
+ *       400:
+ *         description: 订单不存在或不是待支付状态
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const cancelOrder = async (req, res) => {
+  try {
+    const result = await services.payment.cancelOrder(req.user.id, req.params.orderNo);
+    res.json(result);
+  } catch (error) {
+    logger.error('取消支付订单失败:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || '取消支付订单失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/payments/notify/{provider}:
+ *   post:
+ *     tags: [在线支付]
+ *     summary: 支付渠道异步通知
+ *     description: |
+ *       由支付宝/微信支付服务器回调，按渠道要求验签并应答（支付宝返回 success/fail，微信支付返回 JSON）。
+ *       该接口读取原始请求体验签，不经过CORS与全局请求体处理。
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [alipay, wechat, mock]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: string
+ *             description: 支付宝异步通知参数
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: 微信支付通知（resource 为加密报文）
+ *     responses:
+ *       200:
+ *         description: 处理成功
+ *       404:
+ *         description: 支付渠道不存在或未启用
+ */
+const handleNotify = async (req, res) => {
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+    const ack = await services.payment.handleNotification(req.params.provider, {
+      headers: req.headers,
+      rawBody,
+      ipAddress: getRequestMeta(req).ipAddress
+    });
+
+    if (!ack) {
+      return res.status(404).json({
+        success: false,
+        message: '支付渠道不存在'
+      });
+    }
+
+    res.status(ack.status).type(ack.contentType).send(ack.body);
+  } catch (error) {
+    logger.error('处理支付回调失败:', error);
+    res.status(500).type('text/plain').send('fail');
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/payments/orders:
+ *   get:
+ *     tags: [在线支付]
+ *     summary: 获取支付订单列表（管理员）
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, paid, cancelled, expired, refunded]
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: keyword
+ *         schema:
+ *           type: string
+ *         description: 订单号、渠道交易号或用户名
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         data:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/PaymentOrder'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/PaginationInfo'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+const adminGetOrders = async (req, res) => {
+  try {
+    const result = await services.payment.getAdminOrders(req.query);
+    res.json(result);
+  } catch (error) {
+    logger.error('获取支付订单列表失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取支付订单列表失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/payments/orders/{orderNo}/sync:
+ *   post:
+ *     tags: [在线支付]
+ *     summary: 向支付渠道同步订单状态（管理员补单）
+ *     description: 渠道确认已支付的订单会标记为已支付并补发VIP；已支付未履约的订单会重新履约
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderNo
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 同步成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/PaymentOrder'
+ *       400:
+ *         description: 订单不存在或渠道未启用
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const adminSyncOrder = async (req, res) => {
+  try {
+    const result = await services.payment.syncOrder(req.params.orderNo);
+
+    await recordPaymentLog(req, {
+      targetType: 'order',
+      targetId: result.data.id,
+      action: 'payment_order_sync',
+      summary: `同步支付订单 ${result.data.order_no}`,
+      detail: { status: result.data.status, fulfilledAt: result.data.fulfilled_at }
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('同步支付订单失败:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || '同步支付订单失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/payments/orders/{orderNo}/refund:
+ *   post:
+ *     tags: [在线支付]
+ *     summary: 支付订单退款（管理员）
+ *     description: |
+ *       原路退回，不传金额时退还全部剩余可退金额；累计退款达到订单金额时订单置为已退款。
+ *       调用渠道前先锁定订单并登记处理中的退款单，退款单号由退款单ID生成；订单已有处理中的退款单时
+ *       （重复提交或上次请求中断）沿用其单号和金额重新提交，由渠道按退款单号去重，渠道失败时退款单置为失败。
+ *       退款成功后按退款金额占订单金额的比例回收VIP天数，并撤销或冲减该订单的待结算佣金；
+ *       权益回收失败时退款不回滚，返回的 reversal 为空，需人工处理
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderNo
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PaymentRefundRequest'
+ *     responses:
+ *       200:
+ *         description: 退款成功或已受理
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/PaymentRefundResult'
+ *       400:
+ *         description: 订单状态不允许退款、金额无效或渠道退款失败
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const adminRefundOrder = async (req, res) => {
+  try {
+    const { amount, reason } = req.body || {};
+    const result = await services.payment.refundOrder(req.params.orderNo, {
+      amount: amount === undefined || amount === null || amount === '' ? null : Number(amount),
+      reason: reason ? String(reason).slice(0, 200) : null,
+      operatorId: req.user.id,
+      requestMeta: getRequestMeta(req)
+    });
+
+    const { order, refund, reversal } = result.data;
+    await recordPaymentLog(req, {
+      targetType: 'order',
+      targetId: order.id,
+      action: 'payment_order_refund',
+      summary: `支付订单 ${order.order_no} 退款 ${refund.amount} 元`,
+      detail: {
+        refundNo: refund.refund_no,
+        amount: refund.amount,
+        status: refund.status,
+        reason: reason || null,
+        reversalId: reversal?.id || null
+      }
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('支付订单退款失败:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || '支付订单退款失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/payments/orders/{orderNo}/chargeback:
+ *   post:
+ *     tags: [在线支付]
+ *     summary: 登记支付拒付（管理员）
+ *     description: 渠道已扣回款项时使用，不调用渠道退款接口；订单置为已退款，并按未退款部分回收VIP与待结算佣金
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderNo
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 200
+ *                 description: 拒付原因
+ *     responses:
+ *       200:
+ *         description: 拒付已登记
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         order:
+ *                           $ref: '#/components/schemas/PaymentOrder'
+ *                         reversal:
+ *                           $ref: '#/components/schemas/OrderReversal'
+ *       400:
+ *         description: 订单不存在或不是已支付状态
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const adminChargebackOrder = async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const result = await services.payment.chargebackOrder(req.params.orderNo, {
+      reason: reason ? String(reason).slice(0, 200) : null,
+      operatorId: req.user.id,
+      requestMeta: getRequestMeta(req)
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('登记支付拒付失败:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || '登记支付拒付失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/payments/reversals:
+ *   get:
+ *     tags: [在线支付]
+ *     summary: 获取订单冲正记录（管理员）
+ *     description: 退款、拒付与卡密撤销后的权益回收明细
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [refund, chargeback, card_revoke]
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: order_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         data:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/OrderReversal'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/PaginationInfo'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+const adminGetReversals = async (req, res) => {
+  try {
+    const result = await services.reversal.getReversals(req.query);
+    res.json(result);
+  } catch (error) {
+    logger.error('获取订单冲正记录失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取订单冲正记录失败'
+    });
+  }
+};
+
+module.exports = {
+  getProviders,
+  createOrder,
+  getMyOrders,
+  getMyOrder,
+  cancelOrder,
+  handleNotify,
+  adminGetOrders,
+  adminSyncOrder,
+  adminRefundOrder,
+  adminChargebackOrder,
+  adminGetReversals
+};
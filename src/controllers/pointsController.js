@@ -3,14 +3,22 @@
  * @description 处理用户积分管理、积分记录查询、积分转账、排行榜等操作
  * @module pointsController
  * @requires ../models/Points
+ * @requires ../services
  * @requires ../utils/logger
  * @author AI Assistant
  * @version 1.0.0
  */
 
 const Points = require('../models/Points');
+const { services } = require('../services');
 const { logger } = require('../utils/logger');
 
+// 客户端通过 Idempotency-Key 请求头防止重复提交，按操作者隔离
+const getIdempotencyKey = (req, scope) => {
+  const key = (req.get('idempotency-key') || '').trim();
+  return key ? `${scope}:${req.user.id}:${key.slice(0, 64)}` : null;
+};
+
 /**
  * @swagger
  * /api/points/my-info:
@@ -375,6 +383,12 @@ const getUserPointsRecords = async (req, res) => {
  *           minimum: 1
  *         description: 用户ID
  *         example: 123
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 64
+ *         description: 客户端生成的幂等键，重复提交只记账一次
  *     requestBody:
  *       required: true
  *       content:
@@ -451,11 +465,18 @@ const adjustUserPoints = async (req, res) => {
     }
 
     const adminId = req.user.id;
-    const result = await Points.adjustPoints(parseInt(userId), parseInt(amount), description, adminId);
+    const result = await services.points.adjustPoints(
+      adminId,
+      parseInt(userId),
+      parseInt(amount),
+      description,
+      getIdempotencyKey(req, 'admin_adjust')
+    );
+    const adjusted = result.record.amount;
     
     res.json({
       success: true,
-      message: `积分调整成功：${amount > 0 ? '增加' : '扣除'}${Math.abs(amount)}积分`,
+      message: `积分调整成功：${adjusted > 0 ? '增加' : '扣除'}${Math.abs(adjusted)}积分`,
       data: result
     });
   } catch (error) {
@@ -467,6 +488,13 @@ const adjustUserPoints = async (req, res) => {
         message: '用户不存在'
       });
     }
+
+    if (error.message === '用户积分已为0，无需扣减' || error.message === '幂等键已被其他积分变动使用') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     res.status(500).json({
       success: false,
@@ -484,6 +512,13 @@ const adjustUserPoints = async (req, res) => {
  *     description: 管理员功能，一次性向多个用户发放相同数量的积分，单次最备1000个用户
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 64
+ *         description: 客户端生成的幂等键，重复提交只记账一次
  *     requestBody:
  *       required: true
  *       content:
@@ -576,19 +611,26 @@ const batchGrantPoints = async (req, res) => {
       });
     }
 
-    const results = await Points.batchGrantPoints(user_ids, parseInt(amount), 'admin_batch', description);
-    
-    const successCount = results.filter(r => r.success).length;
-    const failCount = results.length - successCount;
+    const result = await services.points.batchRewardPoints(user_ids, {
+      points: parseInt(amount),
+      source: 'admin_batch',
+      description,
+      operatorId: req.user.id,
+      idempotencyKey: getIdempotencyKey(req, 'admin_batch')
+    });
+    const { results, errors, summary } = result.data;
     
     res.json({
       success: true,
-      message: `批量发放完成：成功${successCount}个，失败${failCount}个`,
+      message: `批量发放完成：成功${summary.success}个，失败${summary.failed}个`,
       data: {
-        total: results.length,
-        success_count: successCount,
-        fail_count: failCount,
-        results
+        total: summary.total,
+        success_count: summary.success,
+        fail_count: summary.failed,
+        results: [
+          ...results.map(item => ({ user_id: item.userId, success: true, duplicate: item.duplicate, error: null })),
+          ...errors.map(item => ({ user_id: item.userId, success: false, error: item.error }))
+        ]
       }
     });
   } catch (error) {
@@ -920,6 +962,13 @@ const getPointsStatistics = async (req, res) => {
  *     description: 用户功能，将自己的积分转账给其他用户，单次转账上限为10000积分
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 64
+ *         description: 客户端生成的幂等键，重复提交只记账一次
  *     requestBody:
  *       required: true
  *       content:
@@ -1042,19 +1091,18 @@ const transferPoints = async (req, res) => {
       });
     }
 
-    const transfers = [{
+    const result = await services.points.transferPoints(
       fromUserId,
-      toUserId: parseInt(to_user_id),
-      amount: parseInt(amount),
-      description
-    }];
-
-    const results = await Points.transferPointsBatch(transfers, fromUserId);
+      parseInt(to_user_id),
+      parseInt(amount),
+      description,
+      { idempotencyKey: getIdempotencyKey(req, 'transfer') }
+    );
     
     res.json({
       success: true,
       message: '积分转账成功',
-      data: results[0]
+      data: result.data
     });
   } catch (error) {
     logger.error('积分转账失败:', error);
@@ -1066,7 +1114,7 @@ const transferPoints = async (req, res) => {
       });
     }
 
-    if (error.message === '用户不存在') {
+    if (error.message === '用户不存在' || error.message === '接收方用户不存在') {
       return res.status(404).json({
         success: false,
         message: '目标用户不存在'
@@ -1080,6 +1128,399 @@ const transferPoints = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/admin/points/reconciliation:
+ *   get:
+ *     tags: [积分管理]
+ *     summary: 获取积分对账记录
+ *     description: 管理员功能，查看每日积分账本对账结果，差异用户数或未平衡分组不为0时表示余额与账本存在偏差
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: drift_only
+ *         schema:
+ *           type: boolean
+ *         description: 只看存在差异的对账批次
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         data:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/PointsReconciliationRun'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/PaginationInfo'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+const getReconciliationRuns = async (req, res) => {
+  try {
+    const result = await services.points.getReconciliationRuns(req.query);
+    res.json(result);
+  } catch (error) {
+    logger.error('获取积分对账记录失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取积分对账记录失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/points/reconciliation/{runId}:
+ *   get:
+ *     tags: [积分管理]
+ *     summary: 获取积分对账详情
+ *     description: 管理员功能，查看对账批次的差异用户明细
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/PointsReconciliationRun'
+ *                         - type: object
+ *                           properties:
+ *                             items:
+ *                               type: array
+ *                               items:
+ *                                 $ref: '#/components/schemas/PointsReconciliationItem'
+ *       404:
+ *         description: 对账记录不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const getReconciliationRun = async (req, res) => {
+  try {
+    const result = await services.points.getReconciliationRun(parseInt(req.params.runId, 10));
+    res.json(result);
+  } catch (error) {
+    logger.error('获取积分对账详情失败:', error);
+
+    if (error.message === '对账记录不存在') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: '获取积分对账详情失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/points/reconciliation/run:
+ *   post:
+ *     tags: [积分管理]
+ *     summary: 立即执行积分对账
+ *     description: 管理员功能，手动执行一次积分账本对账（每日凌晨会自动执行）
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 对账完成
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/PointsReconciliationRun'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+const runReconciliation = async (req, res) => {
+  try {
+    const run = await services.points.reconcileLedger({
+      triggerType: 'manual',
+      triggeredBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: run.drift_users > 0 ? `对账完成，发现${run.drift_users}个用户余额与账本不一致` : '对账完成，余额与账本一致',
+      data: run
+    });
+  } catch (error) {
+    logger.error('执行积分对账失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '执行积分对账失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/points/expiring:
+ *   get:
+ *     tags: [积分系统]
+ *     summary: 获取即将过期的积分
+ *     description: 获取当前用户设有有效期、尚未过期的积分批次，消费时优先扣减最早获得的积分
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         total_expiring_points:
+ *                           type: integer
+ *                           example: 120
+ *                         next_expire_at:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                         lots:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/PointsLot'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+const getMyExpiringPoints = async (req, res) => {
+  try {
+    const result = await services.points.getExpiringPoints(req.user.id);
+    res.json(result);
+  } catch (error) {
+    logger.error('获取即将过期积分失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取即将过期积分失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/points/expiry-policies:
+ *   get:
+ *     tags: [积分管理]
+ *     summary: 获取积分过期策略
+ *     description: 管理员功能，查看按积分来源配置的有效期，未配置的来源永不过期
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PointsExpiryPolicy'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+const getExpiryPolicies = async (req, res) => {
+  try {
+    const result = await services.points.getExpiryPolicies();
+    res.json(result);
+  } catch (error) {
+    logger.error('获取积分过期策略失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取积分过期策略失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/points/expiry-policies/{source}:
+ *   put:
+ *     tags: [积分管理]
+ *     summary: 设置积分过期策略
+ *     description: 管理员功能，为积分来源（如 checkin、makeup_checkin、cardkey、card_key、admin_adjust）设置有效期，只影响之后获得的积分
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: source
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: checkin
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [expire_days]
+ *             properties:
+ *               expire_days:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 3650
+ *                 example: 180
+ *               notify_days:
+ *                 type: integer
+ *                 minimum: 0
+ *                 default: 7
+ *                 description: 到期前多少天发送提醒，0 表示不提醒
+ *               is_active:
+ *                 type: boolean
+ *                 default: true
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 保存成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/PointsExpiryPolicy'
+ *       400:
+ *         description: 参数错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   delete:
+ *     tags: [积分管理]
+ *     summary: 删除积分过期策略
+ *     description: 管理员功能，删除后该来源新获得的积分永不过期，已发放的积分仍按原过期时间处理
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: source
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       404:
+ *         description: 积分过期策略不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const saveExpiryPolicy = async (req, res) => {
+  try {
+    const result = await services.points.saveExpiryPolicy(req.params.source, req.body || {}, req.user.id);
+    res.json(result);
+  } catch (error) {
+    logger.error('保存积分过期策略失败:', error);
+
+    if ([
+      '积分来源格式无效',
+      '过期扣除的积分不能设置过期策略',
+      '有效天数必须是1-3650之间的整数',
+      '提醒天数必须是0到有效天数之间的整数'
+    ].includes(error.message)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: '保存积分过期策略失败'
+    });
+  }
+};
+
+const deleteExpiryPolicy = async (req, res) => {
+  try {
+    const result = await services.points.deleteExpiryPolicy(req.params.source);
+    res.json(result);
+  } catch (error) {
+    logger.error('删除积分过期策略失败:', error);
+
+    if (error.message === '积分过期策略不存在') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: '删除积分过期策略失败'
+    });
+  }
+};
+
 module.exports = {
   getMyPoints,
   getMyPointsRecords,
@@ -1090,5 +1531,12 @@ module.exports = {
   getPointsLeaderboard,
   getMyPointsRank,
   getPointsStatistics,
-  transferPoints
+  transferPoints,
+  getReconciliationRuns,
+  getReconciliationRun,
+  runReconciliation,
+  getMyExpiringPoints,
+  getExpiryPolicies,
+  saveExpiryPolicy,
+  deleteExpiryPolicy
 };
@@ -13,6 +13,12 @@ const getRequestMeta = (req) => ({
   userAgent: req.get('user-agent') || ''
 });
 
+// 客户端通过 Idempotency-Key 请求头防止重复提交
+const getIdempotencyKey = (req) => {
+  const key = (req.get('idempotency-key') || '').trim();
+  return key ? key.slice(0, 64) : null;
+};
+
 const recordSystemLog = async (req, payload) => {
   const operatorId = req.user?.id || null;
   const { ipAddress, userAgent } = getRequestMeta(req);
@@ -485,7 +491,7 @@ const pointsProductController = {
    *   post:
    *     tags: [积分商城]
    *     summary: 兑换虚拟商品
-   *     description: 用户使用积分兑换虚拟商品，成功后返回兑换码及订单信息。
+   *     description: 用户使用积分兑换虚拟商品，成功后返回兑换码及订单信息。携带相同 Idempotency-Key 重复提交时返回首次兑换结果，不会重复扣积分。
    *     security:
    *       - BearerAuth: []
    *     parameters:
@@ -494,6 +500,12 @@ const pointsProductController = {
    *         required: true
    *         schema:
    *           type: integer
+   *       - in: header
+   *         name: Idempotency-Key
+   *         schema:
+   *           type: string
+   *           maxLength: 64
+   *         description: 客户端生成的幂等键
    *     responses:
    *       200:
    *         description: 兑换成功
@@ -509,19 +521,23 @@ const pointsProductController = {
       const { productId } = req.params;
       const userId = req.user.id;
 
-      const result = await PointsProduct.redeemVirtualProduct(parseInt(productId, 10), userId);
-
-      await recordSystemLog(req, {
-        targetType: 'points_product',
-        targetId: parseInt(productId, 10),
-        action: 'points_product_redeem',
-        summary: `用户${userId} 兑换虚拟商品 ${result.product.name}`,
-        detail: {
-          pointsCost: result.product.points_cost,
-          code: result.inventoryItem.code
-        }
+      const result = await PointsProduct.redeemVirtualProduct(parseInt(productId, 10), userId, {
+        idempotencyKey: getIdempotencyKey(req)
       });
 
+      if (!result.duplicate) {
+        await recordSystemLog(req, {
+          targetType: 'points_product',
+          targetId: parseInt(productId, 10),
+          action: 'points_product_redeem',
+          summary: `用户${userId} 兑换虚拟商品 ${result.product.name}`,
+          detail: {
+            pointsCost: result.product.points_cost,
+            code: result.inventoryItem.code
+          }
+        });
+      }
+
       res.json({
         success: true,
         message: '兑换成功',
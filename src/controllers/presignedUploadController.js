@@ -5,8 +5,26 @@
  */
 
 const PresignedUploadService = require('../services/PresignedUploadService');
+const AuditLog = require('../models/AuditLog');
 const { logger } = require('../utils/logger');
 
+// 资源文件直传错误与HTTP状态码映射，未列出的按参数错误处理
+const RESOURCE_UPLOAD_ERROR_STATUS = {
+  '资源不存在': 404,
+  '上传会话不存在': 404,
+  '没有权限操作此资源': 403
+};
+
+const sendResourceUploadError = (res, error, fallbackMessage) => {
+  const status = RESOURCE_UPLOAD_ERROR_STATUS[error.message]
+    || (error.code || error.name === 'S3Error' ? 500 : 400);
+
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? fallbackMessage : (error.message || fallbackMessage)
+  });
+};
+
 /**
  * @swagger
  * /api/upload/presigned/image:
@@ -226,6 +244,327 @@ const getAvatarPresignedUrl = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/upload/presigned/resource-files/multipart:
+ *   post:
+ *     tags: [文件上传]
+ *     summary: 发起资源文件分片直传
+ *     description: |
+ *       为资源作者（或管理员）创建MinIO分片上传会话，返回首批分片的预签名PUT URL。
+ *       客户端按 partSize 切分文件，逐片PUT到对应URL并记录响应头中的ETag，
+ *       全部上传后调用完成接口登记为资源文件。文件大小和扩展名受角色上传策略限制。
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resourceId
+ *               - fileName
+ *               - fileSize
+ *             properties:
+ *               resourceId:
+ *                 type: integer
+ *                 description: 资源ID
+ *               fileName:
+ *                 type: string
+ *                 description: 原始文件名
+ *                 example: "素材合集.zip"
+ *               contentType:
+ *                 type: string
+ *                 description: 文件MIME类型
+ *                 example: "application/zip"
+ *               fileSize:
+ *                 type: integer
+ *                 description: 文件大小(字节)
+ *                 example: 1073741824
+ *               partSize:
+ *                 type: integer
+ *                 description: 期望分片大小(字节)，最小5MB，默认16MB
+ *     responses:
+ *       200:
+ *         description: 上传会话创建成功
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: 没有权限操作此资源
+ *       404:
+ *         description: 资源不存在
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+const createResourceMultipartUpload = async (req, res) => {
+  try {
+    const { resourceId, fileName, contentType, fileSize, partSize } = req.body;
+    const parsedResourceId = parseInt(resourceId, 10);
+
+    if (!parsedResourceId || !fileName || !fileSize) {
+      return res.status(400).json({
+        success: false,
+        message: '资源ID、文件名和文件大小不能为空'
+      });
+    }
+
+    const result = await PresignedUploadService.createResourceMultipartUpload(req.user, {
+      resourceId: parsedResourceId,
+      fileName,
+      contentType,
+      fileSize,
+      partSize
+    });
+
+    res.json({
+      success: true,
+      message: '分片上传会话创建成功',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('发起资源文件分片上传失败:', error);
+    sendResourceUploadError(res, error, '发起资源文件分片上传失败');
+  }
+};
+
+/**
+ * @swagger
+ * /api/upload/presigned/resource-files/multipart/{sessionId}/parts:
+ *   post:
+ *     tags: [文件上传]
+ *     summary: 获取分片上传URL
+ *     description: 分批获取或续签指定分片的预签名PUT URL，单次最多100个
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - partNumbers
+ *             properties:
+ *               partNumbers:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [101, 102, 103]
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         description: 上传会话不存在
+ */
+const getResourcePartUploadUrls = async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.sessionId, 10);
+    const { partNumbers } = req.body;
+
+    if (!sessionId || !Array.isArray(partNumbers)) {
+      return res.status(400).json({
+        success: false,
+        message: '上传会话ID和分片序号不能为空'
+      });
+    }
+
+    const parts = await PresignedUploadService.getResourcePartUploadUrls(req.user, sessionId, partNumbers);
+
+    res.json({
+      success: true,
+      message: '获取分片上传URL成功',
+      data: { parts }
+    });
+
+  } catch (error) {
+    logger.error('获取分片上传URL失败:', error);
+    sendResourceUploadError(res, error, '获取分片上传URL失败');
+  }
+};
+
+/**
+ * @swagger
+ * /api/upload/presigned/resource-files/multipart/{sessionId}/complete:
+ *   post:
+ *     tags: [文件上传]
+ *     summary: 完成分片直传并登记资源文件
+ *     description: 合并所有分片，校验实际文件大小后写入 resource_files
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - parts
+ *             properties:
+ *               parts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     partNumber:
+ *                       type: integer
+ *                     etag:
+ *                       type: string
+ *               name:
+ *                 type: string
+ *                 description: 文件显示名称，默认使用原始文件名
+ *               file_type:
+ *                 type: string
+ *               quality:
+ *                 type: string
+ *               version:
+ *                 type: string
+ *               language:
+ *                 type: string
+ *               sort_order:
+ *                 type: integer
+ *               required_points:
+ *                 type: integer
+ *               required_vip_level:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: 资源文件登记成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ResourceFile'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         description: 上传会话不存在
+ */
+const completeResourceMultipartUpload = async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.sessionId, 10);
+    const {
+      parts,
+      name,
+      file_type,
+      quality,
+      version,
+      language,
+      sort_order,
+      required_points,
+      required_vip_level
+    } = req.body;
+
+    if (!sessionId || !Array.isArray(parts) || parts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: '上传会话ID和分片列表不能为空'
+      });
+    }
+
+    const file = await PresignedUploadService.completeResourceMultipartUpload(req.user, sessionId, parts, {
+      name,
+      fileType: file_type,
+      quality,
+      version,
+      language,
+      sortOrder: sort_order,
+      requiredPoints: required_points,
+      requiredVipLevel: required_vip_level
+    });
+
+    await AuditLog.createSystemLog({
+      operatorId: req.user.id,
+      targetType: 'resource_file',
+      targetId: file.id,
+      action: 'resource_file_create',
+      summary: `直传新增资源文件 ${file.name}`,
+      detail: {
+        resourceId: file.resource_id,
+        sessionId,
+        fileSize: file.file_size
+      },
+      ipAddress: (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.ip,
+      userAgent: req.get('user-agent') || ''
+    });
+
+    res.status(201).json({
+      success: true,
+      message: '资源文件上传完成',
+      data: file
+    });
+
+  } catch (error) {
+    logger.error('完成资源文件分片上传失败:', error);
+    sendResourceUploadError(res, error, '完成资源文件分片上传失败');
+  }
+};
+
+/**
+ * @swagger
+ * /api/upload/presigned/resource-files/multipart/{sessionId}:
+ *   delete:
+ *     tags: [文件上传]
+ *     summary: 取消分片直传
+ *     description: 中止MinIO分片上传并释放已上传的分片
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 已取消上传
+ *       404:
+ *         description: 上传会话不存在
+ */
+const abortResourceMultipartUpload = async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.sessionId, 10);
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: '上传会话ID无效'
+      });
+    }
+
+    await PresignedUploadService.abortResourceMultipartUpload(req.user, sessionId);
+
+    res.json({
+      success: true,
+      message: '已取消上传'
+    });
+
+  } catch (error) {
+    logger.error('取消资源文件分片上传失败:', error);
+    sendResourceUploadError(res, error, '取消资源文件分片上传失败');
+  }
+};
+
 /**
  * @swagger
  * /api/upload/presigned/info:
@@ -277,6 +616,7 @@ const getAvatarPresignedUrl = async (req, res) => {
 const getPresignedInfo = async (req, res) => {
   try {
     const supportedMimeTypes = PresignedUploadService.getSupportedImageTypes();
+    const resourceFilePolicy = await PresignedUploadService.getResourceUploadPolicy(req.user);
     
     res.json({
       success: true,
@@ -284,13 +624,18 @@ const getPresignedInfo = async (req, res) => {
       data: {
         maxFileSizes: {
           image: 10 * 1024 * 1024, // 10MB
-          avatar: 5 * 1024 * 1024  // 5MB
+          avatar: 5 * 1024 * 1024, // 5MB
+          resourceFile: resourceFilePolicy.maxFileSize
         },
+        resourceFileExtensions: resourceFilePolicy.allowAnyExtension
+          ? ['*']
+          : resourceFilePolicy.allowedExtensions,
         supportedMimeTypes,
         urlExpiresIn: 15 * 60, // 15分钟
         endpoints: {
           image: '/api/upload/presigned/image - 获取图片上传预签名URL',
-          avatar: '/api/upload/presigned/avatar - 获取头像上传预签名URL'
+          avatar: '/api/upload/presigned/avatar - 获取头像上传预签名URL',
+          resourceFile: '/api/upload/presigned/resource-files/multipart - 发起资源文件分片直传'
         }
       }
     });
@@ -307,5 +652,9 @@ const getPresignedInfo = async (req, res) => {
 module.exports = {
   getImagePresignedUrl,
   getAvatarPresignedUrl,
+  createResourceMultipartUpload,
+  getResourcePartUploadUrls,
+  completeResourceMultipartUpload,
+  abortResourceMultipartUpload,
   getPresignedInfo
 };
\ No newline at end of file
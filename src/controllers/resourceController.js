@@ -20,13 +20,37 @@ const { logger } = require('../utils/logger');
 const AuditLog = require('../models/AuditLog');
 const { successResponse, errorResponse } = require('../utils/responseHelper');
 const SearchRecord = require('../models/SearchRecord');
+const {
+  FeedService,
+  RecommendationService,
+  ResourcePublishingService,
+  ResourceRevisionService
+} = require('../services');
 
 const getRequestMeta = (req) => ({
   ipAddress: (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.ip,
   userAgent: req.get('user-agent') || ''
 });
 
-const RESOURCE_STATUSES = ['draft', 'published', 'archived', 'banned', 'deleted'];
+const RESOURCE_STATUSES = ['draft', 'pending_review', 'rejected', 'scheduled', 'published', 'archived', 'banned', 'deleted'];
+
+// 尚未发布的状态，仅作者和有资源查看权限的用户可见
+const UNPUBLISHED_STATUSES = ['draft', 'pending_review', 'rejected', 'scheduled'];
+
+// 没有发布权限的作者只能在资源处于这些状态时修改状态
+const AUTHOR_MANAGED_STATUSES = ['draft', 'pending_review', 'rejected', 'scheduled', 'published'];
+
+// 发布状态与审核操作中属于请求参数或状态问题的错误
+const PUBLISH_CLIENT_ERRORS = {
+  '资源不存在': 404,
+  '无效的资源状态': 400,
+  '无权设置该资源状态': 403,
+  '定时发布需要设置发布时间': 400,
+  '定时发布时间必须晚于当前时间': 400,
+  '定时发布时间格式不正确': 400,
+  '只有待审核的资源可以审核': 409,
+  '请填写驳回原因': 400
+};
 
 class ResourceController {
   /**
@@ -83,7 +107,7 @@ class ResourceController {
    *         name: status
    *         schema:
    *           type: string
-   *           enum: [draft, published, archived, deleted]
+   *           enum: [draft, pending_review, rejected, scheduled, published, archived, deleted]
    *         description: 状态过滤
    *       - in: query
    *         name: is_public
@@ -191,6 +215,8 @@ class ResourceController {
 
       logger.debug('解析后的查询选项', options);
 
+      const result = await Resource.findAll(options);
+
       const searchKeyword = typeof search === 'string' ? search.trim() : '';
       if (searchKeyword) {
         const ipAddress = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || null;
@@ -198,11 +224,10 @@ class ResourceController {
           keyword: searchKeyword,
           searchType: 'resource',
           userId: req.user?.id || null,
-          ipAddress
+          ipAddress,
+          resultCount: result.pagination.total
         });
       }
-      
-      const result = await Resource.findAll(options);
 
       // 批量生成安全信息，解决N+1查询问题
       if (result.resources && result.resources.length > 0) {
@@ -322,6 +347,135 @@ class ResourceController {
     }
   }
 
+  /**
+   * @swagger
+   * /api/resources/recommended:
+   *   get:
+   *     tags: [资源管理相关]
+   *     summary: 获取个性化推荐资源
+   *     description: 根据当前用户的点赞、收藏、下载记录与标签偏好推荐资源，已互动和本人发布的资源不会出现；没有行为数据时返回热门资源（cold_start 为 true）。推荐数据由每日任务计算。
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 50
+   *           default: 20
+   *         description: 返回的资源数量
+   *     responses:
+   *       200:
+   *         description: 获取推荐资源成功
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/RecommendedResourcesResponse'
+   *       401:
+   *         $ref: '#/components/responses/Unauthorized'
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  static async getRecommendedResources(req, res) {
+    try {
+      const result = await RecommendationService.getRecommendedResources(req.user.id, {
+        limit: req.query.limit
+      });
+
+      const resources = await generateSecureResourceInfoBatch(result.data.resources, req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          cold_start: result.data.cold_start,
+          resources
+        }
+      });
+    } catch (error) {
+      logger.error('获取推荐资源失败:', error);
+      res.status(500).json({
+        success: false,
+        message: '获取推荐资源失败'
+      });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/resources/{id}/related:
+   *   get:
+   *     tags: [资源管理相关]
+   *     summary: 获取相关资源
+   *     description: 返回与指定资源经常被同一批用户点赞、收藏、下载或标签相近的资源；相关数据不足时用热门资源补足。
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: 资源ID
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 50
+   *           default: 10
+   *         description: 返回的资源数量
+   *     responses:
+   *       200:
+   *         description: 获取相关资源成功
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/RelatedResourcesResponse'
+   *       400:
+   *         $ref: '#/components/responses/BadRequest'
+   *       404:
+   *         description: 资源不存在或未公开
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  static async getRelatedResources(req, res) {
+    try {
+      const resourceId = parseInt(req.params.id, 10);
+      if (!Number.isFinite(resourceId) || resourceId <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: '资源ID格式不正确'
+        });
+      }
+
+      const result = await RecommendationService.getRelatedResources(resourceId, {
+        limit: req.query.limit
+      });
+
+      const resources = await generateSecureResourceInfoBatch(result.data.resources, req.user?.id);
+
+      res.json({
+        success: true,
+        data: {
+          resource_id: resourceId,
+          resources
+        }
+      });
+    } catch (error) {
+      if (error.message === '资源不存在') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('获取相关资源失败:', error);
+      res.status(500).json({
+        success: false,
+        message: '获取相关资源失败'
+      });
+    }
+  }
+
   /**
    * @swagger
    * /api/resources/{id}:
@@ -435,8 +589,9 @@ class ResourceController {
         });
       }
 
-      // 检查访问权限
-      if (!resource.is_public && (!userId || resource.author_id !== userId)) {
+      // 检查访问权限：非公开或尚未发布的资源仅作者和有权限的用户可见
+      const isHidden = !resource.is_public || UNPUBLISHED_STATUSES.includes(resource.status);
+      if (isHidden && (!userId || resource.author_id !== userId)) {
         // 检查用户是否有权限访问私有资源
         const hasPermission = await ResourceController.checkResourceAccessPermission(userId, resource);
         if (!hasPermission) {
@@ -482,7 +637,7 @@ class ResourceController {
    *   post:
    *     tags: [资源管理相关]
    *     summary: 创建新资源
-   *     description: 创建一个新的资源，需要认证。普通用户提交后资源将以草稿状态保存，待具有发布权限的管理员审核后才会公开。
+   *     description: 创建一个新的资源，需要认证。开启审核时，非官方创作者发布或定时发布的资源进入待审核（pending_review），管理员审核通过后才会公开；publish_at 晚于当前时间时按定时发布处理。
    *     security:
    *       - BearerAuth: []
    *     requestBody:
@@ -523,7 +678,7 @@ class ResourceController {
   *                 slug: "new-vue-tutorial"
   *                 description: "这是一个全面的Vue.js学习教程"
   *                 author_id: 1
-  *                 status: "draft"
+  *                 status: "pending_review"
   *                 is_public: false
   *                 created_at: "2025-09-12T10:00:00.000Z"
   *                 updated_at: "2025-09-12T10:00:00.000Z"
@@ -553,10 +708,13 @@ class ResourceController {
         category_id,
         resource_type_id,
         cover_image_url,
+        content,
         is_public = true,
         status,
+        publish_at,
         tags = [],
-        official = false
+        official = false,
+        notify_followers
       } = req.body;
 
       if (!title || resource_type_id === undefined || resource_type_id === null) {
@@ -606,17 +764,24 @@ class ResourceController {
       }
 
       const canPublishDirectly = await ResourceController.hasPermission(userId, 'resource:publish');
-
-      let finalStatus = 'published';
-      if (canPublishDirectly) {
-        if (status && RESOURCE_STATUSES.includes(status)) {
-          finalStatus = status;
-        }
-      } else {
-        finalStatus = 'draft';
+      const needsReview = canPublishDirectly ? false : await ResourcePublishingService.requiresReview(userId);
+
+      let publishState;
+      try {
+        publishState = ResourcePublishingService.resolvePublishState({
+          requestedStatus: status || 'published',
+          publishAt: publish_at,
+          canPublishDirectly,
+          needsReview
+        });
+      } catch (error) {
+        return res.status(PUBLISH_CLIENT_ERRORS[error.message] || 400).json({
+          success: false,
+          message: error.message
+        });
       }
 
-      const finalIsPublic = canPublishDirectly ? toBoolean(is_public, true) : false;
+      const finalIsPublic = needsReview ? false : toBoolean(is_public, true);
 
       const resourceData = {
         title,
@@ -626,8 +791,11 @@ class ResourceController {
         category_id: normalizedCategoryId,
         resource_type_id: normalizedResourceTypeId,
         cover_image_url,
+        content,
         is_public: finalIsPublic,
-        status: finalStatus,
+        status: publishState.status,
+        publish_at: publishState.publish_at,
+        submitted_at: publishState.submitted_at,
         author_id: userId,
         tags: tagIds,
         official: toBoolean(official, false)
@@ -635,6 +803,8 @@ class ResourceController {
 
       const resource = await Resource.create(resourceData);
 
+      await ResourceRevisionService.captureRevision(resource, 'create', userId);
+
       await AuditLog.createSystemLog({
         operatorId: userId,
         targetType: 'resource',
@@ -646,9 +816,11 @@ class ResourceController {
         userAgent
       });
 
+      ResourceController.notifyFollowersOnPublish(resource, null, notify_followers);
+
       res.status(201).json({
         success: true,
-        message: canPublishDirectly ? '资源创建成功' : '资源已提交审核，等待管理员审核',
+        message: ResourceController.getPublishStateMessage(resource.status, '资源创建成功'),
         data: resource
       });
     } catch (error) {
@@ -677,7 +849,7 @@ class ResourceController {
    *   put:
    *     tags: [资源管理相关]
    *     summary: 更新资源
-   *     description: 更新指定ID的资源，只有作者或管理员可以操作
+   *     description: 更新指定ID的资源，只有作者或管理员可以操作；开启资源审核时，非官方创作者修改已发布或定时发布资源的标题、描述或正文后资源重新进入待审核
    *     security:
    *       - BearerAuth: []
    *     parameters:
@@ -800,7 +972,7 @@ class ResourceController {
         }
       };
 
-      ['title', 'slug', 'description', 'summary', 'cover_image_url'].forEach((field) => {
+      ['title', 'slug', 'description', 'summary', 'cover_image_url', 'content'].forEach((field) => {
         assignIfPresent(field);
       });
 
@@ -820,34 +992,50 @@ class ResourceController {
       assignIfPresent('official', (value) => toBoolean(value, resource.official || false));
 
       const canPublishDirectly = await ResourceController.hasPermission(userId, 'resource:publish');
+      const needsReview = canPublishDirectly ? false : await ResourcePublishingService.requiresReview(userId);
+
+      const hasStatus = Object.prototype.hasOwnProperty.call(updateData, 'status');
+      const hasPublishAt = Object.prototype.hasOwnProperty.call(updateData, 'publish_at');
 
-      if (Object.prototype.hasOwnProperty.call(updateData, 'status')) {
-        if (!canPublishDirectly) {
+      // 重复提交当前状态且未指定发布时间时按编辑的字段决定是否重新审核，而不是按请求的状态重新计算
+      if ((hasStatus && updateData.status !== resource.status) || hasPublishAt) {
+        if (!canPublishDirectly && !AUTHOR_MANAGED_STATUSES.includes(resource.status)) {
           return res.status(403).json({
             success: false,
             message: '无权修改资源状态'
           });
         }
 
-        const requestedStatus = updateData.status;
-        if (!RESOURCE_STATUSES.includes(requestedStatus)) {
-          return res.status(400).json({
+        try {
+          Object.assign(sanitizedUpdate, ResourcePublishingService.resolvePublishState({
+            requestedStatus: hasStatus
+              ? updateData.status
+              : (resource.status === 'pending_review' ? 'published' : resource.status),
+            publishAt: hasPublishAt ? updateData.publish_at : resource.publish_at,
+            canPublishDirectly,
+            needsReview,
+            current: resource
+          }));
+        } catch (error) {
+          return res.status(PUBLISH_CLIENT_ERRORS[error.message] || 400).json({
             success: false,
-            message: '无效的资源状态'
+            message: error.message
           });
         }
 
-        sanitizedUpdate.status = requestedStatus;
-
-        if (requestedStatus === 'published' && resource.status !== 'published') {
-          sanitizedUpdate.published_at = new Date();
-        } else if (requestedStatus !== 'published') {
-          sanitizedUpdate.published_at = null;
+        if (sanitizedUpdate.status === 'pending_review') {
+          sanitizedUpdate.is_public = false;
         }
+      } else {
+        // 需要审核的创作者修改已发布资源的标题、描述或正文时重新进入审核，审核通过前不公开
+        Object.assign(
+          sanitizedUpdate,
+          ResourcePublishingService.resolveResubmitState(resource, sanitizedUpdate, needsReview)
+        );
       }
 
       if (Object.prototype.hasOwnProperty.call(updateData, 'is_public')) {
-        if (!canPublishDirectly) {
+        if (needsReview) {
           return res.status(403).json({
             success: false,
             message: '无权修改资源公开状态'
@@ -868,6 +1056,10 @@ class ResourceController {
         ? await Resource.update(parseInt(id), sanitizedUpdate)
         : resource;
 
+      if (['title', 'description', 'content'].some(field => sanitizedUpdate[field] !== undefined)) {
+        await ResourceRevisionService.captureRevision(updatedResource, 'update', userId);
+      }
+
       await AuditLog.createSystemLog({
         operatorId: userId,
         targetType: 'resource',
@@ -883,9 +1075,13 @@ class ResourceController {
         userAgent
       });
 
+      ResourceController.notifyFollowersOnPublish(updatedResource, resource, updateData.notify_followers);
+
       res.json({
         success: true,
-        message: '资源更新成功',
+        message: updatedResource.status !== resource.status
+          ? ResourceController.getPublishStateMessage(updatedResource.status, '资源更新成功')
+          : '资源更新成功',
         data: updatedResource
       });
     } catch (error) {
@@ -914,7 +1110,12 @@ class ResourceController {
    *   post:
    *     tags: [资源管理相关]
    *     summary: 审核资源
-   *     description: 管理员审核用户提交的资源，可调整状态与公开性
+   *     description: |
+   *       管理员审核用户提交的资源。
+   *
+   *       - `action=approve`：通过待审核资源，设置了未到期的 publish_at 时进入定时发布，否则立即发布，并通知作者
+   *       - `action=reject`：驳回待审核资源，需填写 review_note，作者修改后可重新提交
+   *       - 不传 action 时直接调整 status 与 is_public
    *     security:
    *       - BearerAuth: []
    *     parameters:
@@ -931,13 +1132,30 @@ class ResourceController {
    *           schema:
    *             type: object
    *             properties:
+   *               action:
+   *                 type: string
+   *                 enum: [approve, reject]
+   *                 description: 审核操作，仅适用于待审核（pending_review）的资源
+   *               review_note:
+   *                 type: string
+   *                 description: 审核意见，驳回时必填
    *               status:
    *                 type: string
-   *                 enum: [draft, published, archived, banned, deleted]
-   *                 description: 审核后的资源状态
+   *                 enum: [draft, pending_review, rejected, scheduled, published, archived, banned, deleted]
+   *                 description: 审核后的资源状态（未传 action 时生效）
    *               is_public:
    *                 type: boolean
-   *                 description: 是否对外公开
+   *                 description: 是否对外公开，通过审核时默认公开
+   *           examples:
+   *             approve:
+   *               summary: 通过审核
+   *               value:
+   *                 action: approve
+   *             reject:
+   *               summary: 驳回
+   *               value:
+   *                 action: reject
+   *                 review_note: 封面图片不清晰，请更换后重新提交
    *     responses:
    *       200:
    *         description: 审核成功
@@ -945,6 +1163,8 @@ class ResourceController {
    *         $ref: '#/components/responses/BadRequest'
    *       404:
    *         description: 资源不存在
+   *       409:
+   *         description: 资源不是待审核状态
    *       500:
    *         $ref: '#/components/responses/ServerError'
    */
@@ -959,7 +1179,15 @@ class ResourceController {
         });
       }
 
-      const { status, is_public } = req.body || {};
+      const { action, review_note, status, is_public } = req.body || {};
+
+      if (action !== undefined) {
+        return ResourceController.reviewPendingResource(req, res, resourceId, {
+          action,
+          reviewNote: review_note,
+          isPublic: is_public
+        });
+      }
 
       if (status === undefined && is_public === undefined) {
         return res.status(400).json({
@@ -1015,6 +1243,8 @@ class ResourceController {
         userAgent
       });
 
+      ResourceController.notifyFollowersOnPublish(updatedResource, resource);
+
       res.json({
         success: true,
         message: '资源审核结果已更新',
@@ -1040,13 +1270,83 @@ class ResourceController {
     }
   }
 
+  /**
+   * 通过或驳回待审核资源
+   * @param {Object} req
+   * @param {Object} res
+   * @param {number} resourceId
+   * @param {Object} params - { action, reviewNote, isPublic }
+   */
+  static async reviewPendingResource(req, res, resourceId, { action, reviewNote, isPublic }) {
+    const { ipAddress, userAgent } = getRequestMeta(req);
+
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'action 只能为 approve 或 reject'
+      });
+    }
+
+    try {
+      const resource = await Resource.findById(resourceId);
+      if (!resource) {
+        return res.status(404).json({
+          success: false,
+          message: '资源不存在'
+        });
+      }
+
+      const result = action === 'approve'
+        ? await ResourcePublishingService.approveResource(resourceId, req.user.id, {
+          note: reviewNote || null,
+          isPublic: isPublic === undefined ? undefined : toBoolean(isPublic, true)
+        })
+        : await ResourcePublishingService.rejectResource(resourceId, req.user.id, reviewNote);
+
+      const updatedResource = result.data;
+
+      await AuditLog.createSystemLog({
+        operatorId: req.user.id,
+        targetType: 'resource',
+        targetId: resourceId,
+        action: action === 'approve' ? 'review_approve' : 'review_reject',
+        summary: `${action === 'approve' ? '审核通过' : '审核驳回'}资源 ${updatedResource.title}`,
+        detail: {
+          previous_status: resource.status,
+          new_status: updatedResource.status,
+          is_public: updatedResource.is_public,
+          review_note: updatedResource.review_note
+        },
+        ipAddress,
+        userAgent
+      });
+
+      ResourceController.notifyFollowersOnPublish(updatedResource, resource);
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: updatedResource
+      });
+    } catch (error) {
+      const statusCode = PUBLISH_CLIENT_ERRORS[error.message] || 500;
+      if (statusCode === 500) {
+        logger.error('审核资源失败:', error);
+      }
+      res.status(statusCode).json({
+        success: false,
+        message: statusCode === 500 ? '审核资源失败' : error.message
+      });
+    }
+  }
+
   /**
    * @swagger
    * /api/admin/resources/pending:
    *   get:
    *     tags: [资源管理相关]
    *     summary: 获取待审核资源列表
-   *     description: 返回状态为草稿的资源列表，供管理员审核。
+   *     description: 返回待审核（pending_review）的资源列表，按提交时间先后排序，供管理员审核。
    *     security:
    *       - BearerAuth: []
    *     parameters:
@@ -1076,7 +1376,9 @@ class ResourceController {
       const result = await Resource.findAll({
         page: parseInt(page, 10) || 1,
         limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100),
-        status: 'draft'
+        status: 'pending_review',
+        sort_by: 'submitted_at',
+        sort_order: 'ASC'
       });
 
       res.json({
@@ -1405,6 +1707,43 @@ class ResourceController {
     return result.rows.length > 0;
   }
 
+  /**
+   * 按保存后的资源状态生成提示信息
+   * @param {string} status - 保存后的状态
+   * @param {string} defaultMessage - 其他状态使用的提示
+   * @returns {string}
+   */
+  static getPublishStateMessage(status, defaultMessage) {
+    if (status === 'pending_review') {
+      return '资源已提交审核，等待管理员审核';
+    }
+    if (status === 'scheduled') {
+      return '资源已设置定时发布';
+    }
+    return defaultMessage;
+  }
+
+  /**
+   * 资源变为已发布且公开时异步通知作者的粉丝，同一资源只通知一次
+   * @param {Object} resource - 更新后的资源
+   * @param {Object|null} previous - 更新前的资源，新建时为 null
+   * @param {boolean} [notify] - 本次是否通知粉丝，未指定时按作者设置
+   */
+  static notifyFollowersOnPublish(resource, previous, notify) {
+    const wasVisible = Boolean(previous && previous.status === 'published' && previous.is_public);
+    if (!resource || resource.status !== 'published' || !resource.is_public || wasVisible) {
+      return;
+    }
+
+    FeedService.notifyFollowersOfPublishAsync({
+      authorId: resource.author_id,
+      targetType: 'resource',
+      targetId: resource.id,
+      title: resource.title,
+      notify
+    });
+  }
+
   /**
    * @swagger
    * /api/resources/{id}/like:
@@ -4,6 +4,7 @@
  */
 
 const ResourceFile = require('../models/ResourceFile');
+const ResourceVersionService = require('../services/ResourceVersionService');
 const AuditLog = require('../models/AuditLog');
 const { logger } = require('../utils/logger');
 
@@ -91,6 +92,7 @@ const getResourceFiles = async (req, res) => {
 
     const options = {
       includeInactive: include_inactive === 'true',
+      includeDeprecated: true,
       fileType: file_type,
       quality
     };
@@ -1170,6 +1172,259 @@ const batchUpdateResourceFiles = async (req, res) => {
   }
 };
 
+// 版本操作中属于请求参数或状态问题的错误
+const VERSION_CLIENT_ERRORS = {
+  '资源不存在': 404,
+  '版本不存在': 404,
+  '版本号已存在': 409,
+  '文件不存在或不属于该资源': 400,
+  '请选择新版本包含的文件': 400,
+  'previous_files 只能为 keep 或 deprecate': 400,
+  '当前版本不能弃用，请先发布新版本': 400
+};
+
+const getVersionErrorStatus = (error) => {
+  if (VERSION_CLIENT_ERRORS[error.message]) {
+    return VERSION_CLIENT_ERRORS[error.message];
+  }
+  if (/^(版本号|更新说明)/.test(error.message) || error.message.startsWith('缺少必需参数')) {
+    return 400;
+  }
+  return 500;
+};
+
+/**
+ * @swagger
+ * /api/resources/{resourceId}/versions:
+ *   get:
+ *     tags: [资源文件管理相关]
+ *     summary: 获取资源版本历史
+ *     description: 返回资源的版本列表和每个版本的更新说明。已发布的公开资源所有人可见，其他资源仅作者和管理员可见
+ *     parameters:
+ *       - in: path
+ *         name: resourceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 资源ID
+ *     responses:
+ *       200:
+ *         description: 获取版本历史成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         resource_id:
+ *                           type: integer
+ *                         current_version:
+ *                           nullable: true
+ *                           allOf:
+ *                             - $ref: '#/components/schemas/ResourceVersion'
+ *                         versions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/ResourceVersion'
+ *       404:
+ *         description: 资源不存在
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+const getResourceVersions = async (req, res) => {
+  try {
+    const result = await ResourceVersionService.getVersions(parseInt(req.params.resourceId, 10), req.user || null);
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    logger.error('获取资源版本历史失败:', error);
+    res.status(getVersionErrorStatus(error)).json({
+      success: false,
+      message: error.message || '获取资源版本历史失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/resources/{resourceId}/versions:
+ *   post:
+ *     tags: [资源文件管理相关]
+ *     summary: 发布资源新版本
+ *     description: |
+ *       将已上传的文件归入新版本并填写更新说明，原当前版本变为已取代（previous_files=keep，旧文件仍可下载）
+ *       或已弃用（previous_files=deprecate，未归入新版本的文件不再提供下载）。
+ *       资源已发布且公开时，异步通知下载过、收藏过该资源的用户；新版本发布前已付费下载过的用户可按系统配置免费下载新版本文件。
+ *       资源作者和管理员可操作
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: resourceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 资源ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PublishResourceVersionRequest'
+ *     responses:
+ *       201:
+ *         description: 新版本发布成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/ResourceVersion'
+ *                         - type: object
+ *                           properties:
+ *                             deprecated_files:
+ *                               type: integer
+ *                               description: 本次弃用的旧文件数
+ *       400:
+ *         description: 参数错误或文件不属于该资源
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: 资源不存在
+ *       409:
+ *         description: 版本号已存在
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+const publishResourceVersion = async (req, res) => {
+  const resourceId = parseInt(req.params.resourceId, 10);
+
+  try {
+    const result = await ResourceVersionService.publishVersion(resourceId, req.body || {}, req.user.id);
+    const version = result.data;
+
+    await recordSystemLog(req, {
+      targetType: 'resource_version',
+      targetId: version.id,
+      action: 'resource_version_publish',
+      summary: `发布资源新版本 ${version.version}`,
+      detail: {
+        resourceId,
+        fileCount: version.file_count,
+        previousFiles: req.body.previous_files || 'keep',
+        deprecatedFiles: version.deprecated_files
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      data: version
+    });
+  } catch (error) {
+    logger.error('发布资源新版本失败:', error);
+    await recordSystemLog(req, {
+      targetType: 'resource_version',
+      targetId: null,
+      action: 'resource_version_publish_failed',
+      summary: '发布资源新版本失败',
+      detail: { resourceId: resourceId || null, error: error.message }
+    });
+    res.status(getVersionErrorStatus(error)).json({
+      success: false,
+      message: error.message || '发布资源新版本失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/resources/{resourceId}/versions/{versionId}/deprecate:
+ *   post:
+ *     tags: [资源文件管理相关]
+ *     summary: 弃用历史版本
+ *     description: 将已被取代的历史版本标记为弃用，其文件不再提供下载；当前版本不能弃用。资源作者和管理员可操作
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: resourceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 资源ID
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 版本ID
+ *     responses:
+ *       200:
+ *         description: 版本已弃用
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ResourceVersion'
+ *       400:
+ *         description: 当前版本不能弃用
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: 版本不存在
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+const deprecateResourceVersion = async (req, res) => {
+  const resourceId = parseInt(req.params.resourceId, 10);
+  const versionId = parseInt(req.params.versionId, 10);
+
+  try {
+    const result = await ResourceVersionService.deprecateVersion(resourceId, versionId, req.user.id);
+
+    await recordSystemLog(req, {
+      targetType: 'resource_version',
+      targetId: versionId,
+      action: 'resource_version_deprecate',
+      summary: `弃用资源版本 ${result.data.version}`,
+      detail: { resourceId }
+    });
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    logger.error('弃用资源版本失败:', error);
+    res.status(getVersionErrorStatus(error)).json({
+      success: false,
+      message: error.message || '弃用资源版本失败'
+    });
+  }
+};
+
 module.exports = {
   getResourceFiles,
   createResourceFile,
@@ -1179,5 +1434,8 @@ module.exports = {
   getFileStatistics,
   getAllResourceFiles,
   batchDeleteResourceFiles,
-  batchUpdateResourceFiles
+  batchUpdateResourceFiles,
+  getResourceVersions,
+  publishResourceVersion,
+  deprecateResourceVersion
 };
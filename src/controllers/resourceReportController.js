@@ -0,0 +1,477 @@
+/**
+ * 资源举报控制器
+ * 处理用户举报资源以及管理员举报队列（分派、解决、驳回）
+ * @swagger
+ * tags:
+ *   name: 资源举报相关
+ *   description: 资源举报与举报处理相关API
+ */
+
+const Resource = require('../models/Resource');
+const ResourceReport = require('../models/ResourceReport');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const NotificationService = require('../services/NotificationService');
+const { successResponse, errorResponse } = require('../utils/responseHelper');
+const { logger } = require('../utils/logger');
+
+// 可被分派处理举报的角色
+const ASSIGNABLE_ROLES = ['admin', 'moderator'];
+
+const getRequestMeta = (req) => ({
+  ipAddress: (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.ip,
+  userAgent: req.get('user-agent') || ''
+});
+
+const parsePositiveInt = (value) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+};
+
+class ResourceReportController {
+  /**
+   * @swagger
+   * /api/resources/{id}/report:
+   *   post:
+   *     summary: 举报资源
+   *     description: 登录用户举报违规资源，同一用户对同一资源只能存在一条未处理的举报
+   *     tags: [资源举报相关]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: 资源ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ReportResourceRequest'
+   *     responses:
+   *       201:
+   *         description: 举报提交成功
+   *         content:
+   *           application/json:
+   *             schema:
+   *               allOf:
+   *                 - $ref: '#/components/schemas/ApiResponse'
+   *                 - type: object
+   *                   properties:
+   *                     data:
+   *                       $ref: '#/components/schemas/ResourceReport'
+   *       400:
+   *         $ref: '#/components/responses/ValidationError'
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       404:
+   *         description: 资源不存在
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  static async reportResource(req, res) {
+    try {
+      const resourceId = parsePositiveInt(req.params.id);
+      const { reason, description } = req.body || {};
+      const reporterId = req.user.id;
+
+      if (!resourceId) {
+        return errorResponse(res, '资源ID格式不正确', 400);
+      }
+
+      if (!reason) {
+        return errorResponse(res, '举报原因不能为空', 400);
+      }
+
+      if (!ResourceReport.REASONS.includes(reason)) {
+        return errorResponse(res, '无效的举报原因', 400);
+      }
+
+      if (description && String(description).length > 500) {
+        return errorResponse(res, '详细描述不能超过500个字符', 400);
+      }
+
+      const resource = await Resource.findById(resourceId);
+      if (!resource || resource.status === 'deleted') {
+        return errorResponse(res, '资源不存在', 404);
+      }
+
+      if (resource.author_id === reporterId) {
+        return errorResponse(res, '不能举报自己的资源', 400);
+      }
+
+      const report = await ResourceReport.create({
+        resourceId,
+        reporterId,
+        reason,
+        description: description || null
+      });
+
+      return successResponse(res, '举报提交成功', report, 201);
+    } catch (error) {
+      logger.error('举报资源失败:', error);
+      if (error.message === '您已经举报过该资源') {
+        return errorResponse(res, error.message, 400);
+      }
+      return errorResponse(res, '举报失败', 500);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/admin/resources/reports:
+   *   get:
+   *     summary: 获取资源举报列表
+   *     description: 管理员查看资源举报队列，支持按状态、原因、资源和处理人过滤
+   *     tags: [资源举报相关]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *           maximum: 100
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, reviewing, resolved, rejected, all]
+   *           default: pending
+   *         description: 举报状态，传 all 返回全部
+   *       - in: query
+   *         name: reason
+   *         schema:
+   *           type: string
+   *           enum: [spam, inappropriate, copyright, malware, broken, other]
+   *       - in: query
+   *         name: resource_id
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: assigned_to
+   *         schema:
+   *           type: string
+   *         description: 处理人ID，传 me 表示分派给当前管理员的举报
+   *     responses:
+   *       200:
+   *         description: 获取成功
+   *       401:
+   *         $ref: '#/components/responses/UnauthorizedError'
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  static async getReports(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status = 'pending',
+        reason,
+        resource_id: resourceId,
+        assigned_to: assignedTo
+      } = req.query;
+
+      if (status !== 'all' && !ResourceReport.STATUSES.includes(status)) {
+        return errorResponse(res, '无效的举报状态', 400);
+      }
+
+      const options = {
+        page: Math.max(parseInt(page, 10) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100),
+        status: status === 'all' ? null : status,
+        reason,
+        resourceId: parsePositiveInt(resourceId),
+        assignedTo: assignedTo === 'me' ? req.user.id : parsePositiveInt(assignedTo)
+      };
+
+      const result = await ResourceReport.findAll(options);
+
+      return successResponse(res, '获取举报列表成功', result);
+    } catch (error) {
+      logger.error('获取资源举报列表失败:', error);
+      return errorResponse(res, '获取举报列表失败', 500);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/admin/resources/reports/{reportId}:
+   *   get:
+   *     summary: 获取资源举报详情
+   *     tags: [资源举报相关]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: reportId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: 获取成功
+   *       404:
+   *         description: 举报不存在
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  static async getReportById(req, res) {
+    try {
+      const reportId = parsePositiveInt(req.params.reportId);
+      if (!reportId) {
+        return errorResponse(res, '举报ID格式不正确', 400);
+      }
+
+      const report = await ResourceReport.findById(reportId);
+      if (!report) {
+        return errorResponse(res, '举报不存在', 404);
+      }
+
+      return successResponse(res, '获取举报详情成功', report);
+    } catch (error) {
+      logger.error('获取资源举报详情失败:', error);
+      return errorResponse(res, '获取举报详情失败', 500);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/admin/resources/reports/{reportId}/assign:
+   *   patch:
+   *     summary: 分派资源举报
+   *     description: 将举报分派给指定处理人（默认当前管理员），举报状态变为 reviewing
+   *     tags: [资源举报相关]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: reportId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               assignee_id:
+   *                 type: integer
+   *                 description: 处理人ID（须为状态正常的管理员或版主），不传则分派给自己
+   *     responses:
+   *       200:
+   *         description: 分派成功
+   *       400:
+   *         description: 处理人ID格式不正确、处理人账号不可用或不是管理员/版主
+   *       404:
+   *         description: 举报不存在或已处理，或处理人不存在
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  static async assignReport(req, res) {
+    const { ipAddress, userAgent } = getRequestMeta(req);
+    try {
+      const reportId = parsePositiveInt(req.params.reportId);
+      if (!reportId) {
+        return errorResponse(res, '举报ID格式不正确', 400);
+      }
+
+      const { assignee_id: rawAssigneeId } = req.body || {};
+      const assigneeId = rawAssigneeId === undefined || rawAssigneeId === null
+        ? req.user.id
+        : parsePositiveInt(rawAssigneeId);
+
+      if (!assigneeId) {
+        return errorResponse(res, '处理人ID格式不正确', 400);
+      }
+
+      if (assigneeId !== req.user.id) {
+        const assignee = await User.findById(assigneeId);
+        if (!assignee) {
+          return errorResponse(res, '处理人不存在', 404);
+        }
+
+        if (assignee.status !== 'normal') {
+          return errorResponse(res, '处理人账号不可用', 400);
+        }
+
+        const roles = await User.getUserRoles(assigneeId);
+        if (!roles.some(role => ASSIGNABLE_ROLES.includes(role.name))) {
+          return errorResponse(res, '处理人必须是管理员或版主', 400);
+        }
+      }
+
+      const report = await ResourceReport.assign(reportId, assigneeId);
+      if (!report) {
+        return errorResponse(res, '举报不存在或已处理', 404);
+      }
+
+      await AuditLog.createSystemLog({
+        operatorId: req.user.id,
+        targetType: 'resource_report',
+        targetId: reportId,
+        action: 'assign',
+        summary: `分派资源举报 #${reportId}`,
+        detail: { resource_id: report.resource_id, assignee_id: assigneeId },
+        ipAddress,
+        userAgent
+      });
+
+      return successResponse(res, '分派举报成功', report);
+    } catch (error) {
+      logger.error('分派资源举报失败:', error);
+      return errorResponse(res, '分派举报失败', 500);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/admin/resources/reports/{reportId}/resolve:
+   *   post:
+   *     summary: 解决资源举报
+   *     description: 确认举报属实，可同时下架（archive）或封禁（ban）资源，并通知举报人
+   *     tags: [资源举报相关]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: reportId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/HandleResourceReportRequest'
+   *     responses:
+   *       200:
+   *         description: 处理成功
+   *       400:
+   *         $ref: '#/components/responses/ValidationError'
+   *       404:
+   *         description: 举报不存在
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  static async resolveReport(req, res) {
+    return ResourceReportController.handleReport(req, res, 'resolved');
+  }
+
+  /**
+   * @swagger
+   * /api/admin/resources/reports/{reportId}/reject:
+   *   post:
+   *     summary: 驳回资源举报
+   *     description: 举报不属实时驳回，资源状态保持不变，并通知举报人
+   *     tags: [资源举报相关]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: reportId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               handler_note:
+   *                 type: string
+   *                 description: 处理备注
+   *     responses:
+   *       200:
+   *         description: 处理成功
+   *       404:
+   *         description: 举报不存在
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  static async rejectReport(req, res) {
+    return ResourceReportController.handleReport(req, res, 'rejected');
+  }
+
+  /**
+   * 处理举报（解决/驳回共用逻辑）
+   */
+  static async handleReport(req, res, status) {
+    const { ipAddress, userAgent } = getRequestMeta(req);
+    try {
+      const reportId = parsePositiveInt(req.params.reportId);
+      if (!reportId) {
+        return errorResponse(res, '举报ID格式不正确', 400);
+      }
+
+      const { action = 'none', handler_note: handlerNote } = req.body || {};
+
+      if (status === 'resolved' && !Object.keys(ResourceReport.ACTION_STATUS_MAP).includes(action)) {
+        return errorResponse(res, '无效的处理动作', 400);
+      }
+
+      const result = await ResourceReport.handle(reportId, {
+        handlerId: req.user.id,
+        status,
+        action,
+        handlerNote: handlerNote || null
+      });
+
+      if (!result) {
+        return errorResponse(res, '举报不存在', 404);
+      }
+
+      const { report, resource } = result;
+      const resourceInfo = resource || await Resource.findById(report.resource_id);
+
+      await AuditLog.createSystemLog({
+        operatorId: req.user.id,
+        targetType: 'resource_report',
+        targetId: reportId,
+        action: status === 'resolved' ? 'resolve' : 'reject',
+        summary: `${status === 'resolved' ? '解决' : '驳回'}资源举报 #${reportId}`,
+        detail: {
+          resource_id: report.resource_id,
+          resolution_action: report.resolution_action,
+          new_resource_status: resource ? resource.status : undefined,
+          handler_note: report.handler_note
+        },
+        ipAddress,
+        userAgent
+      });
+
+      NotificationService.createReportResultNotification({
+        reporterId: report.reporter_id,
+        reportId,
+        resourceId: report.resource_id,
+        resourceTitle: resourceInfo?.title,
+        status,
+        action: report.resolution_action,
+        handlerNote: report.handler_note
+      }).catch(error => {
+        logger.warn('发送举报处理结果通知失败', { reportId, error: error.message });
+      });
+
+      return successResponse(res, '处理举报成功', { report, resource });
+    } catch (error) {
+      logger.error('处理资源举报失败:', error);
+      if (error.message === '该举报已处理') {
+        return errorResponse(res, error.message, 400);
+      }
+      return errorResponse(res, '处理举报失败', 500);
+    }
+  }
+}
+
+module.exports = ResourceReportController;
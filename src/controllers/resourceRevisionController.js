@@ -0,0 +1,508 @@
+/**
+ * 资源修订控制器
+ * 处理资源修订历史、修订比较与恢复以及编辑中的自动保存，仅作者和拥有 resource:update 权限的用户可操作
+ * @swagger
+ * tags:
+ *   name: 资源修订相关
+ *   description: 资源修订历史、差异比较、恢复与自动保存相关API
+ */
+
+const Resource = require('../models/Resource');
+const AuditLog = require('../models/AuditLog');
+const ResourceController = require('./resourceController');
+const { ResourceRevisionService } = require('../services');
+const { successResponse, errorResponse } = require('../utils/responseHelper');
+const { logger } = require('../utils/logger');
+
+const getRequestMeta = (req) => ({
+  ipAddress: (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.ip,
+  userAgent: req.get('user-agent') || ''
+});
+
+const parsePositiveInt = (value) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+};
+
+// 修订操作中属于请求参数或状态问题的错误
+const REVISION_CLIENT_ERRORS = {
+  '修订不存在': 404,
+  '没有上一条修订': 404,
+  '自动保存没有上一条修订': 400,
+  '资源内容与该修订一致，无需恢复': 400,
+  '标题不能为空': 400
+};
+
+const getRevisionErrorStatus = (error) => {
+  if (REVISION_CLIENT_ERRORS[error.message]) {
+    return REVISION_CLIENT_ERRORS[error.message];
+  }
+  if (/^(compare_to|标题不能超过)/.test(error.message)) {
+    return 400;
+  }
+  return 500;
+};
+
+/**
+ * 读取资源并校验编辑权限，失败时直接写入响应并返回 null
+ * @param {Object} req
+ * @param {Object} res
+ * @returns {Promise<Object|null>}
+ */
+const loadEditableResource = async (req, res) => {
+  const resourceId = parsePositiveInt(req.params.id);
+  if (!resourceId) {
+    errorResponse(res, '资源ID格式不正确', 400);
+    return null;
+  }
+
+  const resource = await Resource.findById(resourceId);
+  if (!resource || resource.status === 'deleted') {
+    errorResponse(res, '资源不存在', 404);
+    return null;
+  }
+
+  const canEdit = await ResourceController.checkResourceEditPermission(req.user.id, resource);
+  if (!canEdit) {
+    errorResponse(res, '无权编辑此资源', 403);
+    return null;
+  }
+
+  return resource;
+};
+
+class ResourceRevisionController {
+  /**
+   * @swagger
+   * /api/resources/{id}/revisions:
+   *   get:
+   *     summary: 获取资源修订历史
+   *     description: 按修订编号倒序返回正式修订，不含正文，附带描述和正文长度
+   *     tags: [资源修订相关]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: 资源ID
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *           maximum: 100
+   *     responses:
+   *       200:
+   *         description: 获取成功
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     revisions:
+   *                       type: array
+   *                       items:
+   *                         $ref: '#/components/schemas/ResourceRevision'
+   *                     pagination:
+   *                       $ref: '#/components/schemas/PaginationInfo'
+   *       403:
+   *         description: 无权编辑此资源
+   *       404:
+   *         description: 资源不存在
+   */
+  static async getRevisions(req, res) {
+    try {
+      const resource = await loadEditableResource(req, res);
+      if (!resource) {
+        return;
+      }
+
+      const result = await ResourceRevisionService.listRevisions(resource.id, {
+        page: req.query.page,
+        limit: req.query.limit
+      });
+
+      return successResponse(res, result.message, result.data);
+    } catch (error) {
+      logger.error('获取资源修订历史失败:', error);
+      return errorResponse(res, '获取资源修订历史失败', 500);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/resources/{id}/revisions/{revisionId}:
+   *   get:
+   *     summary: 获取修订详情
+   *     description: 返回修订的标题、描述和正文快照
+   *     tags: [资源修订相关]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: 资源ID
+   *       - in: path
+   *         name: revisionId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: 修订ID
+   *     responses:
+   *       200:
+   *         description: 获取成功
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/ResourceRevision'
+   *       403:
+   *         description: 无权编辑此资源
+   *       404:
+   *         description: 资源或修订不存在
+   */
+  static async getRevision(req, res) {
+    try {
+      const resource = await loadEditableResource(req, res);
+      if (!resource) {
+        return;
+      }
+
+      const revisionId = parsePositiveInt(req.params.revisionId);
+      if (!revisionId) {
+        return errorResponse(res, '修订ID格式不正确', 400);
+      }
+
+      const result = await ResourceRevisionService.getRevision(resource.id, revisionId);
+
+      return successResponse(res, result.message, result.data);
+    } catch (error) {
+      const statusCode = getRevisionErrorStatus(error);
+      if (statusCode === 500) {
+        logger.error('获取资源修订失败:', error);
+      }
+      return errorResponse(res, statusCode === 500 ? '获取资源修订失败' : error.message, statusCode);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/resources/{id}/revisions/{revisionId}/diff:
+   *   get:
+   *     summary: 比较修订差异
+   *     description: 按行比较标题、描述和正文，结果总是从较早的一方到较新的一方
+   *     tags: [资源修订相关]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: 资源ID
+   *       - in: path
+   *         name: revisionId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: 修订ID
+   *       - in: query
+   *         name: compare_to
+   *         schema:
+   *           type: string
+   *           default: current
+   *         description: 比较对象，current 为资源当前内容，previous 为上一条修订，或另一条修订的ID
+   *     responses:
+   *       200:
+   *         description: 获取成功
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/ResourceRevisionDiff'
+   *       400:
+   *         description: compare_to 参数错误
+   *       403:
+   *         description: 无权编辑此资源
+   *       404:
+   *         description: 资源或修订不存在
+   */
+  static async diffRevision(req, res) {
+    try {
+      const resource = await loadEditableResource(req, res);
+      if (!resource) {
+        return;
+      }
+
+      const revisionId = parsePositiveInt(req.params.revisionId);
+      if (!revisionId) {
+        return errorResponse(res, '修订ID格式不正确', 400);
+      }
+
+      const result = await ResourceRevisionService.diffRevision(
+        resource,
+        revisionId,
+        req.query.compare_to || 'current'
+      );
+
+      return successResponse(res, result.message, result.data);
+    } catch (error) {
+      const statusCode = getRevisionErrorStatus(error);
+      if (statusCode === 500) {
+        logger.error('比较资源修订失败:', error);
+      }
+      return errorResponse(res, statusCode === 500 ? '比较资源修订失败' : error.message, statusCode);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/resources/{id}/revisions/{revisionId}/restore:
+   *   post:
+   *     summary: 恢复到指定修订
+   *     description: 将资源的标题、描述和正文恢复为该修订的内容，并记录一条 restore 修订；需要审核的创作者恢复已发布或定时发布的资源时，资源重新进入待审核，否则不改变发布状态
+   *     tags: [资源修订相关]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: 资源ID
+   *       - in: path
+   *         name: revisionId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: 修订ID
+   *     responses:
+   *       200:
+   *         description: 恢复成功
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     resource:
+   *                       $ref: '#/components/schemas/Resource'
+   *                     revision:
+   *                       $ref: '#/components/schemas/ResourceRevision'
+   *       400:
+   *         description: 资源内容与该修订一致
+   *       403:
+   *         description: 无权编辑此资源
+   *       404:
+   *         description: 资源或修订不存在
+   */
+  static async restoreRevision(req, res) {
+    const { ipAddress, userAgent } = getRequestMeta(req);
+    try {
+      const resource = await loadEditableResource(req, res);
+      if (!resource) {
+        return;
+      }
+
+      const revisionId = parsePositiveInt(req.params.revisionId);
+      if (!revisionId) {
+        return errorResponse(res, '修订ID格式不正确', 400);
+      }
+
+      const result = await ResourceRevisionService.restoreRevision(resource, revisionId, req.user.id);
+
+      await AuditLog.createSystemLog({
+        operatorId: req.user.id,
+        targetType: 'resource',
+        targetId: resource.id,
+        action: 'restore_revision',
+        summary: `恢复资源 ${resource.title} 到历史修订`,
+        detail: {
+          revision_id: revisionId,
+          restored_revision_id: result.data.revision.id
+        },
+        ipAddress,
+        userAgent
+      });
+
+      return successResponse(res, result.message, result.data);
+    } catch (error) {
+      const statusCode = getRevisionErrorStatus(error);
+      if (statusCode === 500) {
+        logger.error('恢复资源修订失败:', error);
+      }
+      return errorResponse(res, statusCode === 500 ? '恢复资源修订失败' : error.message, statusCode);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/resources/{id}/autosave:
+   *   get:
+   *     summary: 获取自动保存
+   *     description: 返回当前用户在该资源上的自动保存，is_newer 表示是否晚于资源最近一次保存；没有自动保存时 data 为空
+   *     tags: [资源修订相关]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: 资源ID
+   *     responses:
+   *       200:
+   *         description: 获取成功
+   *       403:
+   *         description: 无权编辑此资源
+   *       404:
+   *         description: 资源不存在
+   */
+  static async getAutosave(req, res) {
+    try {
+      const resource = await loadEditableResource(req, res);
+      if (!resource) {
+        return;
+      }
+
+      const result = await ResourceRevisionService.getAutosave(resource, req.user.id);
+
+      return successResponse(res, result.message, result.data);
+    } catch (error) {
+      logger.error('获取自动保存失败:', error);
+      return errorResponse(res, '获取自动保存失败', 500);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/resources/{id}/autosave:
+   *   put:
+   *     summary: 自动保存编辑内容
+   *     description: 每个用户每个资源只保留最近一次自动保存，正式保存资源后自动清除
+   *     tags: [资源修订相关]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: 资源ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/AutosaveResourceRequest'
+   *     responses:
+   *       200:
+   *         description: 保存成功
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/ResourceRevision'
+   *       400:
+   *         description: 标题为空或过长
+   *       403:
+   *         description: 无权编辑此资源
+   *       404:
+   *         description: 资源不存在
+   */
+  static async saveAutosave(req, res) {
+    try {
+      const resource = await loadEditableResource(req, res);
+      if (!resource) {
+        return;
+      }
+
+      const result = await ResourceRevisionService.autosave(resource, req.user.id, req.body || {});
+
+      return successResponse(res, result.message, result.data);
+    } catch (error) {
+      const statusCode = getRevisionErrorStatus(error);
+      if (statusCode === 500) {
+        logger.error('自动保存失败:', error);
+      }
+      return errorResponse(res, statusCode === 500 ? '自动保存失败' : error.message, statusCode);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/resources/{id}/autosave:
+   *   delete:
+   *     summary: 丢弃自动保存
+   *     tags: [资源修订相关]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: 资源ID
+   *     responses:
+   *       200:
+   *         description: 已丢弃
+   *       403:
+   *         description: 无权编辑此资源
+   *       404:
+   *         description: 资源不存在
+   */
+  static async discardAutosave(req, res) {
+    try {
+      const resource = await loadEditableResource(req, res);
+      if (!resource) {
+        return;
+      }
+
+      const result = await ResourceRevisionService.discardAutosave(resource.id, req.user.id);
+
+      return successResponse(res, result.message);
+    } catch (error) {
+      logger.error('丢弃自动保存失败:', error);
+      return errorResponse(res, '丢弃自动保存失败', 500);
+    }
+  }
+}
+
+module.exports = ResourceRevisionController;
@@ -947,6 +947,104 @@ const deleteRole = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/admin/roles/{roleId}/mfa-policy:
+ *   put:
+ *     tags: [角色权限管理]
+ *     summary: 设置角色的两步验证策略
+ *     description: 开启后，拥有该角色的用户登录时必须完成两步验证，未绑定的用户在登录时被要求绑定
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 角色ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfa_required
+ *             properties:
+ *               mfa_required:
+ *                 type: boolean
+ *                 description: 是否强制两步验证
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: 设置成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Role'
+ *       400:
+ *         description: 请求参数错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: 角色不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+const updateRoleMfaPolicy = async (req, res) => {
+  try {
+    const { roleId } = req.params;
+    const { mfa_required } = req.body;
+
+    if (typeof mfa_required !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'mfa_required字段必须是布尔值'
+      });
+    }
+
+    const role = await Role.findById(parseInt(roleId));
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: '角色不存在'
+      });
+    }
+
+    const updatedRole = await Role.updateById(parseInt(roleId), { mfa_required });
+
+    logger.info(`管理员 ${req.user.email} ${mfa_required ? '开启' : '关闭'}了角色 ${role.name} 的强制两步验证`);
+
+    res.json({
+      success: true,
+      message: `已${mfa_required ? '开启' : '关闭'}强制两步验证`,
+      data: updatedRole
+    });
+  } catch (error) {
+    logger.error('设置角色两步验证策略失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '设置角色两步验证策略失败'
+    });
+  }
+};
+
 module.exports = {
   getAllRoles,
   getAllPermissions,
@@ -955,5 +1053,6 @@ module.exports = {
   revokePermissions,
   togglePermission,
   createRole,
-  deleteRole
+  deleteRole,
+  updateRoleMfaPolicy
 };
\ No newline at end of file
@@ -1,12 +1,371 @@
 /**
- * 搜索统计控制器
+ * 搜索控制器
+ * 提供站内全文搜索（资源、社区帖子、标签）与热搜统计
  */
 
 const SearchRecord = require('../models/SearchRecord');
+const SearchDocument = require('../models/SearchDocument');
+const Resource = require('../models/Resource');
+const { buildTsQuery, getHighlightTerms, highlight } = require('../utils/searchTokenizer');
 const { successResponse, errorResponse } = require('../utils/responseHelper');
 const { logger } = require('../utils/logger');
 
+const MAX_KEYWORD_LENGTH = 100;
+const SORT_OPTIONS = ['relevance', 'latest', 'popular'];
+
+// 搜索类型参数与索引文档类型的对应关系
+const DOC_TYPE_MAPPING = {
+  all: null,
+  resource: ['resource'],
+  resources: ['resource'],
+  post: ['post'],
+  posts: ['post'],
+  community: ['post'],
+  tag: ['tag'],
+  tags: ['tag']
+};
+
+const parsePositiveInt = (value) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+};
+
+/**
+ * 格式化搜索命中结果，生成标题高亮与正文摘要
+ */
+const formatSearchHit = (row, terms) => {
+  const hit = {
+    type: row.doc_type,
+    id: row.doc_id,
+    title: row.title,
+    title_highlight: highlight(row.title, terms, { maxLength: 0 }),
+    snippet: highlight(row.doc_type === 'tag' ? row.tag_description : row.body, terms),
+    score: Number(row.score) || 0,
+    tag_ids: row.tag_ids || [],
+    published_at: row.published_at
+  };
+
+  if (row.doc_type === 'resource') {
+    return {
+      ...hit,
+      slug: row.slug,
+      summary: row.resource_summary,
+      cover_image_url: row.cover_image_url,
+      category_id: row.category_id,
+      category_name: row.category_name,
+      category_display_name: row.category_display_name,
+      resource_type_id: row.resource_type_id,
+      resource_type_name: row.resource_type_name,
+      resource_type_display_name: row.resource_type_display_name,
+      required_vip_level: row.required_vip_level,
+      download_count: row.popularity
+    };
+  }
+
+  if (row.doc_type === 'post') {
+    return {
+      ...hit,
+      summary: row.post_summary,
+      author_id: row.post_author_id,
+      board_id: row.board_id,
+      board_name: row.board_name,
+      board_display_name: row.board_display_name
+    };
+  }
+
+  return {
+    ...hit,
+    name: row.tag_name,
+    color: row.tag_color,
+    usage_count: row.popularity
+  };
+};
+
 class SearchController {
+  /**
+   * @swagger
+   * /api/search:
+   *   get:
+   *     tags: [搜索]
+   *     summary: 站内全文搜索
+   *     description: |
+   *       在资源、社区帖子、标签中搜索，中文按单字与二元组分词匹配，英文按单词匹配（最后一个单词支持前缀匹配）。
+   *       返回结果包含标题高亮、正文摘要（命中部分以 `<mark>` 包裹，其余内容已做HTML转义）以及分面统计。
+   *       分面中的 `types` 不受 `type` 参数影响，其余分面基于全部筛选条件统计。
+   *     parameters:
+   *       - in: query
+   *         name: q
+   *         required: true
+   *         schema:
+   *           type: string
+   *           maxLength: 100
+   *         description: 搜索关键词
+   *       - in: query
+   *         name: type
+   *         schema:
+   *           type: string
+   *           enum: [all, resource, post, community, tag]
+   *           default: all
+   *         description: 搜索范围，community 等同于 post
+   *       - in: query
+   *         name: category_id
+   *         schema:
+   *           type: integer
+   *         description: 分类ID（包含下级分类），仅资源有分类
+   *       - in: query
+   *         name: tag_id
+   *         schema:
+   *           type: integer
+   *         description: 标签ID
+   *       - in: query
+   *         name: resource_type_id
+   *         schema:
+   *           type: integer
+   *         description: 资源类型ID
+   *       - in: query
+   *         name: vip_level
+   *         schema:
+   *           type: integer
+   *           minimum: 0
+   *         description: 下载所需VIP等级（0表示无VIP要求）
+   *       - in: query
+   *         name: board_id
+   *         schema:
+   *           type: integer
+   *         description: 社区版块ID
+   *       - in: query
+   *         name: sort
+   *         schema:
+   *           type: string
+   *           enum: [relevance, latest, popular]
+   *           default: relevance
+   *         description: 排序方式
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 50
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: 搜索成功
+   *         content:
+   *           application/json:
+   *             schema:
+   *               allOf:
+   *                 - $ref: '#/components/schemas/SuccessResponse'
+   *                 - type: object
+   *                   properties:
+   *                     data:
+   *                       $ref: '#/components/schemas/SearchResult'
+   *       400:
+   *         $ref: '#/components/responses/ValidationError'
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  static async search(req, res) {
+    try {
+      const { q, type = 'all', sort = 'relevance' } = req.query;
+
+      const keyword = typeof q === 'string' ? q.trim() : '';
+      if (!keyword) {
+        return errorResponse(res, '搜索关键词不能为空', 400);
+      }
+      if (keyword.length > MAX_KEYWORD_LENGTH) {
+        return errorResponse(res, `搜索关键词不能超过${MAX_KEYWORD_LENGTH}个字符`, 400);
+      }
+
+      const normalizedType = String(type).trim().toLowerCase();
+      if (!Object.prototype.hasOwnProperty.call(DOC_TYPE_MAPPING, normalizedType)) {
+        return errorResponse(res, '搜索类型不合法', 400);
+      }
+      if (!SORT_OPTIONS.includes(sort)) {
+        return errorResponse(res, '排序方式不合法', 400);
+      }
+
+      const page = parsePositiveInt(req.query.page) || 1;
+      const limit = Math.min(parsePositiveInt(req.query.limit) || 20, 50);
+      const docTypes = DOC_TYPE_MAPPING[normalizedType];
+
+      const ipAddress = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || null;
+      const logSearch = (resultCount) => SearchRecord.logSearch({
+        keyword,
+        searchType: docTypes && docTypes[0] === 'post' ? 'community' : 'resource',
+        userId: req.user?.id || null,
+        ipAddress,
+        resultCount
+      });
+
+      const tsQuery = buildTsQuery(keyword);
+      if (!tsQuery) {
+        logSearch(0);
+        return successResponse(res, '搜索成功', {
+          items: [],
+          facets: { types: [], categories: [], tags: [], resource_types: [], vip_levels: [] },
+          pagination: { page, limit, total: 0, totalPages: 0, hasNext: false, hasPrev: page > 1 }
+        });
+      }
+
+      const categoryId = parsePositiveInt(req.query.category_id);
+      const vipLevel = parseInt(req.query.vip_level, 10);
+
+      const filters = {
+        tsQuery,
+        docTypes,
+        categoryIds: categoryId ? await Resource.getCategoryAndDescendants(categoryId) : null,
+        tagId: parsePositiveInt(req.query.tag_id),
+        resourceTypeId: parsePositiveInt(req.query.resource_type_id),
+        vipLevel: Number.isFinite(vipLevel) && vipLevel >= 0 ? vipLevel : null,
+        boardId: parsePositiveInt(req.query.board_id)
+      };
+
+      const [{ rows, total }, facets] = await Promise.all([
+        SearchDocument.search(filters, { sort, page, limit }),
+        SearchDocument.getFacets(filters)
+      ]);
+
+      logSearch(total);
+
+      const terms = getHighlightTerms(keyword);
+      const totalPages = Math.ceil(total / limit);
+
+      return successResponse(res, '搜索成功', {
+        items: rows.map((row) => formatSearchHit(row, terms)),
+        facets,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      logger.error('站内搜索失败:', error);
+      return errorResponse(res, '搜索失败', 500);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/search/suggest:
+   *   get:
+   *     tags: [搜索]
+   *     summary: 搜索联想
+   *     description: |
+   *       按输入前缀返回联想词，依次为近期有结果的热门搜索词、标签、资源/帖子标题，按文本去重。
+   *       联想请求不计入搜索记录。
+   *     parameters:
+   *       - in: query
+   *         name: q
+   *         required: true
+   *         schema:
+   *           type: string
+   *           maxLength: 100
+   *         description: 输入前缀
+   *       - in: query
+   *         name: type
+   *         schema:
+   *           type: string
+   *           enum: [all, resource, post, community, tag]
+   *           default: all
+   *         description: 联想范围
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 20
+   *           default: 10
+   *     responses:
+   *       200:
+   *         description: 获取成功
+   *         content:
+   *           application/json:
+   *             schema:
+   *               allOf:
+   *                 - $ref: '#/components/schemas/SuccessResponse'
+   *                 - type: object
+   *                   properties:
+   *                     data:
+   *                       $ref: '#/components/schemas/SearchSuggestionList'
+   *       400:
+   *         $ref: '#/components/responses/ValidationError'
+   *       500:
+   *         $ref: '#/components/responses/ServerError'
+   */
+  static async suggest(req, res) {
+    try {
+      const { q, type = 'all' } = req.query;
+
+      const prefix = typeof q === 'string' ? q.trim() : '';
+      if (!prefix) {
+        return errorResponse(res, '搜索关键词不能为空', 400);
+      }
+      if (prefix.length > MAX_KEYWORD_LENGTH) {
+        return errorResponse(res, `搜索关键词不能超过${MAX_KEYWORD_LENGTH}个字符`, 400);
+      }
+
+      const normalizedType = String(type).trim().toLowerCase();
+      if (!Object.prototype.hasOwnProperty.call(DOC_TYPE_MAPPING, normalizedType)) {
+        return errorResponse(res, '搜索类型不合法', 400);
+      }
+
+      const limit = Math.min(parsePositiveInt(req.query.limit) || 10, 20);
+      const docTypes = DOC_TYPE_MAPPING[normalizedType];
+
+      let recordType = null;
+      if (docTypes && docTypes[0] === 'post') {
+        recordType = 'community';
+      } else if (docTypes && docTypes[0] === 'resource') {
+        recordType = 'resource';
+      }
+
+      const [keywords, documents] = await Promise.all([
+        docTypes && docTypes[0] === 'tag'
+          ? []
+          : SearchRecord.getSuggestions(prefix, { searchType: recordType, limit }),
+        SearchDocument.suggest(prefix, { docTypes, limit })
+      ]);
+
+      const seen = new Set();
+      const items = [];
+      const append = (item) => {
+        const key = item.text.toLowerCase();
+        if (items.length < limit && !seen.has(key)) {
+          seen.add(key);
+          items.push(item);
+        }
+      };
+
+      keywords.forEach((row) => append({
+        text: row.keyword,
+        type: 'query',
+        id: null,
+        count: row.search_count
+      }));
+      documents.forEach((row) => append({
+        text: row.title,
+        type: row.doc_type,
+        id: row.doc_id,
+        count: row.popularity
+      }));
+
+      return successResponse(res, '获取搜索联想成功', { items });
+    } catch (error) {
+      logger.error('获取搜索联想失败:', error);
+      return errorResponse(res, '获取搜索联想失败', 500);
+    }
+  }
+
   /**
    * @swagger
    * /api/search/hot:
@@ -7,11 +7,13 @@
  *   description: 用户管理相关API
  */
 
-const { UserService } = require('../services');
+const { UserService, services } = require('../services');
 const { body, validationResult } = require('express-validator');
 const { logger } = require('../utils/logger');
 const AuditLog = require('../models/AuditLog');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const UserMfa = require('../models/UserMfa');
 
 const getRequestMeta = (req) => ({
   ipAddress: (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.ip,
@@ -1278,7 +1280,8 @@ const getUserPermissions = async (req, res) => {
 const validateUpdateProfile = [
   body('nickname').optional().isLength({ min: 1, max: 100 }).withMessage('昵称长度必须在1-100个字符之间'),
   body('avatar_url').optional().isLength({ max: 500 }).withMessage('头像URL长度不能超过500个字符'),
-  body('bio').optional().isLength({ max: 500 }).withMessage('个人简介长度不能超过500个字符')
+  body('bio').optional().isLength({ max: 500 }).withMessage('个人简介长度不能超过500个字符'),
+  body('notify_followers_on_publish').optional().isBoolean({ strict: true }).withMessage('发布通知粉丝设置必须为布尔值')
 ];
 
 const validateChangePassword = [
@@ -1668,6 +1671,288 @@ const resetUserPassword = async (req, res) => {
   }
 };
 
+/**
+ * 获取用户的登录会话列表
+ */
+const getUserSessions = async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.id);
+
+    const user = await User.findById(targetUserId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: '用户不存在'
+      });
+    }
+
+    const sessions = await RefreshToken.findActiveSessions(targetUserId);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    logger.error('获取用户会话失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取用户会话失败'
+    });
+  }
+};
+
+/**
+ * 强制下线用户的指定会话
+ */
+const revokeUserSession = async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.id);
+    const { sessionId } = req.params;
+
+    if (!RefreshToken.isValidSessionId(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: '会话ID格式错误'
+      });
+    }
+
+    const revoked = await RefreshToken.revokeSession(
+      sessionId,
+      RefreshToken.REVOKE_REASONS.ADMIN_REVOKED,
+      targetUserId
+    );
+
+    if (revoked === 0) {
+      return res.status(404).json({
+        success: false,
+        message: '会话不存在或已失效'
+      });
+    }
+
+    const { ipAddress, userAgent } = getRequestMeta(req);
+    await AuditLog.createSystemLog({
+      operatorId: req.user.id,
+      targetType: 'user',
+      targetId: targetUserId,
+      action: 'admin_revoke_session',
+      summary: '管理员强制下线用户会话',
+      detail: { sessionId },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      success: true,
+      message: '会话已下线'
+    });
+  } catch (error) {
+    logger.error('下线用户会话失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '下线用户会话失败'
+    });
+  }
+};
+
+/**
+ * 强制下线用户的全部会话
+ */
+const revokeAllUserSessions = async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.id);
+
+    const user = await User.findById(targetUserId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: '用户不存在'
+      });
+    }
+
+    const revoked = await RefreshToken.revokeAllForUser(
+      targetUserId,
+      RefreshToken.REVOKE_REASONS.ADMIN_REVOKED
+    );
+
+    const { ipAddress, userAgent } = getRequestMeta(req);
+    await AuditLog.createSystemLog({
+      operatorId: req.user.id,
+      targetType: 'user',
+      targetId: targetUserId,
+      action: 'admin_revoke_all_sessions',
+      summary: '管理员强制下线用户全部会话',
+      detail: { revoked },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      success: true,
+      message: '用户已从所有设备下线',
+      data: { revoked }
+    });
+  } catch (error) {
+    logger.error('下线用户全部会话失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '下线用户全部会话失败'
+    });
+  }
+};
+
+/**
+ * 重置用户的两步验证（用户丢失认证器时使用）
+ */
+const resetUserMfa = async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.id);
+
+    const removed = await UserMfa.disable(targetUserId);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: '该用户未绑定两步验证'
+      });
+    }
+
+    const { ipAddress, userAgent } = getRequestMeta(req);
+    await AuditLog.createSystemLog({
+      operatorId: req.user.id,
+      targetType: 'user',
+      targetId: targetUserId,
+      action: 'admin_reset_mfa',
+      summary: '管理员重置用户两步验证',
+      detail: null,
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      success: true,
+      message: '两步验证已重置，用户下次登录时需重新绑定'
+    });
+  } catch (error) {
+    logger.error('重置用户两步验证失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '重置用户两步验证失败'
+    });
+  }
+};
+
+/**
+ * 获取生效中的登录锁定列表
+ */
+const getLoginLockouts = async (req, res) => {
+  try {
+    const { scope, page, limit } = req.query;
+
+    if (scope && !['account', 'ip'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'scope 只能是 account 或 ip'
+      });
+    }
+
+    const result = await services.loginSecurity.getActiveLocks({ scope, page, limit });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('获取登录锁定列表失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取登录锁定列表失败'
+    });
+  }
+};
+
+/**
+ * 解除指定登录锁定（可用于解除IP锁定）
+ */
+const releaseLoginLockout = async (req, res) => {
+  try {
+    const lockoutId = parseInt(req.params.lockoutId);
+
+    const unlocked = await services.loginSecurity.unlockById(lockoutId, req.user.id);
+    if (!unlocked) {
+      return res.status(404).json({
+        success: false,
+        message: '锁定不存在或已失效'
+      });
+    }
+
+    const { ipAddress, userAgent } = getRequestMeta(req);
+    await AuditLog.createSystemLog({
+      operatorId: req.user.id,
+      targetType: unlocked.scope === 'ip' ? 'ip' : 'user',
+      targetId: unlocked.scope === 'ip' ? unlocked.scope_key : unlocked.user_id,
+      action: 'admin_login_unlock',
+      summary: '管理员解除登录锁定',
+      detail: { lockoutId, scope: unlocked.scope, key: unlocked.scope_key },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      success: true,
+      message: '已解除锁定',
+      data: unlocked
+    });
+  } catch (error) {
+    logger.error('解除登录锁定失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '解除登录锁定失败'
+    });
+  }
+};
+
+/**
+ * 解除用户账号的登录锁定
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.id);
+
+    const user = await User.findById(targetUserId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: '用户不存在'
+      });
+    }
+
+    const unlocked = await services.loginSecurity.unlockAccount(user, req.user.id);
+
+    const { ipAddress, userAgent } = getRequestMeta(req);
+    await AuditLog.createSystemLog({
+      operatorId: req.user.id,
+      targetType: 'user',
+      targetId: targetUserId,
+      action: 'admin_login_unlock',
+      summary: '管理员解除账号登录锁定',
+      detail: { unlocked: unlocked.length },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      success: true,
+      message: unlocked.length > 0 ? '账号已解锁' : '账号当前未被锁定',
+      data: { unlocked: unlocked.length }
+    });
+  } catch (error) {
+    logger.error('解除账号锁定失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '解除账号锁定失败'
+    });
+  }
+};
+
 module.exports = {
   updateProfile: [validateUpdateProfile, handleValidationErrors, updateProfile],
   changePassword: [validateChangePassword, handleValidationErrors, changePassword],
@@ -1689,5 +1974,12 @@ module.exports = {
   revokeUserRole,
   freezeUser,
   unfreezeUser,
-  resetUserPassword
+  resetUserPassword,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  resetUserMfa,
+  getLoginLockouts,
+  releaseLoginLockout,
+  unlockUser
 };
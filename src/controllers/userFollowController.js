@@ -5,7 +5,7 @@
 const UserFollow = require('../models/UserFollow');
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
-const { UserService } = require('../services');
+const { UserService, FeedService } = require('../services');
 const { successResponse, errorResponse } = require('../utils/responseHelper');
 const { logger } = require('../utils/logger');
 
@@ -354,10 +354,64 @@ const getFollowStatus = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/users/feed:
+ *   get:
+ *     tags: [用户关注相关]
+ *     summary: 获取我的动态
+ *     description: 合并关注用户发布的资源、帖子、评论及订阅版块的新帖子，按时间倒序返回，使用游标分页。
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: 上一页返回的 next_cursor，为空时从最新动态开始
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: 每页数量
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserFeedResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+const getFeed = async (req, res) => {
+  try {
+    const result = await FeedService.getFeed(req.user.id, {
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    });
+
+    return successResponse(res, result.message, result.data);
+  } catch (error) {
+    logger.error('获取动态失败:', error);
+    if (error.message === '分页游标无效') {
+      return errorResponse(res, error.message, 400);
+    }
+    return errorResponse(res, error.message || '获取动态失败', 500);
+  }
+};
+
 module.exports = {
   followUser,
   unfollowUser,
   getFollowers,
   getFollowing,
-  getFollowStatus
+  getFollowStatus,
+  getFeed
 };
@@ -10,6 +10,7 @@
 
 const VIP = require('../models/VIP');
 const AuditLog = require('../models/AuditLog');
+const { services } = require('../services');
 const { logger } = require('../utils/logger');
 
 const getRequestMeta = (req) => ({
@@ -17,6 +18,120 @@ const getRequestMeta = (req) => ({
   userAgent: req.get('user-agent') || ''
 });
 
+const PACKAGE_CODE_PATTERN = /^[a-z0-9_]{1,50}$/;
+const PACKAGE_REQUIRED_FIELDS = ['code', 'name', 'level', 'days', 'points_cost'];
+
+const isBlank = (value) => value === null || value === '';
+
+/**
+ * 解析并校验VIP套餐请求体
+ * @param {Object} body - 请求体
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - 是否为部分更新
+ * @returns {{data?: Object, error?: string}}
+ */
+const parsePackagePayload = (body = {}, { partial = false } = {}) => {
+  if (!partial && PACKAGE_REQUIRED_FIELDS.some((field) => body[field] === undefined || isBlank(body[field]))) {
+    return { error: '套餐编码、名称、等级、天数和积分价格为必填字段' };
+  }
+
+  const data = {};
+
+  if (body.code !== undefined) {
+    data.code = String(body.code).trim().toLowerCase();
+    if (!PACKAGE_CODE_PATTERN.test(data.code)) {
+      return { error: '套餐编码只能包含小写字母、数字和下划线，且不超过50字符' };
+    }
+  }
+
+  if (body.name !== undefined) {
+    data.name = String(body.name).trim();
+    if (!data.name || data.name.length > 100) {
+      return { error: '套餐名称不能为空且不超过100字符' };
+    }
+  }
+
+  if (body.description !== undefined) {
+    data.description = isBlank(body.description) ? null : String(body.description);
+  }
+
+  const integerFields = [
+    { field: 'level', min: 1, nullable: false, label: 'VIP等级' },
+    { field: 'days', min: 1, nullable: false, label: '天数' },
+    { field: 'points_cost', min: 0, nullable: false, label: '积分价格' },
+    { field: 'original_price', min: 0, nullable: true, label: '原价' },
+    { field: 'per_user_limit', min: 1, nullable: true, label: '每人限购次数' },
+    { field: 'sort_order', min: -100000, nullable: false, label: '排序' }
+  ];
+
+  for (const { field, min, nullable, label } of integerFields) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    if (isBlank(body[field]) && nullable) {
+      data[field] = null;
+      continue;
+    }
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < min) {
+      return { error: `${label}必须是不小于${min}的整数` };
+    }
+    data[field] = value;
+  }
+
+  if (body.discount !== undefined) {
+    if (isBlank(body.discount)) {
+      data.discount = null;
+    } else {
+      const discount = Number(body.discount);
+      if (!Number.isFinite(discount) || discount <= 0 || discount > 1) {
+        return { error: '折扣必须大于0且不超过1' };
+      }
+      data.discount = Math.round(discount * 100) / 100;
+    }
+  } else if (data.original_price > 0 && data.points_cost !== undefined && data.points_cost <= data.original_price) {
+    // 未指定折扣时按原价换算，仅用于展示
+    data.discount = Math.max(Math.round((data.points_cost / data.original_price) * 100) / 100, 0.01);
+  }
+
+  if (body.price !== undefined) {
+    if (isBlank(body.price)) {
+      data.price = null;
+    } else {
+      const price = Number(body.price);
+      if (!Number.isFinite(price) || price <= 0 || price > 99999999) {
+        return { error: '现金价格必须大于0' };
+      }
+      data.price = Math.round(price * 100) / 100;
+    }
+  }
+
+  for (const field of ['available_from', 'available_until']) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    if (isBlank(body[field])) {
+      data[field] = null;
+      continue;
+    }
+    const date = new Date(body[field]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: '售卖时间格式无效' };
+    }
+    data[field] = date;
+  }
+
+  if (data.available_from && data.available_until && data.available_until <= data.available_from) {
+    return { error: '售卖结束时间必须晚于开始时间' };
+  }
+
+  if (body.is_active !== undefined) {
+    data.is_active = body.is_active === true || body.is_active === 'true';
+  }
+
+  return { data };
+};
+
 const recordVipLog = async (req, payload) => {
   const { ipAddress, userAgent } = getRequestMeta(req);
   await AuditLog.createSystemLog({
@@ -1229,7 +1344,416 @@ const updateExpiredVIP = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/vip/packages:
+ *   get:
+ *     tags: [VIP]
+ *     summary: 获取可购买的VIP套餐
+ *     description: 返回已上架、处于售卖时间内且对应等级已启用的积分套餐（公开接口）
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/VIPPackage'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+const getPackages = async (req, res) => {
+  try {
+    const result = await services.vip.getVipPackages();
+    res.json(result);
+  } catch (error) {
+    logger.error('获取VIP套餐失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取VIP套餐失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/vip/packages/{id}/purchase:
+ *   post:
+ *     tags: [VIP]
+ *     summary: 使用积分购买VIP套餐
+ *     description: 扣除套餐积分并发放VIP；生效中的VIP顺延到期时间并取较高等级。套餐须在售且未超过每人限购次数
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 套餐ID
+ *     responses:
+ *       200:
+ *         description: 购买成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/VIPPackagePurchaseResult'
+ *       400:
+ *         description: 套餐不可购买、超过限购次数或积分不足
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "积分余额不足"
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+const purchasePackage = async (req, res) => {
+  const packageId = parseInt(req.params.id, 10);
+
+  try {
+    if (!Number.isInteger(packageId) || packageId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: '套餐ID无效'
+      });
+    }
+
+    const result = await services.vip.purchaseVip(req.user.id, packageId);
+    const { vip, purchase } = result.data;
+
+    await recordVipLog(req, {
+      targetType: 'user',
+      targetId: req.user.id,
+      action: 'vip_package_purchase',
+      summary: `积分购买VIP套餐 ${result.data.package.name}`,
+      detail: {
+        packageId,
+        purchaseId: purchase.id,
+        level: vip.vip_level,
+        pointsCost: purchase.points_cost,
+        expireAt: vip.vip_expire_at
+      }
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('购买VIP套餐失败:', error);
+    await recordVipLog(req, {
+      targetType: 'user',
+      targetId: req.user?.id || null,
+      action: 'vip_package_purchase_failed',
+      summary: '积分购买VIP套餐失败',
+      detail: { packageId, error: error.message }
+    });
+    res.status(400).json({
+      success: false,
+      message: error.message || '购买VIP套餐失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/vip/packages:
+ *   get:
+ *     tags: [VIP]
+ *     summary: 获取VIP套餐列表（管理员）
+ *     description: 包含已下架套餐与已售数量
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         data:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/VIPPackage'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/PaginationInfo'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     tags: [VIP]
+ *     summary: 创建VIP套餐（管理员）
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VIPPackageRequest'
+ *     responses:
+ *       201:
+ *         description: 创建成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/VIPPackage'
+ *       400:
+ *         description: 参数错误、等级不存在或编码重复
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+const adminGetPackages = async (req, res) => {
+  try {
+    const result = await services.vip.getAdminPackages(req.query);
+    res.json(result);
+  } catch (error) {
+    logger.error('获取VIP套餐列表失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取VIP套餐列表失败'
+    });
+  }
+};
+
+const createPackage = async (req, res) => {
+  try {
+    const { data, error } = parsePackagePayload(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const result = await services.vip.createPackage(data, req.user.id);
+
+    await recordVipLog(req, {
+      targetType: 'vip_package',
+      targetId: result.data.id,
+      action: 'vip_package_create',
+      summary: `创建VIP套餐 ${result.data.name}`,
+      detail: { code: result.data.code, level: result.data.level, days: result.data.days, pointsCost: result.data.points_cost }
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('创建VIP套餐失败:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || '创建VIP套餐失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/vip/packages/{id}:
+ *   put:
+ *     tags: [VIP]
+ *     summary: 更新VIP套餐（管理员）
+ *     description: 仅更新提交的字段；已产生的购买记录不受影响
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VIPPackageRequest'
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/VIPPackage'
+ *       400:
+ *         description: 参数错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: 套餐不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const updatePackage = async (req, res) => {
+  try {
+    const packageId = parseInt(req.params.id, 10);
+    if (!Number.isInteger(packageId) || packageId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: '套餐ID无效'
+      });
+    }
+
+    const { data, error } = parsePackagePayload(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const result = await services.vip.updatePackage(packageId, data, req.user.id);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'VIP套餐不存在'
+      });
+    }
+
+    await recordVipLog(req, {
+      targetType: 'vip_package',
+      targetId: packageId,
+      action: 'vip_package_update',
+      summary: `更新VIP套餐 ${result.data.name}`,
+      detail: { updateKeys: Object.keys(data) }
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('更新VIP套餐失败:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || '更新VIP套餐失败'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/vip/packages/{id}/delete:
+ *   post:
+ *     tags: [VIP]
+ *     summary: 删除VIP套餐（管理员）
+ *     description: 软删除，套餐下架后不可购买，购买记录保留
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/VIPPackage'
+ *       404:
+ *         description: 套餐不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const deletePackage = async (req, res) => {
+  try {
+    const packageId = parseInt(req.params.id, 10);
+    if (!Number.isInteger(packageId) || packageId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: '套餐ID无效'
+      });
+    }
+
+    const result = await services.vip.deletePackage(packageId, req.user.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'VIP套餐不存在'
+      });
+    }
 
+    await recordVipLog(req, {
+      targetType: 'vip_package',
+      targetId: packageId,
+      action: 'vip_package_delete',
+      summary: `删除VIP套餐 ${result.data.name}`
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('删除VIP套餐失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '删除VIP套餐失败'
+    });
+  }
+};
 
 module.exports = {
   getAllLevels,
@@ -1242,6 +1766,12 @@ module.exports = {
   setUserVIP,
   extendUserVIP,
   cancelUserVIP,
-  updateExpiredVIP
+  updateExpiredVIP,
+  getPackages,
+  purchasePackage,
+  adminGetPackages,
+  createPackage,
+  updatePackage,
+  deletePackage
   // 注意：getMyOrders 和 getOrderById 已迁移到 cardOrderController
 };
@@ -0,0 +1,122 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AlistExtractorOptions:
+ *       type: object
+ *       description: 元数据提取器参数
+ *       properties:
+ *         folder_rules:
+ *           type: array
+ *           description: 目录命名规则（folder_pattern 提取器使用），按顺序匹配第一条
+ *           items:
+ *             type: object
+ *             required: [pattern]
+ *             properties:
+ *               pattern:
+ *                 type: string
+ *                 description: 匹配目录名的正则表达式
+ *                 example: "^\\[(.+?)\\]"
+ *               category_id:
+ *                 type: integer
+ *                 description: 命中后使用的分类ID
+ *               category:
+ *                 type: string
+ *                 description: 命中后使用的分类名称；与 category_id 都未指定时使用第一个捕获组
+ *               strip_from_title:
+ *                 type: boolean
+ *                 description: 是否从资源标题中去除匹配部分
+ *     AlistIngestJob:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: 任务ID
+ *           example: 12
+ *         setting_id:
+ *           type: integer
+ *           description: 入库配置ID
+ *           example: 3
+ *         status:
+ *           type: string
+ *           enum: [pending, running, completed, failed, cancelled]
+ *           description: 任务状态
+ *           example: running
+ *         cursor:
+ *           type: string
+ *           nullable: true
+ *           description: 最后处理完成的目录名，任务中断后从该目录之后继续
+ *           example: "2024-03 合集"
+ *         total_folders:
+ *           type: integer
+ *           description: 待扫描目录总数
+ *           example: 480
+ *         processed_count:
+ *           type: integer
+ *           description: 已处理目录数
+ *           example: 120
+ *         created_count:
+ *           type: integer
+ *           description: 新建资源数
+ *           example: 30
+ *         updated_count:
+ *           type: integer
+ *           description: 更新资源数
+ *           example: 5
+ *         skipped_count:
+ *           type: integer
+ *           description: 跳过目录数
+ *           example: 83
+ *         failed_count:
+ *           type: integer
+ *           description: 失败目录数
+ *           example: 2
+ *         errors:
+ *           type: array
+ *           description: 失败目录及原因（最多保留200条）
+ *           items:
+ *             type: object
+ *             properties:
+ *               folder:
+ *                 type: string
+ *               error:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *         cancel_requested:
+ *           type: boolean
+ *           description: 是否已请求取消
+ *           example: false
+ *         progress:
+ *           type: integer
+ *           description: 进度百分比
+ *           example: 25
+ *         triggered_by:
+ *           type: integer
+ *           nullable: true
+ *           description: 触发任务的用户ID
+ *         worker_id:
+ *           type: string
+ *           nullable: true
+ *           description: 当前执行进程标识
+ *         heartbeat_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_error:
+ *           type: string
+ *           nullable: true
+ *           description: 任务整体失败原因
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         finished_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
@@ -0,0 +1,157 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AnnouncementAudience:
+ *       type: object
+ *       description: 投放人群，各条件同时满足，未设置的条件不限制；仅投放给状态正常的用户
+ *       properties:
+ *         roles:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: 拥有任一角色
+ *           example: ["vip"]
+ *         vip_levels:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: VIP有效期内且等级为其中之一
+ *           example: [2, 3]
+ *         registered_after:
+ *           type: string
+ *           format: date-time
+ *           description: 注册时间不早于
+ *         registered_before:
+ *           type: string
+ *           format: date-time
+ *           description: 注册时间早于
+ *         active_within_days:
+ *           type: integer
+ *           description: 最近N天内登录过
+ *           example: 30
+ *         inactive_for_days:
+ *           type: integer
+ *           description: 最近N天内未登录
+ *           example: 90
+ *
+ *     AnnouncementInput:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *           maxLength: 255
+ *           example: "系统维护通知"
+ *         content:
+ *           type: string
+ *           example: "本周六凌晨2:00-4:00进行系统维护，期间暂停下载服务"
+ *         audience:
+ *           $ref: '#/components/schemas/AnnouncementAudience'
+ *         scheduled_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: 计划发送时间，为空时审核通过后立即发送
+ *         recurrence:
+ *           type: string
+ *           enum: [none, daily, weekly, monthly]
+ *           default: none
+ *         recurrence_end_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: 周期发送结束时间，为空表示直到取消
+ *
+ *     Announcement:
+ *       allOf:
+ *         - $ref: '#/components/schemas/AnnouncementInput'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             status:
+ *               type: string
+ *               enum: [draft, pending_review, rejected, scheduled, sending, completed, cancelled, failed]
+ *               description: 草稿、待审核、已驳回、待发送、发送中、已完成、已取消、发送失败
+ *             next_run_at:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             last_run_at:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             run_count:
+ *               type: integer
+ *               description: 已发送次数
+ *             last_error:
+ *               type: string
+ *               nullable: true
+ *             claimed_at:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               description: 发送中时最近一次领取或续期的时间，超过15分钟未续期视为发送中断并由定时任务回收
+ *             created_by_username:
+ *               type: string
+ *             reviewed_by_username:
+ *               type: string
+ *               nullable: true
+ *             review_note:
+ *               type: string
+ *               nullable: true
+ *             submitted_at:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             reviewed_at:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             created_at:
+ *               type: string
+ *               format: date-time
+ *
+ *     AnnouncementDelivery:
+ *       type: object
+ *       description: 公告投放记录，周期公告每次发送一条
+ *       properties:
+ *         id:
+ *           type: integer
+ *         run_no:
+ *           type: integer
+ *           description: 第几次发送
+ *         status:
+ *           type: string
+ *           enum: [running, completed, failed]
+ *         recipients:
+ *           type: integer
+ *           description: 提交发送的用户数
+ *         chunks:
+ *           type: integer
+ *           description: 分块数
+ *         error_message:
+ *           type: string
+ *           nullable: true
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *         finished_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *
+ *     AnnouncementStats:
+ *       type: object
+ *       description: 公告通知送达与阅读统计（累计所有发送批次）
+ *       properties:
+ *         delivered:
+ *           type: integer
+ *           example: 1200
+ *         read:
+ *           type: integer
+ *           example: 480
+ *         read_rate:
+ *           type: number
+ *           example: 0.4
+ */
@@ -60,6 +60,11 @@
  *           default: false
  *           description: 是否记住登录状态（延长token有效期）
  *           example: true
+ *         device_name:
+ *           type: string
+ *           maxLength: 100
+ *           description: 客户端上报的设备名称，留空时根据 User-Agent 识别
+ *           example: "我的笔记本"
  * 
  *     RefreshTokenRequest:
  *       type: object
@@ -184,4 +189,90 @@
  *               properties:
  *                 user:
  *                   $ref: '#/components/schemas/User'
+ *
+ *     MfaEnrollment:
+ *       type: object
+ *       properties:
+ *         secret:
+ *           type: string
+ *           description: Base32编码的TOTP密钥（无法扫码时手动输入）
+ *           example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *         otpauth_url:
+ *           type: string
+ *           description: 认证器App配置链接，前端渲染为二维码
+ *           example: "otpauth://totp/Alcms%3Auser%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Alcms&algorithm=SHA1&digits=6&period=30"
+ *
+ *     MfaChallengeResponse:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ApiResponse'
+ *         - type: object
+ *           properties:
+ *             data:
+ *               type: object
+ *               properties:
+ *                 mfa_required:
+ *                   type: boolean
+ *                   example: true
+ *                 challenge_token:
+ *                   type: string
+ *                   description: 两步验证挑战令牌（默认5分钟有效）
+ *                 methods:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     enum: [totp, recovery_code]
+ *                 enrollment:
+ *                   nullable: true
+ *                   description: 角色要求启用但尚未绑定时返回，需先用认证器扫码
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/MfaEnrollment'
+ *
+ *     MfaVerifyRequest:
+ *       type: object
+ *       required:
+ *         - challenge_token
+ *       properties:
+ *         challenge_token:
+ *           type: string
+ *           description: 登录接口返回的挑战令牌
+ *         code:
+ *           type: string
+ *           description: 动态验证码（与 recovery_code 二选一）
+ *           example: "123456"
+ *         recovery_code:
+ *           type: string
+ *           description: 恢复码，每个只能使用一次
+ *           example: "3f9a1-0c7d2"
+ *         device_name:
+ *           type: string
+ *           maxLength: 100
+ *           description: 客户端上报的设备名称
+ *
+ *     MfaStatus:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           description: 是否已启用
+ *         required:
+ *           type: boolean
+ *           description: 角色策略是否要求启用
+ *         enabled_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         recovery_codes_remaining:
+ *           type: integer
+ *           description: 剩余可用恢复码数量
+ *           example: 10
+ *
+ *     MfaRecoveryCodes:
+ *       type: object
+ *       properties:
+ *         recovery_codes:
+ *           type: array
+ *           description: 一次性恢复码，仅在本次响应中返回
+ *           items:
+ *             type: string
+ *           example: ["3f9a1-0c7d2", "b81e4-55a09"]
  */
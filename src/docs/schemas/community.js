@@ -99,6 +99,13 @@
  *           enum: [text, markdown, html]
  *           description: 内容类型
  *           example: "markdown"
+ *         content_html:
+ *           type: string
+ *           nullable: true
+ *           description: 按内容类型渲染并清洗后的 HTML，可直接展示；历史内容在后台渲染完成前为空
+ *           example: "<p>这是一篇关于 <span class=\"hashtag\" data-tag=\"Node\">#Node</span> 学习的帖子...</p>"
+ *         content_meta:
+ *           $ref: '#/components/schemas/RenderedContentMeta'
  *         status:
  *           type: string
  *           enum: [draft, published, hidden, locked]
@@ -153,6 +160,24 @@
  *           $ref: '#/components/schemas/CommunityBoard'
  *           description: 板块信息
  *
+ *     RenderedContentMeta:
+ *       type: object
+ *       nullable: true
+ *       description: 渲染内容时提取的信息
+ *       properties:
+ *         mentions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: 提及的用户名（@用户名）
+ *           example: ["alice"]
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: 话题（#话题 或 #话题#）
+ *           example: ["Node"]
+ *
  *     CommunityComment:
  *       type: object
  *       properties:
@@ -177,6 +202,13 @@
  *           type: string
  *           description: 评论内容
  *           example: "很有用的教程，感谢分享！"
+ *         content_html:
+ *           type: string
+ *           nullable: true
+ *           description: 按 Markdown 渲染并清洗后的 HTML
+ *           example: "<p>很有用的教程，感谢分享！</p>"
+ *         content_meta:
+ *           $ref: '#/components/schemas/RenderedContentMeta'
  *         content_type:
  *           type: string
  *           enum: [text, markdown, html]
@@ -316,7 +348,7 @@
 *         content_type:
 *           type: string
 *           enum: [text, markdown, html]
-*           default: text
+*           default: markdown
 *           description: 内容类型
 *           example: "markdown"
  *         summary:
@@ -337,6 +369,10 @@
  *           default: published
  *           description: 发布状态
  *           example: "published"
+ *         notify_followers:
+ *           type: boolean
+ *           description: 发布时是否通知粉丝，未传时按作者的 notify_followers_on_publish 设置
+ *           example: true
  *
  *     CreateCommentRequest:
  *       type: object
@@ -437,6 +473,103 @@
  *           items:
  *             $ref: '#/components/schemas/CommunityPost'
  *           description: 热门帖子
+ *
+ *     ReportPunishmentRequest:
+ *       type: object
+ *       description: 处理举报时直接下发的处罚
+ *       required:
+ *         - type
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [mute, post_ban, board_ban]
+ *           description: 处罚类型（禁言、禁止发帖、版块封禁）
+ *         duration_hours:
+ *           type: integer
+ *           nullable: true
+ *           description: 处罚时长（小时），为空表示永久
+ *           example: 72
+ *         board_id:
+ *           type: integer
+ *           description: 封禁版块ID，默认取被举报内容所在版块
+ *         reason:
+ *           type: string
+ *           description: 处罚原因，默认使用举报原因
+ *         description:
+ *           type: string
+ *           description: 详细说明
+ *
+ *     CreatePunishmentRequest:
+ *       type: object
+ *       required:
+ *         - user_id
+ *         - type
+ *         - reason
+ *       properties:
+ *         user_id:
+ *           type: integer
+ *           description: 被处罚用户ID
+ *         type:
+ *           type: string
+ *           enum: [mute, post_ban, board_ban]
+ *           description: 处罚类型
+ *         board_id:
+ *           type: integer
+ *           description: 版块ID（版块封禁必填）
+ *         duration_hours:
+ *           type: integer
+ *           nullable: true
+ *           description: 处罚时长（小时），为空表示永久
+ *           example: 24
+ *         reason:
+ *           type: string
+ *           description: 处罚原因
+ *           example: 发布广告内容
+ *         description:
+ *           type: string
+ *           description: 详细说明
+ *
+ *     CommunityPunishment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *         punishment_type:
+ *           type: string
+ *           enum: [mute, post_ban, board_ban]
+ *         board_id:
+ *           type: integer
+ *           nullable: true
+ *         report_id:
+ *           type: integer
+ *           nullable: true
+ *           description: 关联的举报ID
+ *         reason:
+ *           type: string
+ *         duration_hours:
+ *           type: integer
+ *           nullable: true
+ *         operator_id:
+ *           type: integer
+ *         is_active:
+ *           type: boolean
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: 到期时间，为空表示永久
+ *         revoked_by:
+ *           type: integer
+ *           nullable: true
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
  */
 
 module.exports = {};
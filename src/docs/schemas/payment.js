@@ -0,0 +1,202 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PaymentProvider:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: 渠道标识，下单时作为 provider 提交
+ *           example: "alipay"
+ *         display_name:
+ *           type: string
+ *           example: "支付宝"
+ *
+ *     PaymentOrderCreateRequest:
+ *       type: object
+ *       required:
+ *         - package_id
+ *         - provider
+ *       properties:
+ *         package_id:
+ *           type: integer
+ *           description: 已设置现金价格的VIP套餐ID
+ *           example: 2
+ *         provider:
+ *           type: string
+ *           description: 支付渠道标识，见 /api/payments/providers
+ *           example: "wechat"
+ *
+ *     PaymentOrder:
+ *       type: object
+ *       properties:
+ *         order_no:
+ *           type: string
+ *           example: "PAY20240601120000123456"
+ *         package_id:
+ *           type: integer
+ *           example: 2
+ *         subject:
+ *           type: string
+ *           example: "VIP1 月卡"
+ *         vip_level:
+ *           type: integer
+ *           example: 1
+ *         duration_days:
+ *           type: integer
+ *           example: 30
+ *         price:
+ *           type: string
+ *           description: 订单金额（元）
+ *           example: "19.90"
+ *         currency:
+ *           type: string
+ *           example: "CNY"
+ *         status:
+ *           type: string
+ *           enum: [pending, paid, cancelled, expired, refunded]
+ *           description: 部分退款的订单保持 paid，累计退款达到订单金额后为 refunded
+ *         payment_method:
+ *           type: string
+ *           example: "wechat"
+ *         payment_data:
+ *           type: object
+ *           description: 拉起支付所需数据，type 为 redirect（pay_url）、qrcode（code_url）或 mock（notify_payload）
+ *           example:
+ *             type: "qrcode"
+ *             code_url: "weixin://wxpay/bizpayurl?pr=abc123"
+ *         payment_expires_at:
+ *           type: string
+ *           format: date-time
+ *           description: 支付期限，超时未支付自动关闭
+ *         paid_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         fulfilled_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: VIP发放时间
+ *         refunded_amount:
+ *           type: string
+ *           example: "0.00"
+ *         refunded_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *
+ *     PaymentRefundRequest:
+ *       type: object
+ *       properties:
+ *         amount:
+ *           type: number
+ *           description: 退款金额（元），不传时退还全部剩余可退金额
+ *           example: 19.9
+ *         reason:
+ *           type: string
+ *           maxLength: 200
+ *           example: "用户申请退款"
+ *
+ *     PaymentRefundResult:
+ *       type: object
+ *       properties:
+ *         order:
+ *           $ref: '#/components/schemas/PaymentOrder'
+ *         refund:
+ *           type: object
+ *           properties:
+ *             refund_no:
+ *               type: string
+ *               example: "PAY20240601120000123456R4821"
+ *             amount:
+ *               type: number
+ *               example: 19.9
+ *             status:
+ *               type: string
+ *               enum: [success, processing]
+ *               description: processing 表示渠道已受理、资金尚在退回中
+ *         reversal:
+ *           allOf:
+ *             - $ref: '#/components/schemas/OrderReversal'
+ *           nullable: true
+ *           description: 权益回收结果，为空表示回收失败需人工处理
+ *     OrderReversal:
+ *       type: object
+ *       description: 退款、拒付或卡密撤销后的权益回收记录
+ *       properties:
+ *         id:
+ *           type: integer
+ *         reference:
+ *           type: string
+ *           description: 幂等键，同一退款单/拒付/卡密只处理一次
+ *           example: "refund:PAY20240601120000123456R4821"
+ *         source:
+ *           type: string
+ *           enum: [refund, chargeback, card_revoke]
+ *         order_id:
+ *           type: integer
+ *           nullable: true
+ *         card_key_id:
+ *           type: integer
+ *           nullable: true
+ *         user_id:
+ *           type: integer
+ *         ratio:
+ *           type: number
+ *           description: 回收比例（部分退款时为退款金额占订单金额的比例）
+ *           example: 1
+ *         vip_days_reversed:
+ *           type: integer
+ *           description: 扣减的VIP天数
+ *         vip_cancelled:
+ *           type: boolean
+ *           description: 是否因此失去VIP身份
+ *         points_reversed:
+ *           type: integer
+ *           description: 实际回收的积分
+ *         points_shortfall:
+ *           type: integer
+ *           description: 余额不足未能回收的积分
+ *         download_credits_reversed:
+ *           type: integer
+ *         commissions:
+ *           type: array
+ *           description: 佣金处理结果，manual_review 表示佣金已审核通过需人工追回
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               action:
+ *                 type: string
+ *                 enum: [rejected, reduced, manual_review]
+ *               status:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         operator_id:
+ *           type: integer
+ *           nullable: true
+ *         username:
+ *           type: string
+ *         order_no:
+ *           type: string
+ *           nullable: true
+ *         card_key_code:
+ *           type: string
+ *           nullable: true
+ *         operator_username:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
@@ -279,12 +279,142 @@
  *               success:
  *                 type: boolean
  *                 example: true
+ *               duplicate:
+ *                 type: boolean
+ *                 description: 是否为同一幂等键的重复提交（未再次发放）
+ *                 example: false
  *               error:
  *                 type: string
  *                 nullable: true
  *                 example: null
- *               points_after:
+ *     PointsReconciliationRun:
+ *       type: object
+ *       description: 积分账本对账批次
+ *       properties:
+ *         id:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [running, completed, failed]
+ *         trigger_type:
+ *           type: string
+ *           enum: [schedule, manual]
+ *         triggered_by:
+ *           type: integer
+ *           nullable: true
+ *         triggered_by_username:
+ *           type: string
+ *           nullable: true
+ *         users_checked:
+ *           type: integer
+ *           description: 参与对账的用户数
+ *         drift_users:
+ *           type: integer
+ *           description: 余额与账本不一致的用户数
+ *         total_drift:
+ *           type: integer
+ *           description: 差异积分绝对值合计
+ *         unbalanced_groups:
+ *           type: array
+ *           description: 合计不为0的转账分录分组
+ *           items:
+ *             type: object
+ *             properties:
+ *               entry_group:
+ *                 type: string
+ *               total:
  *                 type: integer
- *                 nullable: true
- *                 example: 1500
+ *               entries_count:
+ *                 type: integer
+ *         error_message:
+ *           type: string
+ *           nullable: true
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *         finished_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     PointsReconciliationItem:
+ *       type: object
+ *       description: 对账差异明细
+ *       properties:
+ *         user_id:
+ *           type: integer
+ *         username:
+ *           type: string
+ *         balance:
+ *           type: integer
+ *           description: users.points 当前余额
+ *         ledger_balance:
+ *           type: integer
+ *           description: points_records 分录合计
+ *         drift:
+ *           type: integer
+ *           description: 余额减账本合计
+ *           example: 50
+ *         last_balance_after:
+ *           type: integer
+ *           nullable: true
+ *           description: 最后一条分录的变动后余额
+ *         entries_count:
+ *           type: integer
+ *
+ *     PointsExpiryPolicy:
+ *       type: object
+ *       description: 积分过期策略，按积分来源配置有效期
+ *       properties:
+ *         id:
+ *           type: integer
+ *         source:
+ *           type: string
+ *           description: 积分来源（points_records.source）
+ *           example: checkin
+ *         expire_days:
+ *           type: integer
+ *           description: 获得后多少天过期
+ *           example: 180
+ *         notify_days:
+ *           type: integer
+ *           description: 到期前多少天发送提醒，0 表示不提醒
+ *           example: 7
+ *         is_active:
+ *           type: boolean
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         updated_by:
+ *           type: integer
+ *           nullable: true
+ *         updated_by_username:
+ *           type: string
+ *           nullable: true
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *
+ *     PointsLot:
+ *       type: object
+ *       description: 积分批次，消费时按获得时间先进先出扣减
+ *       properties:
+ *         id:
+ *           type: integer
+ *         source:
+ *           type: string
+ *           example: checkin
+ *         amount:
+ *           type: integer
+ *           description: 获得积分
+ *           example: 20
+ *         remaining:
+ *           type: integer
+ *           description: 尚未消费的积分
+ *           example: 15
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         created_at:
+ *           type: string
+ *           format: date-time
  */
\ No newline at end of file
@@ -119,8 +119,8 @@
  *           example: 45
  *         status:
  *           type: string
- *           enum: [draft, published, archived, banned, deleted]
- *           description: 资源状态
+ *           enum: [draft, pending_review, rejected, scheduled, published, archived, banned, deleted]
+ *           description: 资源状态（pending_review 待审核，rejected 审核驳回，scheduled 定时发布）
  *           example: "published"
  *         published_at:
  *           type: string
@@ -128,6 +128,37 @@
  *           nullable: true
  *           description: 发布时间
  *           example: "2025-09-12T08:00:00.000Z"
+ *         content:
+ *           type: string
+ *           nullable: true
+ *           description: 正文（HTML）
+ *         content_html:
+ *           type: string
+ *           nullable: true
+ *           description: 清洗后的正文 HTML，可直接展示；历史内容在后台渲染完成前为空
+ *         content_meta:
+ *           $ref: '#/components/schemas/RenderedContentMeta'
+ *         publish_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: 定时发布时间，到期后由定时任务发布
+ *           example: "2025-09-15T08:00:00.000Z"
+ *         submitted_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: 最近一次提交审核的时间
+ *         reviewed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: 审核时间
+ *         review_note:
+ *           type: string
+ *           nullable: true
+ *           description: 审核意见（驳回原因）
+ *           example: "封面图片不清晰，请更换后重新提交"
  *         created_at:
  *           type: string
  *           format: date-time
@@ -188,7 +219,7 @@
  *               example: 1
  *             status:
  *               type: string
- *               enum: [draft, published, archived, banned, deleted]
+ *               enum: [draft, pending_review, rejected, scheduled, published, archived, banned, deleted]
  *               default: published
  *               description: 状态过滤
  *               example: "published"
@@ -284,22 +315,37 @@
  *           type: integer
  *           description: 资源类型ID
  *           example: 1
+ *         content:
+ *           type: string
+ *           description: 正文
  *         is_public:
  *           type: boolean
  *           default: true
- *           description: 是否公开（仅拥有发布权限的用户可生效）
+ *           description: 是否公开（需要审核的创作者提交时不生效，审核通过后默认公开）
  *           example: true
  *         status:
  *           type: string
- *           enum: [draft, published, archived, banned, deleted]
- *           description: 资源状态（仅拥有发布权限的用户可设置）
+ *           enum: [draft, pending_review, rejected, scheduled, published, archived, banned, deleted]
+ *           default: published
+ *           description: |
+ *             资源状态。没有发布权限的用户只能设置 draft、published、scheduled；
+ *             开启审核时其 published、scheduled 会转为 pending_review，审核通过后再发布
  *           example: "draft"
+ *         publish_at:
+ *           type: string
+ *           format: date-time
+ *           description: 定时发布时间，status 为 scheduled 时必填；status 为 published 且时间晚于当前时按定时发布处理
+ *           example: "2025-09-15T08:00:00.000Z"
  *         tags:
  *           type: array
  *           items:
  *             type: integer
  *           description: 标签ID数组
  *           example: [1, 2, 3]
+ *         notify_followers:
+ *           type: boolean
+ *           description: 发布时是否通知粉丝，未传时按作者的 notify_followers_on_publish 设置
+ *           example: true
  * 
  *     UpdateResourceRequest:
  *       type: object
@@ -329,19 +375,287 @@
  *           type: integer
  *           description: 分类ID
  *           example: 2
+ *         content:
+ *           type: string
+ *           description: 正文，修改标题、描述或正文时会生成修订记录
  *         is_public:
  *           type: boolean
- *           description: 是否公开（仅拥有发布权限的用户可生效）
+ *           description: 是否公开（需要审核的创作者不可修改）
  *           example: false
  *         status:
  *           type: string
- *           enum: [draft, published, archived, banned, deleted]
- *           description: 资源状态（仅拥有发布权限的用户可设置）
+ *           enum: [draft, pending_review, rejected, scheduled, published, archived, banned, deleted]
+ *           description: 资源状态，规则同创建资源；与当前状态相同且未传 publish_at 时不改变发布状态
  *           example: "published"
+ *         publish_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: 定时发布时间
+ *           example: "2025-09-15T08:00:00.000Z"
  *         tags:
  *           type: array
  *           items:
  *             type: integer
  *           description: 标签ID数组
  *           example: [1, 4, 5]
+ *         notify_followers:
+ *           type: boolean
+ *           description: 资源变为已发布时是否通知粉丝，未传时按作者的 notify_followers_on_publish 设置
+ *           example: true
+ 
+ *
+ *     ReportResourceRequest:
+ *       type: object
+ *       required:
+ *         - reason
+ *       properties:
+ *         reason:
+ *           type: string
+ *           enum: [spam, inappropriate, copyright, malware, broken, other]
+ *           description: 举报原因
+ *           example: "copyright"
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *           description: 详细描述
+ *           example: "该资源未经授权转载"
+ *
+ *     HandleResourceReportRequest:
+ *       type: object
+ *       properties:
+ *         action:
+ *           type: string
+ *           enum: [none, archive, ban]
+ *           default: none
+ *           description: 对资源采取的动作（archive 下架，ban 封禁）
+ *           example: "archive"
+ *         handler_note:
+ *           type: string
+ *           description: 处理备注，会随通知发送给举报人
+ *           example: "已核实侵权，资源已下架"
+ *
+ *     ResourceReport:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         resource_id:
+ *           type: integer
+ *           example: 12
+ *         reporter_id:
+ *           type: integer
+ *           example: 3
+ *         reason:
+ *           type: string
+ *           example: "copyright"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [pending, reviewing, resolved, rejected]
+ *           example: "pending"
+ *         assigned_to:
+ *           type: integer
+ *           nullable: true
+ *         assigned_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         resolution_action:
+ *           type: string
+ *           enum: [none, archive, ban]
+ *           nullable: true
+ *         handler_note:
+ *           type: string
+ *           nullable: true
+ *         handled_by:
+ *           type: integer
+ *           nullable: true
+ *         handled_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *
+ *     RecommendedResource:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Resource'
+ *         - type: object
+ *           properties:
+ *             recommendation_score:
+ *               type: number
+ *               nullable: true
+ *               description: 推荐得分，热门补足的资源为 null
+ *               example: 0.812345
+ *             recommendation_source:
+ *               type: string
+ *               enum: [related, personalized, popular]
+ *               description: 推荐来源
+ *               example: "personalized"
+ *
+ *     RecommendedResourcesResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         data:
+ *           type: object
+ *           properties:
+ *             cold_start:
+ *               type: boolean
+ *               description: 用户暂无可用的行为数据，结果全部来自热门资源
+ *               example: false
+ *             resources:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RecommendedResource'
+ *
+ *     RelatedResourcesResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         data:
+ *           type: object
+ *           properties:
+ *             resource_id:
+ *               type: integer
+ *               example: 12
+ *             resources:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RecommendedResource'
+ *
+ *     ResourceRevision:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 31
+ *         resource_id:
+ *           type: integer
+ *           example: 12
+ *         revision_number:
+ *           type: integer
+ *           nullable: true
+ *           description: 资源内递增的修订编号，自动保存为 null
+ *           example: 4
+ *         source:
+ *           type: string
+ *           enum: [create, update, restore, autosave]
+ *           description: 修订来源
+ *           example: "update"
+ *         title:
+ *           type: string
+ *           example: "Vue.js 入门教程"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *           description: 描述快照（列表接口不返回，改为 description_length）
+ *         content:
+ *           type: string
+ *           nullable: true
+ *           description: 正文快照（列表接口不返回，改为 content_length）
+ *         restored_from:
+ *           type: integer
+ *           nullable: true
+ *           description: 恢复来源修订ID
+ *         created_by:
+ *           type: integer
+ *           nullable: true
+ *         created_by_username:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           description: 自动保存为最近一次保存时间
+ *
+ *     TextDiff:
+ *       type: object
+ *       properties:
+ *         changed:
+ *           type: boolean
+ *           example: true
+ *         additions:
+ *           type: integer
+ *           description: 新增行数
+ *           example: 3
+ *         deletions:
+ *           type: integer
+ *           description: 删除行数
+ *           example: 1
+ *         hunks:
+ *           type: array
+ *           description: 按顺序排列的差异片段
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [equal, delete, insert]
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *
+ *     ResourceRevisionDiff:
+ *       type: object
+ *       properties:
+ *         from:
+ *           type: object
+ *           description: 较早的一方
+ *           properties:
+ *             id:
+ *               type: integer
+ *               nullable: true
+ *             revision_number:
+ *               type: integer
+ *               nullable: true
+ *             source:
+ *               type: string
+ *               description: 修订来源，资源当前内容为 current
+ *             updated_at:
+ *               type: string
+ *               format: date-time
+ *         to:
+ *           type: object
+ *           description: 较新的一方，结构同 from
+ *         changed:
+ *           type: boolean
+ *           example: true
+ *         fields:
+ *           type: object
+ *           properties:
+ *             title:
+ *               $ref: '#/components/schemas/TextDiff'
+ *             description:
+ *               $ref: '#/components/schemas/TextDiff'
+ *             content:
+ *               $ref: '#/components/schemas/TextDiff'
+ *
+ *     AutosaveResourceRequest:
+ *       type: object
+ *       description: 未提交的字段沿用资源当前值
+ *       properties:
+ *         title:
+ *           type: string
+ *           maxLength: 255
+ *           example: "Vue.js 入门教程（修订中）"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         content:
+ *           type: string
+ *           nullable: true
  */
@@ -35,6 +35,13 @@
  *           type: string
  *           description: 评论内容
  *           example: "这个资源很有用，谢谢分享！"
+ *         content_html:
+ *           type: string
+ *           nullable: true
+ *           description: 按 Markdown 渲染并清洗后的 HTML
+ *           example: "<p>这个资源很有用，谢谢分享！</p>"
+ *         content_meta:
+ *           $ref: '#/components/schemas/RenderedContentMeta'
  *         is_approved:
  *           type: boolean
  *           description: 是否审核通过
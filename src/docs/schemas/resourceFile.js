@@ -51,6 +51,11 @@
  *           nullable: true
  *           description: 版本信息
  *           example: "v1.0"
+ *         version_id:
+ *           type: integer
+ *           nullable: true
+ *           description: 所属资源版本ID
+ *           example: 3
  *         language:
  *           type: string
  *           nullable: true
@@ -74,6 +79,12 @@
  *           nullable: true
  *           description: 最后下载时间
  *           example: "2025-09-17T10:30:00.000Z"
+ *         deprecated_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: 弃用时间，弃用的旧版本文件不可下载
+ *           example: null
  *         created_at:
  *           type: string
  *           format: date-time
@@ -107,7 +118,10 @@
  *           type: string
  *           format: uri
  *           maxLength: 1000
- *           description: 文件下载地址
+ *           description: |
+ *             文件下载地址，用户下载时按地址类型在跳转时生成临时链接：
+ *             alist://<路径> 或 Alist 直链（配置的下载域名/地址下的 /d/、/p/ 路径）生成 Alist 签名直链；
+ *             minio://<存储桶>/<对象> 或资源存储桶地址生成预签名地址；其他外部链接原样跳转
  *           example: "https://example.com/files/video.mp4"
  *         file_size:
  *           type: integer
@@ -223,4 +237,84 @@
  *           type: integer
  *           description: 文件类型数量
  *           example: 8
+ *
+ *     ResourceVersion:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 3
+ *         resource_id:
+ *           type: integer
+ *           example: 123
+ *         version:
+ *           type: string
+ *           description: 版本号
+ *           example: "v2.0"
+ *         changelog:
+ *           type: string
+ *           nullable: true
+ *           description: 更新说明
+ *           example: "新增英文字幕，修复第3集音画不同步"
+ *         status:
+ *           type: string
+ *           enum: [current, superseded, deprecated]
+ *           description: current 当前版本，superseded 已被新版本取代但文件仍可下载，deprecated 已弃用
+ *           example: "current"
+ *         released_at:
+ *           type: string
+ *           format: date-time
+ *           example: "2025-09-17T08:00:00.000Z"
+ *         deprecated_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           example: null
+ *         notified_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: 更新通知发送时间
+ *           example: "2025-09-17T08:00:05.000Z"
+ *         recipients:
+ *           type: integer
+ *           description: 收到更新通知的用户数
+ *           example: 240
+ *         file_count:
+ *           type: integer
+ *           description: 版本包含的文件数（不含已删除文件）
+ *           example: 2
+ *
+ *     PublishResourceVersionRequest:
+ *       type: object
+ *       required:
+ *         - version
+ *         - file_ids
+ *       properties:
+ *         version:
+ *           type: string
+ *           maxLength: 20
+ *           description: 版本号，同一资源内唯一
+ *           example: "v2.0"
+ *         changelog:
+ *           type: string
+ *           maxLength: 5000
+ *           description: 更新说明
+ *           example: "新增英文字幕，修复第3集音画不同步"
+ *         file_ids:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             type: integer
+ *           description: 归入新版本的文件ID，须为该资源下已上传的文件
+ *           example: [45, 46]
+ *         previous_files:
+ *           type: string
+ *           enum: [keep, deprecate]
+ *           default: keep
+ *           description: keep 旧版本文件仍可下载；deprecate 弃用未归入新版本的文件
+ *         notify:
+ *           type: boolean
+ *           default: true
+ *           description: 是否通知下载过、收藏过该资源的用户
  */
\ No newline at end of file
@@ -22,6 +22,10 @@
  *           nullable: true
  *           description: 角色描述
  *           example: "系统管理员，具有最高权限"
+ *         mfa_required:
+ *           type: boolean
+ *           description: 拥有该角色的用户是否必须启用两步验证
+ *           example: true
  *         is_active:
  *           type: boolean
  *           description: 是否启用
@@ -47,4 +47,267 @@
  *             search_type: "community"
  *             search_count: 56
  *             last_searched_at: "2025-10-31T09:10:00.000Z"
+ *
+ *     SearchHit:
+ *       type: object
+ *       description: 搜索命中结果，不同类型附带的字段不同
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [resource, post, tag]
+ *           description: 结果类型
+ *           example: "resource"
+ *         id:
+ *           type: integer
+ *           description: 资源/帖子/标签ID
+ *           example: 42
+ *         title:
+ *           type: string
+ *           description: 标题原文
+ *           example: "Vue3 入门教程"
+ *         title_highlight:
+ *           type: string
+ *           description: 高亮后的标题（已做HTML转义）
+ *           example: "Vue3 <mark>入门</mark>教程"
+ *         snippet:
+ *           type: string
+ *           description: 命中位置附近的正文摘要（已做HTML转义）
+ *           example: "…适合零基础的<mark>入门</mark>课程，包含组件、路由…"
+ *         score:
+ *           type: number
+ *           description: 相关度得分
+ *           example: 0.35
+ *         tag_ids:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         published_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         slug:
+ *           type: string
+ *           description: 资源别名（仅资源）
+ *         cover_image_url:
+ *           type: string
+ *           description: 资源封面（仅资源）
+ *         category_id:
+ *           type: integer
+ *           description: 资源分类ID（仅资源）
+ *         category_display_name:
+ *           type: string
+ *         resource_type_id:
+ *           type: integer
+ *           description: 资源类型ID（仅资源）
+ *         resource_type_display_name:
+ *           type: string
+ *         required_vip_level:
+ *           type: integer
+ *           description: 下载所需VIP等级（仅资源）
+ *         board_id:
+ *           type: integer
+ *           description: 所属版块ID（仅帖子）
+ *         board_display_name:
+ *           type: string
+ *         author_id:
+ *           type: integer
+ *           description: 帖子作者ID（仅帖子）
+ *         name:
+ *           type: string
+ *           description: 标签标识（仅标签）
+ *         color:
+ *           type: string
+ *           description: 标签颜色（仅标签）
+ *
+ *     SearchFacetItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         display_name:
+ *           type: string
+ *         count:
+ *           type: integer
+ *           description: 命中数量
+ *
+ *     SearchFacets:
+ *       type: object
+ *       properties:
+ *         types:
+ *           type: array
+ *           description: 按结果类型统计
+ *           items:
+ *             type: object
+ *             properties:
+ *               value:
+ *                 type: string
+ *                 enum: [resource, post, tag]
+ *               count:
+ *                 type: integer
+ *         categories:
+ *           type: array
+ *           description: 按资源分类统计（前20项）
+ *           items:
+ *             $ref: '#/components/schemas/SearchFacetItem'
+ *         tags:
+ *           type: array
+ *           description: 按标签统计（前20项）
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SearchFacetItem'
+ *               - type: object
+ *                 properties:
+ *                   color:
+ *                     type: string
+ *         resource_types:
+ *           type: array
+ *           description: 按资源类型统计
+ *           items:
+ *             $ref: '#/components/schemas/SearchFacetItem'
+ *         vip_levels:
+ *           type: array
+ *           description: 按下载所需VIP等级统计
+ *           items:
+ *             type: object
+ *             properties:
+ *               level:
+ *                 type: integer
+ *               count:
+ *                 type: integer
+ *
+ *     SearchResult:
+ *       type: object
+ *       properties:
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SearchHit'
+ *         facets:
+ *           $ref: '#/components/schemas/SearchFacets'
+ *         pagination:
+ *           $ref: '#/components/schemas/PaginationInfo'
+ *
+ *     SearchSuggestion:
+ *       type: object
+ *       properties:
+ *         text:
+ *           type: string
+ *           description: 联想文本
+ *           example: "vue3 入门"
+ *         type:
+ *           type: string
+ *           enum: [query, resource, post, tag]
+ *           description: 来源，query 表示历史搜索词
+ *           example: "query"
+ *         id:
+ *           type: integer
+ *           nullable: true
+ *           description: 资源/帖子/标签ID，历史搜索词为 null
+ *         count:
+ *           type: integer
+ *           description: 历史搜索词为搜索次数，其余为热度（资源下载量、帖子互动数、标签使用次数）
+ *           example: 36
+ *
+ *     SearchSuggestionList:
+ *       type: object
+ *       properties:
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SearchSuggestion'
+ *
+ *     SearchZeroResultReport:
+ *       type: object
+ *       properties:
+ *         summary:
+ *           type: object
+ *           properties:
+ *             days:
+ *               type: integer
+ *               example: 7
+ *             tracked_count:
+ *               type: integer
+ *               description: 记录了结果数量的搜索次数
+ *               example: 5230
+ *             zero_result_count:
+ *               type: integer
+ *               description: 无结果搜索次数
+ *               example: 412
+ *             zero_result_rate:
+ *               type: number
+ *               description: 无结果占比
+ *               example: 0.0788
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               keyword:
+ *                 type: string
+ *                 example: "黑神话"
+ *               normalized_keyword:
+ *                 type: string
+ *               search_type:
+ *                 type: string
+ *                 enum: [resource, community]
+ *               search_count:
+ *                 type: integer
+ *                 example: 57
+ *               unique_searchers:
+ *                 type: integer
+ *                 description: 搜索人数（按用户ID，未登录按IP）
+ *                 example: 41
+ *               first_searched_at:
+ *                 type: string
+ *                 format: date-time
+ *               last_searched_at:
+ *                 type: string
+ *                 format: date-time
+ *
+ *     SearchTrendReport:
+ *       type: object
+ *       properties:
+ *         days:
+ *           type: integer
+ *           example: 30
+ *         timeline:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               search_count:
+ *                 type: integer
+ *               zero_result_count:
+ *                 type: integer
+ *               unique_keywords:
+ *                 type: integer
+ *               unique_searchers:
+ *                 type: integer
+ *         keywords:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               keyword:
+ *                 type: string
+ *               normalized_keyword:
+ *                 type: string
+ *               search_count:
+ *                 type: integer
+ *                 description: 本周期搜索次数
+ *               previous_count:
+ *                 type: integer
+ *                 description: 上一个同长度周期搜索次数
+ *               zero_result_count:
+ *                 type: integer
+ *                 description: 本周期无结果次数
+ *               growth_rate:
+ *                 type: number
+ *                 nullable: true
+ *                 description: 增长率，上一周期无搜索时为 null
  */
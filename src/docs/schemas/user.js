@@ -200,6 +200,91 @@
  *                 pagination:
  *                   $ref: '#/components/schemas/PaginationInfo'
  *
+ *     UserFeedItem:
+ *       type: object
+ *       properties:
+ *         kind:
+ *           type: string
+ *           enum: [resource, resource_comment, community_post, community_comment]
+ *           description: 动态类型
+ *           example: "community_post"
+ *         id:
+ *           type: integer
+ *           description: 资源、评论或帖子ID
+ *           example: 88
+ *         activity_at:
+ *           type: string
+ *           format: date-time
+ *           description: 动态时间（资源与帖子为发布时间，评论为评论时间）
+ *           example: "2025-11-02T08:30:00.000Z"
+ *         reason:
+ *           type: string
+ *           enum: [following, board]
+ *           description: 出现在动态中的原因：关注的用户或订阅的版块
+ *           example: "following"
+ *         actor_id:
+ *           type: integer
+ *           description: 发布者用户ID
+ *           example: 12
+ *         actor_username:
+ *           type: string
+ *           example: "mentor"
+ *         actor_nickname:
+ *           type: string
+ *           nullable: true
+ *           example: "导师"
+ *         actor_avatar_url:
+ *           type: string
+ *           nullable: true
+ *           example: "https://example.com/avatar.jpg"
+ *         title:
+ *           type: string
+ *           description: 资源或帖子标题（评论为所属资源或帖子的标题）
+ *           example: "新手入门指南"
+ *         summary:
+ *           type: string
+ *           nullable: true
+ *           description: 摘要（评论为评论内容前200字）
+ *         cover_image_url:
+ *           type: string
+ *           nullable: true
+ *         target_id:
+ *           type: integer
+ *           description: 跳转目标ID（资源ID或帖子ID）
+ *           example: 88
+ *         target_slug:
+ *           type: string
+ *           nullable: true
+ *           description: 资源 slug
+ *         board_id:
+ *           type: integer
+ *           nullable: true
+ *           description: 帖子所属版块ID
+ *         board_name:
+ *           type: string
+ *           nullable: true
+ *           description: 帖子所属版块名称
+ *
+ *     UserFeedResponse:
+ *       allOf:
+ *         - $ref: '#/components/schemas/SuccessResponse'
+ *         - type: object
+ *           properties:
+ *             data:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserFeedItem'
+ *                 next_cursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: 下一页游标，没有更多数据时为 null
+ *                 has_more:
+ *                   type: boolean
+ *                   description: 是否还有更多动态
+ *
  *     CreatorStats:
  *       type: object
  *       properties:
@@ -284,6 +369,10 @@
  *           maxLength: 500
  *           description: 个人简介
  *           example: "新的个人简介"
+ *         notify_followers_on_publish:
+ *           type: boolean
+ *           description: 发布资源或帖子时是否通知粉丝
+ *           example: true
  * 
  *     ChangePasswordRequest:
  *       type: object
@@ -297,6 +297,189 @@
  *           description: 延长天数，0表示设置为永久
  *           example: 30
  * 
+ *     VIPPackage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 2
+ *         code:
+ *           type: string
+ *           description: 套餐编码
+ *           example: "vip1_30d"
+ *         name:
+ *           type: string
+ *           example: "VIP1 月卡"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         level:
+ *           type: integer
+ *           description: 购买后获得的VIP等级
+ *           example: 1
+ *         level_display_name:
+ *           type: string
+ *           description: 等级显示名称
+ *           example: "VIP会员"
+ *         days:
+ *           type: integer
+ *           description: VIP天数
+ *           example: 30
+ *         points_cost:
+ *           type: integer
+ *           description: 积分价格
+ *           example: 200
+ *         original_price:
+ *           type: integer
+ *           nullable: true
+ *           description: 原价（积分，用于展示）
+ *           example: 300
+ *         discount:
+ *           type: number
+ *           nullable: true
+ *           description: 折扣（0-1，用于展示）
+ *           example: 0.67
+ *         price:
+ *           type: number
+ *           nullable: true
+ *           description: 现金价格（元），设置后可在线支付购买，null表示仅支持积分购买
+ *           example: 19.9
+ *         per_user_limit:
+ *           type: integer
+ *           nullable: true
+ *           description: 每人限购次数，null表示不限
+ *           example: null
+ *         available_from:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: 开售时间，null表示立即
+ *         available_until:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: 停售时间，null表示长期
+ *         sort_order:
+ *           type: integer
+ *           description: 排序（升序，仅管理端返回）
+ *           example: 20
+ *         is_active:
+ *           type: boolean
+ *           description: 是否上架（仅管理端返回）
+ *         sold_count:
+ *           type: integer
+ *           description: 已售数量（仅管理端返回）
+ *           example: 128
+ * 
+ *     VIPPackageRequest:
+ *       type: object
+ *       description: 创建时 code、name、level、days、points_cost 必填；更新时仅提交需要修改的字段
+ *       properties:
+ *         code:
+ *           type: string
+ *           pattern: '^[a-z0-9_]{1,50}$'
+ *           example: "vip2_90d"
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           example: "VIP2 季卡"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         level:
+ *           type: integer
+ *           minimum: 1
+ *           description: 须为已启用的VIP等级
+ *           example: 2
+ *         days:
+ *           type: integer
+ *           minimum: 1
+ *           example: 90
+ *         points_cost:
+ *           type: integer
+ *           minimum: 0
+ *           example: 1000
+ *         original_price:
+ *           type: integer
+ *           minimum: 0
+ *           nullable: true
+ *           example: 1800
+ *         discount:
+ *           type: number
+ *           nullable: true
+ *           description: 不传时按 points_cost / original_price 计算
+ *           example: 0.56
+ *         price:
+ *           type: number
+ *           nullable: true
+ *           description: 现金价格（元）；设置现金价格且 points_cost 为0时仅支持在线支付
+ *           example: 49.9
+ *         per_user_limit:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *           example: 1
+ *         available_from:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         available_until:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         sort_order:
+ *           type: integer
+ *           example: 50
+ *         is_active:
+ *           type: boolean
+ *           example: true
+ * 
+ *     VIPPackagePurchaseResult:
+ *       type: object
+ *       properties:
+ *         package:
+ *           $ref: '#/components/schemas/VIPPackage'
+ *         purchase:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             package_id:
+ *               type: integer
+ *             level:
+ *               type: integer
+ *             days:
+ *               type: integer
+ *             points_cost:
+ *               type: integer
+ *             vip_expire_at:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             created_at:
+ *               type: string
+ *               format: date-time
+ *         vip:
+ *           type: object
+ *           properties:
+ *             is_vip:
+ *               type: boolean
+ *             vip_level:
+ *               type: integer
+ *             vip_expire_at:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               description: null表示永久VIP
+ *             vip_activated_at:
+ *               type: string
+ *               format: date-time
+ *         points_balance:
+ *           type: integer
+ *           nullable: true
+ *           description: 扣除后的积分余额（0积分套餐为null）
+ *           example: 320
+ * 
  *     VIPOrder:
  *       type: object
  *       properties:
@@ -5,6 +5,7 @@
 
 const { verifyAccessToken } = require('../utils/jwt');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
 const { logger } = require('../utils/logger');
 
 /**
@@ -25,6 +26,14 @@ const authenticateToken = async (req, res, next) => {
 
     // 验证令牌
     const decoded = verifyAccessToken(token);
+
+    // 会话被撤销（登出、下线设备等）后，尚未过期的访问令牌立即失效
+    if (decoded.sid && !(await RefreshToken.isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: '会话已失效，请重新登录'
+      });
+    }
     
     // 查询用户信息
     const user = await User.findById(decoded.userId);
@@ -49,7 +58,8 @@ const authenticateToken = async (req, res, next) => {
     // 将用户信息和角色添加到请求对象
     req.user = {
       ...user,
-      roles: userRoles
+      roles: userRoles,
+      session_id: decoded.sid || null
     };
     next();
   } catch (error) {
@@ -148,14 +158,16 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = verifyAccessToken(token);
-      const user = await User.findById(decoded.userId);
+      const sessionActive = !decoded.sid || await RefreshToken.isSessionActive(decoded.sid);
+      const user = sessionActive ? await User.findById(decoded.userId) : null;
       
       if (user && user.status === 'normal') {
         // 为可选认证也加载角色信息
         const userRoles = await User.getUserRoles(decoded.userId);
         req.user = {
           ...user,
-          roles: userRoles
+          roles: userRoles,
+          session_id: decoded.sid || null
         };
       }
     }
@@ -0,0 +1,145 @@
+/**
+ * 个人动态数据模型
+ * 读时合并关注用户发布的资源、帖子、评论及订阅版块的新帖子，按 (时间, 类型, ID) 游标分页
+ */
+
+const { query } = require('../config/database');
+
+const KINDS = ['resource', 'resource_comment', 'community_post', 'community_comment'];
+
+class ActivityFeed {
+  static get KINDS() {
+    return KINDS;
+  }
+
+  /**
+   * 获取用户动态
+   * 各来源先按游标各取 limit + 1 条再合并排序，调用方据此判断是否还有下一页
+   * @param {number} userId
+   * @param {Object} [options]
+   * @param {Object} [options.cursor] - {t: ISO时间, k: 类型, id}，为空时从最新开始
+   * @param {number} [options.limit=20]
+   * @returns {Promise<Array>}
+   */
+  static async findForUser(userId, { cursor = null, limit = 20 } = {}) {
+    const fetchLimit = limit + 1;
+    const params = [userId, cursor?.t || null, cursor?.k || null, cursor?.id || null, fetchLimit];
+
+    const before = (activityExpr, kind, idExpr) =>
+      `($2::timestamptz IS NULL OR (${activityExpr}, '${kind}'::text, ${idExpr}) < ($2::timestamptz, $3::text, $4::integer))`;
+
+    const resourceAt = `date_trunc('milliseconds', COALESCE(r.published_at, r.created_at)::timestamptz)`;
+    const resourceCommentAt = `date_trunc('milliseconds', rc.created_at::timestamptz)`;
+    const postAt = `date_trunc('milliseconds', COALESCE(p.published_at, p.created_at))`;
+    const commentAt = `date_trunc('milliseconds', c.created_at)`;
+
+    const result = await query(
+      `WITH followed AS (
+         SELECT following_id AS user_id FROM user_follows WHERE follower_id = $1
+       ),
+       subscribed AS (
+         SELECT board_id FROM community_board_subscriptions WHERE user_id = $1
+       ),
+       feed AS (
+         (SELECT 'resource'::text AS kind, r.id, ${resourceAt} AS activity_at,
+                 r.author_id AS actor_id, 'following'::text AS reason,
+                 r.title, r.summary, r.cover_image_url,
+                 r.id AS target_id, r.slug AS target_slug,
+                 NULL::integer AS board_id, NULL::text AS board_name
+          FROM resources r
+          WHERE r.author_id IN (SELECT user_id FROM followed)
+            AND r.status = 'published'
+            AND r.is_public = TRUE
+            AND ${before(resourceAt, 'resource', 'r.id')}
+          ORDER BY ${resourceAt} DESC, r.id DESC
+          LIMIT $5)
+         UNION ALL
+         (SELECT 'resource_comment'::text, rc.id, ${resourceCommentAt},
+                 rc.user_id, 'following'::text,
+                 r.title, LEFT(rc.content, 200), r.cover_image_url,
+                 r.id, r.slug,
+                 NULL::integer, NULL::text
+          FROM resource_comments rc
+          JOIN resources r ON r.id = rc.resource_id
+          WHERE rc.user_id IN (SELECT user_id FROM followed)
+            AND rc.is_approved = TRUE
+            AND r.status = 'published'
+            AND r.is_public = TRUE
+            AND ${before(resourceCommentAt, 'resource_comment', 'rc.id')}
+          ORDER BY ${resourceCommentAt} DESC, rc.id DESC
+          LIMIT $5)
+         UNION ALL
+         (SELECT 'community_post'::text, p.id, ${postAt},
+                 p.author_id,
+                 CASE WHEN p.author_id IN (SELECT user_id FROM followed) THEN 'following' ELSE 'board' END,
+                 p.title, p.summary, NULL::varchar,
+                 p.id, NULL::varchar,
+                 b.id, b.display_name
+          FROM community_posts p
+          JOIN community_boards b ON b.id = p.board_id AND b.is_active = TRUE
+          WHERE (p.author_id IN (SELECT user_id FROM followed) OR p.board_id IN (SELECT board_id FROM subscribed))
+            AND p.author_id <> $1
+            AND p.status = 'published'
+            AND ${before(postAt, 'community_post', 'p.id')}
+          ORDER BY ${postAt} DESC, p.id DESC
+          LIMIT $5)
+         UNION ALL
+         (SELECT 'community_comment'::text, c.id, ${commentAt},
+                 c.author_id, 'following'::text,
+                 p.title, LEFT(c.content, 200), NULL::varchar,
+                 p.id, NULL::varchar,
+                 b.id, b.display_name
+          FROM community_comments c
+          JOIN community_posts p ON p.id = c.post_id AND p.status = 'published'
+          JOIN community_boards b ON b.id = p.board_id AND b.is_active = TRUE
+          WHERE c.author_id IN (SELECT user_id FROM followed)
+            AND c.is_deleted = FALSE
+            AND ${before(commentAt, 'community_comment', 'c.id')}
+          ORDER BY ${commentAt} DESC, c.id DESC
+          LIMIT $5)
+       )
+       SELECT f.*, u.username AS actor_username, u.nickname AS actor_nickname, u.avatar_url AS actor_avatar_url
+       FROM feed f
+       JOIN users u ON u.id = f.actor_id
+       ORDER BY f.activity_at DESC, f.kind DESC, f.id DESC
+       LIMIT $5`,
+      params
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 登记发布通知，同一目标只登记一次
+   * @param {Object} params
+   * @param {number} params.authorId
+   * @param {string} params.targetType - resource/community_post
+   * @param {number} params.targetId
+   * @returns {Promise<Object|null>} 已登记过时返回 null
+   */
+  static async claimPublishNotification({ authorId, targetType, targetId }) {
+    const result = await query(
+      `INSERT INTO follower_publish_notifications (author_id, target_type, target_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (target_type, target_id) DO NOTHING
+       RETURNING *`,
+      [authorId, targetType, targetId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 记录发布通知的接收人数
+   * @param {number} id
+   * @param {number} recipients
+   */
+  static async finishPublishNotification(id, recipients) {
+    await query(
+      'UPDATE follower_publish_notifications SET recipients = $2 WHERE id = $1',
+      [id, recipients]
+    );
+  }
+}
+
+module.exports = ActivityFeed;
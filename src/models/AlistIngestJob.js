@@ -0,0 +1,238 @@
+const { query } = require('../config/database');
+
+const ACTIVE_STATUSES = ['pending', 'running'];
+const MAX_STORED_ERRORS = 200;
+
+class AlistIngestJob {
+  static get ACTIVE_STATUSES() {
+    return ACTIVE_STATUSES;
+  }
+
+  static async create(settingId, triggeredBy = null) {
+    // 依赖部分唯一索引，同一配置已有未结束任务时不会重复创建
+    const result = await query(
+      `INSERT INTO alist_ingest_jobs (setting_id, triggered_by)
+       VALUES ($1, $2)
+       ON CONFLICT (setting_id) WHERE status IN ('pending', 'running')
+       DO NOTHING
+       RETURNING *`,
+      [settingId, triggeredBy]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async findById(id) {
+    const result = await query('SELECT * FROM alist_ingest_jobs WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  static async findActiveBySetting(settingId) {
+    const result = await query(
+      `SELECT * FROM alist_ingest_jobs
+       WHERE setting_id = $1 AND status = ANY($2)
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [settingId, ACTIVE_STATUSES]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async findAll({ page = 1, limit = 20, settingId = null, status = null } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (settingId) {
+      values.push(settingId);
+      conditions.push(`j.setting_id = $${values.length}`);
+    }
+
+    if (status) {
+      values.push(status);
+      conditions.push(`j.status = $${values.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const offset = (page - 1) * limit;
+
+    const countResult = await query(
+      `SELECT COUNT(*) AS total FROM alist_ingest_jobs j ${whereClause}`,
+      values
+    );
+
+    const result = await query(
+      `SELECT j.*, s.title AS setting_title, s.alist_root_path
+       FROM alist_ingest_jobs j
+       LEFT JOIN alist_ingest_settings s ON j.setting_id = s.id
+       ${whereClause}
+       ORDER BY j.created_at DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+
+    const total = parseInt(countResult.rows[0].total, 10);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      data: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * 认领一个待执行任务，或心跳超时（进程崩溃/重启遗留）的运行中任务
+   * 使用 SKIP LOCKED 保证多进程下同一任务只会被一个进程认领
+   */
+  static async claimNext(workerId, staleSeconds) {
+    const result = await query(
+      `UPDATE alist_ingest_jobs
+       SET status = 'running',
+           worker_id = $1,
+           heartbeat_at = CURRENT_TIMESTAMP,
+           started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = (
+         SELECT id FROM alist_ingest_jobs
+         WHERE cancel_requested = FALSE
+           AND (
+             status = 'pending'
+             OR (status = 'running' AND heartbeat_at < CURRENT_TIMESTAMP - ($2::INTEGER * INTERVAL '1 second'))
+           )
+         ORDER BY created_at ASC
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [workerId, staleSeconds]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 关闭已请求取消但执行进程已失联的任务
+   */
+  static async closeAbandonedCancellations(staleSeconds) {
+    const result = await query(
+      `UPDATE alist_ingest_jobs
+       SET status = 'cancelled',
+           finished_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'running'
+         AND cancel_requested = TRUE
+         AND heartbeat_at < CURRENT_TIMESTAMP - ($1::INTEGER * INTERVAL '1 second')`,
+      [staleSeconds]
+    );
+
+    return result.rowCount || 0;
+  }
+
+  /**
+   * 放回队列，等待下次轮询再执行
+   */
+  static async release(id, workerId) {
+    const result = await query(
+      `UPDATE alist_ingest_jobs
+       SET status = 'pending', worker_id = NULL, heartbeat_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND worker_id = $2 AND status = 'running'
+       RETURNING *`,
+      [id, workerId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async setTotalFolders(id, workerId, totalFolders) {
+    const result = await query(
+      `UPDATE alist_ingest_jobs
+       SET total_folders = $3, heartbeat_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND worker_id = $2 AND status = 'running'
+       RETURNING *`,
+      [id, workerId, totalFolders]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 记录单个目录的处理结果并推进游标
+   * 只有仍由当前进程持有的任务会被更新；返回null表示任务已被其他进程接管
+   */
+  static async checkpoint(id, workerId, { cursor, outcome, folder = null, error = null }) {
+    const errorEntry = error
+      ? JSON.stringify([{ folder, error, at: new Date().toISOString() }])
+      : '[]';
+
+    const result = await query(
+      `UPDATE alist_ingest_jobs
+       SET cursor = $3,
+           processed_count = processed_count + 1,
+           created_count = created_count + CASE WHEN $4 = 'created' THEN 1 ELSE 0 END,
+           updated_count = updated_count + CASE WHEN $4 = 'updated' THEN 1 ELSE 0 END,
+           skipped_count = skipped_count + CASE WHEN $4 = 'skipped' THEN 1 ELSE 0 END,
+           failed_count = failed_count + CASE WHEN $4 = 'failed' THEN 1 ELSE 0 END,
+           errors = CASE
+             WHEN jsonb_array_length(errors) < $6 THEN errors || $5::jsonb
+             ELSE errors
+           END,
+           heartbeat_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND worker_id = $2 AND status = 'running'
+       RETURNING *`,
+      [id, workerId, cursor, outcome, errorEntry, MAX_STORED_ERRORS]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async finish(id, workerId, status, lastError = null) {
+    const result = await query(
+      `UPDATE alist_ingest_jobs
+       SET status = $3,
+           last_error = $4,
+           finished_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND worker_id = $2 AND status = 'running'
+       RETURNING *`,
+      [id, workerId, status, lastError?.substring(0, 500) || null]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 请求取消任务：排队中的任务直接取消，运行中的任务在下一个目录检查点停止
+   */
+  static async requestCancel(id) {
+    const result = await query(
+      `UPDATE alist_ingest_jobs
+       SET cancel_requested = TRUE,
+           status = CASE WHEN status = 'pending' THEN 'cancelled' ELSE status END,
+           finished_at = CASE WHEN status = 'pending' THEN CURRENT_TIMESTAMP ELSE finished_at END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = ANY($2)
+       RETURNING *`,
+      [id, ACTIVE_STATUSES]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static getProgress(job) {
+    if (!job.total_folders) {
+      return job.status === 'completed' ? 100 : 0;
+    }
+
+    return Math.min(100, Math.round((job.processed_count / job.total_folders) * 100));
+  }
+}
+
+module.exports = AlistIngestJob;
@@ -0,0 +1,120 @@
+const { query } = require('../config/database');
+
+const MAX_STORED_ERRORS = 200;
+
+class AlistIngestScheduleRun {
+  /**
+   * 登记一次定时触发；同一配置同一触发时间只会有一个进程登记成功
+   * @returns {Promise<Object|null>} 登记失败（已被其他进程登记）时返回null
+   */
+  static async claim(settingId, scheduledFor, { cronExpression, workerId }) {
+    const result = await query(
+      `INSERT INTO alist_ingest_schedule_runs (setting_id, scheduled_for, cron_expression, worker_id)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (setting_id, scheduled_for) DO NOTHING
+       RETURNING *`,
+      [settingId, scheduledFor, cronExpression, workerId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async finish(id, status, { results = null, message = null } = {}) {
+    const errors = results?.errors || [];
+
+    const result = await query(
+      `UPDATE alist_ingest_schedule_runs
+       SET status = $2,
+           total_folders = $3,
+           created_count = $4,
+           updated_count = $5,
+           skipped_count = $6,
+           failed_count = $7,
+           errors = $8::jsonb,
+           message = $9,
+           finished_at = CURRENT_TIMESTAMP,
+           duration_ms = (EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at)) * 1000)::INTEGER
+       WHERE id = $1
+       RETURNING *`,
+      [
+        id,
+        status,
+        results?.totalFolders || 0,
+        results?.created?.length || 0,
+        results?.updated?.length || 0,
+        results?.skipped?.length || 0,
+        errors.length,
+        JSON.stringify(errors.slice(0, MAX_STORED_ERRORS)),
+        message?.substring(0, 500) || null
+      ]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 将持锁前遗留的运行中记录标记为中断（执行进程已崩溃，锁随连接释放）
+   */
+  static async interruptOrphaned(settingId, exceptId) {
+    const result = await query(
+      `UPDATE alist_ingest_schedule_runs
+       SET status = 'interrupted',
+           message = '执行进程异常退出',
+           finished_at = CURRENT_TIMESTAMP
+       WHERE setting_id = $1 AND status = 'running' AND id <> $2`,
+      [settingId, exceptId]
+    );
+
+    return result.rowCount || 0;
+  }
+
+  static async findAll({ page = 1, limit = 20, settingId = null, status = null } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (settingId) {
+      values.push(settingId);
+      conditions.push(`r.setting_id = $${values.length}`);
+    }
+
+    if (status) {
+      values.push(status);
+      conditions.push(`r.status = $${values.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const offset = (page - 1) * limit;
+
+    const countResult = await query(
+      `SELECT COUNT(*) AS total FROM alist_ingest_schedule_runs r ${whereClause}`,
+      values
+    );
+
+    const result = await query(
+      `SELECT r.*, s.title AS setting_title, s.alist_root_path
+       FROM alist_ingest_schedule_runs r
+       LEFT JOIN alist_ingest_settings s ON r.setting_id = s.id
+       ${whereClause}
+       ORDER BY r.started_at DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+
+    const total = parseInt(countResult.rows[0].total, 10);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      data: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    };
+  }
+}
+
+module.exports = AlistIngestScheduleRun;
@@ -27,8 +27,9 @@ class AlistIngestSetting {
       const result = await query(
         `INSERT INTO alist_ingest_settings (
            title, alist_root_path, category_id, resource_type_id,
-           author_id, is_active
-         ) VALUES ($1, $2, $3, $4, $5, $6)
+           author_id, is_active, schedule_cron, schedule_enabled,
+           metadata_extractors, extractor_options
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
          RETURNING *`,
         [
           data.title,
@@ -36,7 +37,11 @@ class AlistIngestSetting {
           data.category_id || null,
           data.resource_type_id || null,
           data.author_id || null,
-          data.is_active !== undefined ? data.is_active : true
+          data.is_active !== undefined ? data.is_active : true,
+          data.schedule_cron || null,
+          Boolean(data.schedule_enabled),
+          JSON.stringify(data.metadata_extractors || ['markdown']),
+          JSON.stringify(data.extractor_options || {})
         ]
       );
 
@@ -57,6 +62,13 @@ class AlistIngestSetting {
       payload.alist_root_path = this.normalizePath(payload.alist_root_path);
     }
 
+    // JSONB 字段需序列化，否则数组会被 pg 转换为 PostgreSQL 数组
+    ['metadata_extractors', 'extractor_options'].forEach((key) => {
+      if (payload[key] !== undefined && payload[key] !== null) {
+        payload[key] = JSON.stringify(payload[key]);
+      }
+    });
+
     Object.entries(payload).forEach(([key, value]) => {
       if (value !== undefined) {
         fields.push(`${key} = $${paramIndex}`);
@@ -115,6 +127,23 @@ class AlistIngestSetting {
     }
   }
 
+  static async findScheduled() {
+    try {
+      const result = await query(
+        `SELECT *
+         FROM alist_ingest_settings
+         WHERE is_active = TRUE
+           AND schedule_enabled = TRUE
+           AND schedule_cron IS NOT NULL`
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('获取Alist定时入库配置失败:', error);
+      throw error;
+    }
+  }
+
   static async findAll({ is_active } = {}) {
     const conditions = [];
     const values = [];
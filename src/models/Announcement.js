@@ -0,0 +1,489 @@
+/**
+ * 系统公告数据模型
+ * 公告草稿、审核与发送状态，投放人群筛选，以及每次发送的投放记录与阅读统计
+ */
+
+const { query } = require('../config/database');
+
+// 可由撰写人编辑的字段
+const EDITABLE_FIELDS = [
+  'title',
+  'content',
+  'audience',
+  'scheduled_at',
+  'recurrence',
+  'recurrence_end_at'
+];
+
+// 状态流转时允许一并写入的字段
+const TRANSITION_FIELDS = [
+  'scheduled_at',
+  'next_run_at',
+  'submitted_at',
+  'reviewed_by',
+  'reviewed_at',
+  'review_note',
+  'last_error',
+  'updated_by'
+];
+
+const STATUSES = ['draft', 'pending_review', 'rejected', 'scheduled', 'sending', 'completed', 'cancelled', 'failed'];
+
+// 撰写人可修改、删除与提交审核的状态
+const EDITABLE_STATUSES = ['draft', 'rejected', 'failed'];
+
+class Announcement {
+  static get STATUSES() {
+    return STATUSES;
+  }
+
+  static get EDITABLE_STATUSES() {
+    return EDITABLE_STATUSES;
+  }
+
+  /**
+   * 根据投放人群构建用户筛选条件（用户表别名 u）
+   * 各条件之间为“且”关系，角色与VIP等级内部为“或”关系；仅投放给状态正常的用户
+   * @param {Object} audience
+   * @param {Array<string>} [audience.roles]
+   * @param {Array<number>} [audience.vip_levels]
+   * @param {string} [audience.registered_after]
+   * @param {string} [audience.registered_before]
+   * @param {number} [audience.active_within_days] - 最近N天内登录过
+   * @param {number} [audience.inactive_for_days] - 最近N天内未登录
+   * @param {Array} [params] - 已有的查询参数，条件参数追加在其后
+   * @returns {{conditions: Array<string>, params: Array}}
+   */
+  static buildAudienceFilter(audience = {}, params = []) {
+    const conditions = [`u.status = 'normal'`];
+
+    if (Array.isArray(audience.roles) && audience.roles.length > 0) {
+      params.push(audience.roles);
+      conditions.push(`EXISTS (
+        SELECT 1 FROM user_roles ur
+        JOIN roles r ON r.id = ur.role_id
+        WHERE ur.user_id = u.id AND r.name = ANY($${params.length})
+      )`);
+    }
+
+    if (Array.isArray(audience.vip_levels) && audience.vip_levels.length > 0) {
+      params.push(audience.vip_levels);
+      conditions.push(`u.is_vip = TRUE
+        AND (u.vip_expire_at IS NULL OR u.vip_expire_at > CURRENT_TIMESTAMP)
+        AND u.vip_level = ANY($${params.length})`);
+    }
+
+    if (audience.registered_after) {
+      params.push(audience.registered_after);
+      conditions.push(`u.created_at >= $${params.length}`);
+    }
+
+    if (audience.registered_before) {
+      params.push(audience.registered_before);
+      conditions.push(`u.created_at < $${params.length}`);
+    }
+
+    const loginWithin = (index) => `EXISTS (
+      SELECT 1 FROM user_login_logs l
+      WHERE l.user_id = u.id
+        AND l.status = 'success'
+        AND l.login_at >= CURRENT_TIMESTAMP - $${index} * INTERVAL '1 day'
+    )`;
+
+    if (audience.active_within_days) {
+      params.push(audience.active_within_days);
+      conditions.push(loginWithin(params.length));
+    }
+
+    if (audience.inactive_for_days) {
+      params.push(audience.inactive_for_days);
+      conditions.push(`NOT ${loginWithin(params.length)}`);
+    }
+
+    return { conditions, params };
+  }
+
+  /**
+   * 统计投放人群人数
+   * @param {Object} audience
+   * @returns {Promise<number>}
+   */
+  static async countAudience(audience) {
+    const { conditions, params } = this.buildAudienceFilter(audience);
+
+    const result = await query(
+      `SELECT COUNT(*)::INTEGER AS total FROM users u WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+
+    return result.rows[0].total;
+  }
+
+  /**
+   * 按用户ID顺序分块获取投放人群
+   * @param {Object} audience
+   * @param {number} afterId - 上一块最后一个用户ID
+   * @param {number} limit - 块大小
+   * @returns {Promise<Array<number>>}
+   */
+  static async findAudienceChunk(audience, afterId, limit) {
+    const { conditions, params } = this.buildAudienceFilter(audience, [afterId, limit]);
+
+    const result = await query(
+      `SELECT u.id
+       FROM users u
+       WHERE u.id > $1 AND ${conditions.join(' AND ')}
+       ORDER BY u.id
+       LIMIT $2`,
+      params
+    );
+
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * 获取公告列表
+   * @param {Object} [filters]
+   * @param {string} [filters.status]
+   * @param {number} [filters.page=1]
+   * @param {number} [filters.limit=20]
+   * @returns {Promise<Object>}
+   */
+  static async findAll({ status = null, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    const params = [];
+    let where = '';
+
+    if (STATUSES.includes(status)) {
+      params.push(status);
+      where = 'WHERE a.status = $1';
+    }
+
+    const countResult = await query(
+      `SELECT COUNT(*)::INTEGER AS total FROM announcements a ${where}`,
+      params
+    );
+
+    const result = await query(
+      `SELECT a.*,
+              creator.username AS created_by_username,
+              reviewer.username AS reviewed_by_username
+       FROM announcements a
+       LEFT JOIN users creator ON creator.id = a.created_by
+       LEFT JOIN users reviewer ON reviewer.id = a.reviewed_by
+       ${where}
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const total = countResult.rows[0].total;
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      data: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * 根据ID获取公告
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const result = await query(
+      `SELECT a.*,
+              creator.username AS created_by_username,
+              reviewer.username AS reviewed_by_username
+       FROM announcements a
+       LEFT JOIN users creator ON creator.id = a.created_by
+       LEFT JOIN users reviewer ON reviewer.id = a.reviewed_by
+       WHERE a.id = $1`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 创建公告草稿
+   * @param {Object} data - 已校验的公告字段
+   * @param {number} operatorId - 撰写人
+   * @returns {Promise<Object>}
+   */
+  static async create(data, operatorId) {
+    const columns = EDITABLE_FIELDS.filter((field) => data[field] !== undefined);
+    const values = columns.map((field) => (field === 'audience' ? JSON.stringify(data[field]) : data[field]));
+
+    columns.push('created_by', 'updated_by');
+    values.push(operatorId, operatorId);
+
+    const result = await query(
+      `INSERT INTO announcements (${columns.join(', ')})
+       VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+       RETURNING *`,
+      values
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * 更新草稿、已驳回或发送失败的公告，更新后回到草稿状态
+   * @param {number} id
+   * @param {Object} data - 已校验的公告字段
+   * @param {number} operatorId
+   * @returns {Promise<Object|null>} 公告不存在或状态不可编辑时返回 null
+   */
+  static async update(id, data, operatorId) {
+    const fields = EDITABLE_FIELDS.filter((field) => data[field] !== undefined);
+
+    if (fields.length === 0) {
+      throw new Error('没有提供更新数据');
+    }
+
+    const values = fields.map((field) => (field === 'audience' ? JSON.stringify(data[field]) : data[field]));
+    values.push(operatorId, id, EDITABLE_STATUSES);
+
+    const result = await query(
+      `UPDATE announcements
+       SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')},
+           status = 'draft',
+           updated_by = $${values.length - 2},
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${values.length - 1} AND status = ANY($${values.length})
+       RETURNING *`,
+      values
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 状态流转，当前状态不在 fromStatuses 中时不做修改
+   * @param {number} id
+   * @param {Array<string>} fromStatuses
+   * @param {string} toStatus
+   * @param {Object} [fields] - 一并写入的字段，见 TRANSITION_FIELDS
+   * @returns {Promise<Object|null>}
+   */
+  static async transition(id, fromStatuses, toStatus, fields = {}) {
+    const columns = TRANSITION_FIELDS.filter((field) => fields[field] !== undefined);
+    const values = [id, fromStatuses, toStatus, ...columns.map((field) => fields[field])];
+
+    const result = await query(
+      `UPDATE announcements
+       SET status = $3,
+           ${columns.map((field, index) => `${field} = $${index + 4}, `).join('')}updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = ANY($2)
+       RETURNING *`,
+      values
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 删除草稿、已驳回或发送失败且从未发送过的公告
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  static async delete(id) {
+    const result = await query(
+      `DELETE FROM announcements
+       WHERE id = $1 AND status = ANY($2) AND run_count = 0
+       RETURNING *`,
+      [id, EDITABLE_STATUSES]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 领取到期待发送的公告并标记为发送中
+   * 使用 SKIP LOCKED 保证多实例部署时同一公告只被一个进程领取
+   * @param {number} [limit=5]
+   * @returns {Promise<Array>}
+   */
+  static async claimDue(limit = 5) {
+    const result = await query(
+      `UPDATE announcements
+       SET status = 'sending', claimed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM announcements
+         WHERE status = 'scheduled' AND next_run_at <= CURRENT_TIMESTAMP
+         ORDER BY next_run_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 续期发送中公告的领取时间，表示发送仍在进行
+   * @param {number} id
+   */
+  static async renewClaim(id) {
+    await query(
+      `UPDATE announcements
+       SET claimed_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'sending'`,
+      [id]
+    );
+  }
+
+  /**
+   * 领取超过租约时间未续期的发送中公告（进程在发送过程中退出）
+   * 领取时刷新领取时间，避免多个进程同时回收
+   * @param {number} leaseMinutes - 租约时长（分钟）
+   * @param {number} [limit=5]
+   * @returns {Promise<Array>}
+   */
+  static async claimStale(leaseMinutes, limit = 5) {
+    const result = await query(
+      `UPDATE announcements
+       SET claimed_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM announcements
+         WHERE status = 'sending'
+           AND claimed_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 minute')
+         ORDER BY claimed_at
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [leaseMinutes, limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 记录一次发送结束后的公告状态
+   * @param {number} id
+   * @param {Object} params
+   * @param {string} params.status - scheduled（周期公告等待下次发送）/completed/failed
+   * @param {Date} [params.nextRunAt]
+   * @param {string} [params.lastError]
+   * @returns {Promise<Object>}
+   */
+  static async finishRun(id, { status, nextRunAt = null, lastError = null }) {
+    const result = await query(
+      `UPDATE announcements
+       SET status = $2,
+           next_run_at = $3,
+           last_error = $4,
+           last_run_at = CURRENT_TIMESTAMP,
+           run_count = run_count + 1,
+           claimed_at = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, status, nextRunAt, lastError]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * 创建投放记录
+   * @param {number} announcementId
+   * @param {number} runNo - 第几次发送
+   * @returns {Promise<Object>}
+   */
+  static async createDelivery(announcementId, runNo) {
+    const result = await query(
+      `INSERT INTO announcement_deliveries (announcement_id, run_no)
+       VALUES ($1, $2)
+       RETURNING *`,
+      [announcementId, runNo]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * 结束投放记录
+   * @param {number} deliveryId
+   * @param {Object} params
+   * @param {string} params.status - completed/failed
+   * @param {number} params.recipients - 已提交发送的用户数
+   * @param {number} params.chunks - 分块数
+   * @param {string} [params.errorMessage]
+   */
+  static async finishDelivery(deliveryId, { status, recipients, chunks, errorMessage = null }) {
+    await query(
+      `UPDATE announcement_deliveries
+       SET status = $2, recipients = $3, chunks = $4, error_message = $5, finished_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [deliveryId, status, recipients, chunks, errorMessage]
+    );
+  }
+
+  /**
+   * 将公告未结束的投放记录标记为失败
+   * @param {number} announcementId
+   * @param {string} errorMessage
+   */
+  static async failRunningDeliveries(announcementId, errorMessage) {
+    await query(
+      `UPDATE announcement_deliveries
+       SET status = 'failed', error_message = $2, finished_at = CURRENT_TIMESTAMP
+       WHERE announcement_id = $1 AND status = 'running'`,
+      [announcementId, errorMessage]
+    );
+  }
+
+  /**
+   * 获取公告的投放记录
+   * @param {number} announcementId
+   * @returns {Promise<Array>}
+   */
+  static async findDeliveries(announcementId) {
+    const result = await query(
+      `SELECT * FROM announcement_deliveries
+       WHERE announcement_id = $1
+       ORDER BY run_no DESC`,
+      [announcementId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 统计公告通知的送达与阅读情况
+   * @param {number} announcementId
+   * @returns {Promise<{delivered: number, read: number, read_rate: number}>}
+   */
+  static async getReadStats(announcementId) {
+    const result = await query(
+      `SELECT COUNT(*)::INTEGER AS delivered,
+              COUNT(*) FILTER (WHERE is_read = TRUE)::INTEGER AS read
+       FROM community_notifications
+       WHERE related_type = 'announcement' AND related_id = $1`,
+      [announcementId]
+    );
+
+    const { delivered, read } = result.rows[0];
+
+    return {
+      delivered,
+      read,
+      read_rate: delivered > 0 ? Number((read / delivered).toFixed(4)) : 0
+    };
+  }
+}
+
+module.exports = Announcement;
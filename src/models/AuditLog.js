@@ -140,6 +140,28 @@ class AuditLog {
     return countResult.rows[0]?.total || 0;
   }
 
+  /**
+   * 获取用户近期成功登录使用过的IP与User-Agent（用于识别新设备/新IP）
+   * @param {number} userId
+   * @param {Object} [options]
+   * @param {number} [options.days=180] - 回溯天数
+   * @param {number} [options.limit=200] - 最多返回的组合数
+   * @returns {Promise<Array<{ip_address: string, user_agent: string}>>}
+   */
+  static async getRecentLoginSources(userId, { days = 180, limit = 200 } = {}) {
+    const result = await query(
+      `SELECT ip_address, user_agent
+       FROM user_login_logs
+       WHERE user_id = $1 AND status = 'success' AND login_at > NOW() - ($2::INTEGER * INTERVAL '1 day')
+       GROUP BY ip_address, user_agent
+       ORDER BY MAX(login_at) DESC
+       LIMIT $3`,
+      [userId, days, limit]
+    );
+
+    return result.rows;
+  }
+
   /**
    * 登录日志摘要统计
    */
@@ -391,6 +413,12 @@ class AuditLog {
       index += 1;
     }
 
+    if (filters.failureReason) {
+      conditions.push(`failure_reason = $${index}`);
+      values.push(filters.failureReason);
+      index += 1;
+    }
+
     if (filters.identifier) {
       conditions.push(`identifier ILIKE $${index}`);
       values.push(`%${filters.identifier}%`);
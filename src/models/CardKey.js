@@ -212,6 +212,20 @@ class CardKey {
     return result.rows[0];
   }
 
+  /**
+   * 根据ID查询卡密
+   * @param {number} id
+   * @param {Object} [client] - 事务连接，传入时对卡密加行锁
+   */
+  static async findById(id, client = null) {
+    const runner = client || { query };
+    const result = await runner.query(
+      `SELECT * FROM card_keys WHERE id = $1 ${client ? 'FOR UPDATE' : ''}`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
   /**
    * 兑换卡密
    */
@@ -252,6 +266,9 @@ class CardKey {
         // 设置或延长VIP
         const VIP = require('./VIP');
         const user = await VIP.getUserVIPInfo(userId);
+        const previousVipLevel = user.is_vip && (!user.vip_expire_at || new Date(user.vip_expire_at) > new Date())
+          ? user.vip_level
+          : 0;
 
         let vipOperationResult;
         let vipAction;
@@ -285,7 +302,8 @@ class CardKey {
           duration_days: cardKey.vip_days,
           payment_method: 'card_key',
           order_no: 'CARD_' + Date.now() + '_' + userId,
-          card_key_code: code
+          card_key_code: code,
+          previous_vip_level: previousVipLevel
         };
         const createdOrder = await VIP.createOrder(orderData);
         result.order = await VIP.updateOrderStatus(createdOrder.id, 'paid');
@@ -295,14 +313,14 @@ class CardKey {
       if (cardKey.type === 'points' && cardKey.points > 0) {
         // 添加积分
         const Points = require('./Points');
-        result.pointsResult = await Points.addPoints(
-          userId,
-          cardKey.points,
-          'card_key',
-          `兑换卡密获得${cardKey.points}积分`,
-          cardKey.id,
-          'card_key'
-        );
+        result.pointsResult = await Points.addPoints(userId, {
+          points: cardKey.points,
+          source: 'card_key',
+          description: `兑换卡密获得${cardKey.points}积分`,
+          reference_id: cardKey.id,
+          reference_type: 'card_key',
+          idempotency_key: `card_key:${cardKey.id}`
+        });
 
         // 为积分卡密也创建订单记录
         const VIP = require('./VIP');
@@ -562,6 +580,22 @@ class CardKey {
     return result.rows[0];
   }
 
+  /**
+   * 标记已兑换卡密为已撤销
+   * @param {number} id
+   * @param {Object} client - 事务连接
+   */
+  static async markRevoked(id, client) {
+    const result = await client.query(
+      `UPDATE card_keys
+       SET status = 'revoked', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'used'
+       RETURNING *`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
   /**
    * 删除卡密
    */
@@ -102,6 +102,23 @@ class Category {
     return category;
   }
 
+  /**
+   * 根据分类名称或显示名称获取启用的分类
+   * @param {string} name - 分类名称或显示名称
+   * @returns {Promise<Object|null>} 分类信息
+   */
+  static async findByName(name) {
+    const result = await query(
+      `SELECT * FROM categories
+       WHERE is_active = true AND (name = $1 OR display_name = $1)
+       ORDER BY (name = $1) DESC
+       LIMIT 1`,
+      [name]
+    );
+
+    return result.rows[0] || null;
+  }
+
   /**
    * 获取所有分类（树形结构）
    * @param {boolean} includeInactive - 是否包含未激活的分类
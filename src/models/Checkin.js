@@ -453,14 +453,15 @@ class Checkin {
           ? `每日签到+${pointsEarned}积分，连续${newConsecutiveDays}天奖励+${bonusPoints}积分`
           : `每日签到获得${pointsEarned}积分`;
         
-        pointsResult = await Points.addPoints(
-          userId, 
-          totalPoints, 
-          'checkin', 
-          description, 
-          checkinResult.rows[0].id, 
-          'checkin'
-        );
+        pointsResult = await Points.addPoints(userId, {
+          points: totalPoints,
+          source: 'checkin',
+          description,
+          reference_id: checkinResult.rows[0].id,
+          reference_type: 'checkin',
+          idempotency_key: `checkin:${userId}:${today}`,
+          client
+        });
       }
 
       await client.query('COMMIT');
@@ -692,14 +693,15 @@ class Checkin {
       const checkinResult = await client.query(checkinQuery, checkinValues);
 
       // 增加用户积分
-      const pointsResult = await Points.addPoints(
-        userId, 
-        config.daily_points, 
-        'makeup_checkin', 
-        `补签${date}获得${config.daily_points}积分`, 
-        checkinResult.rows[0].id, 
-        'makeup_checkin'
-      );
+      const pointsResult = await Points.addPoints(userId, {
+        points: config.daily_points,
+        source: 'makeup_checkin',
+        description: `补签${date}获得${config.daily_points}积分`,
+        reference_id: checkinResult.rows[0].id,
+        reference_type: 'makeup_checkin',
+        idempotency_key: `checkin:${userId}:${date}`,
+        client
+      });
 
       await client.query('COMMIT');
 
@@ -318,6 +318,58 @@ class CommunityBoard {
     
     await query(sql, [boardId, userId]);
   }
+
+  /**
+   * 订阅板块
+   * @param {number} boardId - 板块ID
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Object|null>} 订阅记录，已订阅时返回null
+   */
+  static async subscribe(boardId, userId) {
+    const sql = `
+      INSERT INTO community_board_subscriptions (user_id, board_id)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id, board_id) DO NOTHING
+      RETURNING *
+    `;
+
+    const result = await query(sql, [userId, boardId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 取消订阅板块
+   * @param {number} boardId - 板块ID
+   * @param {number} userId - 用户ID
+   * @returns {Promise<boolean>} 是否存在订阅记录
+   */
+  static async unsubscribe(boardId, userId) {
+    const sql = `
+      DELETE FROM community_board_subscriptions
+      WHERE user_id = $1 AND board_id = $2
+    `;
+
+    const result = await query(sql, [userId, boardId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * 获取用户订阅的板块
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Array>} 板块列表，含订阅时间
+   */
+  static async getSubscribedBoards(userId) {
+    const sql = `
+      SELECT b.*, s.created_at AS subscribed_at
+      FROM community_board_subscriptions s
+      JOIN community_boards b ON b.id = s.board_id
+      WHERE s.user_id = $1 AND b.is_active = true
+      ORDER BY b.sort_order ASC, s.created_at DESC
+    `;
+
+    const result = await query(sql, [userId]);
+    return result.rows;
+  }
 }
 
 module.exports = CommunityBoard;
@@ -4,6 +4,7 @@
  */
 
 const { query } = require('../config/database');
+const { renderColumns } = require('../utils/contentPipeline');
 const NotificationService = require('../services/NotificationService');
 
 class CommunityComment {
@@ -134,7 +135,8 @@ class CommunityComment {
         u.avatar_url as author_avatar,
         ru.username as reply_to_username,
         ru.nickname as reply_to_nickname,
-        cp.title as post_title
+        cp.title as post_title,
+        cp.board_id as post_board_id
         ${userId ? `,
         (SELECT COUNT(*) > 0 FROM community_likes cl 
          WHERE cl.user_id = $2 AND cl.target_type = 'comment' AND cl.target_id = cc.id) as is_liked
@@ -195,12 +197,17 @@ class CommunityComment {
       // 创建评论
       const sql = `
         INSERT INTO community_comments (
-          content, author_id, post_id, parent_id, reply_to_user_id, floor_number
-        ) VALUES ($1, $2, $3, $4, $5, $6)
+          content, author_id, post_id, parent_id, reply_to_user_id, floor_number,
+          content_html, content_meta, content_render_version
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
         RETURNING *
       `;
 
-      const params = [content, authorId, postId, parentId, replyToUserId, floorNumber];
+      const rendered = renderColumns('community_comment', content);
+      const params = [
+        content, authorId, postId, parentId, replyToUserId, floorNumber,
+        rendered.content_html, rendered.content_meta, rendered.content_render_version
+      ];
       const result = await client.query(sql, params);
       const comment = result.rows[0];
 
@@ -315,6 +322,15 @@ class CommunityComment {
       throw new Error('没有有效的更新字段');
     }
 
+    if (updateData.content !== undefined) {
+      const rendered = renderColumns('community_comment', updateData.content);
+      for (const [column, value] of Object.entries(rendered)) {
+        updates.push(`${column} = $${paramIndex}`);
+        params.push(value);
+        paramIndex++;
+      }
+    }
+
     params.push(id);
     const sql = `
       UPDATE community_comments 
@@ -5,6 +5,7 @@
 
 const { query, getClient } = require('../config/database');
 const NotificationService = require('../services/NotificationService');
+const CommunityPunishment = require('./CommunityPunishment');
 
 class CommunityInteraction {
   /**
@@ -528,10 +529,11 @@ class CommunityInteraction {
    * 处理举报
    * @param {number} reportId - 举报ID
    * @param {Object} handleData - 处理数据
-   * @returns {Promise<Object>} 处理结果
+   * @param {Object} [handleData.punishment] - 同时对被举报内容作者施加的处罚
+   * @returns {Promise<Object>} 处理结果，附带 punishment 字段
    */
   static async handleReport(reportId, handleData) {
-    const { handlerId, status, handlerNote } = handleData;
+    const { handlerId, status, handlerNote, punishment = null } = handleData;
 
     const sql = `
       UPDATE community_reports 
@@ -540,8 +542,85 @@ class CommunityInteraction {
       RETURNING *
     `;
 
-    const result = await query(sql, [status, handlerId, handlerNote, reportId]);
-    return result.rows[0];
+    if (!punishment) {
+      const result = await query(sql, [status, handlerId, handlerNote, reportId]);
+      return result.rows[0];
+    }
+
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(sql, [status, handlerId, handlerNote, reportId]);
+      const report = result.rows[0];
+
+      if (!report) {
+        await client.query('ROLLBACK');
+        return undefined;
+      }
+
+      const target = await this.resolveReportTarget(report, client);
+      if (!target || !target.userId) {
+        throw new Error('无法确定被举报内容的作者');
+      }
+
+      report.punishment = await CommunityPunishment.create({
+        userId: target.userId,
+        type: punishment.type,
+        boardId: punishment.boardId || target.boardId,
+        reason: punishment.reason || report.reason,
+        description: punishment.description || handlerNote || null,
+        durationHours: punishment.durationHours ?? null,
+        operatorId: handlerId,
+        reportId: report.id
+      }, client);
+
+      await client.query('COMMIT');
+      return report;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * 解析举报目标对应的用户及版块
+   * @param {Object} report - 举报记录
+   * @param {Object} [client] - 事务客户端
+   * @returns {Promise<Object|null>} { userId, boardId }
+   */
+  static async resolveReportTarget(report, client = null) {
+    const run = (text, params) => (client ? client.query(text, params) : query(text, params));
+
+    if (report.target_type === 'post') {
+      const result = await run(
+        'SELECT author_id, board_id FROM community_posts WHERE id = $1',
+        [report.target_id]
+      );
+      const post = result.rows[0];
+      return post ? { userId: post.author_id, boardId: post.board_id } : null;
+    }
+
+    if (report.target_type === 'comment') {
+      const result = await run(
+        `SELECT cc.author_id, cp.board_id
+         FROM community_comments cc
+         JOIN community_posts cp ON cc.post_id = cp.id
+         WHERE cc.id = $1`,
+        [report.target_id]
+      );
+      const comment = result.rows[0];
+      return comment ? { userId: comment.author_id, boardId: comment.board_id } : null;
+    }
+
+    if (report.target_type === 'user') {
+      return { userId: report.target_id, boardId: null };
+    }
+
+    return null;
   }
 
   /**
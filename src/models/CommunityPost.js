@@ -4,6 +4,8 @@
  */
 
 const { query, getClient } = require('../config/database');
+const { buildTsQuery } = require('../utils/searchTokenizer');
+const { renderColumns } = require('../utils/contentPipeline');
 
 class CommunityPost {
   /**
@@ -237,6 +239,7 @@ class CommunityPost {
     // 如果不需要包含内容（用于列表显示），则移除content字段
     if (!includeContent) {
       delete post.content;
+      delete post.content_html;
     }
 
     return post;
@@ -268,13 +271,18 @@ class CommunityPost {
       // 创建帖子
       const postSql = `
         INSERT INTO community_posts (
-          title, content, content_type, summary, author_id, board_id, status, published_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          title, content, content_type, summary, author_id, board_id, status, published_at,
+          content_html, content_meta, content_render_version
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
         RETURNING *
       `;
 
       const publishedAt = status === 'published' ? new Date() : null;
-      const postParams = [title, content, contentType, summary, authorId, boardId, status, publishedAt];
+      const rendered = renderColumns('community_post', content, contentType);
+      const postParams = [
+        title, content, contentType, summary, authorId, boardId, status, publishedAt,
+        rendered.content_html, rendered.content_meta, rendered.content_render_version
+      ];
       
       const postResult = await client.query(postSql, postParams);
       const post = postResult.rows[0];
@@ -319,6 +327,7 @@ class CommunityPost {
 
     const updates = [];
     const params = [];
+    const changes = {};
     let paramIndex = 1;
 
     Object.keys(updateData).forEach(key => {
@@ -326,6 +335,7 @@ class CommunityPost {
       if (allowedFields.includes(dbField)) {
         updates.push(`${dbField} = $${paramIndex}`);
         params.push(updateData[key]);
+        changes[dbField] = updateData[key];
         paramIndex++;
       }
     });
@@ -348,6 +358,26 @@ class CommunityPost {
           paramIndex++;
         }
 
+        // 内容或格式变化时按修改后的内容重新渲染
+        if (changes.content !== undefined || changes.content_type !== undefined) {
+          const currentResult = await client.query(
+            'SELECT content, content_type FROM community_posts WHERE id = $1 FOR UPDATE',
+            [id]
+          );
+          const current = currentResult.rows[0] || {};
+          const rendered = renderColumns(
+            'community_post',
+            changes.content !== undefined ? changes.content : current.content,
+            changes.content_type !== undefined ? changes.content_type : current.content_type
+          );
+
+          for (const [column, value] of Object.entries(rendered)) {
+            updates.push(`${column} = $${paramIndex}`);
+            params.push(value);
+            paramIndex++;
+          }
+        }
+
         params.push(id);
         const sql = `
           UPDATE community_posts 
@@ -582,41 +612,59 @@ class CommunityPost {
   static async search(keyword, options = {}) {
     const { page = 1, limit = 20, boardId } = options;
     
-    // 使用PostgreSQL全文搜索
-    let sql = `
-      SELECT 
-        cp.*,
-        u.username as author_username,
-        u.nickname as author_nickname,
-        u.avatar_url as author_avatar,
-        cb.display_name as board_display_name,
-        ts_rank(to_tsvector('english', cp.title || ' ' || cp.content), plainto_tsquery('english', $1)) as rank
+    const tsQuery = buildTsQuery(keyword);
+    if (!tsQuery) {
+      return {
+        data: [],
+        pagination: { page, limit, total: 0, totalPages: 0 }
+      };
+    }
+
+    // 使用搜索索引（中文二元组分词）检索
+    let fromClause = `
       FROM community_posts cp
+      JOIN search_documents sd ON sd.doc_type = 'post' AND sd.doc_id = cp.id
       JOIN users u ON cp.author_id = u.id
       JOIN community_boards cb ON cp.board_id = cb.id
       WHERE cp.status = 'published'
-        AND to_tsvector('english', cp.title || ' ' || cp.content) @@ plainto_tsquery('english', $1)
+        AND sd.search_vector @@ $1::tsquery
     `;
 
-    const params = [keyword];
+    const params = [tsQuery];
     let paramIndex = 2;
 
     if (boardId) {
-      sql += ` AND cp.board_id = $${paramIndex}`;
+      fromClause += ` AND cp.board_id = $${paramIndex}`;
       params.push(boardId);
       paramIndex++;
     }
 
-    sql += ' ORDER BY rank DESC, cp.created_at DESC';
-    sql += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-    
-    const offset = (page - 1) * limit;
-    params.push(limit, offset);
+    const countResult = await query(`SELECT COUNT(*) AS total ${fromClause}`, params);
+    const total = parseInt(countResult.rows[0].total, 10);
 
-    const result = await query(sql, params);
+    const sql = `
+      SELECT 
+        cp.*,
+        u.username as author_username,
+        u.nickname as author_nickname,
+        u.avatar_url as author_avatar,
+        cb.display_name as board_display_name,
+        ts_rank_cd(sd.search_vector, $1::tsquery) as rank
+      ${fromClause}
+      ORDER BY rank DESC, cp.created_at DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `;
+
+    const offset = (page - 1) * limit;
+    const result = await query(sql, [...params, limit, offset]);
     return {
       data: result.rows,
-      pagination: { page, limit }
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
     };
   }
 
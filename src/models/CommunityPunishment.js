@@ -0,0 +1,269 @@
+/**
+ * 社区处罚数据模型
+ * 处理禁言、禁止发帖、版块封禁等限时处罚的创建、查询、撤销与过期
+ */
+
+const { query } = require('../config/database');
+
+class CommunityPunishment {
+  /**
+   * 处罚类型
+   * - mute: 禁言，禁止在所有版块发帖和评论
+   * - post_ban: 禁止发帖，仍可评论
+   * - board_ban: 版块封禁，禁止在指定版块发帖和评论
+   */
+  static TYPES = ['mute', 'post_ban', 'board_ban'];
+
+  static TYPE_LABELS = {
+    mute: '禁言',
+    post_ban: '禁止发帖',
+    board_ban: '版块封禁'
+  };
+
+  /**
+   * 创建处罚
+   * @param {Object} punishmentData - 处罚数据
+   * @param {number} punishmentData.userId - 被处罚用户ID
+   * @param {string} punishmentData.type - 处罚类型
+   * @param {number} [punishmentData.boardId] - 版块ID（board_ban 必填）
+   * @param {string} punishmentData.reason - 处罚原因
+   * @param {string} [punishmentData.description] - 详细说明
+   * @param {number|null} [punishmentData.durationHours] - 处罚时长（小时），为空表示永久
+   * @param {number} punishmentData.operatorId - 操作人ID
+   * @param {number} [punishmentData.reportId] - 关联举报ID
+   * @param {Object} [client] - 事务客户端
+   * @returns {Promise<Object>} 处罚记录
+   */
+  static async create(punishmentData, client = null) {
+    const {
+      userId,
+      type,
+      boardId = null,
+      reason,
+      description = null,
+      durationHours = null,
+      operatorId,
+      reportId = null
+    } = punishmentData;
+
+    const sql = `
+      INSERT INTO community_punishments (
+        user_id, punishment_type, board_id, report_id, reason, description,
+        duration_hours, operator_id, expires_at
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, $7::INTEGER, $8,
+        CASE WHEN $7::INTEGER IS NULL THEN NULL
+             ELSE CURRENT_TIMESTAMP + ($7::INTEGER * INTERVAL '1 hour') END
+      )
+      RETURNING *
+    `;
+
+    const params = [
+      userId,
+      type,
+      type === 'board_ban' ? boardId : null,
+      reportId,
+      reason,
+      description,
+      durationHours,
+      operatorId
+    ];
+
+    const result = client ? await client.query(sql, params) : await query(sql, params);
+    return result.rows[0];
+  }
+
+  /**
+   * 根据ID获取处罚
+   * @param {number} id - 处罚ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const result = await query(
+      `SELECT
+        p.*,
+        u.username,
+        u.nickname,
+        ou.username as operator_username,
+        cb.display_name as board_display_name
+      FROM community_punishments p
+      JOIN users u ON p.user_id = u.id
+      LEFT JOIN users ou ON p.operator_id = ou.id
+      LEFT JOIN community_boards cb ON p.board_id = cb.id
+      WHERE p.id = $1`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 获取处罚列表
+   * @param {Object} options - 查询选项
+   * @returns {Promise<Object>} 分页结果
+   */
+  static async findAll(options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      userId,
+      type,
+      boardId,
+      activeOnly = false
+    } = options;
+
+    const offset = (page - 1) * limit;
+    const conditions = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (userId) {
+      conditions.push(`p.user_id = $${paramIndex}`);
+      params.push(userId);
+      paramIndex++;
+    }
+
+    if (type) {
+      conditions.push(`p.punishment_type = $${paramIndex}`);
+      params.push(type);
+      paramIndex++;
+    }
+
+    if (boardId) {
+      conditions.push(`p.board_id = $${paramIndex}`);
+      params.push(boardId);
+      paramIndex++;
+    }
+
+    if (activeOnly) {
+      conditions.push('p.is_active = TRUE AND (p.expires_at IS NULL OR p.expires_at > CURRENT_TIMESTAMP)');
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const sql = `
+      SELECT
+        p.*,
+        u.username,
+        u.nickname,
+        ou.username as operator_username,
+        ou.nickname as operator_nickname,
+        cb.display_name as board_display_name
+      FROM community_punishments p
+      JOIN users u ON p.user_id = u.id
+      LEFT JOIN users ou ON p.operator_id = ou.id
+      LEFT JOIN community_boards cb ON p.board_id = cb.id
+      ${whereClause}
+      ORDER BY p.created_at DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `;
+
+    const countSql = `SELECT COUNT(*) as total FROM community_punishments p ${whereClause}`;
+
+    const [dataResult, countResult] = await Promise.all([
+      query(sql, [...params, limit, offset]),
+      query(countSql, params)
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      data: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * 查找阻止用户执行指定操作的生效处罚
+   * @param {number} userId - 用户ID
+   * @param {Object} context - 操作上下文
+   * @param {string} context.action - 操作类型 (post, comment)
+   * @param {number} [context.boardId] - 操作所在版块ID
+   * @returns {Promise<Object|null>} 生效中的处罚，无则返回null
+   */
+  static async findBlockingPunishment(userId, { action, boardId = null }) {
+    const result = await query(
+      `SELECT p.*, cb.display_name as board_display_name
+       FROM community_punishments p
+       LEFT JOIN community_boards cb ON p.board_id = cb.id
+       WHERE p.user_id = $1
+         AND p.is_active = TRUE
+         AND (p.expires_at IS NULL OR p.expires_at > CURRENT_TIMESTAMP)
+         AND (
+           p.punishment_type = 'mute'
+           OR (p.punishment_type = 'post_ban' AND $2 = 'post')
+           OR (p.punishment_type = 'board_ban' AND p.board_id = $3)
+         )
+       ORDER BY p.expires_at DESC NULLS FIRST
+       LIMIT 1`,
+      [userId, action, boardId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 生成处罚提示文案
+   * @param {Object} punishment - 处罚记录
+   * @returns {string}
+   */
+  static describe(punishment) {
+    const label = this.TYPE_LABELS[punishment.punishment_type] || '处罚';
+    const scope = punishment.punishment_type === 'board_ban' && punishment.board_display_name
+      ? `（版块：${punishment.board_display_name}）`
+      : '';
+    const until = punishment.expires_at
+      ? `，解除时间：${new Date(punishment.expires_at).toISOString()}`
+      : '，永久有效';
+
+    return `您已被${label}${scope}${until}`;
+  }
+
+  /**
+   * 撤销处罚
+   * @param {number} id - 处罚ID
+   * @param {number} operatorId - 操作人ID
+   * @returns {Promise<Object|null>} 撤销后的处罚记录
+   */
+  static async revoke(id, operatorId) {
+    const result = await query(
+      `UPDATE community_punishments
+       SET is_active = FALSE,
+           revoked_by = $1,
+           revoked_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND is_active = TRUE
+       RETURNING *`,
+      [operatorId, id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 将已到期的处罚标记为失效
+   * @returns {Promise<Array>} 本次失效的处罚记录
+   */
+  static async expireOverdue() {
+    const result = await query(
+      `UPDATE community_punishments
+       SET is_active = FALSE, updated_at = CURRENT_TIMESTAMP
+       WHERE is_active = TRUE
+         AND expires_at IS NOT NULL
+         AND expires_at <= CURRENT_TIMESTAMP
+       RETURNING id, user_id, punishment_type, board_id`
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = CommunityPunishment;
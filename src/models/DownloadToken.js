@@ -0,0 +1,84 @@
+/**
+ * 下载令牌数据模型
+ * 记录签发的一次性下载令牌及其使用情况
+ */
+
+const { query } = require('../config/database');
+
+class DownloadToken {
+  /**
+   * 批量登记下载令牌
+   * @param {Array<Object>} tokens - [{ jti, userId, resourceId, fileId, ipAddress, expiresAt }]
+   * @returns {Promise<Array>} 令牌记录
+   */
+  static async createMany(tokens) {
+    if (!tokens || tokens.length === 0) {
+      return [];
+    }
+
+    const values = [];
+    const placeholders = tokens.map((token, index) => {
+      const base = index * 6;
+      values.push(token.jti, token.userId, token.resourceId, token.fileId, token.ipAddress || null, token.expiresAt);
+      return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6})`;
+    });
+
+    const result = await query(
+      `INSERT INTO download_tokens (jti, user_id, resource_id, file_id, ip_address, expires_at)
+       VALUES ${placeholders.join(', ')}
+       RETURNING *`,
+      values
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 根据 jti 获取令牌
+   * @param {string} jti - 令牌ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findByJti(jti) {
+    const result = await query('SELECT * FROM download_tokens WHERE jti = $1', [jti]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 核销令牌，只有未使用且未过期的令牌可以核销成功
+   * @param {string} jti - 令牌ID
+   * @param {Object} usage - 使用信息 { ipAddress, userAgent }
+   * @returns {Promise<Object|null>} 核销后的令牌，失败返回null
+   */
+  static async consume(jti, { ipAddress = null, userAgent = null } = {}) {
+    const result = await query(
+      `UPDATE download_tokens
+       SET used_at = CURRENT_TIMESTAMP,
+           used_ip = $2,
+           used_user_agent = $3
+       WHERE jti = $1
+         AND used_at IS NULL
+         AND expires_at > CURRENT_TIMESTAMP
+       RETURNING *`,
+      [jti, ipAddress, userAgent]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 清理过期令牌
+   * @param {number} [retainDays=7] - 过期后保留天数
+   * @returns {Promise<number>} 删除数量
+   */
+  static async purgeExpired(retainDays = 7) {
+    const result = await query(
+      `DELETE FROM download_tokens
+       WHERE expires_at < CURRENT_TIMESTAMP - ($1::INTEGER * INTERVAL '1 day')`,
+      [retainDays]
+    );
+
+    return result.rowCount || 0;
+  }
+}
+
+module.exports = DownloadToken;
@@ -0,0 +1,215 @@
+/**
+ * 登录锁定数据模型
+ * 基于 user_login_logs 统计失败次数，按账号标识或IP记录锁定
+ */
+
+const { query } = require('../config/database');
+
+const SCOPES = {
+  ACCOUNT: 'account',
+  IP: 'ip'
+};
+
+// 统计失败次数时使用的日志字段
+const SCOPE_LOG_COLUMNS = {
+  [SCOPES.ACCOUNT]: 'LOWER(identifier)',
+  [SCOPES.IP]: 'ip_address'
+};
+
+class LoginLockout {
+  static get SCOPES() {
+    return SCOPES;
+  }
+
+  /**
+   * 统一锁定键：账号标识不区分大小写
+   * @param {string} scope
+   * @param {string} key
+   * @returns {string}
+   */
+  static normalizeKey(scope, key) {
+    const value = String(key || '').trim();
+    return scope === SCOPES.ACCOUNT ? value.toLowerCase() : value;
+  }
+
+  /**
+   * 查找生效中的锁定
+   * @param {string} scope - account/ip
+   * @param {string} key - 锁定键
+   * @returns {Promise<Object|null>}
+   */
+  static async findActive(scope, key) {
+    const result = await query(
+      `SELECT * FROM login_lockouts
+       WHERE scope = $1 AND scope_key = $2 AND unlocked_at IS NULL AND locked_until > NOW()
+       ORDER BY locked_until DESC
+       LIMIT 1`,
+      [scope, this.normalizeKey(scope, key)]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 统计窗口内的连续失败次数
+   * 起点取窗口开始、上一次锁定/解锁，以及（账号维度）上一次成功登录中最晚者
+   * @param {string} scope - account/ip
+   * @param {string} key - 锁定键
+   * @param {Object} options
+   * @param {number} options.windowMinutes - 统计窗口（分钟）
+   * @param {string} options.excludeReason - 不计入的失败原因（锁定期间被拒绝的登录）
+   * @returns {Promise<number>}
+   */
+  static async countRecentFailures(scope, key, { windowMinutes, excludeReason }) {
+    const column = SCOPE_LOG_COLUMNS[scope];
+    const resetBySuccess = scope === SCOPES.ACCOUNT;
+
+    const result = await query(
+      `SELECT COUNT(*)::INTEGER AS failures
+       FROM user_login_logs
+       WHERE ${column} = $2
+         AND status = 'failure'
+         AND failure_reason IS DISTINCT FROM $4
+         AND login_at > GREATEST(
+           NOW() - ($3::INTEGER * INTERVAL '1 minute'),
+           COALESCE((
+             SELECT MAX(COALESCE(unlocked_at, created_at))
+             FROM login_lockouts
+             WHERE scope = $1 AND scope_key = $2
+           ), '-infinity'::TIMESTAMP),
+           ${resetBySuccess ? `COALESCE((
+             SELECT MAX(login_at) FROM user_login_logs
+             WHERE ${column} = $2 AND status = 'success'
+           ), '-infinity'::TIMESTAMP)` : "'-infinity'::TIMESTAMP"}
+         )`,
+      [scope, this.normalizeKey(scope, key), Math.ceil(windowMinutes), excludeReason]
+    );
+
+    return result.rows[0].failures;
+  }
+
+  /**
+   * 统计重置周期内已发生的锁定次数
+   * @param {string} scope
+   * @param {string} key
+   * @param {number} hours - 重置周期（小时）
+   * @returns {Promise<number>}
+   */
+  static async countRecentLockouts(scope, key, hours) {
+    const result = await query(
+      `SELECT COUNT(*)::INTEGER AS total
+       FROM login_lockouts
+       WHERE scope = $1 AND scope_key = $2 AND created_at > NOW() - ($3::NUMERIC * INTERVAL '1 hour')`,
+      [scope, this.normalizeKey(scope, key), hours]
+    );
+
+    return result.rows[0].total;
+  }
+
+  /**
+   * 创建锁定
+   * @param {Object} payload
+   * @returns {Promise<Object>}
+   */
+  static async create({ scope, key, userId = null, lockLevel, failureCount, lockMinutes }) {
+    const result = await query(
+      `INSERT INTO login_lockouts (scope, scope_key, user_id, lock_level, failure_count, locked_until)
+       VALUES ($1, $2, $3, $4, $5, NOW() + ($6::NUMERIC * INTERVAL '1 minute'))
+       RETURNING *`,
+      [scope, this.normalizeKey(scope, key), userId, lockLevel, failureCount, lockMinutes]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * 获取生效中的锁定列表
+   * @param {Object} [filters]
+   * @param {string} [filters.scope]
+   * @param {number} [filters.page=1]
+   * @param {number} [filters.limit=20]
+   * @returns {Promise<Object>}
+   */
+  static async findAllActive({ scope = null, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    const params = [scope];
+
+    const where = `WHERE l.unlocked_at IS NULL AND l.locked_until > NOW()
+      AND ($1::VARCHAR IS NULL OR l.scope = $1)`;
+
+    const countResult = await query(
+      `SELECT COUNT(*)::INTEGER AS total FROM login_lockouts l ${where}`,
+      params
+    );
+
+    const result = await query(
+      `SELECT l.*, u.username, u.email
+       FROM login_lockouts l
+       LEFT JOIN users u ON u.id = l.user_id
+       ${where}
+       ORDER BY l.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [...params, limit, offset]
+    );
+
+    const total = countResult.rows[0].total;
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      data: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * 解除指定锁定
+   * @param {number} id - 锁定记录ID
+   * @param {number} operatorId - 操作人
+   * @returns {Promise<Object|null>}
+   */
+  static async unlockById(id, operatorId) {
+    const result = await query(
+      `UPDATE login_lockouts
+       SET unlocked_at = NOW(), unlocked_by = $2
+       WHERE id = $1 AND unlocked_at IS NULL AND locked_until > NOW()
+       RETURNING *`,
+      [id, operatorId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 解除账号的全部锁定
+   * @param {Object} user - 用户（id、email、username）
+   * @param {number} operatorId - 操作人
+   * @returns {Promise<Array>} 被解除的锁定
+   */
+  static async unlockAccount(user, operatorId) {
+    const keys = [user.email, user.username]
+      .filter(Boolean)
+      .map((key) => this.normalizeKey(SCOPES.ACCOUNT, key));
+
+    const result = await query(
+      `UPDATE login_lockouts
+       SET unlocked_at = NOW(), unlocked_by = $3
+       WHERE scope = $1
+         AND (user_id = $2 OR scope_key = ANY($4::VARCHAR[]))
+         AND unlocked_at IS NULL
+         AND locked_until > NOW()
+       RETURNING *`,
+      [SCOPES.ACCOUNT, user.id, operatorId, keys]
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = LoginLockout;
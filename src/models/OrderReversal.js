@@ -0,0 +1,136 @@
+/**
+ * 订单冲正记录数据模型
+ * 记录退款、拒付与卡密撤销后对VIP、积分、下载次数和佣金的回收结果
+ */
+
+const { query } = require('../config/database');
+
+const SOURCES = ['refund', 'chargeback', 'card_revoke'];
+
+class OrderReversal {
+  static get SOURCES() {
+    return SOURCES;
+  }
+
+  /**
+   * 占用冲正记录，reference 已存在时返回 null（同一事件重复提交）
+   * @param {Object} client - 事务连接
+   * @param {Object} data
+   * @returns {Promise<Object|null>}
+   */
+  static async claim(client, { reference, source, orderId = null, cardKeyId = null, userId, ratio = 1, reason = null, operatorId = null }) {
+    const result = await client.query(
+      `INSERT INTO order_reversals (reference, source, order_id, card_key_id, user_id, ratio, reason, operator_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (reference) DO NOTHING
+       RETURNING *`,
+      [reference, source, orderId, cardKeyId, userId, ratio, reason, operatorId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 写入回收结果
+   * @param {Object} client - 事务连接
+   * @param {number} id
+   * @param {Object} outcome
+   * @returns {Promise<Object>}
+   */
+  static async saveOutcome(client, id, outcome) {
+    const result = await client.query(
+      `UPDATE order_reversals
+       SET vip_days_reversed = $2,
+           vip_cancelled = $3,
+           points_reversed = $4,
+           points_shortfall = $5,
+           download_credits_reversed = $6,
+           commissions = $7
+       WHERE id = $1
+       RETURNING *`,
+      [
+        id,
+        outcome.vipDaysReversed,
+        outcome.vipCancelled,
+        outcome.pointsReversed,
+        outcome.pointsShortfall,
+        outcome.downloadCreditsReversed,
+        JSON.stringify(outcome.commissions)
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * 根据 reference 获取冲正记录
+   * @param {string} reference
+   * @returns {Promise<Object|null>}
+   */
+  static async findByReference(reference) {
+    const result = await query('SELECT * FROM order_reversals WHERE reference = $1', [reference]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 管理端 - 获取冲正记录列表
+   * @param {Object} [filters]
+   * @param {string} [filters.source]
+   * @param {number} [filters.userId]
+   * @param {number} [filters.orderId]
+   * @returns {Promise<Object>}
+   */
+  static async findAll({ source = null, userId = null, orderId = null, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    const conditions = [];
+    const params = [];
+
+    if (source) {
+      params.push(source);
+      conditions.push(`r.source = $${params.length}`);
+    }
+
+    if (userId) {
+      params.push(userId);
+      conditions.push(`r.user_id = $${params.length}`);
+    }
+
+    if (orderId) {
+      params.push(orderId);
+      conditions.push(`r.order_id = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await query(`SELECT COUNT(*)::INTEGER AS total FROM order_reversals r ${where}`, params);
+    const result = await query(
+      `SELECT r.*, u.username, o.order_no, ck.code AS card_key_code, op.username AS operator_username
+       FROM order_reversals r
+       LEFT JOIN users u ON u.id = r.user_id
+       LEFT JOIN orders o ON o.id = r.order_id
+       LEFT JOIN card_keys ck ON ck.id = r.card_key_id
+       LEFT JOIN users op ON op.id = r.operator_id
+       ${where}
+       ORDER BY r.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const total = countResult.rows[0].total;
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      data: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    };
+  }
+}
+
+module.exports = OrderReversal;
@@ -0,0 +1,448 @@
+/**
+ * 在线支付订单数据模型
+ * 基于 orders 表管理在线支付订单的创建、支付、关闭、退款，以及退款单和支付渠道回调记录
+ */
+
+const { query, transaction } = require('../config/database');
+
+// 用户端可见的订单字段
+const USER_FIELDS = `
+  o.id, o.order_no, o.package_id, o.subject, o.vip_level, o.duration_days,
+  o.price, o.currency, o.status, o.payment_method, o.payment_data,
+  o.payment_expires_at, o.paid_at, o.fulfilled_at, o.refunded_amount, o.refunded_at,
+  o.created_at, o.updated_at
+`;
+
+const buildPagination = (page, limit, total) => {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    page,
+    limit,
+    total,
+    totalPages,
+    hasNext: page < totalPages,
+    hasPrev: page > 1
+  };
+};
+
+class PaymentOrder {
+  /**
+   * 创建待支付订单
+   * @param {Object} client - 事务连接
+   * @param {Object} data
+   * @returns {Promise<Object>}
+   */
+  static async create(client, data) {
+    const result = await client.query(
+      `INSERT INTO orders (
+         user_id, vip_level, price, duration_days, status, payment_method,
+         order_no, package_id, subject, currency, payment_expires_at
+       ) VALUES ($1, $2, $3, $4, 'pending', $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        data.userId,
+        data.vipLevel,
+        data.price,
+        data.durationDays,
+        data.provider,
+        data.orderNo,
+        data.packageId,
+        data.subject,
+        data.currency || 'CNY',
+        data.paymentExpiresAt
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * 根据订单号获取在线支付订单
+   * @param {string} orderNo
+   * @param {Object} [options]
+   * @param {Object} [options.client] - 事务连接
+   * @param {boolean} [options.forUpdate=false] - 是否加行锁
+   * @returns {Promise<Object|null>}
+   */
+  static async findByOrderNo(orderNo, { client = null, forUpdate = false } = {}) {
+    const runner = client || { query };
+    const result = await runner.query(
+      `SELECT * FROM orders
+       WHERE order_no = $1 AND package_id IS NOT NULL
+       ${forUpdate ? 'FOR UPDATE' : ''}`,
+      [orderNo]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 统计用户某套餐未过期的待支付订单数，用于限购校验
+   * @param {number} userId
+   * @param {number} packageId
+   * @param {Object} [client] - 事务连接
+   * @returns {Promise<number>}
+   */
+  static async countPendingByPackage(userId, packageId, client = null) {
+    const runner = client || { query };
+    const result = await runner.query(
+      `SELECT COUNT(*)::INTEGER AS total
+       FROM orders
+       WHERE user_id = $1 AND package_id = $2 AND status = 'pending'
+         AND payment_expires_at > CURRENT_TIMESTAMP`,
+      [userId, packageId]
+    );
+
+    return result.rows[0].total;
+  }
+
+  /**
+   * 保存渠道下单结果
+   * @param {number} id
+   * @param {Object} payload
+   * @param {Object} payload.paymentData - 前端拉起支付所需数据
+   * @param {string} [payload.tradeNo] - 渠道交易号
+   * @returns {Promise<Object|null>}
+   */
+  static async savePaymentData(id, { paymentData, tradeNo = null }) {
+    const result = await query(
+      `UPDATE orders
+       SET payment_data = $2, provider_trade_no = COALESCE($3, provider_trade_no), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, JSON.stringify(paymentData || {}), tradeNo]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 标记订单已支付
+   * 已关闭或已过期的订单在渠道确认付款后同样置为已支付，保证用户付款后能够履约
+   * @param {number} id
+   * @param {Object} payload
+   * @param {string} payload.tradeNo - 渠道交易号
+   * @param {Date} [payload.paidAt] - 渠道支付时间
+   * @returns {Promise<Object|null>} 本次更新成功时返回订单，已是支付/退款状态时返回 null
+   */
+  static async markPaid(id, { tradeNo, paidAt = null }) {
+    const result = await query(
+      `UPDATE orders
+       SET status = 'paid',
+           provider_trade_no = COALESCE($2, provider_trade_no),
+           paid_at = COALESCE($3, CURRENT_TIMESTAMP),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status IN ('pending', 'cancelled', 'expired')
+       RETURNING *`,
+      [id, tradeNo, paidAt]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 关闭待支付订单
+   * @param {number} id
+   * @param {string} status - cancelled/expired
+   * @returns {Promise<Object|null>} 订单已不是待支付状态时返回 null
+   */
+  static async close(id, status) {
+    const result = await query(
+      `UPDATE orders
+       SET status = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [id, status]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 获取已超过支付期限的待支付订单
+   * @param {number} [limit=100]
+   * @returns {Promise<Array>}
+   */
+  static async findExpiredPending(limit = 100) {
+    const result = await query(
+      `SELECT * FROM orders
+       WHERE status = 'pending' AND package_id IS NOT NULL
+         AND payment_expires_at <= CURRENT_TIMESTAMP
+       ORDER BY payment_expires_at ASC
+       LIMIT $1`,
+      [limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 获取已支付但尚未履约的订单
+   * @param {number} [limit=50]
+   * @returns {Promise<Array>}
+   */
+  static async findUnfulfilled(limit = 50) {
+    const result = await query(
+      `SELECT * FROM orders
+       WHERE status = 'paid' AND package_id IS NOT NULL AND fulfilled_at IS NULL
+       ORDER BY paid_at ASC
+       LIMIT $1`,
+      [limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 记录退款金额，累计退款达到订单金额时置为已退款
+   * @param {number} id
+   * @param {number} amount - 本次退款金额（元）
+   * @param {Object} [client] - 事务连接
+   * @returns {Promise<Object|null>}
+   */
+  static async recordRefund(id, amount, client = null) {
+    const run = (text, params) => (client ? client.query(text, params) : query(text, params));
+    const result = await run(
+      `UPDATE orders
+       SET refunded_amount = refunded_amount + $2,
+           refunded_at = CURRENT_TIMESTAMP,
+           status = CASE WHEN refunded_amount + $2 >= price THEN 'refunded' ELSE status END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'paid' AND refunded_amount + $2 <= price
+       RETURNING *`,
+      [id, amount]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 登记退款单：锁定订单后校验可退金额并写入处理中的退款单，退款单号由退款单ID生成
+   * 订单已有处理中的退款单时直接返回该退款单，重试时沿用同一单号，由渠道按单号去重
+   * @param {number} orderId
+   * @param {Object} params
+   * @param {number|null} [params.amount] - 退款金额（元），为空时退还剩余可退金额
+   * @param {string} [params.reason]
+   * @param {number} [params.operatorId]
+   * @returns {Promise<{refund: Object, reused: boolean}>}
+   */
+  static async reserveRefund(orderId, { amount = null, reason = null, operatorId = null } = {}) {
+    return transaction(async (client) => {
+      const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+      const order = orderResult.rows[0];
+      if (!order) {
+        throw new Error('订单不存在');
+      }
+
+      const processingResult = await client.query(
+        `SELECT * FROM payment_refunds WHERE order_id = $1 AND status = 'processing'`,
+        [orderId]
+      );
+      const processing = processingResult.rows[0];
+      if (processing) {
+        if (amount !== null && Math.abs(Number(amount) - Number(processing.amount)) >= 0.005) {
+          throw new Error(`订单有处理中的退款 ${processing.refund_no}（${processing.amount}元），请先完成该退款`);
+        }
+        return { refund: processing, reused: true };
+      }
+
+      if (order.status !== 'paid') {
+        throw new Error('仅已支付订单可以退款');
+      }
+
+      const refundable = Number((Number(order.price) - Number(order.refunded_amount || 0)).toFixed(2));
+      const refundAmount = amount === null ? refundable : Number(amount);
+
+      if (!Number.isFinite(refundAmount) || refundAmount <= 0 || refundAmount - refundable > 0.005) {
+        throw new Error(`退款金额必须大于0且不超过可退金额${refundable}`);
+      }
+
+      const result = await client.query(
+        `WITH seq AS (SELECT nextval(pg_get_serial_sequence('payment_refunds', 'id')) AS id)
+         INSERT INTO payment_refunds (id, order_id, refund_no, amount, reason, operator_id)
+         SELECT seq.id, $1, $2::text || 'R' || seq.id, $3, $4, $5
+         FROM seq
+         RETURNING *`,
+        [orderId, order.order_no, refundAmount, reason, operatorId]
+      );
+
+      return { refund: result.rows[0], reused: false };
+    });
+  }
+
+  /**
+   * 渠道退款成功或已受理后完成退款单并累计订单退款金额
+   * 并发请求中先出错的一方可能已将退款单置为失败，以渠道结果为准仍可完成
+   * @param {number} refundId
+   * @param {string} providerStatus - 渠道退款状态（success/processing）
+   * @returns {Promise<{refund: Object, order: Object}|null>} 退款单已由其他请求完成时返回 null
+   */
+  static async completeRefund(refundId, providerStatus) {
+    return transaction(async (client) => {
+      const refundResult = await client.query(
+        `UPDATE payment_refunds
+         SET status = 'succeeded',
+             provider_status = $2,
+             error_message = NULL,
+             completed_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status IN ('processing', 'failed')
+         RETURNING *`,
+        [refundId, providerStatus]
+      );
+      const refund = refundResult.rows[0];
+      if (!refund) {
+        return null;
+      }
+
+      const order = await this.recordRefund(refund.order_id, refund.amount, client);
+      if (!order) {
+        throw new Error('订单退款状态已变更，请刷新后核对');
+      }
+
+      return { refund, order };
+    });
+  }
+
+  /**
+   * 渠道退款失败时关闭处理中的退款单
+   * @param {number} refundId
+   * @param {string} errorMessage
+   * @returns {Promise<boolean>}
+   */
+  static async failRefund(refundId, errorMessage) {
+    const result = await query(
+      `UPDATE payment_refunds
+       SET status = 'failed',
+           error_message = $2,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'processing'`,
+      [refundId, errorMessage]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * 用户端 - 获取我的在线支付订单
+   * @param {number} userId
+   * @param {Object} [filters]
+   * @returns {Promise<Object>}
+   */
+  static async findByUser(userId, { status = null, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    const params = [userId];
+    let where = 'WHERE o.user_id = $1 AND o.package_id IS NOT NULL';
+
+    if (status) {
+      params.push(status);
+      where += ` AND o.status = $${params.length}`;
+    }
+
+    const countResult = await query(`SELECT COUNT(*)::INTEGER AS total FROM orders o ${where}`, params);
+    const result = await query(
+      `SELECT ${USER_FIELDS}
+       FROM orders o
+       ${where}
+       ORDER BY o.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      data: result.rows,
+      pagination: buildPagination(page, limit, countResult.rows[0].total)
+    };
+  }
+
+  /**
+   * 管理端 - 获取在线支付订单列表
+   * @param {Object} [filters]
+   * @param {string} [filters.status]
+   * @param {string} [filters.provider] - 支付渠道
+   * @param {number} [filters.userId]
+   * @param {string} [filters.keyword] - 订单号/渠道交易号/用户名
+   * @returns {Promise<Object>}
+   */
+  static async findAll({ status = null, provider = null, userId = null, keyword = null, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    const conditions = ['o.package_id IS NOT NULL'];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`o.status = $${params.length}`);
+    }
+
+    if (provider) {
+      params.push(provider);
+      conditions.push(`o.payment_method = $${params.length}`);
+    }
+
+    if (userId) {
+      params.push(userId);
+      conditions.push(`o.user_id = $${params.length}`);
+    }
+
+    if (keyword) {
+      params.push(`%${keyword}%`);
+      conditions.push(`(o.order_no ILIKE $${params.length} OR o.provider_trade_no ILIKE $${params.length} OR u.username ILIKE $${params.length})`);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const countResult = await query(
+      `SELECT COUNT(*)::INTEGER AS total
+       FROM orders o
+       JOIN users u ON u.id = o.user_id
+       ${where}`,
+      params
+    );
+
+    const result = await query(
+      `SELECT ${USER_FIELDS}, o.user_id, o.provider_trade_no, u.username
+       FROM orders o
+       JOIN users u ON u.id = o.user_id
+       ${where}
+       ORDER BY o.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      data: result.rows,
+      pagination: buildPagination(page, limit, countResult.rows[0].total)
+    };
+  }
+
+  /**
+   * 记录支付渠道回调
+   * @param {Object} data
+   * @returns {Promise<Object>}
+   */
+  static async logNotification(data) {
+    const result = await query(
+      `INSERT INTO payment_notifications (
+         provider, order_no, provider_trade_no, verified, trade_status,
+         amount, result, payload, error_message, ip_address
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [
+        data.provider,
+        data.orderNo || null,
+        data.tradeNo || null,
+        data.verified === true,
+        data.tradeStatus || null,
+        data.amount ?? null,
+        data.result || null,
+        JSON.stringify(data.payload || {}),
+        data.errorMessage || null,
+        data.ipAddress || null
+      ]
+    );
+
+    return result.rows[0];
+  }
+}
+
+module.exports = PaymentOrder;
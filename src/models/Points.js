@@ -3,10 +3,16 @@
  * 处理用户积分管理、积分记录等相关数据操作
  */
 
-const { query, getClient } = require('../config/database');
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
 const AuditLog = require('./AuditLog');
 const { logger } = require('../utils/logger');
 
+/**
+ * 在调用方事务中执行，未传入事务连接时自行开启事务
+ */
+const withTransaction = (client, callback) => (client ? callback(client) : transaction(callback));
+
 class Points {
   /**
    * 获取用户积分信息
@@ -27,71 +33,135 @@ class Points {
   }
 
   /**
-   * 增加用户积分
+   * 根据幂等键获取账本分录
+   * @param {string} idempotencyKey
+   * @param {Object} [client]
+   * @returns {Promise<Object|null>}
    */
-  static async addPoints(userId, amount, source, description = '', relatedId = null, relatedType = null, operatorId = null) {
-    if (typeof amount === 'object' && amount !== null) {
-      const opts = amount;
-      return this.addPoints(
-        userId,
-        opts.points,
-        opts.source,
-        opts.description || '',
-        opts.reference_id || null,
-        opts.reference_type || null,
-        opts.operator_id || operatorId || null
-      );
+  static async findEntryByKey(idempotencyKey, client = null) {
+    if (!idempotencyKey) {
+      return null;
     }
-    const client = await getClient();
-    
-    try {
-      await client.query('BEGIN');
 
-      // 获取当前积分
-      const userQuery = 'SELECT points, total_points FROM users WHERE id = $1';
-      const userResult = await client.query(userQuery, [userId]);
-      
+    const runner = client || { query };
+    const result = await runner.query(
+      'SELECT * FROM points_records WHERE idempotency_key = $1',
+      [idempotencyKey]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 积分账本记账，所有积分变动的唯一写入入口
+   * 锁定用户行后同时更新 users.points 并写入 points_records 与积分审计日志，
+   * 保证余额始终等于账本分录之和；传入 idempotencyKey 时同一键只记账一次，重复调用返回首次记账结果
+   * @param {Object} entry
+   * @param {number} entry.userId
+   * @param {number} entry.amount - 变动积分，正数为收入、负数为支出
+   * @param {string} entry.type - 分录类型 earn/spend/admin_adjust/clawback 等
+   * @param {string} entry.source - 业务来源
+   * @param {string} [entry.description]
+   * @param {number} [entry.relatedId]
+   * @param {string} [entry.relatedType]
+   * @param {number} [entry.operatorId]
+   * @param {string} [entry.idempotencyKey] - 幂等键
+   * @param {string} [entry.entryGroup] - 成对分录（如转账）的分组号，同组分录合计应为0
+   * @param {number} [entry.totalDelta] - 累计积分变动，默认只有收入计入累计积分
+   * @param {number} [entry.lotId] - 支出指定扣减的积分批次，不传时按先进先出扣减
+   * @param {Object} [clientArg] - 事务连接，不传时自行开启事务
+   * @returns {Promise<{user: Object, record: Object, duplicate: boolean}>}
+   */
+  static async postEntry(entry, clientArg = null) {
+    const {
+      userId,
+      amount,
+      type,
+      source,
+      description = '',
+      relatedId = null,
+      relatedType = null,
+      operatorId = null,
+      idempotencyKey = null,
+      entryGroup = null,
+      totalDelta = amount > 0 ? amount : 0,
+      lotId = null
+    } = entry;
+
+    if (!Number.isInteger(amount) || amount === 0) {
+      throw new Error('积分变动数量必须为非零整数');
+    }
+
+    return withTransaction(clientArg, async (client) => {
+      const userResult = await client.query(
+        'SELECT points, total_points FROM users WHERE id = $1 FOR UPDATE',
+        [userId]
+      );
+
       if (userResult.rows.length === 0) {
         throw new Error('用户不存在');
       }
 
+      const existing = await this.findEntryByKey(idempotencyKey, client);
+      if (existing) {
+        if (existing.user_id !== userId || existing.amount !== amount) {
+          throw new Error('幂等键已被其他积分变动使用');
+        }
+
+        return {
+          user: userResult.rows[0],
+          record: existing,
+          duplicate: true
+        };
+      }
+
       const currentPoints = userResult.rows[0].points || 0;
       const currentTotalPoints = userResult.rows[0].total_points || 0;
       const newPoints = currentPoints + amount;
-      const newTotalPoints = currentTotalPoints + amount;
 
       if (newPoints < 0) {
         throw new Error('积分余额不足');
       }
 
-      // 更新用户积分
-      const updateQuery = `
-        UPDATE users 
-        SET points = $2, total_points = $3
-        WHERE id = $1
-        RETURNING points, total_points
-      `;
-      const updateResult = await client.query(updateQuery, [userId, newPoints, newTotalPoints]);
-
-      // 记录积分变更
-      const recordQuery = `
-        INSERT INTO points_records 
-        (user_id, type, amount, source, description, related_id, related_type, balance_before, balance_after)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        RETURNING *
-      `;
-      const recordValues = [
-        userId, 
-        'earn', 
-        amount, 
-        source, 
-        description, 
-        relatedId, 
-        relatedType, 
-        currentPoints, 
-        newPoints
-      ];
-      const recordResult = await client.query(recordQuery, recordValues);
+      const updateResult = await client.query(
+        `UPDATE users
+         SET points = $2, total_points = $3
+         WHERE id = $1
+         RETURNING points, total_points`,
+        [userId, newPoints, Math.max(currentTotalPoints + totalDelta, 0)]
+      );
+
+      const recordResult = await client.query(
+        `INSERT INTO points_records
+         (user_id, type, amount, source, description, related_id, related_type,
+          balance_before, balance_after, idempotency_key, entry_group)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [
+          userId,
+          type,
+          amount,
+          source,
+          description,
+          relatedId,
+          relatedType,
+          currentPoints,
+          newPoints,
+          idempotencyKey,
+          entryGroup
+        ]
+      );
+
+      if (amount > 0) {
+        await this.createLot(client, {
+          userId,
+          recordId: recordResult.rows[0].id,
+          source,
+          amount
+        });
+      } else {
+        await this.consumeLots(client, userId, -amount, lotId);
+      }
 
       await AuditLog.createPointsLog({
         userId,
@@ -105,202 +175,412 @@ class Points {
         relatedType
       }, client);
 
-      await client.query('COMMIT');
-      
       return {
         user: updateResult.rows[0],
-        record: recordResult.rows[0]
+        record: recordResult.rows[0],
+        duplicate: false
       };
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
+    });
+  }
+
+  /**
+   * 记录积分收入批次
+   * 按来源匹配启用中的过期策略计算过期时间，未配置策略的来源永不过期
+   * @param {Object} client - 事务连接
+   * @param {Object} lot
+   * @param {number} lot.userId
+   * @param {number} lot.recordId - 对应的 points_records 分录
+   * @param {string} lot.source
+   * @param {number} lot.amount
+   * @returns {Promise<Object>}
+   */
+  static async createLot(client, { userId, recordId, source, amount }) {
+    const result = await client.query(
+      `INSERT INTO points_lots (user_id, record_id, source, amount, remaining, expires_at)
+       VALUES ($1, $2, $3, $4, $4, (
+         SELECT CURRENT_TIMESTAMP + p.expire_days * INTERVAL '1 day'
+         FROM points_expiry_policies p
+         WHERE p.source = $3 AND p.is_active = true
+       ))
+       RETURNING *`,
+      [userId, recordId, source, amount]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * 按先进先出扣减积分批次
+   * 从最早获得的批次开始扣减，批次余额扣完后标记为已消费；
+   * 历史数据中批次合计可能小于余额，不足部分不再扣减
+   * @param {Object} client - 事务连接，调用方需已锁定用户行
+   * @param {number} userId
+   * @param {number} points - 扣减积分（正数）
+   * @param {number} [lotId] - 只扣减指定批次
+   * @returns {Promise<Array<{lotId: number, points: number}>>}
+   */
+  static async consumeLots(client, userId, points, lotId = null) {
+    const params = [userId];
+    let lotFilter = '';
+    if (lotId) {
+      params.push(lotId);
+      lotFilter = 'AND id = $2';
+    }
+
+    const lotsResult = await client.query(
+      `SELECT id, remaining
+       FROM points_lots
+       WHERE user_id = $1 AND status = 'active' AND remaining > 0 ${lotFilter}
+       ORDER BY created_at, id
+       FOR UPDATE`,
+      params
+    );
+
+    const consumed = [];
+    let rest = points;
+
+    for (const lot of lotsResult.rows) {
+      if (rest <= 0) {
+        break;
+      }
+
+      const take = Math.min(lot.remaining, rest);
+      await client.query(
+        `UPDATE points_lots
+         SET remaining = remaining - $2,
+             status = CASE WHEN remaining - $2 = 0 THEN 'consumed' ELSE status END
+         WHERE id = $1`,
+        [lot.id, take]
+      );
+
+      consumed.push({ lotId: lot.id, points: take });
+      rest -= take;
+    }
+
+    return consumed;
+  }
+
+  /**
+   * 查找已到期且仍有余额的积分批次
+   * @param {number} [limit=500]
+   * @returns {Promise<Array>}
+   */
+  static async findExpiredLots(limit = 500) {
+    const result = await query(
+      `SELECT id, user_id, source, remaining, expires_at
+       FROM points_lots
+       WHERE status = 'active'
+         AND expires_at IS NOT NULL
+         AND expires_at <= CURRENT_TIMESTAMP
+       ORDER BY expires_at, id
+       LIMIT $1`,
+      [limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 过期积分批次
+   * 以批次剩余积分（不超过当前余额）写入过期分录，并将批次标记为已过期
+   * @param {number} lotId
+   * @returns {Promise<{lot: Object, expired: number, entry: Object|null}|null>} 批次已处理时返回 null
+   */
+  static async expireLot(lotId) {
+    const ownerResult = await query('SELECT user_id FROM points_lots WHERE id = $1', [lotId]);
+    if (ownerResult.rows.length === 0) {
+      return null;
+    }
+
+    const userId = ownerResult.rows[0].user_id;
+
+    return transaction(async (client) => {
+      // 与记账保持相同的加锁顺序：先用户后批次
+      const userResult = await client.query(
+        'SELECT points FROM users WHERE id = $1 FOR UPDATE',
+        [userId]
+      );
+      const lotResult = await client.query(
+        'SELECT * FROM points_lots WHERE id = $1 FOR UPDATE',
+        [lotId]
+      );
+
+      const lot = lotResult.rows[0];
+      if (!lot || lot.status !== 'active' || userResult.rows.length === 0) {
+        return null;
+      }
+
+      const expired = Math.min(lot.remaining, userResult.rows[0].points || 0);
+      let entry = null;
+
+      if (expired > 0) {
+        entry = await this.postEntry({
+          userId,
+          amount: -expired,
+          type: 'expire',
+          source: 'expiration',
+          description: `积分到期失效（批次 #${lot.id}）`,
+          relatedId: lot.id,
+          relatedType: 'points_lot',
+          idempotencyKey: `expire:lot:${lot.id}`,
+          lotId: lot.id
+        }, client);
+      }
+
+      await client.query(
+        `UPDATE points_lots
+         SET status = 'expired', remaining = 0, expired_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [lot.id]
+      );
+
+      return { lot, expired, entry };
+    });
+  }
+
+  /**
+   * 查找即将过期、尚未提醒的积分批次
+   * 提前提醒天数取批次来源的过期策略，策略已删除时默认提前7天
+   * @param {number} [limit=1000]
+   * @returns {Promise<Array>}
+   */
+  static async findLotsToNotify(limit = 1000) {
+    const result = await query(
+      `SELECT l.id, l.user_id, l.source, l.remaining, l.expires_at
+       FROM points_lots l
+       LEFT JOIN points_expiry_policies p ON p.source = l.source
+       WHERE l.status = 'active'
+         AND l.remaining > 0
+         AND l.notified_at IS NULL
+         AND l.expires_at IS NOT NULL
+         AND l.expires_at > CURRENT_TIMESTAMP
+         AND COALESCE(p.notify_days, 7) > 0
+         AND l.expires_at <= CURRENT_TIMESTAMP + COALESCE(p.notify_days, 7) * INTERVAL '1 day'
+       ORDER BY l.user_id, l.expires_at
+       LIMIT $1`,
+      [limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 标记批次已发送过期提醒
+   * @param {Array<number>} lotIds
+   */
+  static async markLotsNotified(lotIds) {
+    if (lotIds.length === 0) {
+      return;
     }
+
+    await query(
+      'UPDATE points_lots SET notified_at = CURRENT_TIMESTAMP WHERE id = ANY($1)',
+      [lotIds]
+    );
+  }
+
+  /**
+   * 获取用户尚未过期、设有有效期的积分批次
+   * @param {number} userId
+   * @returns {Promise<Array>}
+   */
+  static async findUserExpiringLots(userId) {
+    const result = await query(
+      `SELECT id, source, amount, remaining, expires_at, created_at
+       FROM points_lots
+       WHERE user_id = $1
+         AND status = 'active'
+         AND remaining > 0
+         AND expires_at IS NOT NULL
+       ORDER BY expires_at, id`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 增加用户积分
+   * 支持对象参数：{points, source, description, reference_id, reference_type, operator_id, idempotency_key, client}
+   */
+  static async addPoints(userId, amount, source, description = '', relatedId = null, relatedType = null, operatorId = null, clientArg = null) {
+    if (typeof amount === 'object' && amount !== null) {
+      const opts = amount;
+      return this.postEntry({
+        userId,
+        amount: opts.points,
+        type: 'earn',
+        source: opts.source,
+        description: opts.description || '',
+        relatedId: opts.reference_id || null,
+        relatedType: opts.reference_type || null,
+        operatorId: opts.operator_id || operatorId || null,
+        idempotencyKey: opts.idempotency_key || null,
+        entryGroup: opts.entry_group || null,
+        totalDelta: opts.points
+      }, opts.client || clientArg || null);
+    }
+
+    return this.postEntry({
+      userId,
+      amount,
+      type: 'earn',
+      source,
+      description,
+      relatedId,
+      relatedType,
+      operatorId,
+      totalDelta: amount
+    }, clientArg);
   }
 
   /**
    * 扣除用户积分
+   * 支持对象参数：{points, source, description, reference_id, reference_type, operator_id, idempotency_key, client}
    */
   static async deductPoints(userId, amount, source, description = '', relatedId = null, relatedType = null, operatorId = null, clientArg = null) {
     if (typeof amount === 'object' && amount !== null) {
       const opts = amount;
-      return this.deductPoints(
+      return this.postEntry({
         userId,
-        opts.points,
-        opts.source,
-        opts.description || '',
-        opts.reference_id || opts.related_id || null,
-        opts.reference_type || opts.related_type || null,
-        opts.operator_id || operatorId || null,
-        opts.client || clientArg || null
-      );
+        amount: -opts.points,
+        type: 'spend',
+        source: opts.source,
+        description: opts.description || '',
+        relatedId: opts.reference_id || opts.related_id || null,
+        relatedType: opts.reference_type || opts.related_type || null,
+        operatorId: opts.operator_id || operatorId || null,
+        idempotencyKey: opts.idempotency_key || null,
+        entryGroup: opts.entry_group || null
+      }, opts.client || clientArg || null);
     }
 
-    let client = clientArg;
-    let releaseClient = false;
+    return this.postEntry({
+      userId,
+      amount: -amount,
+      type: 'spend',
+      source,
+      description,
+      relatedId,
+      relatedType,
+      operatorId
+    }, clientArg);
+  }
 
-    if (!client) {
-      client = await getClient();
-      releaseClient = true;
-    }
-    
-    try {
-      if (releaseClient) {
-        await client.query('BEGIN');
-      }
+  /**
+   * 回收已发放的积分（退款、卡密撤销等冲正场景）
+   * 余额不足时只扣到0，不足部分作为欠缺返回；同时扣减累计积分
+   * @param {number} userId
+   * @param {number} amount - 应回收积分
+   * @param {Object} options
+   * @param {Object} client - 事务连接
+   * @returns {Promise<{deducted: number, shortfall: number, balance: number}>}
+   */
+  static async clawbackPoints(userId, amount, { source, description = '', relatedId = null, relatedType = null, operatorId = null, idempotencyKey = null }, client) {
+    const userResult = await client.query('SELECT points FROM users WHERE id = $1 FOR UPDATE', [userId]);
 
-      // 获取当前积分
-      const userQuery = 'SELECT points FROM users WHERE id = $1';
-      const userResult = await client.query(userQuery, [userId]);
-      
-      if (userResult.rows.length === 0) {
-        throw new Error('用户不存在');
-      }
+    if (userResult.rows.length === 0) {
+      throw new Error('用户不存在');
+    }
 
-      const currentPoints = userResult.rows[0].points || 0;
-      if (currentPoints < amount) {
-        throw new Error('积分余额不足');
-      }
+    // 回收数量取决于当前余额，重复请求直接返回首次回收结果
+    const existing = await this.findEntryByKey(idempotencyKey, client);
+    if (existing) {
+      return {
+        deducted: -existing.amount,
+        shortfall: amount + existing.amount,
+        balance: userResult.rows[0].points || 0
+      };
+    }
 
-      const newPoints = currentPoints - amount;
-
-      // 更新用户积分
-      const updateQuery = `
-        UPDATE users 
-        SET points = $2
-        WHERE id = $1
-        RETURNING points, total_points
-      `;
-      const updateResult = await client.query(updateQuery, [userId, newPoints]);
-
-      // 记录积分变更
-      const recordQuery = `
-        INSERT INTO points_records 
-        (user_id, type, amount, source, description, related_id, related_type, balance_before, balance_after)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        RETURNING *
-      `;
-      const recordValues = [
-        userId, 
-        'spend', 
-        -amount, 
-        source, 
-        description, 
-        relatedId, 
-        relatedType, 
-        currentPoints, 
-        newPoints
-      ];
-      const recordResult = await client.query(recordQuery, recordValues);
+    const currentPoints = userResult.rows[0].points || 0;
+    const deducted = Math.min(amount, Math.max(currentPoints, 0));
+    const fullDescription = deducted < amount
+      ? `${description}（应回收${amount}，余额不足${amount - deducted}）`
+      : description;
 
-      await AuditLog.createPointsLog({
+    if (deducted > 0) {
+      const { record } = await this.postEntry({
         userId,
-        operatorId,
-        changeAmount: -amount,
-        balanceBefore: currentPoints,
-        balanceAfter: newPoints,
+        amount: -deducted,
+        type: 'clawback',
         source,
-        description,
+        description: fullDescription,
         relatedId,
-        relatedType
+        relatedType,
+        operatorId,
+        idempotencyKey,
+        totalDelta: -deducted
       }, client);
 
-      if (releaseClient) {
-        await client.query('COMMIT');
-      }
-      
       return {
-        user: updateResult.rows[0],
-        record: recordResult.rows[0]
+        deducted,
+        shortfall: amount - deducted,
+        balance: record.balance_after
       };
-    } catch (error) {
-      if (releaseClient) {
-        await client.query('ROLLBACK');
-      }
-      throw error;
-    } finally {
-      if (releaseClient) {
-        client.release();
-      }
     }
+
+    // 余额为0时没有账本分录，仍写审计日志记录应回收数量便于人工跟进
+    await AuditLog.createPointsLog({
+      userId,
+      operatorId,
+      changeAmount: 0,
+      balanceBefore: currentPoints,
+      balanceAfter: currentPoints,
+      source,
+      description: fullDescription,
+      relatedId,
+      relatedType
+    }, client);
+
+    return {
+      deducted: 0,
+      shortfall: amount,
+      balance: currentPoints
+    };
   }
 
   /**
    * 管理员调整用户积分
+   * 扣减超过余额时只扣到0，账本按实际变动数量记账
    */
-  static async adjustPoints(userId, amount, description = '', adminId = null) {
-    const client = await getClient();
-    
-    try {
-      await client.query('BEGIN');
+  static async adjustPoints(userId, amount, description = '', adminId = null, idempotencyKey = null) {
+    return withTransaction(null, async (client) => {
+      const userResult = await client.query('SELECT points, total_points FROM users WHERE id = $1 FOR UPDATE', [userId]);
 
-      // 获取当前积分
-      const userQuery = 'SELECT points, total_points FROM users WHERE id = $1';
-      const userResult = await client.query(userQuery, [userId]);
-      
       if (userResult.rows.length === 0) {
         throw new Error('用户不存在');
       }
 
+      // 实际变动取决于当前余额，重复请求直接返回首次调整结果
+      const existing = await this.findEntryByKey(idempotencyKey, client);
+      if (existing) {
+        return {
+          user: userResult.rows[0],
+          record: existing,
+          duplicate: true
+        };
+      }
+
       const currentPoints = userResult.rows[0].points || 0;
-      const currentTotalPoints = userResult.rows[0].total_points || 0;
-      const newPoints = Math.max(0, currentPoints + amount); // 确保积分不为负数
-      const newTotalPoints = amount > 0 ? currentTotalPoints + amount : currentTotalPoints;
-
-      // 更新用户积分
-      const updateQuery = `
-        UPDATE users 
-        SET points = $2, total_points = $3
-        WHERE id = $1
-        RETURNING points, total_points
-      `;
-      const updateResult = await client.query(updateQuery, [userId, newPoints, newTotalPoints]);
-
-      // 记录积分变更
-      const recordQuery = `
-        INSERT INTO points_records 
-        (user_id, type, amount, source, description, related_id, related_type, balance_before, balance_after)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        RETURNING *
-      `;
-      const recordValues = [
-        userId, 
-        'admin_adjust', 
-        amount, 
-        'admin', 
-        description, 
-        adminId, 
-        'admin_user', 
-        currentPoints, 
-        newPoints
-      ];
-      const recordResult = await client.query(recordQuery, recordValues);
+      const actualAmount = Math.max(0, currentPoints + amount) - currentPoints; // 确保积分不为负数
 
-      await AuditLog.createPointsLog({
+      if (actualAmount === 0) {
+        throw new Error('用户积分已为0，无需扣减');
+      }
+
+      return this.postEntry({
         userId,
-        operatorId: adminId,
-        changeAmount: amount,
-        balanceBefore: currentPoints,
-        balanceAfter: newPoints,
+        amount: actualAmount,
+        type: 'admin_adjust',
         source: 'admin_adjust',
         description,
         relatedId: adminId,
-        relatedType: 'admin_user'
+        relatedType: 'admin_user',
+        operatorId: adminId,
+        idempotencyKey
       }, client);
-
-      await client.query('COMMIT');
-      
-      return {
-        user: updateResult.rows[0],
-        record: recordResult.rows[0]
-      };
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
-    }
+    });
   }
 
   /**
@@ -415,77 +695,109 @@ class Points {
   }
 
   /**
-   * 批量转移积分（管理员功能）
+   * 批量转移积分
+   * 每笔转账的转出、转入两条分录使用同一分组号，对账时同组合计应为0
+   * @param {Array<{fromUserId: number, toUserId: number, amount: number, description: string}>} transfers
+   * @param {number} operatorId
+   * @param {Object} [options]
+   * @param {string} [options.idempotencyKey] - 幂等键，重复提交时返回首次转账结果
    */
-  static async transferPointsBatch(transfers, adminId) {
-    const client = await getClient();
-    
-    try {
-      await client.query('BEGIN');
+  static async transferPointsBatch(transfers, operatorId, { idempotencyKey = null } = {}) {
+    return transaction(async (client) => {
       const results = [];
 
-      for (const transfer of transfers) {
+      for (const [index, transfer] of transfers.entries()) {
         const { fromUserId, toUserId, amount, description } = transfer;
+        const entryGroup = crypto.randomUUID();
+        const keyPrefix = idempotencyKey ? `${idempotencyKey}:${index}` : null;
+
+        // 按用户ID顺序加锁，避免互相转账时死锁
+        await client.query(
+          'SELECT id FROM users WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE',
+          [[fromUserId, toUserId]]
+        );
+
+        const outEntry = await this.postEntry({
+          userId: fromUserId,
+          amount: -amount,
+          type: 'transfer_out',
+          source: 'transfer_out',
+          description: `转账给用户${toUserId}: ${description}`,
+          relatedId: toUserId,
+          relatedType: 'transfer',
+          operatorId,
+          idempotencyKey: keyPrefix && `${keyPrefix}:out`,
+          entryGroup
+        }, client);
+
+        const inEntry = await this.postEntry({
+          userId: toUserId,
+          amount,
+          type: 'transfer_in',
+          source: 'transfer_in',
+          description: `来自用户${fromUserId}: ${description}`,
+          relatedId: fromUserId,
+          relatedType: 'transfer',
+          operatorId,
+          idempotencyKey: keyPrefix && `${keyPrefix}:in`,
+          entryGroup: outEntry.record.entry_group
+        }, client);
 
-        // 扣除发送方积分
-        await this.deductPoints(fromUserId, amount, 'transfer_out', `转账给用户${toUserId}: ${description}`, toUserId, 'transfer');
-        
-        // 增加接收方积分
-        const result = await this.addPoints(toUserId, amount, 'transfer_in', `来自用户${fromUserId}: ${description}`, fromUserId, 'transfer');
-        
         results.push({
           from: fromUserId,
           to: toUserId,
           amount,
-          result
+          entry_group: outEntry.record.entry_group,
+          duplicate: outEntry.duplicate,
+          result: inEntry
         });
       }
 
-      await client.query('COMMIT');
       return results;
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
-    }
+    });
   }
 
   /**
    * 系统批量发放积分
+   * 每个用户单独记账，单个用户失败不影响其他用户
+   * @param {Array<number>} userIds
+   * @param {number} amount
+   * @param {string} source
+   * @param {string} [description]
+   * @param {Object} [options]
+   * @param {number} [options.operatorId]
+   * @param {string} [options.idempotencyKey] - 幂等键，按用户派生，重复提交不会重复发放
    */
-  static async batchGrantPoints(userIds, amount, source, description = '') {
-    const client = await getClient();
-    
-    try {
-      await client.query('BEGIN');
-      const results = [];
+  static async batchGrantPoints(userIds, amount, source, description = '', { operatorId = null, idempotencyKey = null } = {}) {
+    const results = [];
 
-      for (const userId of userIds) {
-        try {
-          const result = await this.addPoints(userId, amount, source, description);
-          results.push({
-            userId,
-            success: true,
-            result
-          });
-        } catch (error) {
-          results.push({
-            userId,
-            success: false,
-            error: error.message
-          });
-        }
+    for (const userId of userIds) {
+      try {
+        const result = await this.postEntry({
+          userId,
+          amount,
+          type: 'earn',
+          source,
+          description,
+          operatorId,
+          idempotencyKey: idempotencyKey ? `${idempotencyKey}:${userId}` : null
+        });
+        results.push({
+          userId,
+          success: true,
+          duplicate: result.duplicate,
+          result
+        });
+      } catch (error) {
+        results.push({
+          userId,
+          success: false,
+          error: error.message
+        });
       }
-
-      await client.query('COMMIT');
-      return results;
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
     }
+
+    return results;
   }
 }
 
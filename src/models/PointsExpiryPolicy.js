@@ -0,0 +1,84 @@
+/**
+ * 积分过期策略数据模型
+ * 按积分来源（points_records.source）配置有效期与提前提醒天数，
+ * 策略只作用于之后获得的积分批次，未配置或已停用的来源永不过期
+ */
+
+const { query } = require('../config/database');
+
+class PointsExpiryPolicy {
+  /**
+   * 获取全部过期策略
+   * @returns {Promise<Array>}
+   */
+  static async findAll() {
+    const result = await query(
+      `SELECT p.*, u.username AS updated_by_username
+       FROM points_expiry_policies p
+       LEFT JOIN users u ON u.id = p.updated_by
+       ORDER BY p.source`
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 根据来源获取过期策略
+   * @param {string} source
+   * @returns {Promise<Object|null>}
+   */
+  static async findBySource(source) {
+    const result = await query(
+      'SELECT * FROM points_expiry_policies WHERE source = $1',
+      [source]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 创建或更新来源的过期策略
+   * @param {string} source
+   * @param {Object} data
+   * @param {number} data.expire_days - 有效天数
+   * @param {number} data.notify_days - 到期前提醒天数，0 表示不提醒
+   * @param {boolean} data.is_active
+   * @param {string} [data.description]
+   * @param {number} [operatorId]
+   * @returns {Promise<Object>}
+   */
+  static async upsert(source, { expire_days, notify_days, is_active, description = null }, operatorId = null) {
+    const result = await query(
+      `INSERT INTO points_expiry_policies
+       (source, expire_days, notify_days, is_active, description, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (source) DO UPDATE SET
+         expire_days = EXCLUDED.expire_days,
+         notify_days = EXCLUDED.notify_days,
+         is_active = EXCLUDED.is_active,
+         description = EXCLUDED.description,
+         updated_by = EXCLUDED.updated_by,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [source, expire_days, notify_days, is_active, description, operatorId]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * 删除来源的过期策略
+   * @param {string} source
+   * @returns {Promise<Object|null>}
+   */
+  static async delete(source) {
+    const result = await query(
+      'DELETE FROM points_expiry_policies WHERE source = $1 RETURNING *',
+      [source]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = PointsExpiryPolicy;
@@ -396,8 +396,12 @@ class PointsProduct {
 
   /**
    * 用户兑换虚拟商品
+   * @param {number} productId
+   * @param {number} userId
+   * @param {Object} [options]
+   * @param {string} [options.idempotencyKey] - 客户端幂等键，重复提交返回首次兑换结果
    */
-  static async redeemVirtualProduct(productId, userId) {
+  static async redeemVirtualProduct(productId, userId, { idempotencyKey = null } = {}) {
     const client = await getClient();
     const releaseClient = true;
 
@@ -417,6 +421,26 @@ class PointsProduct {
 
       const product = productResult.rows[0];
 
+      if (idempotencyKey) {
+        const previousResult = await client.query(
+          `SELECT * FROM points_exchanges
+           WHERE user_id = $1 AND product_id = $2 AND exchange_data->>'idempotency_key' = $3`,
+          [userId, productId, idempotencyKey]
+        );
+
+        if (previousResult.rows.length > 0) {
+          await client.query('COMMIT');
+          const previous = previousResult.rows[0];
+          return {
+            product,
+            inventoryItem: { code: previous.exchange_data?.code || null },
+            exchange: previous,
+            points: null,
+            duplicate: true
+          };
+        }
+      }
+
       const inventoryResult = await client.query(
         `SELECT id, code
          FROM virtual_product_items
@@ -440,6 +464,7 @@ class PointsProduct {
         reference_id: productId,
         reference_type: 'points_product',
         operator_id: userId,
+        idempotency_key: idempotencyKey ? `points_mall:${userId}:${idempotencyKey}` : null,
         client
       });
 
@@ -452,7 +477,7 @@ class PointsProduct {
           userId,
           productId,
           product.points_cost,
-          JSON.stringify({ code: inventoryItem.code })
+          JSON.stringify({ code: inventoryItem.code, idempotency_key: idempotencyKey })
         ]
       );
 
@@ -478,7 +503,8 @@ class PointsProduct {
         product,
         inventoryItem,
         exchange: exchangeResult.rows[0],
-        points: deductionResult
+        points: deductionResult,
+        duplicate: false
       };
     } catch (error) {
       await client.query('ROLLBACK');
@@ -0,0 +1,215 @@
+/**
+ * 积分对账数据模型
+ * 核对 users.points 与 points_records 分录合计，记录每次对账批次与差异明细
+ */
+
+const { query } = require('../config/database');
+
+class PointsReconciliation {
+  /**
+   * 创建对账批次
+   * @param {Object} params
+   * @param {string} params.triggerType - schedule/manual
+   * @param {number} [params.triggeredBy]
+   * @returns {Promise<Object>}
+   */
+  static async createRun({ triggerType, triggeredBy = null }) {
+    const result = await query(
+      `INSERT INTO points_reconciliation_runs (trigger_type, triggered_by)
+       VALUES ($1, $2)
+       RETURNING *`,
+      [triggerType, triggeredBy]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * 统计参与对账的用户数
+   * @returns {Promise<number>}
+   */
+  static async countUsers() {
+    const result = await query('SELECT COUNT(*)::INTEGER AS total FROM users');
+    return result.rows[0].total;
+  }
+
+  /**
+   * 查找余额与账本不一致的用户
+   * 余额不等于分录合计，或最后一条分录的变动后余额不等于当前余额，均视为差异
+   * @param {number} [limit=1000]
+   * @returns {Promise<Array>}
+   */
+  static async findDrift(limit = 1000) {
+    const result = await query(
+      `SELECT
+         u.id AS user_id,
+         COALESCE(u.points, 0) AS balance,
+         COALESCE(l.ledger_balance, 0) AS ledger_balance,
+         COALESCE(u.points, 0) - COALESCE(l.ledger_balance, 0) AS drift,
+         l.last_balance_after,
+         COALESCE(l.entries_count, 0) AS entries_count
+       FROM users u
+       LEFT JOIN (
+         SELECT
+           user_id,
+           SUM(amount)::INTEGER AS ledger_balance,
+           COUNT(*)::INTEGER AS entries_count,
+           (ARRAY_AGG(balance_after ORDER BY id DESC))[1] AS last_balance_after
+         FROM points_records
+         GROUP BY user_id
+       ) l ON l.user_id = u.id
+       WHERE COALESCE(u.points, 0) <> COALESCE(l.ledger_balance, 0)
+          OR (l.last_balance_after IS NOT NULL AND l.last_balance_after <> COALESCE(u.points, 0))
+       ORDER BY ABS(COALESCE(u.points, 0) - COALESCE(l.ledger_balance, 0)) DESC, u.id
+       LIMIT $1`,
+      [limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 查找合计不为0的成对分录分组（如转账只记了一边）
+   * @param {number} [limit=100]
+   * @returns {Promise<Array>}
+   */
+  static async findUnbalancedGroups(limit = 100) {
+    const result = await query(
+      `SELECT entry_group, SUM(amount)::INTEGER AS total, COUNT(*)::INTEGER AS entries_count
+       FROM points_records
+       WHERE entry_group IS NOT NULL
+       GROUP BY entry_group
+       HAVING SUM(amount) <> 0
+       ORDER BY MIN(created_at) DESC
+       LIMIT $1`,
+      [limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 完成对账批次并写入差异明细
+   * @param {number} runId
+   * @param {Object} summary
+   * @param {number} summary.usersChecked
+   * @param {Array} summary.items - findDrift 结果
+   * @param {Array} summary.unbalancedGroups - findUnbalancedGroups 结果
+   * @returns {Promise<Object>}
+   */
+  static async completeRun(runId, { usersChecked, items, unbalancedGroups }) {
+    for (const item of items) {
+      await query(
+        `INSERT INTO points_reconciliation_items
+         (run_id, user_id, balance, ledger_balance, drift, last_balance_after, entries_count)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [runId, item.user_id, item.balance, item.ledger_balance, item.drift, item.last_balance_after, item.entries_count]
+      );
+    }
+
+    const totalDrift = items.reduce((sum, item) => sum + Math.abs(item.drift), 0);
+
+    const result = await query(
+      `UPDATE points_reconciliation_runs
+       SET status = 'completed',
+           users_checked = $2,
+           drift_users = $3,
+           total_drift = $4,
+           unbalanced_groups = $5,
+           finished_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [runId, usersChecked, items.length, totalDrift, JSON.stringify(unbalancedGroups)]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * 标记对账批次失败
+   * @param {number} runId
+   * @param {string} errorMessage
+   */
+  static async failRun(runId, errorMessage) {
+    await query(
+      `UPDATE points_reconciliation_runs
+       SET status = 'failed', error_message = $2, finished_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [runId, errorMessage]
+    );
+  }
+
+  /**
+   * 获取对账批次列表
+   * @param {Object} [filters]
+   * @param {boolean} [filters.driftOnly] - 只看存在差异的批次
+   * @returns {Promise<Object>}
+   */
+  static async findRuns({ driftOnly = false, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    const where = driftOnly
+      ? `WHERE r.drift_users > 0 OR jsonb_array_length(COALESCE(r.unbalanced_groups, '[]'::jsonb)) > 0`
+      : '';
+
+    const countResult = await query(`SELECT COUNT(*)::INTEGER AS total FROM points_reconciliation_runs r ${where}`);
+    const result = await query(
+      `SELECT r.*, u.username AS triggered_by_username
+       FROM points_reconciliation_runs r
+       LEFT JOIN users u ON u.id = r.triggered_by
+       ${where}
+       ORDER BY r.started_at DESC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    const total = countResult.rows[0].total;
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      data: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * 获取对账批次详情及差异明细
+   * @param {number} runId
+   * @returns {Promise<Object|null>}
+   */
+  static async findRunById(runId) {
+    const runResult = await query(
+      `SELECT r.*, u.username AS triggered_by_username
+       FROM points_reconciliation_runs r
+       LEFT JOIN users u ON u.id = r.triggered_by
+       WHERE r.id = $1`,
+      [runId]
+    );
+
+    if (runResult.rows.length === 0) {
+      return null;
+    }
+
+    const itemsResult = await query(
+      `SELECT i.*, u.username
+       FROM points_reconciliation_items i
+       LEFT JOIN users u ON u.id = i.user_id
+       WHERE i.run_id = $1
+       ORDER BY ABS(i.drift) DESC, i.user_id`,
+      [runId]
+    );
+
+    return {
+      ...runResult.rows[0],
+      items: itemsResult.rows
+    };
+  }
+}
+
+module.exports = PointsReconciliation;
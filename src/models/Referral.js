@@ -246,6 +246,28 @@ class Referral {
     return result.rows[0]?.order_count > 0;
   }
 
+  /**
+   * 判断是否存在已完成的VIP订单（卡密兑换与在线支付）
+   */
+  static async hasPaidOrder(userId, excludeOrderId = null) {
+    const params = [userId];
+    let queryStr = `
+      SELECT COUNT(*)::INTEGER AS order_count
+      FROM orders
+      WHERE user_id = $1
+        AND status = 'paid'
+        AND (payment_method = 'card_key' OR fulfilled_at IS NOT NULL)
+    `;
+
+    if (excludeOrderId) {
+      params.push(excludeOrderId);
+      queryStr += ' AND id <> $2';
+    }
+
+    const result = await query(queryStr, params);
+    return result.rows[0]?.order_count > 0;
+  }
+
   /**
    * 创建佣金记录并更新余额
    */
@@ -445,10 +467,13 @@ class Referral {
   }
 
   static async updateCommissionStatus(commissionId, newStatus, options = {}) {
-    const client = await getClient();
+    const client = options.client || await getClient();
+    const releaseClient = !options.client;
 
     try {
-      await client.query('BEGIN');
+      if (releaseClient) {
+        await client.query('BEGIN');
+      }
 
       const commissionResult = await client.query(
         'SELECT * FROM referral_commissions WHERE id = $1 FOR UPDATE',
@@ -520,16 +545,67 @@ class Referral {
         ]
       );
 
-      await client.query('COMMIT');
+      if (releaseClient) {
+        await client.query('COMMIT');
+      }
       return updateResult.rows[0];
     } catch (error) {
-      await client.query('ROLLBACK');
+      if (releaseClient) {
+        await client.query('ROLLBACK');
+      }
       throw error;
     } finally {
-      client.release();
+      if (releaseClient) {
+        client.release();
+      }
     }
   }
 
+  /**
+   * 获取订单对应的佣金记录并加锁
+   * @param {number} orderId
+   * @param {Object} client - 事务连接
+   */
+  static async findCommissionByOrderForUpdate(orderId, client) {
+    const result = await client.query(
+      'SELECT * FROM referral_commissions WHERE order_id = $1 FOR UPDATE',
+      [orderId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 部分退款时按比例冲减待结算佣金
+   * @param {Object} commission - 已加锁的佣金记录
+   * @param {number} orderAmountDelta - 冲减的订单金额
+   * @param {number} commissionDelta - 冲减的佣金金额
+   * @param {string} reviewNotes - 备注
+   * @param {Object} client - 事务连接
+   */
+  static async reducePendingCommission(commission, orderAmountDelta, commissionDelta, reviewNotes, client) {
+    await client.query(
+      `UPDATE users
+       SET total_commission_earned = GREATEST(total_commission_earned - $2, 0),
+           commission_pending_balance = GREATEST(commission_pending_balance - $2, 0),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [commission.inviter_id, commissionDelta]
+    );
+
+    const result = await client.query(
+      `UPDATE referral_commissions
+       SET order_amount = GREATEST(order_amount - $2, 0),
+           commission_amount = GREATEST(commission_amount - $3, 0),
+           review_notes = $4
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [commission.id, orderAmountDelta, commissionDelta, reviewNotes]
+    );
+
+    return result.rows[0] || null;
+  }
+
   static async getPayoutSetting(userId) {
     const result = await query(
       `SELECT id, method, account, account_name, extra, updated_at
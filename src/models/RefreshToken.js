@@ -0,0 +1,256 @@
+/**
+ * 刷新令牌数据模型
+ * 每次登录生成一个令牌家族（family_id），即一个登录会话；刷新时轮换为同一家族的新令牌。
+ * 已轮换的旧令牌再次被使用视为令牌泄露，整个家族随即失效
+ */
+
+const crypto = require('crypto');
+const { query, getClient } = require('../config/database');
+const { hashToken } = require('../utils/jwt');
+
+// 并发刷新时旧令牌可能被重复提交，宽限期内的重复使用只拒绝、不判定为泄露
+const REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS, 10) || 10;
+
+const SESSION_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const REVOKE_REASONS = {
+  ROTATED: 'rotated',
+  LOGOUT: 'logout',
+  USER_REVOKED: 'user_revoked',
+  ADMIN_REVOKED: 'admin_revoked',
+  PASSWORD_RESET: 'password_reset',
+  REUSE_DETECTED: 'reuse_detected'
+};
+
+class RefreshToken {
+  static get REVOKE_REASONS() {
+    return REVOKE_REASONS;
+  }
+
+  /**
+   * 生成新的会话ID
+   * @returns {string}
+   */
+  static createSessionId() {
+    return crypto.randomUUID();
+  }
+
+  /**
+   * 校验会话ID格式
+   * @param {string} sessionId
+   * @returns {boolean}
+   */
+  static isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID_REGEX.test(sessionId);
+  }
+
+  /**
+   * 存储新会话的首个刷新令牌
+   * @param {Object} payload
+   * @param {number} payload.userId - 用户ID
+   * @param {string} payload.sessionId - 会话ID（令牌家族）
+   * @param {string} payload.refreshToken - 刷新令牌
+   * @param {Date} payload.expiresAt - 过期时间
+   * @param {string} [payload.deviceName] - 设备名称
+   * @param {string} [payload.userAgent]
+   * @param {string} [payload.ipAddress]
+   * @returns {Promise<Object>}
+   */
+  static async create({ userId, sessionId, refreshToken, expiresAt, deviceName = null, userAgent = null, ipAddress = null }) {
+    const result = await query(
+      `INSERT INTO refresh_tokens (
+        user_id, token_hash, family_id, device_name, user_agent, ip_address, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *`,
+      [userId, hashToken(refreshToken), sessionId, deviceName, userAgent, ipAddress, expiresAt]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * 轮换刷新令牌
+   * @param {string} refreshToken - 客户端提交的刷新令牌
+   * @param {Object} next
+   * @param {string} next.refreshToken - 新刷新令牌
+   * @param {Date} next.expiresAt - 新令牌过期时间
+   * @param {string} [next.userAgent]
+   * @param {string} [next.ipAddress]
+   * @returns {Promise<{status: 'rotated'|'reused'|'invalid', token?: Object, previous?: Object}>}
+   */
+  static async rotate(refreshToken, { refreshToken: nextRefreshToken, expiresAt, userAgent = null, ipAddress = null }) {
+    const tokenHash = hashToken(refreshToken);
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      // 原子地作废旧令牌，并发请求中只有一个能成功
+      const previousResult = await client.query(
+        `UPDATE refresh_tokens
+         SET is_revoked = TRUE,
+             revoked_at = CURRENT_TIMESTAMP,
+             revoked_reason = $2,
+             last_used_at = CURRENT_TIMESTAMP,
+             last_used_ip = $3
+         WHERE token_hash = $1 AND is_revoked = FALSE AND expires_at > NOW()
+         RETURNING *`,
+        [tokenHash, REVOKE_REASONS.ROTATED, ipAddress]
+      );
+
+      const previous = previousResult.rows[0];
+
+      if (!previous) {
+        const existingResult = await client.query(
+          `SELECT *, revoked_at > NOW() - ($2::INTEGER * INTERVAL '1 second') AS within_grace
+           FROM refresh_tokens
+           WHERE token_hash = $1`,
+          [tokenHash, REUSE_GRACE_SECONDS]
+        );
+        const existing = existingResult.rows[0];
+
+        if (existing && existing.revoked_reason === REVOKE_REASONS.ROTATED && !existing.within_grace) {
+          await client.query(
+            `UPDATE refresh_tokens
+             SET is_revoked = TRUE, revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+             WHERE family_id = $1 AND is_revoked = FALSE`,
+            [existing.family_id, REVOKE_REASONS.REUSE_DETECTED]
+          );
+          await client.query('COMMIT');
+          return { status: 'reused', previous: existing };
+        }
+
+        await client.query('COMMIT');
+        return { status: 'invalid' };
+      }
+
+      const tokenResult = await client.query(
+        `INSERT INTO refresh_tokens (
+          user_id, token_hash, family_id, parent_id, device_name, user_agent, ip_address, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *`,
+        [
+          previous.user_id,
+          hashToken(nextRefreshToken),
+          previous.family_id,
+          previous.id,
+          previous.device_name,
+          userAgent || previous.user_agent,
+          ipAddress,
+          expiresAt
+        ]
+      );
+
+      await client.query('COMMIT');
+      return { status: 'rotated', token: tokenResult.rows[0], previous };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * 根据刷新令牌查找记录（不校验有效性）
+   * @param {string} refreshToken
+   * @returns {Promise<Object|null>}
+   */
+  static async findByToken(refreshToken) {
+    const result = await query(
+      'SELECT * FROM refresh_tokens WHERE token_hash = $1',
+      [hashToken(refreshToken)]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 判断会话是否仍然有效（存在未撤销且未过期的令牌）
+   * @param {string} sessionId
+   * @returns {Promise<boolean>}
+   */
+  static async isSessionActive(sessionId) {
+    const result = await query(
+      `SELECT 1 FROM refresh_tokens
+       WHERE family_id = $1 AND is_revoked = FALSE AND expires_at > NOW()
+       LIMIT 1`,
+      [sessionId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * 获取用户的有效会话列表
+   * @param {number} userId
+   * @returns {Promise<Array>}
+   */
+  static async findActiveSessions(userId) {
+    const result = await query(
+      `SELECT
+         rt.family_id AS session_id,
+         rt.device_name,
+         rt.user_agent,
+         rt.ip_address,
+         rt.created_at AS last_active_at,
+         rt.expires_at,
+         f.started_at,
+         f.login_ip
+       FROM refresh_tokens rt
+       JOIN LATERAL (
+         SELECT MIN(ft.created_at) AS started_at,
+                (ARRAY_AGG(ft.ip_address ORDER BY ft.created_at))[1] AS login_ip
+         FROM refresh_tokens ft
+         WHERE ft.family_id = rt.family_id
+       ) f ON TRUE
+       WHERE rt.user_id = $1 AND rt.is_revoked = FALSE AND rt.expires_at > NOW()
+       ORDER BY rt.created_at DESC`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 撤销会话
+   * @param {string} sessionId - 会话ID
+   * @param {string} reason - 撤销原因
+   * @param {number} [userId] - 限定所属用户
+   * @returns {Promise<number>} 撤销的令牌数量，0表示会话不存在或已失效
+   */
+  static async revokeSession(sessionId, reason, userId = null) {
+    const result = await query(
+      `UPDATE refresh_tokens
+       SET is_revoked = TRUE, revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+       WHERE family_id = $1
+         AND is_revoked = FALSE
+         AND ($3::INTEGER IS NULL OR user_id = $3)`,
+      [sessionId, reason, userId]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * 撤销用户的所有会话
+   * @param {number} userId
+   * @param {string} reason - 撤销原因
+   * @param {string} [exceptSessionId] - 保留的会话（如当前会话）
+   * @returns {Promise<number>} 撤销的令牌数量
+   */
+  static async revokeAllForUser(userId, reason, exceptSessionId = null) {
+    const result = await query(
+      `UPDATE refresh_tokens
+       SET is_revoked = TRUE, revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+       WHERE user_id = $1
+         AND is_revoked = FALSE
+         AND ($3::UUID IS NULL OR family_id <> $3::UUID)`,
+      [userId, reason, exceptSessionId]
+    );
+
+    return result.rowCount;
+  }
+}
+
+module.exports = RefreshToken;
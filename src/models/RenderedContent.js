@@ -0,0 +1,60 @@
+/**
+ * 内容渲染缓存数据模型
+ * 查找渲染缓存缺失或渲染规则版本过旧的帖子、评论、资源正文，并写回渲染结果
+ */
+
+const { query } = require('../config/database');
+const { CONTENT_TARGETS } = require('../utils/contentPipeline');
+
+class RenderedContent {
+  /**
+   * 查找需要重新渲染的内容
+   * @param {string} target - CONTENT_TARGETS 中的键
+   * @param {number} version - 当前渲染规则版本
+   * @param {number} afterId - 从该ID之后开始
+   * @param {number} [limit=200]
+   * @returns {Promise<Array<{id: number, content: string, format: string|null}>>}
+   */
+  static async findStale(target, version, afterId, limit = 200) {
+    const { table, formatColumn } = CONTENT_TARGETS[target];
+    const formatSelect = formatColumn ? `${formatColumn} AS format` : 'NULL AS format';
+
+    const result = await query(
+      `SELECT id, content, ${formatSelect}
+       FROM ${table}
+       WHERE id > $1
+         AND content IS NOT NULL
+         AND content_render_version IS DISTINCT FROM $2
+       ORDER BY id
+       LIMIT $3`,
+      [afterId, version, limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 写回渲染结果；内容在渲染期间被修改时跳过，由修改时的渲染结果为准
+   * @param {string} target - CONTENT_TARGETS 中的键
+   * @param {number} id
+   * @param {string} content - 渲染时读取的原始内容
+   * @param {Object} columns - renderColumns 的返回值
+   * @returns {Promise<boolean>} 是否写入
+   */
+  static async saveRendered(target, id, content, columns) {
+    const { table } = CONTENT_TARGETS[target];
+
+    const result = await query(
+      `UPDATE ${table}
+       SET content_html = $1,
+           content_meta = $2::jsonb,
+           content_render_version = $3
+       WHERE id = $4 AND content = $5`,
+      [columns.content_html, columns.content_meta, columns.content_render_version, id, content]
+    );
+
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = RenderedContent;
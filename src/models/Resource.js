@@ -4,6 +4,19 @@
  */
 
 const { query, getClient } = require('../config/database');
+const { buildTsQuery } = require('../utils/searchTokenizer');
+const { renderColumns } = require('../utils/contentPipeline');
+
+// 审核、定时发布状态流转时允许一并写入的字段
+const TRANSITION_FIELDS = [
+  'is_public',
+  'published_at',
+  'publish_at',
+  'submitted_at',
+  'reviewed_by',
+  'reviewed_at',
+  'review_note'
+];
 
 class Resource {
   /**
@@ -16,6 +29,7 @@ class Resource {
       title,
       slug,
       description,
+      content = null,
       summary,
       category_id,
       resource_type_id,
@@ -24,7 +38,9 @@ class Resource {
       status = 'published',
       author_id,
       tags = [],
-      official = false
+      official = false,
+      publish_at = null,
+      submitted_at = null
     } = resourceData;
 
     const client = await getClient();
@@ -50,14 +66,19 @@ class Resource {
 
       // 插入资源
       const publishedAt = status === 'published' ? new Date() : null;
+      const rendered = renderColumns('resource', content);
 
       const resourceResult = await client.query(
         `INSERT INTO resources (
           title, slug, description, summary, category_id, resource_type_id,
-          cover_image_url, is_public, status, author_id, published_at, official
+          cover_image_url, is_public, status, author_id, published_at, official,
+          content, publish_at, submitted_at,
+          content_html, content_meta, content_render_version
         ) VALUES (
           $1, $2, $3, $4, $5, $6,
-          $7, $8, $9, $10, $11, $12
+          $7, $8, $9, $10, $11, $12,
+          $13, $14, $15,
+          $16, $17, $18
         )
         RETURNING *`,
         [
@@ -72,7 +93,13 @@ class Resource {
           status,
           author_id,
           publishedAt,
-          official
+          official,
+          content,
+          publish_at,
+          submitted_at,
+          rendered.content_html,
+          rendered.content_meta,
+          rendered.content_render_version
         ]
       );
 
@@ -242,18 +269,24 @@ class Resource {
       paramIndex++;
     }
     if (sanitizedSearch) {
-      const tsQueryParamIndex = paramIndex;
-      const fuzzyParamIndex = paramIndex + 1;
-
-      conditions.push(`(
-        to_tsvector('simple', coalesce(r.title, '') || ' ' || coalesce(r.description, '')) @@ websearch_to_tsquery('simple', $${tsQueryParamIndex})
-        OR r.title ILIKE $${fuzzyParamIndex}
-        OR r.description ILIKE $${fuzzyParamIndex}
-      )`);
-
-      values.push(sanitizedSearch);
-      values.push(`%${sanitizedSearch}%`);
-      paramIndex += 2;
+      const tsQuery = buildTsQuery(sanitizedSearch);
+
+      // 使用搜索索引匹配；标题模糊匹配兜底尚未同步到索引的新资源
+      if (tsQuery) {
+        conditions.push(`(
+          r.id IN (
+            SELECT sd.doc_id FROM search_documents sd
+            WHERE sd.doc_type = 'resource' AND sd.search_vector @@ $${paramIndex}::tsquery
+          )
+          OR r.title ILIKE $${paramIndex + 1}
+        )`);
+        values.push(tsQuery, `%${sanitizedSearch}%`);
+        paramIndex += 2;
+      } else {
+        conditions.push(`r.title ILIKE $${paramIndex}`);
+        values.push(`%${sanitizedSearch}%`);
+        paramIndex++;
+      }
     }
 
     // 标签过滤
@@ -276,7 +309,7 @@ class Resource {
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
     // 验证排序字段
-    const allowedSortFields = ['created_at', 'updated_at', 'title', 'view_count', 'download_count', 'like_count'];
+    const allowedSortFields = ['created_at', 'updated_at', 'title', 'view_count', 'download_count', 'like_count', 'submitted_at', 'publish_at'];
     const finalSortBy = allowedSortFields.includes(sort_by) ? sort_by : 'created_at';
     const finalSortOrder = ['ASC', 'DESC'].includes(sort_order.toUpperCase()) ? sort_order.toUpperCase() : 'DESC';
 
@@ -286,6 +319,7 @@ class Resource {
         r.id, r.title, r.slug, r.summary, r.cover_image_url,
         r.category_id, r.author_id, r.resource_type_id,
         r.is_public, r.official, r.status, r.view_count, r.download_count, r.like_count, r.created_at, r.published_at,
+        r.publish_at, r.submitted_at, r.review_note,
         rt.name as resource_type_name, rt.display_name as resource_type_display_name,
         c.name as category_name, c.display_name as category_display_name,
         c.parent_id as category_parent_id,
@@ -348,9 +382,18 @@ class Resource {
       'resource_type_id',
       'cover_image_url',
       'is_public',
+      'is_free',
+      'required_points',
+      'required_vip_level',
       'status',
       'official',
-      'published_at'
+      'published_at',
+      'content',
+      'publish_at',
+      'submitted_at',
+      'reviewed_by',
+      'reviewed_at',
+      'review_note'
     ];
 
     const updateFields = [];
@@ -367,6 +410,16 @@ class Resource {
       paramIndex++;
     }
 
+    // 正文变化时同步更新渲染缓存
+    if (updateData.content !== undefined) {
+      const rendered = renderColumns('resource', updateData.content);
+      for (const [column, value] of Object.entries(rendered)) {
+        updateFields.push(`${column} = $${paramIndex}`);
+        values.push(value);
+        paramIndex++;
+      }
+    }
+
     if (updateFields.length === 0) {
       throw new Error('没有可更新的字段');
     }
@@ -387,6 +440,56 @@ class Resource {
   }
 
 
+  /**
+   * 按当前状态流转资源状态，状态不匹配时不更新
+   * @param {number} id
+   * @param {Array<string>} fromStatuses
+   * @param {string} toStatus
+   * @param {Object} [fields] - 一并写入的字段，见 TRANSITION_FIELDS
+   * @returns {Promise<Object|null>}
+   */
+  static async transition(id, fromStatuses, toStatus, fields = {}) {
+    const columns = TRANSITION_FIELDS.filter((field) => fields[field] !== undefined);
+    const values = [id, fromStatuses, toStatus, ...columns.map((field) => fields[field])];
+
+    const result = await query(
+      `UPDATE resources
+       SET status = $3,
+           ${columns.map((field, index) => `${field} = $${index + 4}, `).join('')}updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = ANY($2)
+       RETURNING *`,
+      values
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 发布已到定时发布时间的资源
+   * 发布时间记为计划时间，多进程同时执行时通过 SKIP LOCKED 避免重复处理
+   * @param {number} [limit=100]
+   * @returns {Promise<Array>} 本次发布的资源
+   */
+  static async publishDue(limit = 100) {
+    const result = await query(
+      `UPDATE resources
+       SET status = 'published',
+           published_at = publish_at,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM resources
+         WHERE status = 'scheduled' AND publish_at <= CURRENT_TIMESTAMP
+         ORDER BY publish_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [limit]
+    );
+
+    return result.rows;
+  }
+
   /**
    * 删除资源（保留历史数据）
    * @param {number} id - 资源ID
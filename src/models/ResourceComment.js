@@ -5,6 +5,7 @@
 
 const { query, getClient } = require('../config/database');
 const NotificationService = require('../services/NotificationService');
+const { renderColumns } = require('../utils/contentPipeline');
 
 class ResourceComment {
   /**
@@ -65,12 +66,19 @@ class ResourceComment {
     const commenterInfo = commenterResult.rows[0];
 
     const queryStr = `
-      INSERT INTO resource_comments (resource_id, user_id, content, parent_id)
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO resource_comments (
+        resource_id, user_id, content, parent_id,
+        content_html, content_meta, content_render_version
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING *
     `;
 
-    const result = await query(queryStr, [resource_id, user_id, content, parent_id]);
+    const rendered = renderColumns('resource_comment', content);
+    const result = await query(queryStr, [
+      resource_id, user_id, content, parent_id,
+      rendered.content_html, rendered.content_meta, rendered.content_render_version
+    ]);
     const newComment = result.rows[0];
 
     return newComment;
@@ -154,6 +162,8 @@ class ResourceComment {
       user_id: row.user_id,
       parent_id: row.parent_id,
       content: row.content,
+      content_html: row.content_html,
+      content_meta: row.content_meta,
       is_approved: row.is_approved,
       like_count: row.like_count,
       created_at: row.created_at,
@@ -293,6 +303,8 @@ class ResourceComment {
       user_id: row.user_id,
       parent_id: row.parent_id,
       content: row.content,
+      content_html: row.content_html,
+      content_meta: row.content_meta,
       is_approved: row.is_approved,
       like_count: row.like_count,
       created_at: row.created_at,
@@ -383,12 +395,20 @@ class ResourceComment {
   static async updateComment(commentId, userId, content) {
     const queryStr = `
       UPDATE resource_comments
-      SET content = $3, updated_at = CURRENT_TIMESTAMP
+      SET content = $3,
+          content_html = $4,
+          content_meta = $5,
+          content_render_version = $6,
+          updated_at = CURRENT_TIMESTAMP
       WHERE id = $1 AND user_id = $2
       RETURNING *
     `;
 
-    const result = await query(queryStr, [commentId, userId, content]);
+    const rendered = renderColumns('resource_comment', content);
+    const result = await query(queryStr, [
+      commentId, userId, content,
+      rendered.content_html, rendered.content_meta, rendered.content_render_version
+    ]);
     if (result.rows.length === 0) {
       throw new Error('评论不存在或无权限修改');
     }
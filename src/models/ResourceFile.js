@@ -62,6 +62,7 @@ class ResourceFile {
   static async findByResourceId(resourceId, options = {}) {
     const {
       includeInactive = false,
+      includeDeprecated = false,
       fileType,
       quality,
       isActive,
@@ -88,6 +89,11 @@ class ResourceFile {
         queryStr += ` AND is_active = TRUE`;
       }
 
+      // 已弃用的旧版本文件默认不返回
+      if (!includeDeprecated) {
+        queryStr += ` AND deprecated_at IS NULL`;
+      }
+
       // 添加文件类型筛选
       if (fileType) {
         paramCount++;
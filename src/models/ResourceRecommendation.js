@@ -0,0 +1,294 @@
+/**
+ * 资源推荐数据模型
+ * 由点赞、收藏、下载行为计算资源共现得分，结合标签相似度写入 resource_similarities，
+ * 并汇总用户标签偏好写入 user_tag_affinities；读取时基于预计算结果生成相关资源与个性化推荐
+ */
+
+const { query } = require('../config/database');
+
+// 行为权重：收藏 > 点赞 > 下载
+const SIGNAL_WEIGHTS = {
+  favorite: 3,
+  like: 2,
+  download: 1
+};
+
+const MAX_SIGNAL_WEIGHT = Math.max(...Object.values(SIGNAL_WEIGHTS));
+
+/**
+ * 用户行为信号子查询，每个用户对每个资源取最高权重
+ * @param {string} windowParam - 统计窗口天数的参数占位符
+ * @param {string} [userFilter] - 限定用户的参数占位符
+ * @returns {string}
+ */
+const signalsSql = (windowParam, userFilter = null) => {
+  const since = `NOW() - make_interval(days => ${windowParam}::INTEGER)`;
+  const byUser = userFilter ? ` AND user_id = ${userFilter}` : '';
+
+  return `
+    SELECT user_id, resource_id, MAX(weight) AS weight, MAX(acted_at) AS acted_at
+    FROM (
+      SELECT user_id, resource_id, ${SIGNAL_WEIGHTS.favorite}.0 AS weight, created_at AS acted_at
+      FROM user_favorites WHERE created_at >= ${since}${byUser}
+      UNION ALL
+      SELECT user_id, resource_id, ${SIGNAL_WEIGHTS.like}.0, created_at
+      FROM resource_likes WHERE created_at >= ${since}${byUser}
+      UNION ALL
+      SELECT user_id, resource_id, ${SIGNAL_WEIGHTS.download}.0, downloaded_at
+      FROM download_records WHERE downloaded_at >= ${since}${byUser}
+    ) s
+    GROUP BY user_id, resource_id`;
+};
+
+const RESOURCE_COLUMNS = `
+  r.id,
+  r.title,
+  r.slug,
+  r.summary,
+  r.cover_image_url,
+  r.view_count,
+  r.download_count,
+  r.like_count,
+  r.created_at,
+  r.published_at,
+  r.author_id,
+  r.category_id,
+  r.official,
+  rt.id AS resource_type_id,
+  rt.name AS resource_type_name,
+  rt.display_name AS resource_type_display_name,
+  c.name AS category_name,
+  c.display_name AS category_display_name,
+  u.username AS author_username,
+  u.nickname AS author_nickname,
+  u.avatar_url AS author_avatar_url`;
+
+const RESOURCE_JOINS = `
+  LEFT JOIN resource_types rt ON r.resource_type_id = rt.id
+  LEFT JOIN categories c ON r.category_id = c.id
+  LEFT JOIN users u ON r.author_id = u.id`;
+
+class ResourceRecommendation {
+  static get SIGNAL_WEIGHTS() {
+    return SIGNAL_WEIGHTS;
+  }
+
+  /**
+   * 重新计算相关资源得分
+   * 共现得分为两个资源行为向量的余弦相似度，标签得分为标签集合的 Jaccard 系数
+   * @param {Object} client - 事务连接
+   * @param {Object} options
+   * @param {number} options.windowDays - 行为统计窗口（天）
+   * @param {number} options.maxSignalsPerUser - 每个用户参与计算的最近行为数，避免重度用户主导结果
+   * @param {number} options.maxTagResources - 超过该资源数的标签过于宽泛，不参与标签相似度
+   * @param {number} options.topN - 每个资源保留的相关资源数
+   * @param {number} options.coWeight - 共现得分权重
+   * @param {number} options.tagWeight - 标签得分权重
+   * @returns {Promise<number>} 写入的记录数
+   */
+  static async rebuildSimilarities(client, { windowDays, maxSignalsPerUser, maxTagResources, topN, coWeight, tagWeight }) {
+    await client.query('DELETE FROM resource_similarities');
+
+    const result = await client.query(
+      `WITH signals AS (${signalsSql('$1')}),
+       recent AS (
+         SELECT user_id, resource_id, weight
+         FROM (
+           SELECT s.*, ROW_NUMBER() OVER (PARTITION BY s.user_id ORDER BY s.acted_at DESC) AS rn
+           FROM signals s
+           JOIN resources r ON r.id = s.resource_id AND r.status = 'published' AND r.is_public = TRUE
+         ) ranked_signals
+         WHERE rn <= $2
+       ),
+       item_norms AS (
+         SELECT resource_id, SQRT(SUM(weight * weight)) AS norm
+         FROM recent
+         GROUP BY resource_id
+       ),
+       co_scores AS (
+         SELECT a.resource_id, b.resource_id AS related_resource_id,
+                SUM(a.weight * b.weight) / (na.norm * nb.norm) AS co_score
+         FROM recent a
+         JOIN recent b ON b.user_id = a.user_id AND b.resource_id <> a.resource_id
+         JOIN item_norms na ON na.resource_id = a.resource_id
+         JOIN item_norms nb ON nb.resource_id = b.resource_id
+         GROUP BY a.resource_id, b.resource_id, na.norm, nb.norm
+       ),
+       published_tags AS (
+         SELECT rtg.resource_id, rtg.tag_id
+         FROM resource_tags rtg
+         JOIN resources r ON r.id = rtg.resource_id AND r.status = 'published' AND r.is_public = TRUE
+       ),
+       tag_counts AS (
+         SELECT resource_id, COUNT(*) AS cnt FROM published_tags GROUP BY resource_id
+       ),
+       narrow_tags AS (
+         SELECT tag_id FROM published_tags GROUP BY tag_id HAVING COUNT(*) <= $3
+       ),
+       tag_scores AS (
+         SELECT a.resource_id, b.resource_id AS related_resource_id,
+                COUNT(*)::NUMERIC / (ca.cnt + cb.cnt - COUNT(*)) AS tag_score
+         FROM published_tags a
+         JOIN narrow_tags nt ON nt.tag_id = a.tag_id
+         JOIN published_tags b ON b.tag_id = a.tag_id AND b.resource_id <> a.resource_id
+         JOIN tag_counts ca ON ca.resource_id = a.resource_id
+         JOIN tag_counts cb ON cb.resource_id = b.resource_id
+         GROUP BY a.resource_id, b.resource_id, ca.cnt, cb.cnt
+       ),
+       combined AS (
+         SELECT
+           COALESCE(c.resource_id, t.resource_id) AS resource_id,
+           COALESCE(c.related_resource_id, t.related_resource_id) AS related_resource_id,
+           COALESCE(c.co_score, 0) AS co_score,
+           COALESCE(t.tag_score, 0) AS tag_score
+         FROM co_scores c
+         FULL OUTER JOIN tag_scores t
+           ON t.resource_id = c.resource_id AND t.related_resource_id = c.related_resource_id
+       ),
+       ranked AS (
+         SELECT combined.*,
+                $5::NUMERIC * co_score + $6::NUMERIC * tag_score AS score,
+                ROW_NUMBER() OVER (
+                  PARTITION BY resource_id
+                  ORDER BY $5::NUMERIC * co_score + $6::NUMERIC * tag_score DESC, related_resource_id
+                ) AS rn
+         FROM combined
+       )
+       INSERT INTO resource_similarities (resource_id, related_resource_id, score, co_score, tag_score)
+       SELECT resource_id, related_resource_id, ROUND(score, 6), ROUND(co_score, 6), ROUND(tag_score, 6)
+       FROM ranked
+       WHERE rn <= $4 AND score > 0`,
+      [windowDays, maxSignalsPerUser, maxTagResources, topN, coWeight, tagWeight]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * 重新计算用户标签偏好
+   * 按行为权重累加资源标签，再除以该用户的最高得分归一化到 0~1
+   * @param {Object} client - 事务连接
+   * @param {Object} options
+   * @param {number} options.windowDays - 行为统计窗口（天）
+   * @param {number} options.maxTagsPerUser - 每个用户保留的标签数
+   * @returns {Promise<number>} 写入的记录数
+   */
+  static async rebuildTagAffinities(client, { windowDays, maxTagsPerUser }) {
+    await client.query('DELETE FROM user_tag_affinities');
+
+    const result = await client.query(
+      `WITH signals AS (${signalsSql('$1')}),
+       raw AS (
+         SELECT s.user_id, rtg.tag_id, SUM(s.weight) AS total
+         FROM signals s
+         JOIN resource_tags rtg ON rtg.resource_id = s.resource_id
+         GROUP BY s.user_id, rtg.tag_id
+       ),
+       ranked AS (
+         SELECT raw.*,
+                MAX(total) OVER (PARTITION BY user_id) AS max_total,
+                ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY total DESC, tag_id) AS rn
+         FROM raw
+       )
+       INSERT INTO user_tag_affinities (user_id, tag_id, score)
+       SELECT user_id, tag_id, ROUND(total / max_total, 6)
+       FROM ranked
+       WHERE rn <= $2`,
+      [windowDays, maxTagsPerUser]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * 获取相关资源
+   * @param {number} resourceId
+   * @param {number} limit
+   * @returns {Promise<Array>}
+   */
+  static async findRelated(resourceId, limit) {
+    const result = await query(
+      `SELECT ${RESOURCE_COLUMNS},
+              rs.score AS recommendation_score
+       FROM resource_similarities rs
+       JOIN resources r ON r.id = rs.related_resource_id
+       ${RESOURCE_JOINS}
+       WHERE rs.resource_id = $1
+         AND r.status = 'published'
+         AND r.is_public = TRUE
+       ORDER BY rs.score DESC, r.id DESC
+       LIMIT $2`,
+      [resourceId, limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 获取用户的个性化推荐
+   * 以用户最近的行为资源为种子累加相关资源得分，再叠加标签偏好；已互动和本人发布的资源不再推荐
+   * @param {number} userId
+   * @param {Object} options
+   * @param {number} options.limit
+   * @param {number} options.windowDays - 种子行为统计窗口（天）
+   * @param {number} options.maxSeeds - 参与计算的最近行为数
+   * @param {number} options.tagWeight - 标签偏好权重
+   * @returns {Promise<Array>}
+   */
+  static async findRecommendedForUser(userId, { limit, windowDays, maxSeeds, tagWeight }) {
+    const result = await query(
+      `WITH seeds AS (
+         SELECT resource_id, weight
+         FROM (${signalsSql('$2', '$1')}) s
+         ORDER BY acted_at DESC
+         LIMIT $3
+       ),
+       seen AS (
+         SELECT resource_id FROM user_favorites WHERE user_id = $1
+         UNION
+         SELECT resource_id FROM resource_likes WHERE user_id = $1
+         UNION
+         SELECT resource_id FROM download_records WHERE user_id = $1
+       ),
+       cf AS (
+         SELECT rs.related_resource_id AS resource_id,
+                SUM(rs.score * s.weight) / ${MAX_SIGNAL_WEIGHT} AS score
+         FROM seeds s
+         JOIN resource_similarities rs ON rs.resource_id = s.resource_id
+         GROUP BY rs.related_resource_id
+       ),
+       preferred_tags AS (
+         SELECT tag_id, score FROM user_tag_affinities WHERE user_id = $1
+       ),
+       tag_match AS (
+         SELECT rtg.resource_id,
+                SUM(pt.score) / GREATEST((SELECT COUNT(*) FROM preferred_tags), 1) AS score
+         FROM preferred_tags pt
+         JOIN resource_tags rtg ON rtg.tag_id = pt.tag_id
+         GROUP BY rtg.resource_id
+       ),
+       scored AS (
+         SELECT COALESCE(cf.resource_id, tm.resource_id) AS resource_id,
+                COALESCE(cf.score, 0) + $4::NUMERIC * COALESCE(tm.score, 0) AS score
+         FROM cf
+         FULL OUTER JOIN tag_match tm ON tm.resource_id = cf.resource_id
+       )
+       SELECT ${RESOURCE_COLUMNS},
+              ROUND(sc.score, 6) AS recommendation_score
+       FROM scored sc
+       JOIN resources r ON r.id = sc.resource_id
+       ${RESOURCE_JOINS}
+       WHERE r.status = 'published'
+         AND r.is_public = TRUE
+         AND r.author_id <> $1
+         AND NOT EXISTS (SELECT 1 FROM seen WHERE seen.resource_id = r.id)
+       ORDER BY sc.score DESC, r.like_count DESC, r.id DESC
+       LIMIT $5`,
+      [userId, windowDays, maxSeeds, tagWeight, limit]
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = ResourceRecommendation;
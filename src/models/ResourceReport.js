@@ -0,0 +1,283 @@
+/**
+ * 资源举报数据模型
+ * 处理用户举报资源、管理员分派与处理举报等数据库操作
+ */
+
+const { query, getClient } = require('../config/database');
+
+class ResourceReport {
+  /**
+   * 可选举报原因
+   */
+  static REASONS = ['spam', 'inappropriate', 'copyright', 'malware', 'broken', 'other'];
+
+  /**
+   * 举报状态
+   */
+  static STATUSES = ['pending', 'reviewing', 'resolved', 'rejected'];
+
+  /**
+   * 处理举报时对资源采取的动作及对应的资源状态
+   */
+  static ACTION_STATUS_MAP = {
+    none: null,
+    archive: 'archived',
+    ban: 'banned'
+  };
+
+  /**
+   * 创建举报
+   * @param {Object} reportData - 举报数据
+   * @param {number} reportData.resourceId - 资源ID
+   * @param {number} reportData.reporterId - 举报人ID
+   * @param {string} reportData.reason - 举报原因
+   * @param {string} [reportData.description] - 详细描述
+   * @returns {Promise<Object>} 举报记录
+   */
+  static async create(reportData) {
+    const { resourceId, reporterId, reason, description = null } = reportData;
+
+    // 同一用户对同一资源只能存在一条未处理的举报
+    const existingReport = await query(
+      `SELECT id FROM resource_reports
+       WHERE reporter_id = $1 AND resource_id = $2 AND status IN ('pending', 'reviewing')
+       LIMIT 1`,
+      [reporterId, resourceId]
+    );
+
+    if (existingReport.rows.length > 0) {
+      throw new Error('您已经举报过该资源');
+    }
+
+    const result = await query(
+      `INSERT INTO resource_reports (resource_id, reporter_id, reason, description)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [resourceId, reporterId, reason, description]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * 根据ID获取举报详情
+   * @param {number} id - 举报ID
+   * @returns {Promise<Object|null>} 举报详情
+   */
+  static async findById(id) {
+    const result = await query(
+      `SELECT
+        rr.*,
+        r.title as resource_title,
+        r.status as resource_status,
+        r.author_id as resource_author_id,
+        ru.username as reporter_username,
+        ru.nickname as reporter_nickname,
+        au.username as assignee_username,
+        au.nickname as assignee_nickname,
+        hu.username as handler_username,
+        hu.nickname as handler_nickname
+      FROM resource_reports rr
+      LEFT JOIN resources r ON rr.resource_id = r.id
+      LEFT JOIN users ru ON rr.reporter_id = ru.id
+      LEFT JOIN users au ON rr.assigned_to = au.id
+      LEFT JOIN users hu ON rr.handled_by = hu.id
+      WHERE rr.id = $1`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 获取举报列表（管理员队列）
+   * @param {Object} options - 查询选项
+   * @returns {Promise<Object>} 分页结果
+   */
+  static async findAll(options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      reason,
+      resourceId,
+      assignedTo
+    } = options;
+
+    const offset = (page - 1) * limit;
+    const conditions = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (status) {
+      conditions.push(`rr.status = $${paramIndex}`);
+      params.push(status);
+      paramIndex++;
+    }
+
+    if (reason) {
+      conditions.push(`rr.reason = $${paramIndex}`);
+      params.push(reason);
+      paramIndex++;
+    }
+
+    if (resourceId) {
+      conditions.push(`rr.resource_id = $${paramIndex}`);
+      params.push(resourceId);
+      paramIndex++;
+    }
+
+    if (assignedTo) {
+      conditions.push(`rr.assigned_to = $${paramIndex}`);
+      params.push(assignedTo);
+      paramIndex++;
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const sql = `
+      SELECT
+        rr.*,
+        r.title as resource_title,
+        r.status as resource_status,
+        ru.username as reporter_username,
+        ru.nickname as reporter_nickname,
+        au.username as assignee_username,
+        au.nickname as assignee_nickname,
+        hu.username as handler_username,
+        hu.nickname as handler_nickname,
+        (
+          SELECT COUNT(*) FROM resource_reports rr2
+          WHERE rr2.resource_id = rr.resource_id AND rr2.status IN ('pending', 'reviewing')
+        )::INTEGER as open_report_count
+      FROM resource_reports rr
+      LEFT JOIN resources r ON rr.resource_id = r.id
+      LEFT JOIN users ru ON rr.reporter_id = ru.id
+      LEFT JOIN users au ON rr.assigned_to = au.id
+      LEFT JOIN users hu ON rr.handled_by = hu.id
+      ${whereClause}
+      ORDER BY rr.created_at DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `;
+
+    const countSql = `SELECT COUNT(*) as total FROM resource_reports rr ${whereClause}`;
+
+    const [dataResult, countResult] = await Promise.all([
+      query(sql, [...params, limit, offset]),
+      query(countSql, params)
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      data: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * 分派举报给处理人
+   * @param {number} id - 举报ID
+   * @param {number} assigneeId - 处理人ID
+   * @returns {Promise<Object|null>} 更新后的举报
+   */
+  static async assign(id, assigneeId) {
+    const result = await query(
+      `UPDATE resource_reports
+       SET assigned_to = $1,
+           assigned_at = CURRENT_TIMESTAMP,
+           status = 'reviewing',
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status IN ('pending', 'reviewing')
+       RETURNING *`,
+      [assigneeId, id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 处理举报（解决或驳回），解决时可同时下架或封禁资源
+   * @param {number} id - 举报ID
+   * @param {Object} handleData - 处理数据
+   * @param {number} handleData.handlerId - 处理人ID
+   * @param {string} handleData.status - 处理结果 (resolved, rejected)
+   * @param {string} [handleData.action] - 对资源的动作 (none, archive, ban)
+   * @param {string} [handleData.handlerNote] - 处理备注
+   * @returns {Promise<Object|null>} { report, resource }，举报不存在时返回null
+   */
+  static async handle(id, handleData) {
+    const { handlerId, status, action = 'none', handlerNote = null } = handleData;
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const reportResult = await client.query(
+        'SELECT * FROM resource_reports WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+
+      if (reportResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const report = reportResult.rows[0];
+      if (!['pending', 'reviewing'].includes(report.status)) {
+        throw new Error('该举报已处理');
+      }
+
+      const resolvedAction = status === 'resolved' ? action : 'none';
+
+      const updatedReport = await client.query(
+        `UPDATE resource_reports
+         SET status = $1,
+             resolution_action = $2,
+             handler_note = $3,
+             handled_by = $4,
+             handled_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5
+         RETURNING *`,
+        [status, resolvedAction, handlerNote, handlerId, id]
+      );
+
+      let resource = null;
+      const resourceStatus = this.ACTION_STATUS_MAP[resolvedAction];
+
+      if (resourceStatus) {
+        const resourceResult = await client.query(
+          `UPDATE resources
+           SET status = $1, published_at = NULL, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2
+           RETURNING id, title, status, author_id`,
+          [resourceStatus, report.resource_id]
+        );
+        resource = resourceResult.rows[0] || null;
+      }
+
+      await client.query('COMMIT');
+
+      return {
+        report: updatedReport.rows[0],
+        resource
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = ResourceReport;
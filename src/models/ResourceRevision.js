@@ -0,0 +1,214 @@
+/**
+ * 资源修订历史数据模型
+ * 保存资源标题、描述、正文的快照；正式修订按资源递增编号，
+ * 自动保存每个用户每个资源只保留一条且不编号
+ */
+
+const { query, transaction } = require('../config/database');
+
+const SOURCES = ['create', 'update', 'restore', 'autosave'];
+
+// 快照字段
+const SNAPSHOT_FIELDS = ['title', 'description', 'content'];
+
+class ResourceRevision {
+  static get SOURCES() {
+    return SOURCES;
+  }
+
+  static get SNAPSHOT_FIELDS() {
+    return SNAPSHOT_FIELDS;
+  }
+
+  /**
+   * 新增正式修订
+   * 锁定资源行后取下一个编号，保证同一资源的编号连续且不重复
+   * @param {Object} data
+   * @param {number} data.resourceId
+   * @param {string} data.source - create/update/restore
+   * @param {Object} data.snapshot - { title, description, content }
+   * @param {number} [data.createdBy]
+   * @param {number} [data.restoredFrom] - 恢复来源修订ID
+   * @returns {Promise<Object>}
+   */
+  static async create({ resourceId, source, snapshot, createdBy = null, restoredFrom = null }) {
+    return transaction(async (client) => {
+      await client.query('SELECT id FROM resources WHERE id = $1 FOR UPDATE', [resourceId]);
+
+      const result = await client.query(
+        `INSERT INTO resource_revisions (
+           resource_id, revision_number, source, title, description, content, restored_from, created_by
+         )
+         SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5, $6, $7
+         FROM resource_revisions
+         WHERE resource_id = $1 AND revision_number IS NOT NULL
+         RETURNING *`,
+        [
+          resourceId,
+          source,
+          snapshot.title,
+          snapshot.description ?? null,
+          snapshot.content ?? null,
+          restoredFrom,
+          createdBy
+        ]
+      );
+
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * 保存自动保存草稿（覆盖该用户上一次的自动保存）
+   * @param {number} resourceId
+   * @param {number} userId
+   * @param {Object} snapshot - { title, description, content }
+   * @returns {Promise<Object>}
+   */
+  static async upsertAutosave(resourceId, userId, snapshot) {
+    const result = await query(
+      `INSERT INTO resource_revisions (resource_id, source, title, description, content, created_by)
+       VALUES ($1, 'autosave', $2, $3, $4, $5)
+       ON CONFLICT (resource_id, created_by) WHERE source = 'autosave'
+       DO UPDATE SET
+         title = EXCLUDED.title,
+         description = EXCLUDED.description,
+         content = EXCLUDED.content,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [resourceId, snapshot.title, snapshot.description ?? null, snapshot.content ?? null, userId]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * 获取用户在该资源上的自动保存
+   * @param {number} resourceId
+   * @param {number} userId
+   * @returns {Promise<Object|null>}
+   */
+  static async findAutosave(resourceId, userId) {
+    const result = await query(
+      `SELECT * FROM resource_revisions
+       WHERE resource_id = $1 AND created_by = $2 AND source = 'autosave'`,
+      [resourceId, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 删除用户在该资源上的自动保存（正式保存后调用）
+   * @param {number} resourceId
+   * @param {number} userId
+   */
+  static async deleteAutosave(resourceId, userId) {
+    await query(
+      `DELETE FROM resource_revisions
+       WHERE resource_id = $1 AND created_by = $2 AND source = 'autosave'`,
+      [resourceId, userId]
+    );
+  }
+
+  /**
+   * 获取资源的最新正式修订
+   * @param {number} resourceId
+   * @returns {Promise<Object|null>}
+   */
+  static async findLatest(resourceId) {
+    const result = await query(
+      `SELECT * FROM resource_revisions
+       WHERE resource_id = $1 AND revision_number IS NOT NULL
+       ORDER BY revision_number DESC
+       LIMIT 1`,
+      [resourceId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 获取指定编号之前最近的一条正式修订
+   * @param {number} resourceId
+   * @param {number} revisionNumber
+   * @returns {Promise<Object|null>}
+   */
+  static async findPrevious(resourceId, revisionNumber) {
+    const result = await query(
+      `SELECT * FROM resource_revisions
+       WHERE resource_id = $1 AND revision_number < $2
+       ORDER BY revision_number DESC
+       LIMIT 1`,
+      [resourceId, revisionNumber]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 分页获取资源的正式修订（不含正文，附带长度）
+   * @param {number} resourceId
+   * @param {Object} [options]
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=20]
+   * @returns {Promise<Object>} { revisions, pagination }
+   */
+  static async findByResourceId(resourceId, { page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const [listResult, countResult] = await Promise.all([
+      query(
+        `SELECT rv.id, rv.resource_id, rv.revision_number, rv.source, rv.title,
+                LENGTH(COALESCE(rv.description, '')) AS description_length,
+                LENGTH(COALESCE(rv.content, '')) AS content_length,
+                rv.restored_from, rv.created_by, rv.created_at,
+                u.username AS created_by_username,
+                u.nickname AS created_by_nickname
+         FROM resource_revisions rv
+         LEFT JOIN users u ON u.id = rv.created_by
+         WHERE rv.resource_id = $1 AND rv.revision_number IS NOT NULL
+         ORDER BY rv.revision_number DESC
+         LIMIT $2 OFFSET $3`,
+        [resourceId, limit, offset]
+      ),
+      query(
+        `SELECT COUNT(*)::INTEGER AS total FROM resource_revisions
+         WHERE resource_id = $1 AND revision_number IS NOT NULL`,
+        [resourceId]
+      )
+    ]);
+
+    const total = countResult.rows[0].total;
+
+    return {
+      revisions: listResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * 获取资源下的指定修订（含自动保存）
+   * @param {number} resourceId
+   * @param {number} revisionId
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(resourceId, revisionId) {
+    const result = await query(
+      `SELECT rv.*, u.username AS created_by_username, u.nickname AS created_by_nickname
+       FROM resource_revisions rv
+       LEFT JOIN users u ON u.id = rv.created_by
+       WHERE rv.resource_id = $1 AND rv.id = $2`,
+      [resourceId, revisionId]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = ResourceRevision;
@@ -0,0 +1,134 @@
+/**
+ * 资源文件分片上传会话数据模型
+ * 记录客户端直传MinIO的multipart上传，用于校验归属、完成登记和清理孤儿上传
+ */
+
+const { query } = require('../config/database');
+
+class ResourceUploadSession {
+  /**
+   * 创建上传会话
+   * @param {Object} sessionData - 会话数据
+   * @returns {Promise<Object>} 会话记录
+   */
+  static async create(sessionData) {
+    const {
+      userId,
+      resourceId,
+      bucket,
+      objectName,
+      uploadId,
+      originalName,
+      contentType = null,
+      fileExtension = null,
+      fileSize,
+      partSize,
+      totalParts,
+      expiresAt
+    } = sessionData;
+
+    const result = await query(
+      `INSERT INTO resource_upload_sessions (
+        user_id, resource_id, bucket, object_name, upload_id, original_name,
+        content_type, file_extension, file_size, part_size, total_parts, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING *`,
+      [
+        userId, resourceId, bucket, objectName, uploadId, originalName,
+        contentType, fileExtension, fileSize, partSize, totalParts, expiresAt
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * 根据ID获取上传会话
+   * @param {number} id - 会话ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const result = await query(
+      'SELECT * FROM resource_upload_sessions WHERE id = $1',
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 检查 uploadId 是否由系统登记
+   * @param {string} uploadId - MinIO multipart uploadId
+   * @returns {Promise<Object|null>}
+   */
+  static async findByUploadId(uploadId) {
+    const result = await query(
+      'SELECT * FROM resource_upload_sessions WHERE upload_id = $1',
+      [uploadId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 将上传中的会话标记为完成
+   * 只有处于 uploading 状态的会话才会被更新，避免重复登记文件
+   * @param {number} id - 会话ID
+   * @param {number} resourceFileId - 生成的资源文件ID
+   * @returns {Promise<Object|null>}
+   */
+  static async markCompleted(id, resourceFileId) {
+    const result = await query(
+      `UPDATE resource_upload_sessions
+       SET status = 'completed',
+           resource_file_id = $2,
+           completed_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'uploading'
+       RETURNING *`,
+      [id, resourceFileId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 将上传中的会话标记为中止或过期
+   * @param {number} id - 会话ID
+   * @param {string} status - aborted | expired
+   * @param {string} [errorMessage] - 原因说明
+   * @returns {Promise<Object|null>}
+   */
+  static async markClosed(id, status, errorMessage = null) {
+    const result = await query(
+      `UPDATE resource_upload_sessions
+       SET status = $2,
+           error_message = $3,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'uploading'
+       RETURNING *`,
+      [id, status, errorMessage]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 获取已过期但仍处于上传中的会话
+   * @param {number} [limit=100] - 单次处理数量
+   * @returns {Promise<Array>}
+   */
+  static async findExpired(limit = 100) {
+    const result = await query(
+      `SELECT * FROM resource_upload_sessions
+       WHERE status = 'uploading' AND expires_at <= CURRENT_TIMESTAMP
+       ORDER BY expires_at ASC
+       LIMIT $1`,
+      [limit]
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = ResourceUploadSession;
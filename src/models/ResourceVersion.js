@@ -0,0 +1,285 @@
+/**
+ * 资源版本数据模型
+ * 记录资源的发布历史与更新说明；文件通过 resource_files.version_id 归属版本，
+ * 弃用的版本及其文件不再提供下载
+ */
+
+const { query } = require('../config/database');
+
+const STATUSES = ['current', 'superseded', 'deprecated'];
+
+class ResourceVersion {
+  static get STATUSES() {
+    return STATUSES;
+  }
+
+  /**
+   * 获取资源的版本列表（按发布时间倒序）
+   * @param {number} resourceId
+   * @returns {Promise<Array>}
+   */
+  static async findByResourceId(resourceId) {
+    const result = await query(
+      `SELECT v.*,
+              u.username AS created_by_username,
+              u.nickname AS created_by_nickname,
+              COUNT(rf.id)::INTEGER AS file_count
+       FROM resource_versions v
+       LEFT JOIN users u ON u.id = v.created_by
+       LEFT JOIN resource_files rf ON rf.version_id = v.id AND rf.deleted_at IS NULL
+       WHERE v.resource_id = $1
+       GROUP BY v.id, u.username, u.nickname
+       ORDER BY v.released_at DESC, v.id DESC`,
+      [resourceId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 根据ID获取版本
+   * @param {number} id
+   * @param {Object} [client] - 事务连接
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id, client = null) {
+    const db = client || { query };
+    const result = await db.query('SELECT * FROM resource_versions WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 锁定资源行，串行化同一资源的版本发布
+   * @param {Object} client - 事务连接
+   * @param {number} resourceId
+   * @returns {Promise<Object|null>}
+   */
+  static async lockResource(client, resourceId) {
+    const result = await client.query(
+      'SELECT id, author_id FROM resources WHERE id = $1 FOR UPDATE',
+      [resourceId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 按版本号查找
+   * @param {Object} client - 事务连接
+   * @param {number} resourceId
+   * @param {string} version
+   * @returns {Promise<Object|null>}
+   */
+  static async findByVersion(client, resourceId, version) {
+    const result = await client.query(
+      'SELECT * FROM resource_versions WHERE resource_id = $1 AND version = $2',
+      [resourceId, version]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 将资源现有版本标记为已取代或已弃用
+   * 弃用时连同更早的已取代版本一起弃用
+   * @param {Object} client - 事务连接
+   * @param {number} resourceId
+   * @param {boolean} deprecate
+   * @returns {Promise<number>} 更新的版本数
+   */
+  static async retirePrevious(client, resourceId, deprecate) {
+    const result = await client.query(
+      `UPDATE resource_versions
+       SET status = $2,
+           deprecated_at = CASE WHEN $2 = 'deprecated' THEN CURRENT_TIMESTAMP ELSE deprecated_at END
+       WHERE resource_id = $1
+         AND status = ANY($3::VARCHAR[])`,
+      [
+        resourceId,
+        deprecate ? 'deprecated' : 'superseded',
+        deprecate ? ['current', 'superseded'] : ['current']
+      ]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * 创建版本记录（作为当前版本）
+   * @param {Object} client - 事务连接
+   * @param {Object} data
+   * @returns {Promise<Object>}
+   */
+  static async create(client, { resourceId, version, changelog = null, createdBy = null }) {
+    const result = await client.query(
+      `INSERT INTO resource_versions (resource_id, version, changelog, status, created_by)
+       VALUES ($1, $2, $3, 'current', $4)
+       RETURNING *`,
+      [resourceId, version, changelog, createdBy]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * 将文件归入版本，同时同步文件的版本号文本并取消弃用
+   * @param {Object} client - 事务连接
+   * @param {Object} version - 版本记录
+   * @param {Array<number>} fileIds
+   * @returns {Promise<Array<number>>} 实际归入的文件ID
+   */
+  static async assignFiles(client, version, fileIds) {
+    const result = await client.query(
+      `UPDATE resource_files
+       SET version_id = $1,
+           version = $2,
+           deprecated_at = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE resource_id = $3
+         AND id = ANY($4::INTEGER[])
+         AND deleted_at IS NULL
+       RETURNING id`,
+      [version.id, version.version, version.resource_id, fileIds]
+    );
+
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * 弃用资源中不属于指定版本的文件（包括版本功能上线前未归属版本的文件）
+   * @param {Object} client - 事务连接
+   * @param {number} resourceId
+   * @param {number} keepVersionId
+   * @returns {Promise<number>} 弃用的文件数
+   */
+  static async deprecateFilesExcept(client, resourceId, keepVersionId) {
+    const result = await client.query(
+      `UPDATE resource_files
+       SET deprecated_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE resource_id = $1
+         AND deleted_at IS NULL
+         AND deprecated_at IS NULL
+         AND (version_id IS NULL OR version_id <> $2)`,
+      [resourceId, keepVersionId]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * 弃用指定的历史版本及其文件
+   * @param {Object} client - 事务连接
+   * @param {number} id
+   * @returns {Promise<Object|null>} 更新后的版本；当前版本或已弃用时返回 null
+   */
+  static async deprecate(client, id) {
+    const result = await client.query(
+      `UPDATE resource_versions
+       SET status = 'deprecated', deprecated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'superseded'
+       RETURNING *`,
+      [id]
+    );
+
+    if (!result.rows[0]) {
+      return null;
+    }
+
+    await client.query(
+      `UPDATE resource_files
+       SET deprecated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE version_id = $1 AND deleted_at IS NULL AND deprecated_at IS NULL`,
+      [id]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * 占用版本的更新通知，保证每个版本只通知一次
+   * @param {number} id
+   * @returns {Promise<Object|null>} 占用成功返回版本记录，已通知过返回 null
+   */
+  static async claimNotification(id) {
+    const result = await query(
+      `UPDATE resource_versions
+       SET notified_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND notified_at IS NULL
+       RETURNING *`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 记录更新通知的接收人数
+   * @param {number} id
+   * @param {number} recipients
+   */
+  static async finishNotification(id, recipients) {
+    await query(
+      'UPDATE resource_versions SET recipients = $2 WHERE id = $1',
+      [id, recipients]
+    );
+  }
+
+  /**
+   * 分块获取应收到更新通知的用户ID（下载过或收藏过该资源），按用户ID递增
+   * @param {number} resourceId
+   * @param {Object} options
+   * @param {boolean} options.downloaders - 是否包含下载过的用户
+   * @param {boolean} options.favoriters - 是否包含收藏过的用户
+   * @param {number} options.excludeUserId - 排除的用户（资源作者）
+   * @param {number} afterId - 上一块最后一个用户ID
+   * @param {number} limit
+   * @returns {Promise<Array<number>>}
+   */
+  static async findUpdateRecipientIdsAfter(resourceId, { downloaders, favoriters, excludeUserId }, afterId, limit) {
+    const result = await query(
+      `SELECT recipients.user_id
+       FROM (
+         SELECT user_id FROM download_records
+         WHERE resource_id = $1 AND is_successful = TRUE AND $2::BOOLEAN
+         UNION
+         SELECT user_id FROM user_favorites
+         WHERE resource_id = $1 AND $3::BOOLEAN
+       ) recipients
+       JOIN users u ON u.id = recipients.user_id AND u.status = 'normal'
+       WHERE recipients.user_id > $4
+         AND recipients.user_id IS DISTINCT FROM $5
+       ORDER BY recipients.user_id
+       LIMIT $6`,
+      [resourceId, downloaders, favoriters, afterId, excludeUserId || null, limit]
+    );
+
+    return result.rows.map(row => row.user_id);
+  }
+
+  /**
+   * 查找用户在该版本发布前对同一资源的付费下载记录
+   * 积分或下载次数任一有消耗即视为已付费
+   * @param {number} userId
+   * @param {number} versionId
+   * @param {number} windowDays - 付费记录距版本发布的最大天数，0 表示不限制
+   * @returns {Promise<Object|null>}
+   */
+  static async findPaidPurchaseBeforeRelease(userId, versionId, windowDays = 0) {
+    const result = await query(
+      `SELECT v.id AS version_id, v.version, dp.purchase_date
+       FROM resource_versions v
+       JOIN daily_purchases dp ON dp.resource_id = v.resource_id AND dp.user_id = $1
+       WHERE v.id = $2
+         AND v.status <> 'deprecated'
+         AND (dp.points_cost > 0 OR dp.download_count_cost > 0)
+         AND dp.created_at < v.released_at
+         AND ($3::INTEGER = 0 OR dp.created_at >= v.released_at - make_interval(days => $3::INTEGER))
+       ORDER BY dp.created_at DESC
+       LIMIT 1`,
+      [userId, versionId, windowDays]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = ResourceVersion;
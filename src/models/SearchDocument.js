@@ -0,0 +1,455 @@
+/**
+ * 搜索索引数据模型
+ * 维护 search_documents 中资源、社区帖子、标签的索引文档，并提供检索与分面统计
+ */
+
+const { query } = require('../config/database');
+const { buildTsVector } = require('../utils/searchTokenizer');
+
+const DOC_TYPES = ['resource', 'post', 'tag'];
+const FACET_LIMIT = 20;
+
+// 各类文档的源数据版本：与索引中的 source_updated_at 不一致即需要重建
+// 以文本形式读出再写回，避免经过 JS Date 丢失微秒精度或时区换算不一致
+const SOURCE_VERSION_SQL = {
+  resource: `GREATEST(
+    r.updated_at,
+    (SELECT MAX(rf.updated_at) FROM resource_files rf WHERE rf.resource_id = r.id)
+  )`,
+  post: 'GREATEST(cp.updated_at, cb.updated_at)'
+};
+
+const SOURCE_SQL = {
+  resource: `
+    SELECT
+      r.id, r.title, r.summary, r.description, r.category_id, r.resource_type_id,
+      (r.status = 'published' AND r.is_public = TRUE) AS is_visible,
+      GREATEST(COALESCE(r.required_vip_level, 0), COALESCE(f.min_vip_level, 0)) AS required_vip_level,
+      COALESCE(r.download_count, 0) AS popularity,
+      r.published_at,
+      (${SOURCE_VERSION_SQL.resource})::text AS source_updated_at,
+      c.display_name AS category_display_name,
+      COALESCE(t.tag_ids, '{}'::integer[]) AS tag_ids,
+      COALESCE(t.tag_names, '{}'::text[]) AS tag_names
+    FROM resources r
+    LEFT JOIN categories c ON r.category_id = c.id
+    LEFT JOIN LATERAL (
+      SELECT MIN(rf.required_vip_level) AS min_vip_level
+      FROM resource_files rf
+      WHERE rf.resource_id = r.id AND rf.is_active = TRUE AND rf.deleted_at IS NULL
+    ) f ON TRUE
+    LEFT JOIN LATERAL (
+      SELECT array_agg(tg.id ORDER BY tg.id) AS tag_ids, array_agg(tg.display_name::text) AS tag_names
+      FROM resource_tags rt
+      JOIN tags tg ON rt.tag_id = tg.id
+      WHERE rt.resource_id = r.id
+    ) t ON TRUE
+    WHERE r.id = ANY($1::int[])`,
+
+  post: `
+    SELECT
+      cp.id, cp.title, cp.summary, cp.content AS description, cp.board_id,
+      (cp.status = 'published' AND cb.is_active = TRUE) AS is_visible,
+      COALESCE(cp.like_count, 0) + COALESCE(cp.reply_count, 0) AS popularity,
+      cp.published_at,
+      (${SOURCE_VERSION_SQL.post})::text AS source_updated_at,
+      cb.display_name AS board_display_name,
+      COALESCE(t.tag_ids, '{}'::integer[]) AS tag_ids,
+      COALESCE(t.tag_names, '{}'::text[]) AS tag_names
+    FROM community_posts cp
+    JOIN community_boards cb ON cp.board_id = cb.id
+    LEFT JOIN LATERAL (
+      SELECT array_agg(tg.id ORDER BY tg.id) AS tag_ids, array_agg(tg.display_name::text) AS tag_names
+      FROM community_post_tags cpt
+      JOIN tags tg ON cpt.tag_id = tg.id
+      WHERE cpt.post_id = cp.id
+    ) t ON TRUE
+    WHERE cp.id = ANY($1::int[])`,
+
+  tag: `
+    SELECT
+      t.id, t.display_name AS title, t.name, t.description,
+      COALESCE(t.usage_count, 0) AS popularity,
+      concat_ws(E'\\n', t.name, t.description) AS body
+    FROM tags t
+    WHERE t.id = ANY($1::int[])`
+};
+
+const STALE_SQL = {
+  resource: `
+    SELECT r.id
+    FROM resources r
+    LEFT JOIN search_documents d ON d.doc_type = 'resource' AND d.doc_id = r.id
+    WHERE d.id IS NULL OR d.source_updated_at IS DISTINCT FROM ${SOURCE_VERSION_SQL.resource}
+    ORDER BY r.id
+    LIMIT $1`,
+
+  post: `
+    SELECT cp.id
+    FROM community_posts cp
+    JOIN community_boards cb ON cp.board_id = cb.id
+    LEFT JOIN search_documents d ON d.doc_type = 'post' AND d.doc_id = cp.id
+    WHERE d.id IS NULL OR d.source_updated_at IS DISTINCT FROM ${SOURCE_VERSION_SQL.post}
+    ORDER BY cp.id
+    LIMIT $1`,
+
+  // 标签没有更新时间字段，直接比较索引内容；source_updated_at 为空表示被标记为待重建
+  tag: `
+    SELECT t.id
+    FROM tags t
+    LEFT JOIN search_documents d ON d.doc_type = 'tag' AND d.doc_id = t.id
+    WHERE d.id IS NULL
+       OR d.source_updated_at IS NULL
+       OR d.title IS DISTINCT FROM t.display_name
+       OR d.body IS DISTINCT FROM concat_ws(E'\\n', t.name, t.description)
+       OR d.popularity IS DISTINCT FROM COALESCE(t.usage_count, 0)
+    ORDER BY t.id
+    LIMIT $1`
+};
+
+/**
+ * 构造检索条件
+ * @param {Object} filters
+ * @param {string} filters.tsQuery - tsquery 文本
+ * @param {Array<string>} [filters.docTypes] - 文档类型
+ * @param {number[]} [filters.categoryIds] - 分类ID（含下级分类）
+ * @param {number} [filters.tagId]
+ * @param {number} [filters.resourceTypeId]
+ * @param {number} [filters.vipLevel] - 所需VIP等级
+ * @param {number} [filters.boardId]
+ * @param {boolean} [includeType=true] - 是否包含文档类型条件（类型分面统计时不包含）
+ */
+const buildConditions = (filters, includeType = true) => {
+  const values = [filters.tsQuery];
+  const conditions = ['d.is_visible = TRUE', 'd.search_vector @@ $1::tsquery'];
+
+  if (includeType && filters.docTypes && filters.docTypes.length > 0) {
+    values.push(filters.docTypes);
+    conditions.push(`d.doc_type = ANY($${values.length})`);
+  }
+
+  if (filters.categoryIds && filters.categoryIds.length > 0) {
+    values.push(filters.categoryIds);
+    conditions.push(`d.category_id = ANY($${values.length}::int[])`);
+  }
+
+  if (filters.tagId) {
+    values.push(filters.tagId);
+    conditions.push(`d.tag_ids @> ARRAY[$${values.length}::int]`);
+  }
+
+  if (filters.resourceTypeId) {
+    values.push(filters.resourceTypeId);
+    conditions.push(`d.resource_type_id = $${values.length}`);
+  }
+
+  if (filters.vipLevel !== undefined && filters.vipLevel !== null) {
+    values.push(filters.vipLevel);
+    conditions.push(`d.required_vip_level = $${values.length}`);
+  }
+
+  if (filters.boardId) {
+    values.push(filters.boardId);
+    conditions.push(`d.board_id = $${values.length}`);
+  }
+
+  return {
+    whereClause: `WHERE ${conditions.join(' AND ')}`,
+    values
+  };
+};
+
+class SearchDocument {
+  static get DOC_TYPES() {
+    return DOC_TYPES;
+  }
+
+  /**
+   * 查找缺失或过期的索引文档对应的源数据ID
+   * @param {string} docType - 文档类型
+   * @param {number} limit - 最大数量
+   * @returns {Promise<number[]>}
+   */
+  static async findStaleIds(docType, limit) {
+    const result = await query(STALE_SQL[docType], [limit]);
+    return result.rows.map((row) => row.id);
+  }
+
+  /**
+   * 读取待索引的源数据
+   * @param {string} docType - 文档类型
+   * @param {number[]} ids - 源数据ID
+   * @returns {Promise<Array>}
+   */
+  static async findSources(docType, ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const result = await query(SOURCE_SQL[docType], [ids]);
+    return result.rows;
+  }
+
+  /**
+   * 写入或更新索引文档
+   * @param {Object} doc
+   * @param {string[]} doc.titleTokens - 标题词元（权重A）
+   * @param {string[]} doc.keywordTokens - 标签/分类等词元（权重B）
+   * @param {string[]} doc.bodyTokens - 正文词元（权重D）
+   */
+  static async upsert(doc) {
+    const result = await query(
+      `INSERT INTO search_documents (
+        doc_type, doc_id, title, body, search_vector,
+        category_id, resource_type_id, required_vip_level, board_id, tag_ids,
+        is_visible, popularity, published_at, source_updated_at, indexed_at
+      ) VALUES (
+        $1, $2, $3, $4,
+        setweight($5::tsvector, 'A')
+          || setweight($6::tsvector, 'B')
+          || setweight($7::tsvector, 'D'),
+        $8, $9, $10, $11, $12,
+        $13, $14, $15, $16, CURRENT_TIMESTAMP
+      )
+      ON CONFLICT (doc_type, doc_id) DO UPDATE SET
+        title = EXCLUDED.title,
+        body = EXCLUDED.body,
+        search_vector = EXCLUDED.search_vector,
+        category_id = EXCLUDED.category_id,
+        resource_type_id = EXCLUDED.resource_type_id,
+        required_vip_level = EXCLUDED.required_vip_level,
+        board_id = EXCLUDED.board_id,
+        tag_ids = EXCLUDED.tag_ids,
+        is_visible = EXCLUDED.is_visible,
+        popularity = EXCLUDED.popularity,
+        published_at = EXCLUDED.published_at,
+        source_updated_at = EXCLUDED.source_updated_at,
+        indexed_at = CURRENT_TIMESTAMP
+      RETURNING id`,
+      [
+        doc.docType,
+        doc.docId,
+        doc.title,
+        doc.body || null,
+        buildTsVector(doc.titleTokens),
+        buildTsVector(doc.keywordTokens),
+        buildTsVector(doc.bodyTokens),
+        doc.categoryId || null,
+        doc.resourceTypeId || null,
+        doc.requiredVipLevel ?? null,
+        doc.boardId || null,
+        doc.tagIds || [],
+        doc.isVisible !== false,
+        doc.popularity || 0,
+        doc.publishedAt || null,
+        doc.sourceUpdatedAt || null
+      ]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 删除源数据已不存在的索引文档
+   * @returns {Promise<number>} 删除数量
+   */
+  static async removeOrphans() {
+    const result = await query(
+      `DELETE FROM search_documents d
+       WHERE (d.doc_type = 'resource' AND NOT EXISTS (SELECT 1 FROM resources r WHERE r.id = d.doc_id))
+          OR (d.doc_type = 'post' AND NOT EXISTS (SELECT 1 FROM community_posts cp WHERE cp.id = d.doc_id))
+          OR (d.doc_type = 'tag' AND NOT EXISTS (SELECT 1 FROM tags t WHERE t.id = d.doc_id))`
+    );
+
+    return result.rowCount || 0;
+  }
+
+  /**
+   * 将索引文档全部标记为过期，由同步任务逐批重建
+   * @param {string|null} docType - 文档类型，留空表示全部
+   * @returns {Promise<number>}
+   */
+  static async markStale(docType = null) {
+    const result = await query(
+      `UPDATE search_documents
+       SET source_updated_at = NULL
+       WHERE $1::text IS NULL OR doc_type = $1`,
+      [docType]
+    );
+
+    return result.rowCount || 0;
+  }
+
+  /**
+   * 检索索引文档
+   * @param {Object} filters - 见 buildConditions
+   * @param {Object} options
+   * @param {string} [options.sort=relevance] - relevance/latest/popular
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=20]
+   * @returns {Promise<{rows: Array, total: number}>}
+   */
+  static async search(filters, { sort = 'relevance', page = 1, limit = 20 } = {}) {
+    const { whereClause, values } = buildConditions(filters);
+    const offset = (page - 1) * limit;
+
+    const orderBy = {
+      relevance: 'score DESC, d.popularity DESC, d.doc_id DESC',
+      latest: 'd.published_at DESC NULLS LAST, d.doc_id DESC',
+      popular: 'd.popularity DESC, score DESC, d.doc_id DESC'
+    }[sort] || 'score DESC, d.popularity DESC, d.doc_id DESC';
+
+    const countResult = await query(
+      `SELECT COUNT(*) AS total FROM search_documents d ${whereClause}`,
+      values
+    );
+
+    const result = await query(
+      `SELECT
+         d.doc_type, d.doc_id, d.title, d.body,
+         d.category_id, d.resource_type_id, d.required_vip_level, d.board_id, d.tag_ids,
+         d.popularity, d.published_at,
+         ts_rank_cd(d.search_vector, $1::tsquery) AS score,
+         r.slug, r.cover_image_url, r.summary AS resource_summary,
+         c.name AS category_name, c.display_name AS category_display_name,
+         rtp.name AS resource_type_name, rtp.display_name AS resource_type_display_name,
+         cp.summary AS post_summary, cp.author_id AS post_author_id,
+         cb.name AS board_name, cb.display_name AS board_display_name,
+         t.name AS tag_name, t.color AS tag_color, t.description AS tag_description
+       FROM search_documents d
+       LEFT JOIN resources r ON d.doc_type = 'resource' AND r.id = d.doc_id
+       LEFT JOIN community_posts cp ON d.doc_type = 'post' AND cp.id = d.doc_id
+       LEFT JOIN tags t ON d.doc_type = 'tag' AND t.id = d.doc_id
+       LEFT JOIN categories c ON d.category_id = c.id
+       LEFT JOIN resource_types rtp ON d.resource_type_id = rtp.id
+       LEFT JOIN community_boards cb ON d.board_id = cb.id
+       ${whereClause}
+       ORDER BY ${orderBy}
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+
+    return {
+      rows: result.rows,
+      total: parseInt(countResult.rows[0].total, 10)
+    };
+  }
+
+  /**
+   * 统计分面：类型分面忽略类型筛选，其余分面基于全部筛选条件
+   * @param {Object} filters - 见 buildConditions
+   * @returns {Promise<Object>} { types, categories, tags, resource_types, vip_levels }
+   */
+  static async getFacets(filters) {
+    const { whereClause, values } = buildConditions(filters, false);
+
+    let scopeCondition = '';
+    if (filters.docTypes && filters.docTypes.length > 0) {
+      values.push(filters.docTypes);
+      scopeCondition = `WHERE doc_type = ANY($${values.length})`;
+    }
+
+    const result = await query(
+      `WITH base AS (
+         SELECT d.doc_type, d.category_id, d.resource_type_id, d.required_vip_level, d.tag_ids
+         FROM search_documents d
+         ${whereClause}
+       ),
+       scoped AS (
+         SELECT * FROM base ${scopeCondition}
+       )
+       SELECT
+         (SELECT COALESCE(json_agg(x ORDER BY x.count DESC), '[]'::json) FROM (
+           SELECT doc_type AS value, COUNT(*)::int AS count
+           FROM base
+           GROUP BY doc_type
+         ) x) AS types,
+         (SELECT COALESCE(json_agg(x ORDER BY x.count DESC, x.id), '[]'::json) FROM (
+           SELECT s.category_id AS id, c.name, c.display_name, COUNT(*)::int AS count
+           FROM scoped s
+           JOIN categories c ON s.category_id = c.id
+           GROUP BY s.category_id, c.name, c.display_name
+           ORDER BY count DESC, s.category_id
+           LIMIT ${FACET_LIMIT}
+         ) x) AS categories,
+         (SELECT COALESCE(json_agg(x ORDER BY x.count DESC, x.id), '[]'::json) FROM (
+           SELECT tg.id, tg.name, tg.display_name, tg.color, COUNT(*)::int AS count
+           FROM scoped s
+           CROSS JOIN LATERAL unnest(s.tag_ids) AS st(tag_id)
+           JOIN tags tg ON st.tag_id = tg.id
+           GROUP BY tg.id, tg.name, tg.display_name, tg.color
+           ORDER BY count DESC, tg.id
+           LIMIT ${FACET_LIMIT}
+         ) x) AS tags,
+         (SELECT COALESCE(json_agg(x ORDER BY x.count DESC, x.id), '[]'::json) FROM (
+           SELECT s.resource_type_id AS id, rtp.name, rtp.display_name, COUNT(*)::int AS count
+           FROM scoped s
+           JOIN resource_types rtp ON s.resource_type_id = rtp.id
+           GROUP BY s.resource_type_id, rtp.name, rtp.display_name
+         ) x) AS resource_types,
+         (SELECT COALESCE(json_agg(x ORDER BY x.level), '[]'::json) FROM (
+           SELECT required_vip_level AS level, COUNT(*)::int AS count
+           FROM scoped
+           WHERE required_vip_level IS NOT NULL
+           GROUP BY required_vip_level
+         ) x) AS vip_levels`,
+      values
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * 按标题前缀匹配可见文档（用于搜索联想），标签优先，其次按热度
+   * @param {string} prefix - 输入前缀
+   * @param {Object} options
+   * @param {Array<string>} [options.docTypes] - 文档类型
+   * @param {number} [options.limit=10]
+   * @returns {Promise<Array>}
+   */
+  static async suggest(prefix, { docTypes = null, limit = 10 } = {}) {
+    const values = [`${prefix.toLowerCase().replace(/[\\%_]/g, '\\$&')}%`];
+    let typeCondition = '';
+
+    if (docTypes && docTypes.length > 0) {
+      values.push(docTypes);
+      typeCondition = `AND doc_type = ANY($${values.length})`;
+    }
+
+    values.push(limit);
+
+    const result = await query(
+      `SELECT doc_type, doc_id, title, popularity
+       FROM search_documents
+       WHERE is_visible = TRUE
+         AND lower(title) LIKE $1
+         ${typeCondition}
+       ORDER BY (doc_type = 'tag') DESC, popularity DESC, length(title), doc_id DESC
+       LIMIT $${values.length}`,
+      values
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 索引状态统计
+   * @returns {Promise<Array>}
+   */
+  static async getStats() {
+    const result = await query(
+      `SELECT
+         doc_type,
+         COUNT(*)::int AS total,
+         COUNT(*) FILTER (WHERE is_visible)::int AS visible,
+         MAX(indexed_at) AS last_indexed_at
+       FROM search_documents
+       GROUP BY doc_type
+       ORDER BY doc_type`
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = SearchDocument;
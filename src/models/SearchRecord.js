@@ -1,11 +1,35 @@
 /**
  * 搜索记录数据模型
- * 负责记录搜索行为并提供热搜统计能力
+ * 负责记录搜索行为并提供热搜、搜索联想、无结果与趋势统计能力
  */
 
 const { query } = require('../config/database');
 const { logger } = require('../utils/logger');
 
+// 搜索联想只参考近期的搜索记录
+const SUGGESTION_WINDOW_DAYS = 90;
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * 构造统计时间窗口与搜索类型条件
+ */
+const buildWindowConditions = (days, searchType) => {
+  const values = [days];
+  const conditions = ['created_at >= CURRENT_DATE - ($1::INTEGER - 1)'];
+
+  const normalizedType = SearchRecord.normalizeType(searchType);
+  if (normalizedType) {
+    values.push(normalizedType);
+    conditions.push(`search_type = $${values.length}`);
+  }
+
+  return {
+    whereClause: `WHERE ${conditions.join(' AND ')}`,
+    values
+  };
+};
+
 class SearchRecord {
   static TYPES = new Set(['resource', 'community']);
 
@@ -59,8 +83,9 @@ class SearchRecord {
    * @param {string} payload.searchType 搜索类型（resource/community）
    * @param {number} [payload.userId]
    * @param {string} [payload.ipAddress]
+   * @param {number} [payload.resultCount] 结果数量（用于无结果统计）
    */
-  static async logSearch({ keyword, searchType, userId = null, ipAddress = null }) {
+  static async logSearch({ keyword, searchType, userId = null, ipAddress = null, resultCount = null }) {
     try {
       const keywordInfo = this.normalizeKeyword(keyword);
       const normalizedType = this.normalizeType(searchType);
@@ -75,14 +100,16 @@ class SearchRecord {
           normalized_keyword,
           search_type,
           user_id,
-          ip_address
-        ) VALUES ($1, $2, $3, $4, $5)`,
+          ip_address,
+          result_count
+        ) VALUES ($1, $2, $3, $4, $5, $6)`,
         [
           keywordInfo.keyword,
           keywordInfo.normalized,
           normalizedType,
           userId || null,
-          ipAddress || null
+          ipAddress || null,
+          Number.isFinite(resultCount) ? resultCount : null
         ]
       );
     } catch (error) {
@@ -143,6 +170,191 @@ class SearchRecord {
       last_searched_at: row.last_searched_at
     }));
   }
+
+  /**
+   * 按前缀匹配近期搜索过且有结果的关键词（用于搜索联想）
+   * @param {string} prefix 输入前缀
+   * @param {Object} options
+   * @param {string} [options.searchType] 搜索类型（resource/community）
+   * @param {number} [options.limit] 返回数量
+   * @returns {Promise<Array>}
+   */
+  static async getSuggestions(prefix, { searchType = null, limit = 10 } = {}) {
+    const keywordInfo = this.normalizeKeyword(prefix);
+    if (!keywordInfo) {
+      return [];
+    }
+
+    const normalizedType = this.normalizeType(searchType);
+    const values = [`${escapeLike(keywordInfo.normalized)}%`, SUGGESTION_WINDOW_DAYS];
+    let typeCondition = '';
+
+    if (normalizedType) {
+      values.push(normalizedType);
+      typeCondition = `AND search_type = $${values.length}`;
+    }
+
+    values.push(limit);
+
+    const result = await query(
+      `SELECT
+         normalized_keyword,
+         MAX(keyword) AS keyword,
+         COUNT(*) AS search_count
+       FROM search_records
+       WHERE normalized_keyword LIKE $1
+         AND created_at >= CURRENT_TIMESTAMP - ($2::INTEGER * INTERVAL '1 day')
+         AND (result_count IS NULL OR result_count > 0)
+         ${typeCondition}
+       GROUP BY normalized_keyword
+       ORDER BY search_count DESC, normalized_keyword
+       LIMIT $${values.length}`,
+      values
+    );
+
+    return result.rows.map(row => ({
+      keyword: row.keyword,
+      normalized_keyword: row.normalized_keyword,
+      search_count: Number(row.search_count) || 0
+    }));
+  }
+
+  /**
+   * 无结果搜索报表
+   * @param {Object} options
+   * @param {number} [options.days] 统计天数
+   * @param {string} [options.searchType] 搜索类型（resource/community）
+   * @param {number} [options.limit] 返回关键词数量
+   * @returns {Promise<{summary: Object, items: Array}>}
+   */
+  static async getZeroResultReport({ days = 7, searchType = null, limit = 50 } = {}) {
+    const { whereClause, values } = buildWindowConditions(days, searchType);
+
+    const summaryResult = await query(
+      `SELECT
+         COUNT(*) FILTER (WHERE result_count IS NOT NULL) AS tracked_count,
+         COUNT(*) FILTER (WHERE result_count = 0) AS zero_result_count
+       FROM search_records
+       ${whereClause}`,
+      values
+    );
+
+    const itemsResult = await query(
+      `SELECT
+         search_type,
+         normalized_keyword,
+         MAX(keyword) AS keyword,
+         COUNT(*) AS search_count,
+         COUNT(DISTINCT COALESCE(user_id::text, ip_address)) AS unique_searchers,
+         MIN(created_at) AS first_searched_at,
+         MAX(created_at) AS last_searched_at
+       FROM search_records
+       ${whereClause} AND result_count = 0
+       GROUP BY search_type, normalized_keyword
+       ORDER BY search_count DESC, last_searched_at DESC
+       LIMIT $${values.length + 1}`,
+      [...values, limit]
+    );
+
+    const trackedCount = Number(summaryResult.rows[0].tracked_count) || 0;
+    const zeroResultCount = Number(summaryResult.rows[0].zero_result_count) || 0;
+
+    return {
+      summary: {
+        days,
+        tracked_count: trackedCount,
+        zero_result_count: zeroResultCount,
+        zero_result_rate: trackedCount > 0 ? Number((zeroResultCount / trackedCount).toFixed(4)) : 0
+      },
+      items: itemsResult.rows.map(row => ({
+        keyword: row.keyword,
+        normalized_keyword: row.normalized_keyword,
+        search_type: row.search_type,
+        search_count: Number(row.search_count) || 0,
+        unique_searchers: Number(row.unique_searchers) || 0,
+        first_searched_at: row.first_searched_at,
+        last_searched_at: row.last_searched_at
+      }))
+    };
+  }
+
+  /**
+   * 搜索趋势：按天统计搜索量，并对比上一个同长度周期的关键词搜索次数
+   * @param {Object} options
+   * @param {number} [options.days] 统计天数
+   * @param {string} [options.searchType] 搜索类型（resource/community）
+   * @param {number} [options.limit] 关键词数量
+   * @returns {Promise<{timeline: Array, keywords: Array}>}
+   */
+  static async getTrends({ days = 30, searchType = null, limit = 20 } = {}) {
+    const normalizedType = this.normalizeType(searchType);
+    const values = normalizedType ? [days, normalizedType] : [days];
+    const typeCondition = (alias = '') => (normalizedType ? `AND ${alias}search_type = $2` : '');
+
+    const timelineResult = await query(
+      `SELECT
+         d.day::date AS date,
+         COUNT(sr.id) AS search_count,
+         COUNT(sr.id) FILTER (WHERE sr.result_count = 0) AS zero_result_count,
+         COUNT(DISTINCT sr.normalized_keyword) AS unique_keywords,
+         COUNT(DISTINCT COALESCE(sr.user_id::text, sr.ip_address)) AS unique_searchers
+       FROM generate_series(
+         (CURRENT_DATE - ($1::INTEGER - 1))::timestamp,
+         CURRENT_DATE::timestamp,
+         INTERVAL '1 day'
+       ) AS d(day)
+       LEFT JOIN search_records sr
+         ON sr.created_at >= d.day
+        AND sr.created_at < d.day + INTERVAL '1 day'
+        ${typeCondition('sr.')}
+       GROUP BY d.day
+       ORDER BY d.day`,
+      values
+    );
+
+    const keywordsResult = await query(
+      `SELECT
+         normalized_keyword,
+         MAX(keyword) AS keyword,
+         COUNT(*) FILTER (WHERE created_at >= CURRENT_DATE - ($1::INTEGER - 1)) AS search_count,
+         COUNT(*) FILTER (WHERE created_at < CURRENT_DATE - ($1::INTEGER - 1)) AS previous_count,
+         COUNT(*) FILTER (WHERE created_at >= CURRENT_DATE - ($1::INTEGER - 1) AND result_count = 0) AS zero_result_count
+       FROM search_records
+       WHERE created_at >= CURRENT_DATE - ($1::INTEGER * 2 - 1)
+         ${typeCondition()}
+       GROUP BY normalized_keyword
+       HAVING COUNT(*) FILTER (WHERE created_at >= CURRENT_DATE - ($1::INTEGER - 1)) > 0
+       ORDER BY search_count DESC, normalized_keyword
+       LIMIT $${values.length + 1}`,
+      [...values, limit]
+    );
+
+    return {
+      timeline: timelineResult.rows.map(row => ({
+        date: row.date,
+        search_count: Number(row.search_count) || 0,
+        zero_result_count: Number(row.zero_result_count) || 0,
+        unique_keywords: Number(row.unique_keywords) || 0,
+        unique_searchers: Number(row.unique_searchers) || 0
+      })),
+      keywords: keywordsResult.rows.map(row => {
+        const searchCount = Number(row.search_count) || 0;
+        const previousCount = Number(row.previous_count) || 0;
+
+        return {
+          keyword: row.keyword,
+          normalized_keyword: row.normalized_keyword,
+          search_count: searchCount,
+          previous_count: previousCount,
+          zero_result_count: Number(row.zero_result_count) || 0,
+          // 上一周期无搜索时增长率为 null（新出现的关键词）
+          growth_rate: previousCount > 0
+            ? Number(((searchCount - previousCount) / previousCount).toFixed(4))
+            : null
+        };
+      })
+    };
+  }
 }
 
 module.exports = SearchRecord;
@@ -179,6 +179,121 @@ class SystemSetting {
     return value;
   }
 
+  /**
+   * 获取资源文件直传上传策略
+   * 按角色配置单文件大小上限和允许的扩展名，allowed_extensions 含 "*" 表示不限制
+   */
+  static async getResourceUploadPolicy() {
+    const defaultArchiveTypes = ['zip', 'rar', '7z', 'tar', 'gz', 'pdf', 'epub', 'mp4', 'mkv', 'mov', 'mp3', 'flac'];
+    const defaultConfig = {
+      roles: {
+        user: { max_file_size: 2 * 1024 * 1024 * 1024, allowed_extensions: defaultArchiveTypes },
+        vip: { max_file_size: 5 * 1024 * 1024 * 1024, allowed_extensions: [...defaultArchiveTypes, 'webm', 'wav'] },
+        moderator: { max_file_size: 10 * 1024 * 1024 * 1024, allowed_extensions: ['*'] },
+        admin: { max_file_size: 50 * 1024 * 1024 * 1024, allowed_extensions: ['*'] }
+      }
+    };
+
+    const stored = await this.getSetting('resource_upload_policy', defaultConfig);
+    const storedRoles = stored && typeof stored.roles === 'object' ? stored.roles : {};
+    const roles = { ...defaultConfig.roles };
+
+    for (const [roleName, policy] of Object.entries(storedRoles)) {
+      const maxFileSize = Number(policy?.max_file_size);
+      const extensions = Array.isArray(policy?.allowed_extensions)
+        ? policy.allowed_extensions
+          .filter(ext => typeof ext === 'string' && ext.trim())
+          .map(ext => ext.trim().toLowerCase().replace(/^\./, ''))
+        : null;
+
+      roles[roleName] = {
+        max_file_size: Number.isFinite(maxFileSize) && maxFileSize > 0
+          ? maxFileSize
+          : (defaultConfig.roles[roleName]?.max_file_size || defaultConfig.roles.user.max_file_size),
+        allowed_extensions: extensions && extensions.length > 0
+          ? extensions
+          : (defaultConfig.roles[roleName]?.allowed_extensions || defaultConfig.roles.user.allowed_extensions)
+      };
+    }
+
+    return { roles };
+  }
+
+  /**
+   * 获取登录安全策略
+   * 连续失败次数达到阈值后按账号/IP锁定，重置周期内再次锁定时按倍数延长锁定时长
+   */
+  static async getLoginSecurityPolicy() {
+    const defaultConfig = {
+      enabled: true,
+      account_max_failures: 5,
+      ip_max_failures: 20,
+      failure_window_minutes: 15,
+      lockout_minutes: 15,
+      lockout_multiplier: 2,
+      max_lockout_minutes: 24 * 60,
+      escalation_reset_hours: 24,
+      notify_new_login: true
+    };
+
+    const stored = await this.getSetting('login_security', defaultConfig) || {};
+    const positive = (key) => {
+      const value = Number(stored[key]);
+      return Number.isFinite(value) && value > 0 ? value : defaultConfig[key];
+    };
+
+    return {
+      enabled: stored.enabled !== undefined ? Boolean(stored.enabled) : defaultConfig.enabled,
+      account_max_failures: Math.floor(positive('account_max_failures')),
+      ip_max_failures: Math.floor(positive('ip_max_failures')),
+      failure_window_minutes: positive('failure_window_minutes'),
+      lockout_minutes: positive('lockout_minutes'),
+      lockout_multiplier: Math.max(positive('lockout_multiplier'), 1),
+      max_lockout_minutes: positive('max_lockout_minutes'),
+      escalation_reset_hours: positive('escalation_reset_hours'),
+      notify_new_login: stored.notify_new_login !== undefined
+        ? Boolean(stored.notify_new_login)
+        : defaultConfig.notify_new_login
+    };
+  }
+
+  /**
+   * 获取资源版本更新策略
+   * free_redownload 开启时，新版本发布前已付费下载过该资源的用户可免费下载新版本文件；
+   * redownload_window_days 限定付费记录距新版本发布的天数，0 表示不限制
+   */
+  static async getResourceVersionUpdatePolicy() {
+    const defaultConfig = {
+      free_redownload: true,
+      redownload_window_days: 0,
+      notify_downloaders: true,
+      notify_favoriters: true
+    };
+
+    const stored = await this.getSetting('resource_version_update', defaultConfig) || {};
+    const flag = (key) => (stored[key] !== undefined ? Boolean(stored[key]) : defaultConfig[key]);
+    const windowDays = Number(stored.redownload_window_days);
+
+    return {
+      free_redownload: flag('free_redownload'),
+      redownload_window_days: Number.isFinite(windowDays) && windowDays > 0 ? Math.floor(windowDays) : 0,
+      notify_downloaders: flag('notify_downloaders'),
+      notify_favoriters: flag('notify_favoriters')
+    };
+  }
+
+  /**
+   * 获取资源发布审核策略
+   * 开启后没有发布权限的创作者发布或定时发布的资源先进入待审核状态
+   */
+  static async getResourceReviewPolicy() {
+    const stored = await this.getSetting('resource_review', { enabled: true }) || {};
+
+    return {
+      enabled: stored.enabled !== undefined ? Boolean(stored.enabled) : true
+    };
+  }
+
   /**
    * 获取前端轮播图配置
    * 采用 system_settings.frontend_banners 中存储的JSON数组
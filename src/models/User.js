@@ -5,7 +5,10 @@
 
 const { query, getClient } = require('../config/database');
 const { hashPassword, verifyPassword } = require('../utils/password');
-const { hashToken } = require('../utils/jwt');
+const { renderColumns } = require('../utils/contentPipeline');
+
+// 注销用户后其帖子、评论内容替换为该文本
+const DELETED_USER_CONTENT = '[用户已删除]';
 
 class User {
   /**
@@ -50,6 +53,7 @@ class User {
         u.vip_level, u.is_vip, u.vip_expire_at, u.vip_activated_at,
         u.download_count,
         u.daily_download_limit, u.daily_downloads_used, u.last_download_reset_date,
+        u.notify_followers_on_publish,
         vl.name AS vip_level_name,
         vl.display_name AS vip_level_display_name,
         COALESCE(vl.daily_download_limit, u.daily_download_limit, 0) AS actual_daily_limit,
@@ -272,7 +276,7 @@ class User {
     const result = await query(
       `UPDATE users SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP 
        WHERE id = $${paramIndex} 
-       RETURNING id, username, email, nickname, avatar_url, bio, status, created_at, updated_at`,
+       RETURNING id, username, email, nickname, avatar_url, bio, notify_followers_on_publish, status, created_at, updated_at`,
       values
     );
 
@@ -307,6 +311,34 @@ class User {
     return result.rows[0];
   }
 
+  /**
+   * 扣减下载次数（冲正卡密发放的下载次数），最多扣至0
+   * @param {number} userId - 用户ID
+   * @param {number} credits - 应扣减次数
+   * @param {Object} client - 事务连接
+   * @returns {Promise<number>} 实际扣减次数
+   */
+  static async deductDownloadCredits(userId, credits, client) {
+    const current = await client.query(
+      'SELECT COALESCE(download_count, 0) AS download_count FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+
+    if (current.rows.length === 0) {
+      throw new Error('用户不存在');
+    }
+
+    const deducted = Math.min(credits, Math.max(Number(current.rows[0].download_count), 0));
+    if (deducted > 0) {
+      await client.query(
+        'UPDATE users SET download_count = download_count - $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [userId, deducted]
+      );
+    }
+
+    return deducted;
+  }
+
   /**
    * 为用户分配角色
    * @param {number} userId - 用户ID
@@ -425,55 +457,6 @@ class User {
     return parseInt(result.rows[0]?.total || 0, 10);
   }
 
-  /**
-   * 存储刷新令牌
-   * @param {number} userId - 用户ID
-   * @param {string} refreshToken - 刷新令牌
-   * @param {Date} expiresAt - 过期时间
-   * @returns {Promise<void>}
-   */
-  static async storeRefreshToken(userId, refreshToken, expiresAt) {
-    const tokenHash = hashToken(refreshToken);
-    
-    await query(
-      'INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
-      [userId, tokenHash, expiresAt]
-    );
-  }
-
-  /**
-   * 验证刷新令牌
-   * @param {string} refreshToken - 刷新令牌
-   * @returns {Promise<Object|null>} 令牌信息或null
-   */
-  static async validateRefreshToken(refreshToken) {
-    const tokenHash = hashToken(refreshToken);
-    
-    const result = await query(
-      `SELECT rt.*, u.id as user_id, u.username, u.email 
-       FROM refresh_tokens rt
-       JOIN users u ON rt.user_id = u.id
-       WHERE rt.token_hash = $1 AND rt.expires_at > NOW() AND rt.is_revoked = FALSE`,
-      [tokenHash]
-    );
-
-    return result.rows[0] || null;
-  }
-
-  /**
-   * 撤销刷新令牌
-   * @param {string} refreshToken - 刷新令牌
-   * @returns {Promise<void>}
-   */
-  static async revokeRefreshToken(refreshToken) {
-    const tokenHash = hashToken(refreshToken);
-    
-    await query(
-      'UPDATE refresh_tokens SET is_revoked = TRUE WHERE token_hash = $1',
-      [tokenHash]
-    );
-  }
-
   /**
    * 删除用户（管理员功能）
    * @param {number} userId - 用户ID
@@ -531,20 +514,36 @@ class User {
 
       // 7. 处理用户创建的内容
       // 对于用户创建的帖子和评论，将其标记为已删除用户创建，而不是直接删除
+      // 渲染缓存一并替换，避免原内容继续展示
+      const deletedPost = renderColumns('community_post', DELETED_USER_CONTENT, 'text');
       await client.query(`
         UPDATE community_posts
         SET author_id = NULL,
-            content = '[用户已删除]',
+            content = $2,
+            content_type = 'text',
+            content_html = $3,
+            content_meta = $4::jsonb,
+            content_render_version = $5,
             title = CASE WHEN title IS NOT NULL THEN '[已删除用户的帖子]' ELSE title END
         WHERE author_id = $1
-      `, [userId]);
+      `, [
+        userId, DELETED_USER_CONTENT,
+        deletedPost.content_html, deletedPost.content_meta, deletedPost.content_render_version
+      ]);
 
+      const deletedComment = renderColumns('community_comment', DELETED_USER_CONTENT);
       await client.query(`
         UPDATE community_comments
         SET author_id = NULL,
-            content = '[用户已删除]'
+            content = $2,
+            content_html = $3,
+            content_meta = $4::jsonb,
+            content_render_version = $5
         WHERE author_id = $1
-      `, [userId]);
+      `, [
+        userId, DELETED_USER_CONTENT,
+        deletedComment.content_html, deletedComment.content_meta, deletedComment.content_render_version
+      ]);
 
       // 8. 处理用户创建的资源（保留资源但标记为已删除用户创建）
       await client.query(`
@@ -566,8 +565,10 @@ class User {
 
       // 11. 处理举报处理记录
       await client.query('UPDATE resource_reports SET handled_by = NULL WHERE handled_by = $1', [userId]);
+      await client.query('UPDATE resource_reports SET assigned_to = NULL WHERE assigned_to = $1', [userId]);
       await client.query('UPDATE community_reports SET handler_id = NULL WHERE handler_id = $1', [userId]);
       await client.query('UPDATE community_punishments SET operator_id = NULL WHERE operator_id = $1', [userId]);
+      await client.query('UPDATE community_punishments SET revoked_by = NULL WHERE revoked_by = $1', [userId]);
 
       // 12. 处理评论回复关系
       await client.query('UPDATE community_comments SET reply_to_user_id = NULL WHERE reply_to_user_id = $1', [userId]);
@@ -1128,20 +1129,6 @@ class User {
 
     return result.rowCount > 0;
   }
-
-  /**
-   * 撤销用户的所有刷新令牌
-   * @param {number} userId - 用户ID
-   * @returns {Promise<number>} 撤销的令牌数量
-   */
-  static async revokeAllRefreshTokens(userId) {
-    const result = await query(
-      'UPDATE refresh_tokens SET is_revoked = true WHERE user_id = $1 AND is_revoked = false',
-      [userId]
-    );
-
-    return result.rowCount;
-  }
 }
 
 module.exports = User;
@@ -70,6 +70,19 @@ class UserFollow {
     return result.rows[0]?.total || 0;
   }
 
+  static async getFollowerIdsAfter(userId, afterId = 0, limit = 500) {
+    const result = await query(
+      `SELECT follower_id
+       FROM user_follows
+       WHERE following_id = $1 AND follower_id > $2
+       ORDER BY follower_id
+       LIMIT $3`,
+      [userId, afterId, limit]
+    );
+
+    return result.rows.map(row => row.follower_id);
+  }
+
   static async getFollowing(userId, { limit = 20, offset = 0 } = {}) {
     const result = await query(
       `SELECT
@@ -0,0 +1,256 @@
+/**
+ * 用户两步验证数据模型
+ * 管理TOTP密钥的绑定、启用、验证以及一次性恢复码
+ */
+
+const { query, getClient } = require('../config/database');
+const {
+  generateSecret,
+  verifyCode,
+  buildProvisioningUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret
+} = require('../utils/totp');
+
+class UserMfa {
+  /**
+   * 获取用户的两步验证记录
+   * @param {number} userId
+   * @returns {Promise<Object|null>}
+   */
+  static async findByUserId(userId) {
+    const result = await query('SELECT * FROM user_mfa WHERE user_id = $1', [userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 用户是否已启用两步验证
+   * @param {number} userId
+   * @returns {Promise<boolean>}
+   */
+  static async isEnabled(userId) {
+    const record = await this.findByUserId(userId);
+    return Boolean(record && record.is_enabled);
+  }
+
+  /**
+   * 用户是否因角色策略必须启用两步验证
+   * @param {number} userId
+   * @returns {Promise<boolean>}
+   */
+  static async isRequiredForUser(userId) {
+    const result = await query(
+      `SELECT EXISTS (
+         SELECT 1 FROM user_roles ur
+         JOIN roles r ON r.id = ur.role_id
+         WHERE ur.user_id = $1 AND r.mfa_required = TRUE AND r.is_active = TRUE
+       ) AS required`,
+      [userId]
+    );
+
+    return result.rows[0].required;
+  }
+
+  /**
+   * 开始绑定：生成新的待确认密钥（已启用时不覆盖）
+   * @param {Object} user - 用户信息（id、email）
+   * @returns {Promise<{secret: string, otpauth_url: string}|null>} 已启用时返回null
+   */
+  static async startEnrollment(user) {
+    const secret = generateSecret();
+
+    const result = await query(
+      `INSERT INTO user_mfa (user_id, secret_encrypted)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id) DO UPDATE
+       SET secret_encrypted = EXCLUDED.secret_encrypted,
+           last_used_step = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE user_mfa.is_enabled = FALSE
+       RETURNING user_id`,
+      [user.id, encryptSecret(secret)]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return {
+      secret,
+      otpauth_url: buildProvisioningUri(secret, user.email || user.username)
+    };
+  }
+
+  /**
+   * 确认绑定：校验待确认密钥的验证码，通过后启用并生成恢复码
+   * @param {number} userId
+   * @param {string} code - 认证器App中的验证码
+   * @returns {Promise<string[]|null>} 恢复码明文（仅此一次返回），验证失败返回null
+   */
+  static async confirmEnrollment(userId, code) {
+    const record = await this.findByUserId(userId);
+    if (!record || record.is_enabled) {
+      return null;
+    }
+
+    const step = verifyCode(decryptSecret(record.secret_encrypted), code);
+    if (step === null) {
+      return null;
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const enableResult = await client.query(
+        `UPDATE user_mfa
+         SET is_enabled = TRUE, enabled_at = CURRENT_TIMESTAMP, last_used_step = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND is_enabled = FALSE AND secret_encrypted = $3`,
+        [userId, step, record.secret_encrypted]
+      );
+
+      // 并发确认或期间密钥被重新生成
+      if (enableResult.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await this.replaceRecoveryCodes(client, userId, recoveryCodes);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return recoveryCodes;
+  }
+
+  /**
+   * 校验两步验证：动态验证码或恢复码二选一
+   * @param {number} userId
+   * @param {Object} credentials
+   * @param {string} [credentials.code] - 动态验证码
+   * @param {string} [credentials.recoveryCode] - 恢复码
+   * @returns {Promise<'totp'|'recovery_code'|null>} 验证通过的方式，失败返回null
+   */
+  static async verify(userId, { code = null, recoveryCode = null } = {}) {
+    const record = await this.findByUserId(userId);
+    if (!record || !record.is_enabled) {
+      return null;
+    }
+
+    if (code) {
+      const step = verifyCode(decryptSecret(record.secret_encrypted), code, {
+        lastUsedStep: record.last_used_step === null ? null : Number(record.last_used_step)
+      });
+      if (step === null) {
+        return null;
+      }
+
+      // 条件更新保证同一验证码只能成功使用一次
+      const result = await query(
+        `UPDATE user_mfa
+         SET last_used_step = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)`,
+        [userId, step]
+      );
+
+      return result.rowCount > 0 ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+      const result = await query(
+        `UPDATE user_mfa_recovery_codes
+         SET used_at = CURRENT_TIMESTAMP
+         WHERE id = (
+           SELECT id FROM user_mfa_recovery_codes
+           WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED
+         )`,
+        [userId, hashRecoveryCode(recoveryCode)]
+      );
+
+      return result.rowCount > 0 ? 'recovery_code' : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * 重新生成恢复码（旧恢复码全部作废）
+   * @param {number} userId
+   * @returns {Promise<string[]>} 新恢复码明文
+   */
+  static async regenerateRecoveryCodes(userId) {
+    const recoveryCodes = generateRecoveryCodes();
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+      await this.replaceRecoveryCodes(client, userId, recoveryCodes);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return recoveryCodes;
+  }
+
+  static async replaceRecoveryCodes(client, userId, recoveryCodes) {
+    await client.query('DELETE FROM user_mfa_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query(
+      `INSERT INTO user_mfa_recovery_codes (user_id, code_hash)
+       SELECT $1, UNNEST($2::VARCHAR[])`,
+      [userId, recoveryCodes.map(hashRecoveryCode)]
+    );
+  }
+
+  /**
+   * 获取剩余可用的恢复码数量
+   * @param {number} userId
+   * @returns {Promise<number>}
+   */
+  static async countRemainingRecoveryCodes(userId) {
+    const result = await query(
+      'SELECT COUNT(*) AS total FROM user_mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+
+    return parseInt(result.rows[0].total, 10);
+  }
+
+  /**
+   * 关闭两步验证并删除密钥与恢复码
+   * @param {number} userId
+   * @returns {Promise<boolean>} 是否存在被删除的记录
+   */
+  static async disable(userId) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+      const result = await client.query('DELETE FROM user_mfa WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM user_mfa_recovery_codes WHERE user_id = $1', [userId]);
+      await client.query('COMMIT');
+
+      return result.rowCount > 0;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = UserMfa;
@@ -269,6 +269,148 @@ class VIP {
     return result.rows[0];
   }
 
+  /**
+   * 购买套餐后发放VIP
+   * 生效中的VIP顺延到期时间并取较高等级，已过期或非VIP从当前时间起算，永久VIP保持永久
+   * @param {number} userId
+   * @param {number} vipLevel - 套餐等级
+   * @param {number} days - 套餐天数
+   * @param {Object} client - 事务连接
+   */
+  static async applyPurchasedVIP(userId, vipLevel, days, client) {
+    const previous = await client.query(
+      `SELECT CASE
+         WHEN is_vip = true AND (vip_expire_at IS NULL OR vip_expire_at > CURRENT_TIMESTAMP) THEN vip_level
+         ELSE 0
+       END AS previous_vip_level
+       FROM users
+       WHERE id = $1
+       FOR UPDATE`,
+      [userId]
+    );
+
+    const queryStr = `
+      UPDATE users
+      SET
+        vip_level = CASE
+          WHEN is_vip = true AND (vip_expire_at IS NULL OR vip_expire_at > CURRENT_TIMESTAMP)
+          THEN GREATEST(vip_level, $2)
+          ELSE $2
+        END,
+        vip_expire_at = CASE
+          WHEN is_vip = true AND vip_expire_at IS NULL THEN NULL
+          WHEN is_vip = true AND vip_expire_at > CURRENT_TIMESTAMP THEN vip_expire_at + ($3::INTEGER * INTERVAL '1 day')
+          ELSE CURRENT_TIMESTAMP + ($3::INTEGER * INTERVAL '1 day')
+        END,
+        vip_activated_at = CASE
+          WHEN is_vip = true AND (vip_expire_at IS NULL OR vip_expire_at > CURRENT_TIMESTAMP)
+          THEN COALESCE(vip_activated_at, CURRENT_TIMESTAMP)
+          ELSE CURRENT_TIMESTAMP
+        END,
+        is_vip = true
+      WHERE id = $1
+      RETURNING id, is_vip, vip_level, vip_expire_at, vip_activated_at
+    `;
+    const result = await client.query(queryStr, [userId, vipLevel, days]);
+    return {
+      ...result.rows[0],
+      previous_vip_level: previous.rows[0]?.previous_vip_level ?? 0
+    };
+  }
+
+  /**
+   * 全额冲正后将VIP等级恢复为购买前的等级
+   * 用户还有其他未退款且未到期的VIP订单或积分购买记录时取其中的最高等级；只降低不提升
+   * @param {number} userId
+   * @param {Object} params
+   * @param {number} params.orderId - 被冲正的订单
+   * @param {number} params.previousLevel - 订单发放前的等级
+   * @param {Object} client - 事务连接
+   * @returns {Promise<Object|null>} 用户已不是VIP时返回 null
+   */
+  static async restoreVipLevel(userId, { orderId, previousLevel }, client) {
+    const queryStr = `
+      UPDATE users u
+      SET vip_level = LEAST(u.vip_level, GREATEST(
+        $3::INTEGER,
+        COALESCE((
+          SELECT MAX(o.vip_level) FROM orders o
+          WHERE o.user_id = u.id
+            AND o.id <> $2
+            AND o.status = 'paid'
+            AND o.vip_level > 0
+            AND (o.payment_method = 'card_key' OR o.fulfilled_at IS NOT NULL)
+            AND (o.expire_at IS NULL OR o.expire_at > CURRENT_TIMESTAMP)
+        ), 0),
+        COALESCE((
+          SELECT MAX(p.level) FROM vip_package_purchases p
+          WHERE p.user_id = u.id
+            AND p.order_id IS NULL
+            AND (p.vip_expire_at IS NULL OR p.vip_expire_at > CURRENT_TIMESTAMP)
+        ), 0)
+      ))
+      WHERE u.id = $1 AND u.is_vip = true
+      RETURNING id, is_vip, vip_level, vip_expire_at
+    `;
+    const result = await client.query(queryStr, [userId, orderId, previousLevel]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 记录订单发放VIP前用户的等级
+   * @param {number} orderId
+   * @param {number} previousLevel
+   * @param {Object} client - 事务连接
+   */
+  static async setOrderPreviousVipLevel(orderId, previousLevel, client) {
+    await client.query(
+      'UPDATE orders SET previous_vip_level = $2 WHERE id = $1',
+      [orderId, previousLevel]
+    );
+  }
+
+  /**
+   * 冲正时缩短用户VIP时间
+   * 仅作用于生效中的限期VIP，缩短后已到期的直接失效（等级归零，保留到期时间便于追溯）
+   * @param {number} userId
+   * @param {number} days - 扣减天数
+   * @param {Object} client - 事务连接
+   * @returns {Promise<Object|null>} 用户不是限期VIP时返回 null
+   */
+  static async shortenUserVIP(userId, days, client) {
+    const queryStr = `
+      UPDATE users
+      SET
+        vip_expire_at = vip_expire_at - ($2::INTEGER * INTERVAL '1 day'),
+        is_vip = (vip_expire_at - ($2::INTEGER * INTERVAL '1 day')) > CURRENT_TIMESTAMP,
+        vip_level = CASE
+          WHEN (vip_expire_at - ($2::INTEGER * INTERVAL '1 day')) > CURRENT_TIMESTAMP THEN vip_level
+          ELSE 0
+        END
+      WHERE id = $1 AND is_vip = true AND vip_expire_at IS NOT NULL
+      RETURNING id, is_vip, vip_level, vip_expire_at
+    `;
+    const result = await client.query(queryStr, [userId, days]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 冲正时撤销永久VIP
+   * @param {number} userId
+   * @param {Object} client - 事务连接
+   * @returns {Promise<Object|null>} 用户不是永久VIP时返回 null
+   */
+  static async revokePermanentVIP(userId, client) {
+    const queryStr = `
+      UPDATE users
+      SET is_vip = false, vip_level = 0
+      WHERE id = $1 AND is_vip = true AND vip_expire_at IS NULL
+      RETURNING id, is_vip, vip_level, vip_expire_at
+    `;
+    const result = await client.query(queryStr, [userId]);
+    return result.rows[0] || null;
+  }
+
   /**
    * 取消用户VIP
    */
@@ -332,7 +474,8 @@ class VIP {
       duration_days,
       payment_method,
       order_no,
-      card_key_code
+      card_key_code,
+      previous_vip_level = null
     } = orderData;
 
     let expireAt = null;
@@ -343,11 +486,13 @@ class VIP {
 
     const queryStr = `
       INSERT INTO orders 
-      (user_id, vip_level, price, duration_days, expire_at, payment_method, order_no, card_key_code)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      (user_id, vip_level, price, duration_days, expire_at, payment_method, order_no, card_key_code, previous_vip_level)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       RETURNING *
     `;
-    const values = [user_id, vip_level, price, duration_days, expireAt, payment_method, order_no, card_key_code];
+    const values = [
+      user_id, vip_level, price, duration_days, expireAt, payment_method, order_no, card_key_code, previous_vip_level
+    ];
     const result = await query(queryStr, values);
     return result.rows[0];
   }
@@ -366,6 +511,43 @@ class VIP {
     return result.rows[0];
   }
 
+  /**
+   * 获取卡密兑换生成的已支付订单
+   * @param {string} code - 卡密
+   * @param {number} userId - 兑换用户
+   * @param {Object} client - 事务连接
+   */
+  static async findPaidCardKeyOrder(code, userId, client) {
+    const result = await client.query(
+      `SELECT * FROM orders
+       WHERE card_key_code = $1 AND user_id = $2 AND payment_method = 'card_key' AND status = 'paid'
+       ORDER BY id DESC
+       LIMIT 1
+       FOR UPDATE`,
+      [code, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 冲正后将订单标记为已全额退款
+   * @param {number} orderId
+   * @param {Object} client - 事务连接
+   */
+  static async markOrderRefunded(orderId, client) {
+    const result = await client.query(
+      `UPDATE orders
+       SET status = 'refunded',
+           refunded_amount = price,
+           refunded_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'paid'
+       RETURNING *`,
+      [orderId]
+    );
+    return result.rows[0] || null;
+  }
+
   // 注意：getUserOrders 方法已废弃并移除
   // 用户订单查询功能已迁移到 cardOrderController
 
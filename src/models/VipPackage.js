@@ -0,0 +1,235 @@
+/**
+ * VIP套餐数据模型
+ * 管理员可配置的VIP套餐（等级、天数、积分价格、现金价格、限购与上架时间），以及用户购买记录
+ */
+
+const { query } = require('../config/database');
+
+// 可由管理员写入的字段
+const EDITABLE_FIELDS = [
+  'code',
+  'name',
+  'description',
+  'level',
+  'days',
+  'points_cost',
+  'original_price',
+  'discount',
+  'price',
+  'per_user_limit',
+  'available_from',
+  'available_until',
+  'sort_order',
+  'is_active'
+];
+
+class VipPackage {
+  /**
+   * 管理端 - 获取套餐列表（含已售数量）
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - active/inactive
+   * @param {number} [filters.level] - VIP等级
+   * @param {number} [filters.page=1]
+   * @param {number} [filters.limit=20]
+   * @returns {Promise<Object>}
+   */
+  static async findAll({ status = null, level = null, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    const conditions = [];
+    const params = [];
+
+    if (status === 'active' || status === 'inactive') {
+      params.push(status === 'active');
+      conditions.push(`p.is_active = $${params.length}`);
+    }
+
+    if (level) {
+      params.push(level);
+      conditions.push(`p.level = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await query(
+      `SELECT COUNT(*)::INTEGER AS total FROM vip_packages p ${where}`,
+      params
+    );
+
+    const result = await query(
+      `SELECT p.*,
+              vl.display_name AS level_display_name,
+              COALESCE(s.sold_count, 0)::INTEGER AS sold_count
+       FROM vip_packages p
+       LEFT JOIN vip_levels vl ON vl.level = p.level
+       LEFT JOIN (
+         SELECT package_id, COUNT(*) AS sold_count
+         FROM vip_package_purchases
+         GROUP BY package_id
+       ) s ON s.package_id = p.id
+       ${where}
+       ORDER BY p.sort_order ASC, p.id ASC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const total = countResult.rows[0].total;
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      data: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * 用户端 - 获取当前可购买的套餐（已上架、在售卖时间内且对应等级启用）
+   * @returns {Promise<Array>}
+   */
+  static async findAvailable() {
+    const result = await query(
+      `SELECT p.id, p.code, p.name, p.description, p.level, p.days, p.points_cost,
+              p.original_price, p.discount, p.price, p.per_user_limit, p.available_from, p.available_until,
+              vl.display_name AS level_display_name
+       FROM vip_packages p
+       JOIN vip_levels vl ON vl.level = p.level AND vl.is_active = TRUE
+       WHERE p.is_active = TRUE
+         AND (p.available_from IS NULL OR p.available_from <= CURRENT_TIMESTAMP)
+         AND (p.available_until IS NULL OR p.available_until > CURRENT_TIMESTAMP)
+       ORDER BY p.sort_order ASC, p.id ASC`
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 根据ID获取套餐
+   * @param {number} id
+   * @param {Object} [client] - 事务连接
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id, client = null) {
+    const runner = client || { query };
+    const result = await runner.query(
+      `SELECT p.*, vl.is_active AS level_is_active
+       FROM vip_packages p
+       LEFT JOIN vip_levels vl ON vl.level = p.level
+       WHERE p.id = $1`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 创建套餐
+   * @param {Object} data - 已校验的套餐字段
+   * @param {number} operatorId - 创建人
+   * @returns {Promise<Object>}
+   */
+  static async create(data, operatorId = null) {
+    const columns = EDITABLE_FIELDS.filter((field) => data[field] !== undefined);
+    const values = columns.map((field) => data[field]);
+
+    columns.push('created_by');
+    values.push(operatorId);
+
+    const result = await query(
+      `INSERT INTO vip_packages (${columns.join(', ')})
+       VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+       RETURNING *`,
+      values
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * 更新套餐
+   * @param {number} id
+   * @param {Object} data - 已校验的套餐字段
+   * @returns {Promise<Object|null>}
+   */
+  static async update(id, data) {
+    const fields = EDITABLE_FIELDS.filter((field) => data[field] !== undefined);
+
+    if (fields.length === 0) {
+      throw new Error('没有提供更新数据');
+    }
+
+    const values = fields.map((field) => data[field]);
+    values.push(id);
+
+    const result = await query(
+      `UPDATE vip_packages
+       SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${values.length}
+       RETURNING *`,
+      values
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 删除套餐（软删除，保留购买记录关联）
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  static async deactivate(id) {
+    const result = await query(
+      `UPDATE vip_packages
+       SET is_active = FALSE, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 统计用户已购买某套餐的次数
+   * @param {number} userId
+   * @param {number} packageId
+   * @param {Object} [client] - 事务连接
+   * @returns {Promise<number>}
+   */
+  static async countUserPurchases(userId, packageId, client = null) {
+    const runner = client || { query };
+    const result = await runner.query(
+      `SELECT COUNT(*)::INTEGER AS total
+       FROM vip_package_purchases
+       WHERE user_id = $1 AND package_id = $2`,
+      [userId, packageId]
+    );
+
+    return result.rows[0].total;
+  }
+
+  /**
+   * 写入购买记录
+   * @param {Object} client - 事务连接
+   * @param {Object} payload
+   * @param {number} [payload.orderId] - 在线支付订单ID，积分购买时为空
+   * @returns {Promise<Object>}
+   */
+  static async recordPurchase(client, { userId, pkg, vipExpireAt, orderId = null }) {
+    const result = await client.query(
+      `INSERT INTO vip_package_purchases (user_id, package_id, level, days, points_cost, vip_expire_at, order_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [userId, pkg.id, pkg.level, pkg.days, orderId ? 0 : pkg.points_cost, vipExpireAt, orderId]
+    );
+
+    return result.rows[0];
+  }
+}
+
+module.exports = VipPackage;
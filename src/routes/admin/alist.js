@@ -9,11 +9,16 @@ const {
   getAlistConfig,
   updateAlistConfig,
   getAlistIngestSettings,
+  getAlistMetadataExtractors,
   createAlistIngestSetting,
   updateAlistIngestSetting,
   deleteAlistIngestSetting,
   scanAlistIngestSetting,
   scanTestAlistIngestSetting,
+  getAlistIngestJobs,
+  getAlistIngestJob,
+  cancelAlistIngestJob,
+  getAlistIngestScheduleRuns,
   getAlistResources,
   addAlistResource,
   deleteAlistResource,
@@ -42,6 +47,7 @@ router.put('/config', updateAlistConfig);
 /**
  * 入库配置管理
  */
+router.get('/ingest/extractors', getAlistMetadataExtractors);
 router.get('/ingest/settings', getAlistIngestSettings);
 router.get('/ingest/settings/:id', getAlistIngestSettings);
 router.post('/ingest/settings', createAlistIngestSetting);
@@ -50,6 +56,18 @@ router.delete('/ingest/settings/:id', deleteAlistIngestSetting);
 router.post('/ingest/settings/:id/scan', scanAlistIngestSetting);
 router.get('/ingest/settings/:id/scantest', scanTestAlistIngestSetting);
 
+/**
+ * 入库任务进度与取消
+ */
+router.get('/ingest/jobs', getAlistIngestJobs);
+router.get('/ingest/jobs/:jobId', getAlistIngestJob);
+router.post('/ingest/jobs/:jobId/cancel', cancelAlistIngestJob);
+
+/**
+ * 定时入库执行记录
+ */
+router.get('/ingest/schedule-runs', getAlistIngestScheduleRuns);
+
 /**
  * 获取Alist资源关联列表
  */
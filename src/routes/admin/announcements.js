@@ -0,0 +1,80 @@
+/**
+ * 管理员系统公告路由
+ */
+
+const express = require('express');
+const router = express.Router();
+const announcementController = require('../../controllers/announcementController');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
+
+// 获取公告列表
+router.get('/',
+  authenticateToken,
+  requirePermission('announcement:read'),
+  announcementController.getAnnouncements
+);
+
+// 创建公告草稿
+router.post('/',
+  authenticateToken,
+  requirePermission('announcement:create'),
+  announcementController.createAnnouncement
+);
+
+// 预估投放人数
+router.post('/audience/preview',
+  authenticateToken,
+  requirePermission('announcement:read'),
+  announcementController.previewAudience
+);
+
+// 获取公告详情与阅读统计
+router.get('/:id',
+  authenticateToken,
+  requirePermission('announcement:read'),
+  announcementController.getAnnouncement
+);
+
+// 编辑公告
+router.put('/:id',
+  authenticateToken,
+  requirePermission('announcement:create'),
+  announcementController.updateAnnouncement
+);
+
+// 删除公告草稿
+router.delete('/:id',
+  authenticateToken,
+  requirePermission('announcement:create'),
+  announcementController.deleteAnnouncement
+);
+
+// 提交审核
+router.post('/:id/submit',
+  authenticateToken,
+  requirePermission('announcement:create'),
+  announcementController.submitAnnouncement
+);
+
+// 审核通过并发布
+router.post('/:id/approve',
+  authenticateToken,
+  requirePermission('announcement:review'),
+  announcementController.approveAnnouncement
+);
+
+// 驳回公告
+router.post('/:id/reject',
+  authenticateToken,
+  requirePermission('announcement:review'),
+  announcementController.rejectAnnouncement
+);
+
+// 取消公告
+router.post('/:id/cancel',
+  authenticateToken,
+  requirePermission('announcement:cancel'),
+  announcementController.cancelAnnouncement
+);
+
+module.exports = router;
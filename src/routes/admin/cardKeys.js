@@ -68,6 +68,13 @@ router.put('/:cardId/status',
   cardKeyController.updateCardStatus
 );
 
+// 撤销已兑换的卡密并回收权益
+router.post('/:cardId/revoke',
+  authenticateToken,
+  requirePermission('card_key:update'),
+  cardKeyController.revokeCard
+);
+
 // 删除卡密
 router.post('/:cardId/delete',
   authenticateToken,
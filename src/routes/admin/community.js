@@ -1,12 +1,13 @@
 /**
  * 管理员社区管理路由
- * 处理举报管理等社区管理功能
+ * 处理举报管理、处罚管理等社区管理功能
  */
 
 const express = require('express');
 const router = express.Router();
 const CommunityInteractionController = require('../../controllers/communityInteractionController');
 const CommunityPostController = require('../../controllers/communityPostController');
+const CommunityPunishmentController = require('../../controllers/communityPunishmentController');
 const { authenticateToken, requirePermission } = require('../../middleware/auth');
 const { clearPostCache } = require('../../middleware/cacheMiddleware');
 
@@ -24,6 +25,27 @@ router.patch('/reports/:id',
   CommunityInteractionController.handleReport
 );
 
+// 获取处罚列表
+router.get('/punishments',
+  authenticateToken,
+  requirePermission('community:punish'),
+  CommunityPunishmentController.getPunishments
+);
+
+// 下发处罚
+router.post('/punishments',
+  authenticateToken,
+  requirePermission('community:punish'),
+  CommunityPunishmentController.createPunishment
+);
+
+// 撤销处罚
+router.patch('/punishments/:id/revoke',
+  authenticateToken,
+  requirePermission('community:punish'),
+  CommunityPunishmentController.revokePunishment
+);
+
 // 管理员修改帖子状态
 router.put('/posts/:id/status',
   authenticateToken,
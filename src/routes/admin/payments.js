@@ -0,0 +1,45 @@
+/**
+ * 管理员在线支付订单路由
+ */
+
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../../controllers/paymentController');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
+
+// 获取支付订单列表
+router.get('/orders',
+  authenticateToken,
+  requirePermission('vip:order:read'),
+  paymentController.adminGetOrders
+);
+
+// 向支付渠道同步订单状态（补单）
+router.post('/orders/:orderNo/sync',
+  authenticateToken,
+  requirePermission('vip:order:update'),
+  paymentController.adminSyncOrder
+);
+
+// 支付订单退款
+router.post('/orders/:orderNo/refund',
+  authenticateToken,
+  requirePermission('vip:order:update'),
+  paymentController.adminRefundOrder
+);
+
+// 登记支付拒付并回收权益
+router.post('/orders/:orderNo/chargeback',
+  authenticateToken,
+  requirePermission('vip:order:update'),
+  paymentController.adminChargebackOrder
+);
+
+// 获取订单冲正记录
+router.get('/reversals',
+  authenticateToken,
+  requirePermission('vip:order:read'),
+  paymentController.adminGetReversals
+);
+
+module.exports = router;
@@ -48,6 +48,46 @@ router.get('/statistics',
   pointsController.getPointsStatistics
 );
 
+// 积分账本对账记录
+router.get('/reconciliation',
+  authenticateToken,
+  requirePermission('points:statistics'),
+  pointsController.getReconciliationRuns
+);
+
+// 立即执行积分对账
+router.post('/reconciliation/run',
+  authenticateToken,
+  requirePermission('points:manage'),
+  pointsController.runReconciliation
+);
+
+// 积分对账详情
+router.get('/reconciliation/:runId',
+  authenticateToken,
+  requirePermission('points:statistics'),
+  pointsController.getReconciliationRun
+);
+
+// 积分过期策略
+router.get('/expiry-policies',
+  authenticateToken,
+  requirePermission('points:read'),
+  pointsController.getExpiryPolicies
+);
+
+router.put('/expiry-policies/:source',
+  authenticateToken,
+  requirePermission('points:manage'),
+  pointsController.saveExpiryPolicy
+);
+
+router.delete('/expiry-policies/:source',
+  authenticateToken,
+  requirePermission('points:manage'),
+  pointsController.deleteExpiryPolicy
+);
+
 // 虚拟商品管理
 router.get('/products',
   authenticateToken,
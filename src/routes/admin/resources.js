@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const ResourceController = require('../../controllers/resourceController');
+const ResourceReportController = require('../../controllers/resourceReportController');
 const { authenticateToken, requirePermission } = require('../../middleware/auth');
 const { clearResourceCache } = require('../../middleware/cacheMiddleware');
 const { logger } = require('../../utils/logger');
@@ -89,6 +90,39 @@ router.get('/pending',
   ResourceController.getPendingResources
 );
 
+// 资源举报队列
+router.get('/reports',
+  authenticateToken,
+  requirePermission('report:handle'),
+  ResourceReportController.getReports
+);
+
+router.get('/reports/:reportId',
+  authenticateToken,
+  requirePermission('report:handle'),
+  ResourceReportController.getReportById
+);
+
+router.patch('/reports/:reportId/assign',
+  authenticateToken,
+  requirePermission('report:handle'),
+  ResourceReportController.assignReport
+);
+
+// 解决举报（可下架/封禁资源，需清理资源缓存）
+router.post('/reports/:reportId/resolve',
+  authenticateToken,
+  requirePermission('report:handle'),
+  clearResourceCache,
+  ResourceReportController.resolveReport
+);
+
+router.post('/reports/:reportId/reject',
+  authenticateToken,
+  requirePermission('report:handle'),
+  ResourceReportController.rejectReport
+);
+
 // 获取详细统计信息
 router.get('/stats/detailed',
   authenticateToken,
@@ -29,6 +29,12 @@ router.post('/delete',
   rolePermissionController.deleteRole
 );
 
+// 设置角色的两步验证策略
+router.put('/:roleId/mfa-policy',
+  ...requireAdmin,
+  rolePermissionController.updateRoleMfaPolicy
+);
+
 // 角色权限管理路由
 router.get('/:roleId/permissions',
   ...requireAdmin,
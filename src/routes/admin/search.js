@@ -0,0 +1,25 @@
+/**
+ * 搜索管理路由
+ */
+
+const express = require('express');
+const { authenticateToken, requireRole } = require('../../middleware/auth');
+const {
+  getSearchIndexStatus,
+  rebuildSearchIndex,
+  getZeroResultReport,
+  getSearchTrends
+} = require('../../controllers/admin/searchController');
+
+const router = express.Router();
+
+// 所有搜索管理路由都需要管理员权限
+router.use(authenticateToken);
+router.use(requireRole('admin'));
+
+router.get('/index', getSearchIndexStatus);
+router.post('/index/rebuild', rebuildSearchIndex);
+router.get('/reports/zero-results', getZeroResultReport);
+router.get('/reports/trends', getSearchTrends);
+
+module.exports = router;
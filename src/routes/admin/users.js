@@ -32,6 +32,20 @@ router.get('/stats',
   userController.getUserStats
 );
 
+// 获取生效中的登录锁定列表（管理员功能）
+router.get('/lockouts',
+  authenticateToken,
+  requireRole('admin'),
+  userController.getLoginLockouts
+);
+
+// 解除指定登录锁定，含IP锁定（管理员功能）
+router.post('/lockouts/:lockoutId/unlock',
+  authenticateToken,
+  requireRole('admin'),
+  userController.releaseLoginLockout
+);
+
 // 根据ID获取用户详情（管理员功能）
 router.get('/:id',
   authenticateToken,
@@ -86,6 +100,13 @@ router.put('/:id/unfreeze',
   userController.unfreezeUser
 );
 
+// 解除用户账号登录锁定（管理员功能）
+router.post('/:id/unlock',
+  authenticateToken,
+  requireRole('admin'),
+  userController.unlockUser
+);
+
 // 重置用户密码（管理员功能）
 router.put('/:id/reset-password',
   authenticateToken,
@@ -93,6 +114,34 @@ router.put('/:id/reset-password',
   userController.resetUserPassword
 );
 
+// 获取用户登录会话列表（管理员功能）
+router.get('/:id/sessions',
+  authenticateToken,
+  requireRole('admin'),
+  userController.getUserSessions
+);
+
+// 强制下线用户全部会话（管理员功能）
+router.delete('/:id/sessions',
+  authenticateToken,
+  requireRole('admin'),
+  userController.revokeAllUserSessions
+);
+
+// 强制下线用户指定会话（管理员功能）
+router.delete('/:id/sessions/:sessionId',
+  authenticateToken,
+  requireRole('admin'),
+  userController.revokeUserSession
+);
+
+// 重置用户两步验证（管理员功能）
+router.delete('/:id/mfa',
+  authenticateToken,
+  requireRole('admin'),
+  userController.resetUserMfa
+);
+
 // 管理员更新用户资料（管理员功能）
 router.put('/:id/profile',
   authenticateToken,
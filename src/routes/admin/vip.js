@@ -33,6 +33,34 @@ router.post('/levels/:level/delete',
   vipController.deleteLevel
 );
 
+// VIP套餐管理
+// 获取VIP套餐列表
+router.get('/packages',
+  authenticateToken,
+  requirePermission('vip:package:read'),
+  vipController.adminGetPackages
+);
+
+// 创建VIP套餐
+router.post('/packages',
+  authenticateToken,
+  requirePermission('vip:package:create'),
+  vipController.createPackage
+);
+
+// 更新VIP套餐
+router.put('/packages/:id',
+  authenticateToken,
+  requirePermission('vip:package:update'),
+  vipController.updatePackage
+);
+
+// 删除（下架）VIP套餐
+router.post('/packages/:id/delete',
+  authenticateToken,
+  requirePermission('vip:package:delete'),
+  vipController.deletePackage
+);
 
 // VIP用户管理
 // 获取用户VIP信息
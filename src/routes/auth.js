@@ -7,6 +7,7 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
 const verificationController = require('../controllers/verificationController');
+const mfaController = require('../controllers/mfaController');
 const { authenticateToken } = require('../middleware/auth');
 
 // 用户注册
@@ -15,6 +16,9 @@ router.post('/register', authController.register);
 // 用户登录
 router.post('/login', authController.login);
 
+// 两步验证登录（使用登录返回的挑战令牌）
+router.post('/mfa/verify', authController.verifyMfa);
+
 // 刷新访问令牌
 router.post('/refresh', authController.refreshToken);
 
@@ -24,6 +28,18 @@ router.post('/logout', authController.logout);
 // 获取当前用户信息（需要认证）
 router.get('/profile', authenticateToken, authController.getProfile);
 
+// 登录会话（设备）管理（需要认证）
+router.get('/sessions', authenticateToken, authController.getSessions);
+router.delete('/sessions', authenticateToken, authController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', authenticateToken, authController.revokeSession);
+
+// 两步验证管理（需要认证）
+router.get('/mfa', authenticateToken, mfaController.getMfaStatus);
+router.post('/mfa/setup', authenticateToken, mfaController.setupMfa);
+router.post('/mfa/enable', authenticateToken, mfaController.enableMfa);
+router.post('/mfa/recovery-codes', authenticateToken, mfaController.regenerateRecoveryCodes);
+router.delete('/mfa', authenticateToken, mfaController.disableMfa);
+
 // 发送验证码
 router.post('/send-verification-code', verificationController.sendVerificationCode);
 
@@ -11,6 +11,7 @@ const CommunityBoardController = require('../controllers/communityBoardControlle
 const CommunityPostController = require('../controllers/communityPostController');
 const CommunityCommentController = require('../controllers/communityCommentController');
 const CommunityInteractionController = require('../controllers/communityInteractionController');
+const CommunityPunishmentController = require('../controllers/communityPunishmentController');
 
 // 导入中间件
 const { authenticateToken, requirePermission } = require('../middleware/auth');
@@ -23,6 +24,12 @@ const { postListCache, clearPostCache } = require('../middleware/cacheMiddleware
 // 获取板块列表
 router.get('/boards', CommunityBoardController.getBoards);
 
+// 获取我订阅的板块
+router.get('/boards/subscriptions',
+  authenticateToken,
+  CommunityBoardController.getSubscribedBoards
+);
+
 // 获取板块详情
 router.get('/boards/:id', CommunityBoardController.getBoardById);
 
@@ -74,6 +81,18 @@ router.post('/boards/:id/moderators',
   CommunityBoardController.addModerator
 );
 
+// 订阅板块
+router.post('/boards/:id/subscribe',
+  authenticateToken,
+  CommunityBoardController.subscribeBoard
+);
+
+// 取消订阅板块
+router.delete('/boards/:id/subscribe',
+  authenticateToken,
+  CommunityBoardController.unsubscribeBoard
+);
+
 // 移除版主 (需要管理员权限)
 router.delete('/boards/:id/moderators', 
   authenticateToken, 
@@ -261,6 +280,12 @@ router.get('/interactions/favorite/check',
   CommunityInteractionController.checkUserFavorite
 );
 
+// 获取当前用户生效中的处罚
+router.get('/punishments/me',
+  authenticateToken,
+  CommunityPunishmentController.getMyPunishments
+);
+
 // ================================
 // 管理员功能路由
 // ================================
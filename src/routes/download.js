@@ -26,6 +26,11 @@ router.get('/file/:resourceId',
   downloadController.downloadResourceFiles
 );
 
+// 使用一次性下载令牌跳转到真实下载地址（令牌已绑定用户和IP，无需登录态）
+router.get('/download/redirect/:token',
+  downloadController.redirectDownload
+);
+
 // 下载资源文件（按资源ID）
 router.get('/download/:resourceId',
   authenticateToken,
@@ -0,0 +1,16 @@
+/**
+ * 支付渠道回调路由
+ * 需要原始请求体验签，且回调请求不携带 Origin，须在CORS与全局请求体解析之前挂载
+ */
+
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+
+// 支付渠道异步通知
+router.post('/:provider',
+  express.raw({ type: '*/*', limit: '1mb' }),
+  paymentController.handleNotify
+);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+/**
+ * 在线支付路由
+ * 处理VIP套餐支付下单与订单查询；支付渠道回调路由在 app.js 中单独挂载
+ */
+
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { authenticateToken } = require('../middleware/auth');
+
+// 公开路由（无需认证）
+// 获取可用支付方式
+router.get('/providers', paymentController.getProviders);
+
+// 需要认证的路由
+// 创建支付订单
+router.post('/orders',
+  authenticateToken,
+  paymentController.createOrder
+);
+
+// 获取我的支付订单
+router.get('/orders',
+  authenticateToken,
+  paymentController.getMyOrders
+);
+
+// 获取支付订单详情（待支付订单会向渠道查单）
+router.get('/orders/:orderNo',
+  authenticateToken,
+  paymentController.getMyOrder
+);
+
+// 取消待支付订单
+router.post('/orders/:orderNo/cancel',
+  authenticateToken,
+  paymentController.cancelOrder
+);
+
+module.exports = router;
@@ -24,6 +24,13 @@ router.get('/my-records',
   pointsController.getMyPointsRecords
 );
 
+// 获取即将过期的积分
+router.get('/expiring',
+  authenticateToken,
+  requirePermission('points:read'),
+  pointsController.getMyExpiringPoints
+);
+
 // 获取可兑换虚拟商品列表
 router.get('/products',
   authenticateToken,
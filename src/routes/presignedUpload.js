@@ -20,4 +20,10 @@ router.post('/image', presignedUploadController.getImagePresignedUrl);
 // 获取头像上传预签名URL
 router.post('/avatar', presignedUploadController.getAvatarPresignedUrl);
 
+// 资源文件分片直传（资源作者或管理员）
+router.post('/resource-files/multipart', presignedUploadController.createResourceMultipartUpload);
+router.post('/resource-files/multipart/:sessionId/parts', presignedUploadController.getResourcePartUploadUrls);
+router.post('/resource-files/multipart/:sessionId/complete', presignedUploadController.completeResourceMultipartUpload);
+router.delete('/resource-files/multipart/:sessionId', presignedUploadController.abortResourceMultipartUpload);
+
 module.exports = router;
\ No newline at end of file
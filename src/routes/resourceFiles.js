@@ -9,6 +9,7 @@ const resourceFileController = require('../controllers/resourceFileController');
 const Resource = require('../models/Resource');
 const {
   authenticateToken,
+  optionalAuth,
   requirePermission
 } = require('../middleware/auth');
 
@@ -126,6 +127,26 @@ router.put('/resources/:resourceId/files/sort',
   resourceFileController.updateFileSort
 );
 
+// 获取资源版本历史（公开资源所有人可见）
+router.get('/resources/:resourceId/versions',
+  optionalAuth,
+  resourceFileController.getResourceVersions
+);
+
+// 发布资源新版本（作者和管理员）
+router.post('/resources/:resourceId/versions',
+  authenticateToken,
+  checkResourcePermission,
+  resourceFileController.publishResourceVersion
+);
+
+// 弃用历史版本（作者和管理员）
+router.post('/resources/:resourceId/versions/:versionId/deprecate',
+  authenticateToken,
+  checkResourcePermission,
+  resourceFileController.deprecateResourceVersion
+);
+
 // 更新资源文件（作者和管理员）
 router.put('/resource-files/:fileId',
   authenticateToken,
@@ -7,6 +7,8 @@ const express = require('express');
 const router = express.Router();
 const ResourceController = require('../controllers/resourceController');
 const FrontendContentController = require('../controllers/frontendContentController');
+const ResourceReportController = require('../controllers/resourceReportController');
+const ResourceRevisionController = require('../controllers/resourceRevisionController');
 const { authenticateToken, requirePermission, optionalAuth } = require('../middleware/auth');
 const { resourceListCache, resourceDetailCache, statsCache, clearResourceCache } = require('../middleware/cacheMiddleware');
 const { logger } = require('../utils/logger');
@@ -22,6 +24,9 @@ router.get('/frontend', FrontendContentController.getRandomVideoResources);
 // 热门资源
 router.get('/hot', optionalAuth, ResourceController.getHotResources);
 
+// 个性化推荐资源
+router.get('/recommended', authenticateToken, ResourceController.getRecommendedResources);
+
 // 获取单个资源详情（添加缓存）
 router.get('/:id', optionalAuth, resourceDetailCache, ResourceController.getResource);
 
@@ -63,12 +68,63 @@ router.post('/:id/like',
   ResourceController.toggleLike
 );
 
+// 相关资源
+router.get('/:id/related',
+  optionalAuth,
+  ResourceController.getRelatedResources
+);
+
 // 获取资源点赞列表
 router.get('/:id/likes',
   optionalAuth,
   ResourceController.getResourceLikes
 );
 
+// 修订历史、差异比较与恢复（权限在控制器中检查）
+router.get('/:id/revisions',
+  authenticateToken,
+  ResourceRevisionController.getRevisions
+);
+
+router.get('/:id/revisions/:revisionId',
+  authenticateToken,
+  ResourceRevisionController.getRevision
+);
+
+router.get('/:id/revisions/:revisionId/diff',
+  authenticateToken,
+  ResourceRevisionController.diffRevision
+);
+
+router.post('/:id/revisions/:revisionId/restore',
+  authenticateToken,
+  clearResourceCache, // 恢复时清除缓存
+  ResourceRevisionController.restoreRevision
+);
+
+// 编辑中的自动保存
+router.get('/:id/autosave',
+  authenticateToken,
+  ResourceRevisionController.getAutosave
+);
+
+router.put('/:id/autosave',
+  authenticateToken,
+  ResourceRevisionController.saveAutosave
+);
+
+router.delete('/:id/autosave',
+  authenticateToken,
+  ResourceRevisionController.discardAutosave
+);
+
+// 举报资源
+router.post('/:id/report',
+  authenticateToken,
+  requirePermission('report:create'),
+  ResourceReportController.reportResource
+);
+
 // 注意：下载功能已迁移到 /api/admin/resources/:id/files 和 /api/user/download/:fileId
 
 module.exports = router;
@@ -1,12 +1,15 @@
 /**
- * 搜索统计路由
+ * 搜索路由
  */
 
 const express = require('express');
 const SearchController = require('../controllers/searchController');
+const { optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
+router.get('/', optionalAuth, SearchController.search);
+router.get('/suggest', SearchController.suggest);
 router.get('/hot', SearchController.getHotSearches);
 
 module.exports = router;
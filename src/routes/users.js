@@ -68,6 +68,12 @@ router.get('/following',
   userFollowController.getFollowing
 );
 
+// 我的动态
+router.get('/feed',
+  authenticateToken,
+  userFollowController.getFeed
+);
+
 // 创作者统计
 router.get('/creator/stats',
   authenticateToken,
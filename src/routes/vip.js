@@ -15,6 +15,9 @@ router.get('/levels', vipController.getAllLevels);
 // 获取指定VIP等级配置
 router.get('/levels/:level', vipController.getLevelById);
 
+// 获取可购买的VIP套餐
+router.get('/packages', vipController.getPackages);
+
 // 需要认证的路由
 // 获取当前用户VIP信息
 router.get('/my-info',
@@ -23,6 +26,12 @@ router.get('/my-info',
   vipController.getMyVIPInfo
 );
 
+// 使用积分购买VIP套餐
+router.post('/packages/:id/purchase',
+  authenticateToken,
+  vipController.purchasePackage
+);
+
 // 注意：VIP订单查询已迁移到 /api/card-orders/my-orders
 // 请使用新的卡密兑换订单记录接口
 
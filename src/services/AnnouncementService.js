@@ -0,0 +1,479 @@
+/**
+ * 系统公告业务逻辑服务
+ * 公告经草稿、提交审核、审核通过（发布）后进入发送队列，由定时任务按投放人群分块写入系统通知；
+ * 周期公告每次发送后计算下次发送时间，直至取消或超过周期结束时间
+ */
+
+const moment = require('moment-timezone');
+const BaseService = require('./BaseService');
+const NotificationService = require('./NotificationService');
+const Announcement = require('../models/Announcement');
+
+// 每块投放的用户数
+const DELIVERY_CHUNK_SIZE = 500;
+
+// 发送中的公告超过该时长未续期视为发送中断（每块投放后续期）
+const SENDING_LEASE_MINUTES = 15;
+
+const RECURRENCE_UNITS = {
+  daily: 'days',
+  weekly: 'weeks',
+  monthly: 'months'
+};
+
+class AnnouncementService extends BaseService {
+  constructor() {
+    super();
+  }
+
+  /**
+   * 获取公告，不存在时抛出错误
+   * @param {number} id
+   * @returns {Promise<Object>}
+   */
+  async findAnnouncementOrFail(id) {
+    const announcement = await Announcement.findById(id);
+    if (!announcement) {
+      throw new Error('公告不存在');
+    }
+
+    return announcement;
+  }
+
+  /**
+   * 管理端 - 获取公告列表
+   * @param {Object} [filters]
+   */
+  async getAnnouncements(filters = {}) {
+    return this.withPerformanceMonitoring('getAnnouncements', async () => {
+      try {
+        const { page, limit } = this.normalizePaginationParams(filters.page, filters.limit);
+
+        const result = await Announcement.findAll({
+          status: filters.status || null,
+          page,
+          limit
+        });
+
+        return this.formatSuccessResponse(result, '获取公告列表成功');
+
+      } catch (error) {
+        this.handleError(error, 'getAnnouncements');
+      }
+    });
+  }
+
+  /**
+   * 管理端 - 获取公告详情，含投放记录与阅读统计
+   * @param {number} id
+   */
+  async getAnnouncement(id) {
+    return this.withPerformanceMonitoring('getAnnouncement', async () => {
+      try {
+        const announcement = await this.findAnnouncementOrFail(id);
+
+        const [deliveries, stats] = await Promise.all([
+          Announcement.findDeliveries(id),
+          Announcement.getReadStats(id)
+        ]);
+
+        return this.formatSuccessResponse({
+          ...announcement,
+          stats,
+          deliveries
+        }, '获取公告详情成功');
+
+      } catch (error) {
+        this.handleError(error, 'getAnnouncement');
+      }
+    });
+  }
+
+  /**
+   * 预估投放人群人数
+   * @param {Object} audience - 已校验的投放人群
+   */
+  async previewAudience(audience) {
+    return this.withPerformanceMonitoring('previewAudience', async () => {
+      try {
+        const total = await Announcement.countAudience(audience);
+        return this.formatSuccessResponse({ audience, total }, '获取投放人数成功');
+
+      } catch (error) {
+        this.handleError(error, 'previewAudience');
+      }
+    });
+  }
+
+  /**
+   * 创建公告草稿
+   * @param {Object} data - 已校验的公告字段
+   * @param {number} operatorId
+   */
+  async createAnnouncement(data, operatorId) {
+    return this.withPerformanceMonitoring('createAnnouncement', async () => {
+      try {
+        this.validateRequired(data, ['title', 'content']);
+
+        const announcement = await Announcement.create(data, operatorId);
+        return this.formatSuccessResponse(announcement, '公告草稿已创建');
+
+      } catch (error) {
+        this.handleError(error, 'createAnnouncement');
+      }
+    });
+  }
+
+  /**
+   * 编辑公告，仅草稿、已驳回或发送失败的公告可编辑，编辑后需重新提交审核
+   * @param {number} id
+   * @param {Object} data - 已校验的公告字段
+   * @param {number} operatorId
+   */
+  async updateAnnouncement(id, data, operatorId) {
+    return this.withPerformanceMonitoring('updateAnnouncement', async () => {
+      try {
+        await this.findAnnouncementOrFail(id);
+
+        const announcement = await Announcement.update(id, data, operatorId);
+        if (!announcement) {
+          throw new Error('当前状态的公告不可编辑');
+        }
+
+        return this.formatSuccessResponse(announcement, '公告已更新');
+
+      } catch (error) {
+        this.handleError(error, 'updateAnnouncement');
+      }
+    });
+  }
+
+  /**
+   * 删除从未发送过的草稿公告
+   * @param {number} id
+   */
+  async deleteAnnouncement(id) {
+    return this.withPerformanceMonitoring('deleteAnnouncement', async () => {
+      try {
+        await this.findAnnouncementOrFail(id);
+
+        const announcement = await Announcement.delete(id);
+        if (!announcement) {
+          throw new Error('只能删除未发送过的草稿公告');
+        }
+
+        return this.formatSuccessResponse(announcement, '公告已删除');
+
+      } catch (error) {
+        this.handleError(error, 'deleteAnnouncement');
+      }
+    });
+  }
+
+  /**
+   * 提交审核
+   * @param {number} id
+   * @param {number} operatorId
+   */
+  async submitAnnouncement(id, operatorId) {
+    return this.withPerformanceMonitoring('submitAnnouncement', async () => {
+      try {
+        const current = await this.findAnnouncementOrFail(id);
+
+        if (current.recurrence !== 'none' && current.recurrence_end_at && current.scheduled_at
+          && new Date(current.recurrence_end_at) <= new Date(current.scheduled_at)) {
+          throw new Error('周期结束时间必须晚于首次发送时间');
+        }
+
+        const announcement = await Announcement.transition(id, Announcement.EDITABLE_STATUSES, 'pending_review', {
+          submitted_at: new Date(),
+          review_note: null,
+          updated_by: operatorId
+        });
+
+        if (!announcement) {
+          throw new Error('只有草稿或被驳回的公告可以提交审核');
+        }
+
+        return this.formatSuccessResponse(announcement, '公告已提交审核');
+
+      } catch (error) {
+        this.handleError(error, 'submitAnnouncement');
+      }
+    });
+  }
+
+  /**
+   * 审核通过并发布：未设置发送时间或发送时间已过的公告立即进入发送队列
+   * @param {number} id
+   * @param {number} reviewerId
+   * @param {string} [note]
+   */
+  async approveAnnouncement(id, reviewerId, note = null) {
+    return this.withPerformanceMonitoring('approveAnnouncement', async () => {
+      try {
+        const current = await this.findAnnouncementOrFail(id);
+        const now = new Date();
+        const firstRunAt = current.scheduled_at && new Date(current.scheduled_at) > now
+          ? new Date(current.scheduled_at)
+          : now;
+
+        if (current.recurrence_end_at && new Date(current.recurrence_end_at) <= firstRunAt) {
+          throw new Error('周期结束时间已过，请修改后重新提交');
+        }
+
+        const announcement = await Announcement.transition(id, ['pending_review'], 'scheduled', {
+          // 周期公告以首次发送时间为基准推算后续发送时间
+          scheduled_at: current.scheduled_at || now,
+          next_run_at: firstRunAt,
+          reviewed_by: reviewerId,
+          reviewed_at: now,
+          review_note: note,
+          last_error: null
+        });
+
+        if (!announcement) {
+          throw new Error('只有待审核的公告可以审核');
+        }
+
+        this.log('info', '系统公告已发布', { announcementId: id, reviewerId, nextRunAt: firstRunAt });
+
+        return this.formatSuccessResponse(announcement, firstRunAt > now ? '公告已发布，将按计划时间发送' : '公告已发布，即将开始发送');
+
+      } catch (error) {
+        this.handleError(error, 'approveAnnouncement');
+      }
+    });
+  }
+
+  /**
+   * 驳回公告
+   * @param {number} id
+   * @param {number} reviewerId
+   * @param {string} note - 驳回原因
+   */
+  async rejectAnnouncement(id, reviewerId, note) {
+    return this.withPerformanceMonitoring('rejectAnnouncement', async () => {
+      try {
+        await this.findAnnouncementOrFail(id);
+
+        const announcement = await Announcement.transition(id, ['pending_review'], 'rejected', {
+          reviewed_by: reviewerId,
+          reviewed_at: new Date(),
+          review_note: note
+        });
+
+        if (!announcement) {
+          throw new Error('只有待审核的公告可以审核');
+        }
+
+        return this.formatSuccessResponse(announcement, '公告已驳回');
+
+      } catch (error) {
+        this.handleError(error, 'rejectAnnouncement');
+      }
+    });
+  }
+
+  /**
+   * 取消公告，周期公告取消后不再发送
+   * @param {number} id
+   * @param {number} operatorId
+   */
+  async cancelAnnouncement(id, operatorId) {
+    return this.withPerformanceMonitoring('cancelAnnouncement', async () => {
+      try {
+        await this.findAnnouncementOrFail(id);
+
+        const announcement = await Announcement.transition(id, ['draft', 'pending_review', 'rejected', 'scheduled', 'failed'], 'cancelled', {
+          next_run_at: null,
+          updated_by: operatorId
+        });
+
+        if (!announcement) {
+          throw new Error('当前状态的公告不可取消');
+        }
+
+        return this.formatSuccessResponse(announcement, '公告已取消');
+
+      } catch (error) {
+        this.handleError(error, 'cancelAnnouncement');
+      }
+    });
+  }
+
+  /**
+   * 计算周期公告的下次发送时间
+   * 以首次发送时间为基准按周期推算，跳过已错过的时间点，避免按月推算时日期逐次漂移
+   * @param {Object} announcement
+   * @returns {Date|null} 非周期公告或已超过周期结束时间时返回 null
+   */
+  computeNextRun(announcement) {
+    const unit = RECURRENCE_UNITS[announcement.recurrence];
+    if (!unit) {
+      return null;
+    }
+
+    const anchor = moment(announcement.scheduled_at).tz('Asia/Shanghai');
+    const now = moment();
+    let step = Math.max(announcement.run_count, 0) + 1;
+    let next = anchor.clone().add(step, unit);
+
+    while (!next.isAfter(now)) {
+      step++;
+      next = anchor.clone().add(step, unit);
+    }
+
+    if (announcement.recurrence_end_at && next.isAfter(moment(announcement.recurrence_end_at))) {
+      return null;
+    }
+
+    return next.toDate();
+  }
+
+  /**
+   * 发送一次公告
+   * 按用户ID分块查询投放人群，每块写入系统通知后再查询下一块；有通知写入失败时本次发送记为失败
+   * @param {Object} announcement - 已领取（发送中）的公告
+   * @returns {Promise<Object>} 更新后的公告
+   */
+  async deliverAnnouncement(announcement) {
+    const runNo = announcement.run_count + 1;
+    const delivery = await Announcement.createDelivery(announcement.id, runNo);
+    let recipients = 0;
+    let chunks = 0;
+
+    try {
+      let afterId = 0;
+
+      while (true) {
+        const userIds = await Announcement.findAudienceChunk(announcement.audience, afterId, DELIVERY_CHUNK_SIZE);
+        if (userIds.length === 0) {
+          break;
+        }
+
+        const created = await NotificationService.createBatchNotifications(userIds.map(userId => ({
+          user_id: userId,
+          type: NotificationService.TYPES.SYSTEM_ANNOUNCEMENT,
+          title: announcement.title,
+          content: announcement.content,
+          related_type: 'announcement',
+          related_id: announcement.id,
+          sender_id: null
+        })));
+
+        recipients += created;
+        chunks++;
+        await Announcement.renewClaim(announcement.id);
+
+        if (created < userIds.length) {
+          throw new Error(`${userIds.length - created} 条通知写入失败`);
+        }
+
+        afterId = userIds[userIds.length - 1];
+
+        if (userIds.length < DELIVERY_CHUNK_SIZE) {
+          break;
+        }
+      }
+
+      await Announcement.finishDelivery(delivery.id, { status: 'completed', recipients, chunks });
+
+      const nextRunAt = this.computeNextRun(announcement);
+      const updated = await Announcement.finishRun(announcement.id, {
+        status: nextRunAt ? 'scheduled' : 'completed',
+        nextRunAt
+      });
+
+      this.log('info', '系统公告发送完成', {
+        announcementId: announcement.id,
+        runNo,
+        recipients,
+        chunks,
+        nextRunAt
+      });
+
+      return updated;
+
+    } catch (error) {
+      await Announcement.finishDelivery(delivery.id, {
+        status: 'failed',
+        recipients,
+        chunks,
+        errorMessage: error.message
+      });
+
+      this.log('error', '系统公告发送失败', { announcementId: announcement.id, runNo, error: error.message });
+
+      return Announcement.finishRun(announcement.id, {
+        status: 'failed',
+        lastError: error.message
+      });
+    }
+  }
+
+  /**
+   * 回收发送中断的公告
+   * 已写入的通知无法确定范围，不重新发送本次投放，避免重复通知：本次投放记为失败，
+   * 周期公告按计划继续下次发送，单次公告标记为失败
+   * @returns {Promise<number>} 回收数量
+   */
+  async recoverStaleDeliveries() {
+    const announcements = await Announcement.claimStale(SENDING_LEASE_MINUTES);
+    const errorMessage = '发送中断：超过租约时间未完成';
+
+    for (const announcement of announcements) {
+      await Announcement.failRunningDeliveries(announcement.id, errorMessage);
+
+      const nextRunAt = this.computeNextRun(announcement);
+      await Announcement.finishRun(announcement.id, {
+        status: nextRunAt ? 'scheduled' : 'failed',
+        nextRunAt,
+        lastError: errorMessage
+      });
+
+      this.log('warn', '系统公告发送中断，已回收', {
+        announcementId: announcement.id,
+        runNo: announcement.run_count + 1,
+        nextRunAt
+      });
+    }
+
+    return announcements.length;
+  }
+
+  /**
+   * 发送到期的公告（定时任务调用）
+   * @param {Object} [options]
+   * @param {number} [options.limit=5] - 单次领取的公告上限
+   * @returns {Promise<{claimed: number, completed: number, failed: number, recovered: number}>}
+   */
+  async dispatchDueAnnouncements({ limit = 5 } = {}) {
+    return this.withPerformanceMonitoring('dispatchDueAnnouncements', async () => {
+      try {
+        const recovered = await this.recoverStaleDeliveries();
+        const announcements = await Announcement.claimDue(limit);
+        let failed = 0;
+
+        for (const announcement of announcements) {
+          const result = await this.deliverAnnouncement(announcement);
+          if (result.status === 'failed') {
+            failed++;
+          }
+        }
+
+        return {
+          claimed: announcements.length,
+          completed: announcements.length - failed,
+          failed,
+          recovered
+        };
+
+      } catch (error) {
+        this.handleError(error, 'dispatchDueAnnouncements');
+      }
+    });
+  }
+}
+
+module.exports = new AnnouncementService();
@@ -5,6 +5,7 @@
 
 const BaseService = require('./BaseService');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { checkPasswordStrength } = require('../utils/password');
@@ -194,16 +195,19 @@ class AuthService extends BaseService {
 
   /**
    * 用户登出
+   * 指定会话时只撤销该会话，否则撤销用户的全部会话
    */
-  async logout(userId) {
+  async logout(userId, sessionId = null) {
     return this.withPerformanceMonitoring('logout', async () => {
       try {
         this.validateRequired({ userId }, ['userId']);
 
-        // 这里可以实现令牌黑名单机制
-        // 目前简单记录登出日志
-        
-        this.log('info', '用户登出', { userId });
+        const reason = RefreshToken.REVOKE_REASONS.LOGOUT;
+        const revoked = sessionId
+          ? await RefreshToken.revokeSession(sessionId, reason, userId)
+          : await RefreshToken.revokeAllForUser(userId, reason);
+
+        this.log('info', '用户登出', { userId, sessionId, revoked });
 
         return this.formatSuccessResponse(null, '登出成功');
 
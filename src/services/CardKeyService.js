@@ -334,8 +334,9 @@ class CardKeyService extends BaseService {
     await Points.addPoints(userId, {
       points,
       source: 'cardkey',
-      description: `卡密兑换获得 ${points} 积分`
-    }, client);
+      description: `卡密兑换获得 ${points} 积分`,
+      client
+    });
 
     return { type: 'points', value: points };
   }
@@ -7,6 +7,16 @@ const BaseService = require('./BaseService');
 const Checkin = require('../models/Checkin');
 const User = require('../models/User');
 const Points = require('../models/Points');
+const PointsService = require('./PointsService');
+
+/**
+ * 签到日期（本地日期），用于积分账本幂等键
+ */
+const formatLedgerDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
 
 class CheckinService extends BaseService {
   constructor() {
@@ -54,11 +64,16 @@ class CheckinService extends BaseService {
 
           // 发放积分奖励
           if (reward.points > 0) {
-            await Points.addPoints(userId, {
+            await PointsService.postLedgerEntry(userId, {
               points: reward.points,
+              type: 'earn',
               source: 'checkin',
-              description: `签到奖励 - 连续${continuousDays + 1}天`
-            }, client);
+              description: `签到奖励 - 连续${continuousDays + 1}天`,
+              reference_id: checkinRecord.id,
+              reference_type: 'checkin',
+              idempotencyKey: `checkin:${userId}:${formatLedgerDate(today)}`,
+              client
+            });
           }
 
           // 处理特殊奖励
@@ -73,7 +88,10 @@ class CheckinService extends BaseService {
         });
 
         // 清除相关缓存
-        await this.clearCheckinCache(userId);
+        await Promise.all([
+          this.clearCheckinCache(userId),
+          PointsService.clearPointsCache(userId)
+        ]);
 
         this.log('info', '用户签到成功', { 
           userId, 
@@ -135,11 +153,14 @@ class CheckinService extends BaseService {
           }
 
           // 扣除积分
-          await Points.deductPoints(userId, {
-            points: makeupCost,
+          await PointsService.postLedgerEntry(userId, {
+            points: -makeupCost,
+            type: 'spend',
             source: 'makeup_checkin',
-            description: `补签消耗 - ${target.toISOString().split('T')[0]}`
-          }, client);
+            description: `补签消耗 - ${target.toISOString().split('T')[0]}`,
+            idempotencyKey: `makeup_checkin:${userId}:${formatLedgerDate(target)}`,
+            client
+          });
 
           // 重新计算连续天数
           const continuousDays = await this.calculateContinuousDaysForMakeup(userId, target);
@@ -161,7 +182,10 @@ class CheckinService extends BaseService {
         });
 
         // 清除相关缓存
-        await this.clearCheckinCache(userId);
+        await Promise.all([
+          this.clearCheckinCache(userId),
+          PointsService.clearPointsCache(userId)
+        ]);
 
         this.log('info', '用户补签成功', { 
           userId, 
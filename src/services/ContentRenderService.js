@@ -0,0 +1,93 @@
+/**
+ * 内容渲染业务逻辑服务
+ * 新增和编辑内容时由模型直接渲染；本服务负责补齐历史数据以及渲染规则升级后的重新渲染
+ */
+
+const BaseService = require('./BaseService');
+const RenderedContent = require('../models/RenderedContent');
+const { CONTENT_RENDER_VERSION, CONTENT_TARGETS, renderColumns } = require('../utils/contentPipeline');
+
+const BATCH_SIZE = 200;
+
+// 单次执行每种内容最多处理的批次数，避免长时间占用连接
+const MAX_BATCHES_PER_RUN = 25;
+
+class ContentRenderService extends BaseService {
+  constructor() {
+    super();
+    // 所有内容都已是当前版本后不再扫描；内容修改时由模型渲染，不会产生新的待渲染数据
+    this.completedVersion = null;
+  }
+
+  /**
+   * 重新渲染一种内容中缓存缺失或版本过旧的记录
+   * @param {string} target - CONTENT_TARGETS 中的键
+   * @returns {Promise<Object>} { rendered, remaining }
+   */
+  async renderStaleTarget(target) {
+    let rendered = 0;
+    let afterId = 0;
+
+    for (let batch = 0; batch < MAX_BATCHES_PER_RUN; batch++) {
+      const rows = await RenderedContent.findStale(target, CONTENT_RENDER_VERSION, afterId, BATCH_SIZE);
+
+      for (const row of rows) {
+        try {
+          const columns = renderColumns(target, row.content, row.format);
+          if (await RenderedContent.saveRendered(target, row.id, row.content, columns)) {
+            rendered++;
+          }
+        } catch (error) {
+          this.log('error', '内容渲染失败', { target, id: row.id, error: error.message });
+        }
+      }
+
+      if (rows.length < BATCH_SIZE) {
+        return { rendered, remaining: false };
+      }
+
+      afterId = rows[rows.length - 1].id;
+    }
+
+    return { rendered, remaining: true };
+  }
+
+  /**
+   * 重新渲染所有内容中缓存缺失或版本过旧的记录
+   * @returns {Promise<Object>} 各类内容的渲染数量
+   */
+  async renderStaleContent() {
+    return this.withPerformanceMonitoring('renderStaleContent', async () => {
+      try {
+        if (this.completedVersion === CONTENT_RENDER_VERSION) {
+          return { rendered: 0 };
+        }
+
+        const summary = { rendered: 0 };
+        let remaining = false;
+
+        for (const target of Object.keys(CONTENT_TARGETS)) {
+          const result = await this.renderStaleTarget(target);
+          summary[target] = result.rendered;
+          summary.rendered += result.rendered;
+          remaining = remaining || result.remaining;
+        }
+
+        if (!remaining) {
+          this.completedVersion = CONTENT_RENDER_VERSION;
+        }
+
+        if (summary.rendered > 0) {
+          this.log('info', '内容渲染缓存已更新', summary);
+        }
+
+        return summary;
+
+      } catch (error) {
+        this.handleError(error, 'renderStaleContent');
+      }
+    });
+  }
+}
+
+module.exports = new ContentRenderService();
@@ -0,0 +1,192 @@
+/**
+ * 个人动态业务逻辑服务
+ * 动态在读取时合并关注用户与订阅版块的内容（读扩散），不额外写入收件箱；
+ * 创作者开启发布通知后，新资源或帖子发布时分块通知其粉丝
+ */
+
+const BaseService = require('./BaseService');
+const NotificationService = require('./NotificationService');
+const ActivityFeed = require('../models/ActivityFeed');
+const UserFollow = require('../models/UserFollow');
+const User = require('../models/User');
+
+// 每块通知的粉丝数
+const NOTIFY_CHUNK_SIZE = 500;
+
+const PUBLISH_TARGETS = {
+  resource: {
+    type: NotificationService.TYPES.RESOURCE_FOLLOWING_PUBLISH,
+    label: '资源'
+  },
+  community_post: {
+    type: NotificationService.TYPES.COMMUNITY_FOLLOWING_POST,
+    label: '帖子'
+  }
+};
+
+class FeedService extends BaseService {
+  constructor() {
+    super();
+  }
+
+  /**
+   * 编码分页游标
+   * @param {Object} item - 动态条目
+   * @returns {string}
+   */
+  encodeCursor(item) {
+    const payload = {
+      t: new Date(item.activity_at).toISOString(),
+      k: item.kind,
+      id: item.id
+    };
+
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  /**
+   * 解析分页游标
+   * @param {string} cursor
+   * @returns {Object|null}
+   */
+  decodeCursor(cursor) {
+    if (!cursor) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error('分页游标无效');
+    }
+
+    const id = parseInt(payload?.id, 10);
+    if (!payload || Number.isNaN(Date.parse(payload.t)) || !ActivityFeed.KINDS.includes(payload.k) || !(id > 0)) {
+      throw new Error('分页游标无效');
+    }
+
+    return { t: payload.t, k: payload.k, id };
+  }
+
+  /**
+   * 获取当前用户的动态
+   * @param {number} userId
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - 上一页返回的 next_cursor
+   * @param {number} [options.limit=20]
+   */
+  async getFeed(userId, { cursor = null, limit } = {}) {
+    return this.withPerformanceMonitoring('getFeed', async () => {
+      try {
+        this.validateRequired({ userId }, ['userId']);
+
+        const { limit: pageSize } = this.normalizePaginationParams(1, limit);
+        const rows = await ActivityFeed.findForUser(userId, {
+          cursor: this.decodeCursor(cursor),
+          limit: pageSize
+        });
+
+        const hasMore = rows.length > pageSize;
+        const items = hasMore ? rows.slice(0, pageSize) : rows;
+
+        return this.formatSuccessResponse({
+          items,
+          next_cursor: hasMore ? this.encodeCursor(items[items.length - 1]) : null,
+          has_more: hasMore
+        }, '获取动态成功');
+
+      } catch (error) {
+        this.handleError(error, 'getFeed');
+      }
+    });
+  }
+
+  /**
+   * 新资源或帖子发布时通知粉丝
+   * 同一目标只通知一次；notify 未指定时按作者的 notify_followers_on_publish 设置决定
+   * @param {Object} params
+   * @param {number} params.authorId
+   * @param {string} params.targetType - resource/community_post
+   * @param {number} params.targetId
+   * @param {string} params.title
+   * @param {boolean} [params.notify] - 本次发布是否通知粉丝，覆盖作者设置
+   * @returns {Promise<number>} 成功写入通知的粉丝数
+   */
+  async notifyFollowersOfPublish({ authorId, targetType, targetId, title, notify }) {
+    const target = PUBLISH_TARGETS[targetType];
+    if (!target || !authorId || !targetId) {
+      return 0;
+    }
+
+    const author = await User.findById(authorId);
+    if (!author) {
+      return 0;
+    }
+
+    const enabled = typeof notify === 'boolean' ? notify : Boolean(author.notify_followers_on_publish);
+    if (!enabled) {
+      return 0;
+    }
+
+    const claim = await ActivityFeed.claimPublishNotification({ authorId, targetType, targetId });
+    if (!claim) {
+      return 0;
+    }
+
+    const authorName = author.nickname || author.username;
+    let recipients = 0;
+    let afterId = 0;
+
+    while (true) {
+      const followerIds = await UserFollow.getFollowerIdsAfter(authorId, afterId, NOTIFY_CHUNK_SIZE);
+      if (followerIds.length === 0) {
+        break;
+      }
+
+      // 逐块等待写入，避免粉丝较多时同时排队大量插入占满连接池
+      const created = await NotificationService.createBatchNotifications(followerIds.map(followerId => ({
+        user_id: followerId,
+        type: target.type,
+        title: `${authorName} 发布了新${target.label}`,
+        content: title,
+        related_type: targetType,
+        related_id: targetId,
+        sender_id: authorId
+      })));
+
+      recipients += created;
+      afterId = followerIds[followerIds.length - 1];
+
+      if (followerIds.length < NOTIFY_CHUNK_SIZE) {
+        break;
+      }
+    }
+
+    await ActivityFeed.finishPublishNotification(claim.id, recipients);
+
+    this.log('info', '发布通知已发送给粉丝', { authorId, targetType, targetId, recipients });
+
+    return recipients;
+  }
+
+  /**
+   * 异步通知粉丝，不阻塞发布流程
+   * @param {Object} params - 见 notifyFollowersOfPublish
+   */
+  notifyFollowersOfPublishAsync(params) {
+    setImmediate(async () => {
+      try {
+        await this.notifyFollowersOfPublish(params);
+      } catch (error) {
+        this.log('error', '发布通知粉丝失败', {
+          targetType: params.targetType,
+          targetId: params.targetId,
+          error: error.message
+        });
+      }
+    });
+  }
+}
+
+module.exports = new FeedService();
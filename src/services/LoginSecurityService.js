@@ -0,0 +1,243 @@
+/**
+ * 登录安全业务逻辑服务
+ * 基于 user_login_logs 的失败记录按账号与IP逐级锁定，并识别新设备/新IP登录后邮件提醒
+ */
+
+const BaseService = require('./BaseService');
+const LoginLockout = require('../models/LoginLockout');
+const SystemSetting = require('../models/SystemSetting');
+const AuditLog = require('../models/AuditLog');
+const { parseUserAgent, getDeviceName } = require('../utils/deviceInfo');
+const { sendNewLoginAlert } = require('../utils/emailService');
+
+// 锁定期间被拒绝的登录写入登录日志时使用的原因，不计入失败次数
+const LOCKED_FAILURE_REASON = '登录已锁定';
+
+class LoginSecurityService extends BaseService {
+  constructor() {
+    super();
+  }
+
+  get LOCKED_FAILURE_REASON() {
+    return LOCKED_FAILURE_REASON;
+  }
+
+  /**
+   * 检查账号标识或IP是否处于锁定中
+   * @param {Object} params
+   * @param {string} params.identifier - 登录标识（邮箱）
+   * @param {string} params.ipAddress - 客户端IP
+   * @returns {Promise<Object|null>} 生效中的锁定（IP优先），未锁定返回null
+   */
+  async getActiveLock({ identifier, ipAddress }) {
+    const policy = await SystemSetting.getLoginSecurityPolicy();
+    if (!policy.enabled) {
+      return null;
+    }
+
+    if (ipAddress) {
+      const ipLock = await LoginLockout.findActive(LoginLockout.SCOPES.IP, ipAddress);
+      if (ipLock) {
+        return ipLock;
+      }
+    }
+
+    if (identifier) {
+      return LoginLockout.findActive(LoginLockout.SCOPES.ACCOUNT, identifier);
+    }
+
+    return null;
+  }
+
+  /**
+   * 登录失败后评估是否需要锁定（失败日志需已写入）
+   * @param {Object} params
+   * @param {string} params.identifier - 登录标识（邮箱）
+   * @param {string} params.ipAddress - 客户端IP
+   * @param {number} [params.userId] - 已识别的用户
+   * @returns {Promise<Object|null>} 新建的锁定，未触发返回null
+   */
+  async recordFailure({ identifier, ipAddress, userId = null }) {
+    return this.withPerformanceMonitoring('recordFailure', async () => {
+      const policy = await SystemSetting.getLoginSecurityPolicy();
+      if (!policy.enabled) {
+        return null;
+      }
+
+      const targets = [
+        { scope: LoginLockout.SCOPES.IP, key: ipAddress, threshold: policy.ip_max_failures, userId: null },
+        { scope: LoginLockout.SCOPES.ACCOUNT, key: identifier, threshold: policy.account_max_failures, userId }
+      ];
+
+      for (const target of targets) {
+        if (!target.key) {
+          continue;
+        }
+
+        const lock = await this.evaluateLock(target, policy);
+        if (lock) {
+          return lock;
+        }
+      }
+
+      return null;
+    });
+  }
+
+  async evaluateLock({ scope, key, threshold, userId }, policy) {
+    const failures = await LoginLockout.countRecentFailures(scope, key, {
+      windowMinutes: policy.failure_window_minutes,
+      excludeReason: LOCKED_FAILURE_REASON
+    });
+
+    if (failures < threshold) {
+      return null;
+    }
+
+    const previousLocks = await LoginLockout.countRecentLockouts(scope, key, policy.escalation_reset_hours);
+    const lockLevel = previousLocks + 1;
+    const lockMinutes = Math.min(
+      policy.lockout_minutes * (policy.lockout_multiplier ** previousLocks),
+      policy.max_lockout_minutes
+    );
+
+    const lock = await LoginLockout.create({
+      scope,
+      key,
+      userId,
+      lockLevel,
+      failureCount: failures,
+      lockMinutes
+    });
+
+    this.log('warn', '登录失败次数过多，已锁定', {
+      scope,
+      key: lock.scope_key,
+      lockLevel,
+      failures,
+      lockedUntil: lock.locked_until
+    });
+
+    await AuditLog.createSystemLog({
+      operatorId: null,
+      targetType: scope === LoginLockout.SCOPES.ACCOUNT ? 'user' : 'ip',
+      targetId: scope === LoginLockout.SCOPES.ACCOUNT ? userId : lock.scope_key,
+      action: 'login_lockout',
+      summary: `登录失败${failures}次，${scope === LoginLockout.SCOPES.ACCOUNT ? '账号' : 'IP'}锁定${Math.round(lockMinutes)}分钟`,
+      detail: { scope, key: lock.scope_key, lockLevel, lockedUntil: lock.locked_until },
+      ipAddress: scope === LoginLockout.SCOPES.IP ? lock.scope_key : null
+    });
+
+    return lock;
+  }
+
+  /**
+   * 登录成功时识别新设备/新IP并发送邮件提醒（需在写入本次成功日志前调用）
+   * 首次登录的账号没有历史记录，不发送提醒
+   * @param {Object} user - 用户信息
+   * @param {Object} meta
+   * @param {string} meta.ipAddress
+   * @param {string} meta.userAgent
+   * @returns {Promise<{newDevice: boolean, newIp: boolean}>}
+   */
+  async detectNewLogin(user, { ipAddress, userAgent }) {
+    const result = { newDevice: false, newIp: false };
+
+    try {
+      const policy = await SystemSetting.getLoginSecurityPolicy();
+      if (!policy.notify_new_login || !user.email) {
+        return result;
+      }
+
+      const history = await AuditLog.getRecentLoginSources(user.id);
+      if (history.length === 0) {
+        return result;
+      }
+
+      // 按系统+浏览器识别设备，忽略浏览器版本升级
+      const deviceKey = (ua) => {
+        const { os, browser } = parseUserAgent(ua);
+        return `${os || ''}|${browser || ''}`;
+      };
+      const currentDevice = deviceKey(userAgent);
+
+      result.newDevice = !history.some((item) => deviceKey(item.user_agent) === currentDevice);
+      result.newIp = Boolean(ipAddress) && !history.some((item) => item.ip_address === ipAddress);
+
+      if (!result.newDevice && !result.newIp) {
+        return result;
+      }
+
+      const reasons = [];
+      if (result.newDevice) {
+        reasons.push('新设备');
+      }
+      if (result.newIp) {
+        reasons.push('新的IP地址');
+      }
+
+      // 邮件发送失败不影响登录
+      sendNewLoginAlert(user.email, {
+        deviceName: getDeviceName(userAgent),
+        ipAddress,
+        loginAt: new Date(),
+        reasons
+      });
+
+      await AuditLog.createSystemLog({
+        operatorId: user.id,
+        targetType: 'user',
+        targetId: user.id,
+        action: 'login_new_source',
+        summary: `${reasons.join('、')}登录提醒`,
+        detail: result,
+        ipAddress,
+        userAgent
+      });
+    } catch (error) {
+      this.log('warn', '新设备登录识别失败', { userId: user.id, error: error.message });
+    }
+
+    return result;
+  }
+
+  /**
+   * 解除账号锁定
+   * @param {Object} user - 用户信息
+   * @param {number} operatorId - 操作人
+   * @returns {Promise<Array>} 被解除的锁定
+   */
+  async unlockAccount(user, operatorId) {
+    return this.withPerformanceMonitoring('unlockAccount', async () => {
+      const unlocked = await LoginLockout.unlockAccount(user, operatorId);
+      this.log('info', '管理员解除账号登录锁定', { userId: user.id, operatorId, count: unlocked.length });
+      return unlocked;
+    });
+  }
+
+  /**
+   * 解除指定锁定（含IP锁定）
+   * @param {number} lockoutId
+   * @param {number} operatorId
+   * @returns {Promise<Object|null>}
+   */
+  async unlockById(lockoutId, operatorId) {
+    return this.withPerformanceMonitoring('unlockById', async () => {
+      const unlocked = await LoginLockout.unlockById(lockoutId, operatorId);
+      if (unlocked) {
+        this.log('info', '管理员解除登录锁定', { lockoutId, operatorId, scope: unlocked.scope });
+      }
+      return unlocked;
+    });
+  }
+
+  /**
+   * 获取生效中的锁定列表
+   */
+  async getActiveLocks(filters = {}) {
+    const { page, limit } = this.normalizePaginationParams(filters.page, filters.limit);
+    return LoginLockout.findAllActive({ scope: filters.scope || null, page, limit });
+  }
+}
+
+module.exports = new LoginSecurityService();
@@ -15,19 +15,26 @@ class NotificationService {
     RESOURCE_COMMENT: 'resource_comment',
     RESOURCE_REPLY: 'resource_reply',
     RESOURCE_LIKE: 'resource_like',
+    RESOURCE_FOLLOWING_PUBLISH: 'resource_following_publish',
+    RESOURCE_VERSION_UPDATE: 'resource_version_update',
+    RESOURCE_REVIEW_RESULT: 'resource_review_result',
 
     // 社区相关
     COMMUNITY_COMMENT: 'community_comment',
     COMMUNITY_REPLY: 'community_reply',
     COMMUNITY_LIKE: 'community_like',
     COMMUNITY_POST_FEATURED: 'community_post_featured',
+    COMMUNITY_PUNISHMENT: 'community_punishment',
+    COMMUNITY_FOLLOWING_POST: 'community_following_post',
 
     // 系统相关
     SYSTEM_ANNOUNCEMENT: 'system_announcement',
     SYSTEM_ORDER: 'system_order',
     SYSTEM_VIP_ORDER: 'system_vip_order',
     SYSTEM_CARD_KEY: 'system_card_key',
-    SYSTEM_USER_STATUS: 'system_user_status'
+    SYSTEM_USER_STATUS: 'system_user_status',
+    SYSTEM_REPORT_RESULT: 'system_report_result',
+    SYSTEM_POINTS_EXPIRY: 'system_points_expiry'
   };
 
   /**
@@ -402,6 +409,77 @@ class NotificationService {
     });
   }
 
+  /**
+   * 创建社区处罚通知
+   * @param {Object} params
+   * @param {Object} params.punishment - 处罚记录
+   * @param {string} params.typeLabel - 处罚类型名称
+   * @returns {Promise<Object|null>}
+   */
+  static async createPunishmentNotification(params) {
+    const { punishment, typeLabel } = params;
+
+    const title = `你已被${typeLabel || '处罚'}`;
+    const content = JSON.stringify({
+      punishment_id: punishment.id,
+      punishment_type: punishment.punishment_type,
+      board_id: punishment.board_id,
+      reason: punishment.reason,
+      expires_at: punishment.expires_at
+    });
+
+    return this.createNotification({
+      user_id: punishment.user_id,
+      type: this.TYPES.COMMUNITY_PUNISHMENT,
+      title,
+      content,
+      related_type: 'community_punishment',
+      related_id: punishment.id,
+      sender_id: null
+    });
+  }
+
+  /**
+   * 创建举报处理结果通知
+   * @param {Object} params
+   * @param {number} params.reporterId - 举报人ID
+   * @param {number} params.reportId - 举报ID
+   * @param {number} params.resourceId - 被举报资源ID
+   * @param {string} params.resourceTitle - 被举报资源标题
+   * @param {string} params.status - 处理结果 (resolved, rejected)
+   * @param {string} params.action - 对资源采取的动作
+   * @param {string} params.handlerNote - 处理备注
+   * @returns {Promise<Object|null>}
+   */
+  static async createReportResultNotification(params) {
+    const { reporterId, reportId, resourceId, resourceTitle, status, action, handlerNote } = params;
+
+    const statusTexts = {
+      resolved: '已处理',
+      rejected: '未通过核实'
+    };
+
+    const title = `你对《${resourceTitle || '资源'}》的举报${statusTexts[status] || '状态已更新'}`;
+    const content = JSON.stringify({
+      report_id: reportId,
+      resource_id: resourceId,
+      resource_title: resourceTitle,
+      status,
+      action: action || 'none',
+      handler_note: handlerNote || ''
+    });
+
+    return this.createNotification({
+      user_id: reporterId,
+      type: this.TYPES.SYSTEM_REPORT_RESULT,
+      title,
+      content,
+      related_type: 'resource',
+      related_id: resourceId,
+      sender_id: null
+    });
+  }
+
   /**
    * 异步创建通知（避免阻塞主业务流程）
    * @param {Object} notification - 通知数据
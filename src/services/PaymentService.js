@@ -0,0 +1,678 @@
+/**
+ * 在线支付业务逻辑服务
+ * 管理VIP套餐在线支付订单的完整生命周期：下单 -> 渠道回调/主动查单 -> 履约发放VIP与佣金 -> 超时关闭 -> 退款
+ */
+
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const BaseService = require('./BaseService');
+const VipService = require('./VipService');
+const ReferralService = require('./ReferralService');
+const ReversalService = require('./ReversalService');
+const PaymentOrder = require('../models/PaymentOrder');
+const VipPackage = require('../models/VipPackage');
+const Referral = require('../models/Referral');
+const { getProvider, getEnabledProviders } = require('./payment');
+
+const DEFAULT_ORDER_EXPIRE_MINUTES = 30;
+const ORDER_STATUSES = ['pending', 'paid', 'cancelled', 'expired', 'refunded'];
+
+// 返回给用户的订单字段
+const PUBLIC_ORDER_FIELDS = [
+  'order_no',
+  'package_id',
+  'subject',
+  'vip_level',
+  'duration_days',
+  'price',
+  'currency',
+  'status',
+  'payment_method',
+  'payment_data',
+  'payment_expires_at',
+  'paid_at',
+  'fulfilled_at',
+  'refunded_amount',
+  'refunded_at',
+  'created_at'
+];
+
+const pickPublicFields = (order) => PUBLIC_ORDER_FIELDS.reduce((result, field) => {
+  result[field] = order[field];
+  return result;
+}, {});
+
+const getOrderExpireMinutes = () => {
+  const minutes = parseInt(process.env.PAYMENT_ORDER_EXPIRE_MINUTES, 10);
+  return Number.isInteger(minutes) && minutes > 0 ? minutes : DEFAULT_ORDER_EXPIRE_MINUTES;
+};
+
+/**
+ * 生成订单号：PAY + 北京时间到秒 + 6位随机数，满足各渠道32位以内字母数字的要求
+ */
+const generateOrderNo = () => {
+  const timestamp = moment().tz('Asia/Shanghai').format('YYYYMMDDHHmmss');
+  return `PAY${timestamp}${crypto.randomInt(100000, 1000000)}`;
+};
+
+const isSameAmount = (a, b) => Math.abs(Number(a) - Number(b)) < 0.005;
+
+class PaymentService extends BaseService {
+  constructor() {
+    super();
+  }
+
+  /**
+   * 获取可用支付渠道
+   */
+  async getProviders() {
+    const providers = getEnabledProviders().map((provider) => ({
+      name: provider.name,
+      display_name: provider.displayName
+    }));
+
+    return this.formatSuccessResponse(providers, '获取支付方式成功');
+  }
+
+  /**
+   * 创建VIP套餐支付订单并向渠道下单
+   * @param {number} userId
+   * @param {Object} params
+   * @param {number} params.packageId - vip_packages.id
+   * @param {string} params.provider - 支付渠道标识
+   * @param {string} [params.clientIp] - 用户IP
+   */
+  async createOrder(userId, { packageId, provider: providerName, clientIp = null }) {
+    return this.withPerformanceMonitoring('createOrder', async () => {
+      try {
+        this.validateRequired({ userId, packageId, provider: providerName }, ['userId', 'packageId', 'provider']);
+
+        const provider = getProvider(providerName);
+        if (!provider) {
+          throw new Error('不支持的支付方式');
+        }
+
+        const order = await this.executeInTransaction(async (client) => {
+          // 锁定用户行，保证限购统计与待支付订单数一致
+          const userResult = await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+          if (userResult.rows.length === 0) {
+            throw new Error('用户不存在');
+          }
+
+          const pkg = await VipPackage.findById(packageId, client);
+          VipService.assertPackagePurchasable(pkg);
+
+          if (!pkg.price || Number(pkg.price) <= 0) {
+            throw new Error('该套餐不支持在线支付');
+          }
+
+          if (pkg.per_user_limit) {
+            const purchased = await VipPackage.countUserPurchases(userId, pkg.id, client);
+            const pending = await PaymentOrder.countPendingByPackage(userId, pkg.id, client);
+            if (purchased + pending >= pkg.per_user_limit) {
+              throw new Error(pending > 0
+                ? '该套餐存在待支付订单，请先完成支付或取消订单'
+                : `该套餐每人限购${pkg.per_user_limit}次`);
+            }
+          }
+
+          return PaymentOrder.create(client, {
+            userId,
+            vipLevel: pkg.level,
+            price: pkg.price,
+            durationDays: pkg.days,
+            provider: provider.name,
+            orderNo: generateOrderNo(),
+            packageId: pkg.id,
+            subject: pkg.name,
+            paymentExpiresAt: moment().add(getOrderExpireMinutes(), 'minutes').toDate()
+          });
+        });
+
+        let payment;
+        try {
+          payment = await provider.createPayment(order, { clientIp });
+        } catch (error) {
+          await PaymentOrder.close(order.id, 'cancelled');
+          this.log('error', '支付渠道下单失败', {
+            orderNo: order.order_no,
+            provider: provider.name,
+            error: error.message
+          });
+          throw new Error('支付渠道下单失败，请稍后重试');
+        }
+
+        const saved = await PaymentOrder.savePaymentData(order.id, payment);
+
+        this.log('info', '支付订单创建成功', {
+          orderNo: order.order_no,
+          userId,
+          packageId,
+          provider: provider.name,
+          price: order.price
+        });
+
+        return this.formatSuccessResponse(pickPublicFields(saved), '订单创建成功');
+
+      } catch (error) {
+        this.handleError(error, 'createOrder');
+      }
+    });
+  }
+
+  /**
+   * 处理支付渠道异步通知
+   * 验签通过且金额一致后标记支付并履约，所有回调（含验签失败）写入 payment_notifications
+   * @param {string} providerName - 支付渠道标识
+   * @param {Object} request
+   * @param {Object} request.headers
+   * @param {Buffer} request.rawBody
+   * @param {string} [request.ipAddress]
+   * @returns {Promise<Object|null>} 渠道应答，渠道不存在时返回 null
+   */
+  async handleNotification(providerName, { headers, rawBody, ipAddress = null }) {
+    return this.withPerformanceMonitoring('handleNotification', async () => {
+      const provider = getProvider(providerName);
+      if (!provider) {
+        return null;
+      }
+
+      const record = { provider: provider.name, ipAddress };
+
+      let transaction;
+      try {
+        transaction = await provider.verifyNotification({ headers, rawBody });
+      } catch (error) {
+        this.log('warn', '支付回调验签失败', { provider: provider.name, ipAddress, error: error.message });
+        await this.logNotification({
+          ...record,
+          result: 'invalid_signature',
+          payload: { body: rawBody.toString('utf8').slice(0, 4000) },
+          errorMessage: error.message
+        });
+        return provider.acknowledge(false);
+      }
+
+      Object.assign(record, {
+        orderNo: transaction.orderNo,
+        tradeNo: transaction.tradeNo,
+        verified: true,
+        tradeStatus: transaction.status,
+        amount: transaction.amount,
+        payload: transaction.raw
+      });
+
+      try {
+        const order = await PaymentOrder.findByOrderNo(transaction.orderNo);
+
+        if (!order || order.payment_method !== provider.name) {
+          this.log('warn', '支付回调订单不存在', { provider: provider.name, orderNo: transaction.orderNo });
+          await this.logNotification({ ...record, result: 'order_not_found' });
+          return provider.acknowledge(true);
+        }
+
+        if (transaction.status !== 'paid') {
+          await this.logNotification({ ...record, result: 'ignored' });
+          return provider.acknowledge(true);
+        }
+
+        if (!isSameAmount(transaction.amount, order.price)) {
+          this.log('error', '支付回调金额与订单不一致', {
+            orderNo: order.order_no,
+            orderAmount: order.price,
+            paidAmount: transaction.amount
+          });
+          await this.logNotification({ ...record, result: 'amount_mismatch' });
+          return provider.acknowledge(false);
+        }
+
+        const { updated } = await this.applyPaidTransaction(order, transaction);
+        await this.logNotification({ ...record, result: updated ? 'paid' : 'duplicate' });
+        return provider.acknowledge(true);
+
+      } catch (error) {
+        this.log('error', '支付回调处理失败', {
+          provider: provider.name,
+          orderNo: transaction.orderNo,
+          error: error.message
+        });
+        await this.logNotification({ ...record, result: 'error', errorMessage: error.message });
+        return provider.acknowledge(false);
+      }
+    });
+  }
+
+  /**
+   * 写入回调记录，失败不影响回调处理
+   */
+  async logNotification(data) {
+    try {
+      await PaymentOrder.logNotification(data);
+    } catch (error) {
+      this.log('warn', '记录支付回调失败', { orderNo: data.orderNo, error: error.message });
+    }
+  }
+
+  /**
+   * 渠道确认付款后标记订单已支付并履约
+   * @param {Object} order - orders 记录
+   * @param {Object} transaction - 渠道交易结果
+   * @returns {Promise<{updated: boolean, order: Object}>} updated 表示本次是否由未支付变为已支付
+   */
+  async applyPaidTransaction(order, transaction) {
+    const paidOrder = await PaymentOrder.markPaid(order.id, {
+      tradeNo: transaction.tradeNo,
+      paidAt: transaction.paidAt
+    });
+
+    if (paidOrder) {
+      this.log('info', '支付订单已支付', {
+        orderNo: paidOrder.order_no,
+        provider: paidOrder.payment_method,
+        tradeNo: paidOrder.provider_trade_no
+      });
+    }
+
+    const current = paidOrder || await PaymentOrder.findByOrderNo(order.order_no);
+    if (current.status === 'paid' && !current.fulfilled_at) {
+      await this.fulfillOrder(current);
+    }
+
+    return { updated: Boolean(paidOrder), order: current };
+  }
+
+  /**
+   * 履约：发放VIP并结算邀请佣金
+   * VipService.activateOrder 通过 fulfilled_at 认领订单，只有认领成功的调用方会继续结算佣金
+   * @param {Object} order - 已支付的 orders 记录
+   * @returns {Promise<Object|null>}
+   */
+  async fulfillOrder(order) {
+    const activation = await VipService.activateOrder(order);
+    if (!activation) {
+      return null;
+    }
+
+    try {
+      const alreadyRecorded = await Referral.hasCommissionRecord(activation.order.id);
+      if (!alreadyRecorded) {
+        activation.commission = await ReferralService.processCommission(
+          activation.order.user_id,
+          activation.order,
+          null,
+          'vip_payment'
+        );
+      }
+    } catch (error) {
+      // 佣金失败不回滚已发放的VIP，记录后由运营人工补发
+      this.log('error', '支付订单佣金结算失败', {
+        orderNo: activation.order.order_no,
+        userId: activation.order.user_id,
+        error: error.message
+      });
+    }
+
+    return activation;
+  }
+
+  /**
+   * 向渠道查询待支付订单的最新状态并同步
+   * @param {Object} order - orders 记录
+   * @returns {Promise<Object>} 同步后的订单
+   */
+  async syncWithProvider(order) {
+    if (order.status === 'paid' && !order.fulfilled_at) {
+      await this.fulfillOrder(order);
+      return PaymentOrder.findByOrderNo(order.order_no);
+    }
+
+    if (!['pending', 'cancelled', 'expired'].includes(order.status)) {
+      return order;
+    }
+
+    const provider = getProvider(order.payment_method);
+    if (!provider) {
+      return order;
+    }
+
+    const transaction = await provider.queryPayment(order);
+    if (transaction.status === 'paid' && isSameAmount(transaction.amount, order.price)) {
+      const { order: current } = await this.applyPaidTransaction(order, transaction);
+      return current;
+    }
+
+    return order;
+  }
+
+  /**
+   * 获取我的订单详情，待支付订单会主动向渠道查单
+   * @param {number} userId
+   * @param {string} orderNo
+   */
+  async getOrder(userId, orderNo) {
+    return this.withPerformanceMonitoring('getOrder', async () => {
+      try {
+        let order = await PaymentOrder.findByOrderNo(orderNo);
+        if (!order || order.user_id !== userId) {
+          throw new Error('订单不存在');
+        }
+
+        if (order.status === 'pending') {
+          try {
+            order = await this.syncWithProvider(order);
+          } catch (error) {
+            this.log('warn', '查询支付渠道订单状态失败', { orderNo, error: error.message });
+          }
+        }
+
+        return this.formatSuccessResponse(pickPublicFields(order), '获取订单成功');
+
+      } catch (error) {
+        this.handleError(error, 'getOrder');
+      }
+    });
+  }
+
+  /**
+   * 获取我的支付订单列表
+   * @param {number} userId
+   * @param {Object} [filters]
+   */
+  async getUserOrders(userId, filters = {}) {
+    return this.withPerformanceMonitoring('getUserOrders', async () => {
+      try {
+        const { page, limit } = this.normalizePaginationParams(filters.page, filters.limit);
+        const status = ORDER_STATUSES.includes(filters.status) ? filters.status : null;
+
+        const result = await PaymentOrder.findByUser(userId, { status, page, limit });
+        return this.formatSuccessResponse({
+          data: result.data.map(pickPublicFields),
+          pagination: result.pagination
+        }, '获取订单列表成功');
+
+      } catch (error) {
+        this.handleError(error, 'getUserOrders');
+      }
+    });
+  }
+
+  /**
+   * 取消我的待支付订单
+   * @param {number} userId
+   * @param {string} orderNo
+   */
+  async cancelOrder(userId, orderNo) {
+    return this.withPerformanceMonitoring('cancelOrder', async () => {
+      try {
+        const order = await PaymentOrder.findByOrderNo(orderNo);
+        if (!order || order.user_id !== userId) {
+          throw new Error('订单不存在');
+        }
+
+        if (order.status !== 'pending') {
+          throw new Error('仅待支付订单可以取消');
+        }
+
+        const cancelled = await PaymentOrder.close(order.id, 'cancelled');
+        if (!cancelled) {
+          throw new Error('订单状态已变更，请刷新后重试');
+        }
+
+        this.log('info', '用户取消支付订单', { orderNo, userId });
+
+        return this.formatSuccessResponse(pickPublicFields(cancelled), '订单已取消');
+
+      } catch (error) {
+        this.handleError(error, 'cancelOrder');
+      }
+    });
+  }
+
+  /**
+   * 管理端 - 获取支付订单列表
+   * @param {Object} [filters]
+   */
+  async getAdminOrders(filters = {}) {
+    return this.withPerformanceMonitoring('getAdminOrders', async () => {
+      try {
+        const { page, limit } = this.normalizePaginationParams(filters.page, filters.limit);
+        const userId = parseInt(filters.user_id, 10);
+
+        const result = await PaymentOrder.findAll({
+          status: ORDER_STATUSES.includes(filters.status) ? filters.status : null,
+          provider: filters.provider || null,
+          userId: Number.isInteger(userId) && userId > 0 ? userId : null,
+          keyword: filters.keyword ? String(filters.keyword).trim() : null,
+          page,
+          limit
+        });
+
+        return this.formatSuccessResponse(result, '获取支付订单列表成功');
+
+      } catch (error) {
+        this.handleError(error, 'getAdminOrders');
+      }
+    });
+  }
+
+  /**
+   * 管理端 - 主动向渠道同步订单状态（补单）
+   * @param {string} orderNo
+   */
+  async syncOrder(orderNo) {
+    return this.withPerformanceMonitoring('syncOrder', async () => {
+      try {
+        const order = await PaymentOrder.findByOrderNo(orderNo);
+        if (!order) {
+          throw new Error('订单不存在');
+        }
+
+        if (!getProvider(order.payment_method)) {
+          throw new Error('订单对应的支付渠道未启用');
+        }
+
+        const synced = await this.syncWithProvider(order);
+        return this.formatSuccessResponse(synced, '订单状态已同步');
+
+      } catch (error) {
+        this.handleError(error, 'syncOrder');
+      }
+    });
+  }
+
+  /**
+   * 管理端 - 订单退款（原路退回）
+   * @param {string} orderNo
+   * @param {Object} params
+   * @param {number} [params.amount] - 退款金额（元），默认退还剩余可退金额
+   * @param {string} [params.reason] - 退款原因
+   * @param {number} [params.operatorId] - 操作管理员
+   * @param {Object} [params.requestMeta] - {ipAddress, userAgent}
+   */
+  async refundOrder(orderNo, { amount = null, reason = null, operatorId = null, requestMeta = {} } = {}) {
+    return this.withPerformanceMonitoring('refundOrder', async () => {
+      try {
+        const order = await PaymentOrder.findByOrderNo(orderNo);
+        if (!order) {
+          throw new Error('订单不存在');
+        }
+
+        const provider = getProvider(order.payment_method);
+        if (!provider) {
+          throw new Error('订单对应的支付渠道未启用');
+        }
+
+        // 先登记退款单再调用渠道：重复点击、重试或多人同时操作时沿用同一退款单号，渠道按单号去重
+        const { refund: reservation, reused } = await PaymentOrder.reserveRefund(order.id, {
+          amount: amount === null || amount === undefined ? null : Number(amount),
+          reason,
+          operatorId
+        });
+        const refundAmount = Number(reservation.amount);
+
+        let refund;
+        try {
+          refund = await provider.refund(order, {
+            amount: refundAmount,
+            refundNo: reservation.refund_no,
+            reason: reservation.reason
+          });
+        } catch (error) {
+          await PaymentOrder.failRefund(reservation.id, error.message);
+          this.log('error', '渠道退款失败', { orderNo, refundNo: reservation.refund_no, error: error.message });
+          throw error;
+        }
+
+        const completed = await PaymentOrder.completeRefund(reservation.id, refund.status);
+        if (!completed) {
+          throw new Error(`退款 ${reservation.refund_no} 已由其他请求处理，请刷新后核对`);
+        }
+
+        const updated = completed.order;
+
+        this.log('info', '支付订单退款成功', {
+          orderNo,
+          amount: refundAmount,
+          refundNo: refund.refundNo,
+          refundStatus: refund.status,
+          retried: reused
+        });
+
+        // 渠道退款已完成，权益回收失败时不回滚退款，记录日志后由运营人工处理
+        let reversal = null;
+        try {
+          reversal = await ReversalService.reverseOrder(updated, {
+            source: 'refund',
+            reference: `refund:${refund.refundNo}`,
+            ratio: refundAmount / Number(order.price),
+            reason: reservation.reason,
+            operatorId,
+            requestMeta
+          });
+        } catch (error) {
+          this.log('error', '退款后回收订单权益失败，需人工处理', { orderNo, refundNo: refund.refundNo, error: error.message });
+        }
+
+        const message = refund.status === 'success' ? '退款成功' : '退款已受理';
+
+        return this.formatSuccessResponse({
+          order: updated,
+          refund: {
+            refund_no: refund.refundNo,
+            amount: refundAmount,
+            status: refund.status
+          },
+          reversal
+        }, reversal ? message : `${message}，但权益回收失败，请人工处理`);
+
+      } catch (error) {
+        this.handleError(error, 'refundOrder');
+      }
+    });
+  }
+
+  /**
+   * 管理端 - 登记支付拒付（持卡人发起争议，款项已被渠道扣回）
+   * 不调用渠道退款接口，直接将订单置为已退款并按未退款部分回收权益
+   * @param {string} orderNo
+   * @param {Object} params
+   * @param {string} [params.reason] - 拒付原因
+   * @param {number} [params.operatorId] - 操作管理员
+   * @param {Object} [params.requestMeta] - {ipAddress, userAgent}
+   */
+  async chargebackOrder(orderNo, { reason = null, operatorId = null, requestMeta = {} } = {}) {
+    return this.withPerformanceMonitoring('chargebackOrder', async () => {
+      try {
+        const order = await PaymentOrder.findByOrderNo(orderNo);
+        if (!order) {
+          throw new Error('订单不存在');
+        }
+
+        if (order.status !== 'paid') {
+          throw new Error('仅已支付订单可以登记拒付');
+        }
+
+        const remaining = Number((Number(order.price) - Number(order.refunded_amount || 0)).toFixed(2));
+        const updated = await PaymentOrder.recordRefund(order.id, remaining);
+        if (!updated) {
+          throw new Error('订单退款状态已变更，请刷新后核对');
+        }
+
+        const reversal = await ReversalService.reverseOrder(updated, {
+          source: 'chargeback',
+          reference: `chargeback:${order.order_no}`,
+          ratio: remaining / Number(order.price),
+          reason,
+          operatorId,
+          requestMeta
+        });
+
+        this.log('warn', '支付订单已登记拒付', { orderNo, amount: remaining, reversalId: reversal?.id });
+
+        return this.formatSuccessResponse({ order: updated, reversal }, '拒付已登记，相关权益已回收');
+
+      } catch (error) {
+        this.handleError(error, 'chargebackOrder');
+      }
+    });
+  }
+
+  /**
+   * 定时任务 - 关闭超过支付期限的订单
+   * 关闭前向渠道确认一次，避免回调延迟导致已付款订单被关闭
+   */
+  async expireOrders() {
+    return this.withPerformanceMonitoring('expireOrders', async () => {
+      const orders = await PaymentOrder.findExpiredPending();
+      let expired = 0;
+      let paid = 0;
+
+      for (const order of orders) {
+        try {
+          const provider = getProvider(order.payment_method);
+          if (provider) {
+            const transaction = await provider.queryPayment(order);
+            if (transaction.status === 'paid' && isSameAmount(transaction.amount, order.price)) {
+              await this.applyPaidTransaction(order, transaction);
+              paid++;
+              continue;
+            }
+          }
+
+          if (await PaymentOrder.close(order.id, 'expired')) {
+            expired++;
+          }
+        } catch (error) {
+          // 查单失败时保留待支付状态，下一轮重试
+          this.log('warn', '关闭超时订单失败', { orderNo: order.order_no, error: error.message });
+        }
+      }
+
+      return { checked: orders.length, expired, paid };
+    });
+  }
+
+  /**
+   * 定时任务 - 补偿已支付但未履约的订单（如履约过程中服务重启）
+   */
+  async processUnfulfilled() {
+    return this.withPerformanceMonitoring('processUnfulfilled', async () => {
+      const orders = await PaymentOrder.findUnfulfilled();
+      let fulfilled = 0;
+
+      for (const order of orders) {
+        try {
+          if (await this.fulfillOrder(order)) {
+            fulfilled++;
+          }
+        } catch (error) {
+          this.log('error', '补偿履约失败', { orderNo: order.order_no, error: error.message });
+        }
+      }
+
+      return { checked: orders.length, fulfilled };
+    });
+  }
+}
+
+module.exports = new PaymentService();
@@ -3,9 +3,13 @@
  * 处理积分管理相关的所有业务操作
  */
 
+const moment = require('moment-timezone');
 const BaseService = require('./BaseService');
 const Points = require('../models/Points');
+const PointsReconciliation = require('../models/PointsReconciliation');
+const PointsExpiryPolicy = require('../models/PointsExpiryPolicy');
 const User = require('../models/User');
+const NotificationService = require('./NotificationService');
 
 class PointsService extends BaseService {
   constructor() {
@@ -48,6 +52,58 @@ class PointsService extends BaseService {
     });
   }
 
+  /**
+   * 积分账本记账
+   * 下载扣费、转账、签到奖励、商品兑换、管理员调整等所有积分变动统一经由此入口写入账本；
+   * 传入 client 时在调用方事务中执行，由调用方在提交后清除缓存
+   * @param {number} userId
+   * @param {Object} entry
+   * @param {number} entry.points - 变动积分，正数为收入、负数为支出
+   * @param {string} entry.type - 分录类型
+   * @param {string} entry.source - 业务来源
+   * @param {string} [entry.description]
+   * @param {number} [entry.reference_id]
+   * @param {string} [entry.reference_type]
+   * @param {number} [entry.operatorId]
+   * @param {string} [entry.idempotencyKey] - 幂等键，同一键只记账一次
+   * @param {Object} [entry.client] - 事务连接
+   * @returns {Promise<{user: Object, record: Object, duplicate: boolean}>}
+   */
+  async postLedgerEntry(userId, entry) {
+    return this.withPerformanceMonitoring('postLedgerEntry', async () => {
+      try {
+        this.validateRequired({ userId }, ['userId']);
+        this.validateRequired(entry, ['points', 'type', 'source']);
+
+        const { points, type, source, description, reference_id, reference_type, operatorId, idempotencyKey, client } = entry;
+
+        const ledgerEntry = {
+          userId,
+          amount: points,
+          type,
+          source,
+          description: description || '',
+          relatedId: reference_id || null,
+          relatedType: reference_type || null,
+          operatorId: operatorId || null,
+          idempotencyKey: idempotencyKey || null
+        };
+
+        if (client) {
+          return await Points.postEntry(ledgerEntry, client);
+        }
+
+        const result = await Points.postEntry(ledgerEntry);
+        await this.clearPointsCache(userId);
+
+        return result;
+
+      } catch (error) {
+        this.handleError(error, 'postLedgerEntry');
+      }
+    });
+  }
+
   /**
    * 增加积分
    */
@@ -57,7 +113,7 @@ class PointsService extends BaseService {
         this.validateRequired({ userId }, ['userId']);
         this.validateRequired(pointsData, ['points', 'source', 'description']);
 
-        const { points, source, description, reference_id, reference_type, expires_at, operatorId } = pointsData;
+        const { points, source, description, reference_id, reference_type, operatorId, idempotencyKey } = pointsData;
 
         if (points <= 0) {
           throw new Error('积分数量必须大于0');
@@ -67,43 +123,26 @@ class PointsService extends BaseService {
           throw new Error('单次增加积分不能超过10000');
         }
 
-        const result = await this.executeInTransaction(async (client) => {
-          // 记录积分变动历史
-          const pointsTransaction = await Points.createTransaction({
-            user_id: userId,
-            type: 'earn',
-            points,
-            source,
-            description,
-            reference_id,
-            expires_at,
-            created_at: new Date()
-          }, client);
-
-          // 更新用户积分总额
-          await Points.addPoints(userId, {
-            points,
-            source,
-            description,
-            reference_id,
-            reference_type,
-            operator_id: operatorId || userId
-          }, client);
-
-          return pointsTransaction;
+        const result = await this.postLedgerEntry(userId, {
+          points,
+          type: 'earn',
+          source,
+          description,
+          reference_id,
+          reference_type,
+          operatorId: operatorId || userId,
+          idempotencyKey
         });
 
-        // 清除相关缓存
-        await this.clearPointsCache(userId);
-
         this.log('info', '积分增加成功', { 
           userId, 
           points, 
           source, 
-          transactionId: result.id 
+          recordId: result.record.id,
+          duplicate: result.duplicate
         });
 
-        return this.formatSuccessResponse(result, `成功增加 ${points} 积分`);
+        return this.formatSuccessResponse(result.record, `成功增加 ${points} 积分`);
 
       } catch (error) {
         this.handleError(error, 'addPoints');
@@ -120,54 +159,32 @@ class PointsService extends BaseService {
         this.validateRequired({ userId }, ['userId']);
         this.validateRequired(pointsData, ['points', 'source', 'description']);
 
-        const { points, source, description, reference_id, reference_type, operatorId } = pointsData;
+        const { points, source, description, reference_id, reference_type, operatorId, idempotencyKey } = pointsData;
 
         if (points <= 0) {
           throw new Error('扣除积分数量必须大于0');
         }
 
-        // 检查用户积分是否足够
-        const userPoints = await Points.getUserPoints(userId);
-        if (!userPoints || userPoints.available_points < points) {
-          throw new Error('积分余额不足');
-        }
-
-        const result = await this.executeInTransaction(async (client) => {
-          // 记录积分变动历史
-          const pointsTransaction = await Points.createTransaction({
-            user_id: userId,
-            type: 'spend',
-            points: -points,
-            source,
-            description,
-            reference_id,
-            created_at: new Date()
-          }, client);
-
-          // 扣除用户积分
-          await Points.deductPoints(userId, {
-            points,
-            source,
-            description,
-            reference_id,
-            reference_type,
-            operator_id: operatorId || userId
-          }, client);
-
-          return pointsTransaction;
+        const result = await this.postLedgerEntry(userId, {
+          points: -points,
+          type: 'spend',
+          source,
+          description,
+          reference_id,
+          reference_type,
+          operatorId: operatorId || userId,
+          idempotencyKey
         });
 
-        // 清除相关缓存
-        await this.clearPointsCache(userId);
-
         this.log('info', '积分扣除成功', { 
           userId, 
           points, 
           source, 
-          transactionId: result.id 
+          recordId: result.record.id,
+          duplicate: result.duplicate
         });
 
-        return this.formatSuccessResponse(result, `成功扣除 ${points} 积分`);
+        return this.formatSuccessResponse(result.record, `成功扣除 ${points} 积分`);
 
       } catch (error) {
         this.handleError(error, 'deductPoints');
@@ -175,10 +192,98 @@ class PointsService extends BaseService {
     });
   }
 
+  /**
+   * 管理员调整用户积分
+   * @param {number} adminId
+   * @param {number} userId
+   * @param {number} amount - 正数增加、负数扣减，扣减超过余额时扣至0
+   * @param {string} [description]
+   * @param {string} [idempotencyKey]
+   */
+  async adjustPoints(adminId, userId, amount, description = '', idempotencyKey = null) {
+    return this.withPerformanceMonitoring('adjustPoints', async () => {
+      try {
+        this.validateRequired({ adminId, userId, amount }, ['adminId', 'userId', 'amount']);
+
+        const result = await Points.adjustPoints(userId, amount, description, adminId, idempotencyKey);
+        await this.clearPointsCache(userId);
+
+        this.log('info', '管理员调整积分', {
+          adminId,
+          userId,
+          amount: result.record.amount,
+          duplicate: result.duplicate
+        });
+
+        return result;
+
+      } catch (error) {
+        this.handleError(error, 'adjustPoints');
+      }
+    });
+  }
+
+  /**
+   * 回收已发放的积分（冲正）
+   * 余额不足时扣至0并返回欠缺数量；传入 client 时在调用方事务中执行，由调用方在提交后清除缓存
+   * @param {number} userId
+   * @param {Object} pointsData
+   * @param {number} pointsData.points - 应回收积分
+   * @param {string} pointsData.source
+   * @param {string} pointsData.description
+   * @param {string} [pointsData.idempotencyKey] - 幂等键
+   * @param {Object} [pointsData.client] - 事务连接
+   * @returns {Promise<{deducted: number, shortfall: number, balance: number}>}
+   */
+  async clawbackPoints(userId, pointsData) {
+    return this.withPerformanceMonitoring('clawbackPoints', async () => {
+      try {
+        this.validateRequired({ userId }, ['userId']);
+        this.validateRequired(pointsData, ['points', 'source', 'description']);
+
+        const { points, source, description, reference_id, reference_type, operatorId, idempotencyKey, client } = pointsData;
+
+        if (points <= 0) {
+          throw new Error('回收积分数量必须大于0');
+        }
+
+        const options = {
+          source,
+          description,
+          relatedId: reference_id || null,
+          relatedType: reference_type || null,
+          operatorId: operatorId || null,
+          idempotencyKey: idempotencyKey || null
+        };
+
+        if (client) {
+          return await Points.clawbackPoints(userId, points, options, client);
+        }
+
+        const result = await this.executeInTransaction((txClient) => Points.clawbackPoints(userId, points, options, txClient));
+        await this.clearPointsCache(userId);
+
+        this.log('info', '积分回收成功', { userId, points, source, deducted: result.deducted });
+
+        return result;
+
+      } catch (error) {
+        this.handleError(error, 'clawbackPoints');
+      }
+    });
+  }
+
   /**
    * 转移积分
+   * 转出、转入两条分录在同一事务中记账并共用分组号
+   * @param {number} fromUserId
+   * @param {number} toUserId
+   * @param {number} points
+   * @param {string} [description]
+   * @param {Object} [options]
+   * @param {string} [options.idempotencyKey] - 幂等键，重复提交不会重复转账
    */
-  async transferPoints(fromUserId, toUserId, points, description = '用户转账') {
+  async transferPoints(fromUserId, toUserId, points, description = '用户转账', { idempotencyKey = null } = {}) {
     return this.withPerformanceMonitoring('transferPoints', async () => {
       try {
         this.validateRequired({ fromUserId, toUserId, points }, 
@@ -192,14 +297,8 @@ class PointsService extends BaseService {
           throw new Error('转账积分必须大于0');
         }
 
-        if (points > 1000) {
-          throw new Error('单次转账不能超过1000积分');
-        }
-
-        // 检查发送方积分是否足够
-        const fromUserPoints = await Points.getUserPoints(fromUserId);
-        if (!fromUserPoints || fromUserPoints.available_points < points) {
-          throw new Error('发送方积分余额不足');
+        if (points > 10000) {
+          throw new Error('单次转账不能超过10000积分');
         }
 
         // 验证接收方用户是否存在
@@ -208,49 +307,12 @@ class PointsService extends BaseService {
           throw new Error('接收方用户不存在');
         }
 
-        const transferId = this.generateTransferId();
-
-        const result = await this.executeInTransaction(async (client) => {
-          // 扣除发送方积分
-          const deductTransaction = await Points.createTransaction({
-            user_id: fromUserId,
-            type: 'transfer_out',
-            points: -points,
-            source: 'transfer',
-            description: `转账给用户${toUser.username}: ${description}`,
-            reference_id: transferId,
-            created_at: new Date()
-          }, client);
-
-          await Points.deductPoints(fromUserId, {
-            points,
-            source: 'transfer',
-            description: `转账给用户${toUser.username}`
-          }, client);
-
-          // 增加接收方积分
-          const addTransaction = await Points.createTransaction({
-            user_id: toUserId,
-            type: 'transfer_in',
-            points: points,
-            source: 'transfer',
-            description: `来自用户转账: ${description}`,
-            reference_id: transferId,
-            created_at: new Date()
-          }, client);
-
-          await Points.addPoints(toUserId, {
-            points,
-            source: 'transfer',
-            description: '来自用户转账'
-          }, client);
-
-          return {
-            transfer_id: transferId,
-            from_transaction: deductTransaction,
-            to_transaction: addTransaction
-          };
-        });
+        const [result] = await Points.transferPointsBatch([{
+          fromUserId,
+          toUserId,
+          amount: points,
+          description
+        }], fromUserId, { idempotencyKey });
 
         // 清除相关缓存
         await Promise.all([
@@ -262,7 +324,8 @@ class PointsService extends BaseService {
           fromUserId, 
           toUserId, 
           points, 
-          transferId 
+          entryGroup: result.entry_group,
+          duplicate: result.duplicate
         });
 
         return this.formatSuccessResponse(result, '转账成功');
@@ -367,46 +430,54 @@ class PointsService extends BaseService {
 
   /**
    * 处理过期积分
+   * 逐个过期已到期的积分批次并写入过期分录，单个批次失败不影响其他批次
+   * @param {Object} [options]
+   * @param {number} [options.limit=500] - 单次处理的批次上限
    */
-  async processExpiredPoints() {
+  async processExpiredPoints({ limit = 500 } = {}) {
     return this.withPerformanceMonitoring('processExpiredPoints', async () => {
       try {
-        const expiredTransactions = await Points.findExpiredTransactions();
+        const lots = await Points.findExpiredLots(limit);
+        const affectedUsers = new Set();
+        let expiredLots = 0;
         let totalExpiredPoints = 0;
+        let failed = 0;
+
+        for (const lot of lots) {
+          try {
+            const result = await Points.expireLot(lot.id);
+            if (!result) {
+              continue;
+            }
 
-        await this.executeInTransaction(async (client) => {
-          for (const transaction of expiredTransactions) {
-            // 扣除过期积分
-            await Points.deductPoints(transaction.user_id, {
-              points: transaction.points,
-              source: 'expired',
-              description: '积分过期自动扣除'
-            }, client);
-
-            // 记录过期交易
-            await Points.createTransaction({
-              user_id: transaction.user_id,
-              type: 'expired',
-              points: -transaction.points,
-              source: 'system',
-              description: `积分过期 - 原因: ${transaction.description}`,
-              reference_id: transaction.id,
-              created_at: new Date()
-            }, client);
-
-            totalExpiredPoints += transaction.points;
+            expiredLots++;
+            totalExpiredPoints += result.expired;
+            if (result.expired > 0) {
+              affectedUsers.add(lot.user_id);
+            }
+          } catch (error) {
+            failed++;
+            this.log('error', '积分批次过期失败', { lotId: lot.id, error: error.message });
           }
-        });
+        }
 
-        this.log('info', '过期积分处理完成', { 
-          expiredCount: expiredTransactions.length,
-          totalExpiredPoints 
-        });
+        await Promise.all([...affectedUsers].map(userId => this.clearPointsCache(userId)));
+
+        if (lots.length > 0) {
+          this.log('info', '过期积分处理完成', {
+            expiredLots,
+            totalExpiredPoints,
+            affectedUsers: affectedUsers.size,
+            failed
+          });
+        }
 
         return this.formatSuccessResponse({
-          expired_transactions: expiredTransactions.length,
-          total_expired_points: totalExpiredPoints
-        }, `处理了${expiredTransactions.length}条过期积分记录`);
+          expired_lots: expiredLots,
+          total_expired_points: totalExpiredPoints,
+          affected_users: affectedUsers.size,
+          failed
+        }, `处理了${expiredLots}个过期积分批次`);
 
       } catch (error) {
         this.handleError(error, 'processExpiredPoints');
@@ -414,6 +485,169 @@ class PointsService extends BaseService {
     });
   }
 
+  /**
+   * 发送积分即将过期提醒
+   * 按用户汇总即将过期的批次，每个用户发送一条系统通知，发送后批次不再重复提醒
+   */
+  async notifyExpiringPoints() {
+    return this.withPerformanceMonitoring('notifyExpiringPoints', async () => {
+      try {
+        const lots = await Points.findLotsToNotify();
+        const byUser = new Map();
+
+        for (const lot of lots) {
+          const summary = byUser.get(lot.user_id) || { points: 0, earliest: lot.expires_at, lotIds: [] };
+          summary.points += lot.remaining;
+          summary.lotIds.push(lot.id);
+          if (lot.expires_at < summary.earliest) {
+            summary.earliest = lot.expires_at;
+          }
+          byUser.set(lot.user_id, summary);
+        }
+
+        let notifiedUsers = 0;
+
+        for (const [userId, summary] of byUser) {
+          const sent = await NotificationService.createSystemNotification({
+            userIds: userId,
+            type: NotificationService.TYPES.SYSTEM_POINTS_EXPIRY,
+            title: '积分即将过期',
+            content: `您有 ${summary.points} 积分将于 ${moment(summary.earliest).tz('Asia/Shanghai').format('YYYY-MM-DD HH:mm')} 起陆续过期，请尽快使用`,
+            relatedType: 'points_lot',
+            relatedId: summary.lotIds[0]
+          });
+
+          // 通知写入失败的批次保留待下次重试
+          if (sent > 0) {
+            await Points.markLotsNotified(summary.lotIds);
+            notifiedUsers++;
+          }
+        }
+
+        if (byUser.size > 0) {
+          this.log('info', '积分过期提醒发送完成', { lots: lots.length, notifiedUsers });
+        }
+
+        return this.formatSuccessResponse({
+          lots: lots.length,
+          notified_users: notifiedUsers
+        }, `已向${notifiedUsers}位用户发送积分过期提醒`);
+
+      } catch (error) {
+        this.handleError(error, 'notifyExpiringPoints');
+      }
+    });
+  }
+
+  /**
+   * 获取用户即将过期的积分
+   * @param {number} userId
+   */
+  async getExpiringPoints(userId) {
+    return this.withPerformanceMonitoring('getExpiringPoints', async () => {
+      try {
+        this.validateRequired({ userId }, ['userId']);
+
+        const lots = await Points.findUserExpiringLots(userId);
+
+        return this.formatSuccessResponse({
+          total_expiring_points: lots.reduce((sum, lot) => sum + lot.remaining, 0),
+          next_expire_at: lots.length > 0 ? lots[0].expires_at : null,
+          lots
+        }, '获取即将过期积分成功');
+
+      } catch (error) {
+        this.handleError(error, 'getExpiringPoints');
+      }
+    });
+  }
+
+  /**
+   * 管理端 - 获取积分过期策略
+   */
+  async getExpiryPolicies() {
+    return this.withPerformanceMonitoring('getExpiryPolicies', async () => {
+      try {
+        const policies = await PointsExpiryPolicy.findAll();
+        return this.formatSuccessResponse(policies, '获取积分过期策略成功');
+
+      } catch (error) {
+        this.handleError(error, 'getExpiryPolicies');
+      }
+    });
+  }
+
+  /**
+   * 管理端 - 设置来源的积分过期策略
+   * 修改只影响之后获得的积分，已发放批次的过期时间保持不变
+   * @param {string} source - 积分来源，如 checkin、cardkey、admin_adjust
+   * @param {Object} data
+   * @param {number} data.expire_days
+   * @param {number} [data.notify_days=7]
+   * @param {boolean} [data.is_active=true]
+   * @param {string} [data.description]
+   * @param {number} operatorId
+   */
+  async saveExpiryPolicy(source, data, operatorId) {
+    return this.withPerformanceMonitoring('saveExpiryPolicy', async () => {
+      try {
+        const normalizedSource = typeof source === 'string' ? source.trim() : '';
+        if (!/^[a-z][a-z0-9_]{0,49}$/.test(normalizedSource)) {
+          throw new Error('积分来源格式无效');
+        }
+
+        if (normalizedSource === 'expiration') {
+          throw new Error('过期扣除的积分不能设置过期策略');
+        }
+
+        const expireDays = Number(data.expire_days);
+        if (!Number.isInteger(expireDays) || expireDays < 1 || expireDays > 3650) {
+          throw new Error('有效天数必须是1-3650之间的整数');
+        }
+
+        const notifyDays = data.notify_days === undefined ? 7 : Number(data.notify_days);
+        if (!Number.isInteger(notifyDays) || notifyDays < 0 || notifyDays >= expireDays) {
+          throw new Error('提醒天数必须是0到有效天数之间的整数');
+        }
+
+        const policy = await PointsExpiryPolicy.upsert(normalizedSource, {
+          expire_days: expireDays,
+          notify_days: notifyDays,
+          is_active: data.is_active === undefined ? true : Boolean(data.is_active),
+          description: data.description || null
+        }, operatorId);
+
+        this.log('info', '积分过期策略已更新', { source: normalizedSource, expireDays, notifyDays, operatorId });
+
+        return this.formatSuccessResponse(policy, '积分过期策略已保存');
+
+      } catch (error) {
+        this.handleError(error, 'saveExpiryPolicy');
+      }
+    });
+  }
+
+  /**
+   * 管理端 - 删除来源的积分过期策略
+   * 删除后该来源新获得的积分永不过期，已发放批次仍按原过期时间处理
+   * @param {string} source
+   */
+  async deleteExpiryPolicy(source) {
+    return this.withPerformanceMonitoring('deleteExpiryPolicy', async () => {
+      try {
+        const policy = await PointsExpiryPolicy.delete(source);
+        if (!policy) {
+          throw new Error('积分过期策略不存在');
+        }
+
+        return this.formatSuccessResponse(policy, '积分过期策略已删除');
+
+      } catch (error) {
+        this.handleError(error, 'deleteExpiryPolicy');
+      }
+    });
+  }
+
   /**
    * 积分兑换
    */
@@ -436,8 +670,9 @@ class PointsService extends BaseService {
           await Points.deductPoints(userId, {
             points: points_cost,
             source: 'exchange',
-            description: description || `兑换${type}`
-          }, client);
+            description: description || `兑换${type}`,
+            client
+          });
 
           // 处理兑换奖励
           const rewardResult = await this.processExchangeReward(userId, type, reward, client);
@@ -485,15 +720,6 @@ class PointsService extends BaseService {
     }
   }
 
-  /**
-   * 生成转账ID
-   */
-  generateTransferId() {
-    const timestamp = Date.now();
-    const random = Math.floor(Math.random() * 1000);
-    return `TRANSFER_${timestamp}_${random}`;
-  }
-
   /**
    * 标准化积分过滤参数
    */
@@ -526,6 +752,7 @@ class PointsService extends BaseService {
 
   /**
    * 批量发放积分奖励
+   * 每个用户单独记账，传入 idempotencyKey 时按用户派生幂等键，重复提交不会重复发放
    */
   async batchRewardPoints(userIds, pointsData) {
     return this.withPerformanceMonitoring('batchRewardPoints', async () => {
@@ -540,26 +767,22 @@ class PointsService extends BaseService {
           throw new Error('一次最多给1000个用户发放积分');
         }
 
-        const { points, source, description } = pointsData;
-        const results = [];
-        const errors = [];
-
-        await this.executeInTransaction(async (client) => {
-          for (const userId of userIds) {
-            try {
-              await Points.addPoints(userId, {
-                points,
-                source,
-                description
-              }, client);
-
-              results.push({ userId, points });
-            } catch (error) {
-              errors.push({ userId, error: error.message });
-            }
-          }
+        const { points, source, description, operatorId, idempotencyKey } = pointsData;
+
+        const grantResults = await Points.batchGrantPoints(userIds, points, source, description, {
+          operatorId,
+          idempotencyKey
         });
 
+        const results = grantResults
+          .filter(item => item.success)
+          .map(item => ({ userId: item.userId, points, duplicate: item.duplicate }));
+        const errors = grantResults
+          .filter(item => !item.success)
+          .map(item => ({ userId: item.userId, error: item.error }));
+
+        await Promise.all(results.map(item => this.clearPointsCache(item.userId)));
+
         this.log('info', '批量积分发放完成', { 
           total: userIds.length,
           success: results.length,
@@ -574,7 +797,7 @@ class PointsService extends BaseService {
             total: userIds.length,
             success: results.length,
             failed: errors.length,
-            total_points_distributed: results.length * points
+            total_points_distributed: results.filter(item => !item.duplicate).length * points
           }
         }, '批量积分发放完成');
 
@@ -583,6 +806,93 @@ class PointsService extends BaseService {
       }
     });
   }
+
+  /**
+   * 积分账本对账
+   * 核对每个用户的 users.points 与 points_records 分录合计及最后一条分录余额，并检查转账分组是否平衡；
+   * 差异只记录不自动修正，由管理员核实后通过积分调整处理
+   * @param {Object} [options]
+   * @param {string} [options.triggerType='schedule'] - schedule/manual
+   * @param {number} [options.triggeredBy] - 手动触发的管理员
+   * @returns {Promise<Object>} 对账批次
+   */
+  async reconcileLedger({ triggerType = 'schedule', triggeredBy = null } = {}) {
+    return this.withPerformanceMonitoring('reconcileLedger', async () => {
+      const run = await PointsReconciliation.createRun({ triggerType, triggeredBy });
+
+      try {
+        const [usersChecked, items, unbalancedGroups] = await Promise.all([
+          PointsReconciliation.countUsers(),
+          PointsReconciliation.findDrift(),
+          PointsReconciliation.findUnbalancedGroups()
+        ]);
+
+        const completed = await PointsReconciliation.completeRun(run.id, {
+          usersChecked,
+          items,
+          unbalancedGroups
+        });
+
+        const level = items.length > 0 || unbalancedGroups.length > 0 ? 'warn' : 'info';
+        this.log(level, '积分账本对账完成', {
+          runId: run.id,
+          usersChecked,
+          driftUsers: items.length,
+          totalDrift: completed.total_drift,
+          unbalancedGroups: unbalancedGroups.length
+        });
+
+        return completed;
+
+      } catch (error) {
+        await PointsReconciliation.failRun(run.id, error.message);
+        this.handleError(error, 'reconcileLedger');
+      }
+    });
+  }
+
+  /**
+   * 管理端 - 获取对账批次列表
+   * @param {Object} [filters]
+   */
+  async getReconciliationRuns(filters = {}) {
+    return this.withPerformanceMonitoring('getReconciliationRuns', async () => {
+      try {
+        const { page, limit } = this.normalizePaginationParams(filters.page, filters.limit);
+
+        const result = await PointsReconciliation.findRuns({
+          driftOnly: filters.drift_only === true || filters.drift_only === 'true',
+          page,
+          limit
+        });
+
+        return this.formatSuccessResponse(result, '获取对账记录成功');
+
+      } catch (error) {
+        this.handleError(error, 'getReconciliationRuns');
+      }
+    });
+  }
+
+  /**
+   * 管理端 - 获取对账批次详情及差异明细
+   * @param {number} runId
+   */
+  async getReconciliationRun(runId) {
+    return this.withPerformanceMonitoring('getReconciliationRun', async () => {
+      try {
+        const run = await PointsReconciliation.findRunById(runId);
+        if (!run) {
+          throw new Error('对账记录不存在');
+        }
+
+        return this.formatSuccessResponse(run, '获取对账详情成功');
+
+      } catch (error) {
+        this.handleError(error, 'getReconciliationRun');
+      }
+    });
+  }
 }
 
 module.exports = new PointsService();
@@ -4,8 +4,22 @@
  */
 
 const { minioClient, BUCKETS, getFileUrl, generateFileName } = require('../config/minio');
+const Resource = require('../models/Resource');
+const ResourceFile = require('../models/ResourceFile');
+const ResourceUploadSession = require('../models/ResourceUploadSession');
+const SystemSetting = require('../models/SystemSetting');
 const { logger } = require('../utils/logger');
 
+// S3 multipart 限制：除最后一片外每片至少5MB，最多10000片
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PART_SIZE = 5 * 1024 * 1024 * 1024;
+const DEFAULT_PART_SIZE = 16 * 1024 * 1024;
+const MAX_PARTS = 10000;
+// 单次最多签发的分片URL数量
+const PART_URL_BATCH_SIZE = 100;
+const PART_URL_EXPIRES_IN = 60 * 60;
+const UPLOAD_SESSION_TTL_HOURS = 24;
+
 class PresignedUploadService {
   /**
    * 生成图片上传的预签名URL
@@ -109,6 +123,378 @@ class PresignedUploadService {
     }
   }
 
+  /**
+   * 获取用户可用的资源文件上传策略
+   * 多角色用户取各角色中最宽松的限制
+   * @param {Object} user - 当前用户（含 roles）
+   * @returns {Promise<Object>} { maxFileSize, allowedExtensions, allowAnyExtension }
+   */
+  async getResourceUploadPolicy(user) {
+    const { roles: rolePolicies } = await SystemSetting.getResourceUploadPolicy();
+    const roleNames = (user.roles || []).map(role => (typeof role === 'string' ? role : role.name));
+    if (roleNames.length === 0) {
+      roleNames.push('user');
+    }
+
+    let maxFileSize = 0;
+    const extensions = new Set();
+
+    for (const roleName of roleNames) {
+      const policy = rolePolicies[roleName];
+      if (!policy) {
+        continue;
+      }
+      maxFileSize = Math.max(maxFileSize, policy.max_file_size);
+      policy.allowed_extensions.forEach(ext => extensions.add(ext));
+    }
+
+    return {
+      maxFileSize,
+      allowedExtensions: Array.from(extensions).filter(ext => ext !== '*'),
+      allowAnyExtension: extensions.has('*')
+    };
+  }
+
+  /**
+   * 发起资源文件分片直传
+   * @param {Object} user - 当前用户
+   * @param {Object} options - 上传参数
+   * @param {number} options.resourceId - 资源ID
+   * @param {string} options.fileName - 原始文件名
+   * @param {string} [options.contentType] - 文件MIME类型
+   * @param {number} options.fileSize - 文件大小（字节）
+   * @param {number} [options.partSize] - 期望分片大小（字节）
+   * @returns {Promise<Object>} 上传会话及首批分片URL
+   */
+  async createResourceMultipartUpload(user, { resourceId, fileName, contentType, fileSize, partSize }) {
+    await this.assertResourceOwner(user, resourceId);
+
+    this.validateResourceFileName(fileName);
+
+    const size = Number(fileSize);
+    if (!Number.isInteger(size) || size <= 0) {
+      throw new Error('文件大小必须为正整数（字节）');
+    }
+
+    const extension = fileName.includes('.') ? fileName.toLowerCase().split('.').pop() : '';
+    const policy = await this.getResourceUploadPolicy(user);
+
+    if (size > policy.maxFileSize) {
+      throw new Error(`文件大小超出限制，当前角色最大允许 ${Math.floor(policy.maxFileSize / 1024 / 1024)}MB`);
+    }
+
+    if (!policy.allowAnyExtension && !policy.allowedExtensions.includes(extension)) {
+      throw new Error(`不支持的文件扩展名: .${extension || '无'}。支持的扩展名: ${policy.allowedExtensions.map(ext => '.' + ext).join(', ')}`);
+    }
+
+    const resolvedPartSize = this.resolvePartSize(size, partSize);
+    const totalParts = Math.ceil(size / resolvedPartSize);
+
+    const bucket = BUCKETS.RESOURCES;
+    const objectName = `resources/${resourceId}/${generateFileName(fileName)}`;
+    const uploadId = await minioClient.initiateNewMultipartUpload(bucket, objectName, {
+      'Content-Type': contentType || 'application/octet-stream'
+    });
+
+    const session = await ResourceUploadSession.create({
+      userId: user.id,
+      resourceId,
+      bucket,
+      objectName,
+      uploadId,
+      originalName: fileName,
+      contentType: contentType || null,
+      fileExtension: extension ? extension.slice(0, 10) : null,
+      fileSize: size,
+      partSize: resolvedPartSize,
+      totalParts,
+      expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000)
+    });
+
+    const firstBatch = Array.from(
+      { length: Math.min(totalParts, PART_URL_BATCH_SIZE) },
+      (_, index) => index + 1
+    );
+    const parts = await this.signPartUrls(session, firstBatch);
+
+    logger.info(`发起资源文件分片上传: ${fileName} -> ${objectName}`, {
+      sessionId: session.id,
+      resourceId,
+      totalParts
+    });
+
+    return {
+      sessionId: session.id,
+      uploadId,
+      bucket,
+      objectName,
+      partSize: resolvedPartSize,
+      totalParts,
+      parts,
+      partUrlExpiresIn: PART_URL_EXPIRES_IN,
+      expiresAt: session.expires_at,
+      method: 'PUT'
+    };
+  }
+
+  /**
+   * 为指定分片签发上传URL（用于分批获取或URL过期后续签）
+   * @param {Object} user - 当前用户
+   * @param {number} sessionId - 上传会话ID
+   * @param {Array<number>} partNumbers - 分片序号列表（从1开始）
+   * @returns {Promise<Array>} 分片URL列表
+   */
+  async getResourcePartUploadUrls(user, sessionId, partNumbers) {
+    const session = await this.getOwnedUploadingSession(user, sessionId);
+
+    const numbers = Array.from(new Set((partNumbers || []).map(Number)))
+      .filter(number => Number.isInteger(number) && number >= 1 && number <= session.total_parts);
+
+    if (numbers.length === 0) {
+      throw new Error('分片序号无效');
+    }
+
+    if (numbers.length > PART_URL_BATCH_SIZE) {
+      throw new Error(`单次最多获取 ${PART_URL_BATCH_SIZE} 个分片URL`);
+    }
+
+    return this.signPartUrls(session, numbers.sort((a, b) => a - b));
+  }
+
+  /**
+   * 完成分片上传并登记为资源文件
+   * @param {Object} user - 当前用户
+   * @param {number} sessionId - 上传会话ID
+   * @param {Array<Object>} parts - 已上传分片 [{ partNumber, etag }]
+   * @param {Object} [fileMeta] - 资源文件附加信息
+   * @returns {Promise<Object>} 新建的资源文件
+   */
+  async completeResourceMultipartUpload(user, sessionId, parts, fileMeta = {}) {
+    const session = await this.getOwnedUploadingSession(user, sessionId);
+
+    if (!Array.isArray(parts) || parts.length !== session.total_parts) {
+      throw new Error(`分片数量不完整，需要 ${session.total_parts} 个分片`);
+    }
+
+    const etags = parts
+      .map(part => ({
+        part: Number(part.partNumber ?? part.part_number),
+        etag: typeof part.etag === 'string' ? part.etag.replace(/"/g, '') : ''
+      }))
+      .sort((a, b) => a.part - b.part);
+
+    const invalidPart = etags.find((item, index) => item.part !== index + 1 || !item.etag);
+    if (invalidPart) {
+      throw new Error('分片序号或ETag无效');
+    }
+
+    await minioClient.completeMultipartUpload(session.bucket, session.object_name, session.upload_id, etags);
+
+    // 以实际对象大小为准，防止客户端上传超出声明大小的文件
+    const stat = await minioClient.statObject(session.bucket, session.object_name);
+    const policy = await this.getResourceUploadPolicy(user);
+
+    if (stat.size !== Number(session.file_size) || stat.size > policy.maxFileSize) {
+      await minioClient.removeObject(session.bucket, session.object_name);
+      await ResourceUploadSession.markClosed(session.id, 'aborted', `文件大小不匹配: ${stat.size}`);
+      throw new Error('上传文件大小与声明不一致，已删除');
+    }
+
+    let file;
+    try {
+      file = await ResourceFile.create({
+        resourceId: session.resource_id,
+        name: fileMeta.name || session.original_name,
+        url: getFileUrl(session.bucket, session.object_name),
+        fileSize: stat.size,
+        fileType: fileMeta.fileType || (session.content_type ? session.content_type.split('/')[0] : null),
+        fileExtension: session.file_extension,
+        quality: fileMeta.quality,
+        version: fileMeta.version,
+        language: fileMeta.language,
+        sortOrder: fileMeta.sortOrder || 0,
+        requiredPoints: fileMeta.requiredPoints || 0,
+        requiredVipLevel: fileMeta.requiredVipLevel || 0
+      });
+    } catch (error) {
+      await minioClient.removeObject(session.bucket, session.object_name);
+      await ResourceUploadSession.markClosed(session.id, 'aborted', error.message);
+      throw error;
+    }
+
+    await ResourceUploadSession.markCompleted(session.id, file.id);
+
+    logger.info(`资源文件分片上传完成: ${session.object_name}`, {
+      sessionId: session.id,
+      resourceFileId: file.id,
+      size: stat.size
+    });
+
+    return file;
+  }
+
+  /**
+   * 中止分片上传
+   * @param {Object} user - 当前用户
+   * @param {number} sessionId - 上传会话ID
+   * @returns {Promise<Object>} 更新后的会话
+   */
+  async abortResourceMultipartUpload(user, sessionId) {
+    const session = await this.getOwnedUploadingSession(user, sessionId);
+
+    await minioClient.abortMultipartUpload(session.bucket, session.object_name, session.upload_id);
+    return ResourceUploadSession.markClosed(session.id, 'aborted', '用户取消上传');
+  }
+
+  /**
+   * 清理孤儿分片上传
+   * 中止已过期的上传会话，并清理存储桶中超过保留期且未被系统登记的未完成上传
+   * @returns {Promise<Object>} { expiredSessions, strayUploads }
+   */
+  async abortOrphanedUploads() {
+    let expiredSessions = 0;
+    let strayUploads = 0;
+
+    const sessions = await ResourceUploadSession.findExpired();
+    for (const session of sessions) {
+      try {
+        await minioClient.abortMultipartUpload(session.bucket, session.object_name, session.upload_id);
+      } catch (error) {
+        // 上传可能已被MinIO自动清理，继续标记会话
+        logger.warn('中止过期分片上传失败', { sessionId: session.id, error: error.message });
+      }
+      await ResourceUploadSession.markClosed(session.id, 'expired', '上传超时未完成');
+      expiredSessions++;
+    }
+
+    const cutoff = Date.now() - UPLOAD_SESSION_TTL_HOURS * 2 * 60 * 60 * 1000;
+    const incompleteUploads = await this.listIncompleteResourceUploads();
+
+    for (const upload of incompleteUploads) {
+      if (!upload.initiated || new Date(upload.initiated).getTime() > cutoff) {
+        continue;
+      }
+
+      const tracked = await ResourceUploadSession.findByUploadId(upload.uploadId);
+      if (tracked && tracked.status === 'uploading') {
+        continue;
+      }
+
+      try {
+        await minioClient.abortMultipartUpload(BUCKETS.RESOURCES, upload.key, upload.uploadId);
+        strayUploads++;
+      } catch (error) {
+        logger.warn('中止孤儿分片上传失败', { key: upload.key, error: error.message });
+      }
+    }
+
+    return { expiredSessions, strayUploads };
+  }
+
+  /**
+   * 列出资源存储桶中的未完成分片上传
+   * @returns {Promise<Array>}
+   */
+  listIncompleteResourceUploads() {
+    return new Promise((resolve, reject) => {
+      const uploads = [];
+      const stream = minioClient.listIncompleteUploads(BUCKETS.RESOURCES, 'resources/', true);
+      stream.on('data', upload => uploads.push(upload));
+      stream.on('error', reject);
+      stream.on('end', () => resolve(uploads));
+    });
+  }
+
+  /**
+   * 计算分片大小，保证满足S3分片数量与大小限制
+   * @param {number} fileSize - 文件大小
+   * @param {number} [requestedPartSize] - 期望分片大小
+   * @returns {number}
+   */
+  resolvePartSize(fileSize, requestedPartSize) {
+    const requested = Number(requestedPartSize) || DEFAULT_PART_SIZE;
+    const minimumForSize = Math.ceil(fileSize / MAX_PARTS);
+    return Math.min(MAX_PART_SIZE, Math.max(MIN_PART_SIZE, requested, minimumForSize));
+  }
+
+  /**
+   * 为分片签发预签名PUT URL
+   * @param {Object} session - 上传会话
+   * @param {Array<number>} partNumbers - 分片序号
+   * @returns {Promise<Array>}
+   */
+  async signPartUrls(session, partNumbers) {
+    return Promise.all(partNumbers.map(async partNumber => ({
+      partNumber,
+      uploadUrl: await minioClient.presignedUrl(
+        'PUT',
+        session.bucket,
+        session.object_name,
+        PART_URL_EXPIRES_IN,
+        { partNumber: String(partNumber), uploadId: session.upload_id }
+      )
+    })));
+  }
+
+  /**
+   * 获取属于当前用户且仍在上传中的会话
+   * @param {Object} user - 当前用户
+   * @param {number} sessionId - 会话ID
+   * @returns {Promise<Object>}
+   */
+  async getOwnedUploadingSession(user, sessionId) {
+    const session = await ResourceUploadSession.findById(sessionId);
+
+    if (!session || session.user_id !== user.id) {
+      throw new Error('上传会话不存在');
+    }
+
+    if (session.status !== 'uploading') {
+      throw new Error('上传会话已结束');
+    }
+
+    if (new Date(session.expires_at).getTime() <= Date.now()) {
+      throw new Error('上传会话已过期');
+    }
+
+    return session;
+  }
+
+  /**
+   * 校验用户是否可以为资源上传文件（资源作者或管理员）
+   * @param {Object} user - 当前用户
+   * @param {number} resourceId - 资源ID
+   */
+  async assertResourceOwner(user, resourceId) {
+    const resource = await Resource.findById(resourceId);
+    if (!resource) {
+      throw new Error('资源不存在');
+    }
+
+    const roleNames = (user.roles || []).map(role => (typeof role === 'string' ? role : role.name));
+    if (resource.author_id !== user.id && !roleNames.includes('admin')) {
+      throw new Error('没有权限操作此资源');
+    }
+  }
+
+  /**
+   * 验证资源文件名（允许中文等字符，但禁止路径和控制字符）
+   * @param {string} fileName - 文件名
+   */
+  validateResourceFileName(fileName) {
+    if (!fileName || typeof fileName !== 'string') {
+      throw new Error('文件名不能为空');
+    }
+
+    if (/[\/\\\x00-\x1f]/.test(fileName) || fileName === '.' || fileName === '..') {
+      throw new Error('文件名包含非法字符');
+    }
+
+    if (fileName.length > 255) {
+      throw new Error('文件名不能超过255个字符');
+    }
+  }
+
   /**
    * 验证是否为图片类型
    * @param {string} contentType - MIME类型
@@ -0,0 +1,166 @@
+/**
+ * 资源推荐业务逻辑服务
+ * 定时任务重新计算资源共现与标签相似度、用户标签偏好；
+ * 相关资源与个性化推荐读取预计算结果，数据不足时用热门资源补足（冷启动）
+ */
+
+const BaseService = require('./BaseService');
+const ResourceRecommendation = require('../models/ResourceRecommendation');
+const Resource = require('../models/Resource');
+const { transaction, withAdvisoryLock } = require('../config/database');
+
+const RECOMMENDATION_LOCK_NAMESPACE = 41003;
+
+const REBUILD_OPTIONS = {
+  // 行为统计窗口（天）
+  windowDays: 180,
+  maxSignalsPerUser: 200,
+  maxTagResources: 500,
+  topN: 50,
+  coWeight: 0.7,
+  tagWeight: 0.3,
+  maxTagsPerUser: 30
+};
+
+const USER_OPTIONS = {
+  windowDays: 90,
+  maxSeeds: 50,
+  tagWeight: 0.5
+};
+
+const MAX_LIMIT = 50;
+const CACHE_TTL = 600;
+
+class RecommendationService extends BaseService {
+  constructor() {
+    super();
+  }
+
+  /**
+   * 重新计算推荐数据
+   * 多进程部署时通过咨询锁保证只有一个进程执行
+   * @returns {Promise<Object|null>} 计算结果；未获得锁时返回 null
+   */
+  async rebuild() {
+    return this.withPerformanceMonitoring('rebuild', async () => {
+      try {
+        const startedAt = Date.now();
+
+        const { acquired, result } = await withAdvisoryLock(RECOMMENDATION_LOCK_NAMESPACE, 0, () =>
+          transaction(async (client) => {
+            const similarities = await ResourceRecommendation.rebuildSimilarities(client, REBUILD_OPTIONS);
+            const affinities = await ResourceRecommendation.rebuildTagAffinities(client, REBUILD_OPTIONS);
+            return { similarities, affinities };
+          })
+        );
+
+        if (!acquired) {
+          return null;
+        }
+
+        await this.clearCache('recommendation:*');
+
+        const summary = { ...result, durationMs: Date.now() - startedAt };
+        this.log('info', '资源推荐数据计算完成', summary);
+
+        return summary;
+
+      } catch (error) {
+        this.handleError(error, 'rebuild');
+      }
+    });
+  }
+
+  /**
+   * 用热门资源补足推荐结果
+   * @param {Array} items - 已有推荐
+   * @param {number} limit
+   * @param {Set<number>} excludeIds - 不应出现的资源ID
+   * @returns {Promise<Array>}
+   */
+  async fillWithPopular(items, limit, excludeIds = new Set()) {
+    if (items.length >= limit) {
+      return items;
+    }
+
+    const taken = new Set([...excludeIds, ...items.map(item => item.id)]);
+    const popular = await Resource.getPopularResources({
+      period: 'all',
+      limit: Math.min(limit + taken.size, MAX_LIMIT)
+    });
+
+    const fallback = popular
+      .filter(resource => !taken.has(resource.id))
+      .slice(0, limit - items.length)
+      .map(resource => ({ ...resource, recommendation_score: null, recommendation_source: 'popular' }));
+
+    return [...items, ...fallback];
+  }
+
+  /**
+   * 获取相关资源
+   * @param {number} resourceId
+   * @param {Object} [options]
+   * @param {number} [options.limit=10]
+   */
+  async getRelatedResources(resourceId, { limit } = {}) {
+    return this.withPerformanceMonitoring('getRelatedResources', async () => {
+      try {
+        const resolvedLimit = Math.min(Math.max(parseInt(limit, 10) || 10, 1), MAX_LIMIT);
+
+        const resource = await Resource.findById(resourceId);
+        if (!resource || resource.status !== 'published' || !resource.is_public) {
+          throw new Error('资源不存在');
+        }
+
+        const resources = await this.getCached(`recommendation:related:${resourceId}:${resolvedLimit}`, async () => {
+          const related = await ResourceRecommendation.findRelated(resourceId, resolvedLimit);
+          const items = related.map(item => ({ ...item, recommendation_source: 'related' }));
+          return this.fillWithPopular(items, resolvedLimit, new Set([resourceId]));
+        }, CACHE_TTL);
+
+        return this.formatSuccessResponse({ resource_id: resourceId, resources }, '获取相关资源成功');
+
+      } catch (error) {
+        this.handleError(error, 'getRelatedResources');
+      }
+    });
+  }
+
+  /**
+   * 获取当前用户的个性化推荐
+   * 没有行为数据的新用户直接返回热门资源
+   * @param {number} userId
+   * @param {Object} [options]
+   * @param {number} [options.limit=20]
+   */
+  async getRecommendedResources(userId, { limit } = {}) {
+    return this.withPerformanceMonitoring('getRecommendedResources', async () => {
+      try {
+        this.validateRequired({ userId }, ['userId']);
+
+        const resolvedLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_LIMIT);
+
+        const data = await this.getCached(`recommendation:user:${userId}:${resolvedLimit}`, async () => {
+          const recommended = await ResourceRecommendation.findRecommendedForUser(userId, {
+            ...USER_OPTIONS,
+            limit: resolvedLimit
+          });
+          const items = recommended.map(item => ({ ...item, recommendation_source: 'personalized' }));
+
+          return {
+            cold_start: items.length === 0,
+            resources: await this.fillWithPopular(items, resolvedLimit)
+          };
+        }, CACHE_TTL);
+
+        return this.formatSuccessResponse(data, '获取推荐资源成功');
+
+      } catch (error) {
+        this.handleError(error, 'getRecommendedResources');
+      }
+    });
+  }
+}
+
+module.exports = new RecommendationService();
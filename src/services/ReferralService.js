@@ -689,8 +689,10 @@ class ReferralService extends BaseService {
           }
           finalEventType = 'first_recharge';
         } else {
-          const hasPrevious = order ? await Referral.hasPaidCardKeyOrder(inviteeId, order.id) :
-            await Referral.hasPaidCardKeyOrder(inviteeId);
+          // 在线支付订单按全部已支付订单判断续费，卡密兑换沿用卡密订单口径
+          const isOnlineOrder = order && order.payment_method && order.payment_method !== 'card_key';
+          const hasPrevious = isOnlineOrder ? await Referral.hasPaidOrder(inviteeId, order.id) :
+            await Referral.hasPaidCardKeyOrder(inviteeId, order?.id);
           finalEventType = hasPrevious ? 'renewal' : 'first_recharge';
           rate = finalEventType === 'first_recharge' ? Number(config.first_rate || 0) : Number(config.renewal_rate || 0);
         }
@@ -733,7 +735,7 @@ class ReferralService extends BaseService {
   }
 
   /**
-   * 计算卡密订单的参考金额
+   * 计算订单的参考金额
   */
   async calculateOrderAmount(order, cardKey) {
     if (cardKey) {
@@ -745,6 +747,11 @@ class ReferralService extends BaseService {
       return await VIP.calculateCardKeyPrice(cardKey);
     }
 
+    // 在线支付订单按实付金额计算
+    if (order.payment_method && order.payment_method !== 'card_key' && Number(order.price) > 0) {
+      return Number(Number(order.price).toFixed(2));
+    }
+
     const vipLevel = await VIP.getLevelById(order.vip_level);
     const price = Number(vipLevel?.price || 0);
     return price > 0 ? Number(price.toFixed(2)) : 0;
@@ -0,0 +1,304 @@
+/**
+ * 资源发布业务逻辑服务
+ * 统一计算创建/编辑资源时的目标状态：立即发布、定时发布（publish_at）或提交审核；
+ * 审核开启时没有发布权限的创作者发布的资源先进入 pending_review，由管理员审核通过或驳回；
+ * 定时任务发布到期的资源并通知作者粉丝
+ */
+
+const BaseService = require('./BaseService');
+const NotificationService = require('./NotificationService');
+const FeedService = require('./FeedService');
+const Resource = require('../models/Resource');
+const User = require('../models/User');
+const SystemSetting = require('../models/SystemSetting');
+
+const STATUSES = ['draft', 'pending_review', 'rejected', 'scheduled', 'published', 'archived', 'banned', 'deleted'];
+
+// 没有发布权限的创作者可以请求的状态
+const AUTHOR_STATUSES = ['draft', 'published', 'scheduled'];
+
+// 拥有以下任一权限的用户视为官方创作者，发布无需审核
+const REVIEW_EXEMPT_PERMISSIONS = ['resource:publish', 'resource:publish_official'];
+
+// 审核通过后修改这些字段需要重新审核
+const REVIEWED_FIELDS = ['title', 'description', 'content'];
+
+// 处于这些状态的资源已通过审核
+const REVIEWED_STATUSES = ['published', 'scheduled'];
+
+// 资源变更后需清理的缓存
+const RESOURCE_CACHE_PATTERNS = ['resources:*', 'api:*resources*', 'resource:*', 'stats:*'];
+
+class ResourcePublishingService extends BaseService {
+  constructor() {
+    super();
+  }
+
+  get STATUSES() {
+    return STATUSES;
+  }
+
+  /**
+   * 判断用户发布资源是否需要审核
+   * @param {number} userId
+   * @returns {Promise<boolean>}
+   */
+  async requiresReview(userId) {
+    const policy = await SystemSetting.getResourceReviewPolicy();
+    if (!policy.enabled) {
+      return false;
+    }
+
+    const permissions = await User.getUserPermissions(userId);
+    return !permissions.some(permission => REVIEW_EXEMPT_PERMISSIONS.includes(permission.name));
+  }
+
+  /**
+   * 计算资源的目标发布状态
+   * status 为 published 且 publish_at 晚于当前时间时按定时发布处理；需要审核时发布与定时发布都转为待审核，
+   * 审核通过后再按 publish_at 决定立即发布还是定时发布
+   * @param {Object} params
+   * @param {string} params.requestedStatus - 请求的状态
+   * @param {string|Date} [params.publishAt] - 定时发布时间
+   * @param {boolean} params.canPublishDirectly - 是否拥有发布权限（可设置任意状态）
+   * @param {boolean} params.needsReview - 是否需要审核
+   * @param {Object} [params.current] - 编辑时的当前资源
+   * @returns {Object} 需写入的状态字段 { status, publish_at, published_at?, submitted_at? }
+   */
+  resolvePublishState({ requestedStatus, publishAt, canPublishDirectly, needsReview, current = null }) {
+    const allowed = canPublishDirectly ? STATUSES : AUTHOR_STATUSES;
+    if (!allowed.includes(requestedStatus)) {
+      throw new Error(canPublishDirectly ? '无效的资源状态' : '无权设置该资源状态');
+    }
+
+    const now = new Date();
+    let publishAtDate = null;
+    if (publishAt !== undefined && publishAt !== null && publishAt !== '') {
+      publishAtDate = new Date(publishAt);
+      if (Number.isNaN(publishAtDate.getTime())) {
+        throw new Error('定时发布时间格式不正确');
+      }
+    }
+
+    let status = requestedStatus;
+    if (status === 'published' && publishAtDate && publishAtDate > now) {
+      status = 'scheduled';
+    }
+
+    if (status === 'scheduled') {
+      if (!publishAtDate) {
+        throw new Error('定时发布需要设置发布时间');
+      }
+      if (publishAtDate <= now) {
+        throw new Error('定时发布时间必须晚于当前时间');
+      }
+    }
+
+    if (needsReview && (status === 'published' || status === 'scheduled')) {
+      return {
+        status: 'pending_review',
+        publish_at: status === 'scheduled' ? publishAtDate : null,
+        published_at: null,
+        submitted_at: now,
+        review_note: null
+      };
+    }
+
+    const state = {
+      status,
+      publish_at: status === 'scheduled' ? publishAtDate : null
+    };
+
+    if (status !== 'published') {
+      state.published_at = null;
+    } else if (!current || current.status !== 'published') {
+      state.published_at = now;
+    }
+
+    return state;
+  }
+
+  /**
+   * 需要审核的创作者修改已发布或定时发布资源的标题、描述、正文时，计算重新提交审核的状态字段
+   * 未到期的定时发布时间保留，审核通过后继续按计划发布
+   * @param {Object} resource - 当前资源
+   * @param {Object} changes - 将写入的字段
+   * @param {boolean} needsReview - 是否需要审核
+   * @returns {Object|null} 需写入的状态字段，无需重新审核时返回 null
+   */
+  resolveResubmitState(resource, changes, needsReview) {
+    if (!needsReview || !REVIEWED_STATUSES.includes(resource.status)) {
+      return null;
+    }
+
+    const changed = REVIEWED_FIELDS.some(field => Object.prototype.hasOwnProperty.call(changes, field)
+      && (changes[field] ?? null) !== (resource[field] ?? null));
+    if (!changed) {
+      return null;
+    }
+
+    const publishAt = resource.status === 'scheduled' && resource.publish_at && new Date(resource.publish_at) > new Date()
+      ? resource.publish_at
+      : null;
+
+    return {
+      ...this.resolvePublishState({
+        requestedStatus: 'published',
+        publishAt,
+        canPublishDirectly: false,
+        needsReview: true,
+        current: resource
+      }),
+      is_public: false
+    };
+  }
+
+  /**
+   * 通知作者审核结果
+   * @param {Object} resource
+   * @param {number} reviewerId
+   * @param {boolean} approved
+   */
+  async notifyReviewResult(resource, reviewerId, approved) {
+    const outcome = approved
+      ? (resource.status === 'scheduled' ? '已通过审核，将按计划时间发布' : '已通过审核并发布')
+      : '未通过审核';
+    const note = resource.review_note ? `：${resource.review_note}` : '';
+
+    await NotificationService.createNotification({
+      user_id: resource.author_id,
+      type: NotificationService.TYPES.RESOURCE_REVIEW_RESULT,
+      title: approved ? '资源审核通过' : '资源审核未通过',
+      content: `你的资源「${resource.title}」${outcome}${note}`,
+      related_type: 'resource',
+      related_id: resource.id,
+      sender_id: reviewerId
+    });
+  }
+
+  /**
+   * 审核通过：设置了未到期的 publish_at 时进入定时发布，否则立即发布
+   * @param {number} id
+   * @param {number} reviewerId
+   * @param {Object} [options]
+   * @param {string} [options.note] - 审核意见
+   * @param {boolean} [options.isPublic=true] - 是否公开
+   */
+  async approveResource(id, reviewerId, { note = null, isPublic } = {}) {
+    return this.withPerformanceMonitoring('approveResource', async () => {
+      try {
+        const current = await Resource.findById(id);
+        if (!current) {
+          throw new Error('资源不存在');
+        }
+
+        const now = new Date();
+        const scheduled = Boolean(current.publish_at && new Date(current.publish_at) > now);
+
+        const resource = await Resource.transition(id, ['pending_review'], scheduled ? 'scheduled' : 'published', {
+          is_public: typeof isPublic === 'boolean' ? isPublic : true,
+          published_at: scheduled ? null : now,
+          reviewed_by: reviewerId,
+          reviewed_at: now,
+          review_note: note
+        });
+
+        if (!resource) {
+          throw new Error('只有待审核的资源可以审核');
+        }
+
+        await this.notifyReviewResult(resource, reviewerId, true);
+        this.log('info', '资源审核通过', { resourceId: id, reviewerId, status: resource.status });
+
+        return this.formatSuccessResponse(
+          resource,
+          scheduled ? '资源已通过审核，将按计划时间发布' : '资源已通过审核并发布'
+        );
+
+      } catch (error) {
+        this.handleError(error, 'approveResource');
+      }
+    });
+  }
+
+  /**
+   * 驳回资源，创作者修改后可重新提交
+   * @param {number} id
+   * @param {number} reviewerId
+   * @param {string} note - 驳回原因
+   */
+  async rejectResource(id, reviewerId, note) {
+    return this.withPerformanceMonitoring('rejectResource', async () => {
+      try {
+        if (!note || !String(note).trim()) {
+          throw new Error('请填写驳回原因');
+        }
+
+        const current = await Resource.findById(id);
+        if (!current) {
+          throw new Error('资源不存在');
+        }
+
+        const resource = await Resource.transition(id, ['pending_review'], 'rejected', {
+          reviewed_by: reviewerId,
+          reviewed_at: new Date(),
+          review_note: String(note).trim()
+        });
+
+        if (!resource) {
+          throw new Error('只有待审核的资源可以审核');
+        }
+
+        await this.notifyReviewResult(resource, reviewerId, false);
+        this.log('info', '资源审核驳回', { resourceId: id, reviewerId });
+
+        return this.formatSuccessResponse(resource, '资源已驳回');
+
+      } catch (error) {
+        this.handleError(error, 'rejectResource');
+      }
+    });
+  }
+
+  /**
+   * 发布到期的定时资源
+   * @param {Object} [options]
+   * @param {number} [options.limit=100] - 单次最多发布数
+   * @returns {Promise<Object>} { published }
+   */
+  async publishDueResources({ limit = 100 } = {}) {
+    return this.withPerformanceMonitoring('publishDueResources', async () => {
+      try {
+        const resources = await Resource.publishDue(limit);
+
+        if (resources.length === 0) {
+          return { published: 0 };
+        }
+
+        for (const resource of resources) {
+          if (resource.is_public) {
+            FeedService.notifyFollowersOfPublishAsync({
+              authorId: resource.author_id,
+              targetType: 'resource',
+              targetId: resource.id,
+              title: resource.title
+            });
+          }
+        }
+
+        for (const pattern of RESOURCE_CACHE_PATTERNS) {
+          await this.clearCache(pattern);
+        }
+
+        this.log('info', '定时资源已发布', { resourceIds: resources.map(resource => resource.id) });
+
+        return { published: resources.length };
+
+      } catch (error) {
+        this.handleError(error, 'publishDueResources');
+      }
+    });
+  }
+}
+
+module.exports = new ResourcePublishingService();
@@ -0,0 +1,315 @@
+/**
+ * 资源修订业务逻辑服务
+ * 每次保存标题、描述、正文时生成修订快照，支持自动保存草稿、修订间逐行比较和恢复历史修订
+ */
+
+const BaseService = require('./BaseService');
+const ResourceRevision = require('../models/ResourceRevision');
+const Resource = require('../models/Resource');
+const ResourcePublishingService = require('./ResourcePublishingService');
+const { diffLines } = require('../utils/textDiff');
+
+const MAX_TITLE_LENGTH = 255;
+
+// 比较对象：current 为资源当前内容，previous 为上一条正式修订
+const COMPARE_TARGETS = ['current', 'previous'];
+
+class ResourceRevisionService extends BaseService {
+  constructor() {
+    super();
+  }
+
+  /**
+   * 取资源或修订的快照字段
+   * @param {Object} source
+   * @returns {Object} { title, description, content }
+   */
+  snapshotOf(source) {
+    const snapshot = {};
+    for (const field of ResourceRevision.SNAPSHOT_FIELDS) {
+      snapshot[field] = source[field] ?? null;
+    }
+    return snapshot;
+  }
+
+  /**
+   * 判断两个快照内容是否一致
+   * @param {Object} a
+   * @param {Object} b
+   * @returns {boolean}
+   */
+  isSameSnapshot(a, b) {
+    return ResourceRevision.SNAPSHOT_FIELDS.every(field => (a[field] ?? null) === (b[field] ?? null));
+  }
+
+  /**
+   * 保存资源后记录修订，内容与最新修订一致时跳过；同时清除该用户的自动保存
+   * 修订记录失败不影响资源保存，仅记录日志
+   * @param {Object} resource - 保存后的资源
+   * @param {string} source - create/update
+   * @param {number} userId - 操作人
+   * @returns {Promise<Object|null>} 新增的修订
+   */
+  async captureRevision(resource, source, userId) {
+    try {
+      const snapshot = this.snapshotOf(resource);
+      const latest = await ResourceRevision.findLatest(resource.id);
+
+      const revision = latest && this.isSameSnapshot(latest, snapshot)
+        ? null
+        : await ResourceRevision.create({ resourceId: resource.id, source, snapshot, createdBy: userId });
+
+      await ResourceRevision.deleteAutosave(resource.id, userId);
+
+      return revision;
+
+    } catch (error) {
+      this.log('error', '记录资源修订失败', { resourceId: resource.id, source, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 自动保存编辑中的内容，未提交的字段沿用资源当前值
+   * @param {Object} resource - 当前资源
+   * @param {number} userId
+   * @param {Object} data - { title, description, content }
+   */
+  async autosave(resource, userId, data) {
+    return this.withPerformanceMonitoring('autosave', async () => {
+      try {
+        const snapshot = this.snapshotOf(resource);
+        for (const field of ResourceRevision.SNAPSHOT_FIELDS) {
+          if (data[field] !== undefined) {
+            snapshot[field] = data[field] === null ? null : String(data[field]);
+          }
+        }
+
+        if (!snapshot.title || !snapshot.title.trim()) {
+          throw new Error('标题不能为空');
+        }
+        if (snapshot.title.length > MAX_TITLE_LENGTH) {
+          throw new Error(`标题不能超过${MAX_TITLE_LENGTH}个字符`);
+        }
+
+        const saved = await ResourceRevision.upsertAutosave(resource.id, userId, snapshot);
+
+        return this.formatSuccessResponse(saved, '自动保存成功');
+
+      } catch (error) {
+        this.handleError(error, 'autosave');
+      }
+    });
+  }
+
+  /**
+   * 获取用户的自动保存，附带是否晚于资源最近一次保存
+   * @param {Object} resource - 当前资源
+   * @param {number} userId
+   */
+  async getAutosave(resource, userId) {
+    return this.withPerformanceMonitoring('getAutosave', async () => {
+      try {
+        const autosave = await ResourceRevision.findAutosave(resource.id, userId);
+
+        return this.formatSuccessResponse(
+          autosave
+            ? { ...autosave, is_newer: new Date(autosave.updated_at) > new Date(resource.updated_at) }
+            : null,
+          '获取自动保存成功'
+        );
+
+      } catch (error) {
+        this.handleError(error, 'getAutosave');
+      }
+    });
+  }
+
+  /**
+   * 丢弃用户的自动保存
+   * @param {number} resourceId
+   * @param {number} userId
+   */
+  async discardAutosave(resourceId, userId) {
+    return this.withPerformanceMonitoring('discardAutosave', async () => {
+      try {
+        await ResourceRevision.deleteAutosave(resourceId, userId);
+        return this.formatSuccessResponse(null, '自动保存已丢弃');
+      } catch (error) {
+        this.handleError(error, 'discardAutosave');
+      }
+    });
+  }
+
+  /**
+   * 分页获取修订历史
+   * @param {number} resourceId
+   * @param {Object} [options] - { page, limit }
+   */
+  async listRevisions(resourceId, options = {}) {
+    return this.withPerformanceMonitoring('listRevisions', async () => {
+      try {
+        const { page, limit } = this.normalizePaginationParams(options.page, options.limit);
+        const result = await ResourceRevision.findByResourceId(resourceId, { page, limit });
+
+        return this.formatSuccessResponse(result, '获取修订历史成功');
+
+      } catch (error) {
+        this.handleError(error, 'listRevisions');
+      }
+    });
+  }
+
+  /**
+   * 获取修订详情
+   * @param {number} resourceId
+   * @param {number} revisionId
+   */
+  async getRevision(resourceId, revisionId) {
+    return this.withPerformanceMonitoring('getRevision', async () => {
+      try {
+        const revision = await ResourceRevision.findById(resourceId, revisionId);
+        if (!revision) {
+          throw new Error('修订不存在');
+        }
+
+        return this.formatSuccessResponse(revision, '获取修订成功');
+
+      } catch (error) {
+        this.handleError(error, 'getRevision');
+      }
+    });
+  }
+
+  /**
+   * 比较修订与资源当前内容、上一条修订或另一条修订
+   * 结果总是从较早的一方到较新的一方
+   * @param {Object} resource - 当前资源
+   * @param {number} revisionId
+   * @param {string|number} [compareTo='current'] - current、previous 或修订ID
+   */
+  async diffRevision(resource, revisionId, compareTo = 'current') {
+    return this.withPerformanceMonitoring('diffRevision', async () => {
+      try {
+        const revision = await ResourceRevision.findById(resource.id, revisionId);
+        if (!revision) {
+          throw new Error('修订不存在');
+        }
+
+        const describe = (item) => ({
+          id: item.id,
+          revision_number: item.revision_number,
+          source: item.source,
+          updated_at: item.updated_at
+        });
+
+        let from;
+        let to;
+        let fromSnapshot;
+        let toSnapshot;
+
+        if (compareTo === 'current') {
+          from = describe(revision);
+          to = { id: null, revision_number: null, source: 'current', updated_at: resource.updated_at };
+          fromSnapshot = revision;
+          toSnapshot = resource;
+        } else {
+          let other;
+          if (compareTo === 'previous') {
+            if (!revision.revision_number) {
+              throw new Error('自动保存没有上一条修订');
+            }
+            other = await ResourceRevision.findPrevious(resource.id, revision.revision_number);
+            if (!other) {
+              throw new Error('没有上一条修订');
+            }
+          } else {
+            const otherId = parseInt(compareTo, 10);
+            if (!(otherId > 0)) {
+              throw new Error(`compare_to 只能为 ${COMPARE_TARGETS.join('、')} 或修订ID`);
+            }
+            other = await ResourceRevision.findById(resource.id, otherId);
+            if (!other) {
+              throw new Error('修订不存在');
+            }
+          }
+
+          const [older, newer] = new Date(other.updated_at) <= new Date(revision.updated_at)
+            ? [other, revision]
+            : [revision, other];
+          from = describe(older);
+          to = describe(newer);
+          fromSnapshot = older;
+          toSnapshot = newer;
+        }
+
+        const fields = {};
+        for (const field of ResourceRevision.SNAPSHOT_FIELDS) {
+          fields[field] = diffLines(fromSnapshot[field], toSnapshot[field]);
+        }
+
+        return this.formatSuccessResponse({
+          from,
+          to,
+          changed: Object.values(fields).some(diff => diff.changed),
+          fields
+        }, '获取修订差异成功');
+
+      } catch (error) {
+        this.handleError(error, 'diffRevision');
+      }
+    });
+  }
+
+  /**
+   * 将资源内容恢复为指定修订，并记录一条恢复修订
+   * 需要审核的创作者恢复已发布资源时，资源重新进入待审核
+   * @param {Object} resource - 当前资源
+   * @param {number} revisionId
+   * @param {number} userId - 操作人
+   */
+  async restoreRevision(resource, revisionId, userId) {
+    return this.withPerformanceMonitoring('restoreRevision', async () => {
+      try {
+        const revision = await ResourceRevision.findById(resource.id, revisionId);
+        if (!revision) {
+          throw new Error('修订不存在');
+        }
+
+        const snapshot = this.snapshotOf(revision);
+        if (this.isSameSnapshot(resource, snapshot)) {
+          throw new Error('资源内容与该修订一致，无需恢复');
+        }
+
+        const needsReview = await ResourcePublishingService.requiresReview(userId);
+        const updated = await Resource.update(resource.id, {
+          ...snapshot,
+          ...ResourcePublishingService.resolveResubmitState(resource, snapshot, needsReview)
+        });
+        const restored = await ResourceRevision.create({
+          resourceId: resource.id,
+          source: 'restore',
+          snapshot,
+          createdBy: userId,
+          restoredFrom: revision.id
+        });
+
+        await ResourceRevision.deleteAutosave(resource.id, userId);
+
+        this.log('info', '资源已恢复到历史修订', {
+          resourceId: resource.id,
+          revisionId: revision.id,
+          restoredRevisionId: restored.id,
+          userId
+        });
+
+        return this.formatSuccessResponse({ resource: updated, revision: restored }, '已恢复到该修订');
+
+      } catch (error) {
+        this.handleError(error, 'restoreRevision');
+      }
+    });
+  }
+}
+
+module.exports = new ResourceRevisionService();
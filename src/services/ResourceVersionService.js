@@ -0,0 +1,304 @@
+/**
+ * 资源版本业务逻辑服务
+ * 创作者发布带更新说明的新版本，旧版本文件可保留下载或弃用；
+ * 发布后分块通知下载过、收藏过该资源的用户
+ */
+
+const BaseService = require('./BaseService');
+const NotificationService = require('./NotificationService');
+const ResourceVersion = require('../models/ResourceVersion');
+const Resource = require('../models/Resource');
+const SystemSetting = require('../models/SystemSetting');
+
+// 每块通知的用户数
+const NOTIFY_CHUNK_SIZE = 500;
+
+const PREVIOUS_FILE_MODES = ['keep', 'deprecate'];
+const MAX_VERSION_LENGTH = 20;
+const MAX_CHANGELOG_LENGTH = 5000;
+
+class ResourceVersionService extends BaseService {
+  constructor() {
+    super();
+  }
+
+  /**
+   * 判断用户能否查看未公开资源的版本
+   * @param {Object} resource
+   * @param {Object} [viewer] - 当前用户 { id, roles }
+   * @returns {boolean}
+   */
+  canManage(resource, viewer) {
+    if (!viewer) {
+      return false;
+    }
+    const roles = viewer.roles || [];
+    return resource.author_id === viewer.id || roles.includes('admin') || roles.includes('super_admin');
+  }
+
+  /**
+   * 获取资源的版本历史
+   * 未发布或非公开资源仅作者和管理员可见
+   * @param {number} resourceId
+   * @param {Object} [viewer] - 当前用户 { id, roles }
+   */
+  async getVersions(resourceId, viewer = null) {
+    return this.withPerformanceMonitoring('getVersions', async () => {
+      try {
+        const resource = await Resource.findById(resourceId);
+        const isPublic = resource && resource.status === 'published' && resource.is_public;
+        if (!resource || (!isPublic && !this.canManage(resource, viewer))) {
+          throw new Error('资源不存在');
+        }
+
+        const versions = await ResourceVersion.findByResourceId(resourceId);
+
+        return this.formatSuccessResponse({
+          resource_id: resourceId,
+          current_version: versions.find(version => version.status === 'current') || null,
+          versions
+        }, '获取版本历史成功');
+
+      } catch (error) {
+        this.handleError(error, 'getVersions');
+      }
+    });
+  }
+
+  /**
+   * 发布新版本
+   * @param {number} resourceId
+   * @param {Object} data
+   * @param {string} data.version - 版本号，同一资源内唯一
+   * @param {string} [data.changelog] - 更新说明
+   * @param {Array<number>} data.file_ids - 归入新版本的文件
+   * @param {string} [data.previous_files='keep'] - keep 保留旧文件可下载，deprecate 弃用旧文件
+   * @param {boolean} [data.notify=true] - 是否通知下载过、收藏过的用户
+   * @param {number} operatorId - 操作人
+   */
+  async publishVersion(resourceId, data, operatorId) {
+    return this.withPerformanceMonitoring('publishVersion', async () => {
+      try {
+        this.validateRequired(data, ['version', 'file_ids']);
+
+        const version = String(data.version).trim();
+        if (!version || version.length > MAX_VERSION_LENGTH) {
+          throw new Error(`版本号不能为空且不超过${MAX_VERSION_LENGTH}个字符`);
+        }
+
+        const changelog = data.changelog ? String(data.changelog).trim() : null;
+        if (changelog && changelog.length > MAX_CHANGELOG_LENGTH) {
+          throw new Error(`更新说明不能超过${MAX_CHANGELOG_LENGTH}个字符`);
+        }
+
+        const previousFiles = data.previous_files || 'keep';
+        if (!PREVIOUS_FILE_MODES.includes(previousFiles)) {
+          throw new Error('previous_files 只能为 keep 或 deprecate');
+        }
+
+        const fileIds = Array.isArray(data.file_ids)
+          ? [...new Set(data.file_ids.map(id => parseInt(id, 10)))]
+          : [];
+        if (fileIds.length === 0 || fileIds.some(id => !(id > 0))) {
+          throw new Error('请选择新版本包含的文件');
+        }
+
+        const released = await this.executeInTransaction(async (client) => {
+          const resource = await ResourceVersion.lockResource(client, resourceId);
+          if (!resource) {
+            throw new Error('资源不存在');
+          }
+
+          if (await ResourceVersion.findByVersion(client, resourceId, version)) {
+            throw new Error('版本号已存在');
+          }
+
+          await ResourceVersion.retirePrevious(client, resourceId, previousFiles === 'deprecate');
+
+          const created = await ResourceVersion.create(client, {
+            resourceId,
+            version,
+            changelog,
+            createdBy: operatorId
+          });
+
+          const assigned = await ResourceVersion.assignFiles(client, created, fileIds);
+          if (assigned.length !== fileIds.length) {
+            throw new Error('文件不存在或不属于该资源');
+          }
+
+          const deprecatedFiles = previousFiles === 'deprecate'
+            ? await ResourceVersion.deprecateFilesExcept(client, resourceId, created.id)
+            : 0;
+
+          return { ...created, file_count: assigned.length, deprecated_files: deprecatedFiles };
+        });
+
+        this.log('info', '资源新版本已发布', {
+          resourceId,
+          versionId: released.id,
+          version,
+          previousFiles,
+          operatorId
+        });
+
+        if (data.notify !== false) {
+          this.notifyVersionUpdateAsync(released.id);
+        }
+
+        return this.formatSuccessResponse(released, '新版本发布成功');
+
+      } catch (error) {
+        if (error.code === '23505') {
+          throw new Error('版本号已存在');
+        }
+        this.handleError(error, 'publishVersion');
+      }
+    });
+  }
+
+  /**
+   * 弃用历史版本，其文件不再提供下载
+   * @param {number} resourceId
+   * @param {number} versionId
+   * @param {number} operatorId - 操作人
+   */
+  async deprecateVersion(resourceId, versionId, operatorId) {
+    return this.withPerformanceMonitoring('deprecateVersion', async () => {
+      try {
+        const deprecated = await this.executeInTransaction(async (client) => {
+          const version = await ResourceVersion.findById(versionId, client);
+          if (!version || version.resource_id !== resourceId) {
+            throw new Error('版本不存在');
+          }
+          if (version.status === 'current') {
+            throw new Error('当前版本不能弃用，请先发布新版本');
+          }
+          if (version.status === 'deprecated') {
+            return version;
+          }
+
+          return ResourceVersion.deprecate(client, versionId);
+        });
+
+        this.log('info', '资源版本已弃用', { resourceId, versionId, operatorId });
+
+        return this.formatSuccessResponse(deprecated, '版本已弃用');
+
+      } catch (error) {
+        this.handleError(error, 'deprecateVersion');
+      }
+    });
+  }
+
+  /**
+   * 通知下载过、收藏过该资源的用户有新版本
+   * 每个版本只通知一次；资源未发布或非公开时不通知
+   * @param {number} versionId
+   * @returns {Promise<number>} 成功写入通知的用户数
+   */
+  async notifyVersionUpdate(versionId) {
+    const policy = await SystemSetting.getResourceVersionUpdatePolicy();
+    if (!policy.notify_downloaders && !policy.notify_favoriters) {
+      return 0;
+    }
+
+    const version = await ResourceVersion.findById(versionId);
+    if (!version || version.status !== 'current') {
+      return 0;
+    }
+
+    const resource = await Resource.findById(version.resource_id);
+    if (!resource || resource.status !== 'published' || !resource.is_public) {
+      return 0;
+    }
+
+    const claim = await ResourceVersion.claimNotification(version.id);
+    if (!claim) {
+      return 0;
+    }
+
+    const content = version.changelog
+      ? version.changelog.slice(0, 200)
+      : '资源已更新，可前往下载最新版本';
+    let recipients = 0;
+    let afterId = 0;
+
+    while (true) {
+      const userIds = await ResourceVersion.findUpdateRecipientIdsAfter(resource.id, {
+        downloaders: policy.notify_downloaders,
+        favoriters: policy.notify_favoriters,
+        excludeUserId: resource.author_id
+      }, afterId, NOTIFY_CHUNK_SIZE);
+
+      if (userIds.length === 0) {
+        break;
+      }
+
+      // 逐块等待写入，避免下载、收藏用户较多时同时排队大量插入占满连接池
+      const created = await NotificationService.createBatchNotifications(userIds.map(userId => ({
+        user_id: userId,
+        type: NotificationService.TYPES.RESOURCE_VERSION_UPDATE,
+        title: `「${resource.title}」发布了新版本 ${version.version}`,
+        content,
+        related_type: 'resource',
+        related_id: resource.id,
+        sender_id: version.created_by
+      })));
+
+      recipients += created;
+      afterId = userIds[userIds.length - 1];
+
+      if (userIds.length < NOTIFY_CHUNK_SIZE) {
+        break;
+      }
+    }
+
+    await ResourceVersion.finishNotification(version.id, recipients);
+
+    this.log('info', '资源更新通知已发送', { resourceId: resource.id, versionId, recipients });
+
+    return recipients;
+  }
+
+  /**
+   * 异步发送更新通知，不阻塞发布流程
+   * @param {number} versionId
+   */
+  notifyVersionUpdateAsync(versionId) {
+    setImmediate(async () => {
+      try {
+        await this.notifyVersionUpdate(versionId);
+      } catch (error) {
+        this.log('error', '资源更新通知发送失败', { versionId, error: error.message });
+      }
+    });
+  }
+
+  /**
+   * 判断用户下载该版本文件是否可免费（版本发布前已付费下载过同一资源）
+   * @param {Object} file - 文件对象
+   * @param {number} userId
+   * @returns {Promise<Object|null>} 可免费时返回 { version_id, version }
+   */
+  async findFreeRedownload(file, userId) {
+    if (!file.version_id) {
+      return null;
+    }
+
+    const policy = await SystemSetting.getResourceVersionUpdatePolicy();
+    if (!policy.free_redownload) {
+      return null;
+    }
+
+    const purchase = await ResourceVersion.findPaidPurchaseBeforeRelease(
+      userId,
+      file.version_id,
+      policy.redownload_window_days
+    );
+
+    return purchase ? { version_id: purchase.version_id, version: purchase.version } : null;
+  }
+}
+
+module.exports = new ResourceVersionService();
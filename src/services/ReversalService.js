@@ -0,0 +1,326 @@
+/**
+ * 订单冲正业务逻辑服务
+ * 订单退款、拒付或卡密兑换后被撤销时，回收该订单发放的权益：
+ * 缩短/取消VIP时间、通过 PointsService 回收积分、扣减下载次数、撤销或冲减待结算佣金，
+ * 并写入 order_reversals、points_audit_logs 与 system_operation_logs
+ */
+
+const BaseService = require('./BaseService');
+const VipService = require('./VipService');
+const PointsService = require('./PointsService');
+const OrderReversal = require('../models/OrderReversal');
+const CardKey = require('../models/CardKey');
+const Referral = require('../models/Referral');
+const VIP = require('../models/VIP');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+
+const SOURCE_LABELS = {
+  refund: '订单退款',
+  chargeback: '支付拒付',
+  card_revoke: '卡密撤销'
+};
+
+class ReversalService extends BaseService {
+  constructor() {
+    super();
+  }
+
+  /**
+   * 冲正订单发放的权益
+   * 在调用方事务中执行；reference 重复时不做任何处理并返回 null
+   * @param {Object} client - 事务连接
+   * @param {Object} params
+   * @param {Object} [params.order] - orders 记录，卡密无订单记录时为空
+   * @param {Object} [params.cardKey] - card_keys 记录（卡密兑换订单）
+   * @param {number} params.userId - 权益获得者
+   * @param {string} params.source - refund/chargeback/card_revoke
+   * @param {string} params.reference - 幂等键，如 refund:<退款单号>
+   * @param {number} [params.ratio=1] - 回收比例（部分退款金额 / 订单金额）
+   * @param {string} [params.reason]
+   * @param {number} [params.operatorId]
+   * @returns {Promise<Object|null>} 冲正记录
+   */
+  async applyReversal(client, { order = null, cardKey = null, userId, source, reference, ratio = 1, reason = null, operatorId = null }) {
+    const normalizedRatio = Math.min(Math.max(Number(ratio) || 0, 0.0001), 1);
+    const isFull = normalizedRatio >= 1;
+    const label = SOURCE_LABELS[source];
+    const subject = order ? `订单${order.order_no}` : `卡密${cardKey.code}`;
+
+    const reversal = await OrderReversal.claim(client, {
+      reference,
+      source,
+      orderId: order?.id || null,
+      cardKeyId: cardKey?.id || null,
+      userId,
+      ratio: Number(normalizedRatio.toFixed(4)),
+      reason,
+      operatorId
+    });
+
+    if (!reversal) {
+      return null;
+    }
+
+    const outcome = {
+      vipDaysReversed: 0,
+      vipCancelled: false,
+      pointsReversed: 0,
+      pointsShortfall: 0,
+      downloadCreditsReversed: 0,
+      commissions: []
+    };
+
+    // VIP：卡密订单兑换即发放，在线支付订单仅在已履约时回收
+    const vipLevel = order ? order.vip_level : (cardKey?.type === 'vip' ? cardKey.vip_level : 0);
+    const vipDays = order ? order.duration_days : cardKey?.vip_days;
+    const vipGranted = vipLevel > 0 && (!order || order.payment_method === 'card_key' || Boolean(order.fulfilled_at));
+
+    if (vipGranted && vipDays > 0) {
+      const days = Math.max(Math.round(vipDays * normalizedRatio), 1);
+      const shortened = await VIP.shortenUserVIP(userId, days, client);
+      if (shortened) {
+        outcome.vipDaysReversed = days;
+        outcome.vipCancelled = !shortened.is_vip;
+      }
+
+      // 全额冲正且订单提升过等级时恢复购买前的等级，否则剩余时间仍按冲正订单的等级生效；
+      // 购买前不是VIP（0）时剩余时间来自其他发放，无法确定等级，不做调整
+      const previousLevel = order?.previous_vip_level;
+      if (isFull && shortened?.is_vip && previousLevel > 0 && previousLevel < vipLevel) {
+        await VIP.restoreVipLevel(userId, { orderId: order.id, previousLevel }, client);
+      }
+    } else if (vipGranted && isFull) {
+      // 永久VIP（天数为0）仅在全额冲正时撤销
+      const revoked = await VIP.revokePermanentVIP(userId, client);
+      outcome.vipCancelled = Boolean(revoked);
+    }
+
+    if (cardKey && cardKey.type === 'points' && cardKey.points > 0) {
+      const points = Math.max(Math.round(cardKey.points * normalizedRatio), 1);
+      const clawback = await PointsService.clawbackPoints(userId, {
+        points,
+        source: 'reversal',
+        description: `${label}回收积分（${subject}）`,
+        reference_id: order?.id || cardKey.id,
+        reference_type: order ? 'order' : 'card_key',
+        operatorId,
+        idempotencyKey: `reversal:${reference}`,
+        client
+      });
+      outcome.pointsReversed = clawback.deducted;
+      outcome.pointsShortfall = clawback.shortfall;
+    }
+
+    if (cardKey && cardKey.type === 'download' && cardKey.download_credits > 0) {
+      const credits = Math.max(Math.round(cardKey.download_credits * normalizedRatio), 1);
+      outcome.downloadCreditsReversed = await User.deductDownloadCredits(userId, credits, client);
+    }
+
+    // 佣金：仅处理待结算记录，已审核通过的记录需人工追回
+    const commission = order ? await Referral.findCommissionByOrderForUpdate(order.id, client) : null;
+    if (commission) {
+      const notes = `${label}自动冲正（${reference}）${reason ? `：${reason}` : ''}`;
+      const amount = Number(commission.commission_amount);
+
+      if (commission.status !== 'pending') {
+        outcome.commissions.push({ id: commission.id, action: 'manual_review', status: commission.status, amount });
+      } else if (isFull) {
+        await Referral.updateCommissionStatus(commission.id, 'rejected', { reviewNotes: notes, client });
+        outcome.commissions.push({ id: commission.id, action: 'rejected', amount });
+      } else {
+        const commissionDelta = Number((amount * normalizedRatio).toFixed(2));
+        const orderAmountDelta = Number((Number(commission.order_amount) * normalizedRatio).toFixed(2));
+        await Referral.reducePendingCommission(commission, orderAmountDelta, commissionDelta, notes, client);
+        outcome.commissions.push({ id: commission.id, action: 'reduced', amount: commissionDelta });
+      }
+    }
+
+    return OrderReversal.saveOutcome(client, reversal.id, outcome);
+  }
+
+  /**
+   * 冲正提交后的收尾：同步VIP角色、清除缓存并记录操作日志
+   * @param {Object} reversal - order_reversals 记录
+   * @param {Object} [meta]
+   * @param {string} [meta.summary]
+   * @param {string} [meta.ipAddress]
+   * @param {string} [meta.userAgent]
+   */
+  async finalizeReversal(reversal, { summary = null, ipAddress = null, userAgent = null } = {}) {
+    if (reversal.vip_cancelled) {
+      try {
+        await User.removeRole(reversal.user_id, 'vip');
+      } catch (error) {
+        this.log('warn', '冲正后移除VIP角色失败', { userId: reversal.user_id, error: error.message });
+      }
+    }
+
+    await Promise.all([
+      VipService.clearVipCache(reversal.user_id),
+      PointsService.clearPointsCache(reversal.user_id)
+    ]);
+
+    await AuditLog.createSystemLog({
+      operatorId: reversal.operator_id,
+      targetType: reversal.order_id ? 'order' : 'card_key',
+      targetId: reversal.order_id || reversal.card_key_id,
+      action: `order_reversal_${reversal.source}`,
+      summary: summary || `${SOURCE_LABELS[reversal.source]}冲正`,
+      detail: {
+        reversalId: reversal.id,
+        reference: reversal.reference,
+        userId: reversal.user_id,
+        ratio: Number(reversal.ratio),
+        vipDaysReversed: reversal.vip_days_reversed,
+        vipCancelled: reversal.vip_cancelled,
+        pointsReversed: reversal.points_reversed,
+        pointsShortfall: reversal.points_shortfall,
+        downloadCreditsReversed: reversal.download_credits_reversed,
+        commissions: reversal.commissions,
+        reason: reversal.reason
+      },
+      ipAddress,
+      userAgent
+    });
+
+    this.log('info', '订单冲正完成', {
+      reversalId: reversal.id,
+      reference: reversal.reference,
+      userId: reversal.user_id,
+      vipCancelled: reversal.vip_cancelled,
+      pointsReversed: reversal.points_reversed
+    });
+  }
+
+  /**
+   * 冲正订单（在线支付退款、拒付）
+   * @param {Object} order - orders 记录
+   * @param {Object} params - 见 applyReversal，另支持 requestMeta: {ipAddress, userAgent}
+   * @returns {Promise<Object>} 冲正记录，重复提交时返回已有记录
+   */
+  async reverseOrder(order, { source, reference, ratio = 1, reason = null, operatorId = null, requestMeta = {} }) {
+    return this.withPerformanceMonitoring('reverseOrder', async () => {
+      try {
+        this.validateRequired({ order, source, reference }, ['order', 'source', 'reference']);
+
+        const reversal = await this.executeInTransaction((client) => this.applyReversal(client, {
+          order,
+          userId: order.user_id,
+          source,
+          reference,
+          ratio,
+          reason,
+          operatorId
+        }));
+
+        if (!reversal) {
+          return OrderReversal.findByReference(reference);
+        }
+
+        await this.finalizeReversal(reversal, {
+          summary: `${SOURCE_LABELS[source]}冲正订单 ${order.order_no}`,
+          ...requestMeta
+        });
+
+        return reversal;
+
+      } catch (error) {
+        this.handleError(error, 'reverseOrder');
+      }
+    });
+  }
+
+  /**
+   * 撤销已兑换的卡密并回收其发放的权益
+   * @param {number} cardKeyId
+   * @param {Object} params
+   * @param {string} [params.reason]
+   * @param {number} params.operatorId
+   * @param {Object} [params.requestMeta] - {ipAddress, userAgent}
+   */
+  async revokeCardKey(cardKeyId, { reason = null, operatorId, requestMeta = {} }) {
+    return this.withPerformanceMonitoring('revokeCardKey', async () => {
+      try {
+        this.validateRequired({ cardKeyId, operatorId }, ['cardKeyId', 'operatorId']);
+
+        const result = await this.executeInTransaction(async (client) => {
+          const cardKey = await CardKey.findById(cardKeyId, client);
+          if (!cardKey) {
+            throw new Error('卡密不存在');
+          }
+
+          if (cardKey.status !== 'used' || !cardKey.used_by) {
+            throw new Error('仅已兑换的卡密可以撤销');
+          }
+
+          const order = await VIP.findPaidCardKeyOrder(cardKey.code, cardKey.used_by, client);
+
+          const reversal = await this.applyReversal(client, {
+            order,
+            cardKey,
+            userId: cardKey.used_by,
+            source: 'card_revoke',
+            reference: `card_key:${cardKey.id}`,
+            reason,
+            operatorId
+          });
+
+          if (!reversal) {
+            throw new Error('该卡密已撤销');
+          }
+
+          if (order) {
+            await VIP.markOrderRefunded(order.id, client);
+          }
+          const revokedCard = await CardKey.markRevoked(cardKey.id, client);
+
+          return { cardKey: revokedCard, order, reversal };
+        });
+
+        await this.finalizeReversal(result.reversal, {
+          summary: `撤销已兑换卡密 ${result.cardKey.code}`,
+          ...requestMeta
+        });
+
+        return this.formatSuccessResponse({
+          card_key: result.cardKey,
+          order_no: result.order?.order_no || null,
+          reversal: result.reversal
+        }, '卡密已撤销，相关权益已回收');
+
+      } catch (error) {
+        this.handleError(error, 'revokeCardKey');
+      }
+    });
+  }
+
+  /**
+   * 管理端 - 获取冲正记录
+   * @param {Object} [filters]
+   */
+  async getReversals(filters = {}) {
+    return this.withPerformanceMonitoring('getReversals', async () => {
+      try {
+        const { page, limit } = this.normalizePaginationParams(filters.page, filters.limit);
+        const userId = parseInt(filters.user_id, 10);
+        const orderId = parseInt(filters.order_id, 10);
+
+        const result = await OrderReversal.findAll({
+          source: OrderReversal.SOURCES.includes(filters.source) ? filters.source : null,
+          userId: Number.isInteger(userId) && userId > 0 ? userId : null,
+          orderId: Number.isInteger(orderId) && orderId > 0 ? orderId : null,
+          page,
+          limit
+        });
+
+        return this.formatSuccessResponse(result, '获取冲正记录成功');
+
+      } catch (error) {
+        this.handleError(error, 'getReversals');
+      }
+    });
+  }
+}
+
+module.exports = new ReversalService();
@@ -48,6 +48,16 @@ class ServiceFactory {
     this.register('TagService', () => require('./TagService'));
     this.register('FavoriteService', () => require('./FavoriteService'));
     this.register('PointsService', () => require('./PointsService'));
+    this.register('LoginSecurityService', () => require('./LoginSecurityService'));
+    this.register('PaymentService', () => require('./PaymentService'));
+    this.register('ReversalService', () => require('./ReversalService'));
+    this.register('AnnouncementService', () => require('./AnnouncementService'));
+    this.register('FeedService', () => require('./FeedService'));
+    this.register('RecommendationService', () => require('./RecommendationService'));
+    this.register('ResourceVersionService', () => require('./ResourceVersionService'));
+    this.register('ResourcePublishingService', () => require('./ResourcePublishingService'));
+    this.register('ResourceRevisionService', () => require('./ResourceRevisionService'));
+    this.register('ContentRenderService', () => require('./ContentRenderService'));
   }
 
   /**
@@ -61,6 +71,8 @@ class ServiceFactory {
     this.dependencies.set('CardKeyService', ['PointsService', 'VipService']);
     this.dependencies.set('CommunityService', ['UserService']);
     this.dependencies.set('FavoriteService', ['ResourceService']);
+    this.dependencies.set('PaymentService', ['VipService', 'ReferralService', 'ReversalService']);
+    this.dependencies.set('ReversalService', ['VipService', 'PointsService']);
   }
 
   /**
@@ -21,7 +21,7 @@ class UserService extends BaseService {
       try {
         this.validateRequired({ userId }, ['userId']);
 
-        const { nickname, avatar_url, bio, email, ...rest } = profileData;
+        const { nickname, avatar_url, bio, notify_followers_on_publish, email, ...rest } = profileData;
 
         if (email !== undefined) {
           throw new Error('请通过专用接口修改邮箱');
@@ -56,6 +56,14 @@ class UserService extends BaseService {
           updateData.bio = bio;
         }
 
+        // 发布资源/帖子时是否通知粉丝
+        if (notify_followers_on_publish !== undefined) {
+          if (typeof notify_followers_on_publish !== 'boolean') {
+            throw new Error('发布通知粉丝设置必须为布尔值');
+          }
+          updateData.notify_followers_on_publish = notify_followers_on_publish;
+        }
+
         if (Object.keys(updateData).length === 0) {
           throw new Error('没有提供要更新的数据');
         }
@@ -7,6 +7,7 @@ const BaseService = require('./BaseService');
 const VIP = require('../models/VIP');
 const User = require('../models/User');
 const Points = require('../models/Points');
+const VipPackage = require('../models/VipPackage');
 
 class VipService extends BaseService {
   constructor() {
@@ -56,88 +57,79 @@ class VipService extends BaseService {
   }
 
   /**
-   * 购买VIP
+   * 使用积分购买VIP套餐
+   * 套餐须已上架、处于售卖时间内、对应等级已启用且未超过每人限购次数
+   * @param {number} userId
+   * @param {number} packageId - vip_packages.id
    */
-  async purchaseVip(userId, packageData) {
+  async purchaseVip(userId, packageId) {
     return this.withPerformanceMonitoring('purchaseVip', async () => {
       try {
-        this.validateRequired({ userId }, ['userId']);
-        this.validateRequired(packageData, ['level', 'days', 'points_cost']);
-
-        const { level, days, points_cost, package_name } = packageData;
-
-        const user = await User.findById(userId);
-        if (!user) {
-          throw new Error('用户不存在');
-        }
+        this.validateRequired({ userId, packageId }, ['userId', 'packageId']);
 
         const result = await this.executeInTransaction(async (client) => {
-          // 检查积分是否足够
-          const userPoints = await Points.getUserPoints(userId);
-          if (userPoints.total_points < points_cost) {
-            throw new Error(`积分不足，需要${points_cost}积分`);
+          // 锁定用户行，串行化同一用户的并发购买，保证限购统计准确
+          const userResult = await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+          if (userResult.rows.length === 0) {
+            throw new Error('用户不存在');
           }
 
-          // 扣除积分
-          await Points.deductPoints(userId, {
-            points: points_cost,
-            source: 'vip_purchase',
-            description: `购买${package_name || `VIP${level}`} ${days}天`
-          }, client);
+          const pkg = await VipPackage.findById(packageId, client);
+          this.assertPackagePurchasable(pkg);
 
-          // 获取现有VIP信息
-          let existingVip = await VIP.findByUserId(userId);
-          
-          if (!existingVip) {
-            // 新用户，创建VIP记录
-            const expire_at = new Date();
-            expire_at.setDate(expire_at.getDate() + days);
-
-            existingVip = await VIP.create({
-              user_id: userId,
-              level,
-              expire_at,
-              total_days: days,
-              created_at: new Date(),
-              updated_at: new Date()
-            }, client);
-          } else {
-            // 现有VIP，延长时间或升级等级
-            const now = new Date();
-            let newExpireAt = new Date(existingVip.expire_at);
-            
-            // 如果VIP已过期，从今天开始计算
-            if (newExpireAt < now) {
-              newExpireAt = new Date(now);
+          if (pkg.points_cost === 0 && pkg.price) {
+            throw new Error('该套餐仅支持在线支付购买');
+          }
+
+          if (pkg.per_user_limit) {
+            const purchased = await VipPackage.countUserPurchases(userId, pkg.id, client);
+            if (purchased >= pkg.per_user_limit) {
+              throw new Error(`该套餐每人限购${pkg.per_user_limit}次`);
             }
-            
-            newExpireAt.setDate(newExpireAt.getDate() + days);
-
-            existingVip = await VIP.updateById(existingVip.id, {
-              level: Math.max(existingVip.level, level), // 取更高等级
-              expire_at: newExpireAt,
-              total_days: existingVip.total_days + days,
-              updated_at: new Date()
-            }, client);
           }
 
-          // 记录购买历史
-          await this.recordVipPurchase(userId, packageData, client);
+          let pointsBalance = null;
+          if (pkg.points_cost > 0) {
+            const deduction = await Points.deductPoints(userId, {
+              points: pkg.points_cost,
+              source: 'vip_purchase',
+              description: `购买${pkg.name}`,
+              reference_id: pkg.id,
+              reference_type: 'vip_package',
+              operator_id: userId,
+              client
+            });
+            pointsBalance = deduction.user.points;
+          }
+
+          const vip = await VIP.applyPurchasedVIP(userId, pkg.level, pkg.days, client);
+          const purchase = await VipPackage.recordPurchase(client, {
+            userId,
+            pkg,
+            vipExpireAt: vip.vip_expire_at
+          });
 
-          return existingVip;
+          return { package: pkg, purchase, vip, points_balance: pointsBalance };
         });
 
-        // 清除相关缓存
+        try {
+          await User.assignRole(userId, 'vip');
+        } catch (error) {
+          this.log('warn', '购买VIP后分配VIP角色失败', { userId, error: error.message });
+        }
+
         await this.clearVipCache(userId);
 
-        this.log('info', 'VIP购买成功', { 
-          userId, 
-          level, 
-          days, 
-          points_cost 
+        this.log('info', 'VIP购买成功', {
+          userId,
+          packageId: result.package.id,
+          level: result.package.level,
+          days: result.package.days,
+          points_cost: result.package.points_cost
         });
 
-        return this.formatSuccessResponse(result, 'VIP购买成功');
+        const { level_is_active: _levelIsActive, ...pkg } = result.package;
+        return this.formatSuccessResponse({ ...result, package: pkg }, 'VIP购买成功');
 
       } catch (error) {
         this.handleError(error, 'purchaseVip');
@@ -145,6 +137,94 @@ class VipService extends BaseService {
     });
   }
 
+  /**
+   * 在线支付订单履约：发放订单对应的VIP
+   * 通过 fulfilled_at 条件更新认领订单，重复回调或补偿任务并发执行时只会发放一次
+   * @param {Object} order - 已支付的 orders 记录
+   * @returns {Promise<Object|null>} 发放结果，订单已履约或状态不符时返回 null
+   */
+  async activateOrder(order) {
+    return this.withPerformanceMonitoring('activateOrder', async () => {
+      try {
+        const result = await this.executeInTransaction(async (client) => {
+          const claimed = await client.query(
+            `UPDATE orders
+             SET fulfilled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'paid' AND fulfilled_at IS NULL
+             RETURNING *`,
+            [order.id]
+          );
+
+          if (claimed.rows.length === 0) {
+            return null;
+          }
+
+          const fulfilledOrder = claimed.rows[0];
+          const vip = await VIP.applyPurchasedVIP(
+            fulfilledOrder.user_id,
+            fulfilledOrder.vip_level,
+            fulfilledOrder.duration_days,
+            client
+          );
+          await VIP.setOrderPreviousVipLevel(fulfilledOrder.id, vip.previous_vip_level, client);
+
+          let purchase = null;
+          if (fulfilledOrder.package_id) {
+            const pkg = await VipPackage.findById(fulfilledOrder.package_id, client);
+            purchase = await VipPackage.recordPurchase(client, {
+              userId: fulfilledOrder.user_id,
+              pkg: { ...pkg, level: fulfilledOrder.vip_level, days: fulfilledOrder.duration_days },
+              vipExpireAt: vip.vip_expire_at,
+              orderId: fulfilledOrder.id
+            });
+          }
+
+          return { order: fulfilledOrder, vip, purchase };
+        });
+
+        if (!result) {
+          return null;
+        }
+
+        try {
+          await User.assignRole(result.order.user_id, 'vip');
+        } catch (error) {
+          this.log('warn', '订单履约后分配VIP角色失败', { userId: result.order.user_id, error: error.message });
+        }
+
+        await this.clearVipCache(result.order.user_id);
+
+        this.log('info', '支付订单VIP发放成功', {
+          orderId: result.order.id,
+          userId: result.order.user_id,
+          level: result.order.vip_level,
+          days: result.order.duration_days
+        });
+
+        return result;
+      } catch (error) {
+        this.handleError(error, 'activateOrder');
+      }
+    });
+  }
+
+  /**
+   * 校验套餐当前是否可购买
+   */
+  assertPackagePurchasable(pkg) {
+    if (!pkg || !pkg.is_active || !pkg.level_is_active) {
+      throw new Error('VIP套餐不存在或已下架');
+    }
+
+    const now = new Date();
+    if (pkg.available_from && new Date(pkg.available_from) > now) {
+      throw new Error('VIP套餐尚未开售');
+    }
+    if (pkg.available_until && new Date(pkg.available_until) <= now) {
+      throw new Error('VIP套餐已停止售卖');
+    }
+  }
+
   /**
    * 升级VIP等级
    */
@@ -253,7 +333,7 @@ class VipService extends BaseService {
   }
 
   /**
-   * 获取VIP套餐列表
+   * 获取可购买的VIP套餐列表
    */
   async getVipPackages() {
     return this.withPerformanceMonitoring('getVipPackages', async () => {
@@ -261,10 +341,10 @@ class VipService extends BaseService {
         const cacheKey = 'vip:packages';
 
         return await this.getCached(cacheKey, async () => {
-          const packages = this.getAvailablePackages();
+          const packages = await VipPackage.findAvailable();
           
           return this.formatSuccessResponse(packages, '获取VIP套餐成功');
-        }, 3600); // 缓存1小时
+        }, 300); // 套餐有售卖时间窗口，缓存5分钟
 
       } catch (error) {
         this.handleError(error, 'getVipPackages');
@@ -272,6 +352,115 @@ class VipService extends BaseService {
     });
   }
 
+  /**
+   * 管理端 - 获取VIP套餐列表
+   */
+  async getAdminPackages(filters = {}) {
+    return this.withPerformanceMonitoring('getAdminPackages', async () => {
+      try {
+        const { page, limit } = this.normalizePaginationParams(filters.page, filters.limit);
+        const level = parseInt(filters.level, 10);
+
+        const result = await VipPackage.findAll({
+          status: filters.status || null,
+          level: Number.isInteger(level) ? level : null,
+          page,
+          limit
+        });
+
+        return this.formatSuccessResponse(result, '获取VIP套餐成功');
+      } catch (error) {
+        this.handleError(error, 'getAdminPackages');
+      }
+    });
+  }
+
+  /**
+   * 管理端 - 创建VIP套餐
+   */
+  async createPackage(data, operatorId) {
+    return this.withPerformanceMonitoring('createPackage', async () => {
+      try {
+        await this.assertLevelExists(data.level);
+
+        const pkg = await VipPackage.create(data, operatorId);
+        await this.clearCache('vip:packages');
+
+        this.log('info', 'VIP套餐创建成功', { packageId: pkg.id, operatorId });
+        return this.formatSuccessResponse(pkg, 'VIP套餐创建成功');
+      } catch (error) {
+        if (error.code === '23505') {
+          throw new Error('套餐编码已存在');
+        }
+        if (error.code === '23514') {
+          throw new Error('售卖结束时间必须晚于开始时间');
+        }
+        this.handleError(error, 'createPackage');
+      }
+    });
+  }
+
+  /**
+   * 管理端 - 更新VIP套餐
+   * @returns {Promise<Object|null>} 套餐不存在返回null
+   */
+  async updatePackage(packageId, data, operatorId) {
+    return this.withPerformanceMonitoring('updatePackage', async () => {
+      try {
+        if (data.level !== undefined) {
+          await this.assertLevelExists(data.level);
+        }
+
+        const pkg = await VipPackage.update(packageId, data);
+        if (!pkg) {
+          return null;
+        }
+
+        await this.clearCache('vip:packages');
+
+        this.log('info', 'VIP套餐更新成功', { packageId, operatorId, fields: Object.keys(data) });
+        return this.formatSuccessResponse(pkg, 'VIP套餐更新成功');
+      } catch (error) {
+        if (error.code === '23505') {
+          throw new Error('套餐编码已存在');
+        }
+        if (error.code === '23514') {
+          throw new Error('售卖结束时间必须晚于开始时间');
+        }
+        this.handleError(error, 'updatePackage');
+      }
+    });
+  }
+
+  /**
+   * 管理端 - 下架（删除）VIP套餐
+   * @returns {Promise<Object|null>} 套餐不存在返回null
+   */
+  async deletePackage(packageId, operatorId) {
+    return this.withPerformanceMonitoring('deletePackage', async () => {
+      try {
+        const pkg = await VipPackage.deactivate(packageId);
+        if (!pkg) {
+          return null;
+        }
+
+        await this.clearCache('vip:packages');
+
+        this.log('info', 'VIP套餐已下架', { packageId, operatorId });
+        return this.formatSuccessResponse(pkg, 'VIP套餐删除成功');
+      } catch (error) {
+        this.handleError(error, 'deletePackage');
+      }
+    });
+  }
+
+  async assertLevelExists(level) {
+    const vipLevel = await VIP.getLevelById(level);
+    if (!vipLevel) {
+      throw new Error(`VIP等级${level}不存在或已禁用`);
+    }
+  }
+
   /**
    * 获取VIP统计信息
    */
@@ -381,70 +570,6 @@ class VipService extends BaseService {
     return benefits[level] || benefits[0];
   }
 
-  /**
-   * 获取可用的VIP套餐
-   */
-  getAvailablePackages() {
-    return [
-      {
-        id: 'vip1_7d',
-        name: 'VIP1 周卡',
-        level: 1,
-        days: 7,
-        points_cost: 50,
-        original_price: 70,
-        discount: 0.71
-      },
-      {
-        id: 'vip1_30d',
-        name: 'VIP1 月卡',
-        level: 1,
-        days: 30,
-        points_cost: 200,
-        original_price: 300,
-        discount: 0.67
-      },
-      {
-        id: 'vip2_30d',
-        name: 'VIP2 月卡',
-        level: 2,
-        days: 30,
-        points_cost: 400,
-        original_price: 600,
-        discount: 0.67
-      },
-      {
-        id: 'vip3_30d',
-        name: 'VIP3 月卡',
-        level: 3,
-        days: 30,
-        points_cost: 800,
-        original_price: 1200,
-        discount: 0.67
-      },
-      {
-        id: 'vip5_365d',
-        name: 'VIP5 年卡',
-        level: 5,
-        days: 365,
-        points_cost: 5000,
-        original_price: 10000,
-        discount: 0.5
-      }
-    ];
-  }
-
-  /**
-   * 记录VIP购买历史
-   */
-  async recordVipPurchase(userId, packageData, client) {
-    // 这里可以创建VIP购买历史表来记录
-    this.log('info', 'VIP购买记录', {
-      userId,
-      package: packageData
-    });
-  }
-
   /**
    * 清除VIP相关缓存
    */
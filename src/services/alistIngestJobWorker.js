@@ -0,0 +1,199 @@
+/**
+ * Alist入库任务执行器
+ * 在后台逐个目录执行入库扫描，每处理完一个目录写入检查点；
+ * 进程崩溃或重启后，心跳超时的任务会被任意工作进程重新认领并从游标处继续
+ */
+
+const os = require('os');
+const AlistIngestJob = require('../models/AlistIngestJob');
+const AlistIngestSetting = require('../models/AlistIngestSetting');
+const AlistIngestService = require('./alistIngestService');
+const { withAdvisoryLock } = require('../config/database');
+const { logger } = require('../utils/logger');
+
+// 心跳超过该时长未更新的运行中任务视为执行进程已失联
+const STALE_SECONDS = Number(process.env.ALIST_INGEST_JOB_STALE_SECONDS) || 10 * 60;
+const POLL_INTERVAL = Number(process.env.ALIST_INGEST_JOB_POLL_INTERVAL) || 60 * 1000;
+
+class AlistIngestJobWorker {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.intervalId = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * 启动轮询，接管排队中及失联的任务
+   */
+  start() {
+    if (this.intervalId) {
+      logger.warn('Alist入库任务执行器已在运行中');
+      return;
+    }
+
+    logger.info('启动Alist入库任务执行器', {
+      workerId: this.workerId,
+      intervalMs: POLL_INTERVAL,
+      staleSeconds: STALE_SECONDS
+    });
+
+    this.intervalId = setInterval(() => {
+      this.processQueue();
+    }, POLL_INTERVAL);
+    this.intervalId.unref();
+
+    this.processQueue();
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    logger.info('Alist入库任务执行器已停止');
+  }
+
+  /**
+   * 创建入库任务并立即尝试执行
+   * @param {number} settingId - 入库配置ID
+   * @param {number|null} triggeredBy - 触发用户ID
+   * @returns {Promise<{job: Object, created: boolean}>} 已有未结束任务时返回该任务
+   */
+  async enqueue(settingId, triggeredBy = null) {
+    const job = await AlistIngestJob.create(settingId, triggeredBy);
+
+    if (!job) {
+      return {
+        job: await AlistIngestJob.findActiveBySetting(settingId),
+        created: false
+      };
+    }
+
+    setImmediate(() => this.processQueue());
+
+    return { job, created: true };
+  }
+
+  async processQueue() {
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.isProcessing = true;
+
+    try {
+      await AlistIngestJob.closeAbandonedCancellations(STALE_SECONDS);
+
+      while (true) {
+        const job = await AlistIngestJob.claimNext(this.workerId, STALE_SECONDS);
+        if (!job) {
+          break;
+        }
+
+        const { acquired } = await withAdvisoryLock(
+          AlistIngestService.INGEST_LOCK_NAMESPACE,
+          job.setting_id,
+          () => this.runJob(job)
+        );
+
+        if (!acquired) {
+          // 该配置正在执行定时入库，放回队列等待下次轮询
+          await AlistIngestJob.release(job.id, this.workerId);
+          logger.info('Alist入库任务延后执行：该配置正在入库', { jobId: job.id, settingId: job.setting_id });
+          break;
+        }
+      }
+    } catch (error) {
+      logger.error('处理Alist入库任务队列失败', { error: error.message });
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  async runJob(job) {
+    const resumed = Boolean(job.cursor);
+
+    logger.info(resumed ? '继续执行Alist入库任务' : '开始执行Alist入库任务', {
+      jobId: job.id,
+      settingId: job.setting_id,
+      cursor: job.cursor
+    });
+
+    try {
+      const setting = await AlistIngestSetting.findById(job.setting_id);
+      if (!setting || !setting.is_active) {
+        await AlistIngestJob.finish(job.id, this.workerId, 'failed', '入库配置不存在或已禁用');
+        return;
+      }
+
+      const { rootPath, folders } = await AlistIngestService.listScanFolders(setting);
+
+      let current = await AlistIngestJob.setTotalFolders(job.id, this.workerId, folders.length);
+      if (!current) {
+        return;
+      }
+
+      // 目录按名称排序，游标之前（含游标）的目录已处理过
+      const pending = job.cursor ? folders.filter((item) => item.name > job.cursor) : folders;
+
+      for (const item of pending) {
+        if (current.cancel_requested) {
+          break;
+        }
+
+        let checkpoint;
+        try {
+          const outcome = await AlistIngestService.ingestFolder(setting, rootPath, item);
+          checkpoint = { cursor: item.name, outcome: outcome.status };
+        } catch (error) {
+          logger.error('Alist入库处理失败', {
+            jobId: job.id,
+            settingId: setting.id,
+            folder: item.name,
+            error: error.message
+          });
+          checkpoint = {
+            cursor: item.name,
+            outcome: 'failed',
+            folder: item.name,
+            error: error.message
+          };
+        }
+
+        current = await AlistIngestJob.checkpoint(job.id, this.workerId, checkpoint);
+        if (!current) {
+          // 任务已被其他进程接管或已结束
+          logger.warn('Alist入库任务已不再由当前进程持有', { jobId: job.id, workerId: this.workerId });
+          return;
+        }
+      }
+
+      const finalStatus = current.cancel_requested ? 'cancelled' : 'completed';
+      const finished = await AlistIngestJob.finish(job.id, this.workerId, finalStatus);
+
+      logger.info('Alist入库任务结束', {
+        jobId: job.id,
+        status: finalStatus,
+        processed: finished?.processed_count,
+        created: finished?.created_count,
+        updated: finished?.updated_count,
+        skipped: finished?.skipped_count,
+        failed: finished?.failed_count
+      });
+    } catch (error) {
+      logger.error('Alist入库任务执行失败', { jobId: job.id, error: error.message });
+      await AlistIngestJob.finish(job.id, this.workerId, 'failed', error.message).catch(() => {});
+    } finally {
+      AlistIngestService.triggerImageUploads();
+    }
+  }
+}
+
+// 创建单例实例
+const alistIngestJobWorker = new AlistIngestJobWorker();
+
+module.exports = {
+  alistIngestJobWorker,
+  AlistIngestJobWorker
+};
@@ -0,0 +1,190 @@
+/**
+ * Alist定时入库服务
+ * 按各入库配置的 cron 表达式定时执行目录扫描入库。
+ * 集群模式下每个工作进程都会注册相同的定时任务：同一触发点通过执行记录的唯一约束只由一个进程登记，
+ * 执行期间持有配置级咨询锁，上一次入库未结束时本次触发直接跳过
+ */
+
+const os = require('os');
+const cron = require('node-cron');
+const AlistIngestSetting = require('../models/AlistIngestSetting');
+const AlistIngestJob = require('../models/AlistIngestJob');
+const AlistIngestScheduleRun = require('../models/AlistIngestScheduleRun');
+const AlistIngestService = require('./alistIngestService');
+const { withAdvisoryLock } = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const TIMEZONE = 'Asia/Shanghai';
+// 定期从数据库同步配置，使其他进程中的配置修改也能生效
+const SYNC_INTERVAL = Number(process.env.ALIST_INGEST_SCHEDULE_SYNC_INTERVAL) || 60 * 1000;
+
+/**
+ * 校验入库 cron 表达式，仅允许5段（分钟级）表达式
+ * @param {string} expression - cron 表达式
+ * @returns {boolean}
+ */
+const isValidScheduleCron = (expression) => {
+  if (typeof expression !== 'string') {
+    return false;
+  }
+
+  const trimmed = expression.trim();
+  return trimmed.split(/\s+/).length === 5 && cron.validate(trimmed);
+};
+
+class AlistIngestScheduler {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.tasks = new Map();
+    this.syncIntervalId = null;
+  }
+
+  /**
+   * 启动定时入库调度
+   */
+  start() {
+    if (this.syncIntervalId) {
+      logger.warn('Alist定时入库调度已在运行中');
+      return;
+    }
+
+    logger.info('启动Alist定时入库调度', { syncIntervalMs: SYNC_INTERVAL });
+
+    this.syncIntervalId = setInterval(() => {
+      this.sync();
+    }, SYNC_INTERVAL);
+    this.syncIntervalId.unref();
+
+    this.sync();
+  }
+
+  /**
+   * 停止所有定时入库任务
+   */
+  stop() {
+    if (this.syncIntervalId) {
+      clearInterval(this.syncIntervalId);
+      this.syncIntervalId = null;
+    }
+
+    for (const { task } of this.tasks.values()) {
+      task.stop();
+    }
+    this.tasks.clear();
+
+    logger.info('Alist定时入库调度已停止');
+  }
+
+  /**
+   * 按数据库中的配置增删定时任务
+   */
+  async sync() {
+    try {
+      const settings = await AlistIngestSetting.findScheduled();
+      const desired = new Map(settings.map((setting) => [setting.id, setting.schedule_cron.trim()]));
+
+      for (const [settingId, entry] of this.tasks.entries()) {
+        if (desired.get(settingId) !== entry.expression) {
+          entry.task.stop();
+          this.tasks.delete(settingId);
+        }
+      }
+
+      for (const [settingId, expression] of desired.entries()) {
+        if (this.tasks.has(settingId)) {
+          continue;
+        }
+
+        if (!isValidScheduleCron(expression)) {
+          logger.warn('Alist入库配置的cron表达式无效，已忽略', { settingId, expression });
+          continue;
+        }
+
+        const task = cron.schedule(expression, () => {
+          this.trigger(settingId, expression);
+        }, {
+          scheduled: true,
+          timezone: TIMEZONE
+        });
+
+        this.tasks.set(settingId, { expression, task });
+      }
+    } catch (error) {
+      logger.error('同步Alist定时入库配置失败:', error);
+    }
+  }
+
+  /**
+   * 执行一次定时触发
+   * @param {number} settingId - 入库配置ID
+   * @param {string} expression - 触发的 cron 表达式
+   */
+  async trigger(settingId, expression) {
+    const scheduledFor = new Date();
+    scheduledFor.setSeconds(0, 0);
+
+    try {
+      const run = await AlistIngestScheduleRun.claim(settingId, scheduledFor, {
+        cronExpression: expression,
+        workerId: this.workerId
+      });
+
+      if (!run) {
+        return;
+      }
+
+      const { acquired } = await withAdvisoryLock(AlistIngestService.INGEST_LOCK_NAMESPACE, settingId, async () => {
+        await AlistIngestScheduleRun.interruptOrphaned(settingId, run.id);
+        await this.execute(settingId, run);
+      });
+
+      if (!acquired) {
+        await AlistIngestScheduleRun.finish(run.id, 'skipped', { message: '上一次入库尚未结束' });
+        logger.info('Alist定时入库跳过：上一次入库尚未结束', { settingId, runId: run.id });
+      }
+    } catch (error) {
+      logger.error('Alist定时入库触发失败', { settingId, error: error.message });
+    }
+  }
+
+  async execute(settingId, run) {
+    const setting = await AlistIngestSetting.findById(settingId);
+    if (!setting || !setting.is_active || !setting.schedule_enabled) {
+      await AlistIngestScheduleRun.finish(run.id, 'skipped', { message: '入库配置已禁用或已关闭定时入库' });
+      return;
+    }
+
+    const activeJob = await AlistIngestJob.findActiveBySetting(settingId);
+    if (activeJob) {
+      await AlistIngestScheduleRun.finish(run.id, 'skipped', { message: `入库任务 #${activeJob.id} 正在进行` });
+      return;
+    }
+
+    try {
+      const results = await AlistIngestService.scanSetting(settingId, {});
+      const finished = await AlistIngestScheduleRun.finish(run.id, 'completed', { results });
+
+      logger.info('Alist定时入库完成', {
+        settingId,
+        runId: run.id,
+        created: finished?.created_count,
+        updated: finished?.updated_count,
+        skipped: finished?.skipped_count,
+        failed: finished?.failed_count,
+        durationMs: finished?.duration_ms
+      });
+    } catch (error) {
+      logger.error('Alist定时入库失败', { settingId, runId: run.id, error: error.message });
+      await AlistIngestScheduleRun.finish(run.id, 'failed', { message: error.message });
+    }
+  }
+}
+
+// 创建单例实例
+const alistIngestScheduler = new AlistIngestScheduler();
+
+module.exports = {
+  alistIngestScheduler,
+  AlistIngestScheduler,
+  isValidScheduleCron
+};
@@ -8,9 +8,16 @@ const { alistClient, AlistClient } = require('../utils/alistClient');
 const { minioClient, BUCKETS, generateFileName, getFileUrl } = require('../config/minio');
 const { logger } = require('../utils/logger');
 const AlistIngestUploadWorker = require('./alistIngestUploadWorker');
+const {
+  DEFAULT_DESCRIPTION,
+  extractFolderMetadata,
+  isMetadataFile,
+  normalizeExtractorList
+} = require('./alistMetadataExtractors');
 
 const VIDEO_TYPE_ID = 2; // resource_types.name = 'video'
-const DEFAULT_DESCRIPTION = '自动入库无需描述';
+// 入库配置级咨询锁命名空间，定时入库与后台任务共用，避免同一配置并发扫描
+const INGEST_LOCK_NAMESPACE = 41001;
 
 function joinAlistPath(basePath, segment) {
   if (!segment) {
@@ -42,44 +49,6 @@ async function fetchDirectoryEntries(path, perPage = 200) {
   return items;
 }
 
-function parseMarkdownContent(raw) {
-  if (!raw || typeof raw !== 'string') {
-    return {
-      description: DEFAULT_DESCRIPTION,
-      tags: []
-    };
-  }
-
-  const lines = raw.split(/\r?\n/);
-  const descriptionLines = [];
-  let tags = [];
-
-  for (const line of lines) {
-    const match = line.match(/^\s*标签\s*[:：]\s*(.+)$/i);
-    if (match) {
-      tags = match[1]
-        .split('|')
-        .map((t) => t.trim())
-        .filter(Boolean);
-      continue;
-    }
-
-    descriptionLines.push(line);
-  }
-
-  const description = descriptionLines
-    .map((line) => line.replace(/\s+$/u, ''))
-    .filter((line) => !/^[=\-]{3,}\s*$/u.test(line))
-    .join('\n')
-    .trim()
-    || DEFAULT_DESCRIPTION;
-
-  return {
-    description,
-    tags
-  };
-}
-
 function isImageFile(filename) {
   if (!filename) {
     return false;
@@ -202,6 +171,10 @@ function getImageContentType(filename) {
 }
 
 class AlistIngestService {
+  static get INGEST_LOCK_NAMESPACE() {
+    return INGEST_LOCK_NAMESPACE;
+  }
+
   static normalizeDescription() {
     return DEFAULT_DESCRIPTION;
   }
@@ -212,6 +185,7 @@ class AlistIngestService {
     await alistClient.initialize();
 
     const directories = await fetchDirectoryEntries(rootPath);
+    const extractorNames = normalizeExtractorList(setting.metadata_extractors);
     const candidates = [];
     const skipped = [];
 
@@ -227,27 +201,35 @@ class AlistIngestService {
 
       const folderFiles = await fetchDirectoryEntries(folderPath, 200);
 
-      const markdownFile = folderFiles.find((file) => !file.is_dir && file.name.toLowerCase() === 'markdown.txt');
-      let markdownPreview = null;
-      if (markdownFile) {
-        try {
-          const markdownPath = joinAlistPath(folderPath, markdownFile.name);
-          const markdownContent = await alistClient.getFileContent(markdownPath, 'utf-8');
-          const parsed = parseMarkdownContent(markdownContent);
-          markdownPreview = {
-            fileName: markdownFile.name,
-            descriptionPreview: parsed.description.slice(0, 200),
-            tags: parsed.tags
-          };
-        } catch (error) {
-          markdownPreview = {
-            fileName: markdownFile.name,
-            error: error.message
-          };
-        }
+      let metadataPreview = null;
+      try {
+        const metadata = await extractFolderMetadata(setting, {
+          folderName: dir.name,
+          folderPath,
+          files: folderFiles
+        });
+        metadataPreview = {
+          sources: metadata.sources,
+          title: metadata.title || dir.name,
+          descriptionPreview: metadata.description.slice(0, 200),
+          tags: metadata.tags,
+          category: metadata.category,
+          categoryId: metadata.categoryId || setting.category_id || null,
+          requiredPoints: metadata.requiredPoints ?? null,
+          vipLevel: metadata.vipLevel ?? null,
+          warnings: metadata.warnings
+        };
+      } catch (error) {
+        metadataPreview = {
+          error: error.message
+        };
       }
 
-      const allowedFiles = folderFiles.filter((file) => !file.is_dir && alistClient.isExtensionAllowed(file.name));
+      const allowedFiles = folderFiles.filter((file) => (
+        !file.is_dir
+        && !isMetadataFile(file.name, extractorNames)
+        && alistClient.isExtensionAllowed(file.name)
+      ));
       const allowedDocumentFiles = allowedFiles.filter((file) => !isImageFile(file.name));
       const allImageFiles = folderFiles.filter((file) => !file.is_dir && isImageFile(file.name));
 
@@ -274,7 +256,7 @@ class AlistIngestService {
 
       let type = null;
       if (!record) {
-        if (allowedFiles.length > 0 || markdownPreview) {
+        if (allowedFiles.length > 0 || metadataPreview?.sources?.length > 0) {
           type = 'create';
         }
       } else if (newDocumentCount > 0) {
@@ -294,7 +276,7 @@ class AlistIngestService {
         folderName: dir.name,
         folderPath,
         directory: dir,
-        markdown: markdownPreview,
+        metadata: metadataPreview,
         allowedDocumentFiles,
         allImageFiles,
         existingRecord: record,
@@ -320,7 +302,8 @@ class AlistIngestService {
       .filter((item) => item.type === 'create')
       .map((item) => ({
         folder: item.folderPath,
-        markdown: item.markdown ? 'true' : 'false',
+        markdown: item.metadata?.sources?.includes('markdown') ? 'true' : 'false',
+        metadata: item.metadata,
         images: item.allImageFiles.length.toString(),
         documents: item.allowedDocumentFiles.length.toString()
       }));
@@ -344,234 +327,264 @@ class AlistIngestService {
     };
   }
 
-  static async scanSetting(settingId, options = {}) {
-    const setting = await AlistIngestSetting.findById(settingId);
-
-    if (!setting || !setting.is_active) {
-      throw new Error('入库配置不存在或已禁用');
-    }
-
+  /**
+   * 列出配置根目录下待扫描的子目录，按名称排序以便任务按游标断点续扫
+   */
+  static async listScanFolders(setting) {
     const rootPath = AlistIngestSetting.normalizePath(setting.alist_root_path);
 
     await alistClient.initialize();
 
     const directories = await fetchDirectoryEntries(rootPath);
+    const folders = directories
+      .filter((item) => item.is_dir)
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
 
-    const results = {
-      totalFolders: directories.length,
-      created: [],
-      updated: [],
-      skipped: [],
-      errors: []
+    return { rootPath, directories, folders };
+  }
+
+  /**
+   * 入库单个子目录
+   * @returns {Promise<{status: 'created'|'updated'|'skipped', folder: string, resourceId?: number, reason?: string}>}
+   */
+  static async ingestFolder(setting, rootPath, item) {
+    const folderName = item.name;
+    const folderPath = joinAlistPath(rootPath, folderName);
+    const folderModifiedAt = item.modified ? new Date(item.modified) : null;
+
+    const record = await AlistIngestRecord.findBySettingAndPath(setting.id, folderPath);
+
+    const files = await fetchDirectoryEntries(folderPath);
+
+    const extractorNames = normalizeExtractorList(setting.metadata_extractors);
+    const metadata = await extractFolderMetadata(setting, { folderName, folderPath, files });
+    const baseDescription = metadata.description || DEFAULT_DESCRIPTION;
+    const tagNames = metadata.tags || [];
+    const resourceFields = {
+      title: metadata.title || folderName,
+      description: baseDescription,
+      category_id: metadata.categoryId || setting.category_id,
+      resource_type_id: setting.resource_type_id
     };
 
-    for (const item of directories) {
-      if (!item.is_dir) {
-        continue;
+    const allowedFiles = files.filter((file) => (
+      !file.is_dir
+      && !isMetadataFile(file.name, extractorNames)
+      && alistClient.isExtensionAllowed(file.name)
+    ));
+    const allowedDocumentFiles = allowedFiles.filter((file) => !isImageFile(file.name));
+    const imageFiles = files.filter((file) => !file.is_dir && isImageFile(file.name));
+    const isVideoResource = Number(setting.resource_type_id) === VIDEO_TYPE_ID;
+
+    let existingDocumentCount = 0;
+    if (record?.resource_id) {
+      try {
+        const existingResources = await AlistResource.getByResourceId(record.resource_id);
+        existingDocumentCount = existingResources.filter((file) => {
+          if (!file || file.is_folder) {
+            return false;
+          }
+          return !isImageFile(file.alist_name || '');
+        }).length;
+      } catch (error) {
+        logger.warn('获取已入库资源文件失败', {
+          resourceId: record.resource_id,
+          error: error.message
+        });
       }
+    }
+
+    const newDocumentCount = Math.max(allowedDocumentFiles.length - existingDocumentCount, 0);
+    const folderUnchanged =
+      record
+      && record.folder_modified_at
+      && folderModifiedAt
+      && record.folder_modified_at.getTime() === folderModifiedAt.getTime();
+
+    if (folderUnchanged && newDocumentCount === 0) {
+      return { status: 'skipped', folder: folderPath, reason: '未修改' };
+    }
 
-      const folderName = item.name;
-      const folderPath = joinAlistPath(rootPath, folderName);
-      const folderModifiedAt = item.modified ? new Date(item.modified) : null;
+    let resourceId = record?.resource_id || null;
+    let status;
+
+    if (!resourceId) {
+      const resource = await Resource.create({
+        ...resourceFields,
+        summary: null,
+        author_id: setting.author_id,
+        is_public: true,
+        status: 'published',
+        official: true
+      });
 
+      resourceId = resource.id;
+      status = 'created';
+    } else {
+      await Resource.update(resourceId, {
+        ...resourceFields,
+        is_public: true,
+        status: 'published',
+        official: true
+      });
+
+      await AlistResource.deleteByResourceId(resourceId);
+      status = 'updated';
+    }
+
+    const imageTasks = [];
+    for (const file of imageFiles) {
       try {
-        const record = await AlistIngestRecord.findBySettingAndPath(setting.id, folderPath);
-
-        const files = await fetchDirectoryEntries(folderPath);
-
-        let baseDescription = DEFAULT_DESCRIPTION;
-        let tagNames = [];
-
-        const markdownFile = files.find((file) => !file.is_dir && file.name.toLowerCase() === 'markdown.txt');
-
-        if (markdownFile) {
-          try {
-            const markdownPath = joinAlistPath(folderPath, markdownFile.name);
-            const markdownContent = await alistClient.getFileContent(markdownPath, 'utf-8');
-            const parsed = parseMarkdownContent(markdownContent);
-            baseDescription = parsed.description || DEFAULT_DESCRIPTION;
-            tagNames = parsed.tags || [];
-          } catch (error) {
-            logger.warn('读取Markdown说明失败', {
-              settingId: setting.id,
-              folderPath,
-              error: error.message
-            });
-          }
-        }
+        const taskRecord = await prepareImageUploadTask(setting, resourceId, folderPath, file);
+        imageTasks.push(taskRecord);
+      } catch (error) {
+        logger.error('创建图片上传任务失败', {
+          settingId: setting.id,
+          folderPath,
+          file: file.name,
+          error: error.message
+        });
+      }
+    }
 
-        const allowedFiles = files.filter((file) => !file.is_dir && alistClient.isExtensionAllowed(file.name));
-        const allowedDocumentFiles = allowedFiles.filter((file) => !isImageFile(file.name));
-        const imageFiles = files.filter((file) => !file.is_dir && isImageFile(file.name));
-        const isVideoResource = Number(setting.resource_type_id) === VIDEO_TYPE_ID;
-
-        let existingDocumentCount = 0;
-        if (record?.resource_id) {
-          try {
-            const existingResources = await AlistResource.getByResourceId(record.resource_id);
-            existingDocumentCount = existingResources.filter((file) => {
-              if (!file || file.is_folder) {
-                return false;
-              }
-              return !isImageFile(file.alist_name || '');
-            }).length;
-          } catch (error) {
-            logger.warn('获取已入库资源文件失败', {
-              resourceId: record.resource_id,
-              error: error.message
-            });
-          }
-        }
+    let finalDescription = baseDescription;
+    let coverImageUrl = null;
+    if (imageTasks.length > 0) {
+      const randomTask = imageTasks[Math.floor(Math.random() * imageTasks.length)];
+      coverImageUrl = randomTask?.file_url || null;
+
+      if (!isVideoResource) {
+        const imageMarkdown = imageTasks
+          .map(({ file_name, file_url }) => `![${file_name}](${file_url})`)
+          .join('\n');
+
+        finalDescription = baseDescription
+          ? `${baseDescription.replace(/\s+$/u, '')}\n\n${imageMarkdown}`
+          : imageMarkdown;
+      } else {
+        finalDescription = baseDescription || DEFAULT_DESCRIPTION;
+      }
+    }
 
-        const newDocumentCount = Math.max(allowedDocumentFiles.length - existingDocumentCount, 0);
-        const folderUnchanged =
-          record
-          && record.folder_modified_at
-          && folderModifiedAt
-          && record.folder_modified_at.getTime() === folderModifiedAt.getTime();
+    const updatePayload = { description: finalDescription };
+    // 访问要求仅在元数据中声明时覆盖，避免冲掉管理员手动设置的值
+    if (metadata.requiredPoints !== undefined) {
+      updatePayload.required_points = metadata.requiredPoints;
+      updatePayload.is_free = metadata.requiredPoints === 0;
+    }
+    if (metadata.vipLevel !== undefined) {
+      updatePayload.required_vip_level = metadata.vipLevel;
+    }
+    if (coverImageUrl) {
+      updatePayload.cover_image_url = coverImageUrl;
+    }
+    await Resource.update(resourceId, updatePayload);
 
-        if (folderUnchanged && newDocumentCount === 0) {
-          results.skipped.push({ folder: folderPath, reason: '未修改' });
-          continue;
-        }
+    let tagIds = [];
+    if (tagNames.length > 0) {
+      try {
+        tagIds = await Tag.createOrGetTags(tagNames);
+      } catch (error) {
+        logger.error('创建或获取标签失败', {
+          tags: tagNames,
+          error: error.message
+        });
+      }
+    }
 
-        let resourceId = record?.resource_id || null;
-
-        if (!resourceId) {
-          const resource = await Resource.create({
-            title: folderName,
-            description: baseDescription,
-            summary: null,
-            category_id: setting.category_id,
-            resource_type_id: setting.resource_type_id,
-            author_id: setting.author_id,
-            is_public: true,
-            status: 'published',
-            official: true
-          });
+    try {
+      await Tag.syncResourceTags(resourceId, tagIds);
+    } catch (error) {
+      logger.error('同步资源标签失败', {
+        resourceId,
+        tags: tagNames,
+        error: error.message
+      });
+    }
 
-          resourceId = resource.id;
-          results.created.push({ folder: folderPath, resourceId });
-        } else {
-          await Resource.update(resourceId, {
-            title: folderName,
-            description: baseDescription,
-            category_id: setting.category_id,
-            resource_type_id: setting.resource_type_id,
-            is_public: true,
-            status: 'published',
-            official: true
-          });
+    let ingestedFileCount = 0;
 
-          await AlistResource.deleteByResourceId(resourceId);
-          results.updated.push({ folder: folderPath, resourceId });
-        }
+    for (const file of files) {
+      if (file.is_dir) {
+        continue;
+      }
 
-        const imageTasks = [];
-        for (const file of imageFiles) {
-          try {
-            const taskRecord = await prepareImageUploadTask(setting, resourceId, folderPath, file);
-            imageTasks.push(taskRecord);
-          } catch (error) {
-            logger.error('创建图片上传任务失败', {
-              settingId: setting.id,
-              folderPath,
-              file: file.name,
-              error: error.message
-            });
-          }
-        }
+      if (isMetadataFile(file.name, extractorNames)) {
+        continue;
+      }
 
-        let finalDescription = baseDescription;
-        let coverImageUrl = null;
-        if (imageTasks.length > 0) {
-          const randomTask = imageTasks[Math.floor(Math.random() * imageTasks.length)];
-          coverImageUrl = randomTask?.file_url || null;
-
-          if (!isVideoResource) {
-            const imageMarkdown = imageTasks
-              .map(({ file_name, file_url }) => `![${file_name}](${file_url})`)
-              .join('\n');
-
-            finalDescription = baseDescription
-              ? `${baseDescription.replace(/\s+$/u, '')}\n\n${imageMarkdown}`
-              : imageMarkdown;
-          } else {
-            finalDescription = baseDescription || DEFAULT_DESCRIPTION;
-          }
-        }
+      if (!alistClient.isExtensionAllowed(file.name)) {
+        continue;
+      }
 
-        const updatePayload = { description: finalDescription };
-        if (coverImageUrl) {
-          updatePayload.cover_image_url = coverImageUrl;
-        }
-        await Resource.update(resourceId, updatePayload);
-
-        let tagIds = [];
-        if (tagNames.length > 0) {
-          try {
-            tagIds = await Tag.createOrGetTags(tagNames);
-          } catch (error) {
-            logger.error('创建或获取标签失败', {
-              tags: tagNames,
-              error: error.message
-            });
-          }
-        }
+      const filePath = joinAlistPath(folderPath, file.name);
 
-        try {
-          await Tag.syncResourceTags(resourceId, tagIds);
-        } catch (error) {
-          logger.error('同步资源标签失败', {
-            resourceId,
-            tags: tagNames,
-            error: error.message
-          });
-        }
+      await AlistResource.upsertAlistResource(resourceId, filePath, {
+        name: file.name,
+        size: file.size || 0,
+        type: file.type || null,
+        is_dir: false,
+        hash: file.sign || null
+      });
 
-        let ingestedFileCount = 0;
+      ingestedFileCount += 1;
+    }
 
-        for (const file of files) {
-          if (file.is_dir) {
-            continue;
-          }
+    await AlistIngestRecord.upsert({
+      setting_id: setting.id,
+      folder_name: folderName,
+      folder_path: folderPath,
+      folder_modified_at: folderModifiedAt || null,
+      resource_id: resourceId
+    });
 
-          if (file.name.toLowerCase() === 'markdown.txt') {
-            continue;
-          }
+    logger.info('Alist入库完成', {
+      settingId: setting.id,
+      folderPath,
+      resourceId,
+      fileCount: ingestedFileCount,
+      images: imageTasks.length
+    });
 
-          if (!alistClient.isExtensionAllowed(file.name)) {
-            continue;
-          }
+    return { status, folder: folderPath, resourceId };
+  }
 
-          const filePath = joinAlistPath(folderPath, file.name);
+  static triggerImageUploads() {
+    setImmediate(() => {
+      AlistIngestUploadWorker.processPending().catch((error) => {
+        logger.error('处理Alist图片上传任务失败', { error: error.message });
+      });
+    });
+  }
 
-          await AlistResource.upsertAlistResource(resourceId, filePath, {
-            name: file.name,
-            size: file.size || 0,
-            type: file.type || null,
-            is_dir: false,
-            hash: file.sign || null
-          });
+  static async scanSetting(settingId, options = {}) {
+    const setting = await AlistIngestSetting.findById(settingId);
 
-          ingestedFileCount += 1;
-        }
+    if (!setting || !setting.is_active) {
+      throw new Error('入库配置不存在或已禁用');
+    }
 
-        await AlistIngestRecord.upsert({
-          setting_id: setting.id,
-          folder_name: folderName,
-          folder_path: folderPath,
-          folder_modified_at: folderModifiedAt || null,
-          resource_id: resourceId
-        });
+    const { rootPath, directories, folders } = await this.listScanFolders(setting);
 
-        logger.info('Alist入库完成', {
-          settingId: setting.id,
-          folderPath,
-          resourceId,
-          fileCount: ingestedFileCount,
-          images: imageTasks.length
-        });
+    const results = {
+      totalFolders: directories.length,
+      created: [],
+      updated: [],
+      skipped: [],
+      errors: []
+    };
+
+    for (const item of folders) {
+      const folderPath = joinAlistPath(rootPath, item.name);
+
+      try {
+        const outcome = await this.ingestFolder(setting, rootPath, item);
+
+        if (outcome.status === 'skipped') {
+          results.skipped.push({ folder: outcome.folder, reason: outcome.reason });
+        } else {
+          results[outcome.status].push({ folder: outcome.folder, resourceId: outcome.resourceId });
+        }
       } catch (error) {
         logger.error('Alist入库处理失败', {
           settingId: setting.id,
@@ -582,11 +595,7 @@ class AlistIngestService {
       }
     }
 
-    setImmediate(() => {
-      AlistIngestUploadWorker.processPending().catch((error) => {
-        logger.error('处理Alist图片上传任务失败', { error: error.message });
-      });
-    });
+    this.triggerImageUploads();
 
     return results;
   }
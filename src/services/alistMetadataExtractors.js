@@ -0,0 +1,426 @@
+/**
+ * Alist入库元数据提取器
+ * 每个入库配置通过 metadata_extractors 选择启用的提取器，按配置顺序依次执行并合并结果：
+ * 标量字段后执行的提取器覆盖先执行的，标签取并集
+ */
+
+const YAML = require('yamljs');
+const { alistClient } = require('../utils/alistClient');
+const Category = require('../models/Category');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_DESCRIPTION = '自动入库无需描述';
+const DEFAULT_EXTRACTORS = ['markdown'];
+
+const MARKDOWN_FILE_NAMES = ['markdown.txt'];
+const FRONT_MATTER_FILE_NAMES = ['markdown.txt', 'readme.md', 'index.md'];
+const SIDECAR_FILE_NAMES = ['meta.yaml', 'meta.yml', 'meta.json', 'metadata.yaml', 'metadata.yml', 'metadata.json'];
+
+// 元数据字段别名（sidecar 与 front matter 共用）
+const FIELD_ALIASES = {
+  title: ['title', '标题'],
+  description: ['description', 'desc', '描述', '简介'],
+  tags: ['tags', 'tag', '标签'],
+  category: ['category', '分类'],
+  requiredPoints: ['required_points', 'points', '积分'],
+  vipLevel: ['vip_level', 'required_vip_level', 'vip', 'VIP等级']
+};
+
+function joinPath(folderPath, fileName) {
+  return folderPath === '/' ? `/${fileName}` : `${folderPath.replace(/\/+$/, '')}/${fileName}`;
+}
+
+function findFile(files, candidates) {
+  for (const candidate of candidates) {
+    const file = files.find((item) => !item.is_dir && item.name.toLowerCase() === candidate);
+    if (file) {
+      return file;
+    }
+  }
+  return null;
+}
+
+function pickField(data, aliases) {
+  for (const key of aliases) {
+    if (data[key] !== undefined && data[key] !== null && data[key] !== '') {
+      return data[key];
+    }
+  }
+  return undefined;
+}
+
+function normalizeTags(value) {
+  if (Array.isArray(value)) {
+    return value.map((tag) => String(tag).trim()).filter(Boolean);
+  }
+
+  if (typeof value === 'string') {
+    return value
+      .split(/[|,，]/)
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+  }
+
+  return [];
+}
+
+function toNonNegativeInt(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : undefined;
+}
+
+/**
+ * 将 sidecar / front matter 中的键值映射为统一的元数据结构
+ */
+function normalizeMetadata(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return {};
+  }
+
+  const metadata = {};
+
+  const title = pickField(data, FIELD_ALIASES.title);
+  if (title !== undefined) {
+    metadata.title = String(title).trim();
+  }
+
+  const description = pickField(data, FIELD_ALIASES.description);
+  if (description !== undefined) {
+    metadata.description = String(description).trim();
+  }
+
+  const tags = normalizeTags(pickField(data, FIELD_ALIASES.tags));
+  if (tags.length > 0) {
+    metadata.tags = tags;
+  }
+
+  const category = pickField(data, FIELD_ALIASES.category);
+  if (category !== undefined) {
+    metadata.category = String(category).trim();
+  }
+
+  const requiredPoints = toNonNegativeInt(pickField(data, FIELD_ALIASES.requiredPoints));
+  if (requiredPoints !== undefined) {
+    metadata.requiredPoints = requiredPoints;
+  }
+
+  const vipLevel = toNonNegativeInt(pickField(data, FIELD_ALIASES.vipLevel));
+  if (vipLevel !== undefined) {
+    metadata.vipLevel = vipLevel;
+  }
+
+  return metadata;
+}
+
+/**
+ * 解析旧版 markdown.txt：全文为描述，“标签：a|b”行为标签
+ */
+function parseMarkdownContent(raw) {
+  if (!raw || typeof raw !== 'string') {
+    return {
+      description: DEFAULT_DESCRIPTION,
+      tags: []
+    };
+  }
+
+  const lines = raw.split(/\r?\n/);
+  const descriptionLines = [];
+  let tags = [];
+
+  for (const line of lines) {
+    const match = line.match(/^\s*标签\s*[:：]\s*(.+)$/i);
+    if (match) {
+      tags = match[1]
+        .split('|')
+        .map((t) => t.trim())
+        .filter(Boolean);
+      continue;
+    }
+
+    descriptionLines.push(line);
+  }
+
+  const description = descriptionLines
+    .map((line) => line.replace(/\s+$/u, ''))
+    .filter((line) => !/^[=\-]{3,}\s*$/u.test(line))
+    .join('\n')
+    .trim()
+    || DEFAULT_DESCRIPTION;
+
+  return {
+    description,
+    tags
+  };
+}
+
+/**
+ * 拆分 front matter（--- 包裹的 YAML 头部）与正文
+ * @returns {{data: Object|null, body: string}}
+ */
+function splitFrontMatter(raw) {
+  if (!raw || typeof raw !== 'string') {
+    return { data: null, body: '' };
+  }
+
+  const match = raw.replace(/^\uFEFF/, '').match(/^---\s*\r?\n([\s\S]*?)\r?\n---\s*(?:\r?\n|$)([\s\S]*)$/);
+  if (!match) {
+    return { data: null, body: raw };
+  }
+
+  return {
+    data: YAML.parse(match[1]) || {},
+    body: match[2]
+  };
+}
+
+const EXTRACTORS = {
+  markdown: {
+    label: 'markdown.txt 描述与标签',
+    files: MARKDOWN_FILE_NAMES,
+    async extract({ files, readText }) {
+      const file = findFile(files, MARKDOWN_FILE_NAMES);
+      if (!file) {
+        return {};
+      }
+
+      // 带 front matter 的文件交给 front_matter 提取器处理头部，这里只取正文
+      const { body } = splitFrontMatter(await readText(file.name));
+      const parsed = parseMarkdownContent(body);
+      return {
+        description: parsed.description,
+        tags: parsed.tags
+      };
+    }
+  },
+
+  front_matter: {
+    label: 'Markdown front matter',
+    files: FRONT_MATTER_FILE_NAMES,
+    async extract({ files, readText }) {
+      const file = findFile(files, FRONT_MATTER_FILE_NAMES);
+      if (!file) {
+        return {};
+      }
+
+      const { data, body } = splitFrontMatter(await readText(file.name));
+      if (!data) {
+        return {};
+      }
+
+      const metadata = normalizeMetadata(data);
+      if (metadata.description === undefined && body.trim()) {
+        metadata.description = parseMarkdownContent(body).description;
+      }
+      return metadata;
+    }
+  },
+
+  sidecar: {
+    label: 'YAML/JSON 元数据文件',
+    files: SIDECAR_FILE_NAMES,
+    async extract({ files, readText }) {
+      const file = findFile(files, SIDECAR_FILE_NAMES);
+      if (!file) {
+        return {};
+      }
+
+      const raw = await readText(file.name);
+      const data = file.name.toLowerCase().endsWith('.json') ? JSON.parse(raw) : YAML.parse(raw);
+      return normalizeMetadata(data);
+    }
+  },
+
+  folder_pattern: {
+    label: '目录命名规则',
+    files: [],
+    async extract({ folderName, options }) {
+      const rules = Array.isArray(options.folder_rules) ? options.folder_rules : [];
+
+      for (const rule of rules) {
+        let regex;
+        try {
+          regex = new RegExp(rule.pattern);
+        } catch (error) {
+          logger.warn('Alist目录命名规则无效', { pattern: rule.pattern, error: error.message });
+          continue;
+        }
+
+        const match = folderName.match(regex);
+        if (!match) {
+          continue;
+        }
+
+        const metadata = {};
+        if (rule.category_id) {
+          metadata.categoryId = parseInt(rule.category_id, 10);
+        } else if (rule.category) {
+          metadata.category = String(rule.category);
+        } else if (match[1]) {
+          // 未指定分类时使用第一个捕获组作为分类名，如 "[软件] xxx"
+          metadata.category = match[1].trim();
+        }
+
+        if (rule.strip_from_title) {
+          const title = folderName.replace(regex, '').trim();
+          if (title) {
+            metadata.title = title;
+          }
+        }
+
+        return metadata;
+      }
+
+      return {};
+    }
+  }
+};
+
+/**
+ * 规范化配置的提取器列表，过滤未知项；未配置时使用旧版 markdown 提取
+ * @param {Array<string>|string|null} value - 提取器名称列表
+ * @returns {Array<string>}
+ */
+function normalizeExtractorList(value) {
+  let list = value;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (error) {
+      list = list.split(',');
+    }
+  }
+
+  if (!Array.isArray(list)) {
+    return [...DEFAULT_EXTRACTORS];
+  }
+
+  return [...new Set(list.map((name) => String(name).trim()))].filter((name) => EXTRACTORS[name]);
+}
+
+function getAvailableExtractors() {
+  return Object.entries(EXTRACTORS).map(([name, extractor]) => ({
+    name,
+    label: extractor.label,
+    files: extractor.files
+  }));
+}
+
+/**
+ * 判断文件是否为启用的提取器所使用的元数据文件（不作为资源文件入库）
+ */
+function isMetadataFile(fileName, extractorNames) {
+  const lowerName = fileName.toLowerCase();
+  if (MARKDOWN_FILE_NAMES.includes(lowerName)) {
+    return true;
+  }
+
+  return extractorNames.some((name) => EXTRACTORS[name]?.files.includes(lowerName));
+}
+
+async function resolveCategoryId(metadata) {
+  if (metadata.categoryId) {
+    return metadata.categoryId;
+  }
+
+  if (!metadata.category) {
+    return null;
+  }
+
+  if (/^\d+$/.test(metadata.category)) {
+    return parseInt(metadata.category, 10);
+  }
+
+  const category = await Category.findByName(metadata.category);
+  if (!category) {
+    logger.warn('Alist元数据中的分类不存在，使用配置默认分类', { category: metadata.category });
+    return null;
+  }
+
+  return category.id;
+}
+
+/**
+ * 按入库配置执行元数据提取
+ * @param {Object} setting - 入库配置
+ * @param {Object} folder - { folderName, folderPath, files }
+ * @returns {Promise<Object>} { title, description, tags, categoryId, requiredPoints, vipLevel, sources, warnings }
+ */
+async function extractFolderMetadata(setting, { folderName, folderPath, files }) {
+  const extractorNames = normalizeExtractorList(setting.metadata_extractors);
+  const options = setting.extractor_options || {};
+  const textCache = new Map();
+
+  const readText = async (fileName) => {
+    if (!textCache.has(fileName)) {
+      textCache.set(fileName, await alistClient.getFileContent(joinPath(folderPath, fileName), 'utf-8'));
+    }
+    return textCache.get(fileName);
+  };
+
+  const merged = { tags: [] };
+  const sources = [];
+  const warnings = [];
+
+  for (const name of extractorNames) {
+    try {
+      const result = await EXTRACTORS[name].extract({ folderName, folderPath, files, options, readText });
+      const { tags, ...scalars } = result;
+
+      // 分类名称与分类ID互斥，以后执行的提取器为准
+      if (scalars.category !== undefined) {
+        delete merged.categoryId;
+      }
+      if (scalars.categoryId !== undefined) {
+        delete merged.category;
+      }
+
+      if (tags && tags.length > 0) {
+        merged.tags = [...new Set([...merged.tags, ...tags])];
+      }
+
+      Object.entries(scalars).forEach(([key, value]) => {
+        if (value !== undefined) {
+          merged[key] = value;
+        }
+      });
+
+      if (Object.keys(result).length > 0) {
+        sources.push(name);
+      }
+    } catch (error) {
+      warnings.push({ extractor: name, error: error.message });
+      logger.warn('Alist元数据提取失败', {
+        settingId: setting.id,
+        folderPath,
+        extractor: name,
+        error: error.message
+      });
+    }
+  }
+
+  let categoryId = null;
+  if (merged.categoryId || merged.category) {
+    categoryId = await resolveCategoryId(merged);
+  }
+
+  return {
+    title: merged.title || null,
+    description: merged.description || DEFAULT_DESCRIPTION,
+    tags: merged.tags,
+    category: merged.category || null,
+    categoryId,
+    requiredPoints: merged.requiredPoints,
+    vipLevel: merged.vipLevel,
+    sources,
+    warnings
+  };
+}
+
+module.exports = {
+  DEFAULT_DESCRIPTION,
+  extractFolderMetadata,
+  getAvailableExtractors,
+  isMetadataFile,
+  normalizeExtractorList,
+  parseMarkdownContent
+};
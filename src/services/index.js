@@ -20,6 +20,16 @@ const CategoryService = require('./CategoryService');
 const TagService = require('./TagService');
 const FavoriteService = require('./FavoriteService');
 const PointsService = require('./PointsService');
+const LoginSecurityService = require('./LoginSecurityService');
+const PaymentService = require('./PaymentService');
+const ReversalService = require('./ReversalService');
+const AnnouncementService = require('./AnnouncementService');
+const FeedService = require('./FeedService');
+const RecommendationService = require('./RecommendationService');
+const ResourceVersionService = require('./ResourceVersionService');
+const ResourcePublishingService = require('./ResourcePublishingService');
+const ResourceRevisionService = require('./ResourceRevisionService');
+const ContentRenderService = require('./ContentRenderService');
 
 // 服务工厂
 const { ServiceFactory, serviceFactory, getService, initializeServices } = require('./ServiceFactory');
@@ -45,6 +55,16 @@ module.exports = {
   TagService,
   FavoriteService,
   PointsService,
+  LoginSecurityService,
+  PaymentService,
+  ReversalService,
+  AnnouncementService,
+  FeedService,
+  RecommendationService,
+  ResourceVersionService,
+  ResourcePublishingService,
+  ResourceRevisionService,
+  ContentRenderService,
   
   // 服务工厂
   ServiceFactory,
@@ -65,6 +85,16 @@ module.exports = {
     get category() { return getService('CategoryService'); },
     get tag() { return getService('TagService'); },
     get favorite() { return getService('FavoriteService'); },
-    get points() { return getService('PointsService'); }
+    get points() { return getService('PointsService'); },
+    get loginSecurity() { return getService('LoginSecurityService'); },
+    get payment() { return getService('PaymentService'); },
+    get reversal() { return getService('ReversalService'); },
+    get announcement() { return getService('AnnouncementService'); },
+    get feed() { return getService('FeedService'); },
+    get recommendation() { return getService('RecommendationService'); },
+    get resourceVersion() { return getService('ResourceVersionService'); },
+    get resourcePublishing() { return getService('ResourcePublishingService'); },
+    get resourceRevision() { return getService('ResourceRevisionService'); },
+    get contentRender() { return getService('ContentRenderService'); }
   }
 };
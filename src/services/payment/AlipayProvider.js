@@ -0,0 +1,210 @@
+/**
+ * 支付宝支付渠道（开放平台 RSA2 签名，电脑网站支付）
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const moment = require('moment-timezone');
+const { BasePaymentProvider, formatAmount, normalizePem } = require('./BasePaymentProvider');
+
+const DEFAULT_GATEWAY = 'https://openapi.alipay.com/gateway.do';
+const ALIPAY_TIMEZONE = 'Asia/Shanghai';
+
+// 支付宝交易状态 -> 统一状态
+const TRADE_STATUS_MAP = {
+  WAIT_BUYER_PAY: 'pending',
+  TRADE_SUCCESS: 'paid',
+  TRADE_FINISHED: 'paid',
+  TRADE_CLOSED: 'closed'
+};
+
+const formatTime = (date) => moment(date).tz(ALIPAY_TIMEZONE).format('YYYY-MM-DD HH:mm:ss');
+
+const parseTime = (value) => (value ? moment.tz(value, 'YYYY-MM-DD HH:mm:ss', ALIPAY_TIMEZONE).toDate() : null);
+
+/**
+ * 待签名字符串：除 sign 外的非空参数按键名升序拼接
+ */
+const buildSignContent = (params, excludeKeys = ['sign']) => Object.keys(params)
+  .filter((key) => !excludeKeys.includes(key) && params[key] !== undefined && params[key] !== null && params[key] !== '')
+  .sort()
+  .map((key) => `${key}=${params[key]}`)
+  .join('&');
+
+class AlipayProvider extends BasePaymentProvider {
+  constructor(config = {}) {
+    super('alipay', '支付宝');
+
+    this.config = {
+      appId: process.env.ALIPAY_APP_ID,
+      privateKey: normalizePem(process.env.ALIPAY_PRIVATE_KEY, 'PRIVATE KEY'),
+      alipayPublicKey: normalizePem(process.env.ALIPAY_PUBLIC_KEY, 'PUBLIC KEY'),
+      gateway: process.env.ALIPAY_GATEWAY || DEFAULT_GATEWAY,
+      notifyUrl: process.env.ALIPAY_NOTIFY_URL,
+      returnUrl: process.env.ALIPAY_RETURN_URL,
+      ...config
+    };
+  }
+
+  isEnabled() {
+    const { appId, privateKey, alipayPublicKey, notifyUrl } = this.config;
+    return Boolean(appId && privateKey && alipayPublicKey && notifyUrl);
+  }
+
+  sign(params) {
+    return crypto
+      .createSign('RSA-SHA256')
+      .update(buildSignContent(params), 'utf8')
+      .sign(this.config.privateKey, 'base64');
+  }
+
+  verifySignature(content, signature) {
+    if (!signature) {
+      return false;
+    }
+
+    try {
+      return crypto
+        .createVerify('RSA-SHA256')
+        .update(content, 'utf8')
+        .verify(this.config.alipayPublicKey, signature, 'base64');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  buildRequestParams(method, bizContent, extra = {}) {
+    const params = {
+      app_id: this.config.appId,
+      method,
+      format: 'JSON',
+      charset: 'utf-8',
+      sign_type: 'RSA2',
+      timestamp: formatTime(new Date()),
+      version: '1.0',
+      biz_content: JSON.stringify(bizContent),
+      ...extra
+    };
+
+    params.sign = this.sign(params);
+    return params;
+  }
+
+  /**
+   * 调用开放平台接口并校验响应签名
+   */
+  async execute(method, bizContent) {
+    const params = this.buildRequestParams(method, bizContent);
+    const response = await axios.post(this.config.gateway, new URLSearchParams(params).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded;charset=utf-8' },
+      timeout: 10000,
+      // 保留原始响应文本用于验签
+      responseType: 'text',
+      transformResponse: [(data) => data]
+    });
+
+    const responseKey = `${method.replace(/\./g, '_')}_response`;
+    const raw = String(response.data);
+    const parsed = JSON.parse(raw);
+
+    // 响应签名覆盖 xxx_response 节点的原始JSON文本
+    const match = raw.match(new RegExp(`"${responseKey}"\\s*:\\s*(\\{[\\s\\S]*\\})\\s*,\\s*"sign"`));
+    if (!match || !this.verifySignature(match[1], parsed.sign)) {
+      throw new Error('支付宝响应验签失败');
+    }
+
+    return parsed[responseKey];
+  }
+
+  async createPayment(order) {
+    const params = this.buildRequestParams('alipay.trade.page.pay', {
+      out_trade_no: order.order_no,
+      total_amount: formatAmount(order.price),
+      subject: order.subject,
+      product_code: 'FAST_INSTANT_TRADE_PAY',
+      time_expire: order.payment_expires_at ? formatTime(order.payment_expires_at) : undefined
+    }, {
+      notify_url: this.config.notifyUrl,
+      return_url: this.config.returnUrl
+    });
+
+    Object.keys(params).forEach((key) => {
+      if (params[key] === undefined || params[key] === null) {
+        delete params[key];
+      }
+    });
+
+    return {
+      paymentData: {
+        type: 'redirect',
+        pay_url: `${this.config.gateway}?${new URLSearchParams(params).toString()}`
+      }
+    };
+  }
+
+  async verifyNotification({ rawBody }) {
+    const params = Object.fromEntries(new URLSearchParams(rawBody.toString('utf8')));
+
+    // 异步通知验签时 sign 与 sign_type 均不参与
+    const content = buildSignContent(params, ['sign', 'sign_type']);
+    if (!this.verifySignature(content, params.sign)) {
+      throw new Error('支付宝回调验签失败');
+    }
+
+    if (params.app_id !== this.config.appId) {
+      throw new Error('支付宝回调 app_id 不匹配');
+    }
+
+    return {
+      orderNo: params.out_trade_no,
+      tradeNo: params.trade_no,
+      amount: Number(params.total_amount),
+      status: TRADE_STATUS_MAP[params.trade_status] || 'pending',
+      paidAt: parseTime(params.gmt_payment),
+      raw: params
+    };
+  }
+
+  async queryPayment(order) {
+    const result = await this.execute('alipay.trade.query', { out_trade_no: order.order_no });
+
+    // 用户尚未扫码时支付宝未创建交易
+    if (result.code === '40004' && result.sub_code === 'ACQ.TRADE_NOT_EXIST') {
+      return { orderNo: order.order_no, tradeNo: null, amount: null, status: 'pending', paidAt: null, raw: result };
+    }
+
+    if (result.code !== '10000') {
+      throw new Error(`支付宝查询订单失败: ${result.sub_msg || result.msg}`);
+    }
+
+    return {
+      orderNo: result.out_trade_no,
+      tradeNo: result.trade_no,
+      amount: Number(result.total_amount),
+      status: TRADE_STATUS_MAP[result.trade_status] || 'pending',
+      paidAt: parseTime(result.send_pay_date),
+      raw: result
+    };
+  }
+
+  async refund(order, { amount, refundNo, reason }) {
+    const result = await this.execute('alipay.trade.refund', {
+      out_trade_no: order.order_no,
+      refund_amount: formatAmount(amount),
+      out_request_no: refundNo,
+      refund_reason: reason || undefined
+    });
+
+    if (result.code !== '10000') {
+      throw new Error(`支付宝退款失败: ${result.sub_msg || result.msg}`);
+    }
+
+    return {
+      refundNo,
+      status: result.fund_change === 'Y' ? 'success' : 'processing',
+      raw: result
+    };
+  }
+}
+
+module.exports = AlipayProvider;
@@ -0,0 +1,119 @@
+/**
+ * 支付渠道基类
+ * 各渠道适配器实现下单、回调验签、查单与退款，并统一返回以下结构：
+ *   交易结果：{ orderNo, tradeNo, amount, status: 'paid'|'pending'|'closed', paidAt, raw }
+ *   退款结果：{ refundNo, status: 'success'|'processing', raw }
+ */
+
+class BasePaymentProvider {
+  /**
+   * @param {string} name - 渠道标识（写入 orders.payment_method）
+   * @param {string} displayName - 渠道显示名称
+   */
+  constructor(name, displayName) {
+    this.name = name;
+    this.displayName = displayName;
+  }
+
+  /**
+   * 渠道配置是否完整可用
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return false;
+  }
+
+  /**
+   * 发起支付
+   * @param {Object} order - orders 记录
+   * @param {Object} [options]
+   * @param {string} [options.clientIp] - 下单用户IP
+   * @returns {Promise<{paymentData: Object, tradeNo?: string}>} paymentData 返回给前端用于拉起支付
+   */
+  async createPayment(order, options = {}) {
+    throw new Error(`${this.displayName}未实现发起支付`);
+  }
+
+  /**
+   * 校验并解析异步通知，验签失败时抛出异常
+   * @param {Object} request
+   * @param {Object} request.headers - 请求头
+   * @param {Buffer} request.rawBody - 原始请求体
+   * @returns {Promise<Object>} 交易结果
+   */
+  async verifyNotification(request) {
+    throw new Error(`${this.displayName}未实现回调验签`);
+  }
+
+  /**
+   * 回调应答（渠道据此判断是否需要重发通知）
+   * @param {boolean} success
+   * @returns {{status: number, contentType: string, body: string}}
+   */
+  acknowledge(success) {
+    return {
+      status: success ? 200 : 400,
+      contentType: 'text/plain',
+      body: success ? 'success' : 'fail'
+    };
+  }
+
+  /**
+   * 主动查询交易状态
+   * @param {Object} order - orders 记录
+   * @returns {Promise<Object>} 交易结果
+   */
+  async queryPayment(order) {
+    throw new Error(`${this.displayName}未实现查询订单`);
+  }
+
+  /**
+   * 申请退款
+   * @param {Object} order - orders 记录
+   * @param {Object} params
+   * @param {number} params.amount - 退款金额（元）
+   * @param {string} params.refundNo - 商户退款单号，同一单号重复提交视为同一笔退款
+   * @param {string} [params.reason] - 退款原因
+   * @returns {Promise<Object>} 退款结果
+   */
+  async refund(order, params) {
+    throw new Error(`${this.displayName}未实现退款`);
+  }
+}
+
+/**
+ * 金额格式化为两位小数字符串（元）
+ */
+const formatAmount = (amount) => Number(amount).toFixed(2);
+
+/**
+ * 元转分
+ */
+const toFen = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * 规范化环境变量中的密钥：支持 \n 转义，未包含PEM头时按指定类型补全
+ * @param {string} value
+ * @param {string} type - 'PRIVATE KEY' / 'PUBLIC KEY'
+ * @returns {string|null}
+ */
+const normalizePem = (value, type) => {
+  if (!value) {
+    return null;
+  }
+
+  const key = value.replace(/\\n/g, '\n').trim();
+  if (key.includes('-----BEGIN')) {
+    return key;
+  }
+
+  const body = key.replace(/\s+/g, '').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN ${type}-----\n${body}\n-----END ${type}-----`;
+};
+
+module.exports = {
+  BasePaymentProvider,
+  formatAmount,
+  toFen,
+  normalizePem
+};
@@ -0,0 +1,107 @@
+/**
+ * 模拟支付渠道（本地开发与联调）
+ * 下单时直接返回已签名的回调报文，调用方原样 POST 到回调地址即可模拟支付成功
+ */
+
+const crypto = require('crypto');
+const { BasePaymentProvider, formatAmount } = require('./BasePaymentProvider');
+
+class MockPaymentProvider extends BasePaymentProvider {
+  constructor(config = {}) {
+    super('mock', '模拟支付');
+
+    this.config = {
+      enabled: process.env.PAYMENT_MOCK_ENABLED === 'true',
+      secret: process.env.PAYMENT_MOCK_SECRET || process.env.JWT_SECRET,
+      ...config
+    };
+
+    // 模拟渠道侧的交易状态，仅保存在当前进程
+    this.transactions = new Map();
+  }
+
+  isEnabled() {
+    return Boolean(this.config.enabled && this.config.secret);
+  }
+
+  sign(payload) {
+    const content = ['order_no', 'trade_no', 'amount', 'status', 'paid_at']
+      .map((key) => `${key}=${payload[key]}`)
+      .join('&');
+
+    return crypto.createHmac('sha256', this.config.secret).update(content).digest('hex');
+  }
+
+  async createPayment(order) {
+    const tradeNo = `MOCK${Date.now()}${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    const payload = {
+      order_no: order.order_no,
+      trade_no: tradeNo,
+      amount: formatAmount(order.price),
+      status: 'paid',
+      paid_at: new Date().toISOString()
+    };
+    payload.sign = this.sign(payload);
+
+    this.transactions.set(order.order_no, { tradeNo, amount: Number(order.price), status: 'pending', paidAt: null });
+
+    return {
+      tradeNo,
+      paymentData: {
+        type: 'mock',
+        notify_payload: payload
+      }
+    };
+  }
+
+  async verifyNotification({ rawBody }) {
+    const payload = JSON.parse(rawBody.toString('utf8'));
+    const expected = this.sign(payload);
+    const actual = String(payload.sign || '');
+
+    if (actual.length !== expected.length
+      || !crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected))) {
+      throw new Error('模拟支付回调验签失败');
+    }
+
+    const paidAt = payload.status === 'paid' ? new Date(payload.paid_at) : null;
+    this.transactions.set(payload.order_no, {
+      tradeNo: payload.trade_no,
+      amount: Number(payload.amount),
+      status: payload.status,
+      paidAt
+    });
+
+    return {
+      orderNo: payload.order_no,
+      tradeNo: payload.trade_no,
+      amount: Number(payload.amount),
+      status: payload.status,
+      paidAt,
+      raw: payload
+    };
+  }
+
+  async queryPayment(order) {
+    const transaction = this.transactions.get(order.order_no);
+
+    return {
+      orderNo: order.order_no,
+      tradeNo: transaction ? transaction.tradeNo : null,
+      amount: transaction ? transaction.amount : null,
+      status: transaction ? transaction.status : 'pending',
+      paidAt: transaction ? transaction.paidAt : null,
+      raw: transaction || null
+    };
+  }
+
+  async refund(order, { refundNo }) {
+    return {
+      refundNo,
+      status: 'success',
+      raw: { order_no: order.order_no, refund_no: refundNo }
+    };
+  }
+}
+
+module.exports = MockPaymentProvider;
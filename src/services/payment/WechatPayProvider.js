@@ -0,0 +1,236 @@
+/**
+ * 微信支付渠道（APIv3，Native 扫码支付）
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const moment = require('moment-timezone');
+const { BasePaymentProvider, toFen, normalizePem } = require('./BasePaymentProvider');
+
+const DEFAULT_BASE_URL = 'https://api.mch.weixin.qq.com';
+// 回调时间戳允许的偏差（秒），防止重放
+const NOTIFY_TIMESTAMP_TOLERANCE = 300;
+
+// 微信交易状态 -> 统一状态
+const TRADE_STATE_MAP = {
+  NOTPAY: 'pending',
+  USERPAYING: 'pending',
+  SUCCESS: 'paid',
+  REFUND: 'paid',
+  CLOSED: 'closed',
+  REVOKED: 'closed',
+  PAYERROR: 'closed'
+};
+
+class WechatPayProvider extends BasePaymentProvider {
+  constructor(config = {}) {
+    super('wechat', '微信支付');
+
+    this.config = {
+      appId: process.env.WECHATPAY_APP_ID,
+      mchId: process.env.WECHATPAY_MCH_ID,
+      serialNo: process.env.WECHATPAY_SERIAL_NO,
+      privateKey: normalizePem(process.env.WECHATPAY_PRIVATE_KEY, 'PRIVATE KEY'),
+      platformPublicKey: normalizePem(process.env.WECHATPAY_PLATFORM_PUBLIC_KEY, 'PUBLIC KEY'),
+      apiV3Key: process.env.WECHATPAY_API_V3_KEY,
+      notifyUrl: process.env.WECHATPAY_NOTIFY_URL,
+      baseUrl: process.env.WECHATPAY_BASE_URL || DEFAULT_BASE_URL,
+      ...config
+    };
+  }
+
+  isEnabled() {
+    const { appId, mchId, serialNo, privateKey, platformPublicKey, apiV3Key, notifyUrl } = this.config;
+    return Boolean(appId && mchId && serialNo && privateKey && platformPublicKey && apiV3Key && notifyUrl);
+  }
+
+  buildAuthorization(method, urlPath, body) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const message = `${method}\n${urlPath}\n${timestamp}\n${nonce}\n${body}\n`;
+    const signature = crypto
+      .createSign('RSA-SHA256')
+      .update(message, 'utf8')
+      .sign(this.config.privateKey, 'base64');
+
+    return `WECHATPAY2-SHA256-RSA2048 mchid="${this.config.mchId}",nonce_str="${nonce}",signature="${signature}",timestamp="${timestamp}",serial_no="${this.config.serialNo}"`;
+  }
+
+  verifySignature(timestamp, nonce, body, signature) {
+    if (!timestamp || !nonce || !signature) {
+      return false;
+    }
+
+    try {
+      return crypto
+        .createVerify('RSA-SHA256')
+        .update(`${timestamp}\n${nonce}\n${body}\n`, 'utf8')
+        .verify(this.config.platformPublicKey, signature, 'base64');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 调用APIv3接口并校验应答签名
+   */
+  async request(method, urlPath, payload = null) {
+    const body = payload ? JSON.stringify(payload) : '';
+    const response = await axios.request({
+      method,
+      url: `${this.config.baseUrl}${urlPath}`,
+      data: body || undefined,
+      headers: {
+        Authorization: this.buildAuthorization(method, urlPath, body),
+        Accept: 'application/json',
+        'Content-Type': 'application/json'
+      },
+      timeout: 10000,
+      responseType: 'text',
+      transformResponse: [(data) => data],
+      validateStatus: () => true
+    });
+
+    const raw = String(response.data || '');
+    const data = raw ? JSON.parse(raw) : {};
+
+    if (response.status >= 400) {
+      const error = new Error(`微信支付接口调用失败: ${data.message || response.status}`);
+      error.code = data.code;
+      error.status = response.status;
+      throw error;
+    }
+
+    const valid = this.verifySignature(
+      response.headers['wechatpay-timestamp'],
+      response.headers['wechatpay-nonce'],
+      raw,
+      response.headers['wechatpay-signature']
+    );
+    if (!valid) {
+      throw new Error('微信支付应答验签失败');
+    }
+
+    return data;
+  }
+
+  /**
+   * 解密回调资源（AEAD_AES_256_GCM）
+   */
+  decryptResource({ ciphertext, nonce, associated_data: associatedData }) {
+    const buffer = Buffer.from(ciphertext, 'base64');
+    const authTag = buffer.subarray(buffer.length - 16);
+    const data = buffer.subarray(0, buffer.length - 16);
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', Buffer.from(this.config.apiV3Key, 'utf8'), nonce);
+    decipher.setAuthTag(authTag);
+    if (associatedData) {
+      decipher.setAAD(Buffer.from(associatedData, 'utf8'));
+    }
+
+    return JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8'));
+  }
+
+  normalizeTransaction(transaction) {
+    return {
+      orderNo: transaction.out_trade_no,
+      tradeNo: transaction.transaction_id || null,
+      amount: transaction.amount ? transaction.amount.total / 100 : null,
+      status: TRADE_STATE_MAP[transaction.trade_state] || 'pending',
+      paidAt: transaction.success_time ? new Date(transaction.success_time) : null,
+      raw: transaction
+    };
+  }
+
+  async createPayment(order) {
+    const result = await this.request('POST', '/v3/pay/transactions/native', {
+      appid: this.config.appId,
+      mchid: this.config.mchId,
+      description: order.subject,
+      out_trade_no: order.order_no,
+      time_expire: order.payment_expires_at ? moment(order.payment_expires_at).tz('Asia/Shanghai').format() : undefined,
+      notify_url: this.config.notifyUrl,
+      amount: {
+        total: toFen(order.price),
+        currency: 'CNY'
+      }
+    });
+
+    return {
+      paymentData: {
+        type: 'qrcode',
+        code_url: result.code_url
+      }
+    };
+  }
+
+  async verifyNotification({ headers, rawBody }) {
+    const body = rawBody.toString('utf8');
+    const timestamp = headers['wechatpay-timestamp'];
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp)) > NOTIFY_TIMESTAMP_TOLERANCE) {
+      throw new Error('微信支付回调时间戳已过期');
+    }
+
+    if (!this.verifySignature(timestamp, headers['wechatpay-nonce'], body, headers['wechatpay-signature'])) {
+      throw new Error('微信支付回调验签失败');
+    }
+
+    const notification = JSON.parse(body);
+    const transaction = this.decryptResource(notification.resource);
+
+    if (transaction.mchid !== this.config.mchId) {
+      throw new Error('微信支付回调商户号不匹配');
+    }
+
+    return this.normalizeTransaction(transaction);
+  }
+
+  acknowledge(success) {
+    return {
+      status: success ? 200 : 500,
+      contentType: 'application/json',
+      body: JSON.stringify(success ? { code: 'SUCCESS', message: '成功' } : { code: 'FAIL', message: '失败' })
+    };
+  }
+
+  async queryPayment(order) {
+    try {
+      const transaction = await this.request(
+        'GET',
+        `/v3/pay/transactions/out-trade-no/${encodeURIComponent(order.order_no)}?mchid=${this.config.mchId}`
+      );
+      return this.normalizeTransaction(transaction);
+    } catch (error) {
+      if (error.code === 'ORDER_NOT_EXIST') {
+        return { orderNo: order.order_no, tradeNo: null, amount: null, status: 'pending', paidAt: null, raw: null };
+      }
+      throw error;
+    }
+  }
+
+  async refund(order, { amount, refundNo, reason }) {
+    const result = await this.request('POST', '/v3/refund/domestic/refunds', {
+      out_trade_no: order.order_no,
+      out_refund_no: refundNo,
+      reason: reason || undefined,
+      amount: {
+        refund: toFen(amount),
+        total: toFen(order.price),
+        currency: 'CNY'
+      }
+    });
+
+    if (result.status === 'CLOSED' || result.status === 'ABNORMAL') {
+      throw new Error(`微信支付退款失败: ${result.status}`);
+    }
+
+    return {
+      refundNo,
+      status: result.status === 'SUCCESS' ? 'success' : 'processing',
+      raw: result
+    };
+  }
+}
+
+module.exports = WechatPayProvider;
@@ -0,0 +1,38 @@
+/**
+ * 支付渠道注册表
+ */
+
+const AlipayProvider = require('./AlipayProvider');
+const WechatPayProvider = require('./WechatPayProvider');
+const MockPaymentProvider = require('./MockPaymentProvider');
+
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+registerProvider(new AlipayProvider());
+registerProvider(new WechatPayProvider());
+registerProvider(new MockPaymentProvider());
+
+/**
+ * 获取已启用的支付渠道
+ * @param {string} name - 渠道标识
+ * @returns {BasePaymentProvider|null}
+ */
+const getProvider = (name) => {
+  const provider = providers.get(name);
+  return provider && provider.isEnabled() ? provider : null;
+};
+
+/**
+ * 列出全部已启用的支付渠道
+ */
+const getEnabledProviders = () => Array.from(providers.values()).filter((provider) => provider.isEnabled());
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getEnabledProviders
+};
@@ -0,0 +1,190 @@
+/**
+ * 搜索索引同步服务
+ * 定期将新增或变更的资源、社区帖子、标签分词后写入 search_documents，并清理源数据已删除的索引。
+ * 集群模式下通过咨询锁保证同一时刻只有一个进程在同步
+ */
+
+const SearchDocument = require('../models/SearchDocument');
+const { tokenize } = require('../utils/searchTokenizer');
+const { withAdvisoryLock } = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const SEARCH_INDEX_LOCK_NAMESPACE = 41002;
+const SYNC_INTERVAL = Number(process.env.SEARCH_INDEX_SYNC_INTERVAL) || 30 * 1000;
+const BATCH_SIZE = 200;
+// 单次同步每种类型最多处理的批次数，避免全量重建时长时间占用连接
+const MAX_BATCHES_PER_SYNC = 25;
+const MAX_BODY_LENGTH = 20000;
+
+const toDocument = (docType, row) => {
+  if (docType === 'tag') {
+    return {
+      docType,
+      docId: row.id,
+      title: row.title,
+      body: row.body,
+      titleTokens: tokenize(`${row.title} ${row.name}`),
+      bodyTokens: tokenize(row.description),
+      popularity: row.popularity,
+      sourceUpdatedAt: new Date()
+    };
+  }
+
+  const body = [row.summary, row.description]
+    .filter(Boolean)
+    .join('\n')
+    .slice(0, MAX_BODY_LENGTH);
+  const keywords = [
+    ...row.tag_names,
+    docType === 'resource' ? row.category_display_name : row.board_display_name
+  ].filter(Boolean);
+
+  return {
+    docType,
+    docId: row.id,
+    title: row.title,
+    body,
+    titleTokens: tokenize(row.title),
+    keywordTokens: tokenize(keywords.join(' ')),
+    bodyTokens: tokenize(body),
+    categoryId: row.category_id,
+    resourceTypeId: row.resource_type_id,
+    requiredVipLevel: docType === 'resource' ? row.required_vip_level : null,
+    boardId: row.board_id,
+    tagIds: row.tag_ids,
+    isVisible: row.is_visible,
+    popularity: row.popularity,
+    publishedAt: row.published_at,
+    sourceUpdatedAt: row.source_updated_at
+  };
+};
+
+class SearchIndexer {
+  constructor() {
+    this.intervalId = null;
+    this.syncing = false;
+  }
+
+  /**
+   * 启动索引同步
+   */
+  start() {
+    if (this.intervalId) {
+      logger.warn('搜索索引同步任务已在运行中');
+      return;
+    }
+
+    logger.info('启动搜索索引同步任务', { intervalMs: SYNC_INTERVAL });
+
+    this.intervalId = setInterval(() => {
+      this.sync();
+    }, SYNC_INTERVAL);
+    this.intervalId.unref();
+
+    this.sync();
+  }
+
+  /**
+   * 停止索引同步
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    logger.info('搜索索引同步任务已停止');
+  }
+
+  /**
+   * 同步过期索引
+   * @returns {Promise<Object|null>} 各类型索引数量与清理数量；未获得锁或正在同步时返回null
+   */
+  async sync() {
+    if (this.syncing) {
+      return null;
+    }
+
+    this.syncing = true;
+    try {
+      const { acquired, result } = await withAdvisoryLock(SEARCH_INDEX_LOCK_NAMESPACE, 0, async () => {
+        const indexed = {};
+        for (const docType of SearchDocument.DOC_TYPES) {
+          indexed[docType] = await this.syncType(docType);
+        }
+        const removed = await SearchDocument.removeOrphans();
+        return { indexed, removed };
+      });
+
+      if (!acquired) {
+        return null;
+      }
+
+      const total = Object.values(result.indexed).reduce((sum, count) => sum + count, 0);
+      if (total > 0 || result.removed > 0) {
+        logger.info('搜索索引同步完成', result);
+      }
+      return result;
+    } catch (error) {
+      logger.error('搜索索引同步失败:', error);
+      return null;
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  async syncType(docType) {
+    let indexed = 0;
+
+    for (let batch = 0; batch < MAX_BATCHES_PER_SYNC; batch += 1) {
+      const ids = await SearchDocument.findStaleIds(docType, BATCH_SIZE);
+      if (ids.length === 0) {
+        break;
+      }
+
+      indexed += await this.indexDocuments(docType, ids);
+      if (ids.length < BATCH_SIZE) {
+        break;
+      }
+    }
+
+    return indexed;
+  }
+
+  /**
+   * 立即为指定源数据建立索引
+   * @param {string} docType - resource/post/tag
+   * @param {number[]} ids - 源数据ID
+   * @returns {Promise<number>} 写入的文档数
+   */
+  async indexDocuments(docType, ids) {
+    const rows = await SearchDocument.findSources(docType, ids);
+
+    for (const row of rows) {
+      await SearchDocument.upsert(toDocument(docType, row));
+    }
+
+    return rows.length;
+  }
+
+  /**
+   * 标记全部索引为过期并立即开始重建（分词规则调整后使用）
+   * @param {string|null} docType - 文档类型，留空表示全部
+   * @returns {Promise<number>} 标记的文档数
+   */
+  async rebuild(docType = null) {
+    const marked = await SearchDocument.markStale(docType);
+    logger.info('搜索索引已标记重建', { docType, marked });
+
+    this.sync();
+    return marked;
+  }
+}
+
+// 创建单例实例
+const searchIndexer = new SearchIndexer();
+
+module.exports = {
+  searchIndexer,
+  SearchIndexer
+};
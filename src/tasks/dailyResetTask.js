@@ -6,6 +6,15 @@
 const cron = require('node-cron');
 const { resetAllUsersDailyDownloads } = require('../utils/downloadLimitUtils');
 const VIP = require('../models/VIP');
+const CommunityPunishment = require('../models/CommunityPunishment');
+const PresignedUploadService = require('../services/PresignedUploadService');
+const PaymentService = require('../services/PaymentService');
+const PointsService = require('../services/PointsService');
+const AnnouncementService = require('../services/AnnouncementService');
+const RecommendationService = require('../services/RecommendationService');
+const ResourcePublishingService = require('../services/ResourcePublishingService');
+const ContentRenderService = require('../services/ContentRenderService');
+const DownloadToken = require('../models/DownloadToken');
 const { logger } = require('../utils/logger');
 
 /**
@@ -24,6 +33,13 @@ function startDailyResetTask() {
     } catch (error) {
       logger.error('每日下载次数重置任务失败:', error);
     }
+
+    try {
+      const purgedCount = await DownloadToken.purgeExpired();
+      logger.info(`清理过期下载令牌 ${purgedCount} 条`);
+    } catch (error) {
+      logger.error('清理过期下载令牌失败:', error);
+    }
   }, {
     timezone: 'Asia/Shanghai' // 使用中国时区
   });
@@ -58,6 +74,206 @@ function startVipExpirationTask() {
   return job;
 }
 
+/**
+ * 启动社区处罚过期任务
+ * 每5分钟执行一次，解除已到期的禁言、禁止发帖和版块封禁
+ */
+function startCommunityPunishmentExpirationTask() {
+  const job = cron.schedule('*/5 * * * *', async () => {
+    try {
+      const expired = await CommunityPunishment.expireOverdue();
+
+      if (expired.length > 0) {
+        logger.info('自动解除到期社区处罚', {
+          processed: expired.length,
+          punishmentIds: expired.map((punishment) => punishment.id)
+        });
+      }
+    } catch (error) {
+      logger.error('自动解除到期社区处罚失败:', error);
+    }
+  }, {
+    timezone: 'Asia/Shanghai'
+  });
+
+  logger.info('社区处罚过期任务已启动，将每5分钟执行一次');
+  return job;
+}
+
+/**
+ * 启动资源文件分片上传清理任务
+ * 每小时执行一次，中止过期未完成的分片上传，释放MinIO中的孤儿分片
+ */
+function startResourceUploadCleanupTask() {
+  const job = cron.schedule('30 * * * *', async () => {
+    try {
+      const { expiredSessions, strayUploads } = await PresignedUploadService.abortOrphanedUploads();
+
+      if (expiredSessions > 0 || strayUploads > 0) {
+        logger.info('清理孤儿分片上传完成', { expiredSessions, strayUploads });
+      }
+    } catch (error) {
+      logger.error('清理孤儿分片上传失败:', error);
+    }
+  }, {
+    timezone: 'Asia/Shanghai'
+  });
+
+  logger.info('资源文件分片上传清理任务已启动，将每小时执行一次');
+  return job;
+}
+
+/**
+ * 启动支付订单过期任务
+ * 每分钟执行一次，关闭超过支付期限的订单，并补偿已支付但未履约的订单
+ */
+function startPaymentOrderExpirationTask() {
+  const job = cron.schedule('* * * * *', async () => {
+    try {
+      const expiration = await PaymentService.expireOrders();
+      const fulfillment = await PaymentService.processUnfulfilled();
+
+      if (expiration.checked > 0 || fulfillment.checked > 0) {
+        logger.info('支付订单过期检查完成', {
+          expired: expiration.expired,
+          paid: expiration.paid,
+          fulfilled: fulfillment.fulfilled
+        });
+      }
+    } catch (error) {
+      logger.error('支付订单过期检查失败:', error);
+    }
+  }, {
+    timezone: 'Asia/Shanghai'
+  });
+
+  logger.info('支付订单过期任务已启动，将每分钟执行一次');
+  return job;
+}
+
+/**
+ * 启动积分账本对账任务
+ * 每天凌晨3点30分执行，核对用户积分余额与积分账本，差异写入对账记录供管理员核查
+ */
+function startPointsReconciliationTask() {
+  const job = cron.schedule('30 3 * * *', async () => {
+    try {
+      await PointsService.reconcileLedger({ triggerType: 'schedule' });
+    } catch (error) {
+      logger.error('积分账本对账失败:', error);
+    }
+  }, {
+    timezone: 'Asia/Shanghai'
+  });
+
+  logger.info('积分账本对账任务已启动，将在每天凌晨3:30执行');
+  return job;
+}
+
+/**
+ * 启动积分过期任务
+ * 每天凌晨0点30分执行，过期已到期的积分批次并提醒即将过期的用户
+ */
+function startPointsExpirationTask() {
+  const job = cron.schedule('30 0 * * *', async () => {
+    try {
+      await PointsService.processExpiredPoints();
+      await PointsService.notifyExpiringPoints();
+    } catch (error) {
+      logger.error('积分过期处理失败:', error);
+    }
+  }, {
+    timezone: 'Asia/Shanghai'
+  });
+
+  logger.info('积分过期任务已启动，将在每天凌晨0:30执行');
+  return job;
+}
+
+/**
+ * 启动系统公告发送任务
+ * 每分钟执行一次，分块发送到达计划时间的公告
+ */
+function startAnnouncementDispatchTask() {
+  const job = cron.schedule('* * * * *', async () => {
+    try {
+      const result = await AnnouncementService.dispatchDueAnnouncements();
+
+      if (result.claimed > 0 || result.recovered > 0) {
+        logger.info('系统公告发送检查完成', result);
+      }
+    } catch (error) {
+      logger.error('系统公告发送失败:', error);
+    }
+  }, {
+    timezone: 'Asia/Shanghai'
+  });
+
+  logger.info('系统公告发送任务已启动，将每分钟执行一次');
+  return job;
+}
+
+/**
+ * 启动资源推荐计算任务
+ * 每天凌晨4点执行，重新计算相关资源得分与用户标签偏好
+ */
+function startRecommendationRebuildTask() {
+  const job = cron.schedule('0 4 * * *', async () => {
+    try {
+      await RecommendationService.rebuild();
+    } catch (error) {
+      logger.error('资源推荐计算失败:', error);
+    }
+  }, {
+    timezone: 'Asia/Shanghai'
+  });
+
+  logger.info('资源推荐计算任务已启动，将在每天凌晨4:00执行');
+  return job;
+}
+
+/**
+ * 启动定时资源发布任务
+ * 每分钟执行一次，发布 publish_at 已到期的定时资源
+ */
+function startResourcePublishTask() {
+  const job = cron.schedule('* * * * *', async () => {
+    try {
+      const result = await ResourcePublishingService.publishDueResources();
+
+      if (result.published > 0) {
+        logger.info(`定时资源发布完成，发布了 ${result.published} 个资源`);
+      }
+    } catch (error) {
+      logger.error('定时资源发布失败:', error);
+    }
+  }, {
+    timezone: 'Asia/Shanghai'
+  });
+
+  logger.info('定时资源发布任务已启动，将每分钟执行一次');
+  return job;
+}
+
+/**
+ * 启动内容渲染任务
+ * 每10分钟执行一次，渲染缺少缓存或渲染规则版本过旧的帖子、评论和资源正文
+ */
+function startContentRenderTask() {
+  const job = cron.schedule('*/10 * * * *', async () => {
+    try {
+      await ContentRenderService.renderStaleContent();
+    } catch (error) {
+      logger.error('内容渲染任务失败:', error);
+    }
+  }, {
+    timezone: 'Asia/Shanghai'
+  });
+
+  logger.info('内容渲染任务已启动，将每10分钟执行一次');
+  return job;
+}
+
 /**
  * 手动执行重置任务（用于测试）
  */
@@ -78,5 +294,14 @@ async function executeResetTask() {
 module.exports = {
   startDailyResetTask,
   startVipExpirationTask,
+  startCommunityPunishmentExpirationTask,
+  startResourceUploadCleanupTask,
+  startPaymentOrderExpirationTask,
+  startPointsReconciliationTask,
+  startPointsExpirationTask,
+  startAnnouncementDispatchTask,
+  startRecommendationRebuildTask,
+  startResourcePublishTask,
+  startContentRenderTask,
   executeResetTask
 };
@@ -288,6 +288,42 @@ class AlistClient {
     }
   }
 
+  /**
+   * 从Alist下载地址中解析文件路径
+   * 地址以配置的 download_domain 或 base_url 开头且为 /d/ 或 /p/ 直链时返回文件路径，否则返回 null
+   * @param {string} url - 资源文件地址，如 https://alist.example.com/d/official/app.zip?sign=xxx
+   * @returns {Promise<string|null>} 以 / 开头的Alist文件路径
+   */
+  async resolvePathFromUrl(url) {
+    if (!url || !/^https?:\/\//i.test(url)) {
+      return null;
+    }
+
+    const config = await SystemSetting.getSetting('alist_config');
+    if (!config || !config.enabled) {
+      return null;
+    }
+
+    const bases = [config.download_domain, config.base_url]
+      .filter(Boolean)
+      .map((base) => base.replace(/\/+$/, '').toLowerCase());
+
+    for (const base of bases) {
+      for (const prefix of ['/d/', '/p/']) {
+        const linkBase = `${base}${prefix}`;
+        if (url.toLowerCase().startsWith(linkBase)) {
+          const encodedPath = url.substring(linkBase.length).split(/[?#]/)[0];
+          if (!encodedPath) {
+            return null;
+          }
+          return `/${encodedPath.split('/').map((segment) => decodeURIComponent(segment)).join('/')}`;
+        }
+      }
+    }
+
+    return null;
+  }
+
   /**
    * 生成直接下载链接（使用Alist的sign参数）
    */
@@ -0,0 +1,276 @@
+/**
+ * 内容渲染管道
+ * 将帖子、评论、资源正文统一渲染为安全的 HTML：解析 Markdown（或纯文本），按白名单清洗 HTML，
+ * 站外链接加 rel=nofollow 并在新窗口打开，最后把文本中的 @用户名 和 #话题 转为标记并提取出来。
+ * 渲染规则变化时递增 CONTENT_RENDER_VERSION，后台任务会重新渲染旧版本的内容
+ */
+
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+
+const CONTENT_RENDER_VERSION = 1;
+
+const FORMATS = ['markdown', 'html', 'text'];
+
+// 使用渲染管道的内容及其格式、白名单；帖子按 content_type 渲染
+const CONTENT_TARGETS = {
+  community_post: { table: 'community_posts', formatColumn: 'content_type', profile: 'rich' },
+  community_comment: { table: 'community_comments', format: 'markdown', profile: 'basic' },
+  resource_comment: { table: 'resource_comments', format: 'markdown', profile: 'basic' },
+  resource: { table: 'resources', format: 'html', profile: 'rich' }
+};
+
+// 每条内容最多提取的 @用户 与 #话题 数量
+const MAX_MENTIONS = 20;
+const MAX_TAGS = 20;
+
+const EXTERNAL_LINK_REL = 'nofollow noopener noreferrer';
+
+const markdown = new MarkdownIt({
+  html: true,
+  linkify: true,
+  breaks: true
+});
+
+// 评论等短内容的白名单；rich 在此基础上允许标题、图片、表格等排版元素
+const BASIC_TAGS = [
+  'p', 'br', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'code', 'pre',
+  'blockquote', 'ul', 'ol', 'li', 'a', 'span'
+];
+
+const RICH_TAGS = [
+  ...BASIC_TAGS,
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'img', 'figure', 'figcaption',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td', 'sup', 'sub', 'kbd', 'mark',
+  'details', 'summary', 'div'
+];
+
+const PROFILES = {
+  basic: {
+    allowedTags: BASIC_TAGS,
+    allowedAttributes: {
+      a: ['href', 'title', 'rel', 'target'],
+      code: ['class']
+    }
+  },
+  rich: {
+    allowedTags: RICH_TAGS,
+    allowedAttributes: {
+      a: ['href', 'title', 'rel', 'target'],
+      code: ['class'],
+      img: ['src', 'alt', 'title', 'width', 'height'],
+      th: ['align', 'colspan', 'rowspan'],
+      td: ['align', 'colspan', 'rowspan'],
+      ol: ['start']
+    }
+  }
+};
+
+// @用户名 与注册规则一致；#话题 支持中文，可用 #话题# 明确结束位置
+const MENTION_PATTERN = /(^|[^\w@/.&])@([A-Za-z0-9_]{3,20})(?![\w@])/g;
+const TAG_PATTERN = /(^|[^\w&#/])#([\w\u4e00-\u9fa5-]{1,32})(#?)/g;
+
+// 这些元素内的文本不做 @用户 与 #话题 转换
+const SKIP_MARKUP_TAGS = ['a', 'code', 'pre'];
+
+/**
+ * 读取站内域名配置，指向这些域名的链接视为站内链接
+ * @returns {Array<string>}
+ */
+const getInternalHosts = () => (process.env.CONTENT_INTERNAL_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * 判断链接是否指向站外
+ * @param {string} href
+ * @param {Array<string>} internalHosts
+ * @returns {boolean}
+ */
+const isExternalLink = (href, internalHosts) => {
+  if (!href || href.startsWith('#') || href.toLowerCase().startsWith('mailto:')) {
+    return false;
+  }
+  if (href.startsWith('/') && !href.startsWith('//')) {
+    return false;
+  }
+  if (!/^([a-z][a-z0-9+.-]*:)?\/\//i.test(href)) {
+    return false;
+  }
+
+  try {
+    const { hostname } = new URL(href, 'http://localhost');
+    return !internalHosts.includes(hostname.toLowerCase());
+  } catch {
+    return true;
+  }
+};
+
+/**
+ * 将纯文本转为段落 HTML
+ * @param {string} text
+ * @returns {string}
+ */
+const renderText = (text) => text
+  .split(/\n{2,}/)
+  .filter(paragraph => paragraph.trim())
+  .map(paragraph => `<p>${markdown.utils.escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+  .join('\n');
+
+/**
+ * 按白名单清洗 HTML，并为站外链接添加 rel 与 target
+ * @param {string} html
+ * @param {string} profile - basic/rich
+ * @returns {string}
+ */
+const sanitize = (html, profile) => {
+  const { allowedTags, allowedAttributes } = PROFILES[profile] || PROFILES.basic;
+  const internalHosts = getInternalHosts();
+
+  return sanitizeHtml(html, {
+    allowedTags,
+    allowedAttributes,
+    allowedClasses: {
+      code: ['language-*']
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: {
+      img: ['http', 'https']
+    },
+    disallowedTagsMode: 'discard',
+    // 地址被过滤掉的图片整体移除
+    exclusiveFilter: frame => frame.tag === 'img' && !frame.attribs.src,
+    transformTags: {
+      a: (tagName, attribs) => {
+        const cleaned = {};
+        if (attribs.href) {
+          cleaned.href = attribs.href;
+        }
+        if (attribs.title) {
+          cleaned.title = attribs.title;
+        }
+        if (isExternalLink(attribs.href, internalHosts)) {
+          cleaned.rel = EXTERNAL_LINK_REL;
+          cleaned.target = '_blank';
+        }
+        return { tagName, attribs: cleaned };
+      }
+    }
+  });
+};
+
+/**
+ * 在清洗后的 HTML 文本节点中标记 @用户 与 #话题，跳过链接和代码中的文本
+ * 清洗后的属性值已转义 < 与 >，可以安全地按标签切分
+ * @param {string} html
+ * @returns {{html: string, mentions: Array<string>, tags: Array<string>}}
+ */
+const markMentionsAndTags = (html) => {
+  const mentions = new Set();
+  const tags = new Set();
+  let skipDepth = 0;
+
+  const parts = html.split(/(<[^>]*>)/);
+  const output = parts.map((part) => {
+    if (part.startsWith('<')) {
+      const match = /^<(\/?)([a-z0-9]+)/i.exec(part);
+      if (match && SKIP_MARKUP_TAGS.includes(match[2].toLowerCase())) {
+        skipDepth = Math.max(0, skipDepth + (match[1] ? -1 : 1));
+      }
+      return part;
+    }
+
+    if (skipDepth > 0 || !part) {
+      return part;
+    }
+
+    return part
+      .replace(MENTION_PATTERN, (whole, prefix, username) => {
+        if (mentions.size >= MAX_MENTIONS && !mentions.has(username)) {
+          return whole;
+        }
+        mentions.add(username);
+        return `${prefix}<span class="mention" data-username="${username}">@${username}</span>`;
+      })
+      .replace(TAG_PATTERN, (whole, prefix, tag, closing) => {
+        if (tags.size >= MAX_TAGS && !tags.has(tag)) {
+          return whole;
+        }
+        tags.add(tag);
+        return `${prefix}<span class="hashtag" data-tag="${tag}">#${tag}${closing}</span>`;
+      });
+  });
+
+  return {
+    html: output.join(''),
+    mentions: [...mentions],
+    tags: [...tags]
+  };
+};
+
+/**
+ * 渲染内容
+ * @param {string|null} source - 原始内容
+ * @param {Object} [options]
+ * @param {string} [options.format='markdown'] - markdown/html/text，未知格式按 markdown 处理
+ * @param {string} [options.profile='basic'] - 白名单：basic 用于评论，rich 用于帖子和资源正文
+ * @returns {{html: string, meta: {mentions: Array<string>, tags: Array<string>}, version: number}}
+ */
+const renderContent = (source, { format = 'markdown', profile = 'basic' } = {}) => {
+  const text = source === undefined || source === null ? '' : String(source);
+
+  let html;
+  if (format === 'html') {
+    html = text;
+  } else if (format === 'text') {
+    html = renderText(text);
+  } else {
+    html = markdown.render(text);
+  }
+
+  const marked = markMentionsAndTags(sanitize(html, profile).trim());
+
+  return {
+    html: marked.html,
+    meta: {
+      mentions: marked.mentions,
+      tags: marked.tags
+    },
+    version: CONTENT_RENDER_VERSION
+  };
+};
+
+/**
+ * 按内容类型渲染，返回需写入的缓存字段
+ * @param {string} target - CONTENT_TARGETS 中的键
+ * @param {string|null} content - 原始内容
+ * @param {string} [format] - 内容格式，仅帖子使用
+ * @returns {{content_html: string|null, content_meta: string|null, content_render_version: number}}
+ */
+const renderColumns = (target, content, format) => {
+  const config = CONTENT_TARGETS[target];
+
+  if (content === undefined || content === null) {
+    return { content_html: null, content_meta: null, content_render_version: CONTENT_RENDER_VERSION };
+  }
+
+  const rendered = renderContent(content, {
+    format: config.formatColumn ? format : config.format,
+    profile: config.profile
+  });
+
+  return {
+    content_html: rendered.html,
+    content_meta: JSON.stringify(rendered.meta),
+    content_render_version: rendered.version
+  };
+};
+
+module.exports = {
+  CONTENT_RENDER_VERSION,
+  CONTENT_TARGETS,
+  FORMATS,
+  renderContent,
+  renderColumns
+};
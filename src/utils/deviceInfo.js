@@ -0,0 +1,76 @@
+/**
+ * 设备信息工具
+ * 从 User-Agent 中识别浏览器与操作系统，生成便于用户辨认的设备名称
+ */
+
+const BROWSER_RULES = [
+  { name: '微信', pattern: /MicroMessenger\/([\d.]+)/i },
+  { name: 'QQ浏览器', pattern: /MQQBrowser\/([\d.]+)|QQBrowser\/([\d.]+)/i },
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/i },
+  { name: 'Opera', pattern: /OPR\/([\d.]+)/i },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/i },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/i },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/i }
+];
+
+const OS_RULES = [
+  { name: 'iPad', pattern: /iPad/i },
+  { name: 'iPhone', pattern: /iPhone/i },
+  { name: 'Android', pattern: /Android/i },
+  { name: 'HarmonyOS', pattern: /HarmonyOS|OpenHarmony/i },
+  { name: 'Windows', pattern: /Windows/i },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/i },
+  { name: 'Linux', pattern: /Linux/i }
+];
+
+const MAX_DEVICE_NAME_LENGTH = 100;
+
+/**
+ * 解析 User-Agent
+ * @param {string} userAgent
+ * @returns {{browser: string|null, browserVersion: string|null, os: string|null}}
+ */
+const parseUserAgent = (userAgent) => {
+  const ua = typeof userAgent === 'string' ? userAgent : '';
+
+  let browser = null;
+  let browserVersion = null;
+  for (const rule of BROWSER_RULES) {
+    const match = ua.match(rule.pattern);
+    if (match) {
+      browser = rule.name;
+      browserVersion = (match.slice(1).find(Boolean) || '').split('.')[0] || null;
+      break;
+    }
+  }
+
+  const os = OS_RULES.find((rule) => rule.pattern.test(ua))?.name || null;
+
+  return { browser, browserVersion, os };
+};
+
+/**
+ * 生成设备名称，客户端提供的名称优先
+ * @param {string} userAgent
+ * @param {string} [clientDeviceName] - 客户端上报的设备名称
+ * @returns {string}
+ */
+const getDeviceName = (userAgent, clientDeviceName = null) => {
+  if (typeof clientDeviceName === 'string' && clientDeviceName.trim()) {
+    return clientDeviceName.trim().slice(0, MAX_DEVICE_NAME_LENGTH);
+  }
+
+  const { browser, browserVersion, os } = parseUserAgent(userAgent);
+  const browserLabel = browser ? `${browser}${browserVersion ? ` ${browserVersion}` : ''}` : null;
+
+  if (browserLabel && os) {
+    return `${os} · ${browserLabel}`;
+  }
+
+  return browserLabel || os || '未知设备';
+};
+
+module.exports = {
+  parseUserAgent,
+  getDeviceName
+};
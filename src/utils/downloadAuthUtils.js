@@ -3,11 +3,33 @@
  * 基于resource_files表的权限配置进行下载鉴权
  */
 
-const { query } = require('../config/database');
+const { query, getClient } = require('../config/database');
 const { logger } = require('./logger');
-const { checkAndResetDailyDownloads, consumeDownload } = require('./downloadLimitUtils');
+const { checkAndResetDailyDownloads, consumeDownload, recordDownload } = require('./downloadLimitUtils');
+const crypto = require('crypto');
+const moment = require('moment-timezone');
 const SystemSetting = require('../models/SystemSetting');
-const Points = require('../models/Points');
+const PointsService = require('../services/PointsService');
+const ResourceVersionService = require('../services/ResourceVersionService');
+
+// 不产生任何扣费的下载类型
+const FREE_COST_TYPES = ['free', 'downloaded_today', 'version_update'];
+
+/**
+ * 下载扣费的积分账本幂等键：同一用户同一天对同一组文件只扣费一次，避免重复提交重复扣费
+ * @param {number} userId
+ * @param {string} scope - file:<文件ID> 或 resource:<资源ID>
+ * @param {Array<number>} fileIds
+ * @returns {string}
+ */
+const buildDownloadLedgerKey = (userId, scope, fileIds) => {
+  const date = moment().tz('Asia/Shanghai').format('YYYYMMDD');
+  const digest = crypto.createHash('sha1')
+    .update([...fileIds].sort((a, b) => a - b).join(','))
+    .digest('hex')
+    .slice(0, 16);
+  return `download:${userId}:${scope}:${date}:${digest}`;
+};
 
 /**
  * 检查文件下载权限
@@ -31,6 +53,11 @@ const checkFileDownloadPermission = async (file, userId, user) => {
       return result;
     }
 
+    if (file.deprecated_at) {
+      result.reason = '该文件所属版本已弃用，请下载最新版本';
+      return result;
+    }
+
     // 获取用户的下载状态
     const downloadStatus = await checkAndResetDailyDownloads(userId);
 
@@ -50,6 +77,15 @@ const checkFileDownloadPermission = async (file, userId, user) => {
       return result;
     }
 
+    // 资源发布新版本前已付费下载过的用户，按配置免费下载新版本文件
+    const freeRedownload = await ResourceVersionService.findFreeRedownload(file, userId);
+    if (freeRedownload) {
+      result.canDownload = true;
+      result.costInfo = { type: 'version_update', cost: 0, version: freeRedownload.version };
+      result.finalDownloadStatus = downloadStatus;
+      return result;
+    }
+
     // 检查权限配置
     const requiredPoints = file.required_points || 0;
     const requiredVipLevel = file.required_vip_level || 0;
@@ -209,7 +245,7 @@ const checkFileDownloadPermission = async (file, userId, user) => {
 const executeDownloadPayment = async (file, userId, costInfo) => {
   try {
     // 免费类型，不需要扣费
-    if (costInfo.type === 'free' || costInfo.type === 'downloaded_today') {
+    if (FREE_COST_TYPES.includes(costInfo.type)) {
       // 直接记录下载记录，不扣费
     }
     // 如果需要扣每日下载次数或VIP下载次数
@@ -229,21 +265,25 @@ const executeDownloadPayment = async (file, userId, costInfo) => {
         ? `下载文件(VIP${costInfo.vipLevel}享受${costInfo.discountRate}折): ${file.name}`
         : `下载文件: ${file.name}`;
 
-      // 扣除用户积分（记录在 points_records 中）
-      await Points.deductPoints(
-        userId,
-        costInfo.cost,
-        'resource_download',
-        pointsReason,
-        file.id,
-        'resource_file'
-      );
+      // 扣除用户积分（记录在积分账本中，同一文件当天重复提交只扣一次）
+      const ledgerKey = buildDownloadLedgerKey(userId, `file:${file.id}`, [file.id]);
+      const charge = await PointsService.postLedgerEntry(userId, {
+        points: -costInfo.cost,
+        type: 'spend',
+        source: 'resource_download',
+        description: pointsReason,
+        reference_id: file.id,
+        reference_type: 'resource_file',
+        idempotencyKey: ledgerKey
+      });
 
       // 同步 user_points 旧表，保留历史兼容
-      await query(`
-        INSERT INTO user_points (user_id, points, reason, resource_id, created_at)
-        VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
-      `, [userId, -costInfo.cost, pointsReason, file.resource_id]);
+      if (!charge.duplicate) {
+        await query(`
+          INSERT INTO user_points (user_id, points, reason, resource_id, created_at)
+          VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+        `, [userId, -costInfo.cost, pointsReason, file.resource_id]);
+      }
 
       // 给文件作者分成（如果不是自己的文件）
       const fileInfo = await query(`
@@ -254,7 +294,7 @@ const executeDownloadPayment = async (file, userId, costInfo) => {
 
       const authorId = fileInfo.rows[0]?.author_id;
 
-      if (authorId && authorId !== userId) {
+      if (authorId && authorId !== userId && !charge.duplicate) {
         const { fee_rate: platformFeeRate } = await SystemSetting.getResourceSaleFeeConfig();
         const authorEarning = Math.floor(costInfo.cost * (1 - platformFeeRate));
 
@@ -263,14 +303,15 @@ const executeDownloadPayment = async (file, userId, costInfo) => {
             ? `文件销售收入(VIP折扣后): ${file.name}`
             : `文件销售收入: ${file.name}`;
 
-          await Points.addPoints(
-            authorId,
-            authorEarning,
-            'resource_sale',
-            earningReason,
-            file.resource_id,
-            'resource'
-          );
+          await PointsService.postLedgerEntry(authorId, {
+            points: authorEarning,
+            type: 'earn',
+            source: 'resource_sale',
+            description: earningReason,
+            reference_id: file.resource_id,
+            reference_type: 'resource',
+            idempotencyKey: `${ledgerKey}:sale`
+          });
 
           await query(`
             INSERT INTO user_points (user_id, points, reason, resource_id, created_at)
@@ -311,8 +352,281 @@ const executeDownloadPayment = async (file, userId, costInfo) => {
   }
 };
 
+/**
+ * 批量下载报价
+ * 逐个文件鉴权后按剩余配额统一分配扣费方式，汇总本次需要消耗的积分和次数，
+ * 任意一个文件无法授权时整批不可下载
+ * @param {Array} files - 文件列表
+ * @param {number} userId - 用户ID
+ * @param {Object} user - 用户信息
+ * @returns {Promise<Object>} 报价结果 { canCheckout, reason, items, totals, downloadStatus }
+ */
+const quoteDownloadBatch = async (files, userId, user) => {
+  // 先完成每日配额重置，再读取最新的积分和次数，避免使用调用方传入的过期数据
+  const downloadStatus = await checkAndResetDailyDownloads(userId);
+  const balanceResult = await query(`
+    SELECT points, download_count, is_vip, vip_level FROM users WHERE id = $1
+  `, [userId]);
+  const currentUser = { ...user, ...balanceResult.rows[0] };
+
+  const totals = { points: 0, dailyDownloads: 0, downloadCount: 0 };
+  let remainingDaily = downloadStatus.remainingDownloads;
+  let remainingDownloadCount = currentUser.download_count || 0;
+  let blockingReason = null;
+
+  const items = [];
+
+  for (const file of files) {
+    const authResult = await checkFileDownloadPermission(file, userId, currentUser);
+    const item = {
+      file,
+      canDownload: authResult.canDownload,
+      reason: authResult.reason,
+      costInfo: authResult.costInfo
+    };
+
+    if (item.canDownload) {
+      const { type, cost } = item.costInfo;
+
+      if (type === 'daily_limit') {
+        // 每日次数不够分配时退回到总下载次数
+        if (remainingDaily > 0) {
+          remainingDaily--;
+          totals.dailyDownloads++;
+        } else if (remainingDownloadCount > 0) {
+          item.costInfo = { type: 'download_count', cost: 1 };
+          remainingDownloadCount--;
+          totals.downloadCount++;
+        } else {
+          item.canDownload = false;
+          item.reason = `下载次数不足，本次共需 ${files.length} 次，每日剩余 ${downloadStatus.remainingDownloads} 次，总次数剩余 ${currentUser.download_count || 0} 次`;
+        }
+      } else if (type === 'vip_download_count') {
+        if (remainingDaily > 0) {
+          remainingDaily--;
+          totals.dailyDownloads++;
+        } else {
+          item.canDownload = false;
+          item.reason = `VIP${item.costInfo.required_vip_level}用户下载次数不足，当前剩余：${downloadStatus.remainingDownloads}`;
+        }
+      } else if (type === 'download_count') {
+        if (remainingDownloadCount > 0) {
+          remainingDownloadCount--;
+          totals.downloadCount++;
+        } else {
+          item.canDownload = false;
+          item.reason = `下载次数不足，当前剩余: ${currentUser.download_count || 0} 次`;
+        }
+      } else if (type === 'points' || type === 'vip_discounted_points') {
+        totals.points += cost;
+      }
+    }
+
+    if (!item.canDownload && !blockingReason) {
+      blockingReason = `文件「${file.name}」无法下载：${item.reason}`;
+    }
+
+    items.push(item);
+  }
+
+  const userPoints = currentUser.points || 0;
+  if (!blockingReason && totals.points > userPoints) {
+    blockingReason = `积分不足，本次下载共需 ${totals.points} 积分，当前有 ${userPoints} 积分`;
+  }
+
+  return {
+    canCheckout: !blockingReason,
+    reason: blockingReason,
+    items,
+    totals,
+    downloadStatus
+  };
+};
+
+/**
+ * 批量下载结算
+ * 在单个事务内一次性扣除报价中的积分和次数，写入每个文件的当日购买记录，
+ * 并为整批下载写入一条下载记录；任一步骤失败则全部回滚
+ * @param {Object} quote - quoteDownloadBatch 返回的报价
+ * @param {number} userId - 用户ID
+ * @param {Object} context - 结算上下文
+ * @param {Object} context.resource - 资源对象
+ * @param {string} [context.ipAddress] - 请求IP
+ * @param {string} [context.userAgent] - 请求UA
+ * @returns {Promise<Object>} 结算结果 { downloadRecord, downloadStatus }
+ */
+const commitDownloadBatch = async (quote, userId, { resource, ipAddress = null, userAgent = null }) => {
+  const { items, totals, downloadStatus } = quote;
+
+  if (!quote.canCheckout) {
+    throw new Error(quote.reason || '下载未通过授权');
+  }
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    // 锁定用户行并复核余额，防止报价后并发请求重复使用同一份配额
+    const lockedResult = await client.query(`
+      SELECT points, download_count, daily_downloads_used
+      FROM users
+      WHERE id = $1
+      FOR UPDATE
+    `, [userId]);
+
+    const locked = lockedResult.rows[0];
+    if (!locked) {
+      throw new Error('用户不存在');
+    }
+
+    if ((locked.points || 0) < totals.points) {
+      throw new Error(`积分不足，本次下载共需 ${totals.points} 积分，当前有 ${locked.points || 0} 积分`);
+    }
+
+    if ((locked.download_count || 0) < totals.downloadCount ||
+        (locked.daily_downloads_used || 0) + totals.dailyDownloads > downloadStatus.dailyLimit) {
+      throw new Error('下载次数不足，请刷新后重试');
+    }
+
+    if (totals.dailyDownloads > 0 || totals.downloadCount > 0) {
+      await client.query(`
+        UPDATE users
+        SET daily_downloads_used = daily_downloads_used + $2,
+            download_count = download_count - $3
+        WHERE id = $1
+      `, [userId, totals.dailyDownloads, totals.downloadCount]);
+    }
+
+    if (totals.points > 0) {
+      const pointItems = items.filter(item =>
+        item.costInfo.type === 'points' || item.costInfo.type === 'vip_discounted_points'
+      );
+      const discounted = pointItems.find(item => item.costInfo.type === 'vip_discounted_points');
+      const pointsReason = discounted
+        ? `下载资源(VIP${discounted.costInfo.vipLevel}享受${discounted.costInfo.discountRate}折): ${resource.title}（${pointItems.length}个文件）`
+        : `下载资源: ${resource.title}（${pointItems.length}个文件）`;
+
+      const ledgerKey = buildDownloadLedgerKey(
+        userId,
+        `resource:${resource.id}`,
+        pointItems.map(item => item.file.id)
+      );
+      const charge = await PointsService.postLedgerEntry(userId, {
+        points: -totals.points,
+        type: 'spend',
+        source: 'resource_download',
+        description: pointsReason,
+        reference_id: resource.id,
+        reference_type: 'resource',
+        idempotencyKey: ledgerKey,
+        client
+      });
+
+      // 同步 user_points 旧表，保留历史兼容
+      if (!charge.duplicate) {
+        await client.query(`
+          INSERT INTO user_points (user_id, points, reason, resource_id, created_at)
+          VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+        `, [userId, -totals.points, pointsReason, resource.id]);
+      }
+
+      // 给资源作者分成（如果不是自己的资源）
+      const authorResult = await client.query('SELECT author_id FROM resources WHERE id = $1', [resource.id]);
+      const authorId = authorResult.rows[0]?.author_id;
+
+      if (authorId && authorId !== userId && !charge.duplicate) {
+        const { fee_rate: platformFeeRate } = await SystemSetting.getResourceSaleFeeConfig();
+        const authorEarning = Math.floor(totals.points * (1 - platformFeeRate));
+
+        if (authorEarning > 0) {
+          const earningReason = discounted
+            ? `资源销售收入(VIP折扣后): ${resource.title}`
+            : `资源销售收入: ${resource.title}`;
+
+          await PointsService.postLedgerEntry(authorId, {
+            points: authorEarning,
+            type: 'earn',
+            source: 'resource_sale',
+            description: earningReason,
+            reference_id: resource.id,
+            reference_type: 'resource',
+            idempotencyKey: `${ledgerKey}:sale`,
+            client
+          });
+
+          await client.query(`
+            INSERT INTO user_points (user_id, points, reason, resource_id, created_at)
+            VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+          `, [authorId, authorEarning, earningReason, resource.id]);
+        }
+      }
+    }
+
+    // 记录每个文件的今日下载记录，当日重复下载免费
+    for (const { file, costInfo } of items) {
+      const isPoints = costInfo.type === 'points' || costInfo.type === 'vip_discounted_points';
+      const isCount = costInfo.type === 'download_count' || costInfo.type === 'daily_limit' || costInfo.type === 'vip_download_count';
+
+      await client.query(`
+        INSERT INTO daily_purchases (
+          user_id, resource_id, file_id, purchase_date, points_cost,
+          download_type, cost_type, download_count_cost
+        )
+        VALUES ($1, $2, $3, CURRENT_DATE, $4, $5, $6, $7)
+        ON CONFLICT (user_id, file_id, purchase_date) DO UPDATE SET
+          points_cost = GREATEST(daily_purchases.points_cost, EXCLUDED.points_cost),
+          download_count_cost = GREATEST(daily_purchases.download_count_cost, EXCLUDED.download_count_cost),
+          cost_type = EXCLUDED.cost_type,
+          resource_id = EXCLUDED.resource_id
+      `, [
+        userId,
+        file.resource_id,
+        file.id,
+        isPoints ? costInfo.cost : 0,
+        'normal',
+        costInfo.type,
+        isCount ? costInfo.cost : 0
+      ]);
+    }
+
+    // 整批下载只写入一条下载记录
+    const downloadRecord = await recordDownload({
+      userId,
+      resourceId: resource.id,
+      ipAddress,
+      userAgent,
+      downloadUrl: items.map(item => item.file.url).join(', ').slice(0, 500),
+      expiresAt: null,
+      isSuccessful: true
+    }, client);
+
+    await client.query('COMMIT');
+
+    const dailyUsed = (locked.daily_downloads_used || 0) + totals.dailyDownloads;
+
+    return {
+      downloadRecord,
+      downloadStatus: {
+        ...downloadStatus,
+        dailyUsed,
+        remainingDownloads: Math.max(0, downloadStatus.dailyLimit - dailyUsed),
+        canDownload: dailyUsed < downloadStatus.dailyLimit
+      }
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('批量下载结算失败:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
 
 module.exports = {
+  buildDownloadLedgerKey,
   checkFileDownloadPermission,
-  executeDownloadPayment
+  executeDownloadPayment,
+  quoteDownloadBatch,
+  commitDownloadBatch
 };
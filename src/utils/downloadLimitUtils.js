@@ -227,9 +227,10 @@ async function consumeDownload(userId) {
 /**
  * 记录下载行为到下载记录表
  * @param {Object} downloadData - 下载记录数据
+ * @param {Object} [client] - 事务客户端
  * @returns {Promise<Object>} 下载记录
  */
-async function recordDownload(downloadData) {
+async function recordDownload(downloadData, client = null) {
   const {
     userId,
     resourceId,
@@ -241,7 +242,7 @@ async function recordDownload(downloadData) {
   } = downloadData;
 
   try {
-    const result = await query(`
+    const sql = `
       INSERT INTO download_records (
         user_id,
         resource_id,
@@ -253,7 +254,10 @@ async function recordDownload(downloadData) {
       )
       VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING *
-    `, [userId, resourceId, ipAddress, userAgent, downloadUrl, expiresAt, isSuccessful]);
+    `;
+    const params = [userId, resourceId, ipAddress, userAgent, downloadUrl, expiresAt, isSuccessful];
+
+    const result = client ? await client.query(sql, params) : await query(sql, params);
 
     return result.rows[0];
 
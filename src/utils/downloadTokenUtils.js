@@ -0,0 +1,192 @@
+/**
+ * 下载令牌工具
+ * 签发限时、一次性、绑定用户/文件/IP的HMAC下载令牌，并在核销时解析真实下载地址
+ */
+
+const crypto = require('crypto');
+const DownloadToken = require('../models/DownloadToken');
+const { alistClient } = require('./alistClient');
+const { minioClient, BUCKETS, getFileUrl } = require('../config/minio');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('./logger');
+
+const TOKEN_TTL_SECONDS = parseInt(process.env.DOWNLOAD_TOKEN_TTL, 10) || 5 * 60;
+// MinIO 预签名GET只需覆盖跳转后的发起时间
+const MINIO_LINK_TTL_SECONDS = 10 * 60;
+const ALIST_URL_PREFIX = 'alist://';
+const MINIO_URL_PREFIX = 'minio://';
+const REDIRECT_PATH = '/api/download/redirect';
+
+const getSecret = () => {
+  const secret = process.env.DOWNLOAD_TOKEN_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('未配置下载令牌密钥');
+  }
+  return secret;
+};
+
+const sign = (encodedPayload) => crypto
+  .createHmac('sha256', getSecret())
+  .update(encodedPayload)
+  .digest('base64url');
+
+/**
+ * 规范化客户端IP，去除IPv4映射前缀，保证签发与核销时比较一致
+ * @param {string} ip - 原始IP
+ * @returns {string|null}
+ */
+const normalizeIp = (ip) => {
+  if (!ip) {
+    return null;
+  }
+  return ip.startsWith('::ffff:') ? ip.substring(7) : ip;
+};
+
+/**
+ * 为一批文件签发下载令牌
+ * @param {Object} options - 签发参数
+ * @param {number} options.userId - 用户ID
+ * @param {number} options.resourceId - 资源ID
+ * @param {Array<Object>} options.files - 文件列表
+ * @param {string} options.ipAddress - 请求IP
+ * @returns {Promise<Map<number, Object>>} fileId -> { token, url, expiresAt }
+ */
+const issueDownloadTokens = async ({ userId, resourceId, files, ipAddress }) => {
+  const ip = normalizeIp(ipAddress);
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_SECONDS * 1000);
+  const exp = Math.floor(expiresAt.getTime() / 1000);
+
+  const issued = files.map(file => {
+    const jti = crypto.randomBytes(16).toString('hex');
+    const payload = Buffer.from(JSON.stringify({
+      jti,
+      uid: userId,
+      fid: file.id,
+      ip,
+      exp
+    })).toString('base64url');
+    const token = `${payload}.${sign(payload)}`;
+
+    return {
+      jti,
+      fileId: file.id,
+      token,
+      url: `${REDIRECT_PATH}/${token}`,
+      expiresAt
+    };
+  });
+
+  await DownloadToken.createMany(issued.map(item => ({
+    jti: item.jti,
+    userId,
+    resourceId,
+    fileId: item.fileId,
+    ipAddress: ip,
+    expiresAt
+  })));
+
+  return new Map(issued.map(item => [item.fileId, {
+    token: item.token,
+    url: item.url,
+    expiresAt: item.expiresAt
+  }]));
+};
+
+/**
+ * 校验并核销下载令牌
+ * @param {string} token - 下载令牌
+ * @param {Object} usage - 使用信息 { ipAddress, userAgent }
+ * @returns {Promise<Object>} 核销后的令牌记录
+ */
+const redeemDownloadToken = async (token, { ipAddress, userAgent }) => {
+  const [encodedPayload, signature] = typeof token === 'string' ? token.split('.') : [];
+  if (!encodedPayload || !signature) {
+    throw new ApiError('下载链接无效', 400);
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    throw new ApiError('下载链接无效', 400);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ApiError('下载链接无效', 400);
+  }
+
+  if (!payload.exp || payload.exp * 1000 <= Date.now()) {
+    throw new ApiError('下载链接已过期，请重新获取', 410);
+  }
+
+  const ip = normalizeIp(ipAddress);
+  if (payload.ip && payload.ip !== ip) {
+    logger.warn('下载令牌IP不匹配', { jti: payload.jti, userId: payload.uid, expected: payload.ip, actual: ip });
+    throw new ApiError('下载链接与当前网络不匹配，请重新获取', 403);
+  }
+
+  const record = await DownloadToken.consume(payload.jti, { ipAddress: ip, userAgent });
+  if (!record) {
+    logger.warn('下载令牌重复使用或已失效', { jti: payload.jti, userId: payload.uid, ip });
+    throw new ApiError('下载链接已使用或已失效，请重新获取', 410);
+  }
+
+  if (record.user_id !== payload.uid || record.file_id !== payload.fid) {
+    throw new ApiError('下载链接无效', 400);
+  }
+
+  return record;
+};
+
+/**
+ * 解析文件的真实下载地址
+ * - alist://<路径> 或 Alist 直链地址（配置的下载域名/地址下的 /d/、/p/ 路径）：重新生成 Alist 签名直链
+ * - minio://<存储桶>/<对象> 或资源存储桶地址：生成预签名GET
+ * - 其他：外部链接原样返回
+ * @param {Object} file - 资源文件
+ * @returns {Promise<string>}
+ */
+const resolveFileDownloadUrl = async (file) => {
+  const url = file.url || '';
+
+  const alistPath = url.startsWith(ALIST_URL_PREFIX)
+    ? `/${url.substring(ALIST_URL_PREFIX.length).replace(/^\/+/, '')}`
+    : await alistClient.resolvePathFromUrl(url);
+
+  if (alistPath) {
+    const link = await alistClient.generateDirectDownloadLink(alistPath);
+    return link.url;
+  }
+
+  let bucket = null;
+  let objectName = null;
+
+  if (url.startsWith(MINIO_URL_PREFIX)) {
+    const location = url.substring(MINIO_URL_PREFIX.length);
+    const slashIndex = location.indexOf('/');
+    bucket = location.substring(0, slashIndex);
+    objectName = location.substring(slashIndex + 1);
+  } else {
+    const resourceBucketBase = getFileUrl(BUCKETS.RESOURCES, '');
+    if (url.startsWith(resourceBucketBase)) {
+      bucket = BUCKETS.RESOURCES;
+      objectName = decodeURIComponent(url.substring(resourceBucketBase.length));
+    }
+  }
+
+  if (bucket && objectName) {
+    return minioClient.presignedGetObject(bucket, objectName, MINIO_LINK_TTL_SECONDS, {
+      'response-content-disposition': `attachment; filename*=UTF-8''${encodeURIComponent(file.name)}`
+    });
+  }
+
+  return url;
+};
+
+module.exports = {
+  issueDownloadTokens,
+  redeemDownloadToken,
+  resolveFileDownloadUrl
+};
@@ -209,6 +209,68 @@ const sendEmailChangeCode = async (email, code) => {
   }
 };
 
+/**
+ * 发送新设备/新IP登录提醒邮件
+ * @param {string} email - 收件人邮箱
+ * @param {Object} login - 登录信息
+ * @param {string} login.deviceName - 设备名称
+ * @param {string} login.ipAddress - 登录IP
+ * @param {Date} login.loginAt - 登录时间
+ * @param {string[]} login.reasons - 提醒原因（新设备、新IP）
+ * @returns {Promise<boolean>} 发送是否成功
+ */
+const sendNewLoginAlert = async (email, { deviceName, ipAddress, loginAt, reasons }) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: {
+        name: process.env.SMTP_FROM_NAME,
+        address: process.env.SMTP_FROM_EMAIL
+      },
+      to: email,
+      subject: '【ALCMS】账号新设备登录提醒',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="text-align: center; border-bottom: 2px solid #e0e0e0; padding-bottom: 20px; margin-bottom: 30px;">
+            <h1 style="color: #2c3e50; margin: 0;">ALCMS 系统</h1>
+          </div>
+
+          <div style="background-color: #f8f9fa; padding: 25px; border-radius: 8px; margin-bottom: 25px;">
+            <h2 style="color: #2c3e50; margin-top: 0;">登录提醒</h2>
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              您好，您的账号刚刚在${reasons.join('、')}上登录：
+            </p>
+            <table style="color: #555; font-size: 14px; line-height: 1.8;">
+              <tr><td style="padding-right: 15px;">时间</td><td>${loginAt.toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })}</td></tr>
+              <tr><td style="padding-right: 15px;">设备</td><td>${deviceName}</td></tr>
+              <tr><td style="padding-right: 15px;">IP地址</td><td>${ipAddress || '未知'}</td></tr>
+            </table>
+          </div>
+
+          <div style="background-color: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin-bottom: 25px;">
+            <p style="color: #856404; margin: 0; font-size: 14px;">
+              <strong>安全提醒：</strong> 如果这不是您本人的操作，请立即修改密码，并在账号设置中下线陌生设备。
+            </p>
+          </div>
+
+          <div style="text-align: center; color: #7f8c8d; font-size: 12px; border-top: 1px solid #e0e0e0; padding-top: 20px;">
+            <p>此邮件由系统自动发送，请勿回复</p>
+            <p>© ${new Date().getFullYear()} ALCMS 系统</p>
+          </div>
+        </div>
+      `
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    logger.info(`新设备登录提醒发送成功: ${email}`, { messageId: result.messageId });
+    return true;
+  } catch (error) {
+    logger.error(`新设备登录提醒发送失败: ${email}`, error);
+    return false;
+  }
+};
+
 /**
  * 测试SMTP连接
  * @returns {Promise<Object>} 连接测试结果
@@ -245,5 +307,6 @@ module.exports = {
   sendRegistrationCode,
   sendPasswordResetCode,
   sendEmailChangeCode,
+  sendNewLoginAlert,
   testEmailConnection
 };
@@ -12,6 +12,9 @@ const JWT_SECRET = process.env.JWT_SECRET;
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET;
 const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+const MFA_CHALLENGE_EXPIRES_IN = process.env.MFA_CHALLENGE_EXPIRES_IN || '5m';
+// 两步验证挑战令牌使用独立的受众，不能当作访问令牌使用
+const MFA_CHALLENGE_AUDIENCE = 'alcms-mfa-challenge';
 
 if (!JWT_SECRET || !JWT_REFRESH_SECRET) {
   throw new Error('JWT secrets must be defined in environment variables');
@@ -39,7 +42,9 @@ function generateRefreshToken(payload) {
   return jwt.sign(payload, JWT_REFRESH_SECRET, {
     expiresIn: JWT_REFRESH_EXPIRES_IN,
     issuer: 'alcms-backend',
-    audience: 'alcms-client'
+    audience: 'alcms-client',
+    // 保证同一秒内轮换出的令牌各不相同
+    jwtid: crypto.randomUUID()
   });
 }
 
@@ -75,6 +80,36 @@ function verifyRefreshToken(token) {
   }
 }
 
+/**
+ * 生成两步验证挑战令牌（密码校验通过、尚未完成两步验证时签发）
+ * @param {Object} payload - 挑战信息（userId、purpose）
+ * @returns {string} JWT挑战令牌
+ */
+function generateMfaChallengeToken(payload) {
+  return jwt.sign(payload, JWT_SECRET, {
+    expiresIn: MFA_CHALLENGE_EXPIRES_IN,
+    issuer: 'alcms-backend',
+    audience: MFA_CHALLENGE_AUDIENCE,
+    jwtid: crypto.randomUUID()
+  });
+}
+
+/**
+ * 验证两步验证挑战令牌
+ * @param {string} token - JWT挑战令牌
+ * @returns {Object} 解码后的挑战信息
+ */
+function verifyMfaChallengeToken(token) {
+  try {
+    return jwt.verify(token, JWT_SECRET, {
+      issuer: 'alcms-backend',
+      audience: MFA_CHALLENGE_AUDIENCE
+    });
+  } catch (error) {
+    throw new Error(`MFA challenge token verification failed: ${error.message}`);
+  }
+}
+
 /**
  * 解码JWT令牌（不验证签名）
  * @param {string} token - JWT令牌
@@ -97,9 +132,11 @@ function hashToken(token) {
  * 生成完整的令牌对（访问令牌 + 刷新令牌）
  * @param {Object} user - 用户信息
  * @param {Array} roles - 用户角色列表（可选）
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - 登录会话ID，写入令牌的 sid 声明
  * @returns {Object} 包含访问令牌和刷新令牌的对象
  */
-function generateTokenPair(user, roles = []) {
+function generateTokenPair(user, roles = [], { sessionId = null } = {}) {
   const payload = {
     userId: user.id,
     username: user.username,
@@ -111,6 +148,10 @@ function generateTokenPair(user, roles = []) {
     }))
   };
 
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+
   const accessToken = generateAccessToken(payload);
   const refreshToken = generateRefreshToken(payload);
 
@@ -127,6 +168,8 @@ module.exports = {
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
   decodeToken,
   hashToken,
   generateTokenPair
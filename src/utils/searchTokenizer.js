@@ -0,0 +1,209 @@
+/**
+ * 搜索分词工具
+ * 中日韩文字按单字 + 相邻二元组（bigram）切分，其余字母数字按单词切分并转小写；
+ * 索引与查询使用同一套规则，生成的词元直接写入/构造 tsvector 与 tsquery，不经过 PostgreSQL 解析器
+ */
+
+// 中日韩统一表意文字、平假名、片假名、韩文
+const CJK_CHAR = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}';
+const SEGMENT_REGEX = new RegExp(`[${CJK_CHAR}]+|[\\p{L}\\p{N}]+`, 'gu');
+const CJK_SEGMENT_REGEX = new RegExp(`^[${CJK_CHAR}]+$`, 'u');
+
+const MAX_TEXT_LENGTH = 20000;
+const MAX_WORD_LENGTH = 64;
+const MAX_QUERY_TERMS = 32;
+// tsvector 词元位置的上限，超出部分 PostgreSQL 也会截断为该值
+const MAX_LEXEME_POSITION = 16383;
+
+const normalizeText = (text) => {
+  if (text === undefined || text === null) {
+    return '';
+  }
+
+  return String(text).normalize('NFKC').toLowerCase();
+};
+
+/**
+ * 将文本切分为连续的中日韩片段与单词片段
+ * @param {string} text - 原始文本
+ * @returns {Array<{text: string, cjk: boolean}>}
+ */
+const splitSegments = (text) => {
+  const normalized = normalizeText(text).slice(0, MAX_TEXT_LENGTH);
+  const matches = normalized.match(SEGMENT_REGEX) || [];
+
+  return matches.map((segment) => ({
+    text: segment,
+    cjk: CJK_SEGMENT_REGEX.test(segment)
+  }));
+};
+
+const bigrams = (chars) => {
+  const result = [];
+  for (let i = 0; i < chars.length - 1; i += 1) {
+    result.push(chars[i] + chars[i + 1]);
+  }
+  return result;
+};
+
+/**
+ * 生成索引词元（去重）
+ * 中日韩片段同时写入单字与二元组，使单字查询与多字查询都能命中
+ * @param {string} text - 待索引文本
+ * @returns {string[]}
+ */
+const tokenize = (text) => {
+  const tokens = new Set();
+
+  for (const segment of splitSegments(text)) {
+    if (segment.cjk) {
+      const chars = Array.from(segment.text);
+      chars.forEach((char) => tokens.add(char));
+      bigrams(chars).forEach((token) => tokens.add(token));
+    } else if (segment.text.length <= MAX_WORD_LENGTH) {
+      tokens.add(segment.text);
+    }
+  }
+
+  return [...tokens];
+};
+
+/**
+ * 生成查询词元：多字中文只使用二元组，末尾的英文单词按前缀匹配（便于边输入边搜索）
+ * @param {string} keyword - 查询关键词
+ * @returns {Array<{token: string, prefix: boolean}>}
+ */
+const tokenizeQuery = (keyword) => {
+  const segments = splitSegments(keyword);
+  const terms = new Map();
+
+  segments.forEach((segment, index) => {
+    if (segment.cjk) {
+      const chars = Array.from(segment.text);
+      const tokens = chars.length === 1 ? chars : bigrams(chars);
+      tokens.forEach((token) => terms.set(token, false));
+      return;
+    }
+
+    if (segment.text.length > MAX_WORD_LENGTH) {
+      return;
+    }
+
+    const isLast = index === segments.length - 1;
+    terms.set(segment.text, terms.get(segment.text) || isLast);
+  });
+
+  return [...terms.entries()]
+    .slice(0, MAX_QUERY_TERMS)
+    .map(([token, prefix]) => ({ token, prefix }));
+};
+
+const quoteLexeme = (token) => `'${token.replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+
+/**
+ * 构造 tsquery 文本（各词元之间为 AND），无有效词元时返回 null
+ * @param {string} keyword - 查询关键词
+ * @returns {string|null}
+ */
+const buildTsQuery = (keyword) => {
+  const terms = tokenizeQuery(keyword);
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return terms
+    .map(({ token, prefix }) => `${quoteLexeme(token)}${prefix ? ':*' : ''}`)
+    .join(' & ');
+};
+
+/**
+ * 构造带位置的 tsvector 文本，按词元顺序编号
+ * 没有位置的词元无法携带权重，ts_rank_cd 对其评分恒为 0，因此不使用 array_to_tsvector
+ * @param {string[]} tokens - tokenize 生成的词元
+ * @returns {string}
+ */
+const buildTsVector = (tokens) => (tokens || [])
+  .map((token, index) => `${quoteLexeme(token)}:${Math.min(index + 1, MAX_LEXEME_POSITION)}`)
+  .join(' ');
+
+/**
+ * 提取用于高亮的关键词片段（完整片段优先，其次为中文二元组）
+ * @param {string} keyword - 查询关键词
+ * @returns {string[]}
+ */
+const getHighlightTerms = (keyword) => {
+  const terms = new Set();
+
+  for (const segment of splitSegments(keyword)) {
+    terms.add(segment.text);
+    if (segment.cjk) {
+      bigrams(Array.from(segment.text)).forEach((token) => terms.add(token));
+    }
+  }
+
+  return [...terms].sort((a, b) => b.length - a.length);
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 生成高亮摘要：截取第一个命中位置附近的文本，命中部分以 <mark> 包裹，其余内容做HTML转义
+ * @param {string} text - 原文
+ * @param {string[]} terms - 高亮关键词（getHighlightTerms 的结果）
+ * @param {Object} [options]
+ * @param {number} [options.maxLength=160] - 摘要最大字符数，0表示不截取
+ * @returns {string}
+ */
+const highlight = (text, terms, { maxLength = 160 } = {}) => {
+  const source = typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : '';
+  if (!source) {
+    return '';
+  }
+
+  const pattern = terms.length > 0
+    ? new RegExp(terms.map(escapeRegExp).join('|'), 'giu')
+    : null;
+
+  let start = 0;
+  let end = source.length;
+
+  if (maxLength > 0 && source.length > maxLength) {
+    const firstMatch = pattern ? source.search(pattern) : -1;
+    // 命中位置前保留约四分之一篇幅作为上下文
+    start = firstMatch > 0 ? Math.max(0, firstMatch - Math.floor(maxLength / 4)) : 0;
+    end = Math.min(source.length, start + maxLength);
+    start = Math.max(0, end - maxLength);
+  }
+
+  const excerpt = source.slice(start, end);
+  let result = '';
+  let lastIndex = 0;
+
+  if (pattern) {
+    for (const match of excerpt.matchAll(pattern)) {
+      result += escapeHtml(excerpt.slice(lastIndex, match.index));
+      result += `<mark>${escapeHtml(match[0])}</mark>`;
+      lastIndex = match.index + match[0].length;
+    }
+  }
+
+  result += escapeHtml(excerpt.slice(lastIndex));
+
+  return `${start > 0 ? '…' : ''}${result}${end < source.length ? '…' : ''}`;
+};
+
+module.exports = {
+  tokenize,
+  tokenizeQuery,
+  buildTsQuery,
+  buildTsVector,
+  getHighlightTerms,
+  highlight
+};
@@ -0,0 +1,128 @@
+/**
+ * 文本差异工具
+ * 按行比较两段文本，先去掉相同的首尾行，再对中间部分求最长公共子序列；
+ * 中间部分超过 MAX_DIFF_CELLS 时不再逐行比较，整体视为删除后新增
+ */
+
+// LCS 表的最大单元格数，约 16MB 内存
+const MAX_DIFF_CELLS = 4000000;
+
+const splitLines = (text) => {
+  if (text === undefined || text === null || text === '') {
+    return [];
+  }
+
+  return String(text).replace(/\r\n?/g, '\n').split('\n');
+};
+
+/**
+ * 合并相邻的同类型片段
+ * @param {Array<{type: string, lines: Array<string>}>} hunks
+ * @param {string} type
+ * @param {string} line
+ */
+const pushLine = (hunks, type, line) => {
+  const last = hunks[hunks.length - 1];
+  if (last && last.type === type) {
+    last.lines.push(line);
+  } else {
+    hunks.push({ type, lines: [line] });
+  }
+};
+
+/**
+ * 对去掉首尾相同行后的中间部分求差异
+ * @param {Array<string>} before
+ * @param {Array<string>} after
+ * @param {Array} hunks - 结果写入
+ */
+const diffMiddle = (before, after, hunks) => {
+  const n = before.length;
+  const m = after.length;
+
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+    before.forEach(line => pushLine(hunks, 'delete', line));
+    after.forEach(line => pushLine(hunks, 'insert', line));
+    return;
+  }
+
+  // lcs[i][j] 为 before[i..] 与 after[j..] 的最长公共子序列长度
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = before[i] === after[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (before[i] === after[j]) {
+      pushLine(hunks, 'equal', before[i]);
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      pushLine(hunks, 'delete', before[i]);
+      i++;
+    } else {
+      pushLine(hunks, 'insert', after[j]);
+      j++;
+    }
+  }
+
+  for (; i < n; i++) {
+    pushLine(hunks, 'delete', before[i]);
+  }
+  for (; j < m; j++) {
+    pushLine(hunks, 'insert', after[j]);
+  }
+};
+
+/**
+ * 按行比较两段文本
+ * @param {string|null} beforeText
+ * @param {string|null} afterText
+ * @returns {{changed: boolean, additions: number, deletions: number, hunks: Array<{type: string, lines: Array<string>}>}}
+ */
+const diffLines = (beforeText, afterText) => {
+  const before = splitLines(beforeText);
+  const after = splitLines(afterText);
+
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start++;
+  }
+
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const hunks = [];
+  before.slice(0, start).forEach(line => pushLine(hunks, 'equal', line));
+  diffMiddle(before.slice(start, endBefore), after.slice(start, endAfter), hunks);
+  before.slice(endBefore).forEach(line => pushLine(hunks, 'equal', line));
+
+  const count = (type) => hunks
+    .filter(hunk => hunk.type === type)
+    .reduce((sum, hunk) => sum + hunk.lines.length, 0);
+
+  const additions = count('insert');
+  const deletions = count('delete');
+
+  return {
+    changed: additions > 0 || deletions > 0,
+    additions,
+    deletions,
+    hunks
+  };
+};
+
+module.exports = {
+  diffLines
+};
@@ -0,0 +1,202 @@
+/**
+ * TOTP 两步验证工具
+ * 基于 RFC 6238（HMAC-SHA1、6位数字、30秒步长）生成与校验动态验证码，
+ * 并提供 otpauth:// 配置链接、恢复码生成以及密钥的加密存储
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_BYTES = 20;
+const CODE_DIGITS = 6;
+const STEP_SECONDS = 30;
+// 允许前后各一个步长的时钟偏差
+const VERIFY_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.MFA_ISSUER || 'Alcms';
+
+// 密钥加密使用独立配置，未配置时由 JWT_SECRET 派生
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (text) => {
+  const normalized = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of normalized) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('无效的Base32字符');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * 生成新的TOTP密钥
+ * @returns {string} Base32编码的密钥
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * 获取时间对应的步数
+ * @param {number} [timestamp=Date.now()] - 毫秒时间戳
+ * @returns {number}
+ */
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * 计算指定步数的验证码
+ * @param {string} secret - Base32编码的密钥
+ * @param {number} step - 时间步数
+ * @returns {string}
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % (10 ** CODE_DIGITS)).padStart(CODE_DIGITS, '0');
+};
+
+/**
+ * 校验验证码
+ * @param {string} secret - Base32编码的密钥
+ * @param {string} code - 用户输入的验证码
+ * @param {Object} [options]
+ * @param {number|null} [options.lastUsedStep] - 上次成功使用的步数，不接受该步及之前的验证码（防重放）
+ * @returns {number|null} 命中的步数，未命中返回null
+ */
+const verifyCode = (secret, code, { lastUsedStep = null } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${CODE_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+  for (let offset = -VERIFY_WINDOW; offset <= VERIFY_WINDOW; offset += 1) {
+    const step = currentStep + offset;
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * 生成认证器App使用的配置链接（可直接渲染为二维码）
+ * @param {string} secret - Base32编码的密钥
+ * @param {string} accountName - 账号标识（邮箱或用户名）
+ * @returns {string}
+ */
+const buildProvisioningUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * 生成一组一次性恢复码，格式为 xxxxx-xxxxx
+ * @param {number} [count]
+ * @returns {string[]}
+ */
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => Array.from({ length: count }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+/**
+ * 计算恢复码哈希（忽略大小写、空格与连字符）
+ * @param {string} code
+ * @returns {string}
+ */
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code || '').toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+/**
+ * 加密TOTP密钥（AES-256-GCM），结果为 iv.tag.密文 的Base64拼接
+ * @param {string} secret
+ * @returns {string}
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+};
+
+/**
+ * 解密TOTP密钥
+ * @param {string} payload - encryptSecret 的结果
+ * @returns {string}
+ */
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = String(payload).split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildProvisioningUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret
+};